@@ -0,0 +1,15 @@
+-- Credenciales (hash de contraseña) de administradores y entrenadores.
+-- El hash se genera en el backend con scrypt (ver src/utils/password.utils.js);
+-- la base de datos nunca recibe la contraseña en texto plano.
+
+CREATE TABLE IF NOT EXISTS CC.CredencialUsuario (
+  id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  usuario            UUID NOT NULL,
+  rol                VARCHAR(20) NOT NULL,
+  hashContrasena     TEXT NOT NULL,
+  requiereCambio     BOOLEAN NOT NULL DEFAULT TRUE,
+  fechaCreacion      TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fechaActualizacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT CCcredencialusuario001UQ UNIQUE (usuario, rol),
+  CONSTRAINT CCcredencialusuario001CK CHECK (rol IN ('admin', 'entrenador'))
+);
@@ -0,0 +1,23 @@
+-- Tokens de refresco (sesiones de inicio de sesión) con rotación.
+-- Solo se almacena el hash SHA-256 del token; el token en claro lo conserva el cliente.
+-- Todos los tokens emitidos a partir de un mismo inicio de sesión comparten la misma "familia",
+-- lo que permite revocar la sesión completa si se detecta la reutilización de un token ya rotado.
+
+CREATE TABLE IF NOT EXISTS CC.TokenRefresco (
+  id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  familia          UUID NOT NULL,
+  usuario          UUID NOT NULL,
+  rol              VARCHAR(20) NOT NULL,
+  hashToken        CHAR(64) NOT NULL,
+  fechaCreacion    TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fechaExpiracion  TIMESTAMP NOT NULL,
+  fechaRevocacion  TIMESTAMP NULL,
+  motivoRevocacion VARCHAR(50) NULL,
+  reemplazadoPor   UUID NULL,
+  ip               VARCHAR(64) NULL,
+  agenteUsuario    VARCHAR(255) NULL,
+  CONSTRAINT CCtokenrefresco001UQ UNIQUE (hashToken)
+);
+
+CREATE INDEX IF NOT EXISTS CCtokenrefresco001IX ON CC.TokenRefresco (usuario, rol) WHERE fechaRevocacion IS NULL;
+CREATE INDEX IF NOT EXISTS CCtokenrefresco002IX ON CC.TokenRefresco (familia);
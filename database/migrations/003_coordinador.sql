@@ -0,0 +1,19 @@
+-- Coordinadores: jefes de facultad con acceso de solo lectura (rol 'coordinador').
+-- Inician sesión con correo y contraseña; la credencial se guarda en CC.CredencialUsuario.
+
+CREATE TABLE IF NOT EXISTS CC.Coordinador (
+  id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  nombres         VARCHAR(100) NOT NULL,
+  apellidos       VARCHAR(100) NOT NULL,
+  numeroDocumento VARCHAR(20) NOT NULL,
+  correo          VARCHAR(150) NOT NULL,
+  facultad        UUID NOT NULL REFERENCES CC.Facultad (id),
+  fechaInicio     TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fechaFin        TIMESTAMP NOT NULL DEFAULT 'infinity',
+  CONSTRAINT CCcoordinador001UQ UNIQUE (correo),
+  CONSTRAINT CCcoordinador002UQ UNIQUE (numeroDocumento)
+);
+
+ALTER TABLE CC.CredencialUsuario DROP CONSTRAINT IF EXISTS CCcredencialusuario001CK;
+ALTER TABLE CC.CredencialUsuario
+  ADD CONSTRAINT CCcredencialusuario001CK CHECK (rol IN ('admin', 'entrenador', 'coordinador'));
@@ -0,0 +1,95 @@
+-- Alcance por facultad (seguridad a nivel de fila) para entrenadores y coordinadores.
+-- Un registro está dentro del alcance de un usuario si:
+--   * el estudiante pertenece (por alguno de sus programas) a una de las facultades del usuario, o
+--   * (solo entrenadores) el entrenamiento del estudiante está asignado al entrenador en CC.EntrenadorEntrenamiento.
+-- Los administradores no se consultan aquí: el backend no aplica alcance a quien tiene el permiso 'alcance:global'.
+
+-- Facultades del usuario: las asignadas al entrenador o la facultad que coordina el coordinador.
+CREATE OR REPLACE FUNCTION CC.FacultadesUsuarioUFT(pUsuario UUID, pRol VARCHAR)
+RETURNS TABLE (facultad UUID)
+LANGUAGE sql STABLE AS $$
+  SELECT ef.facultad FROM CC.EntrenadorFacultad ef
+  WHERE pRol = 'entrenador' AND ef.entrenador = pUsuario
+  UNION
+  SELECT c.facultad FROM CC.Coordinador c
+  WHERE pRol = 'coordinador' AND c.id = pUsuario;
+$$;
+
+CREATE OR REPLACE FUNCTION CC.EstudianteEnAlcanceUFS(pUsuario UUID, pRol VARCHAR, pEstudiante UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM CC.EstudiantePrograma ep
+    JOIN CC.Programa p ON p.id = ep.programa
+    WHERE ep.estudiante = pEstudiante
+      AND p.facultad IN (SELECT facultad FROM CC.FacultadesUsuarioUFT(pUsuario, pRol))
+  ) OR (pRol = 'entrenador' AND EXISTS (
+    SELECT 1
+    FROM CC.EntrenadorEntrenamiento ee
+    JOIN CC.EntrenamientoCognitivo ec ON ec.id = ee.entrenamientoCognitivo
+    WHERE ee.entrenador = pUsuario AND ec.estudiante = pEstudiante
+  ));
+$$;
+
+CREATE OR REPLACE FUNCTION CC.EstudianteDocumentoEnAlcanceUFS(
+  pUsuario UUID, pRol VARCHAR, pSiglaTipoDocumento VARCHAR, pNumeroDocumento VARCHAR
+)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+  SELECT COALESCE(
+    CC.EstudianteEnAlcanceUFS(pUsuario, pRol, CC.ObtenerIdEstudiantePorDocumentoUFS(pSiglaTipoDocumento, pNumeroDocumento)),
+    FALSE
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION CC.EntrenamientoEnAlcanceUFS(pUsuario UUID, pRol VARCHAR, pEntrenamiento UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM CC.EntrenadorEntrenamiento ee
+    WHERE pRol = 'entrenador' AND ee.entrenador = pUsuario AND ee.entrenamientoCognitivo = pEntrenamiento
+  ) OR EXISTS (
+    SELECT 1 FROM CC.EntrenamientoCognitivo ec
+    WHERE ec.id = pEntrenamiento AND CC.EstudianteEnAlcanceUFS(pUsuario, pRol, ec.estudiante)
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION CC.AsignacionEnAlcanceUFS(pUsuario UUID, pRol VARCHAR, pAsignacion UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+  SELECT COALESCE((
+    SELECT CC.EntrenamientoEnAlcanceUFS(pUsuario, pRol, av.entrenamientoCognitivo)
+    FROM CC.AsignacionVariable av
+    WHERE av.id = pAsignacion
+  ), FALSE);
+$$;
+
+CREATE OR REPLACE FUNCTION CC.SesionEnAlcanceUFS(pUsuario UUID, pRol VARCHAR, pSesion UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+  SELECT COALESCE((
+    SELECT CC.AsignacionEnAlcanceUFS(pUsuario, pRol, se.asignacionVariable)
+    FROM CC.SesionEntrenamiento se
+    WHERE se.id = pSesion
+  ), FALSE);
+$$;
+
+-- Verdadero si todos los programas indicados pertenecen a facultades del usuario.
+CREATE OR REPLACE FUNCTION CC.ProgramasEnAlcanceUFS(pUsuario UUID, pRol VARCHAR, pProgramaNombres VARCHAR[])
+RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+  SELECT NOT EXISTS (
+    SELECT 1 FROM CC.Programa p
+    WHERE p.nombre = ANY (pProgramaNombres)
+      AND p.facultad NOT IN (SELECT facultad FROM CC.FacultadesUsuarioUFT(pUsuario, pRol))
+  );
+$$;
+
+-- Entrenamientos visibles para el usuario (para filtrar listados).
+CREATE OR REPLACE FUNCTION CC.EntrenamientosEnAlcanceUFT(pUsuario UUID, pRol VARCHAR)
+RETURNS TABLE (entrenamiento UUID)
+LANGUAGE sql STABLE AS $$
+  SELECT ec.id FROM CC.EntrenamientoCognitivo ec
+  WHERE CC.EntrenamientoEnAlcanceUFS(pUsuario, pRol, ec.id);
+$$;
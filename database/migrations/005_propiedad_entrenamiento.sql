@@ -0,0 +1,38 @@
+-- Propiedad de sesiones y asignaciones: un entrenador solo modifica las sesiones y asignaciones
+-- de entrenamientos que tiene asignados en CC.EntrenadorEntrenamiento.
+-- Los administradores pueden actuar sobre cualquier registro indicando un motivo; cada uso queda en CC.OverridePropiedad.
+
+CREATE OR REPLACE FUNCTION CC.AsignacionDeEntrenadorUFS(pEntrenador UUID, pAsignacion UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM CC.AsignacionVariable av
+    JOIN CC.EntrenadorEntrenamiento ee ON ee.entrenamientoCognitivo = av.entrenamientoCognitivo
+    WHERE av.id = pAsignacion AND ee.entrenador = pEntrenador
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION CC.SesionDeEntrenadorUFS(pEntrenador UUID, pSesion UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM CC.SesionEntrenamiento se
+    WHERE se.id = pSesion AND CC.AsignacionDeEntrenadorUFS(pEntrenador, se.asignacionVariable)
+  );
+$$;
+
+CREATE TABLE IF NOT EXISTS CC.OverridePropiedad (
+  id         UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  usuario    UUID NOT NULL,
+  rol        VARCHAR(20) NOT NULL,
+  operacion  VARCHAR(255) NOT NULL,
+  tipo       VARCHAR(20) NOT NULL,
+  registro   UUID NOT NULL,
+  motivo     VARCHAR(500) NOT NULL,
+  fecha      TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT CCoverridepropiedad001CK CHECK (tipo IN ('sesion', 'asignacion'))
+);
+
+CREATE INDEX IF NOT EXISTS CCoverridepropiedad001IX ON CC.OverridePropiedad (tipo, registro);
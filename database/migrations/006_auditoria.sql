@@ -0,0 +1,23 @@
+-- Registro de auditoría de las operaciones de escritura.
+-- Cada fila indica quién (actor y rol) hizo qué (accion) sobre qué registro (entidad, entidadId),
+-- con el estado anterior y posterior, los campos que cambiaron, el ID de la petición y la IP.
+
+CREATE TABLE IF NOT EXISTS CC.Auditoria (
+  id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  actor       UUID NOT NULL,
+  rol         VARCHAR(20) NOT NULL,
+  accion      VARCHAR(60) NOT NULL,
+  entidad     VARCHAR(40) NOT NULL,
+  entidadId   VARCHAR(100) NULL,
+  antes       JSONB NULL,
+  despues     JSONB NULL,
+  cambios     JSONB NULL,
+  metadatos   JSONB NULL,
+  solicitudId VARCHAR(100) NULL,
+  ip          VARCHAR(64) NULL,
+  fecha       TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS CCauditoria001IX ON CC.Auditoria (fecha DESC);
+CREATE INDEX IF NOT EXISTS CCauditoria002IX ON CC.Auditoria (actor, fecha DESC);
+CREATE INDEX IF NOT EXISTS CCauditoria003IX ON CC.Auditoria (entidad, entidadId, fecha DESC);
@@ -0,0 +1,35 @@
+-- Búsqueda aproximada de estudiantes por nombres, apellidos, correo, número de documento y programa.
+-- La comparación ignora tildes y mayúsculas (unaccent + lower) y tolera errores de escritura (pg_trgm).
+
+CREATE EXTENSION IF NOT EXISTS unaccent;
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- unaccent() es STABLE; este envoltorio IMMUTABLE (con el diccionario fijo) permite usarlo en índices.
+CREATE OR REPLACE FUNCTION CC.NormalizarTextoUFS(pTexto TEXT)
+RETURNS TEXT
+LANGUAGE sql IMMUTABLE PARALLEL SAFE AS $$
+  SELECT lower(public.unaccent('public.unaccent'::regdictionary, COALESCE(pTexto, '')));
+$$;
+
+-- Una fila por estudiante con los textos ya normalizados para la búsqueda.
+CREATE OR REPLACE VIEW CC.BusquedaEstudiantesUV AS
+SELECT
+  e.id,
+  td.sigla AS siglaTipoDocumento,
+  e.numeroDocumento,
+  e.nombres,
+  e.apellidos,
+  e.correo,
+  COALESCE(array_agg(p.nombre ORDER BY p.nombre) FILTER (WHERE p.id IS NOT NULL), '{}') AS programas,
+  CC.NormalizarTextoUFS(e.nombres || ' ' || e.apellidos) AS nombreNormalizado,
+  lower(COALESCE(e.correo, '')) AS correoNormalizado,
+  CC.NormalizarTextoUFS(string_agg(p.nombre, ' ')) AS programasNormalizados
+FROM CC.Estudiante e
+JOIN CC.TipoDocumento td ON td.id = e.tipoDocumento
+LEFT JOIN CC.EstudiantePrograma ep ON ep.estudiante = e.id
+LEFT JOIN CC.Programa p ON p.id = ep.programa
+GROUP BY e.id, td.sigla;
+
+CREATE INDEX IF NOT EXISTS CCestudiante001IX ON CC.Estudiante USING gin (CC.NormalizarTextoUFS(nombres || ' ' || apellidos) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS CCestudiante002IX ON CC.Estudiante USING gin (lower(COALESCE(correo, '')) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS CCestudiante003IX ON CC.Estudiante USING gin (numeroDocumento gin_trgm_ops);
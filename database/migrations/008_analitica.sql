@@ -0,0 +1,29 @@
+-- Analítica de resultados del entrenamiento cognitivo.
+-- Una fila por asignación de variable con su resultado, sesiones, nivel inicial, métricas y fechas,
+-- a partir de CC.ProgresoVariableUV y CC.DetalleEntrenamientoEstudianteUV.
+-- Las agregaciones por facultad, programa, variable y entrenador se calculan en el backend sobre esta vista.
+
+CREATE OR REPLACE VIEW CC.AnaliticaAsignacionUV AS
+SELECT
+  p."asignacionVariableId" AS asignacion,
+  p."entrenamientoId" AS entrenamiento,
+  p."estudianteId" AS estudiante,
+  p."variableCognitivaNombre" AS variable,
+  p."asignacionVariableEstado" AS estado,
+  -- Resultado normalizado: los estados 'Finalizado' y 'Abandono' cierran la asignación.
+  CASE
+    WHEN p."asignacionVariableEstado" ILIKE 'finaliz%' THEN 'finalizada'
+    WHEN p."asignacionVariableEstado" ILIKE 'abandon%' THEN 'abandonada'
+    ELSE 'enProgreso'
+  END AS resultado,
+  p."asignacionNivelInicial"::jsonb AS nivelInicial,
+  p."asignacionMetricasActuales"::jsonb AS metricas,
+  COALESCE(p."totalSesiones", 0) AS totalSesiones,
+  COALESCE(p."sesionesFinalizadas", 0) AS sesionesFinalizadas,
+  d."entrenamientoFechaInicio" AS fechaInicio,
+  (
+    SELECT MAX(COALESCE(s->>'fechaFin', s->>'fechaInicio')::timestamptz)
+    FROM json_array_elements(p."sesionesDetalle"::json) s
+  ) AS fechaUltimaSesion
+FROM CC.ProgresoVariableUV p
+JOIN CC.DetalleEntrenamientoEstudianteUV d ON d."asignacionVariableId" = p."asignacionVariableId";
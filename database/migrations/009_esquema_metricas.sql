@@ -0,0 +1,21 @@
+-- Esquemas de métricas por variable cognitiva.
+-- Cada variable puede tener varias versiones de su esquema; la vigente es la versión activa más alta.
+-- Un esquema define los campos de las métricas y del nivel inicial: clave, tipo, si es requerido, rango y unidad.
+-- Publicar un cambio crea una versión nueva; retirar una versión la desactiva y deja vigente la anterior.
+
+CREATE TABLE IF NOT EXISTS CC.EsquemaMetricas (
+  id                UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  variableCognitiva UUID NOT NULL REFERENCES CC.VariableCognitiva (id),
+  version           INTEGER NOT NULL,
+  descripcion       VARCHAR(500) NULL,
+  -- Arreglo de campos: [{ clave, tipo, requerido, minimo, maximo, unidad, descripcion }]
+  campos            JSONB NOT NULL,
+  activo            BOOLEAN NOT NULL DEFAULT TRUE,
+  creadoPor         UUID NULL,
+  fechaCreacion     TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fechaRetiro       TIMESTAMP NULL,
+  CONSTRAINT CCesquemametricas001UQ UNIQUE (variableCognitiva, version),
+  CONSTRAINT CCesquemametricas001CK CHECK (jsonb_typeof(campos) = 'array')
+);
+
+CREATE INDEX IF NOT EXISTS CCesquemametricas001IX ON CC.EsquemaMetricas (variableCognitiva, activo, version DESC);
@@ -0,0 +1,30 @@
+-- Historial de métricas por sesión.
+-- CC.FinalizarSesionEntrenamientoUFT reemplaza las métricas y el nivel inicial de la asignación; para conservar la trayectoria,
+-- al finalizar cada sesión el backend guarda aquí una instantánea en la misma sentencia (ver finalizarSesionDB).
+-- nivelInicialAnterior es el nivel inicial de la asignación antes de esa sesión: el de la primera instantánea es la línea base.
+-- Las sesiones finalizadas antes de esta migración no tienen instantánea.
+
+CREATE TABLE IF NOT EXISTS CC.MetricaSesion (
+  sesion               UUID PRIMARY KEY REFERENCES CC.SesionEntrenamiento (id) ON DELETE CASCADE,
+  asignacionVariable   UUID NOT NULL REFERENCES CC.AsignacionVariable (id) ON DELETE CASCADE,
+  metricas             JSONB NOT NULL,
+  nivelInicial         JSONB NOT NULL,
+  nivelInicialAnterior JSONB NULL,
+  fechaRegistro        TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS CCmetricasesion001IX ON CC.MetricaSesion (asignacionVariable, fechaRegistro);
+
+-- Las instantáneas son inmutables.
+CREATE OR REPLACE FUNCTION CC.MetricaSesionInmutableUFT()
+RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  RAISE EXCEPTION 'Las instantáneas de métricas de sesión no se pueden modificar.';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS CCmetricasesion001TG ON CC.MetricaSesion;
+CREATE TRIGGER CCmetricasesion001TG
+BEFORE UPDATE ON CC.MetricaSesion
+FOR EACH ROW EXECUTE FUNCTION CC.MetricaSesionInmutableUFT();
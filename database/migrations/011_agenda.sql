@@ -0,0 +1,56 @@
+-- Agenda de entrenamiento: planes de sesiones recurrentes por asignación y disponibilidad semanal de los entrenadores.
+-- Un plan (ej. lunes y jueves a las 10:00 durante 8 semanas) se materializa en CC.SesionPlanificada, una fila por sesión,
+-- para detectar cruces de horario del entrenador o del estudiante con una consulta de solapamiento.
+-- Las sesiones planificadas no crean sesiones de entrenamiento: la agenda las compara con las sesiones ejecutadas
+-- (CC.ProgresoVariableUV) por asignación y día.
+-- Días de la semana según ISO 8601: 1 = lunes ... 7 = domingo. Las horas son hora local, como el resto de fechas del esquema.
+
+CREATE TABLE IF NOT EXISTS CC.DisponibilidadEntrenador (
+  id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  entrenador  UUID NOT NULL,
+  diaSemana   SMALLINT NOT NULL,
+  horaInicio  TIME NOT NULL,
+  horaFin     TIME NOT NULL,
+  CONSTRAINT CCdisponibilidadentrenador001CK CHECK (diaSemana BETWEEN 1 AND 7),
+  CONSTRAINT CCdisponibilidadentrenador002CK CHECK (horaInicio < horaFin)
+);
+
+CREATE INDEX IF NOT EXISTS CCdisponibilidadentrenador001IX ON CC.DisponibilidadEntrenador (entrenador, diaSemana);
+
+CREATE TABLE IF NOT EXISTS CC.PlanSesiones (
+  id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  asignacionVariable UUID NOT NULL REFERENCES CC.AsignacionVariable (id) ON DELETE CASCADE,
+  entrenador         UUID NOT NULL,
+  estudiante         UUID NOT NULL,
+  diasSemana         SMALLINT[] NOT NULL,
+  horaInicio         TIME NOT NULL,
+  duracionMinutos    SMALLINT NOT NULL,
+  fechaInicio        DATE NOT NULL,
+  fechaFin           DATE NOT NULL,
+  activo             BOOLEAN NOT NULL DEFAULT TRUE,
+  creadoPor          UUID NULL,
+  fechaCreacion      TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fechaCancelacion   TIMESTAMP NULL,
+  CONSTRAINT CCplansesiones001CK CHECK (diasSemana <@ ARRAY[1, 2, 3, 4, 5, 6, 7]::SMALLINT[] AND cardinality(diasSemana) > 0),
+  CONSTRAINT CCplansesiones002CK CHECK (duracionMinutos BETWEEN 15 AND 480),
+  CONSTRAINT CCplansesiones003CK CHECK (fechaInicio <= fechaFin)
+);
+
+CREATE INDEX IF NOT EXISTS CCplansesiones001IX ON CC.PlanSesiones (asignacionVariable);
+
+CREATE TABLE IF NOT EXISTS CC.SesionPlanificada (
+  id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  plan               UUID NOT NULL REFERENCES CC.PlanSesiones (id) ON DELETE CASCADE,
+  asignacionVariable UUID NOT NULL REFERENCES CC.AsignacionVariable (id) ON DELETE CASCADE,
+  entrenador         UUID NOT NULL,
+  estudiante         UUID NOT NULL,
+  inicio             TIMESTAMP NOT NULL,
+  fin                TIMESTAMP NOT NULL,
+  cancelada          BOOLEAN NOT NULL DEFAULT FALSE,
+  CONSTRAINT CCsesionplanificada001CK CHECK (inicio < fin)
+);
+
+-- Índices de la detección de cruces (solo sesiones vigentes) y de la agenda.
+CREATE INDEX IF NOT EXISTS CCsesionplanificada001IX ON CC.SesionPlanificada (entrenador, inicio) WHERE NOT cancelada;
+CREATE INDEX IF NOT EXISTS CCsesionplanificada002IX ON CC.SesionPlanificada (estudiante, inicio) WHERE NOT cancelada;
+CREATE INDEX IF NOT EXISTS CCsesionplanificada003IX ON CC.SesionPlanificada (plan);
@@ -0,0 +1,44 @@
+-- Alertas de riesgo de abandono: un motor de reglas en el backend revisa periódicamente las asignaciones en progreso
+-- y marca a los estudiantes en riesgo. Cada alerta es una regla disparada sobre una asignación de variable.
+--   * activa: la condición se cumple en el último escaneo.
+--   * descartada: un usuario la descartó con un motivo; no se vuelve a levantar mientras la condición se siga cumpliendo.
+--   * resuelta: la condición dejó de cumplirse (o la asignación se cerró). Si vuelve a cumplirse se crea una alerta nueva.
+-- Los umbrales de las reglas se configuran por facultad; una columna NULL usa el valor por defecto del backend.
+
+CREATE TABLE IF NOT EXISTS CC.AlertaRiesgo (
+  id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  regla              VARCHAR(50) NOT NULL,
+  asignacionVariable UUID NOT NULL REFERENCES CC.AsignacionVariable (id) ON DELETE CASCADE,
+  entrenamiento      UUID NOT NULL,
+  estudiante         UUID NOT NULL,
+  detalle            JSONB NOT NULL DEFAULT '{}'::jsonb,
+  estado             VARCHAR(20) NOT NULL DEFAULT 'activa',
+  fechaDeteccion     TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fechaActualizacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fechaResolucion    TIMESTAMP NULL,
+  descartadaPor      UUID NULL,
+  motivoDescarte     VARCHAR(500) NULL,
+  fechaDescarte      TIMESTAMP NULL,
+  CONSTRAINT CCalertariesgo001CK CHECK (estado IN ('activa', 'descartada', 'resuelta')),
+  CONSTRAINT CCalertariesgo002CK CHECK (estado <> 'descartada' OR motivoDescarte IS NOT NULL)
+);
+
+-- Una sola alerta vigente (activa o descartada) por regla y asignación; el escaneo hace upsert sobre este índice.
+CREATE UNIQUE INDEX IF NOT EXISTS CCalertariesgo001UX ON CC.AlertaRiesgo (regla, asignacionVariable)
+  WHERE estado IN ('activa', 'descartada');
+CREATE INDEX IF NOT EXISTS CCalertariesgo001IX ON CC.AlertaRiesgo (entrenamiento) WHERE estado = 'activa';
+CREATE INDEX IF NOT EXISTS CCalertariesgo002IX ON CC.AlertaRiesgo (estado, fechaDeteccion);
+
+CREATE TABLE IF NOT EXISTS CC.UmbralAlertaFacultad (
+  facultad           UUID PRIMARY KEY REFERENCES CC.Facultad (id) ON DELETE CASCADE,
+  diasSinSesion      SMALLINT NULL,
+  sesionesSinIniciar SMALLINT NULL,
+  sesionesEnDescenso SMALLINT NULL,
+  diasAntesDeFin     SMALLINT NULL,
+  actualizadoPor     UUID NULL,
+  fechaActualizacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT CCumbralalertafacultad001CK CHECK (diasSinSesion BETWEEN 1 AND 365),
+  CONSTRAINT CCumbralalertafacultad002CK CHECK (sesionesSinIniciar BETWEEN 1 AND 50),
+  CONSTRAINT CCumbralalertafacultad003CK CHECK (sesionesEnDescenso BETWEEN 2 AND 10),
+  CONSTRAINT CCumbralalertafacultad004CK CHECK (diasAntesDeFin BETWEEN 1 AND 365)
+);
@@ -0,0 +1,45 @@
+-- Notificaciones a entrenadores y coordinadores por eventos del backend (entrenamiento asignado, entrenador desactivado,
+-- variable abandonada o finalizada). CC.Notificacion es a la vez la bandeja de la aplicación y la cola de salida del correo:
+--   * canal 'app': se guarda ya 'enviada'; el usuario la lee con GET /api/notificaciones y la marca como leída.
+--   * canal 'correo': se guarda 'pendiente' y la envía el despachador del backend. Cada intento fallido programa
+--     el siguiente en proximoIntento; al agotar los intentos queda 'fallida' con el último error.
+-- destinatario es el ID del usuario en la tabla de su rol (rolDestinatario), igual que en CC.CredencialUsuario.
+
+CREATE TABLE IF NOT EXISTS CC.Notificacion (
+  id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  destinatario    UUID NOT NULL,
+  rolDestinatario VARCHAR(20) NOT NULL,
+  evento          VARCHAR(50) NOT NULL,
+  canal           VARCHAR(10) NOT NULL,
+  asunto          VARCHAR(200) NOT NULL,
+  cuerpo          TEXT NOT NULL,
+  datos           JSONB NOT NULL DEFAULT '{}'::jsonb,
+  correoDestino   VARCHAR(320) NULL,
+  estado          VARCHAR(20) NOT NULL,
+  intentos        SMALLINT NOT NULL DEFAULT 0,
+  ultimoError     VARCHAR(1000) NULL,
+  proximoIntento  TIMESTAMP NULL,
+  fechaCreacion   TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fechaEnvio      TIMESTAMP NULL,
+  fechaLectura    TIMESTAMP NULL,
+  CONSTRAINT CCnotificacion001CK CHECK (canal IN ('app', 'correo')),
+  CONSTRAINT CCnotificacion002CK CHECK (estado IN ('pendiente', 'enviada', 'fallida')),
+  CONSTRAINT CCnotificacion003CK CHECK (canal <> 'correo' OR correoDestino IS NOT NULL)
+);
+
+-- Bandeja de cada usuario y cola del despachador.
+CREATE INDEX IF NOT EXISTS CCnotificacion001IX ON CC.Notificacion (destinatario, rolDestinatario, fechaCreacion)
+  WHERE canal = 'app';
+CREATE INDEX IF NOT EXISTS CCnotificacion002IX ON CC.Notificacion (proximoIntento) WHERE estado = 'pendiente';
+
+-- Preferencias por usuario, evento y canal. Sin fila, el canal está habilitado.
+CREATE TABLE IF NOT EXISTS CC.PreferenciaNotificacion (
+  usuario            UUID NOT NULL,
+  rol                VARCHAR(20) NOT NULL,
+  evento             VARCHAR(50) NOT NULL,
+  canal              VARCHAR(10) NOT NULL,
+  habilitado         BOOLEAN NOT NULL,
+  fechaActualizacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (usuario, rol, evento, canal),
+  CONSTRAINT CCpreferencianotificacion001CK CHECK (canal IN ('app', 'correo'))
+);
@@ -0,0 +1,23 @@
+-- Claves de idempotencia de los endpoints de creación (cabecera Idempotency-Key).
+-- Cada clave es de un usuario (usuario y rol, igual que en CC.CredencialUsuario) y guarda la huella de la petición
+-- (método, ruta y cuerpo) y, cuando termina, el código y el cuerpo de la respuesta para repetirlos en los reintentos:
+--   * estado 'en_proceso': la petición original se está atendiendo; un reintento recibe 409.
+--   * estado 'completada': un reintento con la misma huella recibe la respuesta guardada.
+-- Las respuestas 5xx no se guardan: se borra la clave para que el reintento vuelva a ejecutar la operación.
+-- Vencida fechaExpiracion la clave puede reutilizarse; el backend borra las vencidas periódicamente.
+
+CREATE TABLE IF NOT EXISTS CC.SolicitudIdempotente (
+  usuario         UUID NOT NULL,
+  rol             VARCHAR(20) NOT NULL,
+  clave           VARCHAR(255) NOT NULL,
+  huella          CHAR(64) NOT NULL,
+  estado          VARCHAR(12) NOT NULL DEFAULT 'en_proceso',
+  codigoEstado    SMALLINT NULL,
+  respuesta       JSONB NULL,
+  fechaCreacion   TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fechaExpiracion TIMESTAMP NOT NULL,
+  PRIMARY KEY (usuario, rol, clave),
+  CONSTRAINT CCsolicitudidempotente001CK CHECK (estado IN ('en_proceso', 'completada'))
+);
+
+CREATE INDEX IF NOT EXISTS CCsolicitudidempotente001IX ON CC.SolicitudIdempotente (fechaExpiracion);
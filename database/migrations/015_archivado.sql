@@ -0,0 +1,98 @@
+-- Archivado (borrado lógico) de estudiantes, entrenamientos y sesiones.
+-- Un registro archivado conserva sus datos pero no aparece en los listados, salvo que se pidan con incluirArchivados.
+-- Archivar exige un motivo y se propaga hacia abajo: el estudiante archiva sus entrenamientos y sesiones, y el
+-- entrenamiento sus sesiones. Los registros archivados por propagación quedan con archivadoEnCascada y la misma
+-- fechaArchivado que el registro de origen, para que restaurarlo restaure exactamente esos registros.
+-- Pasado el periodo de retención, un administrador puede purgar (borrar definitivamente) los archivados.
+
+ALTER TABLE CC.Estudiante
+  ADD COLUMN IF NOT EXISTS fechaArchivado     TIMESTAMP NULL,
+  ADD COLUMN IF NOT EXISTS motivoArchivado    VARCHAR(500) NULL,
+  ADD COLUMN IF NOT EXISTS archivadoPor       UUID NULL,
+  ADD COLUMN IF NOT EXISTS archivadoPorRol    VARCHAR(20) NULL,
+  ADD COLUMN IF NOT EXISTS archivadoEnCascada BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE CC.EntrenamientoCognitivo
+  ADD COLUMN IF NOT EXISTS fechaArchivado     TIMESTAMP NULL,
+  ADD COLUMN IF NOT EXISTS motivoArchivado    VARCHAR(500) NULL,
+  ADD COLUMN IF NOT EXISTS archivadoPor       UUID NULL,
+  ADD COLUMN IF NOT EXISTS archivadoPorRol    VARCHAR(20) NULL,
+  ADD COLUMN IF NOT EXISTS archivadoEnCascada BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE CC.SesionEntrenamiento
+  ADD COLUMN IF NOT EXISTS fechaArchivado     TIMESTAMP NULL,
+  ADD COLUMN IF NOT EXISTS motivoArchivado    VARCHAR(500) NULL,
+  ADD COLUMN IF NOT EXISTS archivadoPor       UUID NULL,
+  ADD COLUMN IF NOT EXISTS archivadoPorRol    VARCHAR(20) NULL,
+  ADD COLUMN IF NOT EXISTS archivadoEnCascada BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Sin fecha de archivado no hay motivo, y viceversa.
+ALTER TABLE CC.Estudiante DROP CONSTRAINT IF EXISTS CCestudiante001CK;
+ALTER TABLE CC.Estudiante ADD CONSTRAINT CCestudiante001CK CHECK ((fechaArchivado IS NULL) = (motivoArchivado IS NULL));
+ALTER TABLE CC.EntrenamientoCognitivo DROP CONSTRAINT IF EXISTS CCentrenamientocognitivo001CK;
+ALTER TABLE CC.EntrenamientoCognitivo ADD CONSTRAINT CCentrenamientocognitivo001CK CHECK ((fechaArchivado IS NULL) = (motivoArchivado IS NULL));
+ALTER TABLE CC.SesionEntrenamiento DROP CONSTRAINT IF EXISTS CCsesionentrenamiento001CK;
+ALTER TABLE CC.SesionEntrenamiento ADD CONSTRAINT CCsesionentrenamiento001CK CHECK ((fechaArchivado IS NULL) = (motivoArchivado IS NULL));
+
+-- Índices de la purga (solo registros archivados).
+CREATE INDEX IF NOT EXISTS CCestudiante004IX ON CC.Estudiante (fechaArchivado) WHERE fechaArchivado IS NOT NULL;
+CREATE INDEX IF NOT EXISTS CCentrenamientocognitivo001IX ON CC.EntrenamientoCognitivo (fechaArchivado) WHERE fechaArchivado IS NOT NULL;
+CREATE INDEX IF NOT EXISTS CCsesionentrenamiento001IX ON CC.SesionEntrenamiento (fechaArchivado) WHERE fechaArchivado IS NOT NULL;
+
+-- La búsqueda expone la fecha de archivado para poder ocultar o marcar los estudiantes archivados.
+CREATE OR REPLACE VIEW CC.BusquedaEstudiantesUV AS
+SELECT
+  e.id,
+  td.sigla AS siglaTipoDocumento,
+  e.numeroDocumento,
+  e.nombres,
+  e.apellidos,
+  e.correo,
+  COALESCE(array_agg(p.nombre ORDER BY p.nombre) FILTER (WHERE p.id IS NOT NULL), '{}') AS programas,
+  CC.NormalizarTextoUFS(e.nombres || ' ' || e.apellidos) AS nombreNormalizado,
+  lower(COALESCE(e.correo, '')) AS correoNormalizado,
+  CC.NormalizarTextoUFS(string_agg(p.nombre, ' ')) AS programasNormalizados,
+  e.fechaArchivado
+FROM CC.Estudiante e
+JOIN CC.TipoDocumento td ON td.id = e.tipoDocumento
+LEFT JOIN CC.EstudiantePrograma ep ON ep.estudiante = e.id
+LEFT JOIN CC.Programa p ON p.id = ep.programa
+GROUP BY e.id, td.sigla;
+
+-- Borra definitivamente los registros archivados antes de pRetencionDias días y todo lo que depende de ellos
+-- (asignaciones, relaciones con entrenadores y programas; las métricas, planes y alertas se borran en cascada).
+-- Con pSimular solo cuenta lo que se borraría. Devuelve cuántos estudiantes, entrenamientos y sesiones se purgaron.
+CREATE OR REPLACE FUNCTION CC.PurgarArchivadosUFT(pRetencionDias INTEGER, pSimular BOOLEAN DEFAULT FALSE)
+RETURNS TABLE (estudiantes INTEGER, entrenamientos INTEGER, sesiones INTEGER)
+LANGUAGE plpgsql AS $$
+DECLARE
+  vLimite TIMESTAMP := CURRENT_TIMESTAMP - make_interval(days => pRetencionDias);
+  vEstudiantes UUID[];
+  vEntrenamientos UUID[];
+  vSesiones UUID[];
+BEGIN
+  SELECT COALESCE(array_agg(e.id), '{}') INTO vEstudiantes
+  FROM CC.Estudiante e
+  WHERE e.fechaArchivado < vLimite;
+
+  SELECT COALESCE(array_agg(ec.id), '{}') INTO vEntrenamientos
+  FROM CC.EntrenamientoCognitivo ec
+  WHERE ec.fechaArchivado < vLimite OR ec.estudiante = ANY (vEstudiantes);
+
+  SELECT COALESCE(array_agg(se.id), '{}') INTO vSesiones
+  FROM CC.SesionEntrenamiento se
+  JOIN CC.AsignacionVariable av ON av.id = se.asignacionVariable
+  WHERE se.fechaArchivado < vLimite OR av.entrenamientoCognitivo = ANY (vEntrenamientos);
+
+  IF NOT pSimular THEN
+    DELETE FROM CC.SesionEntrenamiento WHERE id = ANY (vSesiones);
+    DELETE FROM CC.AsignacionVariable WHERE entrenamientoCognitivo = ANY (vEntrenamientos);
+    DELETE FROM CC.EntrenadorEntrenamiento WHERE entrenamientoCognitivo = ANY (vEntrenamientos);
+    DELETE FROM CC.EntrenamientoCognitivo WHERE id = ANY (vEntrenamientos);
+    DELETE FROM CC.EstudiantePrograma WHERE estudiante = ANY (vEstudiantes);
+    DELETE FROM CC.Estudiante WHERE id = ANY (vEstudiantes);
+  END IF;
+
+  RETURN QUERY SELECT cardinality(vEstudiantes), cardinality(vEntrenamientos), cardinality(vSesiones);
+END;
+$$;
@@ -0,0 +1,85 @@
+-- Datos personales de los estudiantes (Habeas Data, Ley 1581 de 2012).
+-- Anonimizar reemplaza los datos que identifican al estudiante por valores de relleno que no se pueden revertir y borra
+-- las copias de esos datos que quedan en otras tablas (auditoría, notificaciones, respuestas idempotentes). Los
+-- entrenamientos, sesiones, métricas y programas se conservan para que las estadísticas agregadas no cambien.
+-- El género y los programas no se anonimizan: son categorías de catálogo que no identifican a nadie por sí solas.
+
+ALTER TABLE CC.Estudiante
+  ADD COLUMN IF NOT EXISTS fechaAnonimizado TIMESTAMP NULL;
+
+-- Anonimiza al estudiante pEstudianteId si no lo estaba. Devuelve cuántos registros se modificaron en cada tabla;
+-- estudiantes = 0 si no existe o ya estaba anonimizado.
+CREATE OR REPLACE FUNCTION CC.AnonimizarEstudianteUFT(pEstudianteId UUID)
+RETURNS TABLE (estudiantes INTEGER, sesiones INTEGER, auditoria INTEGER, notificaciones INTEGER, solicitudes INTEGER)
+LANGUAGE plpgsql AS $$
+DECLARE
+  vDocumento TEXT;
+  vIdentificadores TEXT[];
+  vPatrones TEXT[];
+  vNombre TEXT;
+  vEstudiantes INTEGER;
+  vSesiones INTEGER := 0;
+  vAuditoria INTEGER := 0;
+  vNotificaciones INTEGER := 0;
+  vSolicitudes INTEGER := 0;
+BEGIN
+  SELECT td.sigla || '-' || e.numeroDocumento, e.nombres || ' ' || e.apellidos,
+    array_remove(ARRAY[e.numeroDocumento, e.correo], NULL)
+  INTO vDocumento, vNombre, vIdentificadores
+  FROM CC.Estudiante e
+  JOIN CC.TipoDocumento td ON td.id = e.tipoDocumento
+  WHERE e.id = pEstudianteId AND e.fechaAnonimizado IS NULL
+  FOR UPDATE OF e;
+
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT 0, 0, 0, 0, 0;
+    RETURN;
+  END IF;
+
+  -- Valores de relleno aleatorios: no se derivan de los datos originales. El documento sigue siendo numérico,
+  -- como los reales, pero con 12 dígitos para no coincidir con ninguno.
+  UPDATE CC.Estudiante
+  SET nombres = 'Anonimizado',
+      apellidos = 'Anonimizado',
+      numeroDocumento = '9' || lpad(floor(random() * 1e11)::bigint::text, 11, '0'),
+      correo = 'anonimo-' || substr(md5(gen_random_uuid()::text), 1, 12) || '@anonimizado.invalid',
+      fechaNacimiento = DATE '1900-01-01',
+      fechaAnonimizado = CURRENT_TIMESTAMP
+  WHERE id = pEstudianteId;
+  GET DIAGNOSTICS vEstudiantes = ROW_COUNT;
+
+  -- Las observaciones son texto libre y pueden mencionar al estudiante.
+  UPDATE CC.SesionEntrenamiento se
+  SET observacion = NULL
+  FROM CC.AsignacionVariable av
+  JOIN CC.EntrenamientoCognitivo ec ON ec.id = av.entrenamientoCognitivo
+  WHERE av.id = se.asignacionVariable AND ec.estudiante = pEstudianteId AND se.observacion IS NOT NULL;
+  GET DIAGNOSTICS vSesiones = ROW_COUNT;
+
+  -- Copias en JSON: se buscan como valores completos ("1039456789"), no como subcadenas.
+  vPatrones := ARRAY(SELECT '%"' || i || '"%' FROM unnest(vIdentificadores) AS i);
+
+  -- La auditoría conserva quién hizo qué y cuándo, sin el contenido de los registros del estudiante.
+  UPDATE CC.Auditoria a
+  SET antes = NULL, despues = NULL, cambios = NULL,
+      metadatos = COALESCE(a.metadatos, '{}'::jsonb) || '{"anonimizado": true}'::jsonb
+  WHERE (a.entidad = 'estudiante' AND a.entidadId IN (pEstudianteId::text, vDocumento))
+     OR concat_ws(' ', a.antes::text, a.despues::text, a.cambios::text) LIKE ANY (vPatrones);
+  GET DIAGNOSTICS vAuditoria = ROW_COUNT;
+
+  UPDATE CC.Notificacion n
+  SET asunto = replace(n.asunto, vNombre, 'Estudiante anonimizado'),
+      cuerpo = replace(n.cuerpo, vNombre, 'Estudiante anonimizado'),
+      datos = n.datos || '{"estudiante": "Estudiante anonimizado"}'::jsonb
+  WHERE n.datos->>'estudiante' = vNombre
+    AND (n.datos->>'entrenamientoId')::uuid IN (SELECT ec.id FROM CC.EntrenamientoCognitivo ec WHERE ec.estudiante = pEstudianteId);
+  GET DIAGNOSTICS vNotificaciones = ROW_COUNT;
+
+  -- Un reintento de una clave borrada vuelve a ejecutar la operación, que ya no encontrará los datos originales.
+  DELETE FROM CC.SolicitudIdempotente s
+  WHERE s.respuesta::text LIKE ANY (vPatrones);
+  GET DIAGNOSTICS vSolicitudes = ROW_COUNT;
+
+  RETURN QUERY SELECT vEstudiantes, vSesiones, vAuditoria, vNotificaciones, vSolicitudes;
+END;
+$$;
@@ -0,0 +1,102 @@
+-- Administración de los catálogos: facultades, programas, tipos de documento, géneros y variables cognitivas.
+-- Cada catálogo tiene un orden de presentación y se puede desactivar: un valor inactivo deja de ofrecerse en las listas
+-- y no se puede usar en registros nuevos, pero los registros que ya lo usan lo conservan. Un valor en uso no se borra.
+-- CC.VariableCognitiva ya tenía la columna activa.
+
+ALTER TABLE CC.Facultad
+  ADD COLUMN IF NOT EXISTS activo BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS orden  INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE CC.Programa
+  ADD COLUMN IF NOT EXISTS activo BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS orden  INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE CC.TipoDocumento
+  ADD COLUMN IF NOT EXISTS activo BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS orden  INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE CC.Genero
+  ADD COLUMN IF NOT EXISTS activo BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS orden  INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE CC.VariableCognitiva
+  ADD COLUMN IF NOT EXISTS orden  INTEGER NOT NULL DEFAULT 0;
+
+-- Orden inicial: alfabético, como se listaban hasta ahora.
+UPDATE CC.Facultad c SET orden = o.posicion
+FROM (SELECT id, row_number() OVER (ORDER BY nombre) AS posicion FROM CC.Facultad) o
+WHERE o.id = c.id AND c.orden = 0;
+UPDATE CC.Programa c SET orden = o.posicion
+FROM (SELECT id, row_number() OVER (ORDER BY nombre) AS posicion FROM CC.Programa) o
+WHERE o.id = c.id AND c.orden = 0;
+UPDATE CC.TipoDocumento c SET orden = o.posicion
+FROM (SELECT id, row_number() OVER (ORDER BY nombre) AS posicion FROM CC.TipoDocumento) o
+WHERE o.id = c.id AND c.orden = 0;
+UPDATE CC.Genero c SET orden = o.posicion
+FROM (SELECT id, row_number() OVER (ORDER BY nombre) AS posicion FROM CC.Genero) o
+WHERE o.id = c.id AND c.orden = 0;
+UPDATE CC.VariableCognitiva c SET orden = o.posicion
+FROM (SELECT id, row_number() OVER (ORDER BY nombre) AS posicion FROM CC.VariableCognitiva) o
+WHERE o.id = c.id AND c.orden = 0;
+
+-- Los nombres (y las siglas) identifican los valores en los formularios y en la importación de estudiantes.
+CREATE UNIQUE INDEX IF NOT EXISTS CCfacultad001UQ ON CC.Facultad (lower(nombre));
+CREATE UNIQUE INDEX IF NOT EXISTS CCprograma001UQ ON CC.Programa (lower(nombre));
+CREATE UNIQUE INDEX IF NOT EXISTS CCtipodocumento001UQ ON CC.TipoDocumento (upper(sigla));
+CREATE UNIQUE INDEX IF NOT EXISTS CCgenero001UQ ON CC.Genero (lower(nombre));
+CREATE UNIQUE INDEX IF NOT EXISTS CCvariablecognitiva001UQ ON CC.VariableCognitiva (lower(nombre));
+
+-- Rechaza que un registro nuevo (o modificado) apunte a un valor inactivo de un catálogo.
+-- Argumentos: tabla del catálogo, columna del registro que lo referencia, columna "activo" del catálogo y nombre para el mensaje.
+CREATE OR REPLACE FUNCTION CC.ValidarCatalogoActivoUFT()
+RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+DECLARE
+  vValor TEXT := to_jsonb(NEW) ->> lower(TG_ARGV[1]);
+  vActivo BOOLEAN;
+BEGIN
+  IF vValor IS NULL OR (TG_OP = 'UPDATE' AND vValor IS NOT DISTINCT FROM to_jsonb(OLD) ->> lower(TG_ARGV[1])) THEN
+    RETURN NEW;
+  END IF;
+  EXECUTE format('SELECT %I FROM CC.%I WHERE id = $1', TG_ARGV[2], TG_ARGV[0]) INTO vActivo USING vValor::uuid;
+  IF vActivo IS FALSE THEN
+    RAISE EXCEPTION 'El valor del catálogo % está inactivo.', TG_ARGV[3];
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS CCestudiante001TG ON CC.Estudiante;
+CREATE TRIGGER CCestudiante001TG
+BEFORE INSERT OR UPDATE OF tipoDocumento ON CC.Estudiante
+FOR EACH ROW EXECUTE FUNCTION CC.ValidarCatalogoActivoUFT('tipodocumento', 'tipoDocumento', 'activo', 'tipo de documento');
+
+DROP TRIGGER IF EXISTS CCestudiante002TG ON CC.Estudiante;
+CREATE TRIGGER CCestudiante002TG
+BEFORE INSERT OR UPDATE OF genero ON CC.Estudiante
+FOR EACH ROW EXECUTE FUNCTION CC.ValidarCatalogoActivoUFT('genero', 'genero', 'activo', 'género');
+
+DROP TRIGGER IF EXISTS CCestudianteprograma001TG ON CC.EstudiantePrograma;
+CREATE TRIGGER CCestudianteprograma001TG
+BEFORE INSERT OR UPDATE OF programa ON CC.EstudiantePrograma
+FOR EACH ROW EXECUTE FUNCTION CC.ValidarCatalogoActivoUFT('programa', 'programa', 'activo', 'programa');
+
+DROP TRIGGER IF EXISTS CCprograma001TG ON CC.Programa;
+CREATE TRIGGER CCprograma001TG
+BEFORE INSERT OR UPDATE OF facultad ON CC.Programa
+FOR EACH ROW EXECUTE FUNCTION CC.ValidarCatalogoActivoUFT('facultad', 'facultad', 'activo', 'facultad');
+
+DROP TRIGGER IF EXISTS CCentrenadorfacultad001TG ON CC.EntrenadorFacultad;
+CREATE TRIGGER CCentrenadorfacultad001TG
+BEFORE INSERT OR UPDATE OF facultad ON CC.EntrenadorFacultad
+FOR EACH ROW EXECUTE FUNCTION CC.ValidarCatalogoActivoUFT('facultad', 'facultad', 'activo', 'facultad');
+
+DROP TRIGGER IF EXISTS CCcoordinador001TG ON CC.Coordinador;
+CREATE TRIGGER CCcoordinador001TG
+BEFORE INSERT OR UPDATE OF facultad ON CC.Coordinador
+FOR EACH ROW EXECUTE FUNCTION CC.ValidarCatalogoActivoUFT('facultad', 'facultad', 'activo', 'facultad');
+
+DROP TRIGGER IF EXISTS CCasignacionvariable001TG ON CC.AsignacionVariable;
+CREATE TRIGGER CCasignacionvariable001TG
+BEFORE INSERT OR UPDATE OF variableCognitiva ON CC.AsignacionVariable
+FOR EACH ROW EXECUTE FUNCTION CC.ValidarCatalogoActivoUFT('variablecognitiva', 'variableCognitiva', 'activa', 'variable cognitiva');
@@ -0,0 +1,88 @@
+-- Portal del estudiante: tercer rol autenticado ('estudiante'). El estudiante inicia sesión con su correo institucional
+-- (CC.Estudiante.correo) y una contraseña o un código de un solo uso enviado a ese correo. Ve sus entrenamientos, sus
+-- sesiones planificadas y su progreso por variable, actualiza su correo de contacto y pide cambios de fecha de sus
+-- sesiones planificadas, que aprueba o rechaza el entrenador.
+
+ALTER TABLE CC.CredencialUsuario DROP CONSTRAINT IF EXISTS CCcredencialusuario001CK;
+ALTER TABLE CC.CredencialUsuario
+  ADD CONSTRAINT CCcredencialusuario001CK CHECK (rol IN ('admin', 'entrenador', 'coordinador', 'estudiante'));
+
+-- Correo personal donde el estudiante prefiere recibir las notificaciones; el institucional no cambia.
+ALTER TABLE CC.Estudiante
+  ADD COLUMN IF NOT EXISTS correoContacto VARCHAR(150) NULL;
+
+-- Códigos de acceso de un solo uso. Solo se almacena el hash SHA-256 del código; el código en claro solo viaja en el correo.
+-- Un código nuevo reemplaza al anterior sin usar del mismo usuario.
+CREATE TABLE IF NOT EXISTS CC.CodigoAcceso (
+  id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  usuario         UUID NOT NULL,
+  rol             VARCHAR(20) NOT NULL,
+  hashCodigo      CHAR(64) NOT NULL,
+  intentos        SMALLINT NOT NULL DEFAULT 0,
+  fechaCreacion   TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fechaExpiracion TIMESTAMP NOT NULL,
+  fechaUso        TIMESTAMP NULL
+);
+
+CREATE INDEX IF NOT EXISTS CCcodigoacceso001IX ON CC.CodigoAcceso (usuario, rol) WHERE fechaUso IS NULL;
+
+-- Solicitudes de cambio de fecha de una sesión planificada. Al aprobarse, la sesión se mueve al horario propuesto.
+CREATE TABLE IF NOT EXISTS CC.SolicitudCambioSesion (
+  id                UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  sesionPlanificada UUID NOT NULL REFERENCES CC.SesionPlanificada (id) ON DELETE CASCADE,
+  estudiante        UUID NOT NULL,
+  entrenador        UUID NOT NULL,
+  inicioAnterior    TIMESTAMP NOT NULL,
+  finAnterior       TIMESTAMP NOT NULL,
+  inicioPropuesto   TIMESTAMP NOT NULL,
+  finPropuesto      TIMESTAMP NOT NULL,
+  motivo            VARCHAR(500) NULL,
+  estado            VARCHAR(20) NOT NULL DEFAULT 'pendiente',
+  respuesta         VARCHAR(500) NULL,
+  resueltaPor       UUID NULL,
+  rolResueltaPor    VARCHAR(20) NULL,
+  fechaSolicitud    TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fechaResolucion   TIMESTAMP NULL,
+  CONSTRAINT CCsolicitudcambiosesion001CK CHECK (estado IN ('pendiente', 'aprobada', 'rechazada')),
+  CONSTRAINT CCsolicitudcambiosesion002CK CHECK (inicioPropuesto < finPropuesto)
+);
+
+-- Una sola solicitud pendiente por sesión.
+CREATE UNIQUE INDEX IF NOT EXISTS CCsolicitudcambiosesion001UQ ON CC.SolicitudCambioSesion (sesionPlanificada)
+  WHERE estado = 'pendiente';
+CREATE INDEX IF NOT EXISTS CCsolicitudcambiosesion001IX ON CC.SolicitudCambioSesion (entrenador, estado);
+CREATE INDEX IF NOT EXISTS CCsolicitudcambiosesion002IX ON CC.SolicitudCambioSesion (estudiante, fechaSolicitud);
+
+-- Al anonimizar un estudiante (CC.AnonimizarEstudianteUFT) se borra su correo de contacto, su acceso al portal
+-- (credencial, códigos y sesiones abiertas), su bandeja de notificaciones y el texto libre de sus solicitudes.
+CREATE OR REPLACE FUNCTION CC.AnonimizarPortalEstudianteUFT()
+RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  NEW.correoContacto := NULL;
+
+  DELETE FROM CC.CredencialUsuario WHERE usuario = NEW.id AND rol = 'estudiante';
+  DELETE FROM CC.CodigoAcceso WHERE usuario = NEW.id AND rol = 'estudiante';
+  UPDATE CC.TokenRefresco
+  SET fechaRevocacion = CURRENT_TIMESTAMP, motivoRevocacion = 'anonimizacion'
+  WHERE usuario = NEW.id AND rol = 'estudiante' AND fechaRevocacion IS NULL;
+  DELETE FROM CC.Notificacion WHERE destinatario = NEW.id AND rolDestinatario = 'estudiante';
+  DELETE FROM CC.PreferenciaNotificacion WHERE usuario = NEW.id AND rol = 'estudiante';
+
+  UPDATE CC.SolicitudCambioSesion SET motivo = NULL, respuesta = NULL WHERE estudiante = NEW.id;
+  UPDATE CC.Auditoria a
+  SET antes = NULL, despues = NULL, cambios = NULL,
+      metadatos = COALESCE(a.metadatos, '{}'::jsonb) || '{"anonimizado": true}'::jsonb
+  WHERE a.entidad = 'solicitud-cambio-sesion'
+    AND a.entidadId IN (SELECT s.id::text FROM CC.SolicitudCambioSesion s WHERE s.estudiante = NEW.id);
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS CCestudiante003TG ON CC.Estudiante;
+CREATE TRIGGER CCestudiante003TG
+  BEFORE UPDATE OF fechaAnonimizado ON CC.Estudiante
+  FOR EACH ROW
+  WHEN (OLD.fechaAnonimizado IS NULL AND NEW.fechaAnonimizado IS NOT NULL)
+  EXECUTE FUNCTION CC.AnonimizarPortalEstudianteUFT();
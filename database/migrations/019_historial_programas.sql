@@ -0,0 +1,158 @@
+-- Historial de matrícula de los estudiantes en los programas. Cada matrícula tiene semestre (YYYY-1 o YYYY-2), fecha de
+-- inicio y fecha de fin; un estudiante puede estar matriculado en varios programas a la vez y pasar de uno a otro entre
+-- semestres. CC.EstudiantePrograma sigue siendo la lista de programas vigentes (la usan el alcance por facultad, los
+-- filtros y los informes) y siempre coincide con las matrículas abiertas: los cambios que se hacen directamente en
+-- CC.EstudiantePrograma (registro e importación de estudiantes, modificación de la lista de programas) abren y cierran
+-- matrículas con la fecha del día, y las operaciones de matrícula del backend actualizan las dos tablas en la misma
+-- transacción. Por eso las fechas de inicio y de fin no pueden ser futuras.
+
+-- Semestre al que pertenece una fecha: enero a junio es el primero; julio a diciembre, el segundo.
+CREATE OR REPLACE FUNCTION CC.SemestreDeFechaUFS(pFecha DATE)
+RETURNS VARCHAR
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT to_char(pFecha, 'YYYY') || '-' || CASE WHEN EXTRACT(MONTH FROM pFecha) <= 6 THEN '1' ELSE '2' END;
+$$;
+
+-- fechaInicio nula: matrícula anterior al historial (se cargó con esta migración); vale para cualquier fecha pasada.
+-- fechaFin es el día en que el estudiante dejó el programa (ese día ya no pertenece); nula mientras siga abierta.
+CREATE TABLE IF NOT EXISTS CC.MatriculaPrograma (
+  id             UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  estudiante     UUID NOT NULL REFERENCES CC.Estudiante (id) ON DELETE CASCADE,
+  programa       UUID NOT NULL REFERENCES CC.Programa (id),
+  semestre       VARCHAR(6) NULL,
+  fechaInicio    DATE NULL,
+  fechaFin       DATE NULL,
+  motivoCierre   VARCHAR(20) NULL,
+  motivo         VARCHAR(500) NULL,
+  trasladoDe     UUID NULL REFERENCES CC.MatriculaPrograma (id),
+  creadoPor      UUID NULL,
+  rolCreadoPor   VARCHAR(20) NULL,
+  cerradoPor     UUID NULL,
+  rolCerradoPor  VARCHAR(20) NULL,
+  fechaRegistro  TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fechaCierre    TIMESTAMP NULL,
+  CONSTRAINT CCmatriculaprograma001CK CHECK (semestre ~ '^\d{4}-[12]$'),
+  CONSTRAINT CCmatriculaprograma002CK CHECK (fechaFin >= fechaInicio),
+  CONSTRAINT CCmatriculaprograma003CK CHECK (motivoCierre IN ('cierre', 'traslado', 'modificacion')),
+  CONSTRAINT CCmatriculaprograma004CK CHECK ((fechaFin IS NULL) = (motivoCierre IS NULL))
+);
+
+-- Una sola matrícula abierta por estudiante y programa.
+CREATE UNIQUE INDEX IF NOT EXISTS CCmatriculaprograma001UQ ON CC.MatriculaPrograma (estudiante, programa)
+  WHERE fechaFin IS NULL;
+CREATE INDEX IF NOT EXISTS CCmatriculaprograma001IX ON CC.MatriculaPrograma (programa, fechaInicio, fechaFin);
+
+-- Las matrículas vigentes hoy se cargan sin fecha de inicio ni semestre: no se sabe desde cuándo existen.
+INSERT INTO CC.MatriculaPrograma (estudiante, programa)
+SELECT ep.estudiante, ep.programa
+FROM CC.EstudiantePrograma ep
+WHERE NOT EXISTS (
+  SELECT 1 FROM CC.MatriculaPrograma m
+  WHERE m.estudiante = ep.estudiante AND m.programa = ep.programa AND m.fechaFin IS NULL
+);
+
+-- Verdadero si una matrícula con esas fechas está vigente en pFecha.
+CREATE OR REPLACE FUNCTION CC.MatriculaVigenteUFS(pFechaInicio DATE, pFechaFin DATE, pFecha DATE)
+RETURNS BOOLEAN
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT (pFechaInicio IS NULL OR pFechaInicio <= pFecha) AND (pFechaFin IS NULL OR pFechaFin > pFecha);
+$$;
+
+-- Mantiene el historial cuando CC.EstudiantePrograma cambia por fuera de las operaciones de matrícula: quitar un
+-- programa cierra su matrícula abierta con la fecha del día (motivo 'modificacion') y agregarlo abre una. Si la lista
+-- se reemplaza completa (borrar y volver a insertar), la matrícula cerrada hoy por ese reemplazo se reabre en lugar de
+-- crear otra. Las operaciones de matrícula escriben primero CC.MatriculaPrograma, así que aquí no encuentran nada que hacer.
+CREATE OR REPLACE FUNCTION CC.SincronizarMatriculaProgramaUFT()
+RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND OLD.estudiante = NEW.estudiante AND OLD.programa = NEW.programa THEN
+    RETURN NULL;
+  END IF;
+
+  IF TG_OP IN ('DELETE', 'UPDATE') THEN
+    UPDATE CC.MatriculaPrograma
+    SET fechaFin = GREATEST(CURRENT_DATE, COALESCE(fechaInicio, CURRENT_DATE)), motivoCierre = 'modificacion',
+        fechaCierre = CURRENT_TIMESTAMP
+    WHERE estudiante = OLD.estudiante AND programa = OLD.programa AND fechaFin IS NULL;
+  END IF;
+
+  IF TG_OP IN ('INSERT', 'UPDATE') AND NOT EXISTS (
+    SELECT 1 FROM CC.MatriculaPrograma
+    WHERE estudiante = NEW.estudiante AND programa = NEW.programa AND fechaFin IS NULL
+  ) THEN
+    UPDATE CC.MatriculaPrograma
+    SET fechaFin = NULL, motivoCierre = NULL, fechaCierre = NULL
+    WHERE id = (
+      SELECT m.id FROM CC.MatriculaPrograma m
+      WHERE m.estudiante = NEW.estudiante AND m.programa = NEW.programa
+        AND m.motivoCierre = 'modificacion' AND m.fechaCierre::date = CURRENT_DATE
+      ORDER BY m.fechaCierre DESC
+      LIMIT 1
+    );
+    IF NOT FOUND THEN
+      INSERT INTO CC.MatriculaPrograma (estudiante, programa, semestre, fechaInicio)
+      VALUES (NEW.estudiante, NEW.programa, CC.SemestreDeFechaUFS(CURRENT_DATE), CURRENT_DATE);
+    END IF;
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS CCestudianteprograma002TG ON CC.EstudiantePrograma;
+CREATE TRIGGER CCestudianteprograma002TG
+  AFTER INSERT OR DELETE OR UPDATE OF estudiante, programa ON CC.EstudiantePrograma
+  FOR EACH ROW
+  EXECUTE FUNCTION CC.SincronizarMatriculaProgramaUFT();
+
+-- Estudiantes de una facultad en una fecha: los que tenían alguna matrícula vigente ese día en un programa de la
+-- facultad. Devuelve las mismas columnas que CC.obtenerestudiantesporfacultaduft, con el entrenamiento no archivado
+-- más reciente que había empezado en esa fecha.
+CREATE OR REPLACE FUNCTION CC.EstudiantesPorFacultadEnFechaUFT(pFacultad UUID, pFecha DATE)
+RETURNS TABLE (
+  nombre_estudiante TEXT,
+  apellido_estudiante TEXT,
+  numero_documento_estudiante TEXT,
+  tipo_documento TEXT,
+  estado_entrenamiento TEXT,
+  fecha_inicio_entrenamiento TIMESTAMP
+)
+LANGUAGE sql STABLE AS $$
+  SELECT e.nombres::text, e.apellidos::text, e.numeroDocumento::text, td.sigla::text,
+    ent.estadoentrenamiento::text, ent.fechainicioentrenamiento::timestamp
+  FROM CC.Estudiante e
+  JOIN CC.TipoDocumento td ON td.id = e.tipoDocumento
+  LEFT JOIN LATERAL (
+    SELECT l.estadoentrenamiento, l.fechainicioentrenamiento
+    FROM CC.AdminListaEntrenamientosUV l
+    JOIN CC.EntrenamientoCognitivo ec ON ec.id = l.entrenamientoid
+    WHERE ec.estudiante = e.id AND ec.fechaArchivado IS NULL AND l.fechainicioentrenamiento::date <= pFecha
+    ORDER BY l.fechainicioentrenamiento DESC
+    LIMIT 1
+  ) ent ON TRUE
+  WHERE EXISTS (
+    SELECT 1
+    FROM CC.MatriculaPrograma m
+    JOIN CC.Programa p ON p.id = m.programa
+    WHERE m.estudiante = e.id AND p.facultad = pFacultad AND CC.MatriculaVigenteUFS(m.fechaInicio, m.fechaFin, pFecha)
+  );
+$$;
+
+-- Al anonimizar un estudiante se borra el texto libre de sus matrículas. Las operaciones de matrícula se auditan sobre
+-- el estudiante, así que CC.AnonimizarEstudianteUFT ya limpia su auditoría.
+CREATE OR REPLACE FUNCTION CC.AnonimizarMatriculasEstudianteUFT()
+RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  UPDATE CC.MatriculaPrograma SET motivo = NULL WHERE estudiante = NEW.id;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS CCestudiante004TG ON CC.Estudiante;
+CREATE TRIGGER CCestudiante004TG
+  BEFORE UPDATE OF fechaAnonimizado ON CC.Estudiante
+  FOR EACH ROW
+  WHEN (OLD.fechaAnonimizado IS NULL AND NEW.fechaAnonimizado IS NOT NULL)
+  EXECUTE FUNCTION CC.AnonimizarMatriculasEstudianteUFT();
@@ -0,0 +1,99 @@
+-- Periodos académicos (semestres como 2026-1 y 2026-2) que administran los administradores. Cada entrenamiento
+-- pertenece a un periodo: al crearse se asigna al que contiene su fecha de inicio, y los listados e informes se pueden
+-- limitar a un periodo. Al cerrar un periodo, sus entrenamientos abiertos se cierran o se trasladan al periodo
+-- siguiente según la política elegida; un entrenamiento trasladado pertenece a los dos periodos (cerrado como
+-- 'trasladado' en el de origen y abierto en el de destino), así que aparece en los informes de ambos.
+
+-- fechaFin es el último día del periodo. Los periodos no se superponen.
+CREATE TABLE IF NOT EXISTS CC.PeriodoAcademico (
+  id             UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  codigo         VARCHAR(6) NOT NULL,
+  fechaInicio    DATE NOT NULL,
+  fechaFin       DATE NOT NULL,
+  estado         VARCHAR(10) NOT NULL DEFAULT 'abierto',
+  politicaCierre VARCHAR(30) NULL,
+  motivoCierre   VARCHAR(500) NULL,
+  creadoPor      UUID NULL,
+  rolCreadoPor   VARCHAR(20) NULL,
+  cerradoPor     UUID NULL,
+  rolCerradoPor  VARCHAR(20) NULL,
+  fechaRegistro  TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fechaCierre    TIMESTAMP NULL,
+  CONSTRAINT CCperiodoacademico001UQ UNIQUE (codigo),
+  CONSTRAINT CCperiodoacademico001CK CHECK (codigo ~ '^\d{4}-[12]$'),
+  CONSTRAINT CCperiodoacademico002CK CHECK (fechaFin >= fechaInicio),
+  CONSTRAINT CCperiodoacademico003CK CHECK (estado IN ('abierto', 'cerrado')),
+  CONSTRAINT CCperiodoacademico004CK CHECK (politicaCierre IN ('cerrar', 'trasladar', 'trasladarEnProgreso')),
+  CONSTRAINT CCperiodoacademico005CK CHECK ((estado = 'cerrado') = (fechaCierre IS NOT NULL)),
+  CONSTRAINT CCperiodoacademico001EX EXCLUDE USING gist (daterange(fechaInicio, fechaFin, '[]') WITH &&)
+);
+
+-- Pertenencia de los entrenamientos a los periodos. Un entrenamiento tiene a lo sumo un periodo abierto; trasladoDe es
+-- el periodo del que llegó por traslado (nulo en el periodo que contiene su fecha de inicio).
+CREATE TABLE IF NOT EXISTS CC.EntrenamientoPeriodo (
+  entrenamiento  UUID NOT NULL REFERENCES CC.EntrenamientoCognitivo (id) ON DELETE CASCADE,
+  periodo        UUID NOT NULL REFERENCES CC.PeriodoAcademico (id),
+  estado         VARCHAR(10) NOT NULL DEFAULT 'abierto',
+  trasladoDe     UUID NULL REFERENCES CC.PeriodoAcademico (id),
+  fechaRegistro  TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fechaCierre    TIMESTAMP NULL,
+  PRIMARY KEY (entrenamiento, periodo),
+  CONSTRAINT CCentrenamientoperiodo001CK CHECK (estado IN ('abierto', 'cerrado', 'trasladado')),
+  CONSTRAINT CCentrenamientoperiodo002CK CHECK ((estado = 'abierto') = (fechaCierre IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS CCentrenamientoperiodo001UQ ON CC.EntrenamientoPeriodo (entrenamiento) WHERE estado = 'abierto';
+CREATE INDEX IF NOT EXISTS CCentrenamientoperiodo001IX ON CC.EntrenamientoPeriodo (periodo, estado);
+
+-- Crea los semestres (enero a junio y julio a diciembre, como CC.SemestreDeFechaUFS) desde el del entrenamiento más
+-- antiguo hasta el actual, y asigna cada entrenamiento al que contiene su fecha de inicio.
+INSERT INTO CC.PeriodoAcademico (codigo, fechaInicio, fechaFin)
+SELECT CC.SemestreDeFechaUFS(s.inicio::date), s.inicio::date, (s.inicio + INTERVAL '6 months' - INTERVAL '1 day')::date
+FROM generate_series(
+  (SELECT make_date(EXTRACT(YEAR FROM d)::int, CASE WHEN EXTRACT(MONTH FROM d) <= 6 THEN 1 ELSE 7 END, 1)
+   FROM (SELECT LEAST(MIN(fechaInicio)::date, CURRENT_DATE) AS d FROM CC.EntrenamientoCognitivo) minimo),
+  CURRENT_DATE,
+  INTERVAL '6 months'
+) AS s(inicio)
+ON CONFLICT (codigo) DO NOTHING;
+
+INSERT INTO CC.EntrenamientoPeriodo (entrenamiento, periodo)
+SELECT ec.id, pa.id
+FROM CC.EntrenamientoCognitivo ec
+JOIN CC.PeriodoAcademico pa ON COALESCE(ec.fechaInicio::date, CURRENT_DATE) BETWEEN pa.fechaInicio AND pa.fechaFin
+ON CONFLICT DO NOTHING;
+
+-- Periodo actual de cada entrenamiento: el abierto o, si ya no tiene, el último al que perteneció.
+CREATE OR REPLACE VIEW CC.PeriodoActualEntrenamientoUV AS
+SELECT DISTINCT ON (ep.entrenamiento)
+  ep.entrenamiento, pa.id AS periodoId, pa.codigo AS periodo, ep.estado
+FROM CC.EntrenamientoPeriodo ep
+JOIN CC.PeriodoAcademico pa ON pa.id = ep.periodo
+ORDER BY ep.entrenamiento, ep.estado = 'abierto' DESC, pa.fechaInicio DESC;
+
+-- Asigna cada entrenamiento nuevo al periodo que contiene su fecha de inicio. Sin un periodo abierto para esa fecha
+-- el entrenamiento no se crea: un administrador debe crear el periodo (o el entrenamiento empezar en uno abierto).
+CREATE OR REPLACE FUNCTION CC.AsignarPeriodoEntrenamientoUFT()
+RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+DECLARE
+  vFecha DATE := COALESCE(NEW.fechaInicio::date, CURRENT_DATE);
+  vPeriodo CC.PeriodoAcademico%ROWTYPE;
+BEGIN
+  SELECT * INTO vPeriodo FROM CC.PeriodoAcademico WHERE vFecha BETWEEN fechaInicio AND fechaFin;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No hay un periodo académico que contenga la fecha %; un administrador debe crearlo.', vFecha;
+  END IF;
+  IF vPeriodo.estado <> 'abierto' THEN
+    RAISE EXCEPTION 'El periodo académico % está cerrado y no admite entrenamientos nuevos.', vPeriodo.codigo;
+  END IF;
+  INSERT INTO CC.EntrenamientoPeriodo (entrenamiento, periodo) VALUES (NEW.id, vPeriodo.id);
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS CCentrenamientocognitivo001TG ON CC.EntrenamientoCognitivo;
+CREATE TRIGGER CCentrenamientocognitivo001TG
+  AFTER INSERT ON CC.EntrenamientoCognitivo
+  FOR EACH ROW
+  EXECUTE FUNCTION CC.AsignarPeriodoEntrenamientoUFT();
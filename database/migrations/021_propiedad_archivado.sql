@@ -0,0 +1,17 @@
+-- Propiedad de entrenamientos: archivar o restaurar un entrenamiento (y sus sesiones) exige que el entrenador esté
+-- vinculado a él en CC.EntrenadorEntrenamiento, igual que las demás modificaciones de sesiones y asignaciones
+-- (005_propiedad_entrenamiento.sql). Los overrides de administrador sobre entrenamientos quedan en CC.OverridePropiedad.
+
+CREATE OR REPLACE FUNCTION CC.EntrenamientoDeEntrenadorUFS(pEntrenador UUID, pEntrenamiento UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM CC.EntrenadorEntrenamiento ee
+    WHERE ee.entrenamientoCognitivo = pEntrenamiento AND ee.entrenador = pEntrenador
+  );
+$$;
+
+ALTER TABLE CC.OverridePropiedad DROP CONSTRAINT IF EXISTS CCoverridepropiedad001CK;
+ALTER TABLE CC.OverridePropiedad
+  ADD CONSTRAINT CCoverridepropiedad001CK CHECK (tipo IN ('sesion', 'asignacion', 'entrenamiento'));
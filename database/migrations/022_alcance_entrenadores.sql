@@ -0,0 +1,21 @@
+-- Alcance sobre los datos de un entrenador consultados por su correo (facultades y datos personales).
+-- Un entrenador ve sus propios datos y los de los entrenadores que comparten alguna de sus facultades; un coordinador,
+-- los de los entrenadores de su facultad. Como en 004_alcance_facultad.sql, los administradores no se consultan aquí.
+
+CREATE OR REPLACE FUNCTION CC.EntrenadorCorreoEnAlcanceUFS(pUsuario UUID, pRol VARCHAR, pCorreo VARCHAR)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM CC.Entrenador e
+    WHERE e.correo = pCorreo
+      AND (
+        (pRol = 'entrenador' AND e.id = pUsuario)
+        OR EXISTS (
+          SELECT 1 FROM CC.EntrenadorFacultad ef
+          WHERE ef.entrenador = e.id
+            AND ef.facultad IN (SELECT facultad FROM CC.FacultadesUsuarioUFT(pUsuario, pRol))
+        )
+      )
+  );
+$$;
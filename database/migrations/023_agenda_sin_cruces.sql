@@ -0,0 +1,16 @@
+-- La base de datos impide los cruces de horario de la agenda: dos sesiones planificadas vigentes del mismo entrenador,
+-- o del mismo estudiante, no pueden solaparse. La comprobación previa del backend (buscarCruces) arma la lista de
+-- conflictos para el cliente, pero no evita que dos planes creados a la vez reserven el mismo horario.
+-- Los rangos son semiabiertos, así que una sesión puede empezar justo cuando termina otra.
+-- Si hay sesiones solapadas de antes de esta migración, hay que cancelar una de cada par antes de aplicarla.
+
+-- btree_gist permite combinar la igualdad de UUID con el solapamiento de rangos en un mismo índice gist.
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+ALTER TABLE CC.SesionPlanificada DROP CONSTRAINT IF EXISTS CCsesionplanificada001EX;
+ALTER TABLE CC.SesionPlanificada ADD CONSTRAINT CCsesionplanificada001EX
+  EXCLUDE USING gist (entrenador WITH =, tsrange(inicio, fin) WITH &&) WHERE (NOT cancelada);
+
+ALTER TABLE CC.SesionPlanificada DROP CONSTRAINT IF EXISTS CCsesionplanificada002EX;
+ALTER TABLE CC.SesionPlanificada ADD CONSTRAINT CCsesionplanificada002EX
+  EXCLUDE USING gist (estudiante WITH =, tsrange(inicio, fin) WITH &&) WHERE (NOT cancelada);
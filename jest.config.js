@@ -6,7 +6,7 @@ export default {
   moduleNameMapper: {
     '^(\\.\\./)+models/(.*)$': '<rootDir>/src/__mocks__/models/$2',
     '^(\\.\\./)+config/(.*)$': '<rootDir>/src/__mocks__/config/$2',
-    '^(\\.\\./)+utils/(.*)$': '<rootDir>/src/utils/$2',
+    '^(\\.\\./)+utils/(.*\\.utils?\\.js)$': '<rootDir>/src/utils/$2',
   },
   testMatch: [
     '**/__tests__/**/*.js',
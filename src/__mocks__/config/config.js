@@ -0,0 +1,21 @@
+const config = {
+  entorno: 'test',
+  esProduccion: false,
+  servidor: { puerto: 3001 },
+  log: { nivel: 'debug' },
+  jwt: {
+    secreto: 'clave-secreta-de-pruebas-con-al-menos-32-caracteres',
+    expiraEn: '15m',
+    cambioContrasenaExpiraEn: '15m',
+    refrescoDuracionHoras: 12,
+  },
+  auth: { loginLegadoHabilitado: false, codigoAccesoMinutos: 10, codigoAccesoMaxIntentos: 5 },
+  alertas: { intervaloMinutos: 0 },
+  notificaciones: { intervaloSegundos: 0, maxIntentos: 3, esperaReintentoSegundos: 60 },
+  idempotencia: { vigenciaHoras: 24 },
+  archivado: { retencionDias: 30 },
+  smtp: { host: 'smtp.pruebas.local', puerto: 587, seguro: false, remitente: 'Centralizador <no-responder@pruebas.local>' },
+  db: {},
+};
+
+export default config;
@@ -1,7 +1,29 @@
 import { jest } from '@jest/globals';
 
+/** Cliente dedicado que entrega `pool.connect()`; las pruebas pueden revisar sus consultas (BEGIN, COMMIT, ROLLBACK). */
+export const clienteTransaccion = {
+  query: jest.fn(() => Promise.resolve({ rows: [], rowCount: 0 })),
+  release: jest.fn(),
+};
+
 const pool = {
   query: jest.fn(() => Promise.resolve({ rows: [], rowCount: 0 })),
+  connect: jest.fn(() => Promise.resolve(clienteTransaccion)),
 };
 
-export default pool; 
\ No newline at end of file
+export const conTransaccion = jest.fn(async (trabajo) => {
+  const cliente = await pool.connect();
+  try {
+    await cliente.query('BEGIN');
+    const resultado = await trabajo(cliente);
+    await cliente.query('COMMIT');
+    return resultado;
+  } catch (error) {
+    await cliente.query('ROLLBACK');
+    throw error;
+  } finally {
+    cliente.release();
+  }
+});
+
+export default pool;
@@ -0,0 +1,11 @@
+import { jest } from '@jest/globals';
+
+export const obtenerContextoAsignacion = jest.fn();
+export const obtenerDisponibilidad = jest.fn();
+export const reemplazarDisponibilidad = jest.fn();
+export const buscarCruces = jest.fn();
+export const crearPlan = jest.fn();
+export const obtenerPlanes = jest.fn();
+export const cancelarPlan = jest.fn();
+export const obtenerSesionesPlanificadas = jest.fn();
+export const obtenerSesionesEjecutadas = jest.fn();
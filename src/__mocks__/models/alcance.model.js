@@ -0,0 +1,5 @@
+import { jest } from '@jest/globals';
+
+export const TIPOS_ALCANCE = Object.freeze(['estudiante', 'estudianteDocumento', 'entrenamiento', 'asignacion', 'sesion', 'programas', 'entrenadorCorreo']);
+export const obtenerFacultades = jest.fn();
+export const enAlcance = jest.fn();
@@ -0,0 +1,9 @@
+import { jest } from '@jest/globals';
+
+export const obtenerAsignacionesParaEscaneo = jest.fn();
+export const sincronizarAlertas = jest.fn();
+export const listarAlertas = jest.fn();
+export const obtenerAlerta = jest.fn();
+export const descartarAlerta = jest.fn();
+export const obtenerUmbrales = jest.fn();
+export const guardarUmbrales = jest.fn();
@@ -0,0 +1,7 @@
+import { jest } from '@jest/globals';
+
+export const DIMENSIONES_ANALITICA = Object.freeze(['facultad', 'programa', 'variable', 'entrenador']);
+export const obtenerResumen = jest.fn();
+export const obtenerTasasPorDimension = jest.fn();
+export const obtenerMejoraPorVariable = jest.fn();
+export const obtenerSerieMensual = jest.fn();
@@ -0,0 +1,7 @@
+import { jest } from '@jest/globals';
+
+export const TIPOS_ARCHIVABLES = Object.freeze(['estudiante', 'entrenamiento', 'sesion']);
+export const obtenerEstadoArchivo = jest.fn();
+export const archivar = jest.fn();
+export const restaurar = jest.fn();
+export const purgarArchivados = jest.fn();
@@ -0,0 +1,4 @@
+import { jest } from '@jest/globals';
+
+export const registrar = jest.fn();
+export const buscar = jest.fn();
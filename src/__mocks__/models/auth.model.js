@@ -0,0 +1,14 @@
+import { jest } from '@jest/globals';
+
+export const buscarAdministradorActivo = jest.fn();
+export const buscarEntrenadorActivo = jest.fn();
+export const buscarCoordinadorActivo = jest.fn();
+export const buscarEstudianteActivo = jest.fn();
+export const obtenerCredencial = jest.fn();
+export const guardarCredencial = jest.fn();
+export const existeUsuario = jest.fn();
+export const estaActivo = jest.fn();
+export const guardarCodigoAcceso = jest.fn();
+export const obtenerCodigoAcceso = jest.fn();
+export const registrarIntentoCodigo = jest.fn();
+export const marcarCodigoUsado = jest.fn();
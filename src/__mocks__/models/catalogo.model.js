@@ -0,0 +1,8 @@
+import { jest } from '@jest/globals';
+
+export const listar = jest.fn();
+export const obtenerPorId = jest.fn();
+export const crear = jest.fn();
+export const actualizar = jest.fn();
+export const reordenar = jest.fn();
+export const eliminar = jest.fn();
@@ -0,0 +1,5 @@
+import { jest } from '@jest/globals';
+
+export const obtenerDatosPersonales = jest.fn();
+export const obtenerEstadoAnonimizacion = jest.fn();
+export const anonimizarEstudiante = jest.fn();
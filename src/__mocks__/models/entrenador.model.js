@@ -2,6 +2,7 @@ import { jest } from '@jest/globals';
 
 export const registrar = jest.fn();
 export const obtenerTodos = jest.fn();
+export const obtenerPorId = jest.fn();
 export const actualizar = jest.fn();
 export const desactivar = jest.fn();
 export const obtenerFacultadesPorEmailDB = jest.fn();
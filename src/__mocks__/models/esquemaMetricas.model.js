@@ -0,0 +1,8 @@
+import { jest } from '@jest/globals';
+
+export const obtenerVersiones = jest.fn();
+export const obtenerVersion = jest.fn();
+export const obtenerVigentes = jest.fn();
+export const obtenerVariableDeSesion = jest.fn();
+export const crearVersion = jest.fn();
+export const retirarVersion = jest.fn();
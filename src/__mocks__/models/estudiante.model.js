@@ -4,4 +4,4 @@ export const registrarEstudianteDB = jest.fn();
 export const modificarInformacionEstudiante = jest.fn();
 export const obtenerInformacionCompleta = jest.fn();
 export const actualizarGenero = jest.fn();
-export const obtenerEstudiantePorDocumentoDB = jest.fn(); 
\ No newline at end of file
+export const obtenerEstudiantePorDocumentoDB = jest.fn(); export const buscarEstudiantes = jest.fn();
@@ -3,7 +3,9 @@ import { jest } from '@jest/globals';
 export const obtenerEntrenamientoCognitivoPorDocumento = jest.fn();
 export const crearEntrenamientoCognitivoDB = jest.fn();
 export const registrarEntrenamientoAsignacionDB = jest.fn();
+export const obtenerEntrenamientoDeEstudiante = jest.fn();
 export const obtenerProgresoVariablePorId = jest.fn();
+export const obtenerHistorialMetricasDB = jest.fn();
 export const actualizarObservacionSesionDB = jest.fn();
 export const modificarEntrenamientoCognitivoDB = jest.fn();
 export const crearSesionDB = jest.fn();
@@ -0,0 +1,7 @@
+import { jest } from '@jest/globals';
+
+export const reservarClave = jest.fn();
+export const obtenerSolicitud = jest.fn();
+export const guardarRespuesta = jest.fn();
+export const liberarClave = jest.fn();
+export const eliminarVencidas = jest.fn();
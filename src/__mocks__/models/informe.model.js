@@ -2,4 +2,6 @@ import { jest } from '@jest/globals';
 
 export const obtenerListaEntrenamientosAdmin = jest.fn();
 export const obtenerDetalleInformeEntrenamiento = jest.fn();
-export const obtenerListaEntrenamientosEntrenador = jest.fn(); 
\ No newline at end of file
+export const obtenerListaEntrenamientosEntrenador = jest.fn(); export const obtenerExportacionEntrenamientosAdmin = jest.fn();
+export const obtenerExportacionEntrenamientosEntrenador = jest.fn();
+export const obtenerDatosInformeEstudiante = jest.fn();
@@ -0,0 +1,8 @@
+import { jest } from '@jest/globals';
+
+export const obtenerEstudiante = jest.fn();
+export const obtenerPrograma = jest.fn();
+export const listarPorEstudiante = jest.fn();
+export const obtenerPorId = jest.fn();
+export const crear = jest.fn();
+export const cerrar = jest.fn();
@@ -0,0 +1,18 @@
+import { jest } from '@jest/globals';
+
+export const obtenerDestinatariosEntrenamientoAsignado = jest.fn();
+export const obtenerDestinatariosEntrenadorDesactivado = jest.fn();
+export const obtenerDestinatariosAsignacion = jest.fn();
+export const obtenerDestinatariosSolicitudCambio = jest.fn();
+export const obtenerAsignacionAbandonada = jest.fn();
+export const obtenerCanalesDeshabilitados = jest.fn();
+export const encolarNotificaciones = jest.fn();
+export const reclamarCorreosPendientes = jest.fn();
+export const marcarCorreoEnviado = jest.fn();
+export const registrarFalloCorreo = jest.fn();
+export const listarNotificaciones = jest.fn();
+export const contarNoLeidas = jest.fn();
+export const marcarLeida = jest.fn();
+export const marcarTodasLeidas = jest.fn();
+export const obtenerPreferencias = jest.fn();
+export const guardarPreferencias = jest.fn();
@@ -0,0 +1,10 @@
+import { jest } from '@jest/globals';
+
+export const listar = jest.fn();
+export const obtenerPorCodigo = jest.fn();
+export const obtenerSiguiente = jest.fn();
+export const crear = jest.fn();
+export const contarEntrenamientosFueraDeFechas = jest.fn();
+export const actualizarFechas = jest.fn();
+export const eliminar = jest.fn();
+export const cerrar = jest.fn();
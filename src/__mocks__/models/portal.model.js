@@ -0,0 +1,6 @@
+import { jest } from '@jest/globals';
+
+export const obtenerPerfil = jest.fn();
+export const actualizarCorreoContacto = jest.fn();
+export const obtenerProgreso = jest.fn();
+export const obtenerProximasSesiones = jest.fn();
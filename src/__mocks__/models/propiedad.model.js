@@ -0,0 +1,4 @@
+import { jest } from '@jest/globals';
+
+export const esDeEntrenador = jest.fn();
+export const registrarOverride = jest.fn();
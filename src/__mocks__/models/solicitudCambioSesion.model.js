@@ -0,0 +1,7 @@
+import { jest } from '@jest/globals';
+
+export const obtenerSesionPlanificada = jest.fn();
+export const crear = jest.fn();
+export const obtenerPorId = jest.fn();
+export const listar = jest.fn();
+export const resolver = jest.fn();
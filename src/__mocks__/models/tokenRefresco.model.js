@@ -0,0 +1,8 @@
+import { jest } from '@jest/globals';
+
+export const crear = jest.fn();
+export const obtenerPorHash = jest.fn();
+export const marcarRotado = jest.fn();
+export const revocarFamilia = jest.fn();
+export const revocarPorUsuario = jest.fn();
+export const sesionRevocada = jest.fn();
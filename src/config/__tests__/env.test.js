@@ -0,0 +1,87 @@
+import { describe, it, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { construirConfig, leerArchivosEnv } from '../env.js';
+
+describe('Configuración por variables de entorno', () => {
+  const envMinimo = {
+    JWT_SECRET: 'una-clave-secreta-suficientemente-larga-1234',
+    DB_USER: 'admin',
+    DB_PASSWORD: 'password',
+  };
+
+  describe('construirConfig', () => {
+    it('debería aplicar los valores por defecto', () => {
+      const config = construirConfig(envMinimo);
+
+      expect(config.entorno).toBe('development');
+      expect(config.servidor.puerto).toBe(3001);
+      expect(config.log.nivel).toBe('debug');
+      expect(config.db).toEqual(expect.objectContaining({
+        host: 'localhost',
+        port: 5432,
+        database: 'CC',
+        max: 10,
+        statement_timeout: 30000,
+        ssl: false,
+      }));
+      expect(config.auth.loginLegadoHabilitado).toBe(false);
+      expect(config.alertas.intervaloMinutos).toBe(60);
+      expect(config.notificaciones).toEqual({ intervaloSegundos: 60, maxIntentos: 5, esperaReintentoSegundos: 60 });
+      expect(config.idempotencia).toEqual({ vigenciaHoras: 24 });
+      expect(config.archivado).toEqual({ retencionDias: 30 });
+      expect(config.smtp.host).toBeUndefined();
+    });
+
+    it('debería leer el pool, el timeout y SSL desde las variables', () => {
+      const config = construirConfig({
+        ...envMinimo,
+        NODE_ENV: 'production',
+        PORT: '8080',
+        DB_POOL_MAX: '25',
+        DB_STATEMENT_TIMEOUT_MS: '5000',
+        DB_SSL: 'true',
+        DB_SSL_REJECT_UNAUTHORIZED: 'false',
+      });
+
+      expect(config.esProduccion).toBe(true);
+      expect(config.log.nivel).toBe('info');
+      expect(config.servidor.puerto).toBe(8080);
+      expect(config.db.max).toBe(25);
+      expect(config.db.statement_timeout).toBe(5000);
+      expect(config.db.ssl).toEqual({ rejectUnauthorized: false });
+    });
+
+    it('debería reportar todas las variables requeridas que faltan', () => {
+      expect(() => construirConfig({})).toThrow(
+        /JWT_SECRET es requerida\.[\s\S]*DB_USER es requerida\.[\s\S]*DB_PASSWORD es requerida\./
+      );
+    });
+
+    it('debería rechazar valores inválidos', () => {
+      expect(() => construirConfig({ ...envMinimo, PORT: 'abc' })).toThrow('PORT debe ser un entero');
+      expect(() => construirConfig({ ...envMinimo, DB_SSL: 'si' })).toThrow("DB_SSL debe ser 'true' o 'false'");
+      expect(() => construirConfig({ ...envMinimo, JWT_SECRET: 'corta' })).toThrow('JWT_SECRET debe tener al menos 32 caracteres.');
+      expect(() => construirConfig({ ...envMinimo, NODE_ENV: 'qa' })).toThrow('NODE_ENV debe ser uno de');
+      expect(() => construirConfig({ ...envMinimo, SMTP_HOST: 'smtp.universidad.edu.co' })).toThrow('SMTP_REMITENTE es requerida');
+    });
+  });
+
+  describe('leerArchivosEnv', () => {
+    it('debería dar prioridad al archivo del entorno sobre .env', () => {
+      const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'cc-env-'));
+      fs.writeFileSync(path.join(directorio, '.env'), 'DB_HOST=base\nDB_NAME=CC\n');
+      fs.writeFileSync(path.join(directorio, '.env.staging'), 'DB_HOST=staging\n');
+
+      const variables = leerArchivosEnv(directorio, 'staging');
+
+      expect(variables).toEqual({ DB_HOST: 'staging', DB_NAME: 'CC' });
+      fs.rmSync(directorio, { recursive: true, force: true });
+    });
+
+    it('debería ignorar archivos inexistentes', () => {
+      expect(leerArchivosEnv(os.tmpdir(), 'no-existe-entorno')).toEqual(expect.any(Object));
+    });
+  });
+});
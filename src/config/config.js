@@ -0,0 +1,21 @@
+import { leerArchivosEnv, construirConfig } from "./env.js";
+
+/**
+ * @file Configuración única del backend. La leen el pool de base de datos, las utilidades JWT,
+ * el logger y el servidor. Las variables de entorno tienen prioridad sobre los archivos `.env`.
+ * Si la configuración no es válida el proceso termina al arrancar, antes de aceptar peticiones.
+ */
+
+let config;
+
+try {
+  const entorno = process.env.NODE_ENV?.trim() || "development";
+  config = construirConfig({ ...leerArchivosEnv(process.cwd(), entorno), ...process.env });
+} catch (error) {
+  // El logger todavía no existe (depende de esta configuración), por eso se usa la consola.
+  console.error(`[CONFIG] ${error.message}\nRevise las variables de entorno o el archivo .env (ver .env.example).`);
+  process.exit(1);
+}
+
+/** @type {import("./env.js").Config} */
+export default Object.freeze(config);
@@ -1,17 +1,13 @@
 import pg from "pg";
+import config from "./config.js";
 import logger from "./logger.js";
 
 const { Pool } = pg;
 
 // Pool de conexión a PostgreSQL
-// Usamos Pool para manejar múltiples conexiones de manera eficiente
-const pool = new Pool({
-  user: "admin", // Usuario de la base de datos (debería coincidir con tu docker-compose.yml)
-  host: "localhost", // Cambiado a 'localhost' para correr fuera de Docker
-  database: "CC", // Nombre de la base de datos (debería coincidir con tu docker-compose.yml)
-  password: "password", // Contraseña de la base de datos (debería coincidir con tu docker-compose.yml)
-  port: 5432, // Puerto por defecto de PostgreSQL
-});
+// Usamos Pool para manejar múltiples conexiones de manera eficiente.
+// Credenciales, tamaño del pool, timeouts y SSL vienen de la configuración (variables DB_*).
+const pool = new Pool(config.db);
 
 // Intento de conexión al pool
 pool.connect((err, client) => {
@@ -22,10 +18,42 @@ pool.connect((err, client) => {
     );
   }
   logger.info(
-    "[DB] Conexión a la base de datos establecida correctamente"
+    `[DB] Conexión a la base de datos establecida correctamente (${config.db.host}:${config.db.port}/${config.db.database})`
   );
   client.release(); // Se libera el cliente para que pueda ser reutilizado
 });
 
+/**
+ * Ejecuta `trabajo` dentro de una transacción con un cliente dedicado del pool.
+ * Confirma (COMMIT) si `trabajo` termina bien y revierte (ROLLBACK) todo si lanza un error,
+ * que se relanza tal cual. Las consultas que deban participar en la transacción tienen que
+ * hacerse con el cliente recibido, no con `pool`.
+ * @async
+ * @template T
+ * @param {function(import('pg').PoolClient): Promise<T>} trabajo - Operaciones de la transacción.
+ * @returns {Promise<T>} Lo que devuelva `trabajo`.
+ */
+export const conTransaccion = async (trabajo) => {
+  const cliente = await pool.connect();
+  let errorReversion;
+  try {
+    await cliente.query("BEGIN");
+    const resultado = await trabajo(cliente);
+    await cliente.query("COMMIT");
+    return resultado;
+  } catch (error) {
+    try {
+      await cliente.query("ROLLBACK");
+    } catch (errorRollback) {
+      // El cliente quedó en un estado desconocido: se descarta en lugar de devolverlo al pool.
+      errorReversion = errorRollback;
+      logger.error("[DB] Error al revertir la transacción:", errorRollback);
+    }
+    throw error;
+  } finally {
+    cliente.release(errorReversion);
+  }
+};
+
 // Exportamos el pool para usarlo en otros archivos
 export default pool;
@@ -0,0 +1,198 @@
+import fs from "fs";
+import path from "path";
+import { parseEnv } from "util";
+
+/**
+ * @file Lectura y validación de la configuración del backend a partir de variables de entorno.
+ * Este módulo no tiene efectos secundarios; `config.js` lo usa para construir la configuración al arrancar.
+ */
+
+/**
+ * @typedef {object} Config
+ * @property {string} entorno - Valor de NODE_ENV ('development' | 'test' | 'staging' | 'production').
+ * @property {boolean} esProduccion - Si el entorno es 'production'.
+ * @property {{puerto: number}} servidor - Configuración del servidor HTTP.
+ * @property {{nivel: string}} log - Configuración del logger.
+ * @property {{secreto: string, expiraEn: string, cambioContrasenaExpiraEn: string, refrescoDuracionHoras: number}} jwt
+ *   - Configuración de los tokens.
+ * @property {{loginLegadoHabilitado: boolean, codigoAccesoMinutos: number, codigoAccesoMaxIntentos: number}} auth
+ *   - Interruptores de autenticación y vigencia e intentos de los códigos de acceso de un solo uso de los estudiantes.
+ * @property {{intervaloMinutos: number}} alertas - Escaneo periódico de alertas de riesgo (0 lo desactiva).
+ * @property {{intervaloSegundos: number, maxIntentos: number, esperaReintentoSegundos: number}} notificaciones
+ *   - Despacho de la cola de correos de notificación (intervalo 0 lo desactiva) y su política de reintentos.
+ * @property {{vigenciaHoras: number}} idempotencia - Horas que se conservan las claves Idempotency-Key y sus respuestas.
+ * @property {{retencionDias: number}} archivado - Días que se conservan los registros archivados antes de poder purgarlos.
+ * @property {{host?: string, puerto: number, seguro: boolean, usuario?: string, contrasena?: string, remitente?: string}} smtp
+ *   - Servidor de correo saliente; sin `host` no se envían notificaciones por correo.
+ * @property {object} db - Opciones para `pg.Pool` (host, port, user, password, database, max,
+ *   idleTimeoutMillis, connectionTimeoutMillis, statement_timeout, ssl).
+ */
+
+const ENTORNOS_VALIDOS = ["development", "test", "staging", "production"];
+const NIVELES_LOG = ["error", "warn", "info", "http", "verbose", "debug", "silly"];
+const LONGITUD_MINIMA_SECRETO = 32;
+
+/**
+ * Lee los archivos `.env` opcionales del directorio indicado.
+ * Se leen `.env.<entorno>` y `.env`; el primero tiene prioridad sobre el segundo.
+ * @param {string} directorio - Directorio donde buscar los archivos.
+ * @param {string} entorno - El entorno actual (NODE_ENV).
+ * @returns {object} Las variables encontradas.
+ */
+export const leerArchivosEnv = (directorio, entorno) => {
+  const archivos = [".env", `.env.${entorno}`];
+  return archivos.reduce((variables, archivo) => {
+    const ruta = path.join(directorio, archivo);
+    if (!fs.existsSync(ruta)) {
+      return variables;
+    }
+    return { ...variables, ...parseEnv(fs.readFileSync(ruta, "utf8")) };
+  }, {});
+};
+
+/**
+ * Construye y valida la configuración a partir de un conjunto de variables.
+ * Reúne todos los problemas encontrados antes de fallar, para que se puedan corregir de una vez.
+ * @param {object} env - Variables de entorno (normalmente `process.env` combinado con los archivos `.env`).
+ * @returns {Config} La configuración validada.
+ * @throws {Error} Si falta alguna variable requerida o algún valor no es válido.
+ */
+export const construirConfig = (env) => {
+  const errores = [];
+
+  const texto = (nombre, { requerido = false, porDefecto } = {}) => {
+    const valor = env[nombre]?.trim();
+    if (!valor) {
+      if (requerido) {
+        errores.push(`${nombre} es requerida.`);
+      }
+      return porDefecto;
+    }
+    return valor;
+  };
+
+  const entero = (nombre, porDefecto, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) => {
+    const valor = texto(nombre);
+    if (valor === undefined) {
+      return porDefecto;
+    }
+    const numero = Number(valor);
+    if (!Number.isInteger(numero) || numero < min || numero > max) {
+      errores.push(`${nombre} debe ser un entero entre ${min} y ${max} (valor recibido: "${valor}").`);
+      return porDefecto;
+    }
+    return numero;
+  };
+
+  const booleano = (nombre, porDefecto) => {
+    const valor = texto(nombre);
+    if (valor === undefined) {
+      return porDefecto;
+    }
+    if (!["true", "false"].includes(valor.toLowerCase())) {
+      errores.push(`${nombre} debe ser 'true' o 'false' (valor recibido: "${valor}").`);
+      return porDefecto;
+    }
+    return valor.toLowerCase() === "true";
+  };
+
+  const entorno = texto("NODE_ENV", { porDefecto: "development" });
+  if (!ENTORNOS_VALIDOS.includes(entorno)) {
+    errores.push(`NODE_ENV debe ser uno de: ${ENTORNOS_VALIDOS.join(", ")}.`);
+  }
+  const esProduccion = entorno === "production";
+
+  const nivelLog = texto("LOG_LEVEL", { porDefecto: esProduccion ? "info" : "debug" });
+  if (!NIVELES_LOG.includes(nivelLog)) {
+    errores.push(`LOG_LEVEL debe ser uno de: ${NIVELES_LOG.join(", ")}.`);
+  }
+
+  const secreto = texto("JWT_SECRET", { requerido: true });
+  if (secreto && secreto.length < LONGITUD_MINIMA_SECRETO) {
+    errores.push(`JWT_SECRET debe tener al menos ${LONGITUD_MINIMA_SECRETO} caracteres.`);
+  }
+
+  let ssl = false;
+  if (booleano("DB_SSL", false)) {
+    ssl = { rejectUnauthorized: booleano("DB_SSL_REJECT_UNAUTHORIZED", true) };
+    const rutaCa = texto("DB_SSL_CA_FILE");
+    if (rutaCa) {
+      if (fs.existsSync(rutaCa)) {
+        ssl.ca = fs.readFileSync(rutaCa, "utf8");
+      } else {
+        errores.push(`DB_SSL_CA_FILE apunta a un archivo que no existe: ${rutaCa}.`);
+      }
+    }
+  }
+
+  const smtpHost = texto("SMTP_HOST");
+  const remitente = texto("SMTP_REMITENTE");
+  if (smtpHost && !remitente) {
+    errores.push("SMTP_REMITENTE es requerida cuando se configura SMTP_HOST.");
+  }
+
+  const config = {
+    entorno,
+    esProduccion,
+    servidor: {
+      puerto: entero("PORT", 3001, { min: 1, max: 65535 }),
+    },
+    log: {
+      nivel: nivelLog,
+    },
+    jwt: {
+      secreto,
+      expiraEn: texto("JWT_EXPIRES_IN", { porDefecto: "15m" }),
+      cambioContrasenaExpiraEn: texto("JWT_CAMBIO_CONTRASENA_EXPIRES_IN", { porDefecto: "15m" }),
+      refrescoDuracionHoras: entero("REFRESH_TOKEN_DURACION_HORAS", 12, { min: 1, max: 24 * 30 }),
+    },
+    auth: {
+      // DEPRECADO: inicio de sesión solo con número de documento, mientras se migran los usuarios a contraseña.
+      loginLegadoHabilitado: booleano("AUTH_LOGIN_LEGADO_HABILITADO", false),
+      codigoAccesoMinutos: entero("AUTH_CODIGO_ACCESO_MINUTOS", 10, { min: 1, max: 60 }),
+      codigoAccesoMaxIntentos: entero("AUTH_CODIGO_ACCESO_MAX_INTENTOS", 5, { min: 1, max: 20 }),
+    },
+    alertas: {
+      intervaloMinutos: entero("ALERTAS_INTERVALO_MINUTOS", 60, { max: 7 * 24 * 60 }),
+    },
+    notificaciones: {
+      intervaloSegundos: entero("NOTIFICACIONES_INTERVALO_SEGUNDOS", 60, { max: 24 * 60 * 60 }),
+      maxIntentos: entero("NOTIFICACIONES_MAX_INTENTOS", 5, { min: 1, max: 20 }),
+      esperaReintentoSegundos: entero("NOTIFICACIONES_ESPERA_REINTENTO_SEGUNDOS", 60, { min: 1, max: 24 * 60 * 60 }),
+    },
+    idempotencia: {
+      vigenciaHoras: entero("IDEMPOTENCIA_VIGENCIA_HORAS", 24, { min: 1, max: 24 * 30 }),
+    },
+    archivado: {
+      retencionDias: entero("ARCHIVADO_RETENCION_DIAS", 30, { max: 10 * 365 }),
+    },
+    smtp: {
+      host: smtpHost,
+      puerto: entero("SMTP_PORT", 587, { min: 1, max: 65535 }),
+      seguro: booleano("SMTP_SECURE", false),
+      usuario: texto("SMTP_USER"),
+      contrasena: texto("SMTP_PASSWORD"),
+      remitente,
+    },
+    db: {
+      host: texto("DB_HOST", { porDefecto: "localhost" }),
+      port: entero("DB_PORT", 5432, { min: 1, max: 65535 }),
+      user: texto("DB_USER", { requerido: true }),
+      password: texto("DB_PASSWORD", { requerido: true }),
+      database: texto("DB_NAME", { porDefecto: "CC" }),
+      max: entero("DB_POOL_MAX", 10, { min: 1, max: 200 }),
+      idleTimeoutMillis: entero("DB_POOL_IDLE_TIMEOUT_MS", 10000),
+      connectionTimeoutMillis: entero("DB_CONNECTION_TIMEOUT_MS", 5000),
+      statement_timeout: entero("DB_STATEMENT_TIMEOUT_MS", 30000),
+      ssl,
+    },
+  };
+
+  if (errores.length > 0) {
+    const error = new Error(`Configuración inválida:\n  - ${errores.join("\n  - ")}`);
+    error.errores = errores;
+    throw error;
+  }
+
+  return config;
+};
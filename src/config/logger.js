@@ -1,4 +1,5 @@
 import winston from "winston";
+import config from "./config.js";
 
 const { combine, timestamp, printf, colorize, splat, errors } = winston.format;
 
@@ -8,7 +9,7 @@ const consoleLogFormat = printf(({ level, message, timestamp, stack }) => {
 });
 
 const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || "info", // Nivel de log (puedes cambiarlo o usar variable de entorno)
+  level: config.log.nivel, // Nivel de log (variable LOG_LEVEL; por defecto "debug" fuera de producción)
   format: combine(
     colorize(),
     timestamp({ format: "YYYY-MM-DD HH:mm:ss" }),
@@ -25,9 +26,4 @@ const logger = winston.createLogger({
   exitOnError: false, // No salir en excepciones no manejadas (para que tu app no crashee por un log)
 });
 
-// Si no estamos en producción, logueamos todo a nivel 'debug'
-if (process.env.NODE_ENV !== "production") {
-  logger.level = "debug";
-}
-
 export default logger;
@@ -1,6 +0,0 @@
-// IMPORTANTE: Este archivo contiene información sensible. Asegúrate de no subirlo a repositorios públicos.
-export const JWT_SECRET =
-  "EstaEsMiClaveSecretaSuperDificilDeAdivinarParaCC2025";
-
-// Duracion del Tocken JWT
-export const JWT_EXPIRES_IN = "8h";
@@ -0,0 +1,121 @@
+import { matchedData } from 'express-validator';
+import * as AgendaService from '../services/agenda.service.js';
+import { sendArchivo } from '../utils/response.util.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene los controladores de la agenda: planes de sesiones, disponibilidad de los entrenadores y agenda.
+ */
+
+/**
+ * Controlador para crear (o simular) un plan de sesiones recurrentes de una asignación.
+ * Si hay conflictos de horario responde 409 con la lista de conflictos.
+ * @async
+ */
+export const crearPlan = async (req, res, next) => {
+  const { idAsignacion } = req.params;
+  logger.info(`[CTRL_AGENDA] Petición para planificar sesiones de la asignación ${idAsignacion}.`);
+  try {
+    const datos = matchedData(req, { locations: ['body'] });
+    const resultado = await AgendaService.crearPlan(idAsignacion, datos, req.user);
+    if (!resultado.success) {
+      return res.status(resultado.statusCode).json({ success: false, message: resultado.message, conflictos: resultado.conflictos });
+    }
+    if (datos.simulacion) {
+      return res.status(200).json({ success: true, message: resultado.message, simulacion: resultado.data });
+    }
+    return res.status(201).json({ success: true, message: resultado.message, ...resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_AGENDA] Error en crearPlan:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para listar los planes de sesiones de una asignación.
+ * @async
+ */
+export const listarPlanes = async (req, res, next) => {
+  const { idAsignacion } = req.params;
+  logger.info(`[CTRL_AGENDA] Petición para listar los planes de sesiones de la asignación ${idAsignacion}.`);
+  try {
+    const resultado = await AgendaService.listarPlanes(idAsignacion);
+    return res.status(200).json({
+      success: true,
+      message: 'Planes de sesiones obtenidos exitosamente.',
+      total: resultado.data.length,
+      planes: resultado.data,
+    });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_AGENDA] Error en listarPlanes:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para cancelar un plan de sesiones de una asignación.
+ * @async
+ */
+export const cancelarPlan = async (req, res, next) => {
+  const { idAsignacion, planId } = req.params;
+  logger.info(`[CTRL_AGENDA] Petición para cancelar el plan ${planId} de la asignación ${idAsignacion}.`);
+  try {
+    const resultado = await AgendaService.cancelarPlan(idAsignacion, planId);
+    return res.status(200).json({ success: true, message: resultado.message, plan: resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_AGENDA] Error en cancelarPlan:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para obtener la disponibilidad semanal del entrenador autenticado.
+ * @async
+ */
+export const obtenerDisponibilidad = async (req, res, next) => {
+  logger.info(`[CTRL_AGENDA] Petición del entrenador ${req.user.id} para obtener su disponibilidad.`);
+  try {
+    const resultado = await AgendaService.obtenerDisponibilidad(req.user.id);
+    return res.status(200).json({ success: true, message: 'Disponibilidad obtenida exitosamente.', franjas: resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_AGENDA] Error en obtenerDisponibilidad:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para reemplazar la disponibilidad semanal del entrenador autenticado.
+ * @async
+ */
+export const actualizarDisponibilidad = async (req, res, next) => {
+  logger.info(`[CTRL_AGENDA] Petición del entrenador ${req.user.id} para actualizar su disponibilidad.`);
+  try {
+    const { franjas } = matchedData(req, { locations: ['body'] });
+    const resultado = await AgendaService.actualizarDisponibilidad(req.user.id, franjas);
+    return res.status(200).json({ success: true, message: resultado.message, franjas: resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_AGENDA] Error en actualizarDisponibilidad:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para obtener la agenda del entrenador autenticado: sesiones planificadas frente a ejecutadas.
+ * Con `formato=ics` responde la agenda como calendario iCalendar descargable.
+ * @async
+ */
+export const obtenerAgenda = async (req, res, next) => {
+  const { desde, hasta, formato } = matchedData(req, { locations: ['query'] });
+  logger.info(`[CTRL_AGENDA] Petición del entrenador ${req.user.id} para obtener su agenda del ${desde} al ${hasta}.`);
+  try {
+    if (formato === 'ics') {
+      const { data: archivo } = await AgendaService.exportarAgendaIcs(req.user.id, { desde, hasta });
+      return sendArchivo(res, archivo.contenido, archivo.tipoContenido, archivo.nombreArchivo);
+    }
+    const resultado = await AgendaService.obtenerAgenda(req.user.id, { desde, hasta });
+    return res.status(200).json({ success: true, message: 'Agenda obtenida exitosamente.', ...resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_AGENDA] Error en obtenerAgenda:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,93 @@
+import { matchedData } from 'express-validator';
+import * as AlertaService from '../services/alerta.service.js';
+import { separarParametrosListado } from '../utils/consulta.utils.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene los controladores de las alertas de riesgo de abandono y de sus umbrales por facultad.
+ */
+
+/**
+ * Controlador para listar las alertas (por defecto, las activas) dentro del alcance del usuario.
+ * @async
+ */
+export const listarAlertas = async (req, res, next) => {
+  logger.info(`[CTRL_ALERTA] Petición de ${req.user.id} para listar alertas.`);
+  try {
+    const opciones = separarParametrosListado(matchedData(req, { locations: ['query'] }));
+    const resultado = await AlertaService.listarAlertas(req.user, opciones);
+    return res.status(200).json({
+      success: true,
+      message: 'Alertas obtenidas exitosamente.',
+      ...resultado.paginacion,
+      alertas: resultado.data,
+    });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_ALERTA] Error en listarAlertas:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para descartar una alerta activa con un motivo.
+ * @async
+ */
+export const descartarAlerta = async (req, res, next) => {
+  const { alertaId } = req.params;
+  logger.info(`[CTRL_ALERTA] Petición de ${req.user.id} para descartar la alerta ${alertaId}.`);
+  try {
+    const { motivo } = matchedData(req, { locations: ['body'] });
+    const resultado = await AlertaService.descartarAlerta(alertaId, motivo, req.user);
+    return res.status(200).json({ success: true, message: resultado.message, alerta: resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_ALERTA] Error en descartarAlerta:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para ejecutar un escaneo de alertas en el momento, sin esperar al escaneo periódico.
+ * @async
+ */
+export const escanearAlertas = async (req, res, next) => {
+  logger.info(`[CTRL_ALERTA] Petición de ${req.user.id} para escanear alertas.`);
+  try {
+    const resultado = await AlertaService.escanearAlertas();
+    return res.status(200).json({ success: true, message: 'Escaneo de alertas completado.', escaneo: resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_ALERTA] Error en escanearAlertas:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para obtener los umbrales de las reglas de todas las facultades.
+ * @async
+ */
+export const obtenerUmbrales = async (req, res, next) => {
+  logger.info(`[CTRL_ALERTA] Petición de ${req.user.id} para obtener los umbrales de alertas.`);
+  try {
+    const resultado = await AlertaService.obtenerUmbrales();
+    return res.status(200).json({ success: true, message: 'Umbrales de alertas obtenidos exitosamente.', ...resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_ALERTA] Error en obtenerUmbrales:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para configurar los umbrales de las reglas de una facultad.
+ * @async
+ */
+export const actualizarUmbrales = async (req, res, next) => {
+  const { facultadId } = req.params;
+  logger.info(`[CTRL_ALERTA] Petición de ${req.user.id} para actualizar los umbrales de alertas de la facultad ${facultadId}.`);
+  try {
+    const umbrales = matchedData(req, { locations: ['body'] });
+    const resultado = await AlertaService.actualizarUmbrales(facultadId, umbrales, req.user);
+    return res.status(200).json({ success: true, message: resultado.message, umbrales: resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_ALERTA] Error en actualizarUmbrales:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,102 @@
+import { matchedData } from 'express-validator';
+import * as AnaliticaService from '../services/analitica.service.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Controladores de la analítica de resultados del entrenamiento cognitivo.
+ * Todos aceptan los filtros opcionales `fechaDesde`, `fechaHasta`, `facultad` y `periodo` y los devuelven en la respuesta.
+ */
+
+const filtrosDePeticion = (req) => matchedData(req, { locations: ['query'] });
+
+/**
+ * Controlador para obtener el tablero completo de analítica.
+ * @async
+ * @param {object} req - Objeto de petición Express.
+ * @param {object} res - Objeto de respuesta Express.
+ * @param {function} next - Función para pasar al siguiente middleware (para errores).
+ */
+export const obtenerTablero = async (req, res, next) => {
+  logger.info('[CTRL_ANALITICA] Petición recibida para obtener el tablero de analítica.');
+  try {
+    const filtros = filtrosDePeticion(req);
+    const serviceResult = await AnaliticaService.obtenerTablero(req.user, filtros);
+    return res.status(200).json({
+      message: 'Analítica obtenida exitosamente.',
+      filtros,
+      ...serviceResult.data,
+    });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_ANALITICA] Error en obtenerTablero:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para obtener las tasas de finalización, abandono y en progreso por dimensión.
+ * @async
+ * @param {object} req - Objeto de petición Express.
+ * @param {object} res - Objeto de respuesta Express.
+ * @param {function} next - Función para pasar al siguiente middleware (para errores).
+ */
+export const obtenerTasas = async (req, res, next) => {
+  logger.info('[CTRL_ANALITICA] Petición recibida para obtener las tasas de resultados.');
+  try {
+    const filtros = filtrosDePeticion(req);
+    const serviceResult = await AnaliticaService.obtenerTasas(req.user, filtros);
+    return res.status(200).json({
+      message: 'Tasas de resultados obtenidas exitosamente.',
+      filtros,
+      ...serviceResult.data,
+    });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_ANALITICA] Error en obtenerTasas:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para obtener la mejora promedio por variable cognitiva.
+ * @async
+ * @param {object} req - Objeto de petición Express.
+ * @param {object} res - Objeto de respuesta Express.
+ * @param {function} next - Función para pasar al siguiente middleware (para errores).
+ */
+export const obtenerMejoraPorVariable = async (req, res, next) => {
+  logger.info('[CTRL_ANALITICA] Petición recibida para obtener la mejora por variable.');
+  try {
+    const filtros = filtrosDePeticion(req);
+    const serviceResult = await AnaliticaService.obtenerMejoraPorVariable(req.user, filtros);
+    return res.status(200).json({
+      message: 'Mejora por variable obtenida exitosamente.',
+      filtros,
+      mejoraPorVariable: serviceResult.data,
+    });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_ANALITICA] Error en obtenerMejoraPorVariable:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para obtener la serie mensual de entrenamientos iniciados y finalizados.
+ * @async
+ * @param {object} req - Objeto de petición Express.
+ * @param {object} res - Objeto de respuesta Express.
+ * @param {function} next - Función para pasar al siguiente middleware (para errores).
+ */
+export const obtenerSerieMensual = async (req, res, next) => {
+  logger.info('[CTRL_ANALITICA] Petición recibida para obtener la serie mensual.');
+  try {
+    const filtros = filtrosDePeticion(req);
+    const serviceResult = await AnaliticaService.obtenerSerieMensual(req.user, filtros);
+    return res.status(200).json({
+      message: 'Serie mensual obtenida exitosamente.',
+      filtros,
+      serieMensual: serviceResult.data,
+    });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_ANALITICA] Error en obtenerSerieMensual:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,57 @@
+import { matchedData } from 'express-validator';
+import * as ArchivadoService from '../services/archivado.service.js';
+import logger from '../config/logger.js';
+
+/**
+ * Crea el controlador que archiva un estudiante, entrenamiento o sesión con el motivo del cuerpo.
+ * @param {string} tipo - 'estudiante', 'entrenamiento' o 'sesion'.
+ * @param {string} parametro - Nombre del parámetro de ruta con el UUID del registro.
+ * @returns {function} Controlador de Express.
+ */
+export const archivar = (tipo, parametro) => async (req, res, next) => {
+  const id = req.params[parametro];
+  logger.info(`[CTRL_ARCHIVADO] Petición de ${req.user.id} para archivar ${tipo} ${id}.`);
+  try {
+    const { motivo } = matchedData(req, { locations: ['body'] });
+    const resultado = await ArchivadoService.archivar(tipo, id, motivo, req.user);
+    return res.status(200).json(resultado);
+  } catch (error) {
+    logger.error(`[ERROR_CTRL_ARCHIVADO] Error al archivar ${tipo}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Crea el controlador que restaura un estudiante, entrenamiento o sesión archivado.
+ * @param {string} tipo - 'estudiante', 'entrenamiento' o 'sesion'.
+ * @param {string} parametro - Nombre del parámetro de ruta con el UUID del registro.
+ * @returns {function} Controlador de Express.
+ */
+export const restaurar = (tipo, parametro) => async (req, res, next) => {
+  const id = req.params[parametro];
+  logger.info(`[CTRL_ARCHIVADO] Petición de ${req.user.id} para restaurar ${tipo} ${id}.`);
+  try {
+    const { motivo } = matchedData(req, { locations: ['body'] });
+    const resultado = await ArchivadoService.restaurar(tipo, id, motivo, req.user);
+    return res.status(200).json(resultado);
+  } catch (error) {
+    logger.error(`[ERROR_CTRL_ARCHIVADO] Error al restaurar ${tipo}:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para purgar (borrar definitivamente) los registros archivados pasado el periodo de retención.
+ * @async
+ */
+export const purgarArchivados = async (req, res, next) => {
+  logger.info(`[CTRL_ARCHIVADO] Petición de ${req.user.id} para purgar los registros archivados.`);
+  try {
+    const { simulacion = false } = matchedData(req, { locations: ['body'] });
+    const resultado = await ArchivadoService.purgarArchivados({ simulacion });
+    return res.status(200).json(resultado);
+  } catch (error) {
+    logger.error('[ERROR_CTRL_ARCHIVADO] Error en purgarArchivados:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,30 @@
+import { matchedData } from 'express-validator';
+import * as auditoriaService from '../services/auditoria.service.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene los controladores para la consulta del registro de auditoría.
+ */
+
+/**
+ * Controlador para consultar el registro de auditoría (Rol: Admin).
+ * Los filtros llegan en la query string ya validados (actorId, entidad, entidadId, accion, desde, hasta, limite).
+ * @async
+ */
+export const consultarAuditoria = async (req, res, next) => {
+  const filtros = matchedData(req, { locations: ['query'] });
+  logger.info('[CTRL_AUDITORIA] Petición (de Admin) para consultar la auditoría.', { filtros });
+
+  try {
+    const resultado = await auditoriaService.consultarAuditoria(filtros);
+    return res.status(200).json({
+      success: true,
+      message: 'Registro de auditoría obtenido exitosamente.',
+      total: resultado.data.length,
+      registros: resultado.data,
+    });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_AUDITORIA] Error en consultarAuditoria:', error);
+    next(error);
+  }
+};
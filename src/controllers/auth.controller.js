@@ -1,31 +1,48 @@
 import * as AuthService from "../services/auth.service.js";
+import * as TokenService from "../services/token.service.js";
 import logger from "../config/logger.js";
 
+/**
+ * Datos del cliente que se guardan junto con la sesión.
+ */
+const contextoCliente = (req) => ({
+  ip: req.ip,
+  agenteUsuario: req.get("user-agent"),
+});
+
+/**
+ * Envía la respuesta de un intento de inicio de sesión.
+ * Marca con la cabecera `Deprecation` las respuestas del inicio de sesión legado.
+ */
+const responderLogin = (res, authResult, contexto) => {
+  if (!authResult.success) {
+    logger.warn(`[CTRL] Login ${contexto} fallido (vía servicio).`, {
+      reason: authResult.message,
+    });
+    return res.status(401).json({ success: false, message: authResult.message });
+  }
+
+  logger.info(`[CTRL] Login ${contexto} exitoso (vía servicio).`, {
+    userId: authResult.user.id,
+    requiereCambioContrasena: authResult.requiereCambioContrasena,
+  });
+  if (authResult.legado) {
+    res.set("Deprecation", "true");
+    res.set("Warning", '299 - "El inicio de sesión sin contraseña está deprecado."');
+  }
+  return res.json(authResult);
+};
+
 // Login para Administrador
 export const loginAdmin = async (req, res, next) => {
   logger.info("[CTRL] Petición recibida en loginAdmin ---", {
-    body: req.body,
+    numeroDocumento: req.body.numeroDocumento,
   });
-  const { numeroDocumento } = req.body;
-
-  if (!numeroDocumento) {
-    logger.warn("[CTRL] Error 400: Número de documento no proporcionado.");
-    return res.status(400).json({ message: "Número de documento requerido." });
-  }
+  const { numeroDocumento, contrasena } = req.body;
 
   try {
-    const authResult = await AuthService.autenticarAdmin(numeroDocumento);
-    if (authResult.success) {
-      logger.info("[CTRL] Login Admin exitoso (vía servicio).", {
-        adminId: authResult.user.id,
-      });
-      res.json(authResult);
-    } else {
-      logger.warn("[CTRL] Login Admin fallido (vía servicio).", {
-        reason: authResult.message,
-      });
-      res.status(401).json({ success: false, message: authResult.message });
-    }
+    const authResult = await AuthService.autenticarAdmin(numeroDocumento, contrasena, contextoCliente(req));
+    return responderLogin(res, authResult, "Admin");
   } catch (error) {
     logger.error("[ERROR_CTRL] Error en loginAdmin:", error);
     next(error); // Pasa el error al manejador de errores global
@@ -35,35 +52,139 @@ export const loginAdmin = async (req, res, next) => {
 // Login para Entrenador
 export const loginEntrenador = async (req, res, next) => {
   logger.info("[CTRL] Petición recibida en loginTrainer ---", {
-    body: req.body,
+    correo: req.body.correo,
+  });
+  const { correo, contrasena, numeroDocumento } = req.body;
+
+  try {
+    const authResult = await AuthService.autenticarEntrenador(correo, {
+      contrasena,
+      numeroDocumento,
+    }, contextoCliente(req));
+    return responderLogin(res, authResult, "Entrenador");
+  } catch (error) {
+    logger.error("[ERROR_CTRL] Error en loginTrainer:", error);
+    next(error); // Pasa el error al manejador de errores global
+  }
+};
+
+// Login para Coordinador
+export const loginCoordinador = async (req, res, next) => {
+  logger.info("[CTRL] Petición recibida en loginCoordinador ---", {
+    correo: req.body.correo,
+  });
+  const { correo, contrasena } = req.body;
+
+  try {
+    const authResult = await AuthService.autenticarCoordinador(correo, contrasena, contextoCliente(req));
+    return responderLogin(res, authResult, "Coordinador");
+  } catch (error) {
+    logger.error("[ERROR_CTRL] Error en loginCoordinador:", error);
+    next(error);
+  }
+};
+
+// Pedir un código de acceso de un solo uso para el portal del estudiante
+export const solicitarCodigoEstudiante = async (req, res, next) => {
+  logger.info("[CTRL] Petición recibida en solicitarCodigoEstudiante ---", {
+    correo: req.body.correo,
   });
-  const { correo, numeroDocumento } = req.body;
 
-  if (!correo || !numeroDocumento) {
-    logger.warn("[CTRL] Error 400 Entrenador: Faltan datos.");
-    return res
-      .status(400)
-      .json({ message: "Correo y número de documento requeridos." });
+  try {
+    const resultado = await AuthService.solicitarCodigoEstudiante(req.body.correo);
+    res.json(resultado);
+  } catch (error) {
+    logger.error("[ERROR_CTRL] Error en solicitarCodigoEstudiante:", error);
+    next(error);
   }
+};
+
+// Login para Estudiante (portal del estudiante)
+export const loginEstudiante = async (req, res, next) => {
+  logger.info("[CTRL] Petición recibida en loginEstudiante ---", {
+    correo: req.body.correo,
+  });
+  const { correo, contrasena, codigo } = req.body;
 
   try {
-    const authResult = await AuthService.autenticarEntrenador(
-      correo,
-      numeroDocumento
+    const authResult = await AuthService.autenticarEstudiante(correo, { contrasena, codigo }, contextoCliente(req));
+    return responderLogin(res, authResult, "Estudiante");
+  } catch (error) {
+    logger.error("[ERROR_CTRL] Error en loginEstudiante:", error);
+    next(error);
+  }
+};
+
+// Establecer o cambiar la contraseña del usuario autenticado
+export const establecerContrasena = async (req, res, next) => {
+  logger.info("[CTRL] Petición recibida en establecerContrasena ---", {
+    userId: req.user.id,
+  });
+  const { contrasenaActual, nuevaContrasena } = req.body;
+
+  try {
+    const resultado = await AuthService.establecerContrasena(
+      req.user,
+      contrasenaActual,
+      nuevaContrasena,
+      contextoCliente(req)
     );
-    if (authResult.success) {
-      logger.info("[CTRL] Login Entrenador exitoso (vía servicio).", {
-        trainerId: authResult.user.id,
-      });
-      res.json(authResult);
-    } else {
-      logger.warn("[CTRL] Login Entrenador fallido (vía servicio).", {
-        reason: authResult.message,
-      });
-      res.status(401).json({ success: false, message: authResult.message });
-    }
+    res.json(resultado);
   } catch (error) {
-    logger.error("[ERROR_CTRL] Error en loginTrainer:", error);
-    next(error); // Pasa el error al manejador de errores global
+    logger.error("[ERROR_CTRL] Error en establecerContrasena:", error);
+    next(error);
+  }
+};
+
+// Generar una contraseña temporal para un usuario (Rol: Admin)
+export const restablecerContrasena = async (req, res, next) => {
+  const { rol, usuarioId } = req.params;
+  logger.info(`[CTRL] Petición (de Admin) para restablecer contraseña de ${rol} ${usuarioId}.`);
+
+  try {
+    const resultado = await AuthService.restablecerContrasena(usuarioId, rol);
+    res.status(201).json(resultado);
+  } catch (error) {
+    logger.error("[ERROR_CTRL] Error en restablecerContrasena:", error);
+    next(error);
+  }
+};
+
+// Canjear un token de refresco por un nuevo par de tokens
+export const refrescarToken = async (req, res, next) => {
+  logger.info("[CTRL] Petición recibida en refrescarToken ---");
+
+  try {
+    const resultado = await TokenService.refrescarSesion(req.body.refreshToken, contextoCliente(req));
+    res.json({ success: true, ...resultado });
+  } catch (error) {
+    logger.error("[ERROR_CTRL] Error en refrescarToken:", error);
+    next(error);
+  }
+};
+
+// Cerrar la sesión asociada a un token de refresco
+export const logout = async (req, res, next) => {
+  logger.info("[CTRL] Petición recibida en logout ---");
+
+  try {
+    const resultado = await TokenService.cerrarSesion(req.body.refreshToken);
+    res.json(resultado);
+  } catch (error) {
+    logger.error("[ERROR_CTRL] Error en logout:", error);
+    next(error);
+  }
+};
+
+// Cerrar todas las sesiones del usuario autenticado
+export const logoutTodas = async (req, res, next) => {
+  logger.info("[CTRL] Petición recibida en logoutTodas ---", { userId: req.user.id });
+
+  try {
+    const resultado = await TokenService.cerrarTodasLasSesiones(req.user.id, req.user.role);
+    res.json(resultado);
+  } catch (error) {
+    logger.error("[ERROR_CTRL] Error en logoutTodas:", error);
+    next(error);
   }
 };
@@ -0,0 +1,94 @@
+import { matchedData } from 'express-validator';
+import * as CatalogoService from '../services/catalogo.service.js';
+import { camposDeCatalogo } from '../utils/catalogos.utils.js';
+import logger from '../config/logger.js';
+
+// Campos validados del cuerpo que corresponden al catálogo; matchedData incluye además el cuerpo completo
+// que valida `body()` con la clave ''.
+const camposValidados = (req, adicionales = []) => {
+  const campos = [...camposDeCatalogo(req.params.catalogo), ...adicionales];
+  return Object.fromEntries(Object.entries(matchedData(req, { locations: ['body'] })).filter(([campo]) => campos.includes(campo)));
+};
+
+/**
+ * Controlador para listar los valores de un catálogo, activos e inactivos.
+ * @async
+ */
+export const listarCatalogo = async (req, res, next) => {
+  const { catalogo } = req.params;
+  logger.info(`[CTRL_CATALOGO] Petición de ${req.user.id} para listar el catálogo ${catalogo}.`);
+  try {
+    const resultado = await CatalogoService.listarCatalogo(catalogo);
+    return res.status(200).json(resultado);
+  } catch (error) {
+    logger.error('[ERROR_CTRL_CATALOGO] Error en listarCatalogo:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para crear un valor en un catálogo.
+ * @async
+ */
+export const crearValor = async (req, res, next) => {
+  const { catalogo } = req.params;
+  logger.info(`[CTRL_CATALOGO] Petición de ${req.user.id} para crear un valor en el catálogo ${catalogo}.`);
+  try {
+    const datos = camposValidados(req);
+    const resultado = await CatalogoService.crearValor(catalogo, datos, req.user);
+    return res.status(201).json(resultado);
+  } catch (error) {
+    logger.error('[ERROR_CTRL_CATALOGO] Error en crearValor:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para modificar un valor de un catálogo (renombrar, activar o desactivar).
+ * @async
+ */
+export const actualizarValor = async (req, res, next) => {
+  const { catalogo, id } = req.params;
+  logger.info(`[CTRL_CATALOGO] Petición de ${req.user.id} para modificar el valor ${id} del catálogo ${catalogo}.`);
+  try {
+    const cambios = camposValidados(req, ['activo']);
+    const resultado = await CatalogoService.actualizarValor(catalogo, id, cambios, req.user);
+    return res.status(200).json(resultado);
+  } catch (error) {
+    logger.error('[ERROR_CTRL_CATALOGO] Error en actualizarValor:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para reordenar los valores de un catálogo.
+ * @async
+ */
+export const reordenarCatalogo = async (req, res, next) => {
+  const { catalogo } = req.params;
+  logger.info(`[CTRL_CATALOGO] Petición de ${req.user.id} para reordenar el catálogo ${catalogo}.`);
+  try {
+    const { ids } = matchedData(req, { locations: ['body'] });
+    const resultado = await CatalogoService.reordenarCatalogo(catalogo, ids, req.user);
+    return res.status(200).json(resultado);
+  } catch (error) {
+    logger.error('[ERROR_CTRL_CATALOGO] Error en reordenarCatalogo:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para eliminar un valor de un catálogo que no está en uso.
+ * @async
+ */
+export const eliminarValor = async (req, res, next) => {
+  const { catalogo, id } = req.params;
+  logger.info(`[CTRL_CATALOGO] Petición de ${req.user.id} para eliminar el valor ${id} del catálogo ${catalogo}.`);
+  try {
+    const resultado = await CatalogoService.eliminarValor(catalogo, id, req.user);
+    return res.status(200).json(resultado);
+  } catch (error) {
+    logger.error('[ERROR_CTRL_CATALOGO] Error en eliminarValor:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,52 @@
+import * as coordinadorService from '../services/coordinador.service.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene los controladores para la entidad Coordinador.
+ */
+
+/**
+ * Controlador para registrar un nuevo coordinador (Rol: Admin).
+ * @async
+ */
+export const registrarCoordinador = async (req, res, next) => {
+  logger.info('[CTRL_COORDINADOR] Petición (de Admin) recibida para registrar coordinador.', { correo: req.body.correo });
+  const { nombres, apellidos, numeroDocumento, correo, facultadId, fechaFin } = req.body;
+
+  try {
+    const resultado = await coordinadorService.registrarCoordinador({
+      nombres,
+      apellidos,
+      numeroDocumento,
+      correo,
+      facultadId,
+      fechaFin: fechaFin ? fechaFin.toISOString().split('T')[0] : undefined,
+    });
+    return res.status(201).json(resultado);
+  } catch (error) {
+    logger.error('[ERROR_CTRL_COORDINADOR] Error en registrarCoordinador:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para listar los coordinadores (Rol: Admin).
+ * @async
+ */
+export const listarCoordinadores = async (req, res, next) => {
+  const { facultadId } = req.query;
+  logger.info('[CTRL_COORDINADOR] Petición (de Admin) para listar coordinadores.', { query: req.query });
+
+  try {
+    const resultado = await coordinadorService.listarCoordinadores(facultadId ? { facultadId } : {});
+    return res.status(200).json({
+      success: true,
+      message: 'Lista de coordinadores obtenida exitosamente.',
+      total: resultado.data.length,
+      coordinadores: resultado.data,
+    });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_COORDINADOR] Error en listarCoordinadores:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,37 @@
+import { matchedData } from 'express-validator';
+import * as DatosPersonalesService from '../services/datosPersonales.service.js';
+import logger from '../config/logger.js';
+
+/**
+ * Controlador para exportar todo lo que se guarda sobre un estudiante.
+ * @async
+ */
+export const exportarDatosPersonales = async (req, res, next) => {
+  const { id } = req.params;
+  logger.info(`[CTRL_DATOS_PERSONALES] Petición de ${req.user.id} para exportar los datos personales del estudiante ${id}.`);
+  try {
+    const resultado = await DatosPersonalesService.exportarDatosPersonales(id);
+    res.set('Content-Disposition', `attachment; filename="datos-personales-${id}.json"`);
+    return res.status(200).json(resultado);
+  } catch (error) {
+    logger.error('[ERROR_CTRL_DATOS_PERSONALES] Error en exportarDatosPersonales:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para anonimizar un estudiante.
+ * @async
+ */
+export const anonimizarEstudiante = async (req, res, next) => {
+  const { id } = req.params;
+  logger.info(`[CTRL_DATOS_PERSONALES] Petición de ${req.user.id} para anonimizar al estudiante ${id}.`);
+  try {
+    const { motivo } = matchedData(req, { locations: ['body'] });
+    const resultado = await DatosPersonalesService.anonimizarEstudiante(id, motivo, req.user);
+    return res.status(200).json(resultado);
+  } catch (error) {
+    logger.error('[ERROR_CTRL_DATOS_PERSONALES] Error en anonimizarEstudiante:', error);
+    next(error);
+  }
+};
@@ -1,5 +1,7 @@
+import { matchedData } from 'express-validator';
 import * as entrenadorService from '../services/entrenador.service.js';
 import logger from '../config/logger.js';
+import { separarParametrosListado } from '../utils/consulta.utils.js';
 
 
 /**
@@ -45,22 +47,18 @@ export const registrarEntrenador = async (req, res, next) => {
  * @async
  */
 export const listarTodosLosEntrenadores = async (req, res, next) => {
-  const { nombreFacultad } = req.query; 
   logger.info('[CTRL_ENTRENADOR] Petición (de Admin) para listar entrenadores recibida.', { query: req.query });
 
   try {
-    const filtrosAplicar = {};
-    if (nombreFacultad) {
-      filtrosAplicar.nombreFacultad = nombreFacultad;
-    }
+    const opciones = separarParametrosListado(matchedData(req, { locations: ['query'] }));
 
-    const serviceResult = await entrenadorService.obtenerListaCompletaEntrenadores(filtrosAplicar);
+    const serviceResult = await entrenadorService.obtenerListaCompletaEntrenadores(opciones);
 
-    logger.info(`[CTRL_ENTRENADOR] Listado de ${serviceResult.data.length} entrenadores obtenido exitosamente.`);
+    logger.info(`[CTRL_ENTRENADOR] Página con ${serviceResult.data.length} entrenadores obtenida exitosamente.`);
     return res.status(200).json({
       message: 'Lista de entrenadores obtenida exitosamente.',
-      total: serviceResult.data.length,
-      filtrosAplicados: filtrosAplicar,
+      ...serviceResult.paginacion,
+      filtrosAplicados: opciones.filtros,
       entrenadores: serviceResult.data
     });
   } catch (error) {
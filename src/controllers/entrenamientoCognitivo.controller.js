@@ -1,7 +1,10 @@
+import { matchedData } from 'express-validator';
 import { obtenerEstudiantesPorFacultad } from '../models/estudiantesEntrenamientos.model.js';
 import logger from '../config/logger.js';
 import * as EntrenamientoCognitivoService from '../services/entrenamientoCognitivo.service.js';
+import * as AltaEntrenamientoService from '../services/altaEntrenamiento.service.js';
 import { sendSuccess, handleControllerError } from '../utils/response.util.js';
+import { separarParametrosListado } from '../utils/consulta.utils.js';
 
 // Expresión regular simple para una validación básica de formato UUID.
 // Para una validación más completa y segura, considera usar una biblioteca como 'uuid'.
@@ -9,7 +12,8 @@ const UUID_REGEX = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}
 
 /**
  * Manejador para obtener los estudiantes y sus datos de entrenamiento para una facultad específica.
- * Espera un parámetro 'facultadId' en la ruta, que debe ser un UUID válido.
+ * Espera un parámetro 'facultadId' en la ruta, que debe ser un UUID válido, y opcionalmente `fecha` en la query
+ * para resolver la pertenencia a la facultad en ese día.
  * @async
  * @param {import('express').Request} req Objeto de solicitud de Express. Se espera `req.params.facultadId`.
  * @param {import('express').Response} res Objeto de respuesta de Express.
@@ -29,13 +33,17 @@ export const obtenerEstudiantesPorFacultadController = async (req, res, next) =>
 
   try {
     logger.info(`[CONTROLADOR_ESTUDIANTES_ENTRENAMIENTOS] Solicitando estudiantes para facultad ID: ${facultadId}`);
-    const datos = await obtenerEstudiantesPorFacultad(facultadId);
+    // La fecha de corte no es un filtro del listado: cambia el origen de los datos.
+    const { fecha, ...parametros } = matchedData(req, { locations: ['query'] });
+    const opciones = { ...separarParametrosListado(parametros), fecha };
+    const { datos, paginacion } = await obtenerEstudiantesPorFacultad(facultadId, opciones);
 
-    if (!datos || datos.length === 0) {
+    if (paginacion.total === 0) {
       logger.info(`[CONTROLADOR_ESTUDIANTES_ENTRENAMIENTOS] No se encontraron estudiantes para la facultad ID: ${facultadId}`);
       return res.status(200).json({ 
         success: true,
         message: `No se encontraron estudiantes para la facultad con ID ${facultadId}.`,
+        ...paginacion,
         data: [],
       });
     }
@@ -43,6 +51,7 @@ export const obtenerEstudiantesPorFacultadController = async (req, res, next) =>
     res.status(200).json({
       success: true,
       message: `Datos de estudiantes para la facultad ID ${facultadId} obtenidos correctamente.`,
+      ...paginacion,
       data: datos,
     });
   } catch (error) {
@@ -180,6 +189,7 @@ export const registrarEntrenamientoAsignacionController = async (req, res, next)
         return res.status(resultadoServicio.statusCode || 500).json({
             success: resultadoServicio.success,
             message: resultadoServicio.message,
+            ...(resultadoServicio.errors && { errors: resultadoServicio.errors }),
         });
 
     } catch (error) {
@@ -223,6 +233,41 @@ export const obtenerProgresoVariableController = async (req, res, next) => {
 };
 
 
+/**
+ * Controlador para obtener el historial de métricas por sesión de una asignación de variable.
+ * @async
+ * @param {import('express').Request} req - Objeto de solicitud de Express. Se espera `asignacionId` en los params
+ * y, opcionalmente, `incluirArchivados` en la query.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @param {import('express').NextFunction} next - Función para pasar el control al siguiente middleware.
+ */
+export const obtenerHistorialMetricasController = async (req, res, next) => {
+  const { asignacionId } = req.params;
+  const { incluirArchivados = false } = matchedData(req, { locations: ['query'] });
+
+  logger.info(`[CONTROLADOR_ENTRENAMIENTO] Solicitud para obtener historial de métricas de asignación ID: ${asignacionId}`);
+
+  try {
+    const resultadoServicio = await EntrenamientoCognitivoService.consultarHistorialMetricas(asignacionId, { incluirArchivados });
+
+    if (!resultadoServicio.success) {
+      return res.status(resultadoServicio.statusCode || 400).json({
+        success: false,
+        message: resultadoServicio.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Historial de métricas obtenido correctamente.',
+      data: resultadoServicio.data,
+    });
+  } catch (error) {
+    logger.error(`[CONTROLADOR_ENTRENAMIENTO] Error al obtener historial de métricas: ${error.message}`);
+    next(error);
+  }
+};
+
 
 /**
  * Controlador para actualizar la observación de una sesión de entrenamiento.
@@ -332,4 +377,29 @@ export const finalizarAsignacionVariableController = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Controlador para el alta completa de un entrenamiento: estudiante, entrenamiento, entrenador y sesiones
+ * en una sola transacción. Responde 201 con el resultado de cada paso; si un paso falla el error lleva
+ * `pasos` con lo que se revirtió.
+ * @async
+ * @param {import('express').Request} req - Objeto de solicitud. Espera estudiante, entrenamiento, entrenadorId y sesiones en el body.
+ * @param {import('express').Response} res - Objeto de respuesta.
+ * @param {import('express').NextFunction} next - Función para pasar al siguiente middleware de errores.
+ */
+export const darDeAltaEntrenamientoController = async (req, res, next) => {
+  logger.info(`[CTRL_ENTRENAMIENTO] Petición de alta completa de entrenamiento por el usuario ${req.user?.id}`);
+  try {
+    const resultado = await AltaEntrenamientoService.darDeAltaEntrenamiento(req.body);
+    res.status(201).json({
+      success: true,
+      message: resultado.message,
+      data: resultado.data,
+      pasos: resultado.pasos,
+    });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_ENTRENAMIENTO] Error en darDeAltaEntrenamientoController:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,95 @@
+import { matchedData } from 'express-validator';
+import * as EsquemaMetricasService from '../services/esquemaMetricas.service.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene los controladores de los esquemas de métricas por variable cognitiva.
+ */
+
+/**
+ * Controlador para listar las versiones del esquema de una variable cognitiva.
+ * @async
+ */
+export const listarVersiones = async (req, res, next) => {
+  const { variableId } = req.params;
+  logger.info(`[CTRL_ESQUEMA_METRICAS] Petición para listar los esquemas de la variable ${variableId}.`);
+  try {
+    const resultado = await EsquemaMetricasService.listarVersiones(variableId);
+    return res.status(200).json({
+      success: true,
+      message: 'Versiones del esquema de métricas obtenidas exitosamente.',
+      total: resultado.data.length,
+      esquemas: resultado.data,
+    });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_ESQUEMA_METRICAS] Error en listarVersiones:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para obtener el esquema vigente de una variable cognitiva.
+ * @async
+ */
+export const obtenerVigente = async (req, res, next) => {
+  const { variableId } = req.params;
+  logger.info(`[CTRL_ESQUEMA_METRICAS] Petición para obtener el esquema vigente de la variable ${variableId}.`);
+  try {
+    const resultado = await EsquemaMetricasService.obtenerVigente(variableId);
+    return res.status(200).json({ success: true, message: 'Esquema de métricas vigente obtenido exitosamente.', esquema: resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_ESQUEMA_METRICAS] Error en obtenerVigente:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para obtener una versión del esquema de una variable cognitiva.
+ * @async
+ */
+export const obtenerVersion = async (req, res, next) => {
+  const { variableId } = req.params;
+  const { version } = matchedData(req, { locations: ['params'] });
+  logger.info(`[CTRL_ESQUEMA_METRICAS] Petición para obtener la versión ${version} del esquema de la variable ${variableId}.`);
+  try {
+    const resultado = await EsquemaMetricasService.obtenerVersion(variableId, version);
+    return res.status(200).json({ success: true, message: 'Esquema de métricas obtenido exitosamente.', esquema: resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_ESQUEMA_METRICAS] Error en obtenerVersion:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para publicar una nueva versión del esquema de una variable cognitiva (Rol: Admin).
+ * @async
+ */
+export const crearVersion = async (req, res, next) => {
+  const { variableId } = req.params;
+  logger.info(`[CTRL_ESQUEMA_METRICAS] Petición para publicar un esquema de la variable ${variableId}.`);
+  try {
+    const { campos, descripcion } = matchedData(req, { locations: ['body'] });
+    const resultado = await EsquemaMetricasService.crearVersion(variableId, { campos, descripcion }, req.user);
+    return res.status(201).json({ success: true, message: resultado.message, esquema: resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_ESQUEMA_METRICAS] Error en crearVersion:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para retirar una versión del esquema de una variable cognitiva (Rol: Admin).
+ * @async
+ */
+export const retirarVersion = async (req, res, next) => {
+  const { variableId } = req.params;
+  const { version } = matchedData(req, { locations: ['params'] });
+  logger.info(`[CTRL_ESQUEMA_METRICAS] Petición para retirar la versión ${version} del esquema de la variable ${variableId}.`);
+  try {
+    const resultado = await EsquemaMetricasService.retirarVersion(variableId, version);
+    return res.status(200).json({ success: true, message: resultado.message, esquema: resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_ESQUEMA_METRICAS] Error en retirarVersion:', error);
+    next(error);
+  }
+};
@@ -1,6 +1,19 @@
+import { matchedData } from 'express-validator';
 import * as EstudianteService from '../services/estudiante.service.js';
 import logger from '../config/logger.js';
-import { sendSuccess, handleControllerError } from '../utils/response.util.js';
+import { sendSuccess, sendArchivo, handleControllerError } from '../utils/response.util.js';
+import { separarParametrosListado } from '../utils/consulta.utils.js';
+import { generarCsv } from '../utils/archivos.utils.js';
+
+// Columnas del reporte de importación descargable.
+const COLUMNAS_REPORTE_IMPORTACION = [
+  { clave: 'fila', titulo: 'Fila' },
+  { clave: 'siglaTipoDocumento', titulo: 'Tipo de documento' },
+  { clave: 'numeroDocumento', titulo: 'Número de documento' },
+  { clave: 'estado', titulo: 'Estado' },
+  { clave: 'estudianteId', titulo: 'ID del estudiante' },
+  { clave: 'errores', titulo: 'Errores' },
+];
 
 /**
  * @file Contiene los controladores para la entidad Estudiante.
@@ -113,4 +126,67 @@ export const actualizarGeneroEstudiante = async (req, res, next) => {
   } catch (error) {
     handleControllerError(error, next, 'en actualizarGeneroEstudiante');
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Controlador para buscar estudiantes por un término libre (`q`), con paginación.
+ * @async
+ * @param {import('express').Request} req - Objeto de solicitud de Express. Se espera `req.query.q`.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @param {import('express').NextFunction} next - Función para pasar el control al siguiente middleware.
+ */
+export const buscarEstudiantesController = async (req, res, next) => {
+  const { q, ...parametros } = matchedData(req, { locations: ['query'] });
+  logger.debug(`[CONTROLADOR_ESTUDIANTE] Solicitud de búsqueda de estudiantes: ${q}`);
+
+  try {
+    const resultado = await EstudianteService.buscarEstudiantes(req.user, q, separarParametrosListado(parametros));
+    return res.status(200).json({
+      success: true,
+      message: 'Búsqueda de estudiantes realizada exitosamente.',
+      ...resultado.paginacion,
+      data: resultado.data,
+    });
+  } catch (error) {
+    logger.error('[CONTROLADOR_ESTUDIANTE] Error al buscar estudiantes:', error);
+    handleControllerError(error, next, 'en buscarEstudiantesController');
+  }
+};
+
+/**
+ * Controlador para importar estudiantes desde un archivo CSV o XLSX (`req.file`).
+ * Por defecto solo simula la importación; con `simulacion=false` registra las filas válidas.
+ * Con `reporte=csv` responde el reporte por fila como archivo descargable.
+ * @async
+ * @param {import('express').Request} req - Objeto de solicitud de Express.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @param {import('express').NextFunction} next - Función para pasar el control al siguiente middleware.
+ */
+export const importarEstudiantesController = async (req, res, next) => {
+  const { simulacion = true, reporte = 'json' } = matchedData(req, { locations: ['query'] });
+  logger.debug(`[CONTROLADOR_ESTUDIANTE] Solicitud de importación de estudiantes: ${req.file.originalname} (simulación: ${simulacion})`);
+
+  try {
+    const resultado = await EstudianteService.importarEstudiantes(
+      req.user,
+      { buffer: req.file.buffer, nombre: req.file.originalname, formato: req.file.formato },
+      { simulacion, contexto: { solicitudId: req.id, ip: req.ip } }
+    );
+
+    if (reporte === 'csv') {
+      const nombreReporte = `importacion-estudiantes-${simulacion ? 'simulacion-' : ''}${new Date().toISOString().slice(0, 10)}.csv`;
+      return sendArchivo(res, generarCsv(COLUMNAS_REPORTE_IMPORTACION, resultado.filas), 'text/csv; charset=utf-8', nombreReporte);
+    }
+
+    return sendSuccess(res, 200, simulacion
+      ? 'Simulación de importación completada. No se registró ningún estudiante.'
+      : 'Importación de estudiantes completada.', {
+      simulacion,
+      resumen: resultado.resumen,
+      filas: resultado.filas,
+    });
+  } catch (error) {
+    logger.error('[CONTROLADOR_ESTUDIANTE] Error al importar estudiantes:', error);
+    handleControllerError(error, next, 'en importarEstudiantesController');
+  }
+};
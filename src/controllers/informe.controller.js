@@ -1,5 +1,8 @@
+import { matchedData } from 'express-validator';
 import * as InformeService from '../services/informe.service.js';
 import logger from '../config/logger.js';
+import { separarParametrosListado } from '../utils/consulta.utils.js';
+import { sendArchivo } from '../utils/response.util.js';
 
 /**
  * @file Controladores para las funcionalidades de informes de administración.
@@ -7,6 +10,7 @@ import logger from '../config/logger.js';
 
 /**
  * Controlador para obtener la lista de entrenamientos cognitivos para la vista de administración.
+ * Con `formato` (pdf, csv o xlsx) responde la lista completa, sin paginar, como archivo descargable.
  * @async
  * @param {object} req - Objeto de petición Express.
  * @param {object} res - Objeto de respuesta Express.
@@ -15,12 +19,18 @@ import logger from '../config/logger.js';
 export const obtenerListaEntrenamientosAdmin = async (req, res, next) => {
   logger.info('[CTRL_INFORME] Petición recibida para listar entrenamientos para administración.');
   try {
-    const serviceResult = await InformeService.listarEntrenamientosParaAdmin(); 
-    // El servicio devuelve un objeto con success y data
-    logger.info(`[CTRL_INFORME] Lista de ${serviceResult.data.length} entrenamientos obtenida exitosamente del servicio.`);
+    const { formato, ...parametros } = matchedData(req, { locations: ['query'] });
+    const opciones = separarParametrosListado(parametros);
+    if (formato) {
+      const { data: reporte } = await InformeService.exportarEntrenamientosParaAdmin(req.user, opciones, formato);
+      return sendArchivo(res, reporte.contenido, reporte.tipoContenido, reporte.nombreArchivo);
+    }
+    const serviceResult = await InformeService.listarEntrenamientosParaAdmin(req.user, opciones);
+    // El servicio devuelve un objeto con success, data y paginacion
+    logger.info(`[CTRL_INFORME] Página con ${serviceResult.data.length} entrenamientos obtenida exitosamente del servicio.`);
     return res.status(200).json({
       message: 'Lista de entrenamientos obtenida exitosamente.',
-      total: serviceResult.data.length,
+      ...serviceResult.paginacion,
       entrenamientos: serviceResult.data
     });
   } catch (error) {
@@ -31,6 +41,7 @@ export const obtenerListaEntrenamientosAdmin = async (req, res, next) => {
 
 /**
  * Controlador para obtener el detalle de las variables finalizadas para un entrenamiento específico.
+ * Con `formato` (pdf, csv o xlsx) responde el informe imprimible por estudiante como archivo descargable.
  * @async
  * @param {object} req - Objeto de petición Express. (Contiene entrenamientoId en req.params)
  * @param {object} res - Objeto de respuesta Express.
@@ -41,6 +52,11 @@ export const obtenerDetalleInformeAdmin = async (req, res, next) => {
   logger.info(`[CTRL_INFORME] Petición recibida para obtener detalle de informe para entrenamiento ID: ${entrenamientoId}`);
 
   try {
+    const { formato } = matchedData(req, { locations: ['query'] });
+    if (formato) {
+      const { data: reporte } = await InformeService.exportarInformeEstudiante(entrenamientoId, formato);
+      return sendArchivo(res, reporte.contenido, reporte.tipoContenido, reporte.nombreArchivo);
+    }
     const serviceResult = await InformeService.obtenerDetallesDeInformePorId(entrenamientoId); //
 
     logger.info(`[CTRL_INFORME] Detalle de informe para ID ${entrenamientoId} obtenido exitosamente del servicio (puede tener 0 elementos).`);
@@ -58,6 +74,7 @@ export const obtenerDetalleInformeAdmin = async (req, res, next) => {
 
 /**
  * Controlador para obtener la lista de entrenamientos asignados a un entrenador autenticado.
+ * Con `formato` (pdf, csv o xlsx) responde la lista completa, sin paginar, como archivo descargable.
  * @async
  * @param {object} req - Objeto de petición Express. El ID del entrenador se toma del token.
  * @param {object} res - Objeto de respuesta Express.
@@ -68,11 +85,17 @@ export const obtenerListaEntrenamientosEntrenador = async (req, res, next) => {
   const entrenadorId = req.user.id; 
   logger.info(`[CTRL_INFORME] Petición recibida del entrenador ID: ${entrenadorId} para listar sus entrenamientos.`);
   try {
-    const serviceResult = await InformeService.listarEntrenamientosEntrenador(entrenadorId);
+    const { formato, ...parametros } = matchedData(req, { locations: ['query'] });
+    const opciones = separarParametrosListado(parametros);
+    if (formato) {
+      const { data: reporte } = await InformeService.exportarEntrenamientosEntrenador(entrenadorId, opciones, formato);
+      return sendArchivo(res, reporte.contenido, reporte.tipoContenido, reporte.nombreArchivo);
+    }
+    const serviceResult = await InformeService.listarEntrenamientosEntrenador(entrenadorId, opciones);
     
     return res.status(200).json({
       message: 'Lista de entrenamientos asignados obtenida exitosamente.',
-      total: serviceResult.data.length,
+      ...serviceResult.paginacion,
       entrenamientos: serviceResult.data
     });
   } catch (error) {
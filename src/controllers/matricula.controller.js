@@ -0,0 +1,74 @@
+import { matchedData } from 'express-validator';
+import * as MatriculaService from '../services/matricula.service.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene los controladores del historial de matrícula de los estudiantes en los programas.
+ */
+
+/**
+ * Controlador para listar el historial de matrícula de un estudiante.
+ * @async
+ */
+export const listarMatriculas = async (req, res, next) => {
+  const { id } = req.params;
+  logger.info(`[CTRL_MATRICULA] Petición de ${req.user.role} ${req.user.id} para listar las matrículas del estudiante ${id}.`);
+  try {
+    const resultado = await MatriculaService.listarMatriculas(id);
+    return res.status(200).json({ success: true, message: resultado.message, data: resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_MATRICULA] Error en listarMatriculas:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para matricular a un estudiante en un programa.
+ * @async
+ */
+export const matricular = async (req, res, next) => {
+  const { id } = req.params;
+  logger.info(`[CTRL_MATRICULA] Petición de ${req.user.role} ${req.user.id} para matricular al estudiante ${id}.`);
+  try {
+    const datos = matchedData(req, { locations: ['body'] });
+    const resultado = await MatriculaService.matricular(id, datos, req.user);
+    return res.status(201).json({ success: true, message: resultado.message, data: resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_MATRICULA] Error en matricular:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para cerrar una matrícula de un estudiante.
+ * @async
+ */
+export const cerrarMatricula = async (req, res, next) => {
+  const { id, matriculaId } = req.params;
+  logger.info(`[CTRL_MATRICULA] Petición de ${req.user.role} ${req.user.id} para cerrar la matrícula ${matriculaId} del estudiante ${id}.`);
+  try {
+    const datos = matchedData(req, { locations: ['body'] });
+    const resultado = await MatriculaService.cerrarMatricula(id, matriculaId, datos, req.user);
+    return res.status(200).json({ success: true, message: resultado.message, data: resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_MATRICULA] Error en cerrarMatricula:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para trasladar a un estudiante de un programa a otro.
+ * @async
+ */
+export const trasladarMatricula = async (req, res, next) => {
+  const { id, matriculaId } = req.params;
+  logger.info(`[CTRL_MATRICULA] Petición de ${req.user.role} ${req.user.id} para trasladar la matrícula ${matriculaId} del estudiante ${id}.`);
+  try {
+    const datos = matchedData(req, { locations: ['body'] });
+    const resultado = await MatriculaService.trasladarMatricula(id, matriculaId, datos, req.user);
+    return res.status(200).json({ success: true, message: resultado.message, data: resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_MATRICULA] Error en trasladarMatricula:', error);
+    next(error);
+  }
+};
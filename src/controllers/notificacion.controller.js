@@ -0,0 +1,92 @@
+import { matchedData } from 'express-validator';
+import * as NotificacionService from '../services/notificacion.service.js';
+import { separarParametrosListado } from '../utils/consulta.utils.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene los controladores de la bandeja de notificaciones del usuario y de sus preferencias.
+ */
+
+/**
+ * Controlador para listar la bandeja de notificaciones del usuario.
+ * @async
+ */
+export const listarNotificaciones = async (req, res, next) => {
+  logger.info(`[CTRL_NOTIFICACION] Petición de ${req.user.id} para listar sus notificaciones.`);
+  try {
+    const opciones = separarParametrosListado(matchedData(req, { locations: ['query'] }));
+    const resultado = await NotificacionService.listarNotificaciones(req.user, opciones);
+    return res.status(200).json({
+      success: true,
+      message: 'Notificaciones obtenidas exitosamente.',
+      ...resultado.paginacion,
+      noLeidas: resultado.noLeidas,
+      notificaciones: resultado.data,
+    });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_NOTIFICACION] Error en listarNotificaciones:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para marcar una notificación como leída.
+ * @async
+ */
+export const marcarLeida = async (req, res, next) => {
+  const { notificacionId } = req.params;
+  logger.info(`[CTRL_NOTIFICACION] Petición de ${req.user.id} para marcar como leída la notificación ${notificacionId}.`);
+  try {
+    const resultado = await NotificacionService.marcarLeida(notificacionId, req.user);
+    return res.status(200).json({ success: true, message: resultado.message, notificacion: resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_NOTIFICACION] Error en marcarLeida:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para marcar como leídas todas las notificaciones del usuario.
+ * @async
+ */
+export const marcarTodasLeidas = async (req, res, next) => {
+  logger.info(`[CTRL_NOTIFICACION] Petición de ${req.user.id} para marcar como leídas todas sus notificaciones.`);
+  try {
+    const resultado = await NotificacionService.marcarTodasLeidas(req.user);
+    return res.status(200).json({ success: true, message: resultado.message, ...resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_NOTIFICACION] Error en marcarTodasLeidas:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para obtener las preferencias de notificación del usuario.
+ * @async
+ */
+export const obtenerPreferencias = async (req, res, next) => {
+  logger.info(`[CTRL_NOTIFICACION] Petición de ${req.user.id} para obtener sus preferencias de notificación.`);
+  try {
+    const resultado = await NotificacionService.obtenerPreferencias(req.user);
+    return res.status(200).json({ success: true, message: 'Preferencias de notificación obtenidas exitosamente.', ...resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_NOTIFICACION] Error en obtenerPreferencias:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para actualizar las preferencias de notificación del usuario.
+ * @async
+ */
+export const actualizarPreferencias = async (req, res, next) => {
+  logger.info(`[CTRL_NOTIFICACION] Petición de ${req.user.id} para actualizar sus preferencias de notificación.`);
+  try {
+    const { preferencias } = matchedData(req, { locations: ['body'] });
+    const resultado = await NotificacionService.actualizarPreferencias(req.user, preferencias);
+    return res.status(200).json({ success: true, message: resultado.message, ...resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_NOTIFICACION] Error en actualizarPreferencias:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,88 @@
+import { matchedData } from 'express-validator';
+import * as PeriodoService from '../services/periodo.service.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene los controladores de la administración de los periodos académicos.
+ */
+
+/**
+ * Controlador para listar los periodos académicos.
+ * @async
+ */
+export const listarPeriodos = async (req, res, next) => {
+  logger.info(`[CTRL_PERIODO] Petición de ${req.user.role} ${req.user.id} para listar los periodos académicos.`);
+  try {
+    const resultado = await PeriodoService.listarPeriodos();
+    return res.status(200).json(resultado);
+  } catch (error) {
+    logger.error('[ERROR_CTRL_PERIODO] Error en listarPeriodos:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para crear un periodo académico.
+ * @async
+ */
+export const crearPeriodo = async (req, res, next) => {
+  logger.info(`[CTRL_PERIODO] Petición de ${req.user.role} ${req.user.id} para crear el periodo ${req.body?.codigo}.`);
+  try {
+    const datos = matchedData(req, { locations: ['body'] });
+    const resultado = await PeriodoService.crearPeriodo(datos, req.user);
+    return res.status(201).json(resultado);
+  } catch (error) {
+    logger.error('[ERROR_CTRL_PERIODO] Error en crearPeriodo:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para cambiar las fechas de un periodo académico.
+ * @async
+ */
+export const actualizarPeriodo = async (req, res, next) => {
+  const { codigo } = req.params;
+  logger.info(`[CTRL_PERIODO] Petición de ${req.user.role} ${req.user.id} para modificar el periodo ${codigo}.`);
+  try {
+    const cambios = matchedData(req, { locations: ['body'] });
+    const resultado = await PeriodoService.actualizarPeriodo(codigo, cambios, req.user);
+    return res.status(200).json(resultado);
+  } catch (error) {
+    logger.error('[ERROR_CTRL_PERIODO] Error en actualizarPeriodo:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para eliminar un periodo académico sin entrenamientos.
+ * @async
+ */
+export const eliminarPeriodo = async (req, res, next) => {
+  const { codigo } = req.params;
+  logger.info(`[CTRL_PERIODO] Petición de ${req.user.role} ${req.user.id} para eliminar el periodo ${codigo}.`);
+  try {
+    const resultado = await PeriodoService.eliminarPeriodo(codigo, req.user);
+    return res.status(200).json(resultado);
+  } catch (error) {
+    logger.error('[ERROR_CTRL_PERIODO] Error en eliminarPeriodo:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para cerrar un periodo académico y sus entrenamientos abiertos.
+ * @async
+ */
+export const cerrarPeriodo = async (req, res, next) => {
+  const { codigo } = req.params;
+  logger.info(`[CTRL_PERIODO] Petición de ${req.user.role} ${req.user.id} para cerrar el periodo ${codigo}.`);
+  try {
+    const datos = matchedData(req, { locations: ['body'] });
+    const resultado = await PeriodoService.cerrarPeriodo(codigo, datos, req.user);
+    return res.status(200).json(resultado);
+  } catch (error) {
+    logger.error('[ERROR_CTRL_PERIODO] Error en cerrarPeriodo:', error);
+    next(error);
+  }
+};
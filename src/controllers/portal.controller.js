@@ -0,0 +1,117 @@
+import { matchedData } from 'express-validator';
+import * as PortalService from '../services/portal.service.js';
+import * as SolicitudCambioSesionService from '../services/solicitudCambioSesion.service.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene los controladores del portal del estudiante: perfil, correo de contacto, entrenamientos,
+ * próximas sesiones y solicitudes de cambio de fecha.
+ */
+
+/**
+ * Controlador para obtener el perfil del estudiante autenticado.
+ * @async
+ */
+export const obtenerPerfil = async (req, res, next) => {
+  logger.info(`[CTRL_PORTAL] Petición del estudiante ${req.user.id} para obtener su perfil.`);
+  try {
+    const resultado = await PortalService.obtenerPerfil(req.user);
+    return res.status(200).json({ success: true, message: resultado.message, perfil: resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_PORTAL] Error en obtenerPerfil:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para actualizar el correo de contacto del estudiante autenticado.
+ * @async
+ */
+export const actualizarCorreoContacto = async (req, res, next) => {
+  logger.info(`[CTRL_PORTAL] Petición del estudiante ${req.user.id} para actualizar su correo de contacto.`);
+  try {
+    const { correoContacto } = matchedData(req, { locations: ['body'] });
+    const resultado = await PortalService.actualizarCorreoContacto(req.user, correoContacto ?? null);
+    return res.status(200).json({ success: true, message: resultado.message, perfil: resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_PORTAL] Error en actualizarCorreoContacto:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para listar los entrenamientos del estudiante autenticado con su progreso.
+ * @async
+ */
+export const listarEntrenamientos = async (req, res, next) => {
+  logger.info(`[CTRL_PORTAL] Petición del estudiante ${req.user.id} para listar sus entrenamientos.`);
+  try {
+    const resultado = await PortalService.listarEntrenamientos(req.user);
+    return res.status(200).json({
+      success: true,
+      message: resultado.message,
+      total: resultado.data.length,
+      entrenamientos: resultado.data,
+    });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_PORTAL] Error en listarEntrenamientos:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para listar las próximas sesiones planificadas del estudiante autenticado.
+ * @async
+ */
+export const listarProximasSesiones = async (req, res, next) => {
+  logger.info(`[CTRL_PORTAL] Petición del estudiante ${req.user.id} para listar sus próximas sesiones.`);
+  try {
+    const resultado = await PortalService.listarProximasSesiones(req.user);
+    return res.status(200).json({
+      success: true,
+      message: resultado.message,
+      total: resultado.data.length,
+      sesiones: resultado.data,
+    });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_PORTAL] Error en listarProximasSesiones:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para pedir el cambio de fecha de una sesión planificada del estudiante autenticado.
+ * @async
+ */
+export const solicitarCambioSesion = async (req, res, next) => {
+  const { sesionPlanificadaId } = req.params;
+  logger.info(`[CTRL_PORTAL] Petición del estudiante ${req.user.id} para cambiar la sesión planificada ${sesionPlanificadaId}.`);
+  try {
+    const datos = matchedData(req, { locations: ['body'] });
+    const resultado = await SolicitudCambioSesionService.solicitarCambio(sesionPlanificadaId, datos, req.user);
+    return res.status(201).json({ success: true, message: resultado.message, data: resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_PORTAL] Error en solicitarCambioSesion:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para listar las solicitudes de cambio del estudiante autenticado.
+ * @async
+ */
+export const listarSolicitudesCambio = async (req, res, next) => {
+  logger.info(`[CTRL_PORTAL] Petición del estudiante ${req.user.id} para listar sus solicitudes de cambio.`);
+  try {
+    const resultado = await SolicitudCambioSesionService.listarSolicitudesPropias(req.user);
+    return res.status(200).json({
+      success: true,
+      message: resultado.message,
+      total: resultado.data.length,
+      solicitudes: resultado.data,
+    });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_PORTAL] Error en listarSolicitudesCambio:', error);
+    next(error);
+  }
+};
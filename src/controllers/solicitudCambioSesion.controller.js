@@ -0,0 +1,50 @@
+import { matchedData } from 'express-validator';
+import * as SolicitudCambioSesionService from '../services/solicitudCambioSesion.service.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene los controladores con los que los entrenadores revisan y resuelven las solicitudes de cambio de
+ * fecha de sesión que piden los estudiantes.
+ */
+
+/**
+ * Controlador para listar las solicitudes de cambio de sesión del entrenador autenticado.
+ * @async
+ */
+export const listarSolicitudes = async (req, res, next) => {
+  logger.info(`[CTRL_SOLICITUD_CAMBIO] Petición de ${req.user.role} ${req.user.id} para listar solicitudes de cambio de sesión.`);
+  try {
+    const filtros = matchedData(req, { locations: ['query'] });
+    const resultado = await SolicitudCambioSesionService.listarSolicitudes(req.user, filtros);
+    return res.status(200).json({
+      success: true,
+      message: resultado.message,
+      total: resultado.data.length,
+      solicitudes: resultado.data,
+    });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_SOLICITUD_CAMBIO] Error en listarSolicitudes:', error);
+    next(error);
+  }
+};
+
+/**
+ * Controlador para aprobar o rechazar una solicitud de cambio de sesión.
+ * Si el horario propuesto se cruza con otras sesiones responde 409 con la lista de conflictos.
+ * @async
+ */
+export const resolverSolicitud = async (req, res, next) => {
+  const { solicitudId } = req.params;
+  logger.info(`[CTRL_SOLICITUD_CAMBIO] Petición de ${req.user.role} ${req.user.id} para resolver la solicitud ${solicitudId}.`);
+  try {
+    const datos = matchedData(req, { locations: ['body'] });
+    const resultado = await SolicitudCambioSesionService.resolverSolicitud(solicitudId, datos, req.user);
+    if (!resultado.success) {
+      return res.status(resultado.statusCode).json({ success: false, message: resultado.message, conflictos: resultado.conflictos });
+    }
+    return res.status(200).json({ success: true, message: resultado.message, data: resultado.data });
+  } catch (error) {
+    logger.error('[ERROR_CTRL_SOLICITUD_CAMBIO] Error en resolverSolicitud:', error);
+    next(error);
+  }
+};
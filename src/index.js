@@ -1,6 +1,7 @@
 import express from "express";
 import cors from "cors";
 import morgan from "morgan";
+import config from "./config/config.js";
 import logger from "./config/logger.js";
 import authRoutes from "./routes/auth.routes.js";
 import adminRoutes from "./routes/admin.routes.js";
@@ -12,19 +13,29 @@ import utilidadesRoutes from "./routes/utilidades.routes.js";
 import entrenadorRoutes from "./routes/entrenador.routes.js";
 import variablesCognitivasRoutes from "./routes/variablesCognitivas.routes.js";
 import sesionRoutes from "./routes/sesion.routes.js";
+import alertaRoutes from "./routes/alerta.routes.js";
+import notificacionRoutes from "./routes/notificacion.routes.js";
+import portalRoutes from "./routes/portal.routes.js";
+import { iniciarEscaneoPeriodico } from "./services/alerta.service.js";
+import { iniciarDespachoPeriodico } from "./services/notificacion.service.js";
+import { iniciarLimpiezaPeriodica } from "./services/idempotencia.service.js";
+import { asignarIdSolicitud } from "./middlewares/idSolicitud.middleware.js";
 import swaggerUi from 'swagger-ui-express';
 import swaggerJsdoc from 'swagger-jsdoc';
 import { swaggerOptions } from "./swagger.config.js";
 
 const app = express();
-const port = 3001;
+const port = config.servidor.puerto;
 
 // Generar la especificación Swagger
 // swagger-jsdoc lee las anotaciones JSDoc en los archivos de rutas y modelos
 const swaggerDocs = swaggerJsdoc(swaggerOptions);
 
 // Configuración CORS
-app.use(cors());
+app.use(cors({ exposedHeaders: ["X-Request-Id", "Idempotent-Replayed"] }));
+
+// ID de cada petición (cabecera X-Request-Id), usado en logs y en el registro de auditoría
+app.use(asignarIdSolicitud);
 
 // Middleware para servir la documentación de Swagger UI
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs, {
@@ -33,6 +44,7 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs, {
     displayRequestDuration: true,
     docExpansion: 'list',
     filter: true,
+    showExtensions: true, // Muestra el permiso requerido (x-permiso) de cada endpoint
   },
   customSiteTitle: 'CentralizadorBackEnd API - Documentación',
 }));
@@ -67,6 +79,9 @@ app.use("/api/utilidades", utilidadesRoutes);
 app.use("/api/entrenadores", entrenadorRoutes);
 app.use("/api/variables-cognitivas", variablesCognitivasRoutes);
 app.use('/api/sesiones', sesionRoutes);
+app.use("/api/alertas", alertaRoutes);
+app.use("/api/notificaciones", notificacionRoutes);
+app.use("/api/portal", portalRoutes);
 
 // Middleware para manejar 404
 app.use((req, res) => {
@@ -85,6 +100,7 @@ app.use((err, req, res, next) => {
     logger.warn(`--- [ERROR_HANDLER] Error de cliente (${statusCode}) --- ${err.message}`, {
       path: req.path,
       method: req.method,
+      solicitudId: req.id,
       // Si err.errors existe (de express-validator), también se podría loguear aquí
       ...(err.errors && { validationErrors: err.errors })
     });
@@ -96,13 +112,18 @@ app.use((err, req, res, next) => {
   res.status(statusCode).json({
     message: err.message || (esErrorDeCliente ? 'Error en la petición.' : 'Error interno del servidor.'),
     // Solo enviar stack en desarrollo Y si NO es un error de cliente
-    stack: (process.env.NODE_ENV === 'development' && !esErrorDeCliente) ? err.stack : undefined,
+    stack: (config.entorno === 'development' && !esErrorDeCliente) ? err.stack : undefined,
     // Enviar detalles de validación si existen y es error de cliente
-    ...(esErrorDeCliente && err.errors && { errors: err.errors }) 
+    ...(esErrorDeCliente && err.errors && { errors: err.errors }),
+    // Resultado paso a paso de las operaciones compuestas que se revirtieron (ej. el alta completa de un entrenamiento)
+    ...(err.pasos && { pasos: err.pasos })
   });
 });
 
 // Iniciar el servidor
 app.listen(port, () => {
   logger.info(`Backend escuchando en http://localhost:${port}`); //
+  iniciarEscaneoPeriodico(config.alertas.intervaloMinutos);
+  iniciarDespachoPeriodico(config.notificaciones.intervaloSegundos);
+  iniciarLimpiezaPeriodica();
 });
@@ -0,0 +1,138 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import { auditar } from '../auditoria.middleware.js';
+import * as AuditoriaModel from '../../models/auditoria.model.js';
+
+jest.mock('../../models/auditoria.model.js');
+jest.mock('../../config/logger.js');
+
+const crearRes = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.status = jest.fn((codigo) => {
+    res.statusCode = codigo;
+    return res;
+  });
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Espera a que terminen las promesas pendientes del listener de 'finish'.
+const esperarRegistro = () => new Promise((resolve) => setImmediate(resolve));
+
+const crearReq = () => ({
+  id: 'sol-1',
+  ip: '10.0.0.1',
+  user: { id: 'entrenador-uuid', role: 'entrenador' },
+  params: { idSesion: 'ses-uuid' },
+  body: { nuevoNivelInicial: 2 },
+});
+
+describe('Middleware auditar', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('debería registrar la operación cuando la respuesta es exitosa', async () => {
+    AuditoriaModel.registrar.mockResolvedValue({ id: 'aud-1' });
+    const req = crearReq();
+    req.overridePropiedad = { id: 'override-uuid' };
+    const res = crearRes();
+    const next = jest.fn();
+    const antes = jest.fn().mockResolvedValue({ nuevoNivelInicial: 1 });
+
+    await auditar({ accion: 'sesion.finalizar', entidad: 'sesion', entidadId: (r) => r.params.idSesion, antes })(req, res, next);
+    expect(next).toHaveBeenCalled();
+    res.status(200).json({ success: true });
+    res.emit('finish');
+    await esperarRegistro();
+
+    expect(AuditoriaModel.registrar).toHaveBeenCalledWith(expect.objectContaining({
+      actorId: 'entrenador-uuid',
+      accion: 'sesion.finalizar',
+      entidadId: 'ses-uuid',
+      antes: { nuevoNivelInicial: 1 },
+      despues: { nuevoNivelInicial: 2 },
+      cambios: { nuevoNivelInicial: { antes: 1, despues: 2 } },
+      metadatos: { overridePropiedad: 'override-uuid' },
+      solicitudId: 'sol-1',
+      ip: '10.0.0.1',
+    }));
+  });
+
+  it('debería obtener el ID del registro del cuerpo de la respuesta', async () => {
+    AuditoriaModel.registrar.mockResolvedValue({ id: 'aud-2' });
+    const res = crearRes();
+
+    await auditar({ accion: 'estudiante.registrar', entidad: 'estudiante', entidadId: (r, respuesta) => respuesta?.estudianteId })(crearReq(), res, jest.fn());
+    res.status(201).json({ success: true, estudianteId: 'est-uuid' });
+    res.emit('finish');
+    await esperarRegistro();
+
+    expect(AuditoriaModel.registrar).toHaveBeenCalledWith(expect.objectContaining({ entidadId: 'est-uuid' }));
+  });
+
+  it('no debería registrar nada si la operación falla', async () => {
+    const res = crearRes();
+
+    await auditar({ accion: 'sesion.finalizar', entidad: 'sesion' })(crearReq(), res, jest.fn());
+    res.status(400).json({ message: 'La sesión ya está finalizada.' });
+    res.emit('finish');
+    await esperarRegistro();
+
+    expect(AuditoriaModel.registrar).not.toHaveBeenCalled();
+  });
+
+  it('debería registrar la operación aunque el cliente se desconecte antes de la respuesta', async () => {
+    AuditoriaModel.registrar.mockResolvedValue({ id: 'aud-4' });
+    const res = crearRes();
+
+    await auditar({ accion: 'sesion.finalizar', entidad: 'sesion' })(crearReq(), res, jest.fn());
+    res.emit('close');
+    await esperarRegistro();
+    expect(AuditoriaModel.registrar).not.toHaveBeenCalled();
+
+    // Con el cliente desconectado no llega 'finish'.
+    res.status(200).json({ success: true });
+    await esperarRegistro();
+
+    expect(AuditoriaModel.registrar).toHaveBeenCalledTimes(1);
+  });
+
+  it('debería registrar una sola vez si la conexión se cierra después de responder', async () => {
+    AuditoriaModel.registrar.mockResolvedValue({ id: 'aud-5' });
+    const res = crearRes();
+
+    await auditar({ accion: 'sesion.finalizar', entidad: 'sesion' })(crearReq(), res, jest.fn());
+    res.status(200).json({ success: true });
+    res.emit('close');
+    res.emit('finish');
+    await esperarRegistro();
+
+    expect(AuditoriaModel.registrar).toHaveBeenCalledTimes(1);
+  });
+
+  it('no debería registrar nada si el cliente se desconecta y la operación falla', async () => {
+    const res = crearRes();
+
+    await auditar({ accion: 'sesion.finalizar', entidad: 'sesion' })(crearReq(), res, jest.fn());
+    res.emit('close');
+    res.status(409).json({ message: 'La sesión ya está finalizada.' });
+    await esperarRegistro();
+
+    expect(AuditoriaModel.registrar).not.toHaveBeenCalled();
+  });
+
+  it('debería continuar aunque falle la carga del estado anterior', async () => {
+    AuditoriaModel.registrar.mockResolvedValue({ id: 'aud-3' });
+    const res = crearRes();
+    const next = jest.fn();
+
+    await auditar({ accion: 'entrenador.modificar', entidad: 'entrenador', antes: () => Promise.reject(new Error('BD caída')) })(crearReq(), res, next);
+    res.emit('finish');
+    await esperarRegistro();
+
+    expect(next).toHaveBeenCalled();
+    expect(AuditoriaModel.registrar).toHaveBeenCalledWith(expect.objectContaining({ antes: null }));
+  });
+});
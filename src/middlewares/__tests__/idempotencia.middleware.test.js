@@ -0,0 +1,170 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import { idempotente } from '../idempotencia.middleware.js';
+import { huellaSolicitud } from '../../services/idempotencia.service.js';
+import * as IdempotenciaModel from '../../models/idempotencia.model.js';
+
+jest.mock('../../models/idempotencia.model.js');
+jest.mock('../../config/logger.js');
+
+const crearRes = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.cabeceras = {};
+  res.status = jest.fn((codigo) => {
+    res.statusCode = codigo;
+    return res;
+  });
+  res.set = jest.fn((nombre, valor) => {
+    res.cabeceras[nombre] = valor;
+    return res;
+  });
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const crearReq = ({ clave = 'clave-1', body = { nombreVariableCognitiva: 'Memoria', numeroDocEstudiante: '123' } } = {}) => ({
+  method: 'POST',
+  baseUrl: '/api/sesiones',
+  path: '/crear',
+  user: { id: 'entrenador-uuid', role: 'entrenador' },
+  body,
+  get: (nombre) => (nombre === 'Idempotency-Key' ? clave : undefined),
+});
+
+// Espera a que terminen las promesas pendientes al cerrar la clave.
+const esperarCierre = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('Middleware idempotente', () => {
+  beforeEach(() => {
+    IdempotenciaModel.reservarClave.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('no debería hacer nada si la petición no trae la cabecera', async () => {
+    const req = { ...crearReq(), get: () => undefined };
+    const next = jest.fn();
+
+    await idempotente(req, crearRes(), next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(IdempotenciaModel.reservarClave).not.toHaveBeenCalled();
+  });
+
+  it('debería rechazar una clave con formato inválido', async () => {
+    const res = crearRes();
+    const next = jest.fn();
+
+    await idempotente(crearReq({ clave: 'con espacios' }), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('debería reservar la clave de la primera petición y guardar su respuesta', async () => {
+    const req = crearReq();
+    const res = crearRes();
+    const next = jest.fn();
+
+    await idempotente(req, res, next);
+    expect(next).toHaveBeenCalledWith();
+    expect(IdempotenciaModel.reservarClave).toHaveBeenCalledWith({
+      usuario: 'entrenador-uuid',
+      rol: 'entrenador',
+      clave: 'clave-1',
+      huella: huellaSolicitud('POST', '/api/sesiones/crear', req.body),
+      vigenciaHoras: 24,
+      bloqueoMinutos: 5,
+    });
+
+    res.status(201).json({ success: true, data: { sesionentrenamientoid: 'ses-1' } });
+    res.emit('finish');
+    await esperarCierre();
+
+    expect(IdempotenciaModel.guardarRespuesta).toHaveBeenCalledTimes(1);
+    expect(IdempotenciaModel.guardarRespuesta).toHaveBeenCalledWith(
+      'entrenador-uuid', 'entrenador', 'clave-1', 201, { success: true, data: { sesionentrenamientoid: 'ses-1' } },
+    );
+  });
+
+  it('debería repetir la respuesta guardada sin ejecutar la operación', async () => {
+    const req = crearReq();
+    IdempotenciaModel.reservarClave.mockResolvedValue(false);
+    IdempotenciaModel.obtenerSolicitud.mockResolvedValue({
+      huella: huellaSolicitud('POST', '/api/sesiones/crear', req.body),
+      estado: 'completada',
+      codigoEstado: 201,
+      respuesta: { success: true, data: { sesionentrenamientoid: 'ses-1' } },
+    });
+    const res = crearRes();
+    const next = jest.fn();
+
+    await idempotente(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: { sesionentrenamientoid: 'ses-1' } });
+    expect(res.cabeceras['Idempotent-Replayed']).toBe('true');
+  });
+
+  it('no debería depender del orden de los campos del cuerpo', () => {
+    expect(huellaSolicitud('POST', '/api/estudiantes', { a: 1, b: { c: [1, 2], d: 'x' } }))
+      .toBe(huellaSolicitud('POST', '/api/estudiantes', { b: { d: 'x', c: [1, 2] }, a: 1 }));
+    expect(huellaSolicitud('POST', '/api/estudiantes', { a: 1 }))
+      .not.toBe(huellaSolicitud('POST', '/api/sesiones/crear', { a: 1 }));
+  });
+
+  it('debería responder 409 si la clave llega con otro cuerpo', async () => {
+    IdempotenciaModel.reservarClave.mockResolvedValue(false);
+    IdempotenciaModel.obtenerSolicitud.mockResolvedValue({ huella: 'otra', estado: 'completada', codigoEstado: 201, respuesta: {} });
+    const next = jest.fn();
+
+    await idempotente(crearReq(), crearRes(), next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409, message: expect.stringContaining('petición distinta') }));
+  });
+
+  it('debería responder 409 mientras la petición original sigue en curso', async () => {
+    const req = crearReq();
+    IdempotenciaModel.reservarClave.mockResolvedValue(false);
+    IdempotenciaModel.obtenerSolicitud.mockResolvedValue({ huella: huellaSolicitud('POST', '/api/sesiones/crear', req.body), estado: 'en_proceso' });
+    const next = jest.fn();
+
+    await idempotente(req, crearRes(), next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409, message: expect.stringContaining('aún se está procesando') }));
+  });
+
+  it('debería liberar la clave si la operación termina con un error del servidor', async () => {
+    const res = crearRes();
+
+    await idempotente(crearReq(), res, jest.fn());
+    res.status(500).json({ message: 'connect ECONNREFUSED' });
+    await esperarCierre();
+
+    expect(IdempotenciaModel.liberarClave).toHaveBeenCalledWith('entrenador-uuid', 'entrenador', 'clave-1');
+    expect(IdempotenciaModel.guardarRespuesta).not.toHaveBeenCalled();
+  });
+
+  it('debería guardar también los errores del cliente para repetirlos', async () => {
+    const res = crearRes();
+
+    await idempotente(crearReq(), res, jest.fn());
+    res.status(409).json({ message: 'Ya existe una relación entre este entrenador y este entrenamiento cognitivo.' });
+    await esperarCierre();
+
+    expect(IdempotenciaModel.guardarRespuesta).toHaveBeenCalledWith('entrenador-uuid', 'entrenador', 'clave-1', 409, expect.any(Object));
+  });
+
+  it('debería pasar al manejador de errores si falla la consulta de la clave', async () => {
+    IdempotenciaModel.reservarClave.mockRejectedValue(new Error('BD caída'));
+    const next = jest.fn();
+
+    await idempotente(crearReq(), crearRes(), next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'BD caída' }));
+  });
+});
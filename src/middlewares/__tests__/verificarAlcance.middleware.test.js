@@ -0,0 +1,43 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import { requiereAlcance } from '../verificarAlcance.middleware.js';
+import * as AlcanceModel from '../../models/alcance.model.js';
+
+jest.mock('../../models/alcance.model.js');
+jest.mock('../../config/logger.js');
+
+describe('Middleware requiereAlcance', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('debería continuar si el registro está en el alcance del usuario', async () => {
+    AlcanceModel.enAlcance.mockResolvedValue(true);
+    const next = jest.fn();
+    const req = { user: { id: 'entrenador-uuid', role: 'entrenador' }, params: { idSesion: 'sesion-uuid' } };
+
+    await requiereAlcance('sesion', (r) => [r.params.idSesion])(req, {}, next);
+
+    expect(AlcanceModel.enAlcance).toHaveBeenCalledWith('sesion', 'entrenador-uuid', 'entrenador', ['sesion-uuid']);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('debería pasar un error 403 a next si el registro está fuera del alcance', async () => {
+    AlcanceModel.enAlcance.mockResolvedValue(false);
+    const next = jest.fn();
+    const req = { user: { id: 'entrenador-uuid', role: 'entrenador' }, params: { idSesion: 'sesion-uuid' } };
+
+    await requiereAlcance('sesion', (r) => [r.params.idSesion])(req, {}, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+  });
+
+  it('no debería verificar nada si el campo no viene en la petición', async () => {
+    const next = jest.fn();
+    const req = { user: { id: 'entrenador-uuid', role: 'entrenador' }, body: {} };
+
+    await requiereAlcance('estudiante', (r) => [r.body.estudianteId])(req, {}, next);
+
+    expect(AlcanceModel.enAlcance).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalledWith();
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import { requierePermiso } from '../verificarPermisos.middleware.js';
+import { PERMISOS, PERMISOS_POR_ROL, tienePermiso } from '../../utils/permisos.utils.js';
+
+jest.mock('../../config/logger.js');
+
+const crearRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Middleware requierePermiso', () => {
+  it('debería continuar si el rol tiene el permiso', () => {
+    const next = jest.fn();
+    const res = crearRes();
+
+    requierePermiso(PERMISOS.ESTUDIANTE_CREAR)({ user: { role: 'entrenador' } }, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('debería responder 403 si falta alguno de los permisos', () => {
+    const next = jest.fn();
+    const res = crearRes();
+
+    requierePermiso(PERMISOS.ESTUDIANTE_LEER, PERMISOS.ESTUDIANTE_CREAR)(
+      { user: { role: 'coordinador' }, method: 'POST', originalUrl: '/api/estudiantes' },
+      res,
+      next
+    );
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({ message: "Acceso denegado: se requiere el permiso 'estudiante:crear'." });
+  });
+
+  it('debería responder 403 si no hay usuario o el rol es desconocido', () => {
+    const res = crearRes();
+
+    requierePermiso(PERMISOS.CATALOGO_LEER)({ user: { role: 'invitado' } }, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
+
+describe('Permisos por rol', () => {
+  it('el coordinador solo debería tener permisos de lectura, salvo sobre sus propias notificaciones', () => {
+    const permisosSobreDatos = PERMISOS_POR_ROL.coordinador.filter((permiso) => permiso !== PERMISOS.NOTIFICACION_GESTIONAR_PROPIAS);
+    expect(permisosSobreDatos.every((permiso) => /:leer/.test(permiso))).toBe(true);
+  });
+
+  it('solo el administrador debería gestionar entrenadores', () => {
+    expect(tienePermiso('admin', PERMISOS.ENTRENADOR_DESACTIVAR)).toBe(true);
+    expect(tienePermiso('entrenador', PERMISOS.ENTRENADOR_DESACTIVAR)).toBe(false);
+    expect(tienePermiso('coordinador', PERMISOS.ENTRENADOR_DESACTIVAR)).toBe(false);
+  });
+});
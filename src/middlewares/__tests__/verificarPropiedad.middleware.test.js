@@ -0,0 +1,86 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import { requierePropiedad } from '../verificarPropiedad.middleware.js';
+import * as PropiedadModel from '../../models/propiedad.model.js';
+
+jest.mock('../../models/propiedad.model.js');
+jest.mock('../../config/logger.js');
+
+const crearRes = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.status = jest.fn((codigo) => {
+    res.statusCode = codigo;
+    return res;
+  });
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const crearReq = () => ({
+  method: 'PUT',
+  originalUrl: '/api/sesiones/ses-uuid/finalizar',
+  user: { id: 'admin-uuid', role: 'admin' },
+  params: { idSesion: 'ses-uuid' },
+  get: jest.fn(() => 'Entrenador incapacitado'),
+});
+
+// Espera a que terminen las promesas pendientes del registro.
+const esperarRegistro = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('Middleware requierePropiedad', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('debería registrar el override del admin cuando la operación termina con éxito', async () => {
+    PropiedadModel.registrarOverride.mockResolvedValue({ id: 'override-uuid' });
+    const req = crearReq();
+    const res = crearRes();
+    const next = jest.fn();
+
+    await requierePropiedad('sesion', 'idSesion')(req, res, next);
+    expect(next).toHaveBeenCalledWith();
+    expect(PropiedadModel.registrarOverride).not.toHaveBeenCalled();
+
+    res.status(200).json({ success: true });
+    res.emit('finish');
+    await esperarRegistro();
+
+    expect(PropiedadModel.registrarOverride).toHaveBeenCalledWith(expect.objectContaining({
+      id: req.overridePropiedad.id,
+      tipo: 'sesion',
+      registroId: 'ses-uuid',
+      motivo: 'Entrenador incapacitado',
+    }));
+  });
+
+  it('no debería registrar el override si la operación falla', async () => {
+    const res = crearRes();
+
+    await requierePropiedad('sesion', 'idSesion')(crearReq(), res, jest.fn());
+    res.status(409).json({ message: 'La sesión ya está finalizada.' });
+    res.emit('finish');
+    await esperarRegistro();
+
+    expect(PropiedadModel.registrarOverride).not.toHaveBeenCalled();
+  });
+
+  it('debería responder 403 a un entrenador que no está vinculado al entrenamiento que archiva', async () => {
+    PropiedadModel.esDeEntrenador.mockResolvedValue(false);
+    const req = {
+      ...crearReq(),
+      method: 'POST',
+      originalUrl: '/api/entrenamientos-cognitivos/ent-uuid/archivar',
+      user: { id: 'entrenador-uuid', role: 'entrenador' },
+      params: { entrenamientoId: 'ent-uuid' },
+    };
+    const next = jest.fn();
+
+    await requierePropiedad('entrenamiento', 'entrenamientoId')(req, crearRes(), next);
+
+    expect(PropiedadModel.esDeEntrenador).toHaveBeenCalledWith('entrenamiento', 'entrenador-uuid', 'ent-uuid');
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    expect(req.overridePropiedad).toBeUndefined();
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import { verificarToken } from '../verificarToken.middleware.js';
+import * as TokenRefrescoModel from '../../models/tokenRefresco.model.js';
+import config from '../../config/config.js';
+
+jest.mock('../../config/logger.js');
+
+const crearRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// jwt.verify entrega el resultado en un callback; espera a que el middleware responda o continúe.
+const ejecutar = (token) => new Promise((resolve) => {
+  const res = crearRes();
+  res.json = jest.fn(() => resolve({ res, next }));
+  const next = jest.fn(() => resolve({ res, next }));
+  verificarToken({ headers: { authorization: `Bearer ${token}` } }, res, next);
+});
+
+const firmar = (payload) => jwt.sign(payload, config.jwt.secreto, { expiresIn: '15m' });
+
+describe('Middleware verificarToken', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('debería continuar con un token de una sesión vigente', async () => {
+    TokenRefrescoModel.sesionRevocada.mockResolvedValue(false);
+
+    const { res, next } = await ejecutar(firmar({ id: 'u1', role: 'entrenador', sid: 'familia-1' }));
+
+    expect(TokenRefrescoModel.sesionRevocada).toHaveBeenCalledWith('familia-1');
+    expect(next).toHaveBeenCalledWith();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('debería responder 401 si la sesión del token fue revocada', async () => {
+    TokenRefrescoModel.sesionRevocada.mockResolvedValue(true);
+
+    const { res, next } = await ejecutar(firmar({ id: 'u1', role: 'entrenador', sid: 'familia-1' }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('debería pasar al manejador de errores si no puede consultar la sesión', async () => {
+    const error = new Error('DB caída');
+    TokenRefrescoModel.sesionRevocada.mockRejectedValue(error);
+
+    const { next } = await ejecutar(firmar({ id: 'u1', role: 'admin', sid: 'familia-1' }));
+
+    expect(next).toHaveBeenCalledWith(error);
+  });
+
+  it('debería responder 403 con un token inválido sin consultar la sesión', async () => {
+    const { res } = await ejecutar('no-es-un-token');
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(TokenRefrescoModel.sesionRevocada).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,61 @@
+import logger from "../config/logger.js";
+import { registrarOperacion } from "../services/auditoria.service.js";
+import { alResponder } from "../utils/response.util.js";
+
+/**
+ * Crea un middleware que registra la operación en la auditoría cuando la respuesta termina con éxito (< 400),
+ * también si el cliente se desconecta antes de recibirla (ver `alResponder`).
+ * Debe ir justo antes del controlador, después de las validaciones y de las verificaciones de acceso.
+ * @param {object} opciones - Descripción de la operación.
+ * @param {string} opciones.accion - Acción (ej. 'estudiante.modificar').
+ * @param {string} opciones.entidad - Tipo de entidad (ej. 'estudiante').
+ * @param {function(object, object): string} [opciones.entidadId] - Obtiene el ID del registro a partir de `req`
+ * y del cuerpo de la respuesta.
+ * @param {function(object): Promise<object>} [opciones.antes] - Carga el estado anterior del registro.
+ * @param {function(object, object): Promise<object>} [opciones.despues] - Carga el estado posterior; por
+ * defecto se usa el cuerpo de la petición.
+ * @returns {function} Middleware de Express.
+ */
+export const auditar = ({ accion, entidad, entidadId, antes, despues }) => async (req, res, next) => {
+  let estadoAnterior = null;
+  if (antes) {
+    try {
+      estadoAnterior = await antes(req);
+    } catch (error) {
+      logger.warn(`[AUDITORIA_MW] No se pudo cargar el estado anterior para ${accion}: ${error.message}`);
+    }
+  }
+
+  let cuerpoRespuesta;
+  const jsonOriginal = res.json.bind(res);
+  res.json = (cuerpo) => {
+    cuerpoRespuesta = cuerpo;
+    return jsonOriginal(cuerpo);
+  };
+
+  alResponder(res, async () => {
+    if (res.statusCode >= 400) {
+      return;
+    }
+    let estadoPosterior = req.body;
+    if (despues) {
+      try {
+        estadoPosterior = await despues(req, cuerpoRespuesta);
+      } catch (error) {
+        logger.warn(`[AUDITORIA_MW] No se pudo cargar el estado posterior para ${accion}: ${error.message}`);
+      }
+    }
+    await registrarOperacion({
+      usuario: req.user,
+      accion,
+      entidad,
+      entidadId: entidadId ? entidadId(req, cuerpoRespuesta) : undefined,
+      antes: estadoAnterior,
+      despues: estadoPosterior,
+      metadatos: req.overridePropiedad ? { overridePropiedad: req.overridePropiedad.id } : undefined,
+      contexto: { solicitudId: req.id, ip: req.ip },
+    });
+  });
+
+  return next();
+};
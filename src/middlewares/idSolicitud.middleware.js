@@ -0,0 +1,15 @@
+import { randomUUID } from "crypto";
+
+// Solo se acepta un X-Request-Id recibido si es corto y sin caracteres extraños.
+const ID_SOLICITUD_VALIDO = /^[A-Za-z0-9._:-]{1,100}$/;
+
+/**
+ * Asigna un ID a cada petición (`req.id`) y lo devuelve en la cabecera `X-Request-Id`.
+ * Si el cliente o un proxy ya envía `X-Request-Id` válido, se reutiliza para correlacionar logs.
+ */
+export const asignarIdSolicitud = (req, res, next) => {
+  const recibido = req.get("X-Request-Id");
+  req.id = recibido && ID_SOLICITUD_VALIDO.test(recibido) ? recibido : randomUUID();
+  res.setHeader("X-Request-Id", req.id);
+  next();
+};
@@ -0,0 +1,64 @@
+import logger from "../config/logger.js";
+import { iniciarSolicitud, completarSolicitud, huellaSolicitud } from "../services/idempotencia.service.js";
+
+export const CABECERA_IDEMPOTENCIA = "Idempotency-Key";
+
+// Caracteres visibles de ASCII, sin espacios; suficiente para UUID y para las claves que generan los clientes HTTP.
+const FORMATO_CLAVE = /^[\x21-\x7E]{1,255}$/;
+
+/**
+ * Middleware de idempotencia para los endpoints de creación. Si la petición trae la cabecera `Idempotency-Key`:
+ * - la primera vez se ejecuta normalmente y se guarda la respuesta (salvo errores 5xx);
+ * - un reintento con la misma clave, ruta y cuerpo recibe la respuesta guardada con la cabecera `Idempotent-Replayed: true`,
+ *   sin volver a ejecutar el controlador ni registrar la auditoría;
+ * - la misma clave con otro cuerpo u otra ruta, o mientras la petición original sigue en curso, responde 409.
+ * Sin la cabecera no hace nada. Debe usarse después de `verificarToken`, de las validaciones y de las verificaciones
+ * de acceso, y antes de `auditar`.
+ * @async
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export const idempotente = async (req, res, next) => {
+  const clave = req.get(CABECERA_IDEMPOTENCIA);
+  if (clave === undefined) {
+    return next();
+  }
+  if (!FORMATO_CLAVE.test(clave)) {
+    return res.status(400).json({
+      message: `La cabecera ${CABECERA_IDEMPOTENCIA} debe tener entre 1 y 255 caracteres visibles, sin espacios.`,
+    });
+  }
+
+  try {
+    const huella = huellaSolicitud(req.method, `${req.baseUrl}${req.path}`, req.body);
+    const resultado = await iniciarSolicitud(req.user, clave, huella);
+    if (resultado.repetida) {
+      res.set("Idempotent-Replayed", "true");
+      return res.status(resultado.codigoEstado).json(resultado.respuesta);
+    }
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error(`[IDEMPOTENCIA_MW] Error al verificar la clave '${clave}':`, error);
+    }
+    return next(error);
+  }
+
+  // La respuesta se guarda al escribirla, aunque el cliente ya haya cortado la conexión: así su reintento la recibe.
+  let cerrada = false;
+  const cerrar = (codigoEstado, cuerpo) => {
+    if (!cerrada) {
+      cerrada = true;
+      completarSolicitud(req.user, clave, codigoEstado, cuerpo);
+    }
+  };
+  const jsonOriginal = res.json.bind(res);
+  res.json = (cuerpo) => {
+    cerrar(res.statusCode, cuerpo);
+    return jsonOriginal(cuerpo);
+  };
+  // Una respuesta sin cuerpo JSON no se puede repetir: se libera la clave.
+  res.once("finish", () => cerrar(res.statusCode));
+
+  return next();
+};
@@ -0,0 +1,44 @@
+import multer from "multer";
+import { formatoDeArchivo, FORMATOS_TABULARES } from "../utils/archivos.utils.js";
+
+export const TAMANO_MAXIMO_ARCHIVO = 5 * 1024 * 1024;
+
+const errorDeArchivo = (mensaje) => {
+  const error = new Error(mensaje);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Crea un middleware que recibe un único archivo CSV o XLSX (multipart/form-data) en memoria.
+ * Deja el archivo en `req.file` con su formato en `req.file.formato` ('csv' o 'xlsx').
+ * Responde 400 si no se adjunta, si supera el tamaño máximo o si no es CSV ni XLSX.
+ * @param {string} campo - Nombre del campo del formulario que trae el archivo.
+ * @returns {function} Middleware de Express.
+ */
+export const recibirArchivoTabular = (campo) => {
+  const subir = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: TAMANO_MAXIMO_ARCHIVO, files: 1 },
+  }).single(campo);
+
+  return (req, res, next) => {
+    subir(req, res, (error) => {
+      if (error) {
+        if (error.code === "LIMIT_FILE_SIZE") {
+          return next(errorDeArchivo(`El archivo supera el tamaño máximo de ${TAMANO_MAXIMO_ARCHIVO / (1024 * 1024)} MB.`));
+        }
+        return next(error instanceof multer.MulterError ? errorDeArchivo(`Archivo inválido: ${error.message}`) : error);
+      }
+      if (!req.file) {
+        return next(errorDeArchivo(`Debe adjuntar un archivo en el campo '${campo}'.`));
+      }
+      const formato = formatoDeArchivo(req.file.originalname);
+      if (!formato) {
+        return next(errorDeArchivo(`Formato de archivo no soportado. Formatos permitidos: ${FORMATOS_TABULARES.join(", ")}.`));
+      }
+      req.file.formato = formato;
+      return next();
+    });
+  };
+};
@@ -0,0 +1,25 @@
+import { verificarAlcance } from "../services/alcance.service.js";
+
+/**
+ * Crea un middleware que exige que el registro indicado en la petición esté dentro del alcance
+ * por facultad del usuario (ver services/alcance.service.js). Debe usarse después de
+ * `verificarToken` y de las validaciones de la ruta.
+ * Si el extractor no devuelve valores (campo opcional ausente), no se verifica nada.
+ * @param {string} tipo - Tipo de registro ('estudiante', 'estudianteDocumento', 'entrenamiento',
+ * 'asignacion', 'sesion', 'programas', 'entrenadorCorreo' o 'facultad').
+ * @param {function(object): Array<any>} extraer - Obtiene los identificadores del registro a partir de `req`.
+ * @returns {function} Middleware de Express.
+ */
+export const requiereAlcance = (tipo, extraer) => async (req, res, next) => {
+  const valores = extraer(req);
+  if (!valores || valores.some((valor) => valor === undefined || valor === null)) {
+    return next();
+  }
+
+  try {
+    await verificarAlcance(req.user, tipo, ...valores);
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
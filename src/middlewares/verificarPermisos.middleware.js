@@ -0,0 +1,25 @@
+import logger from "../config/logger.js";
+import { tienePermiso } from "../utils/permisos.utils.js";
+
+/**
+ * Crea un middleware que exige que el usuario autenticado tenga todos los permisos indicados.
+ * Debe usarse después de `verificarToken`.
+ * @param {...string} permisos - Permisos requeridos (ver `PERMISOS` en utils/permisos.utils.js).
+ * @returns {function} Middleware de Express.
+ */
+export const requierePermiso = (...permisos) => (req, res, next) => {
+  const rol = req.user?.role;
+  const faltantes = permisos.filter((permiso) => !tienePermiso(rol, permiso));
+
+  if (faltantes.length === 0) {
+    return next();
+  }
+
+  logger.warn(
+    `[PERMISO_MW] Acceso denegado a ${req.method} ${req.originalUrl}. Rol: ${rol}. Permisos faltantes: ${faltantes.join(", ")}.`,
+    { userId: req.user?.id }
+  );
+  return res
+    .status(403)
+    .json({ message: `Acceso denegado: se requiere el permiso '${faltantes.join("', '")}'.` });
+};
@@ -0,0 +1,32 @@
+import { verificarPropiedad, registrarOverride } from "../services/propiedad.service.js";
+import { alResponder } from "../utils/response.util.js";
+
+/**
+ * Crea un middleware que exige que el entrenamiento indicado en la ruta, o la sesión o asignación, pertenezca a un
+ * entrenamiento asignado al entrenador autenticado (ver services/propiedad.service.js).
+ * Los administradores deben enviar la cabecera `X-Override-Motivo`; el ID del override queda disponible
+ * en `req.overridePropiedad` y el override se registra solo si la operación termina con éxito (< 400).
+ * Debe usarse después de `verificarToken` y de la validación del parámetro.
+ * @param {string} tipo - 'sesion', 'asignacion' o 'entrenamiento'.
+ * @param {string} parametro - Nombre del parámetro de ruta con el UUID del registro.
+ * @returns {function} Middleware de Express.
+ */
+export const requierePropiedad = (tipo, parametro) => async (req, res, next) => {
+  try {
+    const resultado = await verificarPropiedad(req.user, tipo, req.params[parametro], {
+      motivo: req.get("X-Override-Motivo"),
+      operacion: `${req.method} ${req.originalUrl}`,
+    });
+    if (resultado.override) {
+      req.overridePropiedad = { id: resultado.datosOverride.id };
+      alResponder(res, () => {
+        if (res.statusCode < 400) {
+          registrarOverride(resultado.datosOverride);
+        }
+      });
+    }
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -1,8 +1,16 @@
 import jwt from "jsonwebtoken";
-import { JWT_SECRET } from "../config/secrets.js";
+import config from "../config/config.js";
 import logger from "../config/logger.js";
+import { PROPOSITO_CAMBIO_CONTRASENA } from "../utils/jwt.utils.js";
+import * as TokenRefrescoModel from "../models/tokenRefresco.model.js";
 
-export const verificarToken = (req, res, next) => {
+/**
+ * Extrae y verifica el token JWT de la cabecera 'Authorization'. Si el token pertenece a una sesión (`sid`),
+ * comprueba además que la sesión no esté revocada.
+ * @param {boolean} aceptarCambioContrasena - Si se aceptan tokens restringidos de cambio de contraseña.
+ * @returns {function} Middleware de Express.
+ */
+const crearVerificadorToken = (aceptarCambioContrasena) => (req, res, next) => {
   // 1. Obtener el token de la cabecera 'Authorization'
   const authHeader = req.headers["authorization"];
   // Esperamos 'Bearer TOKEN_AQUI'
@@ -17,7 +25,7 @@ export const verificarToken = (req, res, next) => {
   }
 
   // 3. Verificar el token
-  jwt.verify(token, JWT_SECRET, (err, userPayload) => {
+  jwt.verify(token, config.jwt.secreto, async (err, userPayload) => {
     // Si hay error (token inválido, expirado, etc.), enviar error 403 (Prohibido)
     if (err) {
       logger.warn("[AUTH_MW] Token inválido:", err.message);
@@ -26,6 +34,29 @@ export const verificarToken = (req, res, next) => {
         .json({ message: "Acceso denegado: Token inválido." });
     }
 
+    // Un token de cambio de contraseña solo sirve para establecer la contraseña.
+    if (userPayload.proposito === PROPOSITO_CAMBIO_CONTRASENA && !aceptarCambioContrasena) {
+      logger.warn("[AUTH_MW] Token de cambio de contraseña usado en una ruta protegida.", { id: userPayload.id });
+      return res
+        .status(403)
+        .json({ message: "Acceso denegado: Debe establecer su contraseña antes de continuar." });
+    }
+
+    // Un token de una sesión revocada (logout, reutilización del token de refresco, usuario desactivado) deja de
+    // servir aunque no haya expirado.
+    if (userPayload.sid) {
+      try {
+        if (await TokenRefrescoModel.sesionRevocada(userPayload.sid)) {
+          logger.warn("[AUTH_MW] Token de una sesión revocada.", { id: userPayload.id, sid: userPayload.sid });
+          return res
+            .status(401)
+            .json({ message: "Acceso denegado: La sesión fue cerrada." });
+        }
+      } catch (error) {
+        return next(error);
+      }
+    }
+
     // 4. Si el token es válido, guardamos el payload (info del usuario) en 'req.user'
     //    para que los siguientes middlewares o controladores puedan usarlo.
     logger.info("[AUTH_MW] Token válido. Usuario:", userPayload);
@@ -35,3 +66,8 @@ export const verificarToken = (req, res, next) => {
     next();
   });
 };
+
+export const verificarToken = crearVerificadorToken(false);
+
+// Variante para la ruta de establecer contraseña: acepta también el token restringido.
+export const verificarTokenCambioContrasena = crearVerificadorToken(true);
@@ -0,0 +1,444 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FranjaDisponibilidad:
+ *       type: object
+ *       required: [diaSemana, horaInicio, horaFin]
+ *       properties:
+ *         diaSemana:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 7
+ *           description: Día de la semana (1 = lunes ... 7 = domingo).
+ *           example: 1
+ *         horaInicio:
+ *           type: string
+ *           example: "08:00"
+ *         horaFin:
+ *           type: string
+ *           example: "12:00"
+ *     PlanSesiones:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         asignacionId:
+ *           type: string
+ *           format: uuid
+ *         entrenadorId:
+ *           type: string
+ *           format: uuid
+ *         estudianteId:
+ *           type: string
+ *           format: uuid
+ *         diasSemana:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           example: [1, 4]
+ *         horaInicio:
+ *           type: string
+ *           example: "10:00"
+ *         duracionMinutos:
+ *           type: integer
+ *           example: 60
+ *         fechaInicio:
+ *           type: string
+ *           format: date
+ *         fechaFin:
+ *           type: string
+ *           format: date
+ *         activo:
+ *           type: boolean
+ *         totalSesiones:
+ *           type: integer
+ *         sesionesCanceladas:
+ *           type: integer
+ *         fechaCreacion:
+ *           type: string
+ *           format: date-time
+ *         fechaCancelacion:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     SesionAgenda:
+ *       type: object
+ *       properties:
+ *         estado:
+ *           type: string
+ *           enum: [realizada, pendiente, no-realizada, no-planificada]
+ *           description: >
+ *             realizada: planificada y ejecutada ese día; pendiente: planificada y aún no termina;
+ *             no-realizada: planificada, ya pasó y no se ejecutó; no-planificada: ejecutada sin estar planificada.
+ *         inicio:
+ *           type: string
+ *           example: "2025-03-03T10:00:00"
+ *         fin:
+ *           type: string
+ *           nullable: true
+ *         asignacionId:
+ *           type: string
+ *           format: uuid
+ *         variable:
+ *           type: string
+ *         estudiante:
+ *           type: object
+ *           properties:
+ *             id: { type: string, format: uuid }
+ *             nombres: { type: string }
+ *             apellidos: { type: string }
+ *         planId:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         sesionPlanificadaId:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         sesionId:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Sesión de entrenamiento ejecutada, si la hay.
+ *         numeroSesion:
+ *           type: integer
+ *           nullable: true
+ *         estadoSesion:
+ *           type: string
+ *           nullable: true
+ *         inicioReal:
+ *           type: string
+ *           nullable: true
+ *           description: Inicio de la sesión ejecutada.
+ *         finReal:
+ *           type: string
+ *           nullable: true
+ *     ConflictoAgenda:
+ *       type: object
+ *       description: Sesión de un plan que se cruza con otras sesiones planificadas o queda fuera de la disponibilidad del entrenador.
+ *       properties:
+ *         indice:
+ *           type: integer
+ *           description: Posición de la sesión en el plan (desde 0).
+ *         inicio:
+ *           type: string
+ *           example: "2025-03-06T10:00:00"
+ *         fin:
+ *           type: string
+ *           example: "2025-03-06T11:00:00"
+ *         cruces:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               tipo:
+ *                 type: string
+ *                 enum: [entrenador, estudiante]
+ *                 description: Quién tiene las dos sesiones a la misma hora.
+ *               sesionPlanificadaId: { type: string, format: uuid }
+ *               asignacionId: { type: string, format: uuid }
+ *               inicio: { type: string }
+ *               fin: { type: string }
+ *               variable: { type: string }
+ *         fueraDeDisponibilidad:
+ *           type: boolean
+ */
+
+import pool from '../config/db.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene las funciones de acceso a datos de la agenda: disponibilidad de los entrenadores,
+ * planes de sesiones y sesiones planificadas y ejecutadas.
+ * Las fechas viajan como texto (YYYY-MM-DD y YYYY-MM-DDTHH:MM:SS) para no depender de la zona horaria del proceso.
+ */
+
+const COLUMNAS_PLAN = `
+  p.id, p.asignacionVariable AS "asignacionId", p.entrenador AS "entrenadorId", p.estudiante AS "estudianteId",
+  p.diasSemana AS "diasSemana", to_char(p.horaInicio, 'HH24:MI') AS "horaInicio", p.duracionMinutos AS "duracionMinutos",
+  to_char(p.fechaInicio, 'YYYY-MM-DD') AS "fechaInicio", to_char(p.fechaFin, 'YYYY-MM-DD') AS "fechaFin",
+  p.activo, p.creadoPor AS "creadoPor", p.fechaCreacion AS "fechaCreacion", p.fechaCancelacion AS "fechaCancelacion"
+`;
+
+const TEXTO_TIMESTAMP = 'YYYY-MM-DD"T"HH24:MI:SS';
+
+/**
+ * Obtiene los datos de una asignación que necesita el plan de sesiones: estudiante, variable, estado y fechas del entrenamiento.
+ * @async
+ * @param {string} asignacionId - UUID de la asignación de variable.
+ * @returns {Promise<object|undefined>} La asignación, o undefined si no existe.
+ */
+export const obtenerContextoAsignacion = async (asignacionId) => {
+  const queryString = `
+    SELECT p."asignacionVariableId" AS "asignacionId", p."entrenamientoId", p."estudianteId",
+      p."variableCognitivaNombre" AS variable, p."asignacionVariableEstado" AS estado,
+      to_char(d."entrenamientoFechaInicio", 'YYYY-MM-DD') AS "fechaInicioEntrenamiento",
+      to_char(d."entrenamientoFechaFin", 'YYYY-MM-DD') AS "fechaFinEntrenamiento"
+    FROM CC.ProgresoVariableUV p
+    JOIN CC.DetalleEntrenamientoEstudianteUV d ON d."asignacionVariableId" = p."asignacionVariableId"
+    WHERE p."asignacionVariableId" = $1;
+  `;
+  try {
+    const { rows } = await pool.query(queryString, [asignacionId]);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_AGENDA] Error al obtener la asignación ${asignacionId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene las franjas de disponibilidad semanal de un entrenador, por día y hora.
+ * @async
+ * @param {string} entrenadorId - UUID del entrenador.
+ * @returns {Promise<Array<{diaSemana: number, horaInicio: string, horaFin: string}>>} Las franjas; vacío si no ha definido ninguna.
+ */
+export const obtenerDisponibilidad = async (entrenadorId) => {
+  const queryString = `
+    SELECT diaSemana AS "diaSemana", to_char(horaInicio, 'HH24:MI') AS "horaInicio", to_char(horaFin, 'HH24:MI') AS "horaFin"
+    FROM CC.DisponibilidadEntrenador
+    WHERE entrenador = $1
+    ORDER BY diaSemana, horaInicio;
+  `;
+  try {
+    const { rows } = await pool.query(queryString, [entrenadorId]);
+    return rows;
+  } catch (error) {
+    logger.error(`[MODELO_AGENDA] Error al obtener la disponibilidad del entrenador ${entrenadorId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Reemplaza todas las franjas de disponibilidad de un entrenador en una sola sentencia.
+ * @async
+ * @param {string} entrenadorId - UUID del entrenador.
+ * @param {Array<{diaSemana: number, horaInicio: string, horaFin: string}>} franjas - Las nuevas franjas (vacío para borrarlas).
+ * @returns {Promise<Array<object>>} Las franjas guardadas, por día y hora.
+ */
+export const reemplazarDisponibilidad = async (entrenadorId, franjas) => {
+  const queryString = `
+    WITH borradas AS (
+      DELETE FROM CC.DisponibilidadEntrenador WHERE entrenador = $1
+    )
+    INSERT INTO CC.DisponibilidadEntrenador (entrenador, diaSemana, horaInicio, horaFin)
+    SELECT $1, f."diaSemana", f."horaInicio"::time, f."horaFin"::time
+    FROM jsonb_to_recordset($2::jsonb) AS f("diaSemana" SMALLINT, "horaInicio" TEXT, "horaFin" TEXT)
+    RETURNING diaSemana AS "diaSemana", to_char(horaInicio, 'HH24:MI') AS "horaInicio", to_char(horaFin, 'HH24:MI') AS "horaFin";
+  `;
+  try {
+    const { rows } = await pool.query(queryString, [entrenadorId, JSON.stringify(franjas)]);
+    logger.info(`[MODELO_AGENDA] Disponibilidad del entrenador ${entrenadorId} actualizada (${rows.length} franjas).`);
+    return rows.sort((a, b) => a.diaSemana - b.diaSemana || a.horaInicio.localeCompare(b.horaInicio));
+  } catch (error) {
+    logger.error(`[MODELO_AGENDA] Error al actualizar la disponibilidad del entrenador ${entrenadorId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Busca las sesiones planificadas vigentes que se cruzan con alguno de los horarios indicados,
+ * del mismo entrenador o del mismo estudiante.
+ * @async
+ * @param {object} datos - Datos de la búsqueda.
+ * @param {string} datos.entrenadorId - UUID del entrenador.
+ * @param {string} datos.estudianteId - UUID del estudiante.
+ * @param {Array<{inicio: string, fin: string}>} datos.sesiones - Horarios a comprobar (YYYY-MM-DDTHH:MM:SS).
+ * @returns {Promise<Array<object>>} Un cruce por fila: `indice` (posición del horario, desde 0), `tipo` ('entrenador'
+ * o 'estudiante'), la sesión planificada con la que se cruza y su variable.
+ */
+export const buscarCruces = async ({ entrenadorId, estudianteId, sesiones }) => {
+  const queryString = `
+    SELECT (c.indice - 1)::int AS indice,
+      CASE WHEN sp.entrenador = $1 THEN 'entrenador' ELSE 'estudiante' END AS tipo,
+      sp.id AS "sesionPlanificadaId", sp.asignacionVariable AS "asignacionId",
+      to_char(sp.inicio, '${TEXTO_TIMESTAMP}') AS inicio, to_char(sp.fin, '${TEXTO_TIMESTAMP}') AS fin,
+      pv."variableCognitivaNombre" AS variable
+    FROM unnest($3::timestamp[], $4::timestamp[]) WITH ORDINALITY AS c(inicio, fin, indice)
+    JOIN CC.SesionPlanificada sp ON NOT sp.cancelada AND sp.inicio < c.fin AND c.inicio < sp.fin
+    LEFT JOIN CC.ProgresoVariableUV pv ON pv."asignacionVariableId" = sp.asignacionVariable
+    WHERE sp.entrenador = $1 OR sp.estudiante = $2
+    ORDER BY c.indice, sp.inicio;
+  `;
+  const queryParams = [entrenadorId, estudianteId, sesiones.map((s) => s.inicio), sesiones.map((s) => s.fin)];
+  try {
+    const { rows } = await pool.query(queryString, queryParams);
+    return rows;
+  } catch (error) {
+    logger.error('[MODELO_AGENDA] Error al buscar cruces de horario:', error);
+    throw error;
+  }
+};
+
+/**
+ * Crea un plan de sesiones con sus sesiones planificadas en una sola sentencia.
+ * @async
+ * @param {object} datos - Datos del plan.
+ * @param {string} datos.asignacionId - UUID de la asignación de variable.
+ * @param {string} datos.entrenadorId - UUID del entrenador que dicta las sesiones.
+ * @param {string} datos.estudianteId - UUID del estudiante.
+ * @param {number[]} datos.diasSemana - Días de la semana (1 = lunes ... 7 = domingo).
+ * @param {string} datos.horaInicio - Hora de inicio (HH:MM).
+ * @param {number} datos.duracionMinutos - Duración de cada sesión.
+ * @param {string} datos.fechaInicio - Primer día del plan (YYYY-MM-DD).
+ * @param {string} datos.fechaFin - Último día del plan (YYYY-MM-DD).
+ * @param {string} [datos.creadoPor] - UUID del usuario que crea el plan.
+ * @param {Array<{inicio: string, fin: string}>} datos.sesiones - Sesiones a planificar (YYYY-MM-DDTHH:MM:SS).
+ * @returns {Promise<object>} El plan creado, con `sesiones` ({ id, inicio, fin }) en orden.
+ */
+export const crearPlan = async ({
+  asignacionId, entrenadorId, estudianteId, diasSemana, horaInicio, duracionMinutos, fechaInicio, fechaFin, creadoPor, sesiones,
+}) => {
+  const queryString = `
+    WITH p AS (
+      INSERT INTO CC.PlanSesiones (asignacionVariable, entrenador, estudiante, diasSemana, horaInicio, duracionMinutos, fechaInicio, fechaFin, creadoPor)
+      VALUES ($1, $2, $3, $4::smallint[], $5::time, $6, $7::date, $8::date, $9)
+      RETURNING *
+    ), planificadas AS (
+      INSERT INTO CC.SesionPlanificada (plan, asignacionVariable, entrenador, estudiante, inicio, fin)
+      SELECT p.id, p.asignacionVariable, p.entrenador, p.estudiante, s.inicio, s.fin
+      FROM p, unnest($10::timestamp[], $11::timestamp[]) AS s(inicio, fin)
+      RETURNING id, inicio, fin
+    )
+    SELECT ${COLUMNAS_PLAN},
+      (SELECT COUNT(*)::int FROM planificadas) AS "totalSesiones",
+      0 AS "sesionesCanceladas",
+      (
+        SELECT json_agg(json_build_object('id', s.id, 'inicio', to_char(s.inicio, '${TEXTO_TIMESTAMP}'), 'fin', to_char(s.fin, '${TEXTO_TIMESTAMP}')) ORDER BY s.inicio)
+        FROM planificadas s
+      ) AS sesiones
+    FROM p;
+  `;
+  const queryParams = [
+    asignacionId, entrenadorId, estudianteId, diasSemana, horaInicio, duracionMinutos, fechaInicio, fechaFin, creadoPor || null,
+    sesiones.map((s) => s.inicio), sesiones.map((s) => s.fin),
+  ];
+  try {
+    const { rows } = await pool.query(queryString, queryParams);
+    logger.info(`[MODELO_AGENDA] Plan ${rows[0].id} creado para la asignación ${asignacionId} con ${rows[0].totalSesiones} sesiones.`);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_AGENDA] Error al crear el plan de sesiones de la asignación ${asignacionId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Lista los planes de sesiones de una asignación, del más reciente al más antiguo.
+ * @async
+ * @param {string} asignacionId - UUID de la asignación de variable.
+ * @returns {Promise<Array<object>>} Los planes, con el total de sesiones y las canceladas.
+ */
+export const obtenerPlanes = async (asignacionId) => {
+  const queryString = `
+    SELECT ${COLUMNAS_PLAN},
+      (SELECT COUNT(*)::int FROM CC.SesionPlanificada s WHERE s.plan = p.id) AS "totalSesiones",
+      (SELECT COUNT(*)::int FROM CC.SesionPlanificada s WHERE s.plan = p.id AND s.cancelada) AS "sesionesCanceladas"
+    FROM CC.PlanSesiones p
+    WHERE p.asignacionVariable = $1
+    ORDER BY p.fechaCreacion DESC;
+  `;
+  try {
+    const { rows } = await pool.query(queryString, [asignacionId]);
+    return rows;
+  } catch (error) {
+    logger.error(`[MODELO_AGENDA] Error al listar los planes de la asignación ${asignacionId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Cancela un plan activo y sus sesiones planificadas que aún no han empezado.
+ * @async
+ * @param {string} asignacionId - UUID de la asignación de variable.
+ * @param {string} planId - UUID del plan.
+ * @returns {Promise<object|undefined>} El plan cancelado con `sesionesCanceladas` (las de esta cancelación),
+ * o undefined si el plan no existe, no es de la asignación o ya estaba cancelado.
+ */
+export const cancelarPlan = async (asignacionId, planId) => {
+  const queryString = `
+    WITH p AS (
+      UPDATE CC.PlanSesiones
+      SET activo = FALSE, fechaCancelacion = CURRENT_TIMESTAMP
+      WHERE id = $2 AND asignacionVariable = $1 AND activo
+      RETURNING *
+    ), canceladas AS (
+      UPDATE CC.SesionPlanificada s
+      SET cancelada = TRUE
+      FROM p
+      WHERE s.plan = p.id AND NOT s.cancelada AND s.inicio > LOCALTIMESTAMP
+      RETURNING s.id
+    )
+    SELECT ${COLUMNAS_PLAN}, (SELECT COUNT(*)::int FROM canceladas) AS "sesionesCanceladas"
+    FROM p;
+  `;
+  try {
+    const { rows } = await pool.query(queryString, [asignacionId, planId]);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_AGENDA] Error al cancelar el plan ${planId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene las sesiones planificadas vigentes de un entrenador entre dos días (ambos incluidos).
+ * @async
+ * @param {string} entrenadorId - UUID del entrenador.
+ * @param {string} desde - Primer día (YYYY-MM-DD).
+ * @param {string} hasta - Último día (YYYY-MM-DD).
+ * @returns {Promise<Array<object>>} Las sesiones en orden, con `vencida` si ya terminaron.
+ */
+export const obtenerSesionesPlanificadas = async (entrenadorId, desde, hasta) => {
+  const queryString = `
+    SELECT sp.id AS "sesionPlanificadaId", sp.plan AS "planId", sp.asignacionVariable AS "asignacionId",
+      to_char(sp.inicio, '${TEXTO_TIMESTAMP}') AS inicio, to_char(sp.fin, '${TEXTO_TIMESTAMP}') AS fin,
+      sp.fin < LOCALTIMESTAMP AS vencida,
+      sp.estudiante AS "estudianteId", pv."estudianteNombres", pv."estudianteApellidos", pv."variableCognitivaNombre" AS variable
+    FROM CC.SesionPlanificada sp
+    LEFT JOIN CC.ProgresoVariableUV pv ON pv."asignacionVariableId" = sp.asignacionVariable
+    WHERE sp.entrenador = $1 AND NOT sp.cancelada
+      AND sp.inicio >= $2::date AND sp.inicio < $3::date + 1
+    ORDER BY sp.inicio;
+  `;
+  try {
+    const { rows } = await pool.query(queryString, [entrenadorId, desde, hasta]);
+    return rows;
+  } catch (error) {
+    logger.error(`[MODELO_AGENDA] Error al obtener las sesiones planificadas del entrenador ${entrenadorId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene las sesiones de entrenamiento iniciadas entre dos días (ambos incluidos) en los entrenamientos asignados a un entrenador.
+ * @async
+ * @param {string} entrenadorId - UUID del entrenador.
+ * @param {string} desde - Primer día (YYYY-MM-DD).
+ * @param {string} hasta - Último día (YYYY-MM-DD).
+ * @returns {Promise<Array<object>>} Las sesiones en orden de inicio.
+ */
+export const obtenerSesionesEjecutadas = async (entrenadorId, desde, hasta) => {
+  const queryString = `
+    SELECT (s->>'sesionId')::uuid AS "sesionId", (s->>'numeroSesion')::int AS "numeroSesion", s->>'estado' AS "estadoSesion",
+      to_char((s->>'fechaInicio')::timestamp, '${TEXTO_TIMESTAMP}') AS inicio,
+      to_char((s->>'fechaFin')::timestamp, '${TEXTO_TIMESTAMP}') AS fin,
+      pv."asignacionVariableId" AS "asignacionId", pv."estudianteId", pv."estudianteNombres", pv."estudianteApellidos",
+      pv."variableCognitivaNombre" AS variable
+    FROM CC.EntrenadorEntrenamiento ee
+    JOIN CC.ProgresoVariableUV pv ON pv."entrenamientoId" = ee.entrenamientoCognitivo
+    CROSS JOIN LATERAL json_array_elements(pv."sesionesDetalle"::json) s
+    WHERE ee.entrenador = $1
+      AND (s->>'fechaInicio')::timestamp >= $2::date AND (s->>'fechaInicio')::timestamp < $3::date + 1
+    ORDER BY inicio;
+  `;
+  try {
+    const { rows } = await pool.query(queryString, [entrenadorId, desde, hasta]);
+    return rows;
+  } catch (error) {
+    logger.error(`[MODELO_AGENDA] Error al obtener las sesiones ejecutadas del entrenador ${entrenadorId}:`, error);
+    throw error;
+  }
+};
@@ -0,0 +1,73 @@
+import pool from '../config/db.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene las consultas de alcance por facultad (seguridad a nivel de fila).
+ * La regla de alcance vive en las funciones CC.*EnAlcanceUFS de la base de datos.
+ */
+
+/**
+ * Función de base de datos que resuelve cada tipo de alcance.
+ * Todas reciben (usuario, rol, ...valores) y devuelven un booleano.
+ */
+const FUNCIONES_POR_TIPO = Object.freeze({
+  estudiante: { funcion: 'CC.EstudianteEnAlcanceUFS', tipos: ['uuid'] },
+  estudianteDocumento: { funcion: 'CC.EstudianteDocumentoEnAlcanceUFS', tipos: ['varchar', 'varchar'] },
+  entrenamiento: { funcion: 'CC.EntrenamientoEnAlcanceUFS', tipos: ['uuid'] },
+  asignacion: { funcion: 'CC.AsignacionEnAlcanceUFS', tipos: ['uuid'] },
+  sesion: { funcion: 'CC.SesionEnAlcanceUFS', tipos: ['uuid'] },
+  programas: { funcion: 'CC.ProgramasEnAlcanceUFS', tipos: ['varchar[]'] },
+  entrenadorCorreo: { funcion: 'CC.EntrenadorCorreoEnAlcanceUFS', tipos: ['varchar'] },
+});
+
+export const TIPOS_ALCANCE = Object.freeze(Object.keys(FUNCIONES_POR_TIPO));
+
+/**
+ * Obtiene los IDs de las facultades del usuario (las asignadas al entrenador o la del coordinador).
+ * @async
+ * @param {string} usuarioId - UUID del usuario.
+ * @param {string} rol - Rol del usuario.
+ * @returns {Promise<Array<string>>} Los UUID de las facultades.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerFacultades = async (usuarioId, rol) => {
+  const queryString = 'SELECT facultad AS "facultadId" FROM CC.FacultadesUsuarioUFT($1, $2);';
+  logger.debug('[MODELO_ALCANCE] Obteniendo facultades del usuario %s (%s).', usuarioId, rol);
+  try {
+    const { rows } = await pool.query(queryString, [usuarioId, rol]);
+    return rows.map((fila) => fila.facultadId);
+  } catch (error) {
+    logger.error('[MODELO_ALCANCE] Error al obtener las facultades del usuario:', error);
+    throw error;
+  }
+};
+
+/**
+ * Indica si un registro está dentro del alcance del usuario.
+ * @async
+ * @param {string} tipo - Tipo de registro (ver `TIPOS_ALCANCE`).
+ * @param {string} usuarioId - UUID del usuario.
+ * @param {string} rol - Rol del usuario.
+ * @param {Array<any>} valores - Identificadores del registro (p. ej. [siglaTipoDocumento, numeroDocumento]).
+ * @returns {Promise<boolean>} `true` si el usuario puede acceder al registro.
+ * @throws {Error} Si el tipo no existe o si ocurre un error durante la consulta.
+ */
+export const enAlcance = async (tipo, usuarioId, rol, valores) => {
+  const definicion = FUNCIONES_POR_TIPO[tipo];
+  if (!definicion) {
+    throw new Error(`Tipo de alcance desconocido: ${tipo}`);
+  }
+
+  const marcadores = definicion.tipos.map((tipoSql, i) => `$${i + 3}::${tipoSql}`).join(', ');
+  const queryString = `SELECT ${definicion.funcion}($1, $2, ${marcadores}) AS "enAlcance";`;
+  const queryParams = [usuarioId, rol, ...valores];
+
+  logger.debug('[MODELO_ALCANCE] Verificando alcance %s con params: %o', tipo, queryParams);
+  try {
+    const { rows } = await pool.query(queryString, queryParams);
+    return rows[0]?.enAlcance === true;
+  } catch (error) {
+    logger.error(`[MODELO_ALCANCE] Error al verificar el alcance ${tipo}:`, error);
+    throw error;
+  }
+};
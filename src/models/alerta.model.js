@@ -0,0 +1,379 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AlertaRiesgo:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         regla:
+ *           type: string
+ *           enum: [sin-sesiones, sesiones-sin-iniciar, metricas-en-descenso, fin-proximo]
+ *         estado:
+ *           type: string
+ *           enum: [activa, descartada, resuelta]
+ *         detalle:
+ *           type: object
+ *           description: >
+ *             Datos que dispararon la regla y el umbral aplicado. sin-sesiones: ultimaSesion, diasSinSesion;
+ *             sesiones-sin-iniciar: sesionesSinIniciar, sesiones; metricas-en-descenso: metricas (clave y valores);
+ *             fin-proximo: fechaFin, diasRestantes.
+ *           example: { ultimaSesion: "2025-03-03", diasSinSesion: 21, umbral: 14 }
+ *         asignacionId:
+ *           type: string
+ *           format: uuid
+ *         entrenamientoId:
+ *           type: string
+ *           format: uuid
+ *         estudianteId:
+ *           type: string
+ *           format: uuid
+ *         estudianteNombres:
+ *           type: string
+ *         estudianteApellidos:
+ *           type: string
+ *         variable:
+ *           type: string
+ *         fechaDeteccion:
+ *           type: string
+ *           format: date-time
+ *         fechaActualizacion:
+ *           type: string
+ *           format: date-time
+ *           description: Último escaneo en el que la regla se cumplía.
+ *         fechaResolucion:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         descartadaPor:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         motivoDescarte:
+ *           type: string
+ *           nullable: true
+ *         fechaDescarte:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     UmbralesAlertaFacultad:
+ *       type: object
+ *       properties:
+ *         facultadId:
+ *           type: string
+ *           format: uuid
+ *         facultadNombre:
+ *           type: string
+ *         diasSinSesion:
+ *           type: integer
+ *           example: 14
+ *         sesionesSinIniciar:
+ *           type: integer
+ *           example: 3
+ *         sesionesEnDescenso:
+ *           type: integer
+ *           example: 3
+ *         diasAntesDeFin:
+ *           type: integer
+ *           example: 14
+ *         personalizados:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Umbrales configurados para la facultad; el resto usa el valor por defecto.
+ *         fechaActualizacion:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+import pool from '../config/db.js';
+import logger from '../config/logger.js';
+import { construirConsultaListado, ejecutarConsultaListado } from '../utils/consulta.utils.js';
+
+/**
+ * @file Contiene las funciones de acceso a datos de las alertas de riesgo de abandono (CC.AlertaRiesgo)
+ * y de los umbrales de las reglas por facultad (CC.UmbralAlertaFacultad).
+ */
+
+// Número de instantáneas de métricas por asignación que se leen para el escaneo (el umbral máximo de descenso es 10).
+const INSTANTANEAS_POR_ASIGNACION = 10;
+
+const COLUMNAS_UMBRALES = `
+  diasSinSesion AS "diasSinSesion", sesionesSinIniciar AS "sesionesSinIniciar",
+  sesionesEnDescenso AS "sesionesEnDescenso", diasAntesDeFin AS "diasAntesDeFin"
+`;
+
+/** Listado de alertas, con el estudiante y la variable de cada asignación. */
+const LISTADO_ALERTAS = {
+  origen: `(
+    SELECT a.id, a.regla, a.estado, a.detalle,
+      a.asignacionVariable AS "asignacionId", a.entrenamiento AS "entrenamientoId", a.estudiante AS "estudianteId",
+      p."estudianteNombres", p."estudianteApellidos", p."variableCognitivaNombre" AS variable,
+      a.fechaDeteccion AS "fechaDeteccion", a.fechaActualizacion AS "fechaActualizacion", a.fechaResolucion AS "fechaResolucion",
+      a.descartadaPor AS "descartadaPor", a.motivoDescarte AS "motivoDescarte", a.fechaDescarte AS "fechaDescarte"
+    FROM CC.AlertaRiesgo a
+    LEFT JOIN CC.ProgresoVariableUV p ON p."asignacionVariableId" = a.asignacionVariable
+  ) AS alerta`,
+  ordenes: {
+    fechaDeteccion: '"fechaDeteccion"',
+    regla: 'regla',
+    estado: 'estado',
+    apellidos: '"estudianteApellidos"',
+  },
+  ordenPorDefecto: '-fechaDeteccion',
+  desempate: 'id',
+  filtros: {
+    estado: 'estado = ?',
+    regla: 'regla = ?',
+    entrenamiento: '"entrenamientoId" = ?::uuid',
+    estudiante: '"estudianteId" = ?::uuid',
+    fechaDesde: '"fechaDeteccion" >= ?',
+    fechaHasta: '"fechaDeteccion" <= ?',
+    facultad: `"estudianteId" IN (
+      SELECT ep.estudiante FROM CC.EstudiantePrograma ep
+      JOIN CC.Programa p ON p.id = ep.programa
+      WHERE p.facultad = ?::uuid)`,
+    programa: `"estudianteId" IN (
+      SELECT ep.estudiante FROM CC.EstudiantePrograma ep
+      JOIN CC.Programa p ON p.id = ep.programa
+      WHERE p.nombre = ?)`,
+    entrenador: '"entrenamientoId" IN (SELECT entrenamientoCognitivo FROM CC.EntrenadorEntrenamiento WHERE entrenador = ?::uuid)',
+    periodo: `"entrenamientoId" IN (
+      SELECT ep.entrenamiento FROM CC.EntrenamientoPeriodo ep
+      JOIN CC.PeriodoAcademico pa ON pa.id = ep.periodo
+      WHERE pa.codigo = ?)`,
+  },
+};
+
+/**
+ * Obtiene las asignaciones en progreso con todo lo que necesitan las reglas de riesgo: sesiones, fechas del
+ * entrenamiento, facultades del estudiante y las últimas instantáneas de métricas (de la más antigua a la más reciente).
+ * Los entrenamientos archivados no se escanean, ni los que se cerraron con el cierre de su periodo académico, así que
+ * sus alertas vigentes quedan resueltas en el siguiente escaneo.
+ * @async
+ * @returns {Promise<Array<object>>} Una fila por asignación en progreso.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerAsignacionesParaEscaneo = async () => {
+  const queryString = `
+    SELECT p."asignacionVariableId" AS "asignacionId", p."entrenamientoId", p."estudianteId",
+      p."variableCognitivaNombre" AS variable,
+      COALESCE(p."sesionesDetalle"::jsonb, '[]'::jsonb) AS sesiones,
+      to_char(d."entrenamientoFechaInicio", 'YYYY-MM-DD') AS "fechaInicioEntrenamiento",
+      to_char(d."entrenamientoFechaFin", 'YYYY-MM-DD') AS "fechaFinEntrenamiento",
+      ARRAY(
+        SELECT DISTINCT pr.facultad FROM CC.EstudiantePrograma ep
+        JOIN CC.Programa pr ON pr.id = ep.programa
+        WHERE ep.estudiante = p."estudianteId"
+      ) AS facultades,
+      COALESCE((
+        SELECT jsonb_agg(m.metricas ORDER BY m.fechaRegistro)
+        FROM (
+          SELECT metricas, fechaRegistro FROM CC.MetricaSesion
+          WHERE asignacionVariable = p."asignacionVariableId"
+          ORDER BY fechaRegistro DESC
+          LIMIT ${INSTANTANEAS_POR_ASIGNACION}
+        ) m
+      ), '[]'::jsonb) AS metricas
+    FROM CC.ProgresoVariableUV p
+    JOIN CC.DetalleEntrenamientoEstudianteUV d ON d."asignacionVariableId" = p."asignacionVariableId"
+    WHERE p."asignacionVariableEstado" = 'En Progreso'
+      AND NOT EXISTS (
+        SELECT 1 FROM CC.EntrenamientoCognitivo ec
+        WHERE ec.id = p."entrenamientoId" AND ec.fechaArchivado IS NOT NULL
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM CC.EntrenamientoPeriodo ep
+        WHERE ep.entrenamiento = p."entrenamientoId" AND ep.estado = 'cerrado'
+      );
+  `;
+  try {
+    const { rows } = await pool.query(queryString);
+    logger.debug(`[MODELO_ALERTA] ${rows.length} asignaciones en progreso para el escaneo de alertas.`);
+    return rows;
+  } catch (error) {
+    logger.error('[MODELO_ALERTA] Error al obtener las asignaciones para el escaneo de alertas:', error);
+    throw error;
+  }
+};
+
+/**
+ * Sincroniza las alertas con el resultado de un escaneo, en una sola sentencia:
+ * crea las alertas nuevas, actualiza el detalle de las vigentes (activas o descartadas) y marca como resueltas
+ * las vigentes que ya no se detectan. Una alerta descartada sigue descartada mientras la regla se siga cumpliendo.
+ * @async
+ * @param {Array<{regla: string, asignacionId: string, entrenamientoId: string, estudianteId: string, detalle: object}>} detectadas
+ *   - Las reglas disparadas en el escaneo.
+ * @returns {Promise<{nuevas: number, vigentes: number, resueltas: number}>} Cuántas alertas se crearon, se mantuvieron y se resolvieron.
+ * @throws {Error} Si ocurre un error durante la sincronización.
+ */
+export const sincronizarAlertas = async (detectadas) => {
+  const queryString = `
+    WITH detectadas AS (
+      SELECT * FROM jsonb_to_recordset($1::jsonb)
+        AS d(regla VARCHAR, "asignacionId" UUID, "entrenamientoId" UUID, "estudianteId" UUID, detalle JSONB)
+    ), resueltas AS (
+      UPDATE CC.AlertaRiesgo a
+      SET estado = 'resuelta', fechaResolucion = CURRENT_TIMESTAMP
+      WHERE a.estado IN ('activa', 'descartada')
+        AND NOT EXISTS (SELECT 1 FROM detectadas d WHERE d.regla = a.regla AND d."asignacionId" = a.asignacionVariable)
+      RETURNING a.id
+    ), registradas AS (
+      INSERT INTO CC.AlertaRiesgo (regla, asignacionVariable, entrenamiento, estudiante, detalle)
+      SELECT regla, "asignacionId", "entrenamientoId", "estudianteId", detalle FROM detectadas
+      ON CONFLICT (regla, asignacionVariable) WHERE estado IN ('activa', 'descartada')
+      DO UPDATE SET detalle = EXCLUDED.detalle, fechaActualizacion = CURRENT_TIMESTAMP
+      RETURNING (xmax = 0) AS nueva
+    )
+    SELECT
+      (SELECT COUNT(*) FROM registradas WHERE nueva)::int AS "nuevas",
+      (SELECT COUNT(*) FROM registradas WHERE NOT nueva)::int AS "vigentes",
+      (SELECT COUNT(*) FROM resueltas)::int AS "resueltas";
+  `;
+  try {
+    const { rows } = await pool.query(queryString, [JSON.stringify(detectadas)]);
+    return rows[0];
+  } catch (error) {
+    logger.error('[MODELO_ALERTA] Error al sincronizar las alertas:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene una página de las alertas.
+ * @async
+ * @param {object} [alcance] - Si se indica, solo devuelve las alertas de entrenamientos dentro del alcance
+ * por facultad de ese usuario (CC.EntrenamientosEnAlcanceUFT).
+ * @param {string} alcance.usuarioId - UUID del usuario.
+ * @param {string} alcance.rol - Rol del usuario.
+ * @param {object} [opciones={}] - Paginación, orden y filtros (ver `utils/consulta.utils.js`).
+ * @returns {Promise<{datos: Array<object>, paginacion: object}>} Las alertas de la página y sus metadatos de paginación.
+ * @throws {Error} 400 si se pide un filtro u orden no disponible, o el error de la base de datos.
+ */
+export const listarAlertas = async (alcance, opciones = {}) => {
+  const condiciones = alcance
+    ? [{ sql: '"entrenamientoId" IN (SELECT entrenamiento FROM CC.EntrenamientosEnAlcanceUFT(?, ?))', valores: [alcance.usuarioId, alcance.rol] }]
+    : [];
+  const consulta = construirConsultaListado(LISTADO_ALERTAS, { ...opciones, condiciones });
+  logger.debug('[MODELO_ALERTA] Ejecutando listarAlertas con query: %s', consulta.datos.text);
+  try {
+    return await ejecutarConsultaListado(pool, consulta);
+  } catch (error) {
+    logger.error('[MODELO_ALERTA] Error al listar las alertas:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene una alerta por su ID.
+ * @async
+ * @param {string} alertaId - UUID de la alerta.
+ * @returns {Promise<object|undefined>} La alerta ({ id, regla, estado, asignacionId, entrenamientoId }) o `undefined` si no existe.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerAlerta = async (alertaId) => {
+  const queryString = `
+    SELECT id, regla, estado, asignacionVariable AS "asignacionId", entrenamiento AS "entrenamientoId"
+    FROM CC.AlertaRiesgo WHERE id = $1;
+  `;
+  try {
+    const { rows } = await pool.query(queryString, [alertaId]);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_ALERTA] Error al obtener la alerta ${alertaId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Descarta una alerta activa con un motivo.
+ * @async
+ * @param {string} alertaId - UUID de la alerta.
+ * @param {string} usuarioId - UUID del usuario que la descarta.
+ * @param {string} motivo - Motivo del descarte.
+ * @returns {Promise<object|undefined>} La alerta descartada, o `undefined` si no estaba activa.
+ * @throws {Error} Si ocurre un error durante la actualización.
+ */
+export const descartarAlerta = async (alertaId, usuarioId, motivo) => {
+  const queryString = `
+    UPDATE CC.AlertaRiesgo
+    SET estado = 'descartada', descartadaPor = $2, motivoDescarte = $3, fechaDescarte = CURRENT_TIMESTAMP
+    WHERE id = $1 AND estado = 'activa'
+    RETURNING id, regla, estado, asignacionVariable AS "asignacionId", entrenamiento AS "entrenamientoId",
+      descartadaPor AS "descartadaPor", motivoDescarte AS "motivoDescarte", fechaDescarte AS "fechaDescarte";
+  `;
+  try {
+    const { rows } = await pool.query(queryString, [alertaId, usuarioId, motivo]);
+    if (rows[0]) {
+      logger.info(`[MODELO_ALERTA] Alerta ${alertaId} descartada por ${usuarioId}.`);
+    }
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_ALERTA] Error al descartar la alerta ${alertaId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene los umbrales configurados de todas las facultades (las columnas sin configurar vienen en NULL).
+ * @async
+ * @returns {Promise<Array<object>>} Una fila por facultad, ordenadas por nombre.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerUmbrales = async () => {
+  const queryString = `
+    SELECT f.id AS "facultadId", f.nombre AS "facultadNombre", ${COLUMNAS_UMBRALES}, u.fechaActualizacion AS "fechaActualizacion"
+    FROM CC.Facultad f
+    LEFT JOIN CC.UmbralAlertaFacultad u ON u.facultad = f.id
+    ORDER BY f.nombre;
+  `;
+  try {
+    const { rows } = await pool.query(queryString);
+    return rows;
+  } catch (error) {
+    logger.error('[MODELO_ALERTA] Error al obtener los umbrales de alertas:', error);
+    throw error;
+  }
+};
+
+/**
+ * Guarda los umbrales de una facultad; los que no se indican (o van en null) quedan sin configurar.
+ * @async
+ * @param {string} facultadId - UUID de la facultad.
+ * @param {object} umbrales - { diasSinSesion, sesionesSinIniciar, sesionesEnDescenso, diasAntesDeFin }.
+ * @param {string} usuarioId - UUID del usuario que los actualiza.
+ * @returns {Promise<object|undefined>} Los umbrales guardados, o `undefined` si la facultad no existe.
+ * @throws {Error} Si ocurre un error durante la actualización.
+ */
+export const guardarUmbrales = async (facultadId, umbrales, usuarioId) => {
+  const queryString = `
+    INSERT INTO CC.UmbralAlertaFacultad (facultad, diasSinSesion, sesionesSinIniciar, sesionesEnDescenso, diasAntesDeFin, actualizadoPor)
+    SELECT f.id, $2, $3, $4, $5, $6 FROM CC.Facultad f WHERE f.id = $1
+    ON CONFLICT (facultad) DO UPDATE SET
+      diasSinSesion = EXCLUDED.diasSinSesion, sesionesSinIniciar = EXCLUDED.sesionesSinIniciar,
+      sesionesEnDescenso = EXCLUDED.sesionesEnDescenso, diasAntesDeFin = EXCLUDED.diasAntesDeFin,
+      actualizadoPor = EXCLUDED.actualizadoPor, fechaActualizacion = CURRENT_TIMESTAMP
+    RETURNING facultad AS "facultadId", ${COLUMNAS_UMBRALES}, fechaActualizacion AS "fechaActualizacion";
+  `;
+  const queryParams = [
+    facultadId,
+    umbrales.diasSinSesion ?? null,
+    umbrales.sesionesSinIniciar ?? null,
+    umbrales.sesionesEnDescenso ?? null,
+    umbrales.diasAntesDeFin ?? null,
+    usuarioId,
+  ];
+  try {
+    const { rows } = await pool.query(queryString, queryParams);
+    if (rows[0]) {
+      logger.info(`[MODELO_ALERTA] Umbrales de alertas de la facultad ${facultadId} actualizados.`);
+    }
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_ALERTA] Error al guardar los umbrales de alertas de la facultad ${facultadId}:`, error);
+    throw error;
+  }
+};
@@ -0,0 +1,333 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GrupoAnalitica:
+ *       type: object
+ *       description: Resultados de las asignaciones de variables de un grupo (facultad, programa, variable o entrenador).
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: ID del grupo (el nombre, en el caso de las variables).
+ *         nombre:
+ *           type: string
+ *         asignaciones:
+ *           type: integer
+ *         finalizadas:
+ *           type: integer
+ *         abandonadas:
+ *           type: integer
+ *         enProgreso:
+ *           type: integer
+ *         tasaFinalizacion:
+ *           type: number
+ *           nullable: true
+ *           example: 0.625
+ *         tasaAbandono:
+ *           type: number
+ *           nullable: true
+ *         tasaEnProgreso:
+ *           type: number
+ *           nullable: true
+ *         promedioSesionesFinalizacion:
+ *           type: number
+ *           nullable: true
+ *           description: Promedio de sesiones de las asignaciones finalizadas.
+ *     MejoraVariable:
+ *       type: object
+ *       properties:
+ *         variable:
+ *           type: string
+ *         metricas:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               metrica:
+ *                 type: string
+ *                 description: Clave numérica presente en el nivel inicial y en las métricas.
+ *               asignaciones:
+ *                 type: integer
+ *               promedioInicial:
+ *                 type: number
+ *               promedioFinal:
+ *                 type: number
+ *               mejoraPromedio:
+ *                 type: number
+ *               mejoraPorcentual:
+ *                 type: number
+ *                 nullable: true
+ *     PuntoSerieMensual:
+ *       type: object
+ *       properties:
+ *         mes:
+ *           type: string
+ *           example: "2025-03"
+ *         iniciados:
+ *           type: integer
+ *         finalizados:
+ *           type: integer
+ */
+
+import pool from '../config/db.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene las consultas de analítica de resultados del entrenamiento cognitivo.
+ * Todas parten de la vista CC.AnaliticaAsignacionUV (una fila por asignación de variable).
+ */
+
+/**
+ * @typedef {object} FiltrosAnalitica
+ * @property {Date} [fechaDesde] - Entrenamientos iniciados desde esta fecha.
+ * @property {Date} [fechaHasta] - Entrenamientos iniciados hasta esta fecha.
+ * @property {string} [facultad] - UUID de la facultad de los estudiantes.
+ * @property {string} [periodo] - Código del periodo académico de los entrenamientos.
+ * @property {{usuarioId: string, rol: string}} [alcance] - Limita a los entrenamientos del alcance del usuario.
+ */
+
+/**
+ * Agrupaciones disponibles para las tasas. `join` une cada asignación con su grupo; un estudiante
+ * con programas en varias facultades cuenta en cada una de ellas.
+ */
+const DIMENSIONES = Object.freeze({
+  facultad: {
+    join: `JOIN CC.EstudiantePrograma ep ON ep.estudiante = a.estudiante
+      JOIN CC.Programa pr ON pr.id = ep.programa
+      JOIN CC.Facultad f ON f.id = pr.facultad`,
+    id: 'f.id::text',
+    nombre: 'f.nombre',
+    facultad: 'pr.facultad',
+  },
+  programa: {
+    join: `JOIN CC.EstudiantePrograma ep ON ep.estudiante = a.estudiante
+      JOIN CC.Programa pr ON pr.id = ep.programa`,
+    id: 'pr.id::text',
+    nombre: 'pr.nombre',
+    facultad: 'pr.facultad',
+  },
+  variable: {
+    join: '',
+    id: 'a.variable',
+    nombre: 'a.variable',
+  },
+  entrenador: {
+    join: `JOIN CC.EntrenadorEntrenamiento ee ON ee.entrenamientoCognitivo = a.entrenamiento
+      JOIN CC.Entrenador en ON en.id = ee.entrenador`,
+    id: 'en.id::text',
+    nombre: "en.nombres || ' ' || en.apellidos",
+  },
+});
+
+export const DIMENSIONES_ANALITICA = Object.freeze(Object.keys(DIMENSIONES));
+
+// Conteos por resultado comunes al resumen y a las tasas por grupo.
+const AGREGADOS_RESULTADO = `
+  COUNT(*)::int AS "asignaciones",
+  COUNT(*) FILTER (WHERE resultado = 'finalizada')::int AS "finalizadas",
+  COUNT(*) FILTER (WHERE resultado = 'abandonada')::int AS "abandonadas",
+  COUNT(*) FILTER (WHERE resultado = 'enProgreso')::int AS "enProgreso",
+  ROUND(AVG(totalSesiones) FILTER (WHERE resultado = 'finalizada'), 2)::float8 AS "promedioSesionesFinalizacion"`;
+
+/**
+ * Construye la subconsulta de las asignaciones que cumplen los filtros, con sus valores ($1, $2, ...).
+ * @param {FiltrosAnalitica} filtros - Filtros pedidos.
+ * @param {object} [opciones={}]
+ * @param {boolean} [opciones.porFechaInicio=true] - Si el rango de fechas filtra por la fecha de inicio del entrenamiento.
+ * @returns {{sql: string, valores: Array<any>}}
+ */
+const construirBase = (filtros = {}, { porFechaInicio = true } = {}) => {
+  const fragmentos = [];
+  if (filtros.alcance) {
+    fragmentos.push({
+      sql: 'a.entrenamiento IN (SELECT entrenamiento FROM CC.EntrenamientosEnAlcanceUFT(?, ?))',
+      valores: [filtros.alcance.usuarioId, filtros.alcance.rol],
+    });
+  }
+  if (filtros.facultad) {
+    fragmentos.push({
+      sql: `a.estudiante IN (
+        SELECT ep.estudiante FROM CC.EstudiantePrograma ep
+        JOIN CC.Programa p ON p.id = ep.programa
+        WHERE p.facultad = ?::uuid)`,
+      valores: [filtros.facultad],
+    });
+  }
+  if (filtros.periodo) {
+    fragmentos.push({
+      sql: `a.entrenamiento IN (
+        SELECT ep.entrenamiento FROM CC.EntrenamientoPeriodo ep
+        JOIN CC.PeriodoAcademico pa ON pa.id = ep.periodo
+        WHERE pa.codigo = ?)`,
+      valores: [filtros.periodo],
+    });
+  }
+  if (porFechaInicio && filtros.fechaDesde) {
+    fragmentos.push({ sql: 'a.fechaInicio >= ?', valores: [filtros.fechaDesde] });
+  }
+  if (porFechaInicio && filtros.fechaHasta) {
+    fragmentos.push({ sql: 'a.fechaInicio <= ?', valores: [filtros.fechaHasta] });
+  }
+
+  const where = fragmentos.length > 0 ? ` WHERE ${fragmentos.map((fragmento) => `(${fragmento.sql})`).join(' AND ')}` : '';
+  let indice = 0;
+  return {
+    sql: `SELECT a.* FROM CC.AnaliticaAsignacionUV a${where}`.replace(/\?/g, () => `$${++indice}`),
+    valores: fragmentos.flatMap((fragmento) => fragmento.valores),
+  };
+};
+
+/**
+ * Obtiene los totales por resultado de todas las asignaciones que cumplen los filtros.
+ * @async
+ * @param {FiltrosAnalitica} [filtros={}] - Filtros pedidos.
+ * @returns {Promise<object>} Conteos de asignaciones, entrenamientos y estudiantes, y promedio de sesiones hasta finalizar.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerResumen = async (filtros = {}) => {
+  const base = construirBase(filtros);
+  const queryString = `
+    WITH base AS (${base.sql})
+    SELECT ${AGREGADOS_RESULTADO},
+      COUNT(DISTINCT entrenamiento)::int AS "entrenamientos",
+      COUNT(DISTINCT estudiante)::int AS "estudiantes"
+    FROM base;
+  `;
+  logger.debug('[MODELO_ANALITICA] Ejecutando obtenerResumen con filtros: %o', filtros);
+  try {
+    const { rows } = await pool.query(queryString, base.valores);
+    return rows[0];
+  } catch (error) {
+    logger.error('[MODELO_ANALITICA] Error al obtener el resumen de analítica:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene los conteos por resultado y el promedio de sesiones hasta finalizar, agrupados por una dimensión.
+ * Con el filtro de facultad, las agrupaciones por facultad y programa solo muestran esa facultad.
+ * @async
+ * @param {string} dimension - 'facultad', 'programa', 'variable' o 'entrenador'.
+ * @param {FiltrosAnalitica} [filtros={}] - Filtros pedidos.
+ * @returns {Promise<Array<object>>} Un elemento por grupo, ordenados por nombre.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerTasasPorDimension = async (dimension, filtros = {}) => {
+  const { join, id, nombre, facultad } = DIMENSIONES[dimension];
+  const base = construirBase(filtros);
+  const valores = [...base.valores];
+  let restriccion = '';
+  if (facultad && filtros.facultad) {
+    valores.push(filtros.facultad);
+    restriccion = `WHERE ${facultad} = $${valores.length}::uuid`;
+  }
+
+  // DISTINCT evita contar dos veces una asignación si el estudiante tiene dos programas de la misma facultad.
+  const queryString = `
+    WITH base AS (${base.sql}),
+    filas AS (
+      SELECT DISTINCT ${id} AS id, ${nombre} AS nombre, a.asignacion, a.resultado, a.totalSesiones
+      FROM base a
+      ${join}
+      ${restriccion}
+    )
+    SELECT id, nombre, ${AGREGADOS_RESULTADO}
+    FROM filas
+    GROUP BY id, nombre
+    ORDER BY nombre;
+  `;
+  logger.debug('[MODELO_ANALITICA] Ejecutando obtenerTasasPorDimension (%s) con filtros: %o', dimension, filtros);
+  try {
+    const { rows } = await pool.query(queryString, valores);
+    logger.info(`[MODELO_ANALITICA] Se calcularon las tasas de ${rows.length} grupos por ${dimension}.`);
+    return rows;
+  } catch (error) {
+    logger.error(`[MODELO_ANALITICA] Error al obtener las tasas por ${dimension}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene, por variable cognitiva y métrica, el promedio del nivel inicial y de las métricas finales
+ * de las asignaciones finalizadas. Solo se comparan las claves numéricas presentes en ambos JSON.
+ * @async
+ * @param {FiltrosAnalitica} [filtros={}] - Filtros pedidos.
+ * @returns {Promise<Array<{variable: string, metrica: string, asignaciones: number, promedioInicial: number, promedioFinal: number}>>}
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerMejoraPorVariable = async (filtros = {}) => {
+  const base = construirBase(filtros);
+  const queryString = `
+    WITH base AS (${base.sql})
+    SELECT a.variable AS "variable", i.key AS "metrica", COUNT(*)::int AS "asignaciones",
+      ROUND(AVG(i.value::text::numeric), 3)::float8 AS "promedioInicial",
+      ROUND(AVG(m.value::text::numeric), 3)::float8 AS "promedioFinal"
+    FROM base a
+    CROSS JOIN LATERAL jsonb_each(CASE WHEN jsonb_typeof(a.nivelInicial) = 'object' THEN a.nivelInicial ELSE '{}'::jsonb END) i
+    JOIN LATERAL jsonb_each(CASE WHEN jsonb_typeof(a.metricas) = 'object' THEN a.metricas ELSE '{}'::jsonb END) m ON m.key = i.key
+    WHERE a.resultado = 'finalizada' AND jsonb_typeof(i.value) = 'number' AND jsonb_typeof(m.value) = 'number'
+    GROUP BY a.variable, i.key
+    ORDER BY a.variable, i.key;
+  `;
+  logger.debug('[MODELO_ANALITICA] Ejecutando obtenerMejoraPorVariable con filtros: %o', filtros);
+  try {
+    const { rows } = await pool.query(queryString, base.valores);
+    return rows;
+  } catch (error) {
+    logger.error('[MODELO_ANALITICA] Error al obtener la mejora por variable:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene la cantidad de entrenamientos iniciados y finalizados por mes.
+ * Un entrenamiento se da por finalizado cuando todas sus asignaciones están finalizadas o abandonadas,
+ * en la fecha de su última sesión. El rango de fechas se aplica a la fecha de cada evento.
+ * @async
+ * @param {FiltrosAnalitica} [filtros={}] - Filtros pedidos.
+ * @returns {Promise<Array<{mes: string, iniciados: number, finalizados: number}>>} Solo los meses con eventos, en orden.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerSerieMensual = async (filtros = {}) => {
+  const base = construirBase(filtros, { porFechaInicio: false });
+  const valores = [...base.valores];
+  const rango = [];
+  if (filtros.fechaDesde) {
+    valores.push(filtros.fechaDesde);
+    rango.push(`AND fecha >= $${valores.length}`);
+  }
+  if (filtros.fechaHasta) {
+    valores.push(filtros.fechaHasta);
+    rango.push(`AND fecha <= $${valores.length}`);
+  }
+
+  const queryString = `
+    WITH base AS (${base.sql}),
+    entrenamientos AS (
+      SELECT entrenamiento, MIN(fechaInicio) AS inicio,
+        CASE WHEN bool_and(resultado <> 'enProgreso') THEN MAX(fechaUltimaSesion) END AS fin
+      FROM base
+      GROUP BY entrenamiento
+    ),
+    eventos AS (
+      SELECT inicio AS fecha, 1 AS iniciado, 0 AS finalizado FROM entrenamientos
+      UNION ALL
+      SELECT fin, 0, 1 FROM entrenamientos WHERE fin IS NOT NULL
+    )
+    SELECT to_char(date_trunc('month', fecha), 'YYYY-MM') AS "mes",
+      SUM(iniciado)::int AS "iniciados",
+      SUM(finalizado)::int AS "finalizados"
+    FROM eventos
+    WHERE fecha IS NOT NULL ${rango.join(' ')}
+    GROUP BY 1
+    ORDER BY 1;
+  `;
+  logger.debug('[MODELO_ANALITICA] Ejecutando obtenerSerieMensual con filtros: %o', filtros);
+  try {
+    const { rows } = await pool.query(queryString, valores);
+    return rows;
+  } catch (error) {
+    logger.error('[MODELO_ANALITICA] Error al obtener la serie mensual de entrenamientos:', error);
+    throw error;
+  }
+};
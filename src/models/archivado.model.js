@@ -0,0 +1,278 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MotivoArchivado:
+ *       type: object
+ *       required:
+ *         - motivo
+ *       properties:
+ *         motivo:
+ *           type: string
+ *           minLength: 5
+ *           maxLength: 500
+ *           example: "Registro duplicado por error de digitación del documento."
+ *     ConteoArchivado:
+ *       type: object
+ *       properties:
+ *         estudiantes: { type: 'integer', example: 1 }
+ *         entrenamientos: { type: 'integer', example: 1 }
+ *         sesiones: { type: 'integer', example: 6 }
+ *     ResultadoArchivado:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         message:
+ *           type: string
+ *           example: "Estudiante archivado exitosamente."
+ *         data:
+ *           type: object
+ *           properties:
+ *             tipo: { type: 'string', enum: [estudiante, entrenamiento, sesion] }
+ *             id: { type: 'string', format: 'uuid' }
+ *             motivo: { type: 'string' }
+ *             archivados:
+ *               $ref: '#/components/schemas/ConteoArchivado'
+ *             restaurados:
+ *               $ref: '#/components/schemas/ConteoArchivado'
+ *     ResultadoPurga:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         message:
+ *           type: string
+ *           example: "Purga de registros archivados completada."
+ *         data:
+ *           type: object
+ *           properties:
+ *             simulacion: { type: 'boolean', description: 'Si es true no se borró nada; los conteos son lo que se purgaría.' }
+ *             retencionDias: { type: 'integer', example: 30 }
+ *             fechaLimite: { type: 'string', format: 'date-time', description: 'Se purgan los registros archivados antes de esta fecha.' }
+ *             purgados:
+ *               $ref: '#/components/schemas/ConteoArchivado'
+ */
+
+import pool from '../config/db.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene las funciones de acceso a datos del archivado (borrado lógico) de estudiantes, entrenamientos
+ * y sesiones, y de la purga de los archivados. Las reglas de propagación están descritas en la migración 015.
+ */
+
+const TABLAS = Object.freeze({
+  estudiante: 'CC.Estudiante',
+  entrenamiento: 'CC.EntrenamientoCognitivo',
+  sesion: 'CC.SesionEntrenamiento',
+});
+
+export const TIPOS_ARCHIVABLES = Object.freeze(Object.keys(TABLAS));
+
+// Indica si está archivado el registro que contiene a `r` (el estudiante del entrenamiento o el entrenamiento de la sesión).
+const CONTENEDOR_ARCHIVADO = Object.freeze({
+  estudiante: 'FALSE',
+  entrenamiento: '(SELECT e.fechaArchivado IS NOT NULL FROM CC.Estudiante e WHERE e.id = r.estudiante)',
+  sesion: `(SELECT ec.fechaArchivado IS NOT NULL FROM CC.AsignacionVariable av
+    JOIN CC.EntrenamientoCognitivo ec ON ec.id = av.entrenamientoCognitivo
+    WHERE av.id = r.asignacionVariable)`,
+});
+
+// SET del archivado; $2, $3 y $4 son el motivo, el usuario y su rol.
+const archivadoCon = (enCascada) => `fechaArchivado = CURRENT_TIMESTAMP, motivoArchivado = $2, archivadoPor = $3,
+  archivadoPorRol = $4, archivadoEnCascada = ${enCascada}`;
+
+const RESTAURADO = `fechaArchivado = NULL, motivoArchivado = NULL, archivadoPor = NULL,
+  archivadoPorRol = NULL, archivadoEnCascada = FALSE`;
+
+// Sesiones de los entrenamientos que cumplen `condicion` (sobre `ec`).
+const sesionesDeEntrenamientos = (condicion) => `se.asignacionVariable IN (
+  SELECT av.id FROM CC.AsignacionVariable av
+  JOIN CC.EntrenamientoCognitivo ec ON ec.id = av.entrenamientoCognitivo
+  WHERE ${condicion})`;
+
+/**
+ * Sentencias de archivado: cada una archiva el registro ($1) si no lo estaba y propaga el archivado a los registros
+ * que contiene, en una sola sentencia. Las CTE ven el estado anterior a la sentencia.
+ */
+const ARCHIVAR = Object.freeze({
+  estudiante: `
+    WITH estudiantes AS (
+      UPDATE CC.Estudiante SET ${archivadoCon('FALSE')}
+      WHERE id = $1 AND fechaArchivado IS NULL
+      RETURNING id
+    ), entrenamientos AS (
+      UPDATE CC.EntrenamientoCognitivo ec SET ${archivadoCon('TRUE')}
+      WHERE ec.estudiante IN (SELECT id FROM estudiantes) AND ec.fechaArchivado IS NULL
+      RETURNING ec.id
+    ), sesiones AS (
+      UPDATE CC.SesionEntrenamiento se SET ${archivadoCon('TRUE')}
+      WHERE ${sesionesDeEntrenamientos('ec.estudiante IN (SELECT id FROM estudiantes)')} AND se.fechaArchivado IS NULL
+      RETURNING se.id
+    )`,
+  entrenamiento: `
+    WITH estudiantes AS (SELECT NULL::uuid AS id WHERE FALSE),
+    entrenamientos AS (
+      UPDATE CC.EntrenamientoCognitivo SET ${archivadoCon('FALSE')}
+      WHERE id = $1 AND fechaArchivado IS NULL
+      RETURNING id
+    ), sesiones AS (
+      UPDATE CC.SesionEntrenamiento se SET ${archivadoCon('TRUE')}
+      WHERE ${sesionesDeEntrenamientos('ec.id IN (SELECT id FROM entrenamientos)')} AND se.fechaArchivado IS NULL
+      RETURNING se.id
+    )`,
+  sesion: `
+    WITH estudiantes AS (SELECT NULL::uuid AS id WHERE FALSE),
+    entrenamientos AS (SELECT NULL::uuid AS id WHERE FALSE),
+    sesiones AS (
+      UPDATE CC.SesionEntrenamiento SET ${archivadoCon('FALSE')}
+      WHERE id = $1 AND fechaArchivado IS NULL
+      RETURNING id
+    )`,
+});
+
+/**
+ * Sentencias de restauración: cada una restaura el registro ($1) si estaba archivado y los registros que se
+ * archivaron en cascada con él (misma fechaArchivado), en una sola sentencia.
+ */
+const RESTAURAR = Object.freeze({
+  estudiante: `
+    WITH previo AS (
+      SELECT id, fechaArchivado FROM CC.Estudiante WHERE id = $1 AND fechaArchivado IS NOT NULL
+    ), estudiantes AS (
+      UPDATE CC.Estudiante e SET ${RESTAURADO}
+      FROM previo WHERE e.id = previo.id
+      RETURNING e.id
+    ), entrenamientos AS (
+      UPDATE CC.EntrenamientoCognitivo ec SET ${RESTAURADO}
+      FROM previo
+      WHERE ec.estudiante = previo.id AND ec.archivadoEnCascada AND ec.fechaArchivado = previo.fechaArchivado
+      RETURNING ec.id
+    ), sesiones AS (
+      UPDATE CC.SesionEntrenamiento se SET ${RESTAURADO}
+      FROM previo
+      WHERE ${sesionesDeEntrenamientos('ec.estudiante = previo.id')}
+        AND se.archivadoEnCascada AND se.fechaArchivado = previo.fechaArchivado
+      RETURNING se.id
+    )`,
+  entrenamiento: `
+    WITH previo AS (
+      SELECT id, fechaArchivado FROM CC.EntrenamientoCognitivo WHERE id = $1 AND fechaArchivado IS NOT NULL
+    ), estudiantes AS (SELECT NULL::uuid AS id WHERE FALSE),
+    entrenamientos AS (
+      UPDATE CC.EntrenamientoCognitivo ec SET ${RESTAURADO}
+      FROM previo WHERE ec.id = previo.id
+      RETURNING ec.id
+    ), sesiones AS (
+      UPDATE CC.SesionEntrenamiento se SET ${RESTAURADO}
+      FROM previo
+      WHERE ${sesionesDeEntrenamientos('ec.id = previo.id')}
+        AND se.archivadoEnCascada AND se.fechaArchivado = previo.fechaArchivado
+      RETURNING se.id
+    )`,
+  sesion: `
+    WITH estudiantes AS (SELECT NULL::uuid AS id WHERE FALSE),
+    entrenamientos AS (SELECT NULL::uuid AS id WHERE FALSE),
+    sesiones AS (
+      UPDATE CC.SesionEntrenamiento SET ${RESTAURADO}
+      WHERE id = $1 AND fechaArchivado IS NOT NULL
+      RETURNING id
+    )`,
+});
+
+const CONTEOS = `
+  SELECT (SELECT COUNT(*) FROM estudiantes)::int AS estudiantes,
+    (SELECT COUNT(*) FROM entrenamientos)::int AS entrenamientos,
+    (SELECT COUNT(*) FROM sesiones)::int AS sesiones;`;
+
+/**
+ * Obtiene el estado de archivado de un estudiante, entrenamiento o sesión.
+ * @async
+ * @param {string} tipo - 'estudiante', 'entrenamiento' o 'sesion'.
+ * @param {string} id - UUID del registro.
+ * @returns {Promise<object|undefined>} `{ id, archivado, fechaArchivado, motivoArchivado, archivadoPor, archivadoPorRol,
+ * archivadoEnCascada, contenedorArchivado }`, o undefined si el registro no existe.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerEstadoArchivo = async (tipo, id) => {
+  const queryString = `
+    SELECT r.id, r.fechaArchivado IS NOT NULL AS archivado, r.fechaArchivado AS "fechaArchivado",
+      r.motivoArchivado AS "motivoArchivado", r.archivadoPor AS "archivadoPor", r.archivadoPorRol AS "archivadoPorRol",
+      r.archivadoEnCascada AS "archivadoEnCascada", COALESCE(${CONTENEDOR_ARCHIVADO[tipo]}, FALSE) AS "contenedorArchivado"
+    FROM ${TABLAS[tipo]} r
+    WHERE r.id = $1;
+  `;
+  try {
+    const { rows } = await pool.query(queryString, [id]);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_ARCHIVADO] Error al obtener el estado de archivado de ${tipo} ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Archiva un estudiante, entrenamiento o sesión y, en cascada, los registros que contiene y que no estaban archivados.
+ * @async
+ * @param {string} tipo - 'estudiante', 'entrenamiento' o 'sesion'.
+ * @param {string} id - UUID del registro.
+ * @param {object} datos - Datos del archivado.
+ * @param {string} datos.motivo - Motivo del archivado.
+ * @param {string} datos.usuarioId - UUID del usuario que archiva.
+ * @param {string} datos.rol - Rol del usuario.
+ * @returns {Promise<{estudiantes: number, entrenamientos: number, sesiones: number}>} Cuántos registros se archivaron;
+ * todo en 0 si el registro no existe o ya estaba archivado.
+ * @throws {Error} Si ocurre un error en la base de datos.
+ */
+export const archivar = async (tipo, id, { motivo, usuarioId, rol }) => {
+  logger.debug('[MODELO_ARCHIVADO] Archivando %s %s.', tipo, id);
+  try {
+    const { rows } = await pool.query(`${ARCHIVAR[tipo]}${CONTEOS}`, [id, motivo, usuarioId, rol]);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_ARCHIVADO] Error al archivar ${tipo} ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Restaura un estudiante, entrenamiento o sesión archivado y los registros que se archivaron en cascada con él.
+ * @async
+ * @param {string} tipo - 'estudiante', 'entrenamiento' o 'sesion'.
+ * @param {string} id - UUID del registro.
+ * @returns {Promise<{estudiantes: number, entrenamientos: number, sesiones: number}>} Cuántos registros se restauraron;
+ * todo en 0 si el registro no existe o no estaba archivado.
+ * @throws {Error} Si ocurre un error en la base de datos.
+ */
+export const restaurar = async (tipo, id) => {
+  logger.debug('[MODELO_ARCHIVADO] Restaurando %s %s.', tipo, id);
+  try {
+    const { rows } = await pool.query(`${RESTAURAR[tipo]}${CONTEOS}`, [id]);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_ARCHIVADO] Error al restaurar ${tipo} ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Borra definitivamente los registros archivados hace más de `retencionDias` días y lo que depende de ellos.
+ * Llama a la función de base de datos CC.PurgarArchivadosUFT.
+ * @async
+ * @param {number} retencionDias - Días que se conservan los registros archivados.
+ * @param {boolean} [simular=false] - Solo contar lo que se borraría.
+ * @returns {Promise<{estudiantes: number, entrenamientos: number, sesiones: number}>} Cuántos registros se purgaron (o se purgarían).
+ * @throws {Error} Si ocurre un error en la base de datos.
+ */
+export const purgarArchivados = async (retencionDias, simular = false) => {
+  const queryString = 'SELECT * FROM CC.PurgarArchivadosUFT($1, $2);';
+  logger.debug('[MODELO_ARCHIVADO] Purgando archivados con más de %d días (simulación: %s).', retencionDias, simular);
+  try {
+    const { rows } = await pool.query(queryString, [retencionDias, simular]);
+    return rows[0];
+  } catch (error) {
+    logger.error('[MODELO_ARCHIVADO] Error al purgar los registros archivados:', error);
+    throw error;
+  }
+};
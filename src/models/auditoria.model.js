@@ -0,0 +1,148 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RegistroAuditoria:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         actorId:
+ *           type: string
+ *           format: uuid
+ *           description: Usuario que realizó la operación.
+ *         rol:
+ *           type: string
+ *           example: "entrenador"
+ *         accion:
+ *           type: string
+ *           example: "estudiante.modificar"
+ *         entidad:
+ *           type: string
+ *           example: "estudiante"
+ *         entidadId:
+ *           type: string
+ *           description: ID del registro afectado (UUID o documento, según la entidad).
+ *         antes:
+ *           type: object
+ *           nullable: true
+ *         despues:
+ *           type: object
+ *           nullable: true
+ *         cambios:
+ *           type: object
+ *           nullable: true
+ *           description: "Campos que cambiaron, con la forma { campo: { antes, despues } }."
+ *         metadatos:
+ *           type: object
+ *           nullable: true
+ *           description: Datos adicionales (p. ej. el override de administrador usado).
+ *         solicitudId:
+ *           type: string
+ *           description: ID de la petición (cabecera X-Request-Id).
+ *         ip:
+ *           type: string
+ *         fecha:
+ *           type: string
+ *           format: date-time
+ */
+
+import pool from '../config/db.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene las funciones de acceso a datos para el registro de auditoría.
+ */
+
+/**
+ * Inserta un registro de auditoría.
+ * @async
+ * @param {object} registro - Datos del registro.
+ * @param {string} registro.actorId - UUID del usuario que realizó la operación.
+ * @param {string} registro.rol - Rol del usuario.
+ * @param {string} registro.accion - Acción realizada (ej. 'estudiante.modificar').
+ * @param {string} registro.entidad - Tipo de entidad afectada (ej. 'estudiante').
+ * @param {string} [registro.entidadId] - ID del registro afectado.
+ * @param {object} [registro.antes] - Estado anterior.
+ * @param {object} [registro.despues] - Estado posterior.
+ * @param {object} [registro.cambios] - Campos que cambiaron.
+ * @param {object} [registro.metadatos] - Datos adicionales.
+ * @param {string} [registro.solicitudId] - ID de la petición.
+ * @param {string} [registro.ip] - IP del cliente.
+ * @returns {Promise<{id: string, fecha: Date}>} El registro creado.
+ */
+export const registrar = async ({ actorId, rol, accion, entidad, entidadId, antes, despues, cambios, metadatos, solicitudId, ip }) => {
+  const queryString = `
+    INSERT INTO CC.Auditoria (id, actor, rol, accion, entidad, entidadId, antes, despues, cambios, metadatos, solicitudId, ip)
+    VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    RETURNING id, fecha;
+  `;
+  const aJson = (valor) => (valor === undefined || valor === null ? null : JSON.stringify(valor));
+  const queryParams = [
+    actorId, rol, accion, entidad, entidadId ?? null,
+    aJson(antes), aJson(despues), aJson(cambios), aJson(metadatos),
+    solicitudId ?? null, ip ?? null,
+  ];
+
+  try {
+    const { rows } = await pool.query(queryString, queryParams);
+    logger.debug('[MODELO_AUDITORIA] Registro %s: %s sobre %s %s.', rows[0].id, accion, entidad, entidadId);
+    return rows[0];
+  } catch (error) {
+    logger.error('[MODELO_AUDITORIA] Error al insertar registro de auditoría:', error);
+    throw error;
+  }
+};
+
+/**
+ * Consulta el registro de auditoría, del más reciente al más antiguo.
+ * @async
+ * @param {object} [filtros={}] - Filtros opcionales.
+ * @param {string} [filtros.actorId] - UUID del usuario que realizó las operaciones.
+ * @param {string} [filtros.entidad] - Tipo de entidad.
+ * @param {string} [filtros.entidadId] - ID del registro afectado.
+ * @param {string} [filtros.accion] - Acción realizada.
+ * @param {Date} [filtros.desde] - Fecha mínima (inclusive).
+ * @param {Date} [filtros.hasta] - Fecha máxima (inclusive).
+ * @param {number} [filtros.limite=100] - Número máximo de registros.
+ * @returns {Promise<Array<object>>} Los registros encontrados.
+ */
+export const buscar = async (filtros = {}) => {
+  let queryString = `
+    SELECT id, actor AS "actorId", rol, accion, entidad, entidadId AS "entidadId",
+           antes, despues, cambios, metadatos, solicitudId AS "solicitudId", ip, fecha
+    FROM CC.Auditoria
+  `;
+  const queryParams = [];
+  const condicionesWhere = [];
+
+  const agregarCondicion = (valor, condicion) => {
+    if (valor !== undefined && valor !== null && valor !== '') {
+      queryParams.push(valor);
+      condicionesWhere.push(condicion.replace('?', `$${queryParams.length}`));
+    }
+  };
+  agregarCondicion(filtros.actorId, 'actor = ?');
+  agregarCondicion(filtros.entidad, 'entidad = ?');
+  agregarCondicion(filtros.entidadId, 'entidadId = ?');
+  agregarCondicion(filtros.accion, 'accion = ?');
+  agregarCondicion(filtros.desde, 'fecha >= ?');
+  agregarCondicion(filtros.hasta, 'fecha <= ?');
+
+  if (condicionesWhere.length > 0) {
+    queryString += ` WHERE ${condicionesWhere.join(' AND ')}`;
+  }
+  queryParams.push(filtros.limite || 100);
+  queryString += ` ORDER BY fecha DESC LIMIT $${queryParams.length};`;
+
+  logger.debug('[MODELO_AUDITORIA] Ejecutando buscar con params: %o', queryParams);
+  try {
+    const { rows } = await pool.query(queryString, queryParams);
+    logger.info(`[MODELO_AUDITORIA] Se encontraron ${rows.length} registros de auditoría.`);
+    return rows;
+  } catch (error) {
+    logger.error('[MODELO_AUDITORIA] Error al consultar el registro de auditoría:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,305 @@
+import pool from '../config/db.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Funciones de acceso a datos para la autenticación (usuarios activos y sus credenciales).
+ */
+
+// Tabla de usuarios de cada rol con credencial.
+const TABLAS_POR_ROL = {
+  admin: 'CC.Administrador',
+  entrenador: 'CC.Entrenador',
+  coordinador: 'CC.Coordinador',
+  estudiante: 'CC.Estudiante',
+};
+
+// Condición de usuario activo de cada rol: contrato o vigencia no vencidos; el estudiante, no archivado ni anonimizado.
+const CONDICION_ACTIVO_POR_ROL = {
+  admin: 'fechaFin > CURRENT_TIMESTAMP',
+  entrenador: 'fechaFin > CURRENT_TIMESTAMP',
+  coordinador: 'fechaFin > CURRENT_TIMESTAMP',
+  estudiante: 'fechaArchivado IS NULL AND fechaAnonimizado IS NULL',
+};
+
+/**
+ * Busca un administrador activo por su número de documento.
+ * @async
+ * @param {string} numeroDocumento - Número de documento del administrador.
+ * @returns {Promise<object|null>} El administrador (id, nombres, apellidos) o null.
+ */
+export const buscarAdministradorActivo = async (numeroDocumento) => {
+  const queryString = `
+    SELECT id, nombres, apellidos
+    FROM CC.Administrador
+    WHERE numeroDocumento = $1 AND fechaFin > CURRENT_TIMESTAMP;
+  `;
+
+  logger.debug('[MODELO_AUTH] Buscando administrador activo por documento.');
+  try {
+    const { rows } = await pool.query(queryString, [numeroDocumento]);
+    return rows[0] || null;
+  } catch (error) {
+    logger.error('[MODELO_AUTH] Error al buscar administrador activo:', error);
+    throw error;
+  }
+};
+
+/**
+ * Busca un entrenador activo por su correo electrónico.
+ * @async
+ * @param {string} correo - Correo del entrenador.
+ * @returns {Promise<object|null>} El entrenador (id, nombres, apellidos, numeroDocumento) o null.
+ */
+export const buscarEntrenadorActivo = async (correo) => {
+  const queryString = `
+    SELECT id, nombres, apellidos, numeroDocumento AS "numeroDocumento"
+    FROM CC.Entrenador
+    WHERE correo = $1 AND fechaFin > CURRENT_TIMESTAMP;
+  `;
+
+  logger.debug('[MODELO_AUTH] Buscando entrenador activo por correo: %s', correo);
+  try {
+    const { rows } = await pool.query(queryString, [correo]);
+    return rows[0] || null;
+  } catch (error) {
+    logger.error('[MODELO_AUTH] Error al buscar entrenador activo:', error);
+    throw error;
+  }
+};
+
+/**
+ * Busca un coordinador activo por su correo electrónico.
+ * @async
+ * @param {string} correo - Correo del coordinador.
+ * @returns {Promise<object|null>} El coordinador (id, nombres, apellidos, facultadId) o null.
+ */
+export const buscarCoordinadorActivo = async (correo) => {
+  const queryString = `
+    SELECT id, nombres, apellidos, facultad AS "facultadId"
+    FROM CC.Coordinador
+    WHERE correo = $1 AND fechaFin > CURRENT_TIMESTAMP;
+  `;
+
+  logger.debug('[MODELO_AUTH] Buscando coordinador activo por correo: %s', correo);
+  try {
+    const { rows } = await pool.query(queryString, [correo]);
+    return rows[0] || null;
+  } catch (error) {
+    logger.error('[MODELO_AUTH] Error al buscar coordinador activo:', error);
+    throw error;
+  }
+};
+
+/**
+ * Busca un estudiante activo (no archivado ni anonimizado) por su correo institucional, sin distinguir mayúsculas.
+ * Si el correo está repetido entre estudiantes activos no devuelve ninguno, para no abrir la sesión de otra persona.
+ * @async
+ * @param {string} correo - Correo institucional del estudiante.
+ * @returns {Promise<object|null>} El estudiante (id, nombres, apellidos, correo) o null.
+ */
+export const buscarEstudianteActivo = async (correo) => {
+  const queryString = `
+    SELECT id, nombres, apellidos, correo
+    FROM CC.Estudiante
+    WHERE lower(correo) = lower($1) AND ${CONDICION_ACTIVO_POR_ROL.estudiante}
+    LIMIT 2;
+  `;
+
+  logger.debug('[MODELO_AUTH] Buscando estudiante activo por correo: %s', correo);
+  try {
+    const { rows } = await pool.query(queryString, [correo]);
+    if (rows.length > 1) {
+      logger.warn('[MODELO_AUTH] El correo %s pertenece a varios estudiantes activos; no se autentica a ninguno.', correo);
+      return null;
+    }
+    return rows[0] || null;
+  } catch (error) {
+    logger.error('[MODELO_AUTH] Error al buscar estudiante activo:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene la credencial de un usuario.
+ * @async
+ * @param {string} usuarioId - UUID del usuario.
+ * @param {string} rol - Rol del usuario ('admin' | 'entrenador' | 'coordinador' | 'estudiante').
+ * @returns {Promise<{hashContrasena: string, requiereCambio: boolean}|null>} La credencial o null si no tiene.
+ */
+export const obtenerCredencial = async (usuarioId, rol) => {
+  const queryString = `
+    SELECT hashContrasena AS "hashContrasena", requiereCambio AS "requiereCambio"
+    FROM CC.CredencialUsuario
+    WHERE usuario = $1 AND rol = $2;
+  `;
+
+  logger.debug('[MODELO_AUTH] Consultando credencial del usuario %s (%s).', usuarioId, rol);
+  try {
+    const { rows } = await pool.query(queryString, [usuarioId, rol]);
+    return rows[0] || null;
+  } catch (error) {
+    logger.error('[MODELO_AUTH] Error al consultar credencial:', error);
+    throw error;
+  }
+};
+
+/**
+ * Crea o reemplaza la credencial de un usuario.
+ * @async
+ * @param {string} usuarioId - UUID del usuario.
+ * @param {string} rol - Rol del usuario ('admin' | 'entrenador' | 'coordinador' | 'estudiante').
+ * @param {string} hashContrasena - Hash generado con `generarHashContrasena`.
+ * @param {boolean} requiereCambio - Si el usuario debe cambiarla en el próximo inicio de sesión.
+ * @returns {Promise<object>} La fila guardada.
+ */
+export const guardarCredencial = async (usuarioId, rol, hashContrasena, requiereCambio) => {
+  const queryString = `
+    INSERT INTO CC.CredencialUsuario (id, usuario, rol, hashContrasena, requiereCambio)
+    VALUES (gen_random_uuid(), $1, $2, $3, $4)
+    ON CONFLICT (usuario, rol) DO UPDATE
+      SET hashContrasena = EXCLUDED.hashContrasena,
+          requiereCambio = EXCLUDED.requiereCambio,
+          fechaActualizacion = CURRENT_TIMESTAMP
+    RETURNING id, usuario, rol, requiereCambio AS "requiereCambio";
+  `;
+
+  logger.debug('[MODELO_AUTH] Guardando credencial del usuario %s (%s).', usuarioId, rol);
+  try {
+    const { rows } = await pool.query(queryString, [usuarioId, rol, hashContrasena, requiereCambio]);
+    logger.info(`[MODELO_AUTH] Credencial guardada para el usuario ${usuarioId} (${rol}).`);
+    return rows[0];
+  } catch (error) {
+    logger.error('[MODELO_AUTH] Error al guardar credencial:', error);
+    throw error;
+  }
+};
+
+/**
+ * Verifica que exista un usuario (activo o no) con el ID y rol indicados.
+ * @async
+ * @param {string} usuarioId - UUID del usuario.
+ * @param {string} rol - Rol del usuario ('admin' | 'entrenador' | 'coordinador' | 'estudiante').
+ * @returns {Promise<boolean>} `true` si el usuario existe.
+ */
+export const existeUsuario = async (usuarioId, rol) => {
+  const queryString = `SELECT 1 FROM ${TABLAS_POR_ROL[rol]} WHERE id = $1;`;
+
+  try {
+    const { rows } = await pool.query(queryString, [usuarioId]);
+    return rows.length > 0;
+  } catch (error) {
+    logger.error('[MODELO_AUTH] Error al verificar existencia de usuario:', error);
+    throw error;
+  }
+};
+
+/**
+ * Verifica que un usuario siga activo (contrato o vigencia no vencidos; el estudiante, no archivado ni anonimizado).
+ * @async
+ * @param {string} usuarioId - UUID del usuario.
+ * @param {string} rol - Rol del usuario ('admin' | 'entrenador' | 'coordinador' | 'estudiante').
+ * @returns {Promise<boolean>} `true` si el usuario está activo.
+ */
+export const estaActivo = async (usuarioId, rol) => {
+  const queryString = `SELECT 1 FROM ${TABLAS_POR_ROL[rol]} WHERE id = $1 AND ${CONDICION_ACTIVO_POR_ROL[rol]};`;
+
+  try {
+    const { rows } = await pool.query(queryString, [usuarioId]);
+    return rows.length > 0;
+  } catch (error) {
+    logger.error('[MODELO_AUTH] Error al verificar si el usuario está activo:', error);
+    throw error;
+  }
+};
+
+
+/**
+ * Guarda un código de acceso de un solo uso y descarta los códigos sin usar anteriores del usuario.
+ * @async
+ * @param {string} usuarioId - UUID del usuario.
+ * @param {string} rol - Rol del usuario.
+ * @param {string} hashCodigo - Hash SHA-256 del código.
+ * @param {number} minutosVigencia - Minutos de vigencia del código.
+ * @returns {Promise<void>}
+ */
+export const guardarCodigoAcceso = async (usuarioId, rol, hashCodigo, minutosVigencia) => {
+  const queryString = `
+    WITH descartados AS (
+      DELETE FROM CC.CodigoAcceso WHERE usuario = $1 AND rol = $2 AND fechaUso IS NULL
+    )
+    INSERT INTO CC.CodigoAcceso (usuario, rol, hashCodigo, fechaExpiracion)
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4));
+  `;
+
+  logger.debug('[MODELO_AUTH] Guardando código de acceso del usuario %s (%s).', usuarioId, rol);
+  try {
+    await pool.query(queryString, [usuarioId, rol, hashCodigo, minutosVigencia]);
+  } catch (error) {
+    logger.error('[MODELO_AUTH] Error al guardar código de acceso:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene el código de acceso sin usar de un usuario, vigente o no.
+ * @async
+ * @param {string} usuarioId - UUID del usuario.
+ * @param {string} rol - Rol del usuario.
+ * @returns {Promise<{id: string, hashCodigo: string, intentos: number, segundosDesdeCreacion: number, vencido: boolean}|null>}
+ *   El código o null si no tiene.
+ */
+export const obtenerCodigoAcceso = async (usuarioId, rol) => {
+  const queryString = `
+    SELECT id, hashCodigo AS "hashCodigo", intentos,
+      EXTRACT(EPOCH FROM CURRENT_TIMESTAMP - fechaCreacion)::int AS "segundosDesdeCreacion",
+      fechaExpiracion <= CURRENT_TIMESTAMP AS vencido
+    FROM CC.CodigoAcceso
+    WHERE usuario = $1 AND rol = $2 AND fechaUso IS NULL
+    ORDER BY fechaCreacion DESC
+    LIMIT 1;
+  `;
+
+  try {
+    const { rows } = await pool.query(queryString, [usuarioId, rol]);
+    return rows[0] || null;
+  } catch (error) {
+    logger.error('[MODELO_AUTH] Error al consultar código de acceso:', error);
+    throw error;
+  }
+};
+
+/**
+ * Registra un intento fallido de usar un código de acceso.
+ * @async
+ * @param {string} codigoId - UUID del código.
+ * @returns {Promise<number>} Intentos fallidos acumulados.
+ */
+export const registrarIntentoCodigo = async (codigoId) => {
+  const queryString = 'UPDATE CC.CodigoAcceso SET intentos = intentos + 1 WHERE id = $1 RETURNING intentos;';
+
+  try {
+    const { rows } = await pool.query(queryString, [codigoId]);
+    return rows[0]?.intentos ?? 0;
+  } catch (error) {
+    logger.error('[MODELO_AUTH] Error al registrar intento de código de acceso:', error);
+    throw error;
+  }
+};
+
+/**
+ * Marca un código de acceso como usado. Solo lo marca una vez: dos usos simultáneos no abren dos sesiones.
+ * @async
+ * @param {string} codigoId - UUID del código.
+ * @returns {Promise<boolean>} `true` si el código estaba sin usar.
+ */
+export const marcarCodigoUsado = async (codigoId) => {
+  const queryString = 'UPDATE CC.CodigoAcceso SET fechaUso = CURRENT_TIMESTAMP WHERE id = $1 AND fechaUso IS NULL;';
+
+  try {
+    const { rowCount } = await pool.query(queryString, [codigoId]);
+    return rowCount > 0;
+  } catch (error) {
+    logger.error('[MODELO_AUTH] Error al marcar código de acceso como usado:', error);
+    throw error;
+  }
+};
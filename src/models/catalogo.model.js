@@ -0,0 +1,262 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ValorCatalogo:
+ *       type: object
+ *       description: Un valor de un catálogo, con su estado, su posición en las listas y cuántos registros lo usan.
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         nombre:
+ *           type: string
+ *           example: "Ingenierías"
+ *         sigla:
+ *           type: string
+ *           description: Solo en tipos de documento.
+ *           example: "CC"
+ *         facultadId:
+ *           type: string
+ *           format: uuid
+ *           description: Solo en programas.
+ *         facultadNombre:
+ *           type: string
+ *           description: Solo en programas.
+ *         descripcion:
+ *           type: string
+ *           nullable: true
+ *           description: Solo en variables cognitivas.
+ *         activo:
+ *           type: boolean
+ *           description: Los valores inactivos no se ofrecen en las listas ni se pueden usar en registros nuevos.
+ *         orden:
+ *           type: integer
+ *           example: 1
+ *         usos:
+ *           type: object
+ *           description: >
+ *             Registros que usan el valor, por tipo. facultades: programas, entrenadores, coordinadores;
+ *             programas: estudiantes (con el programa vigente), matriculas (historial, abiertas y cerradas);
+ *             tipos de documento y géneros: estudiantes; variables cognitivas: asignaciones, esquemasMetricas.
+ *           additionalProperties:
+ *             type: integer
+ *           example: { programas: 4, entrenadores: 2, coordinadores: 1 }
+ */
+
+import pool from '../config/db.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene las funciones de acceso a datos de la administración de los catálogos. Las columnas de
+ * estado y orden y la regla que impide usar valores inactivos están en la migración 017.
+ */
+
+// Conteo de las filas de `tabla` cuya columna `columna` apunta al valor `c`.
+const contarUsos = (tabla, columna) => `(SELECT COUNT(*) FROM ${tabla} u WHERE u.${columna} = c.id)::int`;
+
+/**
+ * Definición de cada catálogo:
+ * - tabla: tabla del catálogo.
+ * - activo: columna que indica si el valor está activo.
+ * - columnas: campo de la API → columna de la tabla, para crear y modificar.
+ * - seleccion: columnas adicionales que se devuelven.
+ * - usos: conteo de los registros que usan el valor, por tipo de registro.
+ */
+const DEFINICIONES = Object.freeze({
+  facultades: {
+    tabla: 'CC.Facultad',
+    activo: 'activo',
+    columnas: { nombre: 'nombre' },
+    seleccion: '',
+    usos: {
+      programas: contarUsos('CC.Programa', 'facultad'),
+      entrenadores: contarUsos('CC.EntrenadorFacultad', 'facultad'),
+      coordinadores: contarUsos('CC.Coordinador', 'facultad'),
+    },
+  },
+  programas: {
+    tabla: 'CC.Programa',
+    activo: 'activo',
+    columnas: { nombre: 'nombre', facultadId: 'facultad' },
+    seleccion: ', c.facultad AS "facultadId", (SELECT f.nombre FROM CC.Facultad f WHERE f.id = c.facultad) AS "facultadNombre"',
+    usos: {
+      estudiantes: contarUsos('CC.EstudiantePrograma', 'programa'),
+      matriculas: contarUsos('CC.MatriculaPrograma', 'programa'),
+    },
+  },
+  'tipos-documento': {
+    tabla: 'CC.TipoDocumento',
+    activo: 'activo',
+    columnas: { sigla: 'sigla', nombre: 'nombre' },
+    seleccion: ', c.sigla',
+    usos: {
+      estudiantes: contarUsos('CC.Estudiante', 'tipoDocumento'),
+    },
+  },
+  generos: {
+    tabla: 'CC.Genero',
+    activo: 'activo',
+    columnas: { nombre: 'nombre' },
+    seleccion: '',
+    usos: {
+      estudiantes: contarUsos('CC.Estudiante', 'genero'),
+    },
+  },
+  'variables-cognitivas': {
+    tabla: 'CC.VariableCognitiva',
+    activo: 'activa',
+    columnas: { nombre: 'nombre', descripcion: 'descripcion' },
+    seleccion: ', c.descripcion',
+    usos: {
+      asignaciones: contarUsos('CC.AsignacionVariable', 'variableCognitiva'),
+      esquemasMetricas: contarUsos('CC.EsquemaMetricas', 'variableCognitiva'),
+    },
+  },
+});
+
+const consultaValores = (catalogo) => {
+  const { tabla, activo, seleccion, usos } = DEFINICIONES[catalogo];
+  const conteos = Object.entries(usos).map(([tipo, conteo]) => `'${tipo}', ${conteo}`).join(', ');
+  return `
+    SELECT c.id, c.nombre${seleccion}, c.${activo} AS activo, c.orden, jsonb_build_object(${conteos}) AS usos
+    FROM ${tabla} c`;
+};
+
+/**
+ * Lista los valores de un catálogo, activos e inactivos, en el orden en que se presentan.
+ * @async
+ * @param {string} catalogo - Nombre del catálogo (ej. 'facultades').
+ * @returns {Promise<Array<object>>} Los valores del catálogo.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const listar = async (catalogo) => {
+  const queryString = `${consultaValores(catalogo)} ORDER BY c.orden, c.nombre;`;
+  try {
+    const { rows } = await pool.query(queryString);
+    return rows;
+  } catch (error) {
+    logger.error(`[MODELO_CATALOGO] Error al listar el catálogo ${catalogo}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene un valor de un catálogo por su ID.
+ * @async
+ * @param {string} catalogo - Nombre del catálogo.
+ * @param {string} id - El UUID del valor.
+ * @returns {Promise<object|undefined>} El valor, o undefined si no existe.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerPorId = async (catalogo, id) => {
+  const queryString = `${consultaValores(catalogo)} WHERE c.id = $1;`;
+  try {
+    const { rows } = await pool.query(queryString, [id]);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_CATALOGO] Error al obtener el valor ${id} del catálogo ${catalogo}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Crea un valor activo al final del orden de un catálogo.
+ * @async
+ * @param {string} catalogo - Nombre del catálogo.
+ * @param {object} datos - Campos del valor (ej. { nombre, facultadId }).
+ * @returns {Promise<object>} El valor creado.
+ * @throws {Error} Si ocurre un error en la base de datos (ej. nombre duplicado, código 23505).
+ */
+export const crear = async (catalogo, datos) => {
+  const { tabla, activo, columnas } = DEFINICIONES[catalogo];
+  const campos = Object.keys(columnas).filter((campo) => datos[campo] !== undefined);
+  const queryString = `
+    INSERT INTO ${tabla} (id, ${campos.map((campo) => columnas[campo]).join(', ')}, ${activo}, orden)
+    VALUES (gen_random_uuid(), ${campos.map((_, i) => `$${i + 1}`).join(', ')}, TRUE,
+      (SELECT COALESCE(MAX(orden), 0) + 1 FROM ${tabla}))
+    RETURNING id;
+  `;
+  logger.debug('[MODELO_CATALOGO] Creando un valor en el catálogo %s: %o', catalogo, datos);
+  try {
+    const { rows } = await pool.query(queryString, campos.map((campo) => datos[campo]));
+    return obtenerPorId(catalogo, rows[0].id);
+  } catch (error) {
+    logger.error(`[MODELO_CATALOGO] Error al crear un valor en el catálogo ${catalogo}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Modifica un valor de un catálogo: lo renombra, lo activa o desactiva, o cambia sus otros campos.
+ * @async
+ * @param {string} catalogo - Nombre del catálogo.
+ * @param {string} id - El UUID del valor.
+ * @param {object} cambios - Campos a modificar (ej. { nombre }, { activo: false }).
+ * @returns {Promise<object|undefined>} El valor modificado, o undefined si no existe.
+ * @throws {Error} Si ocurre un error en la base de datos.
+ */
+export const actualizar = async (catalogo, id, cambios) => {
+  const { tabla, activo, columnas } = DEFINICIONES[catalogo];
+  const columnasConEstado = { ...columnas, activo };
+  const campos = Object.keys(columnasConEstado).filter((campo) => cambios[campo] !== undefined);
+  const queryString = `
+    UPDATE ${tabla}
+    SET ${campos.map((campo, i) => `${columnasConEstado[campo]} = $${i + 2}`).join(', ')}
+    WHERE id = $1
+    RETURNING id;
+  `;
+  logger.debug('[MODELO_CATALOGO] Modificando el valor %s del catálogo %s: %o', id, catalogo, cambios);
+  try {
+    const { rowCount } = await pool.query(queryString, [id, ...campos.map((campo) => cambios[campo])]);
+    return rowCount > 0 ? obtenerPorId(catalogo, id) : undefined;
+  } catch (error) {
+    logger.error(`[MODELO_CATALOGO] Error al modificar el valor ${id} del catálogo ${catalogo}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Reordena un catálogo: cada valor toma la posición (desde 1) que tiene en la lista de IDs.
+ * @async
+ * @param {string} catalogo - Nombre del catálogo.
+ * @param {string[]} ids - Los UUID de los valores, en el orden nuevo.
+ * @returns {Promise<number>} Número de valores reordenados.
+ * @throws {Error} Si ocurre un error en la base de datos.
+ */
+export const reordenar = async (catalogo, ids) => {
+  const { tabla } = DEFINICIONES[catalogo];
+  const queryString = `
+    UPDATE ${tabla} c
+    SET orden = o.posicion
+    FROM unnest($1::uuid[]) WITH ORDINALITY AS o(id, posicion)
+    WHERE c.id = o.id;
+  `;
+  try {
+    const { rowCount } = await pool.query(queryString, [ids]);
+    return rowCount;
+  } catch (error) {
+    logger.error(`[MODELO_CATALOGO] Error al reordenar el catálogo ${catalogo}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Elimina un valor de un catálogo. La base de datos rechaza el borrado de un valor en uso (código 23503).
+ * @async
+ * @param {string} catalogo - Nombre del catálogo.
+ * @param {string} id - El UUID del valor.
+ * @returns {Promise<boolean>} `true` si se eliminó, `false` si no existía.
+ * @throws {Error} Si ocurre un error en la base de datos.
+ */
+export const eliminar = async (catalogo, id) => {
+  const { tabla } = DEFINICIONES[catalogo];
+  logger.debug('[MODELO_CATALOGO] Eliminando el valor %s del catálogo %s', id, catalogo);
+  try {
+    const { rowCount } = await pool.query(`DELETE FROM ${tabla} WHERE id = $1;`, [id]);
+    return rowCount > 0;
+  } catch (error) {
+    logger.error(`[MODELO_CATALOGO] Error al eliminar el valor ${id} del catálogo ${catalogo}:`, error);
+    throw error;
+  }
+};
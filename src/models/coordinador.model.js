@@ -0,0 +1,114 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Coordinador:
+ *       type: object
+ *       description: Jefe de facultad con acceso de solo lectura (rol coordinador).
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         nombres:
+ *           type: string
+ *           example: "Carolina"
+ *         apellidos:
+ *           type: string
+ *           example: "Pérez Ríos"
+ *         numeroDocumento:
+ *           type: string
+ *           example: "43123456"
+ *         correo:
+ *           type: string
+ *           format: email
+ *         facultadId:
+ *           type: string
+ *           format: uuid
+ *         nombreFacultad:
+ *           type: string
+ *           example: "Ingenierías"
+ *         fechaInicio:
+ *           type: string
+ *           format: date-time
+ *         fechaFin:
+ *           type: string
+ *           format: date-time
+ */
+
+import pool from '../config/db.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene las funciones de acceso a datos para la entidad Coordinador.
+ */
+
+/**
+ * Registra un nuevo coordinador.
+ * @async
+ * @param {object} datos - Datos del coordinador.
+ * @param {string} datos.nombres
+ * @param {string} datos.apellidos
+ * @param {string} datos.numeroDocumento
+ * @param {string} datos.correo
+ * @param {string} datos.facultadId - UUID de la facultad que coordina.
+ * @param {string} [datos.fechaFin] - Fecha de fin del cargo (YYYY-MM-DD). Sin fecha, el cargo no vence.
+ * @returns {Promise<object>} El coordinador creado.
+ * @throws {Error} Si ocurre un error en la base de datos (p. ej. 23505 si el correo o documento ya existen).
+ */
+export const registrar = async ({ nombres, apellidos, numeroDocumento, correo, facultadId, fechaFin }) => {
+  const queryString = `
+    INSERT INTO CC.Coordinador (id, nombres, apellidos, numeroDocumento, correo, facultad, fechaFin)
+    VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, COALESCE($6::timestamp, 'infinity'))
+    RETURNING id, nombres, apellidos, numeroDocumento AS "numeroDocumento", correo,
+              facultad AS "facultadId", fechaInicio AS "fechaInicio", fechaFin AS "fechaFin";
+  `;
+  const queryParams = [nombres, apellidos, numeroDocumento, correo, facultadId, fechaFin || null];
+
+  logger.debug('[MODELO_COORDINADOR] Registrando coordinador con correo: %s', correo);
+  try {
+    const { rows } = await pool.query(queryString, queryParams);
+    logger.info(`[MODELO_COORDINADOR] Coordinador registrado con ID: ${rows[0].id}`);
+    return rows[0];
+  } catch (error) {
+    if (error.code === '23505' || error.code === '23503') {
+      logger.warn(`[MODELO_COORDINADOR] Restricción violada al registrar coordinador: ${error.message}`, { detail: error.detail });
+    } else {
+      logger.error('[MODELO_COORDINADOR] Error al registrar coordinador:', error);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Lista los coordinadores con el nombre de su facultad.
+ * @async
+ * @param {object} [filtros={}] - Filtros opcionales.
+ * @param {string} [filtros.facultadId] - UUID de la facultad.
+ * @returns {Promise<Array<object>>} Los coordinadores ordenados por apellidos y nombres.
+ */
+export const obtenerTodos = async (filtros = {}) => {
+  let queryString = `
+    SELECT c.id, c.nombres, c.apellidos, c.numeroDocumento AS "numeroDocumento", c.correo,
+           c.facultad AS "facultadId", f.nombre AS "nombreFacultad",
+           c.fechaInicio AS "fechaInicio", c.fechaFin AS "fechaFin"
+    FROM CC.Coordinador c
+    JOIN CC.Facultad f ON f.id = c.facultad
+  `;
+  const queryParams = [];
+
+  if (filtros.facultadId) {
+    queryParams.push(filtros.facultadId);
+    queryString += ` WHERE c.facultad = $${queryParams.length}`;
+  }
+  queryString += ' ORDER BY c.apellidos, c.nombres;';
+
+  logger.debug('[MODELO_COORDINADOR] Ejecutando obtenerTodos con params: %o', queryParams);
+  try {
+    const { rows } = await pool.query(queryString, queryParams);
+    logger.info(`[MODELO_COORDINADOR] Se encontraron ${rows.length} coordinadores.`);
+    return rows;
+  } catch (error) {
+    logger.error('[MODELO_COORDINADOR] Error al listar coordinadores:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,279 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DatosPersonalesEstudiante:
+ *       type: object
+ *       description: Todo lo que el sistema guarda sobre un estudiante (Habeas Data).
+ *       properties:
+ *         generadoEn:
+ *           type: string
+ *           format: date-time
+ *         estudiante:
+ *           type: object
+ *           properties:
+ *             id: { type: 'string', format: 'uuid' }
+ *             tipoDocumento: { type: 'string', example: 'CC' }
+ *             numeroDocumento: { type: 'string', example: '1039456789' }
+ *             nombres: { type: 'string', example: 'Ana Lucía' }
+ *             apellidos: { type: 'string', example: 'García Vélez' }
+ *             fechaNacimiento: { type: 'string', format: 'date' }
+ *             genero: { type: 'string', example: 'Femenino' }
+ *             correo: { type: 'string', format: 'email' }
+ *             correoContacto: { type: 'string', format: 'email', nullable: true }
+ *             programas:
+ *               type: array
+ *               items: { type: 'string' }
+ *             fechaArchivado: { type: 'string', format: 'date-time', nullable: true }
+ *             motivoArchivado: { type: 'string', nullable: true }
+ *             fechaAnonimizado: { type: 'string', format: 'date-time', nullable: true }
+ *         entrenamientos:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               entrenamientoId: { type: 'string', format: 'uuid' }
+ *               fechaInicio: { type: 'string', format: 'date' }
+ *               fechaFin: { type: 'string', format: 'date' }
+ *               estado: { type: 'string' }
+ *               fechaArchivado: { type: 'string', format: 'date-time', nullable: true }
+ *               variables:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     asignacionVariableId: { type: 'string', format: 'uuid' }
+ *                     variableCognitiva: { type: 'string' }
+ *                     estado: { type: 'string' }
+ *                     entrenador: { type: 'string', nullable: true }
+ *                     nivelInicial: { type: 'object', nullable: true }
+ *                     metricasActuales: { type: 'object', nullable: true }
+ *                     sesiones:
+ *                       type: array
+ *                       description: Sesiones con su observación y la instantánea de métricas registrada al finalizarlas.
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           sesionId: { type: 'string', format: 'uuid' }
+ *                           numeroSesion: { type: 'integer' }
+ *                           estado: { type: 'string' }
+ *                           fechaInicio: { type: 'string', format: 'date-time', nullable: true }
+ *                           fechaFin: { type: 'string', format: 'date-time', nullable: true }
+ *                           observacion: { type: 'string', nullable: true }
+ *                           metricas: { type: 'object', nullable: true }
+ *                           nivelInicialAnterior: { type: 'object', nullable: true }
+ *                     sesionesPlanificadas:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           inicio: { type: 'string', format: 'date-time' }
+ *                           fin: { type: 'string', format: 'date-time' }
+ *                           cancelada: { type: 'boolean' }
+ *         alertas:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id: { type: 'string', format: 'uuid' }
+ *               regla: { type: 'string' }
+ *               asignacionVariableId: { type: 'string', format: 'uuid' }
+ *               estado: { type: 'string' }
+ *               detalle: { type: 'object' }
+ *               fechaDeteccion: { type: 'string', format: 'date-time' }
+ *               fechaResolucion: { type: 'string', format: 'date-time', nullable: true }
+ *               motivoDescarte: { type: 'string', nullable: true }
+ *         solicitudesCambioSesion:
+ *           type: array
+ *           description: Solicitudes de cambio de fecha de sesión que el estudiante pidió desde el portal.
+ *           items:
+ *             type: object
+ *             properties:
+ *               id: { type: 'string', format: 'uuid' }
+ *               asignacionVariableId: { type: 'string', format: 'uuid' }
+ *               inicioAnterior: { type: 'string', format: 'date-time' }
+ *               inicioPropuesto: { type: 'string', format: 'date-time' }
+ *               motivo: { type: 'string', nullable: true }
+ *               estado: { type: 'string', enum: [pendiente, aprobada, rechazada] }
+ *               respuesta: { type: 'string', nullable: true }
+ *               fechaSolicitud: { type: 'string', format: 'date-time' }
+ *               fechaResolucion: { type: 'string', format: 'date-time', nullable: true }
+ *         matriculas:
+ *           type: array
+ *           description: Historial de matrícula del estudiante en los programas.
+ *           items:
+ *             type: object
+ *             properties:
+ *               programa: { type: 'string' }
+ *               semestre: { type: 'string', nullable: true }
+ *               fechaInicio: { type: 'string', format: 'date', nullable: true }
+ *               fechaFin: { type: 'string', format: 'date', nullable: true }
+ *               motivoCierre: { type: 'string', nullable: true }
+ *               motivo: { type: 'string', nullable: true }
+ *     ResultadoAnonimizacion:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         message:
+ *           type: string
+ *           example: "Estudiante anonimizado exitosamente."
+ *         data:
+ *           type: object
+ *           properties:
+ *             estudianteId: { type: 'string', format: 'uuid' }
+ *             motivo: { type: 'string' }
+ *             anonimizados:
+ *               type: object
+ *               description: Registros modificados en cada tabla.
+ *               properties:
+ *                 estudiantes: { type: 'integer', example: 1 }
+ *                 sesiones: { type: 'integer', description: 'Sesiones a las que se les borró la observación.', example: 4 }
+ *                 auditoria: { type: 'integer', description: 'Registros de auditoría sin el contenido del estudiante.', example: 6 }
+ *                 notificaciones: { type: 'integer', example: 2 }
+ *                 solicitudes: { type: 'integer', description: 'Respuestas idempotentes guardadas que se borraron.', example: 0 }
+ */
+
+import pool from '../config/db.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene las funciones de acceso a datos de la exportación y la anonimización de los datos personales
+ * de un estudiante (Habeas Data). Lo que se anonimiza y lo que se conserva está descrito en la migración 016.
+ */
+
+const CONSULTA_ESTUDIANTE = `
+  SELECT e.id, td.sigla AS "tipoDocumento", e.numeroDocumento AS "numeroDocumento", e.nombres, e.apellidos,
+    e.fechaNacimiento AS "fechaNacimiento", g.nombre AS genero, e.correo, e.correoContacto AS "correoContacto",
+    COALESCE((SELECT array_agg(p.nombre ORDER BY p.nombre) FROM CC.EstudiantePrograma ep
+      JOIN CC.Programa p ON p.id = ep.programa WHERE ep.estudiante = e.id), '{}') AS programas,
+    e.fechaArchivado AS "fechaArchivado", e.motivoArchivado AS "motivoArchivado", e.fechaAnonimizado AS "fechaAnonimizado"
+  FROM CC.Estudiante e
+  JOIN CC.TipoDocumento td ON td.id = e.tipoDocumento
+  LEFT JOIN CC.Genero g ON g.id = e.genero
+  WHERE e.id = $1;
+`;
+
+// Una fila por variable asignada, con las sesiones (y sus observaciones) en "sesionesDetalle".
+const CONSULTA_ASIGNACIONES = `
+  SELECT p."entrenamientoId", d."entrenamientoFechaInicio", d."entrenamientoFechaFin", d."entrenamientoEstadoGeneral",
+    ec.fechaArchivado AS "entrenamientoFechaArchivado",
+    p."asignacionVariableId", p."variableCognitivaNombre", p."asignacionVariableEstado", p."entrenadorNombres",
+    p."asignacionNivelInicial", p."asignacionMetricasActuales", p."sesionesDetalle"
+  FROM CC.ProgresoVariableUV p
+  JOIN CC.DetalleEntrenamientoEstudianteUV d ON d."asignacionVariableId" = p."asignacionVariableId"
+  JOIN CC.EntrenamientoCognitivo ec ON ec.id = p."entrenamientoId"
+  WHERE p."estudianteId" = $1
+  ORDER BY d."entrenamientoFechaInicio", p."entrenamientoId", p."variableCognitivaNombre";
+`;
+
+const CONSULTA_METRICAS = `
+  SELECT m.sesion AS "sesionId", m.metricas, m.nivelInicialAnterior AS "nivelInicialAnterior"
+  FROM CC.MetricaSesion m
+  JOIN CC.AsignacionVariable av ON av.id = m.asignacionVariable
+  JOIN CC.EntrenamientoCognitivo ec ON ec.id = av.entrenamientoCognitivo
+  WHERE ec.estudiante = $1;
+`;
+
+const CONSULTA_SESIONES_PLANIFICADAS = `
+  SELECT sp.asignacionVariable AS "asignacionVariableId", sp.inicio, sp.fin, sp.cancelada
+  FROM CC.SesionPlanificada sp
+  WHERE sp.estudiante = $1
+  ORDER BY sp.inicio;
+`;
+
+const CONSULTA_ALERTAS = `
+  SELECT a.id, a.regla, a.asignacionVariable AS "asignacionVariableId", a.estado, a.detalle,
+    a.fechaDeteccion AS "fechaDeteccion", a.fechaResolucion AS "fechaResolucion", a.motivoDescarte AS "motivoDescarte"
+  FROM CC.AlertaRiesgo a
+  WHERE a.estudiante = $1
+  ORDER BY a.fechaDeteccion;
+`;
+
+const CONSULTA_SOLICITUDES_CAMBIO = `
+  SELECT s.id, sp.asignacionVariable AS "asignacionVariableId", s.inicioAnterior AS "inicioAnterior",
+    s.inicioPropuesto AS "inicioPropuesto", s.motivo, s.estado, s.respuesta,
+    s.fechaSolicitud AS "fechaSolicitud", s.fechaResolucion AS "fechaResolucion"
+  FROM CC.SolicitudCambioSesion s
+  JOIN CC.SesionPlanificada sp ON sp.id = s.sesionPlanificada
+  WHERE s.estudiante = $1
+  ORDER BY s.fechaSolicitud;
+`;
+
+const CONSULTA_MATRICULAS = `
+  SELECT p.nombre AS programa, m.semestre, to_char(m.fechaInicio, 'YYYY-MM-DD') AS "fechaInicio",
+    to_char(m.fechaFin, 'YYYY-MM-DD') AS "fechaFin", m.motivoCierre AS "motivoCierre", m.motivo
+  FROM CC.MatriculaPrograma m
+  JOIN CC.Programa p ON p.id = m.programa
+  WHERE m.estudiante = $1
+  ORDER BY m.fechaInicio NULLS FIRST, m.fechaRegistro;
+`;
+
+/**
+ * Obtiene todo lo que se guarda sobre un estudiante: sus datos personales, sus entrenamientos con las variables
+ * y sesiones, las instantáneas de métricas, las sesiones planificadas, las alertas de riesgo, las solicitudes de
+ * cambio de sesión y el historial de matrícula.
+ * @async
+ * @param {string} estudianteId - El UUID del estudiante.
+ * @returns {Promise<{estudiante: object, asignaciones: Array<object>, metricas: Array<object>,
+ * sesionesPlanificadas: Array<object>, alertas: Array<object>, solicitudesCambioSesion: Array<object>,
+ * matriculas: Array<object>}|undefined>} Las filas de cada consulta, o undefined si el estudiante no existe.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerDatosPersonales = async (estudianteId) => {
+  logger.debug('[MODELO_DATOS_PERSONALES] Consultando los datos personales del estudiante ID: %s', estudianteId);
+  try {
+    const { rows: [estudiante] } = await pool.query(CONSULTA_ESTUDIANTE, [estudianteId]);
+    if (!estudiante) {
+      return undefined;
+    }
+    const [asignaciones, metricas, sesionesPlanificadas, alertas, solicitudesCambioSesion, matriculas] = await Promise.all(
+      [
+        CONSULTA_ASIGNACIONES, CONSULTA_METRICAS, CONSULTA_SESIONES_PLANIFICADAS, CONSULTA_ALERTAS,
+        CONSULTA_SOLICITUDES_CAMBIO, CONSULTA_MATRICULAS,
+      ].map(async (consulta) => (await pool.query(consulta, [estudianteId])).rows)
+    );
+    return { estudiante, asignaciones, metricas, sesionesPlanificadas, alertas, solicitudesCambioSesion, matriculas };
+  } catch (error) {
+    logger.error(`[MODELO_DATOS_PERSONALES] Error al consultar los datos personales del estudiante ${estudianteId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene si un estudiante existe y cuándo se anonimizó.
+ * @async
+ * @param {string} estudianteId - El UUID del estudiante.
+ * @returns {Promise<{id: string, fechaAnonimizado: Date|null}|undefined>} El estado, o undefined si el estudiante no existe.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerEstadoAnonimizacion = async (estudianteId) => {
+  const queryString = 'SELECT id, fechaAnonimizado AS "fechaAnonimizado" FROM CC.Estudiante WHERE id = $1;';
+  try {
+    const { rows } = await pool.query(queryString, [estudianteId]);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_DATOS_PERSONALES] Error al consultar la anonimización del estudiante ${estudianteId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Anonimiza un estudiante. Llama a la función de base de datos CC.AnonimizarEstudianteUFT.
+ * @async
+ * @param {string} estudianteId - El UUID del estudiante.
+ * @returns {Promise<{estudiantes: number, sesiones: number, auditoria: number, notificaciones: number, solicitudes: number}>}
+ * Cuántos registros se modificaron en cada tabla; todo en 0 si no existe o ya estaba anonimizado.
+ * @throws {Error} Si ocurre un error en la base de datos.
+ */
+export const anonimizarEstudiante = async (estudianteId) => {
+  const queryString = 'SELECT * FROM CC.AnonimizarEstudianteUFT($1);';
+  logger.debug('[MODELO_DATOS_PERSONALES] Anonimizando al estudiante ID: %s', estudianteId);
+  try {
+    const { rows } = await pool.query(queryString, [estudianteId]);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_DATOS_PERSONALES] Error al anonimizar al estudiante ${estudianteId}:`, error);
+    throw error;
+  }
+};
@@ -68,6 +68,7 @@
 
 import pool from '../config/db.js';
 import logger from '../config/logger.js';
+import { construirConsultaListado, ejecutarConsultaListado } from '../utils/consulta.utils.js';
 
 /**
  * @file Contiene las funciones de acceso a datos para la entidad Entrenador.
@@ -134,46 +135,87 @@ export const registrar = async (datosEntrenador) => {
   }
 };
 
+/** Listado de entrenadores con sus facultades (CC.DetalleEntrenadoresFacultadesUV). */
+const LISTADO_ENTRENADORES = {
+  origen: 'CC.DetalleEntrenadoresFacultadesUV',
+  ordenes: {
+    apellidos: 'apellidosEntrenador',
+    nombres: 'nombresEntrenador',
+    fechaInicio: 'fechaInicioContrato',
+    fechaFin: 'fechaFinContrato',
+    estado: 'estadoContrato',
+  },
+  ordenPorDefecto: 'apellidos,nombres',
+  desempate: 'idEntrenador',
+  filtros: {
+    nombreFacultad: '? = ANY(facultadesAsignadas)',
+    facultad: 'idEntrenador IN (SELECT entrenador FROM CC.EntrenadorFacultad WHERE facultad = ?::uuid)',
+    estado: 'estadoContrato = ?',
+    fechaDesde: 'fechaInicioContrato >= ?',
+    fechaHasta: 'fechaInicioContrato <= ?',
+    // Entrenadores con algún entrenamiento asignado en el periodo.
+    periodo: `idEntrenador IN (
+      SELECT ee.entrenador FROM CC.EntrenadorEntrenamiento ee
+      JOIN CC.EntrenamientoPeriodo ep ON ep.entrenamiento = ee.entrenamientoCognitivo
+      JOIN CC.PeriodoAcademico pa ON pa.id = ep.periodo
+      WHERE pa.codigo = ?)`,
+  },
+};
+
 /**
- * Obtiene los entrenadores con sus facultades asignadas, con opción de filtrar por nombre de facultad.
- * Ordena por apellidos y luego por nombres.
+ * Obtiene una página de los entrenadores con sus facultades asignadas.
+ * Por defecto ordena por apellidos y luego por nombres.
  * @async
- * @param {object} [filtros={}] - Objeto opcional con los filtros a aplicar.
- * @param {string} [filtros.nombreFacultad] - Nombre de la facultad por la cual filtrar.
- * @returns {Promise<Array<object>>} Un array de objetos de entrenadores.
- * @throws {Error} Si ocurre un error durante la consulta.
+ * @param {object} [opciones={}] - Paginación, orden y filtros (ver `utils/consulta.utils.js`).
+ * @param {object} [opciones.filtros] - Filtros: nombreFacultad, facultad (UUID), estado, fechaDesde, fechaHasta (inicio del
+ * contrato) y periodo (con algún entrenamiento asignado en ese periodo académico).
+ * @returns {Promise<{datos: Array<object>, paginacion: object}>} Los entrenadores de la página y sus metadatos de paginación.
+ * @throws {Error} 400 si se pide un filtro u orden no disponible, o el error de la base de datos.
  */
-export const obtenerTodos = async (filtros = {}) => {
-  let queryString = 'SELECT * FROM CC.DetalleEntrenadoresFacultadesUV';
-  const queryParams = [];
-  const condicionesWhere = [];
+export const obtenerTodos = async (opciones = {}) => {
+  const consulta = construirConsultaListado(LISTADO_ENTRENADORES, opciones);
 
-  if (filtros.nombreFacultad) {
-    queryParams.push(filtros.nombreFacultad);
-    // Usamos $N para el placeholder y lo añadimos al array de parámetros
-    condicionesWhere.push(`$${queryParams.length} = ANY(facultadesAsignadas)`);
-    logger.debug('[MODELO_ENTRENADOR] Aplicando filtro: facultadNombre = %s', filtros.nombreFacultad);
+  logger.debug('[MODELO_ENTRENADOR] Ejecutando obtenerTodos con query: %s, params: %o', consulta.datos.text, consulta.datos.values);
+  try {
+    const resultado = await ejecutarConsultaListado(pool, consulta);
+    logger.info(`[MODELO_ENTRENADOR] Se encontraron ${resultado.paginacion.total} entrenadores (con filtros aplicados).`);
+    return resultado;
+  } catch (error) {
+    logger.error('[MODELO_ENTRENADOR] Error al listar entrenadores (filtrados) desde la BD:', error);
+    throw error;
   }
+};
 
-  if (condicionesWhere.length > 0) {
-    queryString += ` WHERE ${condicionesWhere.join(' AND ')}`;
-  }
 
-  queryString += ' ORDER BY apellidosEntrenador, nombresEntrenador;';
-  
-  logger.debug('[MODELO_ENTRENADOR] Ejecutando obtenerTodos con query: %s, params: %o', queryString, queryParams);
+/**
+ * Obtiene los datos de un entrenador por su ID, con los nombres de sus facultades.
+ * @async
+ * @param {string} entrenadorID - El UUID del entrenador.
+ * @returns {Promise<object|null>} El entrenador o null si no existe.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerPorId = async (entrenadorID) => {
+  const queryString = `
+    SELECT e.id, e.nombres, e.apellidos, e.numeroDocumento AS "numeroDocumento", e.correo,
+           e.fechaInicio AS "fechaInicio", e.fechaFin AS "fechaFin",
+           COALESCE(array_agg(f.nombre ORDER BY f.nombre) FILTER (WHERE f.id IS NOT NULL), '{}') AS "facultades"
+    FROM CC.Entrenador e
+    LEFT JOIN CC.EntrenadorFacultad ef ON ef.entrenador = e.id
+    LEFT JOIN CC.Facultad f ON f.id = ef.facultad
+    WHERE e.id = $1
+    GROUP BY e.id;
+  `;
+
+  logger.debug('[MODELO_ENTRENADOR] Ejecutando obtenerPorId con ID: %s', entrenadorID);
   try {
-    const { rows } = await pool.query(queryString, queryParams);
-    logger.info(`[MODELO_ENTRENADOR] Se encontraron ${rows.length} entrenadores (con filtros aplicados).`);
-    logger.debug('[MODELO_ENTRENADOR] Datos de entrenadores listados (filtrados): %o', rows);
-    return rows;
+    const { rows } = await pool.query(queryString, [entrenadorID]);
+    return rows[0] || null;
   } catch (error) {
-    logger.error('[MODELO_ENTRENADOR] Error al listar entrenadores (filtrados) desde la BD:', error);
+    logger.error('[MODELO_ENTRENADOR] Error al obtener entrenador por ID desde la BD:', error);
     throw error;
   }
 };
 
-
 /**
  * Actualiza la información de un entrenador existente utilizando la función PL/pgSQL.
  * @async
@@ -326,10 +368,11 @@ export const obtenerDatosPorCorreo = async (correo) => {
  * @async
  * @param {string} entrenadorId - El UUID del entrenador.
  * @param {string} entrenamientoCognitivoId - El UUID del entrenamiento cognitivo.
+ * @param {import('pg').Pool|import('pg').PoolClient} [cliente=pool] - Conexión a usar; el cliente de `conTransaccion` (config/db.js) para participar en una transacción.
  * @returns {Promise<object>} Un objeto con el resultado de la inserción.
  * @throws {Error} Si ocurre un error durante la inserción.
  */
-export const crearEntrenadorEntrenamiento = async (entrenadorId, entrenamientoCognitivoId) => {
+export const crearEntrenadorEntrenamiento = async (entrenadorId, entrenamientoCognitivoId, cliente = pool) => {
   const queryString = `
     INSERT INTO CC.entrenadorentrenamiento (id, entrenador, entrenamientocognitivo)
     VALUES (gen_random_uuid(), $1, $2)
@@ -340,7 +383,7 @@ export const crearEntrenadorEntrenamiento = async (entrenadorId, entrenamientoCo
   logger.debug('[MODELO_ENTRENADOR] Ejecutando crearEntrenadorEntrenamiento con entrenadorId: %s, entrenamientoCognitivoId: %s', entrenadorId, entrenamientoCognitivoId);
   
   try {
-    const { rows } = await pool.query(queryString, values);
+    const { rows } = await cliente.query(queryString, values);
     if (rows.length > 0) {
       logger.info(`[MODELO_ENTRENADOR] Relación entrenador-entrenamiento creada exitosamente con ID: ${rows[0].id}`);
       return {
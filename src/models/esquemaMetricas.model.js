@@ -0,0 +1,232 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CampoMetrica:
+ *       type: object
+ *       required: [clave, tipo]
+ *       properties:
+ *         clave:
+ *           type: string
+ *           description: Nombre del campo en las métricas y en el nivel inicial.
+ *           example: "aciertos"
+ *         tipo:
+ *           type: string
+ *           enum: [entero, decimal, texto, booleano]
+ *         requerido:
+ *           type: boolean
+ *           default: true
+ *         minimo:
+ *           type: number
+ *           description: Valor mínimo (solo entero y decimal).
+ *         maximo:
+ *           type: number
+ *           description: Valor máximo (solo entero y decimal).
+ *         unidad:
+ *           type: string
+ *           example: "ms"
+ *         descripcion:
+ *           type: string
+ *     EsquemaMetricas:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         variableCognitivaId:
+ *           type: string
+ *           format: uuid
+ *         version:
+ *           type: integer
+ *           example: 2
+ *         descripcion:
+ *           type: string
+ *           nullable: true
+ *         campos:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CampoMetrica'
+ *         activo:
+ *           type: boolean
+ *         vigente:
+ *           type: boolean
+ *           description: Si es la versión que se usa para validar (la versión activa más alta).
+ *         creadoPor:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         fechaCreacion:
+ *           type: string
+ *           format: date-time
+ *         fechaRetiro:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+import pool from '../config/db.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene las funciones de acceso a datos de los esquemas de métricas por variable cognitiva.
+ */
+
+const COLUMNAS_ESQUEMA = `
+  e.id, e.variableCognitiva AS "variableCognitivaId", e.version, e.descripcion, e.campos, e.activo,
+  e.version = (
+    SELECT MAX(v.version) FROM CC.EsquemaMetricas v WHERE v.variableCognitiva = e.variableCognitiva AND v.activo
+  ) AS vigente,
+  e.creadoPor AS "creadoPor", e.fechaCreacion AS "fechaCreacion", e.fechaRetiro AS "fechaRetiro"
+`;
+
+/**
+ * Lista todas las versiones del esquema de una variable cognitiva, de la más reciente a la más antigua.
+ * @async
+ * @param {string} variableId - UUID de la variable cognitiva.
+ * @returns {Promise<Array<object>>} Las versiones del esquema.
+ */
+export const obtenerVersiones = async (variableId) => {
+  const queryString = `
+    SELECT ${COLUMNAS_ESQUEMA}
+    FROM CC.EsquemaMetricas e
+    WHERE e.variableCognitiva = $1
+    ORDER BY e.version DESC;
+  `;
+  try {
+    const { rows } = await pool.query(queryString, [variableId]);
+    return rows;
+  } catch (error) {
+    logger.error(`[MODELO_ESQUEMA_METRICAS] Error al listar los esquemas de la variable ${variableId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene una versión del esquema de una variable cognitiva.
+ * @async
+ * @param {string} variableId - UUID de la variable cognitiva.
+ * @param {number} version - Número de versión.
+ * @returns {Promise<object|undefined>} El esquema, o undefined si no existe.
+ */
+export const obtenerVersion = async (variableId, version) => {
+  const queryString = `
+    SELECT ${COLUMNAS_ESQUEMA}
+    FROM CC.EsquemaMetricas e
+    WHERE e.variableCognitiva = $1 AND e.version = $2;
+  `;
+  try {
+    const { rows } = await pool.query(queryString, [variableId, version]);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_ESQUEMA_METRICAS] Error al obtener la versión ${version} del esquema de la variable ${variableId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene el esquema vigente (la versión activa más alta) de cada variable indicada, con el nombre de la variable.
+ * Las variables sin esquema activo no aparecen en el resultado.
+ * @async
+ * @param {string[]} variableIds - UUIDs de las variables cognitivas.
+ * @returns {Promise<Array<object>>} Un esquema por variable, con `variableCognitivaNombre`.
+ */
+export const obtenerVigentes = async (variableIds) => {
+  const queryString = `
+    SELECT DISTINCT ON (e.variableCognitiva)
+      e.id, e.variableCognitiva AS "variableCognitivaId", vc.nombre AS "variableCognitivaNombre",
+      e.version, e.campos
+    FROM CC.EsquemaMetricas e
+    JOIN CC.VariableCognitiva vc ON vc.id = e.variableCognitiva
+    WHERE e.variableCognitiva = ANY($1::uuid[]) AND e.activo
+    ORDER BY e.variableCognitiva, e.version DESC;
+  `;
+  try {
+    const { rows } = await pool.query(queryString, [variableIds]);
+    return rows;
+  } catch (error) {
+    logger.error('[MODELO_ESQUEMA_METRICAS] Error al obtener los esquemas vigentes:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene el ID de la variable cognitiva de la asignación a la que pertenece una sesión.
+ * @async
+ * @param {string} sesionId - UUID de la sesión de entrenamiento.
+ * @returns {Promise<string|undefined>} El UUID de la variable, o undefined si la sesión no existe.
+ */
+export const obtenerVariableDeSesion = async (sesionId) => {
+  const queryString = `
+    SELECT vc.id
+    FROM CC.SesionEntrenamiento se
+    JOIN CC.ProgresoVariableUV p ON p."asignacionVariableId" = se.asignacionVariable
+    JOIN CC.VariableCognitiva vc ON vc.nombre = p."variableCognitivaNombre"
+    WHERE se.id = $1;
+  `;
+  try {
+    const { rows } = await pool.query(queryString, [sesionId]);
+    return rows[0]?.id;
+  } catch (error) {
+    logger.error(`[MODELO_ESQUEMA_METRICAS] Error al obtener la variable de la sesión ${sesionId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Crea una nueva versión del esquema de una variable cognitiva (la siguiente a la más alta existente).
+ * @async
+ * @param {object} datos - Datos del esquema.
+ * @param {string} datos.variableId - UUID de la variable cognitiva.
+ * @param {Array<object>} datos.campos - Definición de los campos.
+ * @param {string} [datos.descripcion] - Descripción del cambio.
+ * @param {string} [datos.creadoPor] - UUID del usuario que lo crea.
+ * @returns {Promise<object>} El esquema creado.
+ * @throws {Error} Si ocurre un error en la base de datos (p. ej. 23503 si la variable no existe).
+ */
+export const crearVersion = async ({ variableId, campos, descripcion, creadoPor }) => {
+  const queryString = `
+    INSERT INTO CC.EsquemaMetricas (variableCognitiva, version, descripcion, campos, creadoPor)
+    SELECT $1::uuid, COALESCE(MAX(version), 0) + 1, $2, $3::jsonb, $4
+    FROM CC.EsquemaMetricas
+    WHERE variableCognitiva = $1::uuid
+    RETURNING id, variableCognitiva AS "variableCognitivaId", version, descripcion, campos, activo,
+              TRUE AS vigente, creadoPor AS "creadoPor", fechaCreacion AS "fechaCreacion", fechaRetiro AS "fechaRetiro";
+  `;
+  const queryParams = [variableId, descripcion || null, JSON.stringify(campos), creadoPor || null];
+  try {
+    const { rows } = await pool.query(queryString, queryParams);
+    logger.info(`[MODELO_ESQUEMA_METRICAS] Versión ${rows[0].version} del esquema creada para la variable ${variableId}.`);
+    return rows[0];
+  } catch (error) {
+    if (error.code === '23505' || error.code === '23503') {
+      logger.warn(`[MODELO_ESQUEMA_METRICAS] Restricción violada al crear el esquema: ${error.message}`, { detail: error.detail });
+    } else {
+      logger.error('[MODELO_ESQUEMA_METRICAS] Error al crear el esquema:', error);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Retira (desactiva) una versión del esquema. Si era la vigente, pasa a serlo la versión activa anterior.
+ * @async
+ * @param {string} variableId - UUID de la variable cognitiva.
+ * @param {number} version - Número de versión.
+ * @returns {Promise<object|undefined>} El esquema retirado, o undefined si no existe o ya estaba retirado.
+ */
+export const retirarVersion = async (variableId, version) => {
+  const queryString = `
+    UPDATE CC.EsquemaMetricas
+    SET activo = FALSE, fechaRetiro = CURRENT_TIMESTAMP
+    WHERE variableCognitiva = $1 AND version = $2 AND activo
+    RETURNING id, variableCognitiva AS "variableCognitivaId", version, descripcion, campos, activo,
+              FALSE AS vigente, creadoPor AS "creadoPor", fechaCreacion AS "fechaCreacion", fechaRetiro AS "fechaRetiro";
+  `;
+  try {
+    const { rows } = await pool.query(queryString, [variableId, version]);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_ESQUEMA_METRICAS] Error al retirar la versión ${version} del esquema de la variable ${variableId}:`, error);
+    throw error;
+  }
+};
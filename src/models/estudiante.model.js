@@ -38,10 +38,45 @@
  *           type: string
  *           format: email
  *           description: Correo electrónico del estudiante.
+ *     ResultadoBusquedaEstudiante:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         siglaTipoDocumento:
+ *           type: string
+ *           example: "CC"
+ *         numeroDocumento:
+ *           type: string
+ *           example: "1039456789"
+ *         nombres:
+ *           type: string
+ *           example: "Ana Lucía"
+ *         apellidos:
+ *           type: string
+ *           example: "García Vélez"
+ *         correo:
+ *           type: string
+ *           format: email
+ *         programas:
+ *           type: array
+ *           items:
+ *             type: string
+ *         relevancia:
+ *           type: number
+ *           description: Entre 0 y 1; mayor es más parecido al término buscado.
+ *           example: 0.86
+ *         fechaArchivado:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Fecha en que se archivó el estudiante; nula si no está archivado. Los archivados solo se listan con `incluirArchivados=true`.
  */
 
 import pool from '../config/db.js';
 import logger from '../config/logger.js';
+import { construirConsultaListado, ejecutarConsultaListado } from '../utils/consulta.utils.js';
 
 /**
  * @file Contiene las funciones de acceso a datos para la entidad Estudiante.
@@ -66,10 +101,11 @@ import logger from '../config/logger.js';
  * la generación del ID del estudiante y la inserción en tablas relacionadas.
  * @async
  * @param {RegistrarEstudianteDataDB} datosEstudiante - Los datos del estudiante a registrar.
+ * @param {import('pg').Pool|import('pg').PoolClient} [cliente=pool] - Conexión a usar; el cliente de `conTransaccion` (config/db.js) para participar en una transacción.
  * @returns {Promise<{estudianteId: string | null, mensaje: string}>} Un objeto con el ID del estudiante creado y un mensaje, o null si hubo error.
  * @throws {Error} Si ocurre un error durante la ejecución de la función de BD.
  */
-export const registrarEstudianteDB = async (datosEstudiante) => {
+export const registrarEstudianteDB = async (datosEstudiante, cliente = pool) => {
   const {
     pSiglaTipoDocumento,
     pGeneroNombre,
@@ -99,7 +135,7 @@ export const registrarEstudianteDB = async (datosEstudiante) => {
 
   logger.debug('[MODELO_ESTUDIANTE] Llamando a CC.registrarestudianteuft con datos:', datosEstudiante);
   try {
-    const { rows } = await pool.query(queryString, values);
+    const { rows } = await cliente.query(queryString, values);
     if (rows.length > 0) {
       const { estudianteId, mensaje } = rows[0];
       logger.info(`[MODELO_ESTUDIANTE] Resultado de registrarestudianteuft: ID=${estudianteId}, Mensaje='${mensaje}'`);
@@ -213,4 +249,91 @@ export const actualizarGenero = async (estudianteId, nuevoNombreGenero) => {
     logger.error('[MODELO_ESTUDIANTE] Error al ejecutar ActualizarGeneroEstudianteUFT:', error);
     throw error;
   }
-};
\ No newline at end of file
+};
+
+// Búsqueda sobre CC.BusquedaEstudiantesUV. Los '?' del origen son, en orden: el término, el término
+// como patrón LIKE '%...%', el término tal cual (documento exacto) y el patrón de prefijo del documento.
+const LISTADO_BUSQUEDA_ESTUDIANTES = {
+  origen: `(
+    SELECT v.id, v.siglaTipoDocumento AS "siglaTipoDocumento", v.numeroDocumento AS "numeroDocumento",
+           v.nombres, v.apellidos, v.correo, v.programas, v.fechaArchivado AS "fechaArchivado",
+           ROUND(GREATEST(
+             CASE WHEN v.numeroDocumento = b.documento THEN 1
+                  WHEN v.numeroDocumento LIKE b.prefijoDocumento THEN 0.9
+                  ELSE 0 END,
+             word_similarity(b.termino, v.nombreNormalizado),
+             0.9 * word_similarity(b.termino, v.correoNormalizado),
+             0.6 * word_similarity(b.termino, v.programasNormalizados)
+           )::numeric, 3)::float8 AS relevancia
+    FROM CC.BusquedaEstudiantesUV v
+    CROSS JOIN (SELECT CC.NormalizarTextoUFS(?) AS termino, CC.NormalizarTextoUFS(?) AS patron,
+                       ?::text AS documento, ?::text AS prefijoDocumento) b
+    WHERE b.termino <% v.nombreNormalizado
+       OR v.nombreNormalizado LIKE b.patron
+       OR b.termino <% v.correoNormalizado
+       OR v.correoNormalizado LIKE b.patron
+       OR v.numeroDocumento LIKE b.prefijoDocumento
+       OR b.termino <% v.programasNormalizados
+       OR v.programasNormalizados LIKE b.patron
+  ) AS resultados`,
+  ordenes: {
+    relevancia: 'relevancia',
+    apellidos: 'apellidos',
+    nombres: 'nombres',
+    numeroDocumento: '"numeroDocumento"',
+  },
+  ordenPorDefecto: '-relevancia,apellidos,nombres',
+  desempate: 'id',
+  sinArchivados: '"fechaArchivado" IS NULL',
+  filtros: {
+    programa: '? = ANY(programas)',
+    facultad: `id IN (
+      SELECT ep.estudiante FROM CC.EstudiantePrograma ep
+      JOIN CC.Programa p ON p.id = ep.programa
+      WHERE p.facultad = ?::uuid)`,
+    periodo: `id IN (
+      SELECT ec.estudiante FROM CC.EntrenamientoCognitivo ec
+      JOIN CC.EntrenamientoPeriodo ep ON ep.entrenamiento = ec.id
+      JOIN CC.PeriodoAcademico pa ON pa.id = ep.periodo
+      WHERE pa.codigo = ?)`,
+  },
+};
+
+// Escapa los comodines de LIKE para que el término se busque literalmente.
+const escaparLike = (texto) => texto.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Busca estudiantes por coincidencia parcial o aproximada en nombres, apellidos, correo,
+ * número de documento y programas, sin distinguir tildes ni mayúsculas.
+ * Por defecto ordena por relevancia (documento exacto primero).
+ * @async
+ * @param {string} termino - Texto a buscar.
+ * @param {object} [alcance] - Si se indica, solo devuelve estudiantes dentro del alcance por facultad
+ * de ese usuario (CC.EstudianteEnAlcanceUFS).
+ * @param {string} alcance.usuarioId - UUID del usuario.
+ * @param {string} alcance.rol - Rol del usuario.
+ * @param {object} [opciones={}] - Paginación, orden y filtros (ver `utils/consulta.utils.js`).
+ * @returns {Promise<{datos: Array<object>, paginacion: object}>} Los estudiantes de la página y sus metadatos de paginación.
+ * @throws {Error} 400 si se pide un filtro u orden no disponible, o el error de la base de datos.
+ */
+export const buscarEstudiantes = async (termino, alcance, opciones = {}) => {
+  const escapado = escaparLike(termino);
+  const condiciones = alcance
+    ? [{ sql: 'CC.EstudianteEnAlcanceUFS(?::uuid, ?, id)', valores: [alcance.usuarioId, alcance.rol] }]
+    : [];
+  const consulta = construirConsultaListado(LISTADO_BUSQUEDA_ESTUDIANTES, {
+    ...opciones,
+    valoresOrigen: [termino, `%${escapado}%`, termino, `${escapado}%`],
+    condiciones,
+  });
+
+  logger.debug('[MODELO_ESTUDIANTE] Buscando estudiantes con el término: %s', termino);
+  try {
+    const resultado = await ejecutarConsultaListado(pool, consulta);
+    logger.info(`[MODELO_ESTUDIANTE] La búsqueda devolvió ${resultado.paginacion.total} estudiante(s).`);
+    return resultado;
+  } catch (error) {
+    logger.error('[MODELO_ESTUDIANTE] Error al buscar estudiantes en la BD:', error);
+    throw error;
+  }
+};
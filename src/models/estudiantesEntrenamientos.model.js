@@ -23,6 +23,15 @@
  *           type: string
  *           format: date-time
  *           nullable: true
+ *         fecha_archivado_estudiante:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Fecha en que se archivó el estudiante; nula si no está archivado. Los archivados solo se listan con `incluirArchivados=true`.
+ *         fecha_corte:
+ *           type: string
+ *           format: date
+ *           description: Fecha a la que se resolvió la pertenencia a la facultad; solo se incluye si se pidió `fecha`.
  *     EntrenamientoCognitivoDetalle:
  *       type: object
  *       description: Detalle completo del entrenamiento de un estudiante.
@@ -109,6 +118,7 @@
 
 import pool from '../config/db.js';
 import logger from '../config/logger.js';
+import { construirConsultaListado, ejecutarConsultaListado } from '../utils/consulta.utils.js';
 
 /**
  * @file Contiene las funciones de acceso a datos para obtener estudiantes por facultad.
@@ -124,32 +134,97 @@ import logger from '../config/logger.js';
  * @property {string} tipo_documento - Sigla del tipo de documento del estudiante.
  * @property {string | null} estado_entrenamiento - Estado actual del entrenamiento cognitivo (puede ser nulo).
  * @property {Date | null} fecha_inicio_entrenamiento - Fecha de inicio del entrenamiento cognitivo (puede ser nulo).
+ * @property {Date | null} fecha_archivado_estudiante - Fecha en que se archivó el estudiante; nulo si no está archivado.
  */
 
+// ID del estudiante de cada fila, para filtrar por tablas que la función no expone.
+const ID_ESTUDIANTE_FILA = 'CC.ObtenerIdEstudiantePorDocumentoUFS(tipo_documento, numero_documento_estudiante)';
+
+/** Listado de estudiantes de una facultad (CC.obtenerestudiantesporfacultaduft), con la fecha de archivado del estudiante. */
+const LISTADO_ESTUDIANTES_FACULTAD = {
+  origen: `(
+    SELECT f.*, e.fechaArchivado AS fecha_archivado_estudiante
+    FROM CC.obtenerestudiantesporfacultaduft(?) f
+    LEFT JOIN CC.Estudiante e ON e.id = CC.ObtenerIdEstudiantePorDocumentoUFS(f.tipo_documento, f.numero_documento_estudiante)
+  ) AS estudiantes`,
+  ordenes: {
+    apellidos: 'apellido_estudiante',
+    nombres: 'nombre_estudiante',
+    numeroDocumento: 'numero_documento_estudiante',
+    estado: 'estado_entrenamiento',
+    fechaInicio: 'fecha_inicio_entrenamiento',
+  },
+  ordenPorDefecto: 'apellidos,nombres',
+  desempate: 'tipo_documento, numero_documento_estudiante',
+  sinArchivados: 'fecha_archivado_estudiante IS NULL',
+  filtros: {
+    estado: 'estado_entrenamiento = ?',
+    fechaDesde: 'fecha_inicio_entrenamiento >= ?',
+    fechaHasta: 'fecha_inicio_entrenamiento <= ?',
+    programa: `${ID_ESTUDIANTE_FILA} IN (
+      SELECT ep.estudiante FROM CC.EstudiantePrograma ep
+      JOIN CC.Programa p ON p.id = ep.programa
+      WHERE p.nombre = ?)`,
+    entrenador: `${ID_ESTUDIANTE_FILA} IN (
+      SELECT ec.estudiante FROM CC.EntrenamientoCognitivo ec
+      JOIN CC.EntrenadorEntrenamiento ee ON ee.entrenamientoCognitivo = ec.id
+      WHERE ee.entrenador = ?::uuid)`,
+    periodo: `${ID_ESTUDIANTE_FILA} IN (
+      SELECT ec.estudiante FROM CC.EntrenamientoCognitivo ec
+      JOIN CC.EntrenamientoPeriodo ep ON ep.entrenamiento = ec.id
+      JOIN CC.PeriodoAcademico pa ON pa.id = ep.periodo
+      WHERE pa.codigo = ?)`,
+  },
+};
+
 /**
- * Obtiene los estudiantes y sus datos de entrenamiento para una facultad específica
- * utilizando la función de base de datos CC.get_estudiantes_por_facultad.
+ * Listado de estudiantes de una facultad en una fecha (CC.EstudiantesPorFacultadEnFechaUFT, migración 019): la
+ * pertenencia y el filtro de programa se resuelven con las matrículas vigentes ese día.
+ */
+const LISTADO_ESTUDIANTES_FACULTAD_EN_FECHA = {
+  ...LISTADO_ESTUDIANTES_FACULTAD,
+  origen: `(
+    SELECT f.*, e.fechaArchivado AS fecha_archivado_estudiante, to_char(c.fecha_corte, 'YYYY-MM-DD') AS fecha_corte
+    FROM (SELECT ?::date AS fecha_corte) c
+    CROSS JOIN LATERAL CC.EstudiantesPorFacultadEnFechaUFT(?, c.fecha_corte) f
+    LEFT JOIN CC.Estudiante e ON e.id = CC.ObtenerIdEstudiantePorDocumentoUFS(f.tipo_documento, f.numero_documento_estudiante)
+  ) AS estudiantes`,
+  filtros: {
+    ...LISTADO_ESTUDIANTES_FACULTAD.filtros,
+    programa: `${ID_ESTUDIANTE_FILA} IN (
+      SELECT m.estudiante FROM CC.MatriculaPrograma m
+      JOIN CC.Programa p ON p.id = m.programa
+      WHERE p.nombre = ? AND CC.MatriculaVigenteUFS(m.fechaInicio, m.fechaFin, fecha_corte::date))`,
+  },
+};
+
+/**
+ * Obtiene una página de los estudiantes y sus datos de entrenamiento para una facultad específica
+ * utilizando la función de base de datos CC.obtenerestudiantesporfacultaduft. Con `opciones.fecha` devuelve los
+ * estudiantes que pertenecían a la facultad ese día según su historial de matrícula (CC.EstudiantesPorFacultadEnFechaUFT).
  * @async
  * @param {string} facultadId - El UUID de la facultad.
- * @returns {Promise<EstudianteEntrenamientoPorFacultad[]>} Un array de objetos EstudianteEntrenamientoPorFacultad.
- * @throws {Error} Si ocurre un error durante la consulta o si el facultadId no es válido.
+ * @param {object} [opciones={}] - Paginación, orden y filtros (ver `utils/consulta.utils.js`).
+ * @param {string} [opciones.fecha] - Fecha de corte (YYYY-MM-DD).
+ * @returns {Promise<{datos: EstudianteEntrenamientoPorFacultad[], paginacion: object}>} Los estudiantes de la página y sus metadatos de paginación.
+ * @throws {Error} Si ocurre un error durante la consulta, si el facultadId no es válido o 400 si se pide un filtro u orden no disponible.
  */
-export const obtenerEstudiantesPorFacultad = async (facultadId) => {
+export const obtenerEstudiantesPorFacultad = async (facultadId, opciones = {}) => {
   if (!facultadId) { 
     logger.warn('[MODELO_ESTUDIANTES_ENTRENAMIENTOS] Se intentó llamar a obtenerEstudiantesPorFacultad sin un facultadId.');
     throw new Error('El ID de la facultad es requerido.');
   }
 
+  const { fecha, ...opcionesListado } = opciones;
+  const consulta = fecha
+    ? construirConsultaListado(LISTADO_ESTUDIANTES_FACULTAD_EN_FECHA, { ...opcionesListado, valoresOrigen: [fecha, facultadId] })
+    : construirConsultaListado(LISTADO_ESTUDIANTES_FACULTAD, { ...opcionesListado, valoresOrigen: [facultadId] });
 
-  //const queryString = 'SELECT * FROM CC.ObtenerEstudiantesPorFacultadUV WHERE facultad=$1;'
-  const queryString = 'SELECT * FROM CC.obtenerestudiantesporfacultaduft($1);';
-  const values = [facultadId];
-
-  logger.debug('[MODELO_ESTUDIANTES_ENTRENAMIENTOS] Ejecutando obtenerEstudiantesPorFacultad con query: %s y ID de facultad: %s', queryString, facultadId);
+  logger.debug('[MODELO_ESTUDIANTES_ENTRENAMIENTOS] Ejecutando obtenerEstudiantesPorFacultad con query: %s y ID de facultad: %s', consulta.datos.text, facultadId);
   try {
-    const { rows } = await pool.query(queryString, values);
-    logger.info(`[MODELO_ESTUDIANTES_ENTRENAMIENTOS] Se encontraron ${rows.length} estudiantes para la facultad ID ${facultadId}.`);
-    return rows;
+    const resultado = await ejecutarConsultaListado(pool, consulta);
+    logger.info(`[MODELO_ESTUDIANTES_ENTRENAMIENTOS] Se encontraron ${resultado.paginacion.total} estudiantes para la facultad ID ${facultadId}.`);
+    return resultado;
   } catch (error) {
     logger.error(`[MODELO_ESTUDIANTES_ENTRENAMIENTOS] Error al consultar estudiantes por facultad ID ${facultadId} desde la BD:`, error);
     throw error; 
@@ -266,10 +341,11 @@ export const crearEntrenamientoCognitivoDB = async (datosEntrenamiento) => {
  * para crear un nuevo entrenamiento y sus asignaciones de variables.
  * @async
  * @param {RegistrarEntrenamientoAsignacionDataDB} datosAsignacion - Los datos para la nueva asignación.
+ * @param {import('pg').Pool|import('pg').PoolClient} [cliente=pool] - Conexión a usar; el cliente de `conTransaccion` (config/db.js) para participar en una transacción.
  * @returns {Promise<string>} Un mensaje de texto indicando el resultado de la operación.
  * @throws {Error} Si ocurre un error durante la ejecución de la función de BD.
  */
-export const registrarEntrenamientoAsignacionDB = async (datosAsignacion) => {
+export const registrarEntrenamientoAsignacionDB = async (datosAsignacion, cliente = pool) => {
   const {
     pEstudianteId,
     pFechaInicio,
@@ -291,7 +367,7 @@ export const registrarEntrenamientoAsignacionDB = async (datosAsignacion) => {
 
   logger.debug('[MODELO_ESTUDIANTES_ENTRENAMIENTOS] Llamando a CC.registrarentrenamientoyasignacion con datos:', datosAsignacion);
   try {
-    const { rows } = await pool.query(queryString, values);
+    const { rows } = await cliente.query(queryString, values);
     if (rows.length > 0) {
       const { mensaje } = rows[0];
       logger.info(`[MODELO_ESTUDIANTES_ENTRENAMIENTOS] Resultado de registrarentrenamientoyasignacion: Mensaje='${mensaje}'`);
@@ -306,6 +382,36 @@ export const registrarEntrenamientoAsignacionDB = async (datosAsignacion) => {
 };
 
 
+/**
+ * Obtiene el entrenamiento de un estudiante y sus asignaciones de variables.
+ * CC.RegistrarEntrenamientoAsignacionUFS no devuelve el ID del entrenamiento que crea; esta consulta
+ * lo recupera cuando el estudiante tiene un único entrenamiento, como en el alta completa.
+ * @async
+ * @param {string} estudianteId - El UUID del estudiante.
+ * @param {import('pg').Pool|import('pg').PoolClient} [cliente=pool] - Conexión a usar; el cliente de `conTransaccion` (config/db.js) para ver lo creado en la transacción.
+ * @returns {Promise<{entrenamientoId: string, asignacionesIds: string[]}|undefined>} El entrenamiento del estudiante, o undefined si no tiene.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerEntrenamientoDeEstudiante = async (estudianteId, cliente = pool) => {
+  const queryString = `
+    SELECT ec.id AS "entrenamientoId",
+           COALESCE(ARRAY_AGG(av.id) FILTER (WHERE av.id IS NOT NULL), '{}') AS "asignacionesIds"
+    FROM CC.EntrenamientoCognitivo ec
+    LEFT JOIN CC.AsignacionVariable av ON av.entrenamientoCognitivo = ec.id
+    WHERE ec.estudiante = $1
+    GROUP BY ec.id
+    LIMIT 1;
+  `;
+  try {
+    const { rows } = await cliente.query(queryString, [estudianteId]);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_ESTUDIANTES_ENTRENAMIENTOS] Error al obtener el entrenamiento del estudiante ${estudianteId}:`, error);
+    throw error;
+  }
+};
+
+
 /**
  * Obtiene el progreso detallado de una asignación de variable específica.
  * Llama a la vista de la base de datos CC.ProgresoVariableUV.
@@ -335,6 +441,42 @@ export const obtenerProgresoVariablePorId = async (asignacionVariableId) => {
 
 
 
+/**
+ * Obtiene las instantáneas de métricas de las sesiones finalizadas de una asignación, en orden cronológico.
+ * @async
+ * @param {string} asignacionVariableId - El UUID de la asignación de variable.
+ * @param {object} [opciones={}] - Opciones de la consulta.
+ * @param {boolean} [opciones.incluirArchivados=false] - Incluir las sesiones archivadas.
+ * @returns {Promise<Array<object>>} Una fila por sesión: sesionId, numeroSesion, fecha, metricas, nivelInicial y nivelInicialAnterior.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerHistorialMetricasDB = async (asignacionVariableId, { incluirArchivados = false } = {}) => {
+  const queryString = `
+    SELECT
+      m.sesion AS "sesionId",
+      (d->>'numeroSesion')::int AS "numeroSesion",
+      COALESCE((d->>'fechaFin')::timestamptz, m.fechaRegistro) AS fecha,
+      m.metricas,
+      m.nivelInicial AS "nivelInicial",
+      m.nivelInicialAnterior AS "nivelInicialAnterior"
+    FROM CC.MetricaSesion m
+    JOIN CC.SesionEntrenamiento se ON se.id = m.sesion
+    LEFT JOIN CC.ProgresoVariableUV p ON p."asignacionVariableId" = m.asignacionVariable
+    LEFT JOIN LATERAL json_array_elements(p."sesionesDetalle"::json) d ON (d->>'sesionId')::uuid = m.sesion
+    WHERE m.asignacionVariable = $1 AND ($2 OR se.fechaArchivado IS NULL)
+    ORDER BY m.fechaRegistro, "numeroSesion";
+  `;
+
+  logger.debug('[MODELO_ENTRENAMIENTO] Consultando historial de métricas de la asignación ID: %s', asignacionVariableId);
+  try {
+    const { rows } = await pool.query(queryString, [asignacionVariableId, incluirArchivados]);
+    return rows;
+  } catch (error) {
+    logger.error(`[MODELO_ENTRENAMIENTO] Error al consultar el historial de métricas de la asignación ${asignacionVariableId}:`, error);
+    throw error;
+  }
+};
+
 /**
  * Llama a la función de la base de datos para actualizar la observación de una sesión.
  * @async
@@ -433,9 +575,10 @@ export const modificarEntrenamientoCognitivoDB = async (datos) => {
 /**
  * Llama a la función de la BD para crear una nueva sesión.
  * @param {object} datos - Datos de la sesión.
+ * @param {import('pg').Pool|import('pg').PoolClient} [cliente=pool] - Conexión a usar; el cliente de `conTransaccion` (config/db.js) para participar en una transacción.
  * @returns {Promise<object>} El resultado de la función de la BD.
  */
-export const crearSesionDB = async (datos) => {
+export const crearSesionDB = async (datos, cliente = pool) => {
   const queryString = `SELECT * FROM CC.CrearSesionEntrenamientoUFT($1, $2, $3, $4, $5);`;
   const values = [
     datos.pSiglaTipoDocEstudiante,
@@ -447,7 +590,7 @@ export const crearSesionDB = async (datos) => {
 
   logger.debug('[MODELO_ENTRENAMIENTO] Llamando a CrearSesionEntrenamientoUFT con datos: %o', datos);
   try {
-    const { rows } = await pool.query(queryString, values);
+    const { rows } = await cliente.query(queryString, values);
     return rows[0];
   } catch (error) {
     logger.error('[MODELO_ENTRENAMIENTO] Error al ejecutar CrearSesionEntrenamientoUFT:', error);
@@ -476,13 +619,30 @@ export const iniciarSesionDB = async (idSesion) => {
 
 /**
  * Llama a la función de la BD para finalizar una sesión de entrenamiento.
+ * En la misma sentencia guarda la instantánea de las métricas de la sesión en CC.MetricaSesion,
+ * con el nivel inicial que tenía la asignación antes de finalizarla; si la función no finaliza la sesión, no se guarda nada.
  * @param {string} idSesion - UUID de la sesión a finalizar.
  * @param {object} nuevasMetricas - Objeto JSON con las nuevas métricas.
  * @param {object} nuevoNivelInicial - Objeto JSON con el nuevo nivel inicial.
  * @returns {Promise<object>} El resultado de la función de la BD.
  */
 export const finalizarSesionDB = async (idSesion, nuevasMetricas, nuevoNivelInicial) => {
-    const queryString = `SELECT * FROM CC.FinalizarSesionEntrenamientoUFT($1, $2, $3);`;
+    // Las subconsultas de una misma sentencia ven los datos previos a la función, por eso
+    // "asignacionNivelInicial" es el nivel anterior a esta sesión.
+    const queryString = `
+      WITH resultado AS (
+        SELECT * FROM CC.FinalizarSesionEntrenamientoUFT($1, $2, $3)
+      ), instantanea AS (
+        INSERT INTO CC.MetricaSesion (sesion, asignacionVariable, metricas, nivelInicial, nivelInicialAnterior)
+        SELECT se.id, se.asignacionVariable, $2::jsonb, $3::jsonb, p."asignacionNivelInicial"::jsonb
+        FROM resultado r
+        JOIN CC.SesionEntrenamiento se ON se.id = $1
+        LEFT JOIN CC.ProgresoVariableUV p ON p."asignacionVariableId" = se.asignacionVariable
+        WHERE r.mensaje NOT ILIKE '%error%'
+        ON CONFLICT (sesion) DO NOTHING
+      )
+      SELECT * FROM resultado;
+    `;
     const values = [idSesion, nuevasMetricas, nuevoNivelInicial];
     
     logger.debug(`[MODELO_ENTRENAMIENTO] Llamando a FinalizarSesionEntrenamientoUFT para sesión ID: ${idSesion}`);
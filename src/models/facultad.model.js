@@ -21,14 +21,13 @@ import logger from '../config/logger.js';
  */
 
 /**
- * Obtiene todas las facultades de la base de datos.
- * Ordena por nombre de la facultad.
+ * Obtiene las facultades activas de la base de datos, en el orden configurado en el catálogo.
  * @async
  * @returns {Promise<Array<object>>} Un array de objetos (id, nombre).
  * @throws {Error} Si ocurre un error durante la consulta.
  */
 export const obtenerTodas = async () => {
-  const queryString = 'SELECT id, nombre FROM CC.ListarFacultadesUV;';
+  const queryString = 'SELECT v.id, v.nombre FROM CC.ListarFacultadesUV v JOIN CC.Facultad f ON f.id = v.id WHERE f.activo ORDER BY f.orden, v.nombre;';
   logger.debug('[MODELO_FACULTAD] Ejecutando obtenerTodas con query: %s', queryString);
   try {
     const { rows } = await pool.query(queryString);
@@ -0,0 +1,136 @@
+import pool from '../config/db.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Acceso a CC.SolicitudIdempotente: las claves de idempotencia de los endpoints de creación
+ * (ver database/migrations/014_idempotencia.sql).
+ */
+
+/**
+ * @typedef {object} SolicitudIdempotente
+ * @property {string} huella - SHA-256 del método, la ruta y el cuerpo de la petición original.
+ * @property {'en_proceso'|'completada'} estado
+ * @property {number|null} codigoEstado - Código HTTP de la respuesta guardada.
+ * @property {object|null} respuesta - Cuerpo JSON de la respuesta guardada.
+ */
+
+/**
+ * Reserva una clave para atender una petición. La reserva funciona si la clave no existe, si ya venció o si quedó
+ * 'en_proceso' más de `bloqueoMinutos` (la petición original no terminó, por ejemplo por un reinicio del servidor).
+ * @async
+ * @param {object} solicitud
+ * @param {string} solicitud.usuario - UUID del usuario.
+ * @param {string} solicitud.rol - Rol del usuario.
+ * @param {string} solicitud.clave - Valor de la cabecera Idempotency-Key.
+ * @param {string} solicitud.huella - Huella de la petición.
+ * @param {number} solicitud.vigenciaHoras - Horas que se conserva la clave.
+ * @param {number} solicitud.bloqueoMinutos - Minutos tras los cuales una reserva sin respuesta se puede retomar.
+ * @returns {Promise<boolean>} true si la clave quedó reservada para esta petición.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const reservarClave = async ({ usuario, rol, clave, huella, vigenciaHoras, bloqueoMinutos }) => {
+  const queryString = `
+    INSERT INTO CC.SolicitudIdempotente AS s (usuario, rol, clave, huella, estado, fechaExpiracion)
+    VALUES ($1, $2, $3, $4, 'en_proceso', CURRENT_TIMESTAMP + make_interval(hours => $5))
+    ON CONFLICT (usuario, rol, clave) DO UPDATE
+    SET huella = EXCLUDED.huella, estado = 'en_proceso', codigoEstado = NULL, respuesta = NULL,
+        fechaCreacion = CURRENT_TIMESTAMP, fechaExpiracion = EXCLUDED.fechaExpiracion
+    WHERE s.fechaExpiracion < CURRENT_TIMESTAMP
+       OR (s.estado = 'en_proceso' AND s.fechaCreacion < CURRENT_TIMESTAMP - make_interval(mins => $6))
+    RETURNING s.clave;
+  `;
+  try {
+    const { rowCount } = await pool.query(queryString, [usuario, rol, clave, huella, vigenciaHoras, bloqueoMinutos]);
+    return rowCount > 0;
+  } catch (error) {
+    logger.error(`[MODELO_IDEMPOTENCIA] Error al reservar la clave '${clave}' del usuario ${usuario}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene una clave vigente del usuario.
+ * @async
+ * @param {string} usuario - UUID del usuario.
+ * @param {string} rol - Rol del usuario.
+ * @param {string} clave - Valor de la cabecera Idempotency-Key.
+ * @returns {Promise<SolicitudIdempotente|undefined>} La clave, o undefined si no existe o venció.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerSolicitud = async (usuario, rol, clave) => {
+  const queryString = `
+    SELECT huella, estado, codigoEstado AS "codigoEstado", respuesta
+    FROM CC.SolicitudIdempotente
+    WHERE usuario = $1 AND rol = $2 AND clave = $3 AND fechaExpiracion >= CURRENT_TIMESTAMP;
+  `;
+  try {
+    const { rows } = await pool.query(queryString, [usuario, rol, clave]);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_IDEMPOTENCIA] Error al obtener la clave '${clave}' del usuario ${usuario}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Guarda la respuesta de la petición original y marca la clave como completada.
+ * @async
+ * @param {string} usuario - UUID del usuario.
+ * @param {string} rol - Rol del usuario.
+ * @param {string} clave - Valor de la cabecera Idempotency-Key.
+ * @param {number} codigoEstado - Código HTTP de la respuesta.
+ * @param {object} respuesta - Cuerpo JSON de la respuesta.
+ * @returns {Promise<void>}
+ * @throws {Error} Si ocurre un error durante la actualización.
+ */
+export const guardarRespuesta = async (usuario, rol, clave, codigoEstado, respuesta) => {
+  const queryString = `
+    UPDATE CC.SolicitudIdempotente
+    SET estado = 'completada', codigoEstado = $4, respuesta = $5
+    WHERE usuario = $1 AND rol = $2 AND clave = $3 AND estado = 'en_proceso';
+  `;
+  try {
+    await pool.query(queryString, [usuario, rol, clave, codigoEstado, JSON.stringify(respuesta)]);
+  } catch (error) {
+    logger.error(`[MODELO_IDEMPOTENCIA] Error al guardar la respuesta de la clave '${clave}' del usuario ${usuario}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Borra una reserva sin respuesta para que un reintento con la misma clave vuelva a ejecutar la operación.
+ * @async
+ * @param {string} usuario - UUID del usuario.
+ * @param {string} rol - Rol del usuario.
+ * @param {string} clave - Valor de la cabecera Idempotency-Key.
+ * @returns {Promise<void>}
+ * @throws {Error} Si ocurre un error durante el borrado.
+ */
+export const liberarClave = async (usuario, rol, clave) => {
+  const queryString = `
+    DELETE FROM CC.SolicitudIdempotente
+    WHERE usuario = $1 AND rol = $2 AND clave = $3 AND estado = 'en_proceso';
+  `;
+  try {
+    await pool.query(queryString, [usuario, rol, clave]);
+  } catch (error) {
+    logger.error(`[MODELO_IDEMPOTENCIA] Error al liberar la clave '${clave}' del usuario ${usuario}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Borra las claves vencidas.
+ * @async
+ * @returns {Promise<number>} Cantidad de claves borradas.
+ * @throws {Error} Si ocurre un error durante el borrado.
+ */
+export const eliminarVencidas = async () => {
+  try {
+    const { rowCount } = await pool.query('DELETE FROM CC.SolicitudIdempotente WHERE fechaExpiracion < CURRENT_TIMESTAMP;');
+    return rowCount;
+  } catch (error) {
+    logger.error('[MODELO_IDEMPOTENCIA] Error al borrar las claves vencidas:', error);
+    throw error;
+  }
+};
@@ -21,6 +21,27 @@
  *         fechainicioentrenamiento:
  *           type: string
  *           format: date-time
+ *         alertas:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Reglas con alertas de riesgo activas en el entrenamiento.
+ *           example: [sin-sesiones]
+ *         fechaarchivado:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Fecha en que se archivó el entrenamiento; nula si no está archivado. Los archivados solo se listan con `incluirArchivados=true`.
+ *         periodo:
+ *           type: string
+ *           nullable: true
+ *           description: Periodo académico actual del entrenamiento (el abierto o, si ya no tiene, el último).
+ *           example: '2026-1'
+ *         estadoperiodo:
+ *           type: string
+ *           enum: [abierto, cerrado, trasladado]
+ *           nullable: true
+ *           description: Estado del entrenamiento en ese periodo.
  *     DetalleInformeAdmin:
  *       type: object
  *       properties:
@@ -52,32 +73,165 @@
 
 import pool from '../config/db.js';
 import logger from '../config/logger.js';
+import { construirConsultaListado, construirConsultaExportacion, ejecutarConsultaListado } from '../utils/consulta.utils.js';
 
 /**
  * @file Contiene las funciones de acceso a datos para los informes de administración.
  */
 
+// Filtros comunes a los listados de entrenamientos (la columna de unión es entrenamientoid).
+const FILTROS_ENTRENAMIENTO = {
+  estado: 'estadoentrenamiento = ?',
+  fechaDesde: 'fechainicioentrenamiento >= ?',
+  fechaHasta: 'fechainicioentrenamiento <= ?',
+  programa: `entrenamientoid IN (
+    SELECT ec.id FROM CC.EntrenamientoCognitivo ec
+    JOIN CC.EstudiantePrograma ep ON ep.estudiante = ec.estudiante
+    JOIN CC.Programa p ON p.id = ep.programa
+    WHERE p.nombre = ?)`,
+  facultad: `entrenamientoid IN (
+    SELECT ec.id FROM CC.EntrenamientoCognitivo ec
+    JOIN CC.EstudiantePrograma ep ON ep.estudiante = ec.estudiante
+    JOIN CC.Programa p ON p.id = ep.programa
+    WHERE p.facultad = ?::uuid)`,
+  entrenador: 'entrenamientoid IN (SELECT entrenamientoCognitivo FROM CC.EntrenadorEntrenamiento WHERE entrenador = ?::uuid)',
+  // Entrenamientos que pertenecen al periodo (incluidos los que llegaron a él por traslado).
+  periodo: `entrenamientoid IN (
+    SELECT ep.entrenamiento FROM CC.EntrenamientoPeriodo ep
+    JOIN CC.PeriodoAcademico pa ON pa.id = ep.periodo
+    WHERE pa.codigo = ?)`,
+  // Una regla de riesgo, o 'todas' para los entrenamientos con cualquier alerta activa.
+  alerta: "EXISTS (SELECT 1 FROM unnest(alertas) AS r(regla) WHERE ?::text IN (r.regla, 'todas'))",
+};
+
+// Agrega a cada fila de la vista la columna `alertas`: las reglas con alertas activas del entrenamiento (CC.AlertaRiesgo),
+// la columna `fechaarchivado` del entrenamiento y su periodo actual (`periodo` y `estadoperiodo`, ver
+// CC.PeriodoActualEntrenamientoUV).
+const conAlertas = (vista) => `(
+  SELECT l.*, ARRAY(
+    SELECT DISTINCT a.regla FROM CC.AlertaRiesgo a
+    WHERE a.entrenamiento = l.entrenamientoid AND a.estado = 'activa'
+    ORDER BY a.regla
+  ) AS alertas,
+  (SELECT ec.fechaArchivado FROM CC.EntrenamientoCognitivo ec WHERE ec.id = l.entrenamientoid) AS fechaarchivado,
+  pe.periodo, pe.estado AS estadoperiodo
+  FROM ${vista} l
+  LEFT JOIN CC.PeriodoActualEntrenamientoUV pe ON pe.entrenamiento = l.entrenamientoid
+) AS lista`;
+
+const ORDENES_ENTRENAMIENTO = {
+  fechaInicio: 'fechainicioentrenamiento',
+  apellidos: 'estudianteapellidos',
+  nombres: 'estudiantenombres',
+  estado: 'estadoentrenamiento',
+};
+
+/** Listado de entrenamientos para administración (CC.AdminListaEntrenamientosUV). */
+const LISTADO_ENTRENAMIENTOS_ADMIN = {
+  origen: conAlertas('CC.AdminListaEntrenamientosUV'),
+  ordenes: ORDENES_ENTRENAMIENTO,
+  ordenPorDefecto: '-fechaInicio,apellidos,nombres',
+  desempate: 'entrenamientoid',
+  sinArchivados: 'fechaarchivado IS NULL',
+  filtros: FILTROS_ENTRENAMIENTO,
+};
+
+/** Listado de entrenamientos de un entrenador (CC.EntrenadorInformesPorFacultadUV). */
+const LISTADO_ENTRENAMIENTOS_ENTRENADOR = {
+  origen: conAlertas('CC.EntrenadorInformesPorFacultadUV'),
+  ordenes: ORDENES_ENTRENAMIENTO,
+  ordenPorDefecto: '-fechaInicio,apellidos,nombres',
+  desempate: 'entrenamientoid',
+  sinArchivados: 'fechaarchivado IS NULL',
+  // El listado ya está limitado al entrenador autenticado.
+  filtros: Object.fromEntries(Object.entries(FILTROS_ENTRENAMIENTO).filter(([nombre]) => nombre !== 'entrenador')),
+};
+
+// Limita un listado de administración a los entrenamientos del alcance del usuario, si se indica.
+const condicionesAlcance = (alcance) => (alcance
+  ? [{ sql: 'entrenamientoid IN (SELECT entrenamiento FROM CC.EntrenamientosEnAlcanceUFT(?, ?))', valores: [alcance.usuarioId, alcance.rol] }]
+  : []);
+
 /**
- * Obtiene la lista de todos los entrenamientos cognitivos para la vista de administración.
+ * Obtiene una página de los entrenamientos cognitivos para la vista de administración.
  * Utiliza la vista CC.AdminListaEntrenamientosUV.
  * @async
- * @returns {Promise<Array<object>>} Un array con los objetos de los entrenamientos.
- * @throws {Error} Si ocurre un error durante la consulta a la base de datos.
+ * @param {object} [alcance] - Si se indica, solo devuelve los entrenamientos dentro del alcance
+ * por facultad de ese usuario (CC.EntrenamientosEnAlcanceUFT).
+ * @param {string} alcance.usuarioId - UUID del usuario.
+ * @param {string} alcance.rol - Rol del usuario.
+ * @param {object} [opciones={}] - Paginación, orden y filtros (ver `utils/consulta.utils.js`).
+ * @returns {Promise<{datos: Array<object>, paginacion: object}>} Los entrenamientos de la página y sus metadatos de paginación.
+ * @throws {Error} 400 si se pide un filtro u orden no disponible, o el error de la base de datos.
  */
-export const obtenerListaEntrenamientosAdmin = async () => {
-  const queryString = 'SELECT * FROM CC.AdminListaEntrenamientosUV ORDER BY fechainicioentrenamiento DESC, estudianteapellidos, estudiantenombres;';
-  // Se añadió un ORDER BY para consistencia en la presentación
-  logger.debug('[MODELO_INFORME] Ejecutando obtenerListaEntrenamientosAdmin con query: %s', queryString);
+export const obtenerListaEntrenamientosAdmin = async (alcance, opciones = {}) => {
+  const consulta = construirConsultaListado(LISTADO_ENTRENAMIENTOS_ADMIN, { ...opciones, condiciones: condicionesAlcance(alcance) });
+  logger.debug('[MODELO_INFORME] Ejecutando obtenerListaEntrenamientosAdmin con query: %s', consulta.datos.text);
   try {
-    const { rows } = await pool.query(queryString);
-    logger.info(`[MODELO_INFORME] Se encontraron ${rows.length} entrenamientos para la lista de administración.`);
-    return rows;
+    const resultado = await ejecutarConsultaListado(pool, consulta);
+    logger.info(`[MODELO_INFORME] Se encontraron ${resultado.paginacion.total} entrenamientos para la lista de administración (página ${resultado.paginacion.page}).`);
+    return resultado;
   } catch (error) {
     logger.error('[MODELO_INFORME] Error al listar entrenamientos para admin desde la BD:', error);
     throw error; // Relanzar para que el servicio lo maneje
   }
 };
 
+/**
+ * Obtiene todos los entrenamientos de la vista de administración que cumplen los filtros, para exportarlos.
+ * Utiliza la vista CC.AdminListaEntrenamientosUV con el mismo alcance, filtros y orden que el listado paginado.
+ * @async
+ * @param {object} [alcance] - Alcance por facultad del usuario (ver `obtenerListaEntrenamientosAdmin`).
+ * @param {object} [opciones={}] - Orden y filtros del listado; la paginación se ignora.
+ * @param {number} limite - Número máximo de filas; se devuelve una más si el listado lo supera.
+ * @returns {Promise<Array<object>>} Los entrenamientos en el orden pedido.
+ * @throws {Error} 400 si se pide un filtro u orden no disponible, o el error de la base de datos.
+ */
+export const obtenerExportacionEntrenamientosAdmin = async (alcance, opciones = {}, limite) => {
+  const consulta = construirConsultaExportacion(LISTADO_ENTRENAMIENTOS_ADMIN, { ...opciones, condiciones: condicionesAlcance(alcance) }, limite);
+  logger.debug('[MODELO_INFORME] Ejecutando obtenerExportacionEntrenamientosAdmin con query: %s', consulta.text);
+  try {
+    const { rows } = await pool.query(consulta.text, consulta.values);
+    logger.info(`[MODELO_INFORME] Se obtuvieron ${rows.length} entrenamientos para exportar la lista de administración.`);
+    return rows;
+  } catch (error) {
+    logger.error('[MODELO_INFORME] Error al obtener los entrenamientos a exportar para admin desde la BD:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene los datos del informe por estudiante de un entrenamiento: una fila por variable asignada,
+ * con el progreso (CC.ProgresoVariableUV), las fechas del entrenamiento (CC.DetalleEntrenamientoEstudianteUV)
+ * y el correo y los programas del estudiante (CC.BusquedaEstudiantesUV).
+ * @async
+ * @param {string} entrenamientoId - El UUID del entrenamiento cognitivo.
+ * @returns {Promise<Array<object>>} Las variables del entrenamiento ordenadas por nombre; vacío si no tiene ninguna o no existe.
+ * @throws {Error} Si ocurre un error durante la consulta a la base de datos.
+ */
+export const obtenerDatosInformeEstudiante = async (entrenamientoId) => {
+  const queryString = `
+    SELECT p.*,
+      d."estudianteTipoDocumento", d."estudianteNumeroDocumento",
+      d."entrenamientoFechaInicio", d."entrenamientoFechaFin", d."entrenamientoEstadoGeneral",
+      b.correo AS "estudianteCorreo", b.programas AS "estudianteProgramas"
+    FROM CC.ProgresoVariableUV p
+    JOIN CC.DetalleEntrenamientoEstudianteUV d ON d."asignacionVariableId" = p."asignacionVariableId"
+    LEFT JOIN CC.BusquedaEstudiantesUV b ON b.id = p."estudianteId"
+    WHERE p."entrenamientoId" = $1
+    ORDER BY p."variableCognitivaNombre";
+  `;
+  logger.debug('[MODELO_INFORME] Ejecutando obtenerDatosInformeEstudiante con ID: %s', entrenamientoId);
+  try {
+    const { rows } = await pool.query(queryString, [entrenamientoId]);
+    logger.info(`[MODELO_INFORME] Se encontraron ${rows.length} variables para el informe por estudiante del entrenamiento ID: ${entrenamientoId}.`);
+    return rows;
+  } catch (error) {
+    logger.error(`[MODELO_INFORME] Error al obtener los datos del informe por estudiante del entrenamiento ID ${entrenamientoId} desde la BD:`, error);
+    throw error;
+  }
+};
+
 /**
  * Obtiene el detalle de las variables finalizadas para un entrenamiento cognitivo específico.
  * Utiliza la vista CC.InformeVariablesFinalizadasPorEntrenamientoUV.
@@ -103,23 +257,52 @@ export const obtenerDetalleInformeEntrenamiento = async (entrenamientoId) => {
 
 
 /**
- * Obtiene la lista de entrenamientos asignados a un entrenador específico.
- * Utiliza la vista CC.EntrenadorInformeEntrenamientosUV.
+ * Obtiene una página de los entrenamientos asignados a un entrenador específico.
+ * Utiliza la vista CC.EntrenadorInformesPorFacultadUV.
  * @async
  * @param {string} entrenadorId - El UUID del entrenador.
- * @returns {Promise<Array<object>>} Un array con los objetos de los entrenamientos.
- * @throws {Error} Si ocurre un error durante la consulta a la base de datos.
+ * @param {object} [opciones={}] - Paginación, orden y filtros (ver `utils/consulta.utils.js`).
+ * @returns {Promise<{datos: Array<object>, paginacion: object}>} Los entrenamientos de la página y sus metadatos de paginación.
+ * @throws {Error} 400 si se pide un filtro u orden no disponible, o el error de la base de datos.
  */
-export const obtenerListaEntrenamientosEntrenador = async (entrenadorId) => {
-  // Usamos el nuevo nombre de la vista que definiste
-  const queryString = 'SELECT * FROM CC.EntrenadorInformesPorFacultadUV WHERE entrenadorId = $1;';
+export const obtenerListaEntrenamientosEntrenador = async (entrenadorId, opciones = {}) => {
+  const consulta = construirConsultaListado(LISTADO_ENTRENAMIENTOS_ENTRENADOR, {
+    ...opciones,
+    condiciones: [{ sql: 'entrenadorId = ?', valores: [entrenadorId] }],
+  });
   logger.debug('[MODELO_INFORME] Ejecutando obtenerListaEntrenamientosParaEntrenador con ID: %s', entrenadorId);
   try {
-    const { rows } = await pool.query(queryString, [entrenadorId]);
-    logger.info(`[MODELO_INFORME] Se encontraron ${rows.length} entrenamientos para el entrenador ID: ${entrenadorId}.`);
-    return rows;
+    const resultado = await ejecutarConsultaListado(pool, consulta);
+    logger.info(`[MODELO_INFORME] Se encontraron ${resultado.paginacion.total} entrenamientos para el entrenador ID: ${entrenadorId}.`);
+    return resultado;
   } catch (error) {
     logger.error(`[MODELO_INFORME] Error al listar entrenamientos para entrenador desde la BD:`, error);
     throw error;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Obtiene todos los entrenamientos de un entrenador que cumplen los filtros, para exportarlos.
+ * Utiliza la vista CC.EntrenadorInformesPorFacultadUV con los mismos filtros y orden que el listado paginado.
+ * @async
+ * @param {string} entrenadorId - El UUID del entrenador.
+ * @param {object} [opciones={}] - Orden y filtros del listado; la paginación se ignora.
+ * @param {number} limite - Número máximo de filas; se devuelve una más si el listado lo supera.
+ * @returns {Promise<Array<object>>} Los entrenamientos en el orden pedido.
+ * @throws {Error} 400 si se pide un filtro u orden no disponible, o el error de la base de datos.
+ */
+export const obtenerExportacionEntrenamientosEntrenador = async (entrenadorId, opciones = {}, limite) => {
+  const consulta = construirConsultaExportacion(LISTADO_ENTRENAMIENTOS_ENTRENADOR, {
+    ...opciones,
+    condiciones: [{ sql: 'entrenadorId = ?', valores: [entrenadorId] }],
+  }, limite);
+  logger.debug('[MODELO_INFORME] Ejecutando obtenerExportacionEntrenamientosEntrenador con ID: %s', entrenadorId);
+  try {
+    const { rows } = await pool.query(consulta.text, consulta.values);
+    logger.info(`[MODELO_INFORME] Se obtuvieron ${rows.length} entrenamientos para exportar del entrenador ID: ${entrenadorId}.`);
+    return rows;
+  } catch (error) {
+    logger.error('[MODELO_INFORME] Error al obtener los entrenamientos a exportar del entrenador desde la BD:', error);
+    throw error;
+  }
+};
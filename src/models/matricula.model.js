@@ -0,0 +1,217 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MatriculaPrograma:
+ *       type: object
+ *       description: Matrícula de un estudiante en un programa, con el semestre y las fechas en que estuvo vigente.
+ *       properties:
+ *         id: { type: 'string', format: 'uuid' }
+ *         estudianteId: { type: 'string', format: 'uuid' }
+ *         programaId: { type: 'string', format: 'uuid' }
+ *         programa: { type: 'string', example: 'Ingeniería de Sistemas' }
+ *         facultadId: { type: 'string', format: 'uuid' }
+ *         facultad: { type: 'string', example: 'Facultad de Ingenierías' }
+ *         semestre: { type: 'string', nullable: true, example: '2025-2', description: 'Nulo en las matrículas anteriores al historial.' }
+ *         fechaInicio:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: Nula en las matrículas anteriores al historial (vigentes desde siempre).
+ *         fechaFin:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: Día en que el estudiante dejó el programa (ese día ya no pertenece a él); nula si sigue abierta.
+ *         abierta: { type: 'boolean' }
+ *         motivoCierre:
+ *           type: string
+ *           nullable: true
+ *           enum: [cierre, traslado, modificacion]
+ *           description: "'modificacion' si se cerró al cambiar la lista de programas del estudiante."
+ *         motivo: { type: 'string', nullable: true }
+ *         trasladoDe: { type: 'string', format: 'uuid', nullable: true, description: 'Matrícula de la que proviene por traslado.' }
+ *         creadoPor: { type: 'string', format: 'uuid', nullable: true }
+ *         rolCreadoPor: { type: 'string', nullable: true }
+ *         cerradoPor: { type: 'string', format: 'uuid', nullable: true }
+ *         rolCerradoPor: { type: 'string', nullable: true }
+ *         fechaRegistro: { type: 'string', format: 'date-time' }
+ *         fechaCierre: { type: 'string', format: 'date-time', nullable: true }
+ */
+
+import pool from '../config/db.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene las funciones de acceso a datos del historial de matrícula de los estudiantes en los programas
+ * (CC.MatriculaPrograma). CC.EstudiantePrograma guarda los programas vigentes y debe coincidir con las matrículas
+ * abiertas: las funciones que abren o cierran matrículas actualizan las dos tablas y deben llamarse dentro de una
+ * transacción (`conTransaccion` de config/db.js). La sincronización inversa está en la migración 019.
+ */
+
+const SELECCION_MATRICULA = `
+  SELECT m.id, m.estudiante AS "estudianteId", m.programa AS "programaId", p.nombre AS programa,
+    p.facultad AS "facultadId", f.nombre AS facultad, m.semestre,
+    to_char(m.fechaInicio, 'YYYY-MM-DD') AS "fechaInicio", to_char(m.fechaFin, 'YYYY-MM-DD') AS "fechaFin",
+    m.fechaFin IS NULL AS abierta, m.motivoCierre AS "motivoCierre", m.motivo, m.trasladoDe AS "trasladoDe",
+    m.creadoPor AS "creadoPor", m.rolCreadoPor AS "rolCreadoPor", m.cerradoPor AS "cerradoPor",
+    m.rolCerradoPor AS "rolCerradoPor", m.fechaRegistro AS "fechaRegistro", m.fechaCierre AS "fechaCierre"
+  FROM CC.MatriculaPrograma m
+  JOIN CC.Programa p ON p.id = m.programa
+  JOIN CC.Facultad f ON f.id = p.facultad
+`;
+
+/**
+ * Obtiene el estudiante al que se le gestionan las matrículas.
+ * @async
+ * @param {string} estudianteId - UUID del estudiante.
+ * @returns {Promise<{id: string, fechaArchivado: Date|null}|undefined>} El estudiante, o undefined si no existe.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerEstudiante = async (estudianteId) => {
+  const queryString = 'SELECT id, fechaArchivado AS "fechaArchivado" FROM CC.Estudiante WHERE id = $1;';
+
+  try {
+    const { rows } = await pool.query(queryString, [estudianteId]);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_MATRICULA] Error al obtener el estudiante ${estudianteId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene un programa por su nombre.
+ * @async
+ * @param {string} nombre - Nombre del programa.
+ * @returns {Promise<{id: string, nombre: string, activo: boolean, facultadId: string}|undefined>} El programa, o undefined si no existe.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerPrograma = async (nombre) => {
+  const queryString = 'SELECT id, nombre, activo, facultad AS "facultadId" FROM CC.Programa WHERE nombre = $1;';
+
+  try {
+    const { rows } = await pool.query(queryString, [nombre]);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_MATRICULA] Error al obtener el programa "${nombre}":`, error);
+    throw error;
+  }
+};
+
+/**
+ * Lista el historial de matrícula de un estudiante: primero las abiertas y luego de la más reciente a la más antigua.
+ * @async
+ * @param {string} estudianteId - UUID del estudiante.
+ * @param {import('pg').Pool|import('pg').PoolClient} [cliente=pool] - Conexión a usar.
+ * @returns {Promise<Array<object>>} Las matrículas.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const listarPorEstudiante = async (estudianteId, cliente = pool) => {
+  const queryString = `
+    ${SELECCION_MATRICULA}
+    WHERE m.estudiante = $1
+    ORDER BY m.fechaFin IS NOT NULL, m.fechaFin DESC, m.fechaInicio DESC NULLS LAST, m.fechaRegistro DESC;
+  `;
+
+  logger.debug('[MODELO_MATRICULA] Consultando el historial de matrícula del estudiante ID: %s', estudianteId);
+  try {
+    const { rows } = await cliente.query(queryString, [estudianteId]);
+    return rows;
+  } catch (error) {
+    logger.error(`[MODELO_MATRICULA] Error al listar las matrículas del estudiante ${estudianteId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene una matrícula.
+ * @async
+ * @param {string} matriculaId - UUID de la matrícula.
+ * @param {import('pg').Pool|import('pg').PoolClient} [cliente=pool] - Conexión a usar.
+ * @returns {Promise<object|undefined>} La matrícula, o undefined si no existe.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerPorId = async (matriculaId, cliente = pool) => {
+  try {
+    const { rows } = await cliente.query(`${SELECCION_MATRICULA} WHERE m.id = $1;`, [matriculaId]);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_MATRICULA] Error al obtener la matrícula ${matriculaId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Abre una matrícula y agrega el programa a los programas vigentes del estudiante.
+ * @async
+ * @param {object} datos - Datos de la matrícula.
+ * @param {string} datos.estudianteId - UUID del estudiante.
+ * @param {string} datos.programaId - UUID del programa.
+ * @param {string} datos.semestre - Semestre (YYYY-1 o YYYY-2).
+ * @param {string} datos.fechaInicio - Fecha de inicio (YYYY-MM-DD).
+ * @param {string|null} datos.trasladoDe - Matrícula de la que proviene por traslado.
+ * @param {{id: string, role: string}} datos.usuario - Quién la registra.
+ * @param {import('pg').PoolClient} cliente - Cliente de `conTransaccion`.
+ * @returns {Promise<string>} El UUID de la matrícula creada.
+ * @throws {Error} Con código 23505 si el estudiante ya tiene una matrícula abierta en el programa.
+ */
+export const crear = async ({ estudianteId, programaId, semestre, fechaInicio, trasladoDe, usuario }, cliente) => {
+  const insertarMatricula = `
+    INSERT INTO CC.MatriculaPrograma (estudiante, programa, semestre, fechaInicio, trasladoDe, creadoPor, rolCreadoPor)
+    VALUES ($1, $2, $3, $4::date, $5, $6, $7)
+    RETURNING id;
+  `;
+  const insertarVigente = `
+    INSERT INTO CC.EstudiantePrograma (estudiante, programa)
+    SELECT $1, $2
+    WHERE NOT EXISTS (SELECT 1 FROM CC.EstudiantePrograma WHERE estudiante = $1 AND programa = $2);
+  `;
+
+  try {
+    const { rows } = await cliente.query(insertarMatricula, [estudianteId, programaId, semestre, fechaInicio, trasladoDe, usuario.id, usuario.role]);
+    await cliente.query(insertarVigente, [estudianteId, programaId]);
+    logger.info(`[MODELO_MATRICULA] Matrícula ${rows[0].id} abierta para el estudiante ${estudianteId} en el programa ${programaId}.`);
+    return rows[0].id;
+  } catch (error) {
+    logger.error(`[MODELO_MATRICULA] Error al abrir la matrícula del estudiante ${estudianteId} en el programa ${programaId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Cierra una matrícula abierta y quita el programa de los programas vigentes del estudiante.
+ * @async
+ * @param {string} matriculaId - UUID de la matrícula.
+ * @param {object} cierre - Datos del cierre.
+ * @param {string} cierre.fechaFin - Fecha de fin (YYYY-MM-DD).
+ * @param {string} cierre.motivoCierre - 'cierre' o 'traslado'.
+ * @param {string|null} cierre.motivo - Motivo del cierre.
+ * @param {{id: string, role: string}} cierre.usuario - Quién la cierra.
+ * @param {import('pg').PoolClient} cliente - Cliente de `conTransaccion`.
+ * @returns {Promise<boolean>} `true` si la matrícula estaba abierta y se cerró.
+ * @throws {Error} Si ocurre un error durante la actualización.
+ */
+export const cerrar = async (matriculaId, { fechaFin, motivoCierre, motivo, usuario }, cliente) => {
+  const cerrarMatricula = `
+    UPDATE CC.MatriculaPrograma
+    SET fechaFin = $2::date, motivoCierre = $3, motivo = $4, cerradoPor = $5, rolCerradoPor = $6,
+        fechaCierre = CURRENT_TIMESTAMP
+    WHERE id = $1 AND fechaFin IS NULL
+    RETURNING estudiante, programa;
+  `;
+  const quitarVigente = 'DELETE FROM CC.EstudiantePrograma WHERE estudiante = $1 AND programa = $2;';
+
+  try {
+    const { rows } = await cliente.query(cerrarMatricula, [matriculaId, fechaFin, motivoCierre, motivo, usuario.id, usuario.role]);
+    if (rows.length === 0) {
+      return false;
+    }
+    await cliente.query(quitarVigente, [rows[0].estudiante, rows[0].programa]);
+    logger.info(`[MODELO_MATRICULA] Matrícula ${matriculaId} cerrada (${motivoCierre}) con fecha ${fechaFin}.`);
+    return true;
+  } catch (error) {
+    logger.error(`[MODELO_MATRICULA] Error al cerrar la matrícula ${matriculaId}:`, error);
+    throw error;
+  }
+};
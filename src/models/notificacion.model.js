@@ -0,0 +1,513 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notificacion:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         evento:
+ *           type: string
+ *           enum: [entrenamiento.asignado, entrenador.desactivado, variable.abandonada, variable.finalizada, sesion.cambio-solicitado, sesion.cambio-resuelto]
+ *         asunto:
+ *           type: string
+ *           example: "Variable abandonada: Memoria de trabajo"
+ *         cuerpo:
+ *           type: string
+ *         datos:
+ *           type: object
+ *           description: Datos del evento (IDs del entrenamiento, la asignación o el entrenador, según el evento).
+ *           example: { asignacionId: "6f1c2d3e-0000-4000-8000-000000000001", entrenamientoId: "7a8b9c0d-0000-4000-8000-000000000001" }
+ *         leida:
+ *           type: boolean
+ *         fechaCreacion:
+ *           type: string
+ *           format: date-time
+ *         fechaLectura:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     PreferenciaNotificacion:
+ *       type: object
+ *       properties:
+ *         evento:
+ *           type: string
+ *           enum: [entrenamiento.asignado, entrenador.desactivado, variable.abandonada, variable.finalizada, sesion.cambio-solicitado, sesion.cambio-resuelto]
+ *         canal:
+ *           type: string
+ *           enum: [app, correo]
+ *         habilitado:
+ *           type: boolean
+ */
+
+import pool from '../config/db.js';
+import logger from '../config/logger.js';
+import { construirConsultaListado, ejecutarConsultaListado } from '../utils/consulta.utils.js';
+
+/**
+ * @file Contiene las funciones de acceso a datos de las notificaciones (CC.Notificacion, bandeja de la aplicación
+ * y cola de salida del correo), de las preferencias de cada usuario (CC.PreferenciaNotificacion) y de los
+ * destinatarios de cada evento.
+ */
+
+/**
+ * @typedef {object} DestinatarioNotificacion
+ * @property {string} usuarioId - UUID del usuario en la tabla de su rol.
+ * @property {string} rol - 'entrenador' | 'coordinador' | 'estudiante'.
+ * @property {string} nombre - Nombres del usuario, para el saludo.
+ * @property {string|null} correo - Correo del usuario.
+ */
+
+// Coordinadores vigentes de las facultades de un estudiante; recibe la expresión SQL con el UUID del estudiante.
+const coordinadoresDelEstudiante = (estudiante) => `
+  SELECT c.id AS "usuarioId", 'coordinador' AS rol, c.nombres AS nombre, c.correo
+  FROM CC.Coordinador c
+  WHERE c.fechaFin > CURRENT_TIMESTAMP AND c.facultad IN (
+    SELECT pr.facultad FROM CC.EstudiantePrograma ep
+    JOIN CC.Programa pr ON pr.id = ep.programa
+    WHERE ep.estudiante = ${estudiante})
+`;
+
+const COLUMNAS_NOTIFICACION = `
+  id, evento, asunto, cuerpo, datos, (fechaLectura IS NOT NULL) AS leida,
+  fechaCreacion AS "fechaCreacion", fechaLectura AS "fechaLectura"
+`;
+
+/** Bandeja de notificaciones de la aplicación. */
+const LISTADO_NOTIFICACIONES = {
+  origen: `(
+    SELECT ${COLUMNAS_NOTIFICACION}, destinatario, rolDestinatario AS "rolDestinatario"
+    FROM CC.Notificacion
+    WHERE canal = 'app'
+  ) AS notificacion`,
+  ordenes: {
+    fechaCreacion: '"fechaCreacion"',
+    evento: 'evento',
+  },
+  ordenPorDefecto: '-fechaCreacion',
+  desempate: 'id',
+  filtros: {
+    leida: 'leida = ?::boolean',
+    evento: 'evento = ?',
+    fechaDesde: '"fechaCreacion" >= ?',
+    fechaHasta: '"fechaCreacion" <= ?',
+  },
+};
+
+const ejecutarContexto = async (queryString, queryParams, contexto) => {
+  try {
+    const { rows } = await pool.query(queryString, queryParams);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_NOTIFICACION] Error al obtener los destinatarios ${contexto}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene el entrenador al que se asignó un entrenamiento y el estudiante del entrenamiento.
+ * @async
+ * @param {string} entrenadorId - UUID del entrenador.
+ * @param {string} entrenamientoId - UUID del entrenamiento cognitivo.
+ * @returns {Promise<{estudiante: string, destinatarios: Array<DestinatarioNotificacion>}|undefined>}
+ *   El nombre del estudiante y el entrenador, o `undefined` si alguno no existe.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerDestinatariosEntrenamientoAsignado = async (entrenadorId, entrenamientoId) => {
+  const queryString = `
+    SELECT es.nombres || ' ' || es.apellidos AS estudiante,
+      json_build_array(json_build_object('usuarioId', e.id, 'rol', 'entrenador', 'nombre', e.nombres, 'correo', e.correo)) AS destinatarios
+    FROM CC.Entrenador e
+    CROSS JOIN CC.EntrenamientoCognitivo ec
+    JOIN CC.Estudiante es ON es.id = ec.estudiante
+    WHERE e.id = $1 AND ec.id = $2;
+  `;
+  return ejecutarContexto(queryString, [entrenadorId, entrenamientoId], `del entrenamiento asignado ${entrenamientoId}`);
+};
+
+/**
+ * Obtiene el entrenador desactivado y los coordinadores vigentes de sus facultades.
+ * @async
+ * @param {string} entrenadorId - UUID del entrenador.
+ * @returns {Promise<{entrenador: string, destinatarios: Array<DestinatarioNotificacion>}|undefined>}
+ *   El nombre del entrenador y los destinatarios, o `undefined` si el entrenador no existe.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerDestinatariosEntrenadorDesactivado = async (entrenadorId) => {
+  const queryString = `
+    SELECT e.nombres || ' ' || e.apellidos AS entrenador,
+      (SELECT json_agg(d) FROM (
+        SELECT e.id AS "usuarioId", 'entrenador' AS rol, e.nombres AS nombre, e.correo
+        UNION ALL
+        SELECT c.id, 'coordinador', c.nombres, c.correo
+        FROM CC.Coordinador c
+        WHERE c.fechaFin > CURRENT_TIMESTAMP
+          AND c.facultad IN (SELECT facultad FROM CC.EntrenadorFacultad WHERE entrenador = e.id)
+      ) d) AS destinatarios
+    FROM CC.Entrenador e
+    WHERE e.id = $1;
+  `;
+  return ejecutarContexto(queryString, [entrenadorId], `del entrenador desactivado ${entrenadorId}`);
+};
+
+/**
+ * Obtiene el estudiante y la variable de una asignación, los entrenadores vigentes de su entrenamiento
+ * y los coordinadores vigentes de las facultades del estudiante.
+ * @async
+ * @param {string} asignacionId - UUID de la asignación de variable.
+ * @returns {Promise<{entrenamientoId: string, estudiante: string, variable: string, destinatarios: Array<DestinatarioNotificacion>}|undefined>}
+ *   Los datos de la asignación y los destinatarios, o `undefined` si la asignación no existe.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerDestinatariosAsignacion = async (asignacionId) => {
+  const queryString = `
+    SELECT p."entrenamientoId", p."estudianteNombres" || ' ' || p."estudianteApellidos" AS estudiante,
+      p."variableCognitivaNombre" AS variable,
+      COALESCE((SELECT json_agg(d) FROM (
+        SELECT e.id AS "usuarioId", 'entrenador' AS rol, e.nombres AS nombre, e.correo
+        FROM CC.EntrenadorEntrenamiento ee
+        JOIN CC.Entrenador e ON e.id = ee.entrenador
+        WHERE ee.entrenamientoCognitivo = p."entrenamientoId" AND e.fechaFin > CURRENT_TIMESTAMP
+        UNION
+        ${coordinadoresDelEstudiante('p."estudianteId"')}
+      ) d), '[]'::json) AS destinatarios
+    FROM CC.ProgresoVariableUV p
+    WHERE p."asignacionVariableId" = $1
+    LIMIT 1;
+  `;
+  return ejecutarContexto(queryString, [asignacionId], `de la asignación ${asignacionId}`);
+};
+
+/**
+ * Obtiene los datos de una solicitud de cambio de fecha de una sesión planificada, el entrenador de la sesión
+ * y el estudiante que la pidió (con su correo de contacto, si lo tiene, en lugar del institucional).
+ * @async
+ * @param {string} solicitudId - UUID de la solicitud.
+ * @returns {Promise<{entrenamientoId: string, estudiante: string, variable: string, estado: string, respuesta: string|null,
+ *   inicioAnterior: string, inicioPropuesto: string, entrenador: DestinatarioNotificacion,
+ *   destinatarioEstudiante: DestinatarioNotificacion}|undefined>} Los datos y los destinatarios, o `undefined` si no existe.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerDestinatariosSolicitudCambio = async (solicitudId) => {
+  const queryString = `
+    SELECT av.entrenamientoCognitivo AS "entrenamientoId", es.nombres || ' ' || es.apellidos AS estudiante,
+      vc.nombre AS variable, s.estado, s.respuesta,
+      to_char(s.inicioAnterior, 'YYYY-MM-DD"T"HH24:MI:SS') AS "inicioAnterior",
+      to_char(s.inicioPropuesto, 'YYYY-MM-DD"T"HH24:MI:SS') AS "inicioPropuesto",
+      json_build_object('usuarioId', e.id, 'rol', 'entrenador', 'nombre', e.nombres, 'correo', e.correo) AS entrenador,
+      json_build_object('usuarioId', es.id, 'rol', 'estudiante', 'nombre', es.nombres,
+        'correo', COALESCE(es.correoContacto, es.correo)) AS "destinatarioEstudiante"
+    FROM CC.SolicitudCambioSesion s
+    JOIN CC.SesionPlanificada sp ON sp.id = s.sesionPlanificada
+    JOIN CC.AsignacionVariable av ON av.id = sp.asignacionVariable
+    JOIN CC.VariableCognitiva vc ON vc.id = av.variableCognitiva
+    JOIN CC.Estudiante es ON es.id = s.estudiante
+    JOIN CC.Entrenador e ON e.id = s.entrenador
+    WHERE s.id = $1;
+  `;
+  return ejecutarContexto(queryString, [solicitudId], `de la solicitud de cambio de sesión ${solicitudId}`);
+};
+
+/**
+ * Busca la asignación abandonada de una variable para un estudiante identificado por su documento.
+ * @async
+ * @param {string} siglaDocumento - Sigla del tipo de documento del estudiante.
+ * @param {string} numeroDocumento - Número de documento del estudiante.
+ * @param {string} variableCognitivaId - UUID de la variable cognitiva.
+ * @returns {Promise<string|undefined>} UUID de la asignación, o `undefined` si no se encuentra.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerAsignacionAbandonada = async (siglaDocumento, numeroDocumento, variableCognitivaId) => {
+  const queryString = `
+    SELECT p."asignacionVariableId" AS "asignacionId"
+    FROM CC.ProgresoVariableUV p
+    JOIN CC.VariableCognitiva vc ON vc.nombre = p."variableCognitivaNombre"
+    WHERE p."estudianteId" = CC.ObtenerIdEstudiantePorDocumentoUFS($1, $2)
+      AND vc.id = $3 AND p."asignacionVariableEstado" = 'Abandono'
+    LIMIT 1;
+  `;
+  try {
+    const { rows } = await pool.query(queryString, [siglaDocumento, numeroDocumento, variableCognitivaId]);
+    return rows[0]?.asignacionId;
+  } catch (error) {
+    logger.error(`[MODELO_NOTIFICACION] Error al buscar la asignación abandonada de la variable ${variableCognitivaId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene los canales que los destinatarios deshabilitaron para un evento.
+ * @async
+ * @param {Array<{usuarioId: string, rol: string}>} destinatarios - Usuarios a consultar.
+ * @param {string} evento - Evento de la notificación.
+ * @returns {Promise<Array<{usuarioId: string, rol: string, canal: string}>>} Una fila por canal deshabilitado.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerCanalesDeshabilitados = async (destinatarios, evento) => {
+  const queryString = `
+    SELECT p.usuario AS "usuarioId", p.rol, p.canal
+    FROM CC.PreferenciaNotificacion p
+    JOIN jsonb_to_recordset($1::jsonb) AS d("usuarioId" UUID, rol VARCHAR) ON d."usuarioId" = p.usuario AND d.rol = p.rol
+    WHERE p.evento = $2 AND NOT p.habilitado;
+  `;
+  const usuarios = destinatarios.map(({ usuarioId, rol }) => ({ usuarioId, rol }));
+  try {
+    const { rows } = await pool.query(queryString, [JSON.stringify(usuarios), evento]);
+    return rows;
+  } catch (error) {
+    logger.error(`[MODELO_NOTIFICACION] Error al obtener las preferencias del evento ${evento}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Registra notificaciones: las del canal 'app' quedan entregadas y las del canal 'correo' pendientes de envío.
+ * @async
+ * @param {Array<{destinatario: string, rol: string, evento: string, canal: string, asunto: string, cuerpo: string,
+ *   datos: object, correoDestino: string|null}>} notificaciones - Las notificaciones a registrar.
+ * @returns {Promise<number>} Cuántas notificaciones se registraron.
+ * @throws {Error} Si ocurre un error durante la inserción.
+ */
+export const encolarNotificaciones = async (notificaciones) => {
+  const queryString = `
+    INSERT INTO CC.Notificacion (destinatario, rolDestinatario, evento, canal, asunto, cuerpo, datos, correoDestino,
+      estado, fechaEnvio, proximoIntento)
+    SELECT n.destinatario, n.rol, n.evento, n.canal, n.asunto, n.cuerpo, n.datos, n."correoDestino",
+      CASE n.canal WHEN 'app' THEN 'enviada' ELSE 'pendiente' END,
+      CASE n.canal WHEN 'app' THEN CURRENT_TIMESTAMP END,
+      CASE n.canal WHEN 'correo' THEN CURRENT_TIMESTAMP END
+    FROM jsonb_to_recordset($1::jsonb) AS n(destinatario UUID, rol VARCHAR, evento VARCHAR, canal VARCHAR,
+      asunto VARCHAR, cuerpo TEXT, datos JSONB, "correoDestino" VARCHAR);
+  `;
+  try {
+    const { rowCount } = await pool.query(queryString, [JSON.stringify(notificaciones)]);
+    logger.debug(`[MODELO_NOTIFICACION] ${rowCount} notificaciones registradas.`);
+    return rowCount;
+  } catch (error) {
+    logger.error('[MODELO_NOTIFICACION] Error al registrar las notificaciones:', error);
+    throw error;
+  }
+};
+
+/**
+ * Toma los correos pendientes cuyo próximo intento ya llegó y suma un intento a cada uno.
+ * Mientras se envían, su próximo intento se corre `bloqueoSegundos` para que otro despachador no los tome;
+ * si el proceso cae antes de registrar el resultado, se reintentan pasado ese tiempo.
+ * @async
+ * @param {number} limite - Máximo de correos a tomar.
+ * @param {number} bloqueoSegundos - Tiempo de reserva de los correos tomados.
+ * @returns {Promise<Array<{id: string, correoDestino: string, asunto: string, cuerpo: string, intentos: number}>>}
+ *   Los correos tomados, con los intentos ya incrementados.
+ * @throws {Error} Si ocurre un error durante la actualización.
+ */
+export const reclamarCorreosPendientes = async (limite, bloqueoSegundos) => {
+  const queryString = `
+    UPDATE CC.Notificacion
+    SET intentos = intentos + 1, proximoIntento = CURRENT_TIMESTAMP + make_interval(secs => $2)
+    WHERE id IN (
+      SELECT id FROM CC.Notificacion
+      WHERE estado = 'pendiente' AND proximoIntento <= CURRENT_TIMESTAMP
+      ORDER BY proximoIntento
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id, correoDestino AS "correoDestino", asunto, cuerpo, intentos;
+  `;
+  try {
+    const { rows } = await pool.query(queryString, [limite, bloqueoSegundos]);
+    return rows;
+  } catch (error) {
+    logger.error('[MODELO_NOTIFICACION] Error al tomar los correos pendientes:', error);
+    throw error;
+  }
+};
+
+/**
+ * Marca un correo como enviado.
+ * @async
+ * @param {string} notificacionId - UUID de la notificación.
+ * @returns {Promise<void>}
+ * @throws {Error} Si ocurre un error durante la actualización.
+ */
+export const marcarCorreoEnviado = async (notificacionId) => {
+  const queryString = `
+    UPDATE CC.Notificacion
+    SET estado = 'enviada', fechaEnvio = CURRENT_TIMESTAMP, proximoIntento = NULL, ultimoError = NULL
+    WHERE id = $1;
+  `;
+  try {
+    await pool.query(queryString, [notificacionId]);
+  } catch (error) {
+    logger.error(`[MODELO_NOTIFICACION] Error al marcar como enviado el correo ${notificacionId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Registra un intento fallido de envío de un correo.
+ * @async
+ * @param {string} notificacionId - UUID de la notificación.
+ * @param {string} mensajeError - Error del intento.
+ * @param {Date|null} proximoIntento - Cuándo reintentar; `null` marca el correo como fallido.
+ * @returns {Promise<void>}
+ * @throws {Error} Si ocurre un error durante la actualización.
+ */
+export const registrarFalloCorreo = async (notificacionId, mensajeError, proximoIntento) => {
+  const queryString = `
+    UPDATE CC.Notificacion
+    SET estado = CASE WHEN $3::timestamp IS NULL THEN 'fallida' ELSE 'pendiente' END,
+      ultimoError = left($2, 1000), proximoIntento = $3
+    WHERE id = $1;
+  `;
+  try {
+    await pool.query(queryString, [notificacionId, mensajeError, proximoIntento]);
+  } catch (error) {
+    logger.error(`[MODELO_NOTIFICACION] Error al registrar el fallo del correo ${notificacionId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene una página de la bandeja de notificaciones de un usuario.
+ * @async
+ * @param {string} usuarioId - UUID del usuario.
+ * @param {string} rol - Rol del usuario.
+ * @param {object} [opciones={}] - Paginación, orden y filtros (ver `utils/consulta.utils.js`).
+ * @returns {Promise<{datos: Array<object>, paginacion: object}>} Las notificaciones de la página y sus metadatos de paginación.
+ * @throws {Error} 400 si se pide un filtro u orden no disponible, o el error de la base de datos.
+ */
+export const listarNotificaciones = async (usuarioId, rol, opciones = {}) => {
+  const condiciones = [{ sql: 'destinatario = ?::uuid AND "rolDestinatario" = ?', valores: [usuarioId, rol] }];
+  const consulta = construirConsultaListado(LISTADO_NOTIFICACIONES, { ...opciones, condiciones });
+  logger.debug('[MODELO_NOTIFICACION] Ejecutando listarNotificaciones con query: %s', consulta.datos.text);
+  try {
+    const { datos, paginacion } = await ejecutarConsultaListado(pool, consulta);
+    return {
+      datos: datos.map(({ destinatario, rolDestinatario, ...notificacion }) => notificacion),
+      paginacion,
+    };
+  } catch (error) {
+    logger.error('[MODELO_NOTIFICACION] Error al listar las notificaciones:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cuenta las notificaciones sin leer de un usuario.
+ * @async
+ * @param {string} usuarioId - UUID del usuario.
+ * @param {string} rol - Rol del usuario.
+ * @returns {Promise<number>} Notificaciones de la aplicación sin leer.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const contarNoLeidas = async (usuarioId, rol) => {
+  const queryString = `
+    SELECT COUNT(*)::int AS total FROM CC.Notificacion
+    WHERE destinatario = $1 AND rolDestinatario = $2 AND canal = 'app' AND fechaLectura IS NULL;
+  `;
+  try {
+    const { rows } = await pool.query(queryString, [usuarioId, rol]);
+    return rows[0].total;
+  } catch (error) {
+    logger.error('[MODELO_NOTIFICACION] Error al contar las notificaciones sin leer:', error);
+    throw error;
+  }
+};
+
+/**
+ * Marca como leída una notificación de la bandeja de un usuario. Si ya estaba leída conserva la fecha de lectura.
+ * @async
+ * @param {string} notificacionId - UUID de la notificación.
+ * @param {string} usuarioId - UUID del usuario.
+ * @param {string} rol - Rol del usuario.
+ * @returns {Promise<object|undefined>} La notificación, o `undefined` si no existe en la bandeja del usuario.
+ * @throws {Error} Si ocurre un error durante la actualización.
+ */
+export const marcarLeida = async (notificacionId, usuarioId, rol) => {
+  const queryString = `
+    UPDATE CC.Notificacion
+    SET fechaLectura = COALESCE(fechaLectura, CURRENT_TIMESTAMP)
+    WHERE id = $1 AND destinatario = $2 AND rolDestinatario = $3 AND canal = 'app'
+    RETURNING ${COLUMNAS_NOTIFICACION};
+  `;
+  try {
+    const { rows } = await pool.query(queryString, [notificacionId, usuarioId, rol]);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_NOTIFICACION] Error al marcar como leída la notificación ${notificacionId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Marca como leídas todas las notificaciones sin leer de un usuario.
+ * @async
+ * @param {string} usuarioId - UUID del usuario.
+ * @param {string} rol - Rol del usuario.
+ * @returns {Promise<number>} Cuántas notificaciones se marcaron.
+ * @throws {Error} Si ocurre un error durante la actualización.
+ */
+export const marcarTodasLeidas = async (usuarioId, rol) => {
+  const queryString = `
+    UPDATE CC.Notificacion
+    SET fechaLectura = CURRENT_TIMESTAMP
+    WHERE destinatario = $1 AND rolDestinatario = $2 AND canal = 'app' AND fechaLectura IS NULL;
+  `;
+  try {
+    const { rowCount } = await pool.query(queryString, [usuarioId, rol]);
+    return rowCount;
+  } catch (error) {
+    logger.error('[MODELO_NOTIFICACION] Error al marcar como leídas las notificaciones:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene las preferencias guardadas de un usuario (solo las combinaciones de evento y canal que configuró).
+ * @async
+ * @param {string} usuarioId - UUID del usuario.
+ * @param {string} rol - Rol del usuario.
+ * @returns {Promise<Array<{evento: string, canal: string, habilitado: boolean}>>} Las preferencias guardadas.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerPreferencias = async (usuarioId, rol) => {
+  const queryString = `
+    SELECT evento, canal, habilitado FROM CC.PreferenciaNotificacion
+    WHERE usuario = $1 AND rol = $2;
+  `;
+  try {
+    const { rows } = await pool.query(queryString, [usuarioId, rol]);
+    return rows;
+  } catch (error) {
+    logger.error('[MODELO_NOTIFICACION] Error al obtener las preferencias de notificación:', error);
+    throw error;
+  }
+};
+
+/**
+ * Guarda preferencias de un usuario; las combinaciones de evento y canal que no se indican no cambian.
+ * @async
+ * @param {string} usuarioId - UUID del usuario.
+ * @param {string} rol - Rol del usuario.
+ * @param {Array<{evento: string, canal: string, habilitado: boolean}>} preferencias - Preferencias a guardar.
+ * @returns {Promise<void>}
+ * @throws {Error} Si ocurre un error durante la actualización.
+ */
+export const guardarPreferencias = async (usuarioId, rol, preferencias) => {
+  const queryString = `
+    INSERT INTO CC.PreferenciaNotificacion (usuario, rol, evento, canal, habilitado)
+    SELECT $1, $2, p.evento, p.canal, p.habilitado
+    FROM jsonb_to_recordset($3::jsonb) AS p(evento VARCHAR, canal VARCHAR, habilitado BOOLEAN)
+    ON CONFLICT (usuario, rol, evento, canal) DO UPDATE SET
+      habilitado = EXCLUDED.habilitado, fechaActualizacion = CURRENT_TIMESTAMP;
+  `;
+  try {
+    await pool.query(queryString, [usuarioId, rol, JSON.stringify(preferencias)]);
+    logger.info(`[MODELO_NOTIFICACION] Preferencias de notificación del usuario ${usuarioId} (${rol}) actualizadas.`);
+  } catch (error) {
+    logger.error('[MODELO_NOTIFICACION] Error al guardar las preferencias de notificación:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,272 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PeriodoAcademico:
+ *       type: object
+ *       description: Periodo académico (semestre) al que pertenecen los entrenamientos.
+ *       properties:
+ *         id: { type: 'string', format: 'uuid' }
+ *         codigo: { type: 'string', example: '2026-1' }
+ *         fechaInicio: { type: 'string', format: 'date', example: '2026-01-19' }
+ *         fechaFin: { type: 'string', format: 'date', example: '2026-06-13', description: 'Último día del periodo.' }
+ *         estado: { type: 'string', enum: [abierto, cerrado] }
+ *         politicaCierre:
+ *           type: string
+ *           nullable: true
+ *           enum: [cerrar, trasladar, trasladarEnProgreso]
+ *         motivoCierre: { type: 'string', nullable: true }
+ *         creadoPor: { type: 'string', format: 'uuid', nullable: true }
+ *         rolCreadoPor: { type: 'string', nullable: true }
+ *         cerradoPor: { type: 'string', format: 'uuid', nullable: true }
+ *         rolCerradoPor: { type: 'string', nullable: true }
+ *         fechaRegistro: { type: 'string', format: 'date-time' }
+ *         fechaCierre: { type: 'string', format: 'date-time', nullable: true }
+ *         entrenamientos:
+ *           type: object
+ *           description: Entrenamientos del periodo según su estado en él.
+ *           properties:
+ *             abiertos: { type: 'integer' }
+ *             cerrados: { type: 'integer' }
+ *             trasladados: { type: 'integer', description: 'Pasaron al periodo siguiente al cerrar este.' }
+ */
+
+import pool from '../config/db.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene las funciones de acceso a datos de los periodos académicos (CC.PeriodoAcademico) y de la pertenencia
+ * de los entrenamientos a ellos (CC.EntrenamientoPeriodo, migración 020). Los entrenamientos nuevos se asignan a su
+ * periodo en la base de datos; aquí solo se cierran y se trasladan, dentro de la transacción del cierre del periodo.
+ */
+
+const SELECCION_PERIODO = `
+  SELECT pa.id, pa.codigo, to_char(pa.fechaInicio, 'YYYY-MM-DD') AS "fechaInicio",
+    to_char(pa.fechaFin, 'YYYY-MM-DD') AS "fechaFin", pa.estado, pa.politicaCierre AS "politicaCierre",
+    pa.motivoCierre AS "motivoCierre", pa.creadoPor AS "creadoPor", pa.rolCreadoPor AS "rolCreadoPor",
+    pa.cerradoPor AS "cerradoPor", pa.rolCerradoPor AS "rolCerradoPor", pa.fechaRegistro AS "fechaRegistro",
+    pa.fechaCierre AS "fechaCierre",
+    json_build_object(
+      'abiertos', COUNT(ep.entrenamiento) FILTER (WHERE ep.estado = 'abierto'),
+      'cerrados', COUNT(ep.entrenamiento) FILTER (WHERE ep.estado = 'cerrado'),
+      'trasladados', COUNT(ep.entrenamiento) FILTER (WHERE ep.estado = 'trasladado')
+    ) AS entrenamientos
+  FROM CC.PeriodoAcademico pa
+  LEFT JOIN CC.EntrenamientoPeriodo ep ON ep.periodo = pa.id
+`;
+
+/**
+ * Lista los periodos académicos, del más reciente al más antiguo, con sus entrenamientos por estado.
+ * @async
+ * @returns {Promise<Array<object>>} Los periodos.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const listar = async () => {
+  try {
+    const { rows } = await pool.query(`${SELECCION_PERIODO} GROUP BY pa.id ORDER BY pa.fechaInicio DESC;`);
+    return rows;
+  } catch (error) {
+    logger.error('[MODELO_PERIODO] Error al listar los periodos académicos:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene un periodo académico por su código.
+ * @async
+ * @param {string} codigo - Código del periodo (ej. '2026-1').
+ * @param {import('pg').Pool|import('pg').PoolClient} [cliente=pool] - Conexión a usar.
+ * @returns {Promise<object|undefined>} El periodo, o undefined si no existe.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerPorCodigo = async (codigo, cliente = pool) => {
+  try {
+    const { rows } = await cliente.query(`${SELECCION_PERIODO} WHERE pa.codigo = $1 GROUP BY pa.id;`, [codigo]);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_PERIODO] Error al obtener el periodo ${codigo}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene el periodo que sigue a uno: el primero que empieza después de su último día.
+ * @async
+ * @param {string} codigo - Código del periodo.
+ * @returns {Promise<object|undefined>} El periodo siguiente, o undefined si no hay.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerSiguiente = async (codigo) => {
+  const queryString = `
+    ${SELECCION_PERIODO}
+    WHERE pa.fechaInicio > (SELECT fechaFin FROM CC.PeriodoAcademico WHERE codigo = $1)
+    GROUP BY pa.id
+    ORDER BY pa.fechaInicio
+    LIMIT 1;
+  `;
+
+  try {
+    const { rows } = await pool.query(queryString, [codigo]);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_PERIODO] Error al obtener el periodo siguiente a ${codigo}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Crea un periodo académico abierto.
+ * @async
+ * @param {object} datos - Datos del periodo.
+ * @param {string} datos.codigo - Código (YYYY-1 o YYYY-2).
+ * @param {string} datos.fechaInicio - Primer día (YYYY-MM-DD).
+ * @param {string} datos.fechaFin - Último día (YYYY-MM-DD).
+ * @param {{id: string, role: string}} datos.usuario - Quién lo crea.
+ * @returns {Promise<string>} El código del periodo creado.
+ * @throws {Error} Con código 23505 si el código ya existe, o 23P01 si se superpone con otro periodo.
+ */
+export const crear = async ({ codigo, fechaInicio, fechaFin, usuario }) => {
+  const queryString = `
+    INSERT INTO CC.PeriodoAcademico (codigo, fechaInicio, fechaFin, creadoPor, rolCreadoPor)
+    VALUES ($1, $2::date, $3::date, $4, $5)
+    RETURNING codigo;
+  `;
+
+  try {
+    const { rows } = await pool.query(queryString, [codigo, fechaInicio, fechaFin, usuario.id, usuario.role]);
+    logger.info(`[MODELO_PERIODO] Periodo ${codigo} creado (${fechaInicio} a ${fechaFin}).`);
+    return rows[0].codigo;
+  } catch (error) {
+    logger.error(`[MODELO_PERIODO] Error al crear el periodo ${codigo}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Cuenta los entrenamientos de un periodo cuya fecha de inicio quedaría fuera de unas fechas nuevas. No cuenta los que
+ * llegaron por traslado, que empezaron en un periodo anterior.
+ * @async
+ * @param {string} periodoId - UUID del periodo.
+ * @param {string} fechaInicio - Primer día nuevo (YYYY-MM-DD).
+ * @param {string} fechaFin - Último día nuevo (YYYY-MM-DD).
+ * @returns {Promise<number>} Número de entrenamientos que quedarían fuera.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const contarEntrenamientosFueraDeFechas = async (periodoId, fechaInicio, fechaFin) => {
+  const queryString = `
+    SELECT COUNT(*)::int AS total
+    FROM CC.EntrenamientoPeriodo ep
+    JOIN CC.EntrenamientoCognitivo ec ON ec.id = ep.entrenamiento
+    WHERE ep.periodo = $1 AND ep.trasladoDe IS NULL
+      AND COALESCE(ec.fechaInicio::date, ep.fechaRegistro::date) NOT BETWEEN $2::date AND $3::date;
+  `;
+
+  try {
+    const { rows } = await pool.query(queryString, [periodoId, fechaInicio, fechaFin]);
+    return rows[0].total;
+  } catch (error) {
+    logger.error(`[MODELO_PERIODO] Error al revisar las fechas de los entrenamientos del periodo ${periodoId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Cambia las fechas de un periodo abierto.
+ * @async
+ * @param {string} periodoId - UUID del periodo.
+ * @param {{fechaInicio: string, fechaFin: string}} fechas - Fechas nuevas (YYYY-MM-DD).
+ * @returns {Promise<boolean>} `true` si el periodo seguía abierto y se modificó.
+ * @throws {Error} Con código 23P01 si las fechas nuevas se superponen con otro periodo.
+ */
+export const actualizarFechas = async (periodoId, { fechaInicio, fechaFin }) => {
+  const queryString = `
+    UPDATE CC.PeriodoAcademico SET fechaInicio = $2::date, fechaFin = $3::date
+    WHERE id = $1 AND estado = 'abierto';
+  `;
+
+  try {
+    const { rowCount } = await pool.query(queryString, [periodoId, fechaInicio, fechaFin]);
+    return rowCount > 0;
+  } catch (error) {
+    logger.error(`[MODELO_PERIODO] Error al modificar las fechas del periodo ${periodoId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Elimina un periodo sin entrenamientos.
+ * @async
+ * @param {string} periodoId - UUID del periodo.
+ * @returns {Promise<boolean>} `true` si se eliminó.
+ * @throws {Error} Con código 23503 si algún entrenamiento empezó a usarlo.
+ */
+export const eliminar = async (periodoId) => {
+  try {
+    const { rowCount } = await pool.query('DELETE FROM CC.PeriodoAcademico WHERE id = $1;', [periodoId]);
+    return rowCount > 0;
+  } catch (error) {
+    logger.error(`[MODELO_PERIODO] Error al eliminar el periodo ${periodoId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Cierra un periodo y sus entrenamientos abiertos: los que la política traslada quedan 'trasladado' en el periodo y
+ * abiertos en el de destino; el resto, 'cerrado'. Los entrenamientos archivados siempre se cierran.
+ * - 'cerrar': cierra todos.
+ * - 'trasladar': traslada todos.
+ * - 'trasladarEnProgreso': traslada los que tienen alguna asignación de variable en progreso y cierra los demás.
+ * @async
+ * @param {string} periodoId - UUID del periodo.
+ * @param {object} cierre - Datos del cierre.
+ * @param {string} cierre.politica - 'cerrar', 'trasladar' o 'trasladarEnProgreso'.
+ * @param {string|null} cierre.destinoId - UUID del periodo de destino de los traslados (nulo con 'cerrar').
+ * @param {string|null} cierre.motivo - Motivo del cierre.
+ * @param {{id: string, role: string}} cierre.usuario - Quién lo cierra.
+ * @param {import('pg').PoolClient} cliente - Cliente de `conTransaccion`.
+ * @returns {Promise<{cerrados: number, trasladados: number}|null>} Cuántos entrenamientos se cerraron y trasladaron, o
+ * null si el periodo ya estaba cerrado.
+ * @throws {Error} Si ocurre un error durante la actualización.
+ */
+export const cerrar = async (periodoId, { politica, destinoId, motivo, usuario }, cliente) => {
+  const cerrarPeriodo = `
+    UPDATE CC.PeriodoAcademico
+    SET estado = 'cerrado', politicaCierre = $2, motivoCierre = $3, cerradoPor = $4, rolCerradoPor = $5,
+        fechaCierre = CURRENT_TIMESTAMP
+    WHERE id = $1 AND estado = 'abierto';
+  `;
+  const cerrarEntrenamientos = `
+    UPDATE CC.EntrenamientoPeriodo ep
+    SET fechaCierre = CURRENT_TIMESTAMP,
+        estado = CASE
+          WHEN ec.fechaArchivado IS NULL AND ($2 = 'trasladar' OR ($2 = 'trasladarEnProgreso' AND EXISTS (
+            SELECT 1 FROM CC.AnaliticaAsignacionUV a WHERE a.entrenamiento = ec.id AND a.resultado = 'enProgreso'
+          ))) THEN 'trasladado'
+          ELSE 'cerrado'
+        END
+    FROM CC.EntrenamientoCognitivo ec
+    WHERE ec.id = ep.entrenamiento AND ep.periodo = $1 AND ep.estado = 'abierto'
+    RETURNING ep.entrenamiento, ep.estado;
+  `;
+  const abrirEnDestino = `
+    INSERT INTO CC.EntrenamientoPeriodo (entrenamiento, periodo, trasladoDe)
+    SELECT unnest($1::uuid[]), $2, $3;
+  `;
+
+  try {
+    const { rowCount } = await cliente.query(cerrarPeriodo, [periodoId, politica, motivo, usuario.id, usuario.role]);
+    if (rowCount === 0) {
+      return null;
+    }
+    const { rows } = await cliente.query(cerrarEntrenamientos, [periodoId, politica]);
+    const trasladados = rows.filter((fila) => fila.estado === 'trasladado').map((fila) => fila.entrenamiento);
+    if (trasladados.length > 0) {
+      await cliente.query(abrirEnDestino, [trasladados, destinoId, periodoId]);
+    }
+    logger.info(`[MODELO_PERIODO] Periodo ${periodoId} cerrado (${politica}): ${rows.length - trasladados.length} entrenamientos cerrados y ${trasladados.length} trasladados.`);
+    return { cerrados: rows.length - trasladados.length, trasladados: trasladados.length };
+  } catch (error) {
+    logger.error(`[MODELO_PERIODO] Error al cerrar el periodo ${periodoId}:`, error);
+    throw error;
+  }
+};
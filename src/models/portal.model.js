@@ -0,0 +1,209 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PerfilPortalEstudiante:
+ *       type: object
+ *       properties:
+ *         id: { type: 'string', format: 'uuid' }
+ *         tipoDocumento: { type: 'string', example: 'CC' }
+ *         numeroDocumento: { type: 'string', example: '1039456789' }
+ *         nombres: { type: 'string', example: 'Ana Lucía' }
+ *         apellidos: { type: 'string', example: 'García Vélez' }
+ *         correo: { type: 'string', format: 'email', description: 'Correo institucional; con él inicia sesión.' }
+ *         correoContacto:
+ *           type: string
+ *           format: email
+ *           nullable: true
+ *           description: Correo donde prefiere recibir las notificaciones; sin él se usa el institucional.
+ *         programas:
+ *           type: array
+ *           items: { type: 'string' }
+ *     EntrenamientoPortalEstudiante:
+ *       type: object
+ *       description: Entrenamiento del estudiante con el progreso por variable, sin las observaciones de los entrenadores.
+ *       properties:
+ *         entrenamientoId: { type: 'string', format: 'uuid' }
+ *         fechaInicio: { type: 'string', format: 'date' }
+ *         fechaFin: { type: 'string', format: 'date' }
+ *         estado: { type: 'string' }
+ *         variables:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               asignacionVariableId: { type: 'string', format: 'uuid' }
+ *               variableCognitiva: { type: 'string', example: 'Memoria de trabajo' }
+ *               estado: { type: 'string' }
+ *               entrenador: { type: 'string', nullable: true }
+ *               nivelInicial: { type: 'object', nullable: true }
+ *               metricasActuales: { type: 'object', nullable: true }
+ *               totalSesiones: { type: 'integer' }
+ *               sesionesFinalizadas: { type: 'integer' }
+ *               sesionesAbandonadas: { type: 'integer' }
+ *               sesiones:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     numeroSesion: { type: 'integer' }
+ *                     estado: { type: 'string' }
+ *                     fechaInicio: { type: 'string', format: 'date-time', nullable: true }
+ *                     fechaFin: { type: 'string', format: 'date-time', nullable: true }
+ *     SesionPlanificadaPortal:
+ *       type: object
+ *       properties:
+ *         sesionPlanificadaId: { type: 'string', format: 'uuid' }
+ *         asignacionVariableId: { type: 'string', format: 'uuid' }
+ *         variable: { type: 'string', example: 'Memoria de trabajo' }
+ *         entrenador: { type: 'string', example: 'Carlos Pérez' }
+ *         inicio: { type: 'string', example: '2025-03-03T10:00:00' }
+ *         fin: { type: 'string', example: '2025-03-03T10:45:00' }
+ *         solicitudPendiente:
+ *           type: object
+ *           nullable: true
+ *           description: Solicitud de cambio de fecha pendiente de la sesión, si la hay.
+ *           properties:
+ *             id: { type: 'string', format: 'uuid' }
+ *             inicioPropuesto: { type: 'string', example: '2025-03-04T15:00:00' }
+ *             finPropuesto: { type: 'string', example: '2025-03-04T15:45:00' }
+ */
+
+import pool from '../config/db.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene las funciones de acceso a datos del portal del estudiante. Todas las consultas se filtran por el
+ * estudiante autenticado, y las sesiones de entrenamiento se leen con una lista cerrada de campos: las observaciones
+ * de los entrenadores nunca salen de la base de datos.
+ */
+
+const TEXTO_TIMESTAMP = 'YYYY-MM-DD"T"HH24:MI:SS';
+
+/**
+ * Obtiene el perfil del estudiante: sus datos de identificación, correos y programas.
+ * @async
+ * @param {string} estudianteId - El UUID del estudiante.
+ * @returns {Promise<object|undefined>} El perfil, o undefined si el estudiante no existe.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerPerfil = async (estudianteId) => {
+  const queryString = `
+    SELECT e.id, td.sigla AS "tipoDocumento", e.numeroDocumento AS "numeroDocumento", e.nombres, e.apellidos,
+      e.correo, e.correoContacto AS "correoContacto",
+      COALESCE((SELECT array_agg(p.nombre ORDER BY p.nombre) FROM CC.EstudiantePrograma ep
+        JOIN CC.Programa p ON p.id = ep.programa WHERE ep.estudiante = e.id), '{}') AS programas
+    FROM CC.Estudiante e
+    JOIN CC.TipoDocumento td ON td.id = e.tipoDocumento
+    WHERE e.id = $1;
+  `;
+
+  logger.debug('[MODELO_PORTAL] Consultando el perfil del estudiante ID: %s', estudianteId);
+  try {
+    const { rows } = await pool.query(queryString, [estudianteId]);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_PORTAL] Error al consultar el perfil del estudiante ${estudianteId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Cambia el correo de contacto del estudiante.
+ * @async
+ * @param {string} estudianteId - El UUID del estudiante.
+ * @param {string|null} correoContacto - El correo nuevo; null lo borra.
+ * @returns {Promise<boolean>} `true` si el estudiante existe.
+ * @throws {Error} Si ocurre un error durante la actualización.
+ */
+export const actualizarCorreoContacto = async (estudianteId, correoContacto) => {
+  const queryString = 'UPDATE CC.Estudiante SET correoContacto = $2 WHERE id = $1;';
+
+  try {
+    const { rowCount } = await pool.query(queryString, [estudianteId, correoContacto]);
+    return rowCount > 0;
+  } catch (error) {
+    logger.error(`[MODELO_PORTAL] Error al actualizar el correo de contacto del estudiante ${estudianteId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene las variables asignadas en los entrenamientos no archivados del estudiante, una fila por variable,
+ * con sus sesiones no archivadas (número, estado y fechas).
+ * @async
+ * @param {string} estudianteId - El UUID del estudiante.
+ * @returns {Promise<Array<object>>} Las filas, ordenadas por entrenamiento y variable.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerProgreso = async (estudianteId) => {
+  const queryString = `
+    SELECT p."entrenamientoId", d."entrenamientoFechaInicio", d."entrenamientoFechaFin", d."entrenamientoEstadoGeneral",
+      p."asignacionVariableId", p."variableCognitivaNombre", p."asignacionVariableEstado", p."entrenadorNombres",
+      p."asignacionNivelInicial", p."asignacionMetricasActuales",
+      p."totalSesiones", p."sesionesFinalizadas", p."sesionesAbandonadas",
+      COALESCE((
+        SELECT json_agg(json_build_object(
+            'numeroSesion', (s->>'numeroSesion')::int,
+            'estado', s->>'estado',
+            'fechaInicio', s->>'fechaInicio',
+            'fechaFin', s->>'fechaFin'
+          ) ORDER BY (s->>'numeroSesion')::int)
+        FROM json_array_elements(p."sesionesDetalle"::json) s
+        JOIN CC.SesionEntrenamiento se ON se.id = (s->>'sesionId')::uuid
+        WHERE se.fechaArchivado IS NULL
+      ), '[]'::json) AS sesiones
+    FROM CC.ProgresoVariableUV p
+    JOIN CC.DetalleEntrenamientoEstudianteUV d ON d."asignacionVariableId" = p."asignacionVariableId"
+    JOIN CC.EntrenamientoCognitivo ec ON ec.id = p."entrenamientoId"
+    WHERE p."estudianteId" = $1 AND ec.fechaArchivado IS NULL
+    ORDER BY d."entrenamientoFechaInicio" DESC, p."entrenamientoId", p."variableCognitivaNombre";
+  `;
+
+  logger.debug('[MODELO_PORTAL] Consultando el progreso del estudiante ID: %s', estudianteId);
+  try {
+    const { rows } = await pool.query(queryString, [estudianteId]);
+    return rows;
+  } catch (error) {
+    logger.error(`[MODELO_PORTAL] Error al consultar el progreso del estudiante ${estudianteId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene las sesiones planificadas del estudiante que no han terminado ni están canceladas, con la solicitud de
+ * cambio pendiente de cada una.
+ * @async
+ * @param {string} estudianteId - El UUID del estudiante.
+ * @returns {Promise<Array<object>>} Las sesiones en orden de inicio.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerProximasSesiones = async (estudianteId) => {
+  const queryString = `
+    SELECT sp.id AS "sesionPlanificadaId", sp.asignacionVariable AS "asignacionVariableId", vc.nombre AS variable,
+      e.nombres || ' ' || e.apellidos AS entrenador,
+      to_char(sp.inicio, '${TEXTO_TIMESTAMP}') AS inicio, to_char(sp.fin, '${TEXTO_TIMESTAMP}') AS fin,
+      CASE WHEN s.id IS NULL THEN NULL ELSE json_build_object(
+        'id', s.id,
+        'inicioPropuesto', to_char(s.inicioPropuesto, '${TEXTO_TIMESTAMP}'),
+        'finPropuesto', to_char(s.finPropuesto, '${TEXTO_TIMESTAMP}')
+      ) END AS "solicitudPendiente"
+    FROM CC.SesionPlanificada sp
+    JOIN CC.AsignacionVariable av ON av.id = sp.asignacionVariable
+    JOIN CC.VariableCognitiva vc ON vc.id = av.variableCognitiva
+    JOIN CC.EntrenamientoCognitivo ec ON ec.id = av.entrenamientoCognitivo
+    JOIN CC.Entrenador e ON e.id = sp.entrenador
+    LEFT JOIN CC.SolicitudCambioSesion s ON s.sesionPlanificada = sp.id AND s.estado = 'pendiente'
+    WHERE sp.estudiante = $1 AND NOT sp.cancelada AND sp.fin > LOCALTIMESTAMP AND ec.fechaArchivado IS NULL
+    ORDER BY sp.inicio;
+  `;
+
+  logger.debug('[MODELO_PORTAL] Consultando las próximas sesiones del estudiante ID: %s', estudianteId);
+  try {
+    const { rows } = await pool.query(queryString, [estudianteId]);
+    return rows;
+  } catch (error) {
+    logger.error(`[MODELO_PORTAL] Error al consultar las próximas sesiones del estudiante ${estudianteId}:`, error);
+    throw error;
+  }
+};
@@ -0,0 +1,70 @@
+import pool from '../config/db.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene las consultas de propiedad de sesiones, asignaciones y entrenamientos (CC.EntrenadorEntrenamiento)
+ * y el registro de los overrides de administrador.
+ */
+
+const FUNCIONES_POR_TIPO = Object.freeze({
+  sesion: 'CC.SesionDeEntrenadorUFS',
+  asignacion: 'CC.AsignacionDeEntrenadorUFS',
+  entrenamiento: 'CC.EntrenamientoDeEntrenadorUFS',
+});
+
+/**
+ * Indica si la sesión, asignación o entrenamiento pertenece a (o es) un entrenamiento asignado al entrenador.
+ * @async
+ * @param {string} tipo - 'sesion', 'asignacion' o 'entrenamiento'.
+ * @param {string} entrenadorId - UUID del entrenador.
+ * @param {string} registroId - UUID de la sesión, asignación o entrenamiento.
+ * @returns {Promise<boolean>} `true` si el entrenador está vinculado al entrenamiento.
+ * @throws {Error} Si el tipo no existe o si ocurre un error durante la consulta.
+ */
+export const esDeEntrenador = async (tipo, entrenadorId, registroId) => {
+  const funcion = FUNCIONES_POR_TIPO[tipo];
+  if (!funcion) {
+    throw new Error(`Tipo de propiedad desconocido: ${tipo}`);
+  }
+
+  const queryString = `SELECT ${funcion}($1, $2) AS "esDeEntrenador";`;
+  logger.debug('[MODELO_PROPIEDAD] Verificando propiedad de %s %s para el entrenador %s.', tipo, registroId, entrenadorId);
+  try {
+    const { rows } = await pool.query(queryString, [entrenadorId, registroId]);
+    return rows[0]?.esDeEntrenador === true;
+  } catch (error) {
+    logger.error(`[MODELO_PROPIEDAD] Error al verificar la propiedad de ${tipo}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Registra el uso del override de administrador sobre una sesión, asignación o entrenamiento.
+ * @async
+ * @param {object} datos - Datos del override.
+ * @param {string} datos.id - UUID del registro, asignado al verificar el acceso.
+ * @param {string} datos.usuarioId - UUID del administrador.
+ * @param {string} datos.rol - Rol del usuario.
+ * @param {string} datos.operacion - Operación realizada (ej. 'PUT /api/entrenamientos-cognitivos/sesiones/{id}/finalizar').
+ * @param {string} datos.tipo - 'sesion', 'asignacion' o 'entrenamiento'.
+ * @param {string} datos.registroId - UUID de la sesión, asignación o entrenamiento.
+ * @param {string} datos.motivo - Motivo indicado por el administrador.
+ * @returns {Promise<{id: string, fecha: Date}>} El registro creado.
+ */
+export const registrarOverride = async ({ id, usuarioId, rol, operacion, tipo, registroId, motivo }) => {
+  const queryString = `
+    INSERT INTO CC.OverridePropiedad (id, usuario, rol, operacion, tipo, registro, motivo)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING id, fecha;
+  `;
+  const queryParams = [id, usuarioId, rol, operacion, tipo, registroId, motivo];
+
+  try {
+    const { rows } = await pool.query(queryString, queryParams);
+    logger.info(`[MODELO_PROPIEDAD] Override ${rows[0].id} registrado sobre ${tipo} ${registroId}.`);
+    return rows[0];
+  } catch (error) {
+    logger.error('[MODELO_PROPIEDAD] Error al registrar el override:', error);
+    throw error;
+  }
+};
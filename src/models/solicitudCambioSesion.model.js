@@ -0,0 +1,199 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SolicitudCambioSesion:
+ *       type: object
+ *       properties:
+ *         id: { type: 'string', format: 'uuid' }
+ *         sesionPlanificadaId: { type: 'string', format: 'uuid' }
+ *         asignacionVariableId: { type: 'string', format: 'uuid' }
+ *         variable: { type: 'string', example: 'Memoria de trabajo' }
+ *         estudianteId: { type: 'string', format: 'uuid' }
+ *         estudiante: { type: 'string', example: 'Ana Lucía García Vélez' }
+ *         entrenadorId: { type: 'string', format: 'uuid' }
+ *         entrenador: { type: 'string', example: 'Carlos Pérez' }
+ *         inicioAnterior: { type: 'string', example: '2025-03-03T10:00:00' }
+ *         finAnterior: { type: 'string', example: '2025-03-03T10:45:00' }
+ *         inicioPropuesto: { type: 'string', example: '2025-03-04T15:00:00' }
+ *         finPropuesto: { type: 'string', example: '2025-03-04T15:45:00' }
+ *         motivo: { type: 'string', nullable: true, example: 'Tengo parcial a esa hora.' }
+ *         estado: { type: 'string', enum: [pendiente, aprobada, rechazada] }
+ *         respuesta: { type: 'string', nullable: true }
+ *         fechaSolicitud: { type: 'string', format: 'date-time' }
+ *         fechaResolucion: { type: 'string', format: 'date-time', nullable: true }
+ *         sesionCancelada: { type: 'boolean', description: 'Si la sesión planificada se canceló después de pedir el cambio.' }
+ */
+
+import pool from '../config/db.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene las funciones de acceso a datos de las solicitudes de cambio de fecha de las sesiones planificadas
+ * (CC.SolicitudCambioSesion), que piden los estudiantes desde el portal y resuelven los entrenadores.
+ */
+
+const TEXTO_TIMESTAMP = 'YYYY-MM-DD"T"HH24:MI:SS';
+
+const SELECCION_SOLICITUD = `
+  SELECT s.id, s.sesionPlanificada AS "sesionPlanificadaId", sp.asignacionVariable AS "asignacionVariableId",
+    vc.nombre AS variable,
+    s.estudiante AS "estudianteId", es.nombres || ' ' || es.apellidos AS estudiante,
+    s.entrenador AS "entrenadorId", e.nombres || ' ' || e.apellidos AS entrenador,
+    to_char(s.inicioAnterior, '${TEXTO_TIMESTAMP}') AS "inicioAnterior", to_char(s.finAnterior, '${TEXTO_TIMESTAMP}') AS "finAnterior",
+    to_char(s.inicioPropuesto, '${TEXTO_TIMESTAMP}') AS "inicioPropuesto", to_char(s.finPropuesto, '${TEXTO_TIMESTAMP}') AS "finPropuesto",
+    s.motivo, s.estado, s.respuesta, s.fechaSolicitud AS "fechaSolicitud", s.fechaResolucion AS "fechaResolucion",
+    sp.cancelada AS "sesionCancelada"
+  FROM CC.SolicitudCambioSesion s
+  JOIN CC.SesionPlanificada sp ON sp.id = s.sesionPlanificada
+  JOIN CC.AsignacionVariable av ON av.id = sp.asignacionVariable
+  JOIN CC.VariableCognitiva vc ON vc.id = av.variableCognitiva
+  JOIN CC.Estudiante es ON es.id = s.estudiante
+  JOIN CC.Entrenador e ON e.id = s.entrenador
+`;
+
+/**
+ * Obtiene una sesión planificada con los datos que se necesitan para pedir un cambio de fecha.
+ * @async
+ * @param {string} sesionPlanificadaId - UUID de la sesión planificada.
+ * @returns {Promise<object|undefined>} La sesión (estudianteId, entrenadorId, inicio, fin, duracionMinutos, cancelada,
+ *   iniciada), o undefined si no existe o su entrenamiento está archivado.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerSesionPlanificada = async (sesionPlanificadaId) => {
+  const queryString = `
+    SELECT sp.id, sp.estudiante AS "estudianteId", sp.entrenador AS "entrenadorId",
+      to_char(sp.inicio, '${TEXTO_TIMESTAMP}') AS inicio, to_char(sp.fin, '${TEXTO_TIMESTAMP}') AS fin,
+      (EXTRACT(EPOCH FROM sp.fin - sp.inicio) / 60)::int AS "duracionMinutos",
+      sp.cancelada, sp.inicio <= LOCALTIMESTAMP AS iniciada
+    FROM CC.SesionPlanificada sp
+    JOIN CC.AsignacionVariable av ON av.id = sp.asignacionVariable
+    JOIN CC.EntrenamientoCognitivo ec ON ec.id = av.entrenamientoCognitivo
+    WHERE sp.id = $1 AND ec.fechaArchivado IS NULL;
+  `;
+
+  try {
+    const { rows } = await pool.query(queryString, [sesionPlanificadaId]);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_SOLICITUD_CAMBIO] Error al obtener la sesión planificada ${sesionPlanificadaId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Crea una solicitud de cambio de fecha pendiente.
+ * @async
+ * @param {object} datos - Datos de la solicitud.
+ * @param {object} datos.sesion - La sesión planificada (de `obtenerSesionPlanificada`).
+ * @param {string} datos.inicioPropuesto - Inicio propuesto (YYYY-MM-DDTHH:MM:SS).
+ * @param {string} datos.finPropuesto - Fin propuesto (YYYY-MM-DDTHH:MM:SS).
+ * @param {string|null} datos.motivo - Motivo del cambio.
+ * @returns {Promise<object>} La solicitud creada.
+ * @throws {Error} Con código 23505 si la sesión ya tiene una solicitud pendiente.
+ */
+export const crear = async ({ sesion, inicioPropuesto, finPropuesto, motivo }) => {
+  const queryString = `
+    INSERT INTO CC.SolicitudCambioSesion
+      (sesionPlanificada, estudiante, entrenador, inicioAnterior, finAnterior, inicioPropuesto, finPropuesto, motivo)
+    VALUES ($1, $2, $3, $4::timestamp, $5::timestamp, $6::timestamp, $7::timestamp, $8)
+    RETURNING id;
+  `;
+  const queryParams = [sesion.id, sesion.estudianteId, sesion.entrenadorId, sesion.inicio, sesion.fin, inicioPropuesto, finPropuesto, motivo];
+
+  try {
+    const { rows } = await pool.query(queryString, queryParams);
+    logger.info(`[MODELO_SOLICITUD_CAMBIO] Solicitud ${rows[0].id} creada para la sesión planificada ${sesion.id}.`);
+    return obtenerPorId(rows[0].id);
+  } catch (error) {
+    logger.error(`[MODELO_SOLICITUD_CAMBIO] Error al crear la solicitud de la sesión planificada ${sesion.id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene una solicitud de cambio de fecha.
+ * @async
+ * @param {string} solicitudId - UUID de la solicitud.
+ * @returns {Promise<object|undefined>} La solicitud, con `sesionCancelada`, o undefined si no existe.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerPorId = async (solicitudId) => {
+  try {
+    const { rows } = await pool.query(`${SELECCION_SOLICITUD} WHERE s.id = $1;`, [solicitudId]);
+    return rows[0];
+  } catch (error) {
+    logger.error(`[MODELO_SOLICITUD_CAMBIO] Error al obtener la solicitud ${solicitudId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Lista solicitudes de cambio de fecha, de la más reciente a la más antigua.
+ * @async
+ * @param {object} [filtros={}] - Filtros de la consulta.
+ * @param {string} [filtros.estudianteId] - Solo las de este estudiante.
+ * @param {string} [filtros.entrenadorId] - Solo las de sesiones de este entrenador.
+ * @param {string} [filtros.estado] - Solo las que están en este estado.
+ * @returns {Promise<Array<object>>} Las solicitudes.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const listar = async ({ estudianteId, entrenadorId, estado } = {}) => {
+  const queryString = `
+    ${SELECCION_SOLICITUD}
+    WHERE ($1::uuid IS NULL OR s.estudiante = $1)
+      AND ($2::uuid IS NULL OR s.entrenador = $2)
+      AND ($3::varchar IS NULL OR s.estado = $3)
+    ORDER BY s.fechaSolicitud DESC
+    LIMIT 500;
+  `;
+
+  try {
+    const { rows } = await pool.query(queryString, [estudianteId ?? null, entrenadorId ?? null, estado ?? null]);
+    return rows;
+  } catch (error) {
+    logger.error('[MODELO_SOLICITUD_CAMBIO] Error al listar las solicitudes de cambio de sesión:', error);
+    throw error;
+  }
+};
+
+/**
+ * Resuelve una solicitud pendiente. Si se aprueba, mueve la sesión planificada al horario propuesto en la misma sentencia.
+ * @async
+ * @param {string} solicitudId - UUID de la solicitud.
+ * @param {object} resolucion - La resolución.
+ * @param {string} resolucion.estado - 'aprobada' o 'rechazada'.
+ * @param {string|null} resolucion.respuesta - Respuesta para el estudiante.
+ * @param {{id: string, role: string}} resolucion.usuario - Quién la resuelve.
+ * @returns {Promise<object|undefined>} La solicitud resuelta, o undefined si ya no estaba pendiente.
+ * @throws {Error} Si ocurre un error durante la actualización.
+ */
+export const resolver = async (solicitudId, { estado, respuesta, usuario }) => {
+  const queryString = `
+    WITH s AS (
+      UPDATE CC.SolicitudCambioSesion
+      SET estado = $2, respuesta = $3, resueltaPor = $4, rolResueltaPor = $5, fechaResolucion = CURRENT_TIMESTAMP
+      WHERE id = $1 AND estado = 'pendiente'
+      RETURNING id, sesionPlanificada, estado, inicioPropuesto, finPropuesto
+    ), movida AS (
+      UPDATE CC.SesionPlanificada sp
+      SET inicio = s.inicioPropuesto, fin = s.finPropuesto
+      FROM s
+      WHERE sp.id = s.sesionPlanificada AND s.estado = 'aprobada'
+      RETURNING sp.id
+    )
+    SELECT s.id, (SELECT count(*) FROM movida)::int AS movidas FROM s;
+  `;
+
+  try {
+    const { rows } = await pool.query(queryString, [solicitudId, estado, respuesta, usuario.id, usuario.role]);
+    if (rows.length === 0) {
+      return undefined;
+    }
+    logger.info(`[MODELO_SOLICITUD_CAMBIO] Solicitud ${solicitudId} ${estado}; sesiones movidas: ${rows[0].movidas}.`);
+    return obtenerPorId(solicitudId);
+  } catch (error) {
+    logger.error(`[MODELO_SOLICITUD_CAMBIO] Error al resolver la solicitud ${solicitudId}:`, error);
+    throw error;
+  }
+};
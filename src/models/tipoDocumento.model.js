@@ -24,15 +24,14 @@ import logger from '../config/logger.js';
  */
 
 /**
- * Obtiene todos los tipos de documento de la base de datos.
- * Ordena por nombre del tipo de documento.
+ * Obtiene los tipos de documento activos de la base de datos, en el orden configurado en el catálogo.
  * @async
  * @returns {Promise<Array<object>>} Un array de objetos, donde cada objeto representa un tipo de documento
  * (con id, sigla, nombre). Devuelve un array vacío si no hay tipos de documento.
  * @throws {Error} Si ocurre un error durante la consulta a la base de datos.
  */
 export const obtenerTodos = async () => {
-  const queryString = 'SELECT id, sigla, nombre FROM CC.ListarTiposDocumentoUV;';
+  const queryString = 'SELECT v.id, v.sigla, v.nombre FROM CC.ListarTiposDocumentoUV v JOIN CC.TipoDocumento t ON t.id = v.id WHERE t.activo ORDER BY t.orden, v.nombre;';
 
   logger.debug('[MODELO_TIPO_DOCUMENTO] Ejecutando obtenerTodos con query: %s', queryString);
   try {
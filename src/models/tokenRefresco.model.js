@@ -0,0 +1,158 @@
+import pool from '../config/db.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Funciones de acceso a datos para los tokens de refresco (sesiones de inicio de sesión).
+ */
+
+/**
+ * Inserta un nuevo token de refresco.
+ * @async
+ * @param {object} datos - Datos del token.
+ * @param {string} datos.familia - UUID de la familia (inicio de sesión) a la que pertenece.
+ * @param {string} datos.usuarioId - UUID del usuario.
+ * @param {string} datos.rol - Rol del usuario.
+ * @param {string} datos.hashToken - Hash SHA-256 (hex) del token.
+ * @param {Date} datos.fechaExpiracion - Fecha de expiración.
+ * @param {string} [datos.ip] - IP del cliente.
+ * @param {string} [datos.agenteUsuario] - User-Agent del cliente.
+ * @returns {Promise<{id: string, familia: string}>} El token creado.
+ */
+export const crear = async ({ familia, usuarioId, rol, hashToken, fechaExpiracion, ip, agenteUsuario }) => {
+  const queryString = `
+    INSERT INTO CC.TokenRefresco (id, familia, usuario, rol, hashToken, fechaExpiracion, ip, agenteUsuario)
+    VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7)
+    RETURNING id, familia;
+  `;
+  const values = [familia, usuarioId, rol, hashToken, fechaExpiracion, ip || null, agenteUsuario || null];
+
+  logger.debug('[MODELO_TOKEN] Creando token de refresco para el usuario %s (%s).', usuarioId, rol);
+  try {
+    const { rows } = await pool.query(queryString, values);
+    return rows[0];
+  } catch (error) {
+    logger.error('[MODELO_TOKEN] Error al crear token de refresco:', error);
+    throw error;
+  }
+};
+
+/**
+ * Busca un token de refresco por su hash.
+ * @async
+ * @param {string} hashToken - Hash SHA-256 (hex) del token.
+ * @returns {Promise<object|null>} El token o null si no existe.
+ */
+export const obtenerPorHash = async (hashToken) => {
+  const queryString = `
+    SELECT id, familia, usuario, rol,
+           fechaExpiracion AS "fechaExpiracion",
+           fechaRevocacion AS "fechaRevocacion"
+    FROM CC.TokenRefresco
+    WHERE hashToken = $1;
+  `;
+
+  try {
+    const { rows } = await pool.query(queryString, [hashToken]);
+    return rows[0] || null;
+  } catch (error) {
+    logger.error('[MODELO_TOKEN] Error al consultar token de refresco:', error);
+    throw error;
+  }
+};
+
+/**
+ * Marca un token como rotado (revocado y reemplazado por otro).
+ * Solo afecta al token si seguía vigente, para evitar carreras entre dos refrescos simultáneos.
+ * @async
+ * @param {string} id - UUID del token rotado.
+ * @param {string} reemplazadoPor - UUID del nuevo token.
+ * @returns {Promise<boolean>} `true` si el token se marcó.
+ */
+export const marcarRotado = async (id, reemplazadoPor) => {
+  const queryString = `
+    UPDATE CC.TokenRefresco
+    SET fechaRevocacion = CURRENT_TIMESTAMP, motivoRevocacion = 'rotacion', reemplazadoPor = $2
+    WHERE id = $1 AND fechaRevocacion IS NULL;
+  `;
+
+  try {
+    const { rowCount } = await pool.query(queryString, [id, reemplazadoPor]);
+    return rowCount > 0;
+  } catch (error) {
+    logger.error('[MODELO_TOKEN] Error al rotar token de refresco:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoca todos los tokens vigentes de una familia (un inicio de sesión).
+ * @async
+ * @param {string} familia - UUID de la familia.
+ * @param {string} motivo - Motivo de la revocación.
+ * @returns {Promise<number>} Número de tokens revocados.
+ */
+export const revocarFamilia = async (familia, motivo) => {
+  const queryString = `
+    UPDATE CC.TokenRefresco
+    SET fechaRevocacion = CURRENT_TIMESTAMP, motivoRevocacion = $2
+    WHERE familia = $1 AND fechaRevocacion IS NULL;
+  `;
+
+  try {
+    const { rowCount } = await pool.query(queryString, [familia, motivo]);
+    logger.info(`[MODELO_TOKEN] Se revocaron ${rowCount} tokens de la familia ${familia} (${motivo}).`);
+    return rowCount;
+  } catch (error) {
+    logger.error('[MODELO_TOKEN] Error al revocar familia de tokens:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoca todos los tokens vigentes de un usuario.
+ * @async
+ * @param {string} usuarioId - UUID del usuario.
+ * @param {string} rol - Rol del usuario.
+ * @param {string} motivo - Motivo de la revocación.
+ * @returns {Promise<number>} Número de tokens revocados.
+ */
+export const revocarPorUsuario = async (usuarioId, rol, motivo) => {
+  const queryString = `
+    UPDATE CC.TokenRefresco
+    SET fechaRevocacion = CURRENT_TIMESTAMP, motivoRevocacion = $3
+    WHERE usuario = $1 AND rol = $2 AND fechaRevocacion IS NULL;
+  `;
+
+  try {
+    const { rowCount } = await pool.query(queryString, [usuarioId, rol, motivo]);
+    logger.info(`[MODELO_TOKEN] Se revocaron ${rowCount} tokens del usuario ${usuarioId} (${motivo}).`);
+    return rowCount;
+  } catch (error) {
+    logger.error('[MODELO_TOKEN] Error al revocar tokens del usuario:', error);
+    throw error;
+  }
+};
+
+/**
+ * Indica si una sesión (familia) fue revocada: cerrada con logout, por reutilización de un token, por desactivación
+ * del usuario, etc. La rotación no revoca la sesión, porque el token rotado siempre tiene un reemplazo.
+ * @async
+ * @param {string} familia - UUID de la familia.
+ * @returns {Promise<boolean>} `true` si algún token de la familia se revocó por un motivo distinto de la rotación.
+ */
+export const sesionRevocada = async (familia) => {
+  const queryString = `
+    SELECT EXISTS (
+      SELECT 1 FROM CC.TokenRefresco
+      WHERE familia = $1 AND fechaRevocacion IS NOT NULL AND motivoRevocacion <> 'rotacion'
+    ) AS revocada;
+  `;
+
+  try {
+    const { rows } = await pool.query(queryString, [familia]);
+    return rows[0].revocada;
+  } catch (error) {
+    logger.error('[MODELO_TOKEN] Error al consultar la revocación de la sesión:', error);
+    throw error;
+  }
+};
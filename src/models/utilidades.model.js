@@ -103,13 +103,13 @@ export const obtenerIdGeneroPorNombre = async (nombreGenero) => {
  */
 
 /**
- * Obtiene todos los géneros disponibles desde la vista CC.vistageneros.
+ * Obtiene los géneros activos desde la vista CC.vistageneros, en el orden configurado en el catálogo.
  * @async
  * @returns {Promise<GeneroVista[]>} Un array de objetos GeneroVista.
  * @throws {Error} Si ocurre un error durante la consulta.
  */
 export const obtenerTodosLosGeneros = async () => {
-  const queryString = 'SELECT * FROM CC.VistaGenerosUV;'; 
+  const queryString = 'SELECT v.* FROM CC.VistaGenerosUV v JOIN CC.Genero g ON g.nombre = v.nombre WHERE g.activo ORDER BY g.orden;'; 
   logger.debug('[MODELO_UTILIDADES] Consultando todos los géneros desde CC.vistageneros');
   try {
     const { rows } = await pool.query(queryString);
@@ -131,13 +131,13 @@ export const obtenerTodosLosGeneros = async () => {
  */
 
 /**
- * Obtiene todos los tipos de documento disponibles desde la vista CC.obtenertiposdocumentos.
+ * Obtiene los tipos de documento activos desde la vista CC.obtenertiposdocumentos, en el orden configurado en el catálogo.
  * @async
  * @returns {Promise<TipoDocumentoVista[]>} Un array de objetos TipoDocumentoVista.
  * @throws {Error} Si ocurre un error durante la consulta.
  */
 export const obtenerTodosLosTiposDocumento = async () => {
-  const queryString = 'SELECT * FROM CC.VistaSiglasTipoDocumentoUV;'; 
+  const queryString = 'SELECT v.* FROM CC.VistaSiglasTipoDocumentoUV v JOIN CC.TipoDocumento t ON t.sigla = v.sigla WHERE t.activo ORDER BY t.orden;'; 
   logger.debug('[MODELO_UTILIDADES] Consultando todos los tipos de documento desde CC.obtenertiposdocumentos');
   try {
     const { rows } = await pool.query(queryString);
@@ -158,13 +158,13 @@ export const obtenerTodosLosTiposDocumento = async () => {
  */
 
 /**
- * Obtiene todos los programas disponibles desde la vista CC.VistaNombresProgramaUV.
+ * Obtiene los programas activos desde la vista CC.VistaNombresProgramaUV, en el orden configurado en el catálogo.
  * @async
  * @returns {Promise<ProgramaVista[]>} Un array de objetos ProgramaVista.
  * @throws {Error} Si ocurre un error durante la consulta.
  */
 export const obtenerTodosLosProgramas = async () => {
-  const queryString = 'SELECT * FROM CC.VistaNombresProgramaUV;';
+  const queryString = 'SELECT v.* FROM CC.VistaNombresProgramaUV v JOIN CC.Programa p ON p.nombre = v.nombre WHERE p.activo ORDER BY p.orden;';
   logger.debug('[MODELO_UTILIDADES] Consultando todos los programas desde CC.VistaNombresProgramaUV');
   try {
     const { rows } = await pool.query(queryString);
@@ -184,13 +184,13 @@ export const obtenerTodosLosProgramas = async () => {
  */
 
 /**
- * Obtiene todos los tipos de variables cognitivas disponibles desde la vista CC.ObtenerEntrenamientoCognitivosUV.
+ * Obtiene los tipos de variables cognitivas activas desde la vista CC.ObtenerEntrenamientoCognitivosUV, en el orden configurado en el catálogo.
  * @async
  * @returns {Promise<TipoVariableCognitivaVista[]>} Un array de objetos TipoVariableCognitivaVista.
  * @throws {Error} Si ocurre un error durante la consulta.
  */
 export const obtenerTiposVariablesCognitivasDB = async () => {
-  const queryString = 'SELECT * FROM CC.ObtenerEntrenamientoCognitivosUV;';
+  const queryString = 'SELECT v.* FROM CC.ObtenerEntrenamientoCognitivosUV v JOIN CC.VariableCognitiva vc ON vc.id = v.id_variable_cognitiva WHERE vc.activa ORDER BY vc.orden;';
   logger.debug('[MODELO_UTILIDADES] Consultando todos los tipos de variables cognitivas desde CC.ObtenerEntrenamientoCognitivosUV');
   try {
     const { rows } = await pool.query(queryString);
@@ -2,15 +2,62 @@ import { Router } from "express";
 import { param } from "express-validator";
 import { listarTodosLosEntrenadores, registrarEntrenador, actualizarInformacionEntrenador, desactivarEntrenador } from "../controllers/entrenador.controller.js";
 import { verificarToken } from "../middlewares/verificarToken.middleware.js";
-import { isAdmin } from "../middlewares/verificarRoles.middleware.js";
-import { validacionesRegistroEntrenador, validacionesCompletasActualizarEntrenador, validacionesDesactivarEntrenador} from "../validators/admin.validators.js";
+import { requierePermiso } from "../middlewares/verificarPermisos.middleware.js";
+import { requiereAlcance } from "../middlewares/verificarAlcance.middleware.js";
+import { auditar } from "../middlewares/auditoria.middleware.js";
+import { idempotente } from "../middlewares/idempotencia.middleware.js";
+import { estadoEntrenador, estadoCatalogo, ordenCatalogo, estadoPeriodo } from "../services/auditoria.service.js";
+import { PERMISOS } from "../utils/permisos.utils.js";
+import { validacionesRegistroEntrenador, validacionesCompletasActualizarEntrenador, validacionesDesactivarEntrenador, validacionesRegistroCoordinador, validacionesConsultaAuditoria, validacionNombreFacultad, validacionesAnonimizarEstudiante } from "../validators/admin.validators.js";
+import { validacionesListado } from "../validators/listado.validators.js";
+import { validacionFormatoReporte } from "../validators/informe.validators.js";
+import { registrarCoordinador, listarCoordinadores } from "../controllers/coordinador.controller.js";
+import { consultarAuditoria } from "../controllers/auditoria.controller.js";
 import { manejarResultadosValidacion } from "../middlewares/validation.middleware.js";
 import { obtenerListaEntrenamientosAdmin, obtenerDetalleInformeAdmin } from "../controllers/informe.controller.js";
 import { validarParametroUUID } from "../utils/validaciones.utils.js";
+import { restablecerContrasena } from "../controllers/auth.controller.js";
+import { obtenerTablero, obtenerTasas, obtenerMejoraPorVariable, obtenerSerieMensual } from "../controllers/analitica.controller.js";
+import { validacionesAnalitica } from "../validators/analitica.validators.js";
+import { validacionesRestablecerContrasena } from "../validators/auth.validators.js";
+import { validacionesPurga } from "../validators/archivado.validators.js";
+import { purgarArchivados } from "../controllers/archivado.controller.js";
+import { exportarDatosPersonales, anonimizarEstudiante } from "../controllers/datosPersonales.controller.js";
+import { validacionesCatalogo, validacionesCrearValorCatalogo, validacionesActualizarValorCatalogo, validacionesEliminarValorCatalogo, validacionesReordenarCatalogo } from "../validators/catalogo.validators.js";
+import { listarCatalogo, crearValor, actualizarValor, reordenarCatalogo, eliminarValor } from "../controllers/catalogo.controller.js";
+import { validacionesCrearPeriodo, validacionesActualizarPeriodo, validacionesCodigoPeriodo, validacionesCerrarPeriodo } from "../validators/periodo.validators.js";
+import { listarPeriodos, crearPeriodo, actualizarPeriodo, eliminarPeriodo, cerrarPeriodo } from "../controllers/periodo.controller.js";
 
 // Enrutador de Express
 const router = Router();
 
+// Auditoría de las operaciones sobre un entrenador existente, con su estado antes y después.
+const auditarEntrenador = (accion) => auditar({
+  accion,
+  entidad: 'entrenador',
+  entidadId: (req) => req.params.entrenadorID,
+  antes: (req) => estadoEntrenador(req.params.entrenadorID),
+  despues: (req) => estadoEntrenador(req.params.entrenadorID),
+});
+
+// Auditoría de las operaciones sobre un valor de un catálogo; el ID registrado es "catalogo:id".
+const auditarValorCatalogo = (accion, despues) => auditar({
+  accion,
+  entidad: 'catalogo',
+  entidadId: (req) => `${req.params.catalogo}:${req.params.id}`,
+  antes: (req) => estadoCatalogo(req.params.catalogo, req.params.id),
+  despues,
+});
+
+// Auditoría de las operaciones sobre un periodo académico existente; el ID registrado es su código.
+const auditarPeriodo = (accion, despues = (req) => estadoPeriodo(req.params.codigo)) => auditar({
+  accion,
+  entidad: 'periodo',
+  entidadId: (req) => req.params.codigo,
+  antes: (req) => estadoPeriodo(req.params.codigo),
+  despues,
+});
+
 /**
  * @swagger
  * tags:
@@ -22,10 +69,13 @@ const router = Router();
  * @swagger
  * /api/admin/entrenadores:
  *   post:
+ *     x-permiso: entrenador:crear
  *     summary: Registra un nuevo entrenador en el sistema.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -90,16 +140,34 @@ const router = Router();
  *       500:
  *         $ref: '#/components/schemas/Error'
  */
-router.post("/entrenadores", verificarToken, isAdmin, validacionesRegistroEntrenador, manejarResultadosValidacion, registrarEntrenador);
+router.post("/entrenadores", verificarToken, requierePermiso(PERMISOS.ENTRENADOR_CREAR), validacionesRegistroEntrenador, manejarResultadosValidacion, idempotente, auditar({ accion: 'entrenador.registrar', entidad: 'entrenador', entidadId: (req, respuesta) => respuesta?.entrenadorId }), registrarEntrenador);
 
 /**
  * @swagger
  * /api/admin/entrenadores:
  *   get:
+ *     x-permiso: entrenador:leer
  *     summary: Obtiene la lista de todos los entrenadores.
+ *     description: "Listado paginado. Orden (`sort`): apellidos, nombres, fechaInicio, fechaFin, estado (por defecto apellidos,nombres). Filtros: nombreFacultad, facultad, estado (del contrato), fechaDesde, fechaHasta (inicio del contrato) y periodo (con algún entrenamiento asignado en ese periodo)."
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListadoPage'
+ *       - $ref: '#/components/parameters/ListadoPageSize'
+ *       - $ref: '#/components/parameters/ListadoCursor'
+ *       - $ref: '#/components/parameters/ListadoSort'
+ *       - in: query
+ *         name: nombreFacultad
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Nombre de una facultad asignada al entrenador.
+ *       - $ref: '#/components/parameters/FiltroFacultad'
+ *       - $ref: '#/components/parameters/FiltroEstado'
+ *       - $ref: '#/components/parameters/FiltroFechaDesde'
+ *       - $ref: '#/components/parameters/FiltroFechaHasta'
+ *       - $ref: '#/components/parameters/FiltroPeriodo'
  *     responses:
  *       200:
  *         description: Lista de entrenadores obtenida exitosamente.
@@ -113,8 +181,23 @@ router.post("/entrenadores", verificarToken, isAdmin, validacionesRegistroEntren
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Entrenadores obtenidos exitosamente."
- *                 data:
+ *                   example: "Lista de entrenadores obtenida exitosamente."
+ *                 total:
+ *                   type: integer
+ *                   example: 57
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 pageSize:
+ *                   type: integer
+ *                   example: 20
+ *                 next:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor de la siguiente página, o null si es la última.
+ *                 filtrosAplicados:
+ *                   type: object
+ *                 entrenadores:
  *                   type: array
  *                   items:
  *                     type: object
@@ -153,12 +236,13 @@ router.post("/entrenadores", verificarToken, isAdmin, validacionesRegistroEntren
  *       500:
  *         $ref: '#/components/schemas/Error'
  */
-router.get("/entrenadores", verificarToken, isAdmin, listarTodosLosEntrenadores);
+router.get("/entrenadores", verificarToken, requierePermiso(PERMISOS.ENTRENADOR_LEER), validacionesListado, validacionNombreFacultad, manejarResultadosValidacion, listarTodosLosEntrenadores);
 
 /**
  * @swagger
  * /api/admin/entrenadores/{entrenadorID}:
  *   put:
+ *     x-permiso: entrenador:actualizar
  *     summary: Actualiza la información de un entrenador existente.
  *     tags: [Admin]
  *     security:
@@ -222,12 +306,13 @@ router.get("/entrenadores", verificarToken, isAdmin, listarTodosLosEntrenadores)
  *       500:
  *         $ref: '#/components/schemas/Error'
  */
-router.put('/entrenadores/:entrenadorID', verificarToken, isAdmin, validacionesCompletasActualizarEntrenador, manejarResultadosValidacion, actualizarInformacionEntrenador);
+router.put('/entrenadores/:entrenadorID', verificarToken, requierePermiso(PERMISOS.ENTRENADOR_ACTUALIZAR), validacionesCompletasActualizarEntrenador, manejarResultadosValidacion, auditarEntrenador('entrenador.modificar'), actualizarInformacionEntrenador);
 
 /**
  * @swagger
  * /api/admin/entrenadores/{entrenadorID}/desactivar:
  *   put:
+ *     x-permiso: entrenador:desactivar
  *     summary: Desactiva un entrenador existente.
  *     tags: [Admin]
  *     security:
@@ -277,21 +362,180 @@ router.put('/entrenadores/:entrenadorID', verificarToken, isAdmin, validacionesC
  *       500:
  *         $ref: '#/components/schemas/Error'
  */
-router.put('/entrenadores/:entrenadorID/desactivar', verificarToken, isAdmin, validacionesDesactivarEntrenador, manejarResultadosValidacion, desactivarEntrenador);
+router.put('/entrenadores/:entrenadorID/desactivar', verificarToken, requierePermiso(PERMISOS.ENTRENADOR_DESACTIVAR), validacionesDesactivarEntrenador, manejarResultadosValidacion, auditarEntrenador('entrenador.desactivar'), desactivarEntrenador);
+
+/**
+ * @swagger
+ * /api/admin/credenciales/{rol}/{usuarioId}/restablecer:
+ *   post:
+ *     x-permiso: credencial:restablecer
+ *     summary: Genera una contraseña temporal para un administrador, entrenador, coordinador o estudiante.
+ *     description: La contraseña temporal se muestra una única vez. El usuario deberá cambiarla en su próximo inicio de sesión.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: rol
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [admin, entrenador, coordinador, estudiante]
+ *       - in: path
+ *         name: usuarioId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       201:
+ *         description: Contraseña temporal generada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     usuarioId: { type: 'string', format: 'uuid' }
+ *                     rol: { type: 'string' }
+ *                     contrasenaTemporal: { type: 'string', example: 'x7KpQm2RtZ9a' }
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: El usuario indicado no existe.
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.post('/credenciales/:rol/:usuarioId/restablecer', verificarToken, requierePermiso(PERMISOS.CREDENCIAL_RESTABLECER), validacionesRestablecerContrasena, manejarResultadosValidacion, auditar({ accion: 'credencial.restablecer', entidad: 'credencial', entidadId: (req) => `${req.params.rol}:${req.params.usuarioId}`, despues: (req) => ({ rol: req.params.rol, usuarioId: req.params.usuarioId }) }), restablecerContrasena);
+
+/**
+ * @swagger
+ * /api/admin/coordinadores:
+ *   post:
+ *     x-permiso: coordinador:crear
+ *     summary: Registra un coordinador (jefe de facultad con acceso de solo lectura).
+ *     description: Después de registrarlo, genere su contraseña temporal con /api/admin/credenciales/coordinador/{usuarioId}/restablecer.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [nombres, apellidos, numeroDocumento, correo, facultadId]
+ *             properties:
+ *               nombres: { type: 'string', example: 'Carolina' }
+ *               apellidos: { type: 'string', example: 'Pérez Ríos' }
+ *               numeroDocumento: { type: 'string', example: '43123456' }
+ *               correo: { type: 'string', format: 'email' }
+ *               facultadId: { type: 'string', format: 'uuid' }
+ *               fechaFin: { type: 'string', format: 'date', description: 'Opcional. Sin fecha el cargo no vence.' }
+ *     responses:
+ *       201:
+ *         description: Coordinador registrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean' }
+ *                 message: { type: 'string' }
+ *                 data:
+ *                   $ref: '#/components/schemas/Coordinador'
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Ya existe un coordinador con ese correo o número de documento.
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ *   get:
+ *     x-permiso: coordinador:leer
+ *     summary: Lista los coordinadores.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: facultadId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filtra por facultad.
+ *     responses:
+ *       200:
+ *         description: Lista de coordinadores.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean' }
+ *                 total: { type: 'integer' }
+ *                 coordinadores:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Coordinador'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.post('/coordinadores', verificarToken, requierePermiso(PERMISOS.COORDINADOR_CREAR), validacionesRegistroCoordinador, manejarResultadosValidacion, idempotente, auditar({ accion: 'coordinador.registrar', entidad: 'coordinador', entidadId: (req, respuesta) => respuesta?.data?.id }), registrarCoordinador);
+router.get('/coordinadores', verificarToken, requierePermiso(PERMISOS.COORDINADOR_LEER), listarCoordinadores);
 
 
 /**
  * @swagger
  * /api/admin/informes/entrenamientos:
  *   get:
+ *     x-permiso: informe:leer
  *     summary: Obtiene la lista de todos los entrenamientos para la vista de informes del administrador.
+ *     description: "Listado paginado. Orden (`sort`): fechaInicio, apellidos, nombres, estado (por defecto -fechaInicio,apellidos,nombres). Filtros: estado, fechaDesde, fechaHasta, programa, facultad, entrenador, periodo y alerta. Cada fila trae en `alertas` las reglas con alertas de riesgo activas y en `periodo` su periodo académico actual. Con `formato` (pdf, csv o xlsx) devuelve la lista completa con los mismos filtros y orden, sin paginar (máximo 5000 filas), como archivo descargable."
  *     tags: [InformesAdmin]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListadoPage'
+ *       - $ref: '#/components/parameters/ListadoPageSize'
+ *       - $ref: '#/components/parameters/ListadoCursor'
+ *       - $ref: '#/components/parameters/ListadoSort'
+ *       - $ref: '#/components/parameters/IncluirArchivados'
+ *       - $ref: '#/components/parameters/FiltroEstado'
+ *       - $ref: '#/components/parameters/FiltroFechaDesde'
+ *       - $ref: '#/components/parameters/FiltroFechaHasta'
+ *       - $ref: '#/components/parameters/FiltroPrograma'
+ *       - $ref: '#/components/parameters/FiltroFacultad'
+ *       - $ref: '#/components/parameters/FiltroEntrenador'
+ *       - $ref: '#/components/parameters/FiltroPeriodo'
+ *       - $ref: '#/components/parameters/FiltroAlerta'
+ *       - $ref: '#/components/parameters/FormatoReporte'
  *     responses:
  *       200:
  *         description: Lista de entrenamientos obtenida exitosamente.
  *         content:
+ *           application/pdf:
+ *             schema: { type: string, format: binary }
+ *           text/csv:
+ *             schema: { type: string, format: binary }
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema: { type: string, format: binary }
  *           application/json:
  *             schema:
  *               type: object
@@ -302,7 +546,20 @@ router.put('/entrenadores/:entrenadorID/desactivar', verificarToken, isAdmin, va
  *                 message:
  *                   type: string
  *                   example: "Lista de entrenamientos obtenida exitosamente."
- *                 data:
+ *                 total:
+ *                   type: integer
+ *                   example: 57
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 pageSize:
+ *                   type: integer
+ *                   example: 20
+ *                 next:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor de la siguiente página, o null si es la última.
+ *                 entrenamientos:
  *                   type: array
  *                   items:
  *                     type: object
@@ -326,13 +583,15 @@ router.put('/entrenadores/:entrenadorID/desactivar', verificarToken, isAdmin, va
  *       500:
  *         $ref: '#/components/schemas/Error'
  */
-router.get('/informes/entrenamientos', verificarToken, isAdmin, obtenerListaEntrenamientosAdmin);
+router.get('/informes/entrenamientos', verificarToken, requierePermiso(PERMISOS.INFORME_LEER), validacionesListado, validacionFormatoReporte, manejarResultadosValidacion, obtenerListaEntrenamientosAdmin);
 
 /**
  * @swagger
  * /api/admin/informes/entrenamientos/{entrenamientoId}:
  *   get:
+ *     x-permiso: informe:leer
  *     summary: Obtiene el detalle de un informe de entrenamiento específico (variables finalizadas).
+ *     description: "Con `formato` (pdf, csv o xlsx) devuelve el informe imprimible por estudiante como archivo descargable: datos del estudiante, variables asignadas, fechas de inicio y fin, conteo de sesiones, nivel inicial frente a métricas finales y observaciones del entrenador."
  *     tags: [InformesAdmin]
  *     security:
  *       - bearerAuth: []
@@ -345,10 +604,17 @@ router.get('/informes/entrenamientos', verificarToken, isAdmin, obtenerListaEntr
  *           type: string
  *           format: uuid
  *           example: a1b2c3d4-e5f6-7890-1234-567890abcdef
+ *       - $ref: '#/components/parameters/FormatoReporte'
  *     responses:
  *       200:
  *         description: Detalle del informe de entrenamiento obtenido exitosamente.
  *         content:
+ *           application/pdf:
+ *             schema: { type: string, format: binary }
+ *           text/csv:
+ *             schema: { type: string, format: binary }
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema: { type: string, format: binary }
  *           application/json:
  *             schema:
  *               type: object
@@ -412,7 +678,826 @@ router.get('/informes/entrenamientos', verificarToken, isAdmin, obtenerListaEntr
  *       500:
  *         $ref: '#/components/schemas/Error'
  */
-router.get('/informes/entrenamientos/:entrenamientoId', verificarToken, isAdmin, validarParametroUUID('entrenamientoId'), manejarResultadosValidacion, obtenerDetalleInformeAdmin);
+router.get('/informes/entrenamientos/:entrenamientoId', verificarToken, requierePermiso(PERMISOS.INFORME_LEER), validarParametroUUID('entrenamientoId'), validacionFormatoReporte, manejarResultadosValidacion, requiereAlcance('entrenamiento', (req) => [req.params.entrenamientoId]), obtenerDetalleInformeAdmin);
+
+/**
+ * @swagger
+ * /api/admin/auditoria:
+ *   get:
+ *     x-permiso: auditoria:leer
+ *     summary: Consulta el registro de auditoría de las operaciones de escritura.
+ *     description: Devuelve los registros del más reciente al más antiguo. Cada registro indica quién hizo la operación, sobre qué registro, el estado antes y después y los campos que cambiaron.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actorId
+ *         schema: { type: 'string', format: 'uuid' }
+ *         description: Usuario que realizó las operaciones.
+ *       - in: query
+ *         name: entidad
+ *         schema: { type: 'string', example: 'estudiante' }
+ *         description: Tipo de entidad (estudiante, entrenador, coordinador, credencial, entrenamiento, asignacion, sesion).
+ *       - in: query
+ *         name: entidadId
+ *         schema: { type: 'string' }
+ *         description: ID del registro afectado.
+ *       - in: query
+ *         name: accion
+ *         schema: { type: 'string', example: 'sesion.finalizar' }
+ *       - in: query
+ *         name: desde
+ *         schema: { type: 'string', format: 'date-time' }
+ *         description: Fecha mínima (inclusive).
+ *       - in: query
+ *         name: hasta
+ *         schema: { type: 'string', format: 'date-time' }
+ *         description: Fecha máxima (inclusive). Una fecha sin hora incluye todo ese día.
+ *       - in: query
+ *         name: limite
+ *         schema: { type: 'integer', minimum: 1, maximum: 500, default: 100 }
+ *     responses:
+ *       200:
+ *         description: Registros de auditoría.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean' }
+ *                 message: { type: 'string' }
+ *                 total: { type: 'integer' }
+ *                 registros:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RegistroAuditoria'
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.get('/auditoria', verificarToken, requierePermiso(PERMISOS.AUDITORIA_LEER), validacionesConsultaAuditoria, manejarResultadosValidacion, consultarAuditoria);
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Analitica
+ *   description: Indicadores de resultados del entrenamiento cognitivo (finalización, abandono, mejora y evolución mensual).
+ */
+
+/**
+ * @swagger
+ * /api/admin/analitica:
+ *   get:
+ *     x-permiso: analitica:leer
+ *     summary: Obtiene el tablero completo de analítica.
+ *     description: "Reúne las tasas por facultad, programa, variable y entrenador, la mejora por variable y la serie mensual. `fechaDesde` y `fechaHasta` filtran por fecha de inicio del entrenamiento (en la serie, por fecha de cada evento). Un coordinador solo ve los entrenamientos de su facultad; si indica `facultad`, debe ser la suya."
+ *     tags: [Analitica]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/FiltroFechaDesde'
+ *       - $ref: '#/components/parameters/FiltroFechaHasta'
+ *       - $ref: '#/components/parameters/FiltroFacultad'
+ *       - $ref: '#/components/parameters/FiltroPeriodo'
+ *     responses:
+ *       200:
+ *         description: Analítica obtenida exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean' }
+ *                 message: { type: 'string' }
+ *                 filtros:
+ *                   type: object
+ *                   description: Filtros aplicados.
+ *                 tasas:
+ *                   type: object
+ *                   description: Igual que la respuesta de /api/admin/analitica/tasas.
+ *                 mejoraPorVariable:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/MejoraVariable' }
+ *                 serieMensual:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/PuntoSerieMensual' }
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.get('/analitica', verificarToken, requierePermiso(PERMISOS.ANALITICA_LEER), validacionesAnalitica, manejarResultadosValidacion, requiereAlcance('facultad', (req) => [req.query.facultad]), obtenerTablero);
+
+/**
+ * @swagger
+ * /api/admin/analitica/tasas:
+ *   get:
+ *     x-permiso: analitica:leer
+ *     summary: Obtiene las tasas de finalización, abandono y en progreso.
+ *     description: "Tasas sobre las asignaciones de variables, en total y por facultad, programa, variable cognitiva y entrenador, con el promedio de sesiones hasta la finalización. `fechaDesde` y `fechaHasta` filtran por fecha de inicio del entrenamiento. Un coordinador solo ve los entrenamientos de su facultad; si indica `facultad`, debe ser la suya."
+ *     tags: [Analitica]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/FiltroFechaDesde'
+ *       - $ref: '#/components/parameters/FiltroFechaHasta'
+ *       - $ref: '#/components/parameters/FiltroFacultad'
+ *       - $ref: '#/components/parameters/FiltroPeriodo'
+ *     responses:
+ *       200:
+ *         description: Analítica obtenida exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean' }
+ *                 message: { type: 'string' }
+ *                 filtros:
+ *                   type: object
+ *                   description: Filtros aplicados.
+ *                 resumen:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/GrupoAnalitica'
+ *                     - type: object
+ *                       properties:
+ *                         entrenamientos: { type: 'integer' }
+ *                         estudiantes: { type: 'integer' }
+ *                 porFacultad:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/GrupoAnalitica' }
+ *                 porPrograma:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/GrupoAnalitica' }
+ *                 porVariable:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/GrupoAnalitica' }
+ *                 porEntrenador:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/GrupoAnalitica' }
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.get('/analitica/tasas', verificarToken, requierePermiso(PERMISOS.ANALITICA_LEER), validacionesAnalitica, manejarResultadosValidacion, requiereAlcance('facultad', (req) => [req.query.facultad]), obtenerTasas);
 
+/**
+ * @swagger
+ * /api/admin/analitica/mejora:
+ *   get:
+ *     x-permiso: analitica:leer
+ *     summary: Obtiene la mejora promedio por variable cognitiva.
+ *     description: "Compara el nivel inicial con las métricas finales de las asignaciones finalizadas, para cada métrica numérica presente en ambos. `mejoraPorcentual` es null si el promedio inicial es 0. Un coordinador solo ve los entrenamientos de su facultad; si indica `facultad`, debe ser la suya."
+ *     tags: [Analitica]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/FiltroFechaDesde'
+ *       - $ref: '#/components/parameters/FiltroFechaHasta'
+ *       - $ref: '#/components/parameters/FiltroFacultad'
+ *       - $ref: '#/components/parameters/FiltroPeriodo'
+ *     responses:
+ *       200:
+ *         description: Analítica obtenida exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean' }
+ *                 message: { type: 'string' }
+ *                 filtros:
+ *                   type: object
+ *                   description: Filtros aplicados.
+ *                 mejoraPorVariable:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/MejoraVariable' }
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.get('/analitica/mejora', verificarToken, requierePermiso(PERMISOS.ANALITICA_LEER), validacionesAnalitica, manejarResultadosValidacion, requiereAlcance('facultad', (req) => [req.query.facultad]), obtenerMejoraPorVariable);
+
+/**
+ * @swagger
+ * /api/admin/analitica/serie-mensual:
+ *   get:
+ *     x-permiso: analitica:leer
+ *     summary: Obtiene la serie mensual de entrenamientos iniciados y finalizados.
+ *     description: "Un entrenamiento se cuenta como finalizado en el mes de su última sesión, cuando todas sus asignaciones están cerradas. `fechaDesde` y `fechaHasta` filtran por la fecha de cada evento; los meses sin eventos aparecen con cero. Un coordinador solo ve los entrenamientos de su facultad; si indica `facultad`, debe ser la suya."
+ *     tags: [Analitica]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/FiltroFechaDesde'
+ *       - $ref: '#/components/parameters/FiltroFechaHasta'
+ *       - $ref: '#/components/parameters/FiltroFacultad'
+ *       - $ref: '#/components/parameters/FiltroPeriodo'
+ *     responses:
+ *       200:
+ *         description: Analítica obtenida exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean' }
+ *                 message: { type: 'string' }
+ *                 filtros:
+ *                   type: object
+ *                   description: Filtros aplicados.
+ *                 serieMensual:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/PuntoSerieMensual' }
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.get('/analitica/serie-mensual', verificarToken, requierePermiso(PERMISOS.ANALITICA_LEER), validacionesAnalitica, manejarResultadosValidacion, requiereAlcance('facultad', (req) => [req.query.facultad]), obtenerSerieMensual);
+
+/**
+ * @swagger
+ * /api/admin/archivados/purgar:
+ *   post:
+ *     x-permiso: archivados:purgar
+ *     summary: Borra definitivamente los estudiantes, entrenamientos y sesiones archivados.
+ *     description: Solo se purgan los registros archivados hace más de `ARCHIVADO_RETENCION_DIAS` días, junto con todo lo que depende de ellos (asignaciones, métricas, planes y alertas). La purga no se puede deshacer; use `simulacion` para ver antes qué se borraría.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               simulacion:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Solo contar lo que se purgaría, sin borrar nada.
+ *     responses:
+ *       200:
+ *         description: Purga (o simulación) completada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResultadoPurga'
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.post('/archivados/purgar', verificarToken, requierePermiso(PERMISOS.ARCHIVADOS_PURGAR), validacionesPurga, manejarResultadosValidacion, auditar({ accion: 'archivados.purgar', entidad: 'archivado', despues: (req, respuesta) => respuesta?.data }), purgarArchivados);
+
+/**
+ * @swagger
+ * /api/admin/estudiantes/{id}/datos-personales:
+ *   get:
+ *     x-permiso: estudiante:datos-personales
+ *     summary: Exporta en JSON todo lo que se guarda sobre un estudiante (Habeas Data).
+ *     description: Incluye los datos personales, los entrenamientos con sus variables, las sesiones con sus observaciones y métricas, las sesiones planificadas y las alertas de riesgo, también los archivados. Cada exportación queda en la auditoría, sin su contenido.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID del estudiante (UUID).
+ *     responses:
+ *       200:
+ *         description: Datos del estudiante, como archivo JSON descargable.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean' }
+ *                 message: { type: 'string' }
+ *                 data:
+ *                   $ref: '#/components/schemas/DatosPersonalesEstudiante'
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Estudiante no encontrado.
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.get('/estudiantes/:id/datos-personales', verificarToken, requierePermiso(PERMISOS.ESTUDIANTE_DATOS_PERSONALES), validarParametroUUID('id'), manejarResultadosValidacion, requiereAlcance('estudiante', (req) => [req.params.id]), auditar({ accion: 'estudiante.exportar-datos-personales', entidad: 'estudiante', entidadId: (req) => req.params.id, despues: () => null }), exportarDatosPersonales);
+
+/**
+ * @swagger
+ * /api/admin/estudiantes/{id}/anonimizar:
+ *   post:
+ *     x-permiso: estudiante:anonimizar
+ *     summary: Anonimiza un estudiante (Habeas Data).
+ *     description: Reemplaza los nombres, el documento, la fecha de nacimiento y el correo por valores de relleno que no se pueden revertir, borra las observaciones de sus sesiones y quita sus datos de la auditoría, las notificaciones y las respuestas idempotentes guardadas. Los entrenamientos, sesiones, métricas, género y programas se conservan para la analítica. No se puede deshacer; exporte antes los datos si el titular los pidió.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID del estudiante (UUID).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [motivo]
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *                 minLength: 5
+ *                 maxLength: 500
+ *                 example: "Solicitud de supresión del titular, radicado 2025-0142."
+ *     responses:
+ *       200:
+ *         description: Estudiante anonimizado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResultadoAnonimizacion'
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Estudiante no encontrado.
+ *       409:
+ *         description: El estudiante ya está anonimizado.
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.post('/estudiantes/:id/anonimizar', verificarToken, requierePermiso(PERMISOS.ESTUDIANTE_ANONIMIZAR), validarParametroUUID('id'), validacionesAnonimizarEstudiante, manejarResultadosValidacion, requiereAlcance('estudiante', (req) => [req.params.id]), auditar({ accion: 'estudiante.anonimizar', entidad: 'estudiante', entidadId: (req) => req.params.id, despues: (req, respuesta) => respuesta?.data }), anonimizarEstudiante);
+
+
+/**
+ * @swagger
+ * /api/admin/catalogos/{catalogo}:
+ *   get:
+ *     x-permiso: catalogo:gestionar
+ *     summary: Lista los valores de un catálogo, activos e inactivos.
+ *     description: Devuelve los valores en el orden en que se presentan en las listas, con cuántos registros usan cada uno. Las listas públicas de catálogos solo muestran los activos.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Catalogo'
+ *     responses:
+ *       200:
+ *         description: Valores del catálogo.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean' }
+ *                 message: { type: 'string' }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ValorCatalogo'
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ *   post:
+ *     x-permiso: catalogo:gestionar
+ *     summary: Crea un valor en un catálogo.
+ *     description: El valor queda activo y al final del orden. Campos requeridos por catálogo - facultades, géneros y variables cognitivas, `nombre`; programas, `nombre` y `facultadId`; tipos de documento, `sigla` y `nombre`. Las variables cognitivas admiten además `descripcion`.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Catalogo'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nombre: { type: 'string', minLength: 2, maxLength: 100, example: 'Ingeniería Biomédica' }
+ *               facultadId: { type: 'string', format: 'uuid' }
+ *               sigla: { type: 'string', maxLength: 5, example: 'PPT' }
+ *               descripcion: { type: 'string', maxLength: 500 }
+ *     responses:
+ *       201:
+ *         description: Valor creado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean' }
+ *                 message: { type: 'string' }
+ *                 data:
+ *                   $ref: '#/components/schemas/ValorCatalogo'
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: La facultad del programa no existe.
+ *       409:
+ *         description: Ya existe un valor con ese nombre (o sigla), o la facultad del programa está inactiva.
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.get('/catalogos/:catalogo', verificarToken, requierePermiso(PERMISOS.CATALOGO_GESTIONAR), validacionesCatalogo, manejarResultadosValidacion, listarCatalogo);
+router.post('/catalogos/:catalogo', verificarToken, requierePermiso(PERMISOS.CATALOGO_GESTIONAR), validacionesCrearValorCatalogo, manejarResultadosValidacion, idempotente, auditar({ accion: 'catalogo.crear', entidad: 'catalogo', entidadId: (req, respuesta) => respuesta?.data?.id && `${req.params.catalogo}:${respuesta.data.id}`, despues: (req, respuesta) => respuesta?.data }), crearValor);
+
+/**
+ * @swagger
+ * /api/admin/catalogos/{catalogo}/orden:
+ *   put:
+ *     x-permiso: catalogo:gestionar
+ *     summary: Reordena los valores de un catálogo.
+ *     description: Recibe los IDs de todos los valores del catálogo (activos e inactivos) en el orden nuevo.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Catalogo'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ids]
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items: { type: 'string', format: 'uuid' }
+ *     responses:
+ *       200:
+ *         description: Catálogo reordenado; devuelve los valores en el orden nuevo.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean' }
+ *                 message: { type: 'string' }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ValorCatalogo'
+ *       400:
+ *         description: La lista no contiene exactamente una vez cada valor del catálogo.
+ *       401:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.put('/catalogos/:catalogo/orden', verificarToken, requierePermiso(PERMISOS.CATALOGO_GESTIONAR), validacionesReordenarCatalogo, manejarResultadosValidacion, auditar({ accion: 'catalogo.reordenar', entidad: 'catalogo', entidadId: (req) => req.params.catalogo, antes: (req) => ordenCatalogo(req.params.catalogo) }), reordenarCatalogo);
+
+/**
+ * @swagger
+ * /api/admin/catalogos/{catalogo}/{id}:
+ *   patch:
+ *     x-permiso: catalogo:gestionar
+ *     summary: Modifica un valor de un catálogo (renombrar, activar o desactivar).
+ *     description: Un valor inactivo deja de ofrecerse en las listas y no se puede usar en registros nuevos; los registros que ya lo usan no cambian. Solo se admiten los campos del catálogo y `activo`.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Catalogo'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID del valor (UUID).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nombre: { type: 'string', minLength: 2, maxLength: 100 }
+ *               facultadId: { type: 'string', format: 'uuid' }
+ *               sigla: { type: 'string', maxLength: 5 }
+ *               descripcion: { type: 'string', maxLength: 500, nullable: true }
+ *               activo: { type: 'boolean', example: false }
+ *     responses:
+ *       200:
+ *         description: Valor modificado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean' }
+ *                 message: { type: 'string' }
+ *                 data:
+ *                   $ref: '#/components/schemas/ValorCatalogo'
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Valor (o facultad nueva del programa) no encontrado.
+ *       409:
+ *         description: Ya existe un valor con ese nombre (o sigla), o la facultad nueva está inactiva.
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ *   delete:
+ *     x-permiso: catalogo:gestionar
+ *     summary: Elimina un valor de un catálogo que no está en uso.
+ *     description: Un valor que usa algún registro (estudiantes, programas, entrenadores, coordinadores, asignaciones o esquemas de métricas) no se elimina; se puede desactivar.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Catalogo'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID del valor (UUID).
+ *     responses:
+ *       200:
+ *         description: Valor eliminado.
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Valor no encontrado.
+ *       409:
+ *         description: El valor está en uso; el mensaje indica cuántos registros lo usan.
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.patch('/catalogos/:catalogo/:id', verificarToken, requierePermiso(PERMISOS.CATALOGO_GESTIONAR), validacionesActualizarValorCatalogo, manejarResultadosValidacion, auditarValorCatalogo('catalogo.modificar', (req, respuesta) => respuesta?.data), actualizarValor);
+router.delete('/catalogos/:catalogo/:id', verificarToken, requierePermiso(PERMISOS.CATALOGO_GESTIONAR), validacionesEliminarValorCatalogo, manejarResultadosValidacion, auditarValorCatalogo('catalogo.eliminar', () => null), eliminarValor);
+
+/**
+ * @swagger
+ * /api/admin/periodos:
+ *   get:
+ *     x-permiso: periodo:leer
+ *     summary: Lista los periodos académicos.
+ *     description: Del más reciente al más antiguo, con la cantidad de entrenamientos abiertos, cerrados y trasladados de cada uno.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Periodos obtenidos exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean' }
+ *                 message: { type: 'string' }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PeriodoAcademico'
+ *       401:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ *   post:
+ *     x-permiso: periodo:gestionar
+ *     summary: Crea un periodo académico.
+ *     description: El periodo se crea abierto. Debe empezar en el año de su código y no superponerse con otro periodo. Los entrenamientos nuevos se asignan al periodo que contiene su fecha de inicio; sin un periodo abierto para esa fecha, no se pueden crear.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [codigo, fechaInicio, fechaFin]
+ *             properties:
+ *               codigo: { type: 'string', pattern: '^\d{4}-[12]$', example: '2026-2' }
+ *               fechaInicio: { type: 'string', format: 'date', example: '2026-07-01' }
+ *               fechaFin: { type: 'string', format: 'date', example: '2026-12-31', description: 'Último día del periodo.' }
+ *     responses:
+ *       201:
+ *         description: Periodo creado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean' }
+ *                 message: { type: 'string' }
+ *                 data:
+ *                   $ref: '#/components/schemas/PeriodoAcademico'
+ *       400:
+ *         description: Datos inválidos, fechas en desorden o un periodo que no empieza en el año de su código.
+ *       401:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Ya existe un periodo con ese código o sus fechas se superponen con otro periodo.
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.get('/periodos', verificarToken, requierePermiso(PERMISOS.PERIODO_LEER), listarPeriodos);
+router.post('/periodos', verificarToken, requierePermiso(PERMISOS.PERIODO_GESTIONAR), validacionesCrearPeriodo, manejarResultadosValidacion, idempotente, auditar({ accion: 'periodo.crear', entidad: 'periodo', entidadId: (req, respuesta) => respuesta?.data?.codigo, despues: (req, respuesta) => respuesta?.data }), crearPeriodo);
+
+/**
+ * @swagger
+ * /api/admin/periodos/{codigo}:
+ *   patch:
+ *     x-permiso: periodo:gestionar
+ *     summary: Cambia las fechas de un periodo abierto.
+ *     description: Los entrenamientos que empezaron en el periodo deben quedar dentro de las fechas nuevas; los que llegaron por traslado no cuentan.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CodigoPeriodo'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fechaInicio: { type: 'string', format: 'date' }
+ *               fechaFin: { type: 'string', format: 'date' }
+ *     responses:
+ *       200:
+ *         description: Periodo modificado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean' }
+ *                 message: { type: 'string' }
+ *                 data:
+ *                   $ref: '#/components/schemas/PeriodoAcademico'
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Periodo no encontrado.
+ *       409:
+ *         description: El periodo está cerrado, algún entrenamiento quedaría fuera de las fechas nuevas o estas se superponen con otro periodo.
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ *   delete:
+ *     x-permiso: periodo:gestionar
+ *     summary: Elimina un periodo académico sin entrenamientos.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CodigoPeriodo'
+ *     responses:
+ *       200:
+ *         description: Periodo eliminado.
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Periodo no encontrado.
+ *       409:
+ *         description: El periodo tiene entrenamientos.
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.patch('/periodos/:codigo', verificarToken, requierePermiso(PERMISOS.PERIODO_GESTIONAR), validacionesActualizarPeriodo, manejarResultadosValidacion, auditarPeriodo('periodo.modificar'), actualizarPeriodo);
+router.delete('/periodos/:codigo', verificarToken, requierePermiso(PERMISOS.PERIODO_GESTIONAR), validacionesCodigoPeriodo, manejarResultadosValidacion, auditarPeriodo('periodo.eliminar', () => null), eliminarPeriodo);
+
+/**
+ * @swagger
+ * /api/admin/periodos/{codigo}/cerrar:
+ *   post:
+ *     x-permiso: periodo:gestionar
+ *     summary: Cierra un periodo académico y sus entrenamientos abiertos.
+ *     description: "Se puede cerrar desde el último día del periodo. La política decide qué pasa con los entrenamientos abiertos del periodo: `cerrar` los cierra todos; `trasladar` los pasa todos al periodo de destino; `trasladarEnProgreso` pasa solo los que tienen alguna variable en progreso y cierra el resto. Los entrenamientos archivados siempre se cierran. El destino es `periodoDestino` o, si se omite, el periodo siguiente, que debe existir y estar abierto. Un entrenamiento trasladado sigue apareciendo en los informes del periodo de origen; los cerrados dejan de generar alertas de riesgo."
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CodigoPeriodo'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [politica]
+ *             properties:
+ *               politica: { type: 'string', enum: [cerrar, trasladar, trasladarEnProgreso] }
+ *               periodoDestino: { type: 'string', pattern: '^\d{4}-[12]$', example: '2026-2', description: 'Solo con las políticas que trasladan.' }
+ *               motivo: { type: 'string', maxLength: 500, nullable: true }
+ *     responses:
+ *       200:
+ *         description: Periodo cerrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean' }
+ *                 message: { type: 'string' }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     periodo:
+ *                       $ref: '#/components/schemas/PeriodoAcademico'
+ *                     destino: { type: 'string', nullable: true, example: '2026-2' }
+ *                     cerrados: { type: 'integer' }
+ *                     trasladados: { type: 'integer' }
+ *       400:
+ *         description: Datos inválidos o un periodo de destino que no empieza después del periodo.
+ *       401:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Periodo o periodo de destino no encontrado.
+ *       409:
+ *         description: El periodo ya está cerrado o no ha terminado, o no hay un periodo de destino abierto.
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.post('/periodos/:codigo/cerrar', verificarToken, requierePermiso(PERMISOS.PERIODO_GESTIONAR), validacionesCerrarPeriodo, manejarResultadosValidacion, auditarPeriodo('periodo.cerrar'), cerrarPeriodo);
 
 export default router;
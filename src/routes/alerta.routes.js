@@ -0,0 +1,268 @@
+import { Router } from 'express';
+import { listarAlertas, descartarAlerta, escanearAlertas, obtenerUmbrales, actualizarUmbrales } from '../controllers/alerta.controller.js';
+import { verificarToken } from '../middlewares/verificarToken.middleware.js';
+import { requierePermiso } from '../middlewares/verificarPermisos.middleware.js';
+import { manejarResultadosValidacion } from '../middlewares/validation.middleware.js';
+import { auditar } from '../middlewares/auditoria.middleware.js';
+import { PERMISOS } from '../utils/permisos.utils.js';
+import { validacionesListadoAlertas, validacionesDescartarAlerta, validacionesUmbrales } from '../validators/alerta.validators.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Alertas
+ *   description: >
+ *     Alertas de riesgo de abandono. Un escaneo periódico revisa las asignaciones en progreso con las reglas
+ *     sin-sesiones, sesiones-sin-iniciar, metricas-en-descenso y fin-proximo, con umbrales configurables por facultad.
+ */
+
+/**
+ * @swagger
+ * /api/alertas:
+ *   get:
+ *     x-permiso: alerta:leer
+ *     summary: Lista las alertas de riesgo dentro del alcance del usuario.
+ *     description: "Listado paginado. Por defecto solo las alertas activas; `estado=todas` lista también las descartadas y resueltas. Orden (`sort`): fechaDeteccion, regla, estado, apellidos (por defecto -fechaDeteccion). Filtros: estado, regla, entrenamiento, estudiante, fechaDesde, fechaHasta (de detección), programa, facultad, entrenador y periodo (del entrenamiento)."
+ *     tags: [Alertas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListadoPage'
+ *       - $ref: '#/components/parameters/ListadoPageSize'
+ *       - $ref: '#/components/parameters/ListadoCursor'
+ *       - $ref: '#/components/parameters/ListadoSort'
+ *       - in: query
+ *         name: estado
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [activa, descartada, resuelta, todas]
+ *           default: activa
+ *       - in: query
+ *         name: regla
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [sin-sesiones, sesiones-sin-iniciar, metricas-en-descenso, fin-proximo]
+ *       - in: query
+ *         name: entrenamiento
+ *         required: false
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: estudiante
+ *         required: false
+ *         schema: { type: string, format: uuid }
+ *       - $ref: '#/components/parameters/FiltroFechaDesde'
+ *       - $ref: '#/components/parameters/FiltroFechaHasta'
+ *       - $ref: '#/components/parameters/FiltroPrograma'
+ *       - $ref: '#/components/parameters/FiltroFacultad'
+ *       - $ref: '#/components/parameters/FiltroEntrenador'
+ *       - $ref: '#/components/parameters/FiltroPeriodo'
+ *     responses:
+ *       200:
+ *         description: Alertas obtenidas exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Paginacion'
+ *                 - type: object
+ *                   properties:
+ *                     success: { type: boolean, example: true }
+ *                     message: { type: string }
+ *                     alertas:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AlertaRiesgo'
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.get('/', verificarToken, requierePermiso(PERMISOS.ALERTA_LEER), validacionesListadoAlertas, manejarResultadosValidacion, listarAlertas);
+
+/**
+ * @swagger
+ * /api/alertas/escanear:
+ *   post:
+ *     x-permiso: alerta:gestionar
+ *     summary: Ejecuta el escaneo de alertas en el momento.
+ *     description: >
+ *       Crea las alertas de las reglas que se cumplen, mantiene las vigentes (las descartadas siguen descartadas)
+ *       y resuelve las que dejaron de cumplirse. El mismo escaneo corre cada `ALERTAS_INTERVALO_MINUTOS`.
+ *     tags: [Alertas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Escaneo completado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string }
+ *                 escaneo:
+ *                   type: object
+ *                   properties:
+ *                     fecha: { type: string, format: date }
+ *                     asignacionesRevisadas: { type: integer }
+ *                     detectadas: { type: integer, description: Reglas disparadas en este escaneo. }
+ *                     nuevas: { type: integer }
+ *                     vigentes: { type: integer }
+ *                     resueltas: { type: integer }
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.post('/escanear', verificarToken, requierePermiso(PERMISOS.ALERTA_GESTIONAR), escanearAlertas);
+
+/**
+ * @swagger
+ * /api/alertas/umbrales:
+ *   get:
+ *     x-permiso: alerta:gestionar
+ *     summary: Obtiene los umbrales de las reglas de cada facultad.
+ *     description: >
+ *       Si un estudiante pertenece a varias facultades se aplica el umbral más estricto: el menor, salvo en
+ *       diasAntesDeFin, donde es el mayor.
+ *     tags: [Alertas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Umbrales obtenidos exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string }
+ *                 porDefecto:
+ *                   type: object
+ *                   properties:
+ *                     diasSinSesion: { type: integer, example: 14 }
+ *                     sesionesSinIniciar: { type: integer, example: 3 }
+ *                     sesionesEnDescenso: { type: integer, example: 3 }
+ *                     diasAntesDeFin: { type: integer, example: 14 }
+ *                 facultades:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UmbralesAlertaFacultad'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.get('/umbrales', verificarToken, requierePermiso(PERMISOS.ALERTA_GESTIONAR), obtenerUmbrales);
+
+/**
+ * @swagger
+ * /api/alertas/umbrales/{facultadId}:
+ *   put:
+ *     x-permiso: alerta:gestionar
+ *     summary: Configura los umbrales de las reglas de una facultad.
+ *     description: Reemplaza la configuración de la facultad; un umbral ausente o en null usa el valor por defecto. Se aplica en el siguiente escaneo.
+ *     tags: [Alertas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: facultadId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               diasSinSesion: { type: integer, minimum: 1, maximum: 365, nullable: true, example: 10 }
+ *               sesionesSinIniciar: { type: integer, minimum: 1, maximum: 50, nullable: true }
+ *               sesionesEnDescenso: { type: integer, minimum: 2, maximum: 10, nullable: true }
+ *               diasAntesDeFin: { type: integer, minimum: 1, maximum: 365, nullable: true, example: 21 }
+ *     responses:
+ *       200:
+ *         description: Umbrales actualizados.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string }
+ *                 umbrales:
+ *                   $ref: '#/components/schemas/UmbralesAlertaFacultad'
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: La facultad no existe.
+ */
+router.put(
+  '/umbrales/:facultadId',
+  verificarToken,
+  requierePermiso(PERMISOS.ALERTA_GESTIONAR),
+  validacionesUmbrales,
+  manejarResultadosValidacion,
+  auditar({ accion: 'alerta-umbrales.actualizar', entidad: 'facultad', entidadId: (req) => req.params.facultadId }),
+  actualizarUmbrales
+);
+
+/**
+ * @swagger
+ * /api/alertas/{alertaId}/descartar:
+ *   patch:
+ *     x-permiso: alerta:descartar
+ *     summary: Descarta una alerta activa indicando el motivo.
+ *     description: La alerta no se vuelve a levantar mientras la regla se siga cumpliendo; si deja de cumplirse y vuelve a ocurrir, se crea una alerta nueva.
+ *     tags: [Alertas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertaId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [motivo]
+ *             properties:
+ *               motivo: { type: string, minLength: 5, maxLength: 500, example: "El estudiante avisó que retoma la próxima semana." }
+ *     responses:
+ *       200:
+ *         description: Alerta descartada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string }
+ *                 alerta:
+ *                   $ref: '#/components/schemas/AlertaRiesgo'
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Sin el permiso requerido o la alerta está fuera del alcance del usuario.
+ *       404:
+ *         description: La alerta no existe.
+ *       409:
+ *         description: La alerta no está activa.
+ */
+router.patch(
+  '/:alertaId/descartar',
+  verificarToken,
+  requierePermiso(PERMISOS.ALERTA_DESCARTAR),
+  validacionesDescartarAlerta,
+  manejarResultadosValidacion,
+  auditar({ accion: 'alerta.descartar', entidad: 'alerta', entidadId: (req) => req.params.alertaId }),
+  descartarAlerta
+);
+
+export default router;
@@ -13,7 +13,10 @@
  *           example: "Inicio de sesión exitoso."
  *         token:
  *           type: string
- *           description: Token JWT para autenticación.
+ *           description: Token JWT de acceso (vida corta).
+ *         refreshToken:
+ *           type: string
+ *           description: Token de refresco para obtener nuevos tokens de acceso. No se entrega con el token restringido.
  *         user:
  *           type: object
  *           properties:
@@ -27,12 +30,30 @@
  *               format: email
  *             rol:
  *               type: string
- *               enum: [admin, entrenador]
+ *               enum: [admin, entrenador, coordinador, estudiante]
  *               description: Rol del usuario autenticado.
+ *         requiereCambioContrasena:
+ *           type: boolean
+ *           description: Si es true, el token entregado es restringido y solo permite llamar a /api/login/contrasena.
+ *           example: false
+ *         legado:
+ *           type: boolean
+ *           description: Presente solo cuando se usó el inicio de sesión deprecado sin contraseña.
+ *     TokenRefrescoRequest:
+ *       type: object
+ *       required:
+ *         - refreshToken
+ *       properties:
+ *         refreshToken:
+ *           type: string
+ *           description: Token de refresco entregado al iniciar sesión o en el último refresco.
  */
 
 import { Router } from "express";
-import { loginAdmin, loginEntrenador } from "../controllers/auth.controller.js";
+import { loginAdmin, loginEntrenador, loginCoordinador, solicitarCodigoEstudiante, loginEstudiante, establecerContrasena, refrescarToken, logout, logoutTodas } from "../controllers/auth.controller.js";
+import { verificarToken, verificarTokenCambioContrasena } from "../middlewares/verificarToken.middleware.js";
+import { manejarResultadosValidacion } from "../middlewares/validation.middleware.js";
+import { validacionesLoginAdmin, validacionesLoginEntrenador, validacionesLoginCoordinador, validacionesSolicitarCodigoEstudiante, validacionesLoginEstudiante, validacionesEstablecerContrasena, validacionesTokenRefresco } from "../validators/auth.validators.js";
 
 // Enrutador de Express
 const router = Router();
@@ -65,6 +86,11 @@ const router = Router();
  *                 type: string
  *                 description: Número de documento del administrador.
  *                 example: "1234567890"
+ *               contrasena:
+ *                 type: string
+ *                 format: password
+ *                 description: "Contraseña del administrador. Solo puede omitirse si el inicio de sesión legado (deprecado) está habilitado y el administrador aún no tiene contraseña."
+ *                 example: "MiClave2025"
  *     responses:
  *       200:
  *         description: Inicio de sesión exitoso. Retorna un token JWT.
@@ -83,7 +109,7 @@ const router = Router();
  *       500:
  *         $ref: '#/components/schemas/Error'
  */
-router.post("/login/admin", loginAdmin);
+router.post("/login/admin", validacionesLoginAdmin, manejarResultadosValidacion, loginAdmin);
 
 /**
  * @swagger
@@ -106,6 +132,15 @@ router.post("/login/admin", loginAdmin);
  *                 type: string
  *                 description: Correo electrónico del entrenador.
  *                 example: "entrenador@example.com"
+ *               contrasena:
+ *                 type: string
+ *                 format: password
+ *                 description: Contraseña del entrenador.
+ *                 example: "MiClave2025"
+ *               numeroDocumento:
+ *                 type: string
+ *                 deprecated: true
+ *                 description: "DEPRECADO. Número de documento usado como contraseña; solo se acepta si el inicio de sesión legado está habilitado y el entrenador aún no tiene contraseña."
  *     responses:
  *       200:
  *         description: Inicio de sesión exitoso. Retorna un token JWT.
@@ -124,7 +159,258 @@ router.post("/login/admin", loginAdmin);
  *       500:
  *         $ref: '#/components/schemas/Error'
  */
-router.post("/login/entrenador", loginEntrenador);
+router.post("/login/entrenador", validacionesLoginEntrenador, manejarResultadosValidacion, loginEntrenador);
+
+/**
+ * @swagger
+ * /api/login/coordinador:
+ *   post:
+ *     summary: Inicia sesión como coordinador (jefe de facultad, solo lectura).
+ *     tags:
+ *       - Autenticación
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - correo
+ *               - contrasena
+ *             properties:
+ *               correo:
+ *                 type: string
+ *                 example: "coordinacion.ingenierias@example.com"
+ *               contrasena:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Inicio de sesión exitoso. Retorna un token JWT.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginResponse'
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Credenciales inválidas o coordinador inactivo.
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.post("/login/coordinador", validacionesLoginCoordinador, manejarResultadosValidacion, loginCoordinador);
+
+/**
+ * @swagger
+ * /api/login/estudiante/codigo:
+ *   post:
+ *     summary: Envía un código de acceso de un solo uso al correo institucional de un estudiante.
+ *     description: |
+ *       La respuesta es la misma si el correo no pertenece a un estudiante activo. El código tiene 6 dígitos, vence a los
+ *       `AUTH_CODIGO_ACCESO_MINUTOS` minutos y reemplaza al anterior; pedirlo de nuevo antes de un minuto no envía otro.
+ *     tags:
+ *       - Autenticación
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - correo
+ *             properties:
+ *               correo:
+ *                 type: string
+ *                 description: Correo institucional del estudiante.
+ *                 example: "ana.garcia@universidad.edu.co"
+ *     responses:
+ *       200:
+ *         description: Solicitud recibida.
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: El servidor no tiene correo saliente configurado; el estudiante debe usar su contraseña.
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.post("/login/estudiante/codigo", validacionesSolicitarCodigoEstudiante, manejarResultadosValidacion, solicitarCodigoEstudiante);
+
+/**
+ * @swagger
+ * /api/login/estudiante:
+ *   post:
+ *     summary: Inicia sesión como estudiante (portal del estudiante).
+ *     description: |
+ *       Con el correo institucional y la contraseña, o con el código recibido en `/api/login/estudiante/codigo`.
+ *       El estudiante sin contraseña puede entrar con un código y establecerla en `/api/login/contrasena`
+ *       sin indicar `contrasenaActual`.
+ *     tags:
+ *       - Autenticación
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - correo
+ *             properties:
+ *               correo:
+ *                 type: string
+ *                 example: "ana.garcia@universidad.edu.co"
+ *               contrasena:
+ *                 type: string
+ *                 format: password
+ *               codigo:
+ *                 type: string
+ *                 description: Código de acceso de 6 dígitos. Se envía en lugar de la contraseña.
+ *                 example: "048213"
+ *     responses:
+ *       200:
+ *         description: Inicio de sesión exitoso. Retorna un token JWT.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginResponse'
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Credenciales o código inválidos, código vencido o estudiante inactivo.
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.post("/login/estudiante", validacionesLoginEstudiante, manejarResultadosValidacion, loginEstudiante);
+
+/**
+ * @swagger
+ * /api/login/contrasena:
+ *   post:
+ *     summary: Establece o cambia la contraseña del usuario autenticado.
+ *     description: |
+ *       Acepta el token restringido entregado en el primer inicio de sesión (cuando `requiereCambioContrasena` es true);
+ *       en ese caso no se exige `contrasenaActual`. Con un token normal, `contrasenaActual` es obligatoria.
+ *       Devuelve un token de acceso completo y un token de refresco; las demás sesiones del usuario se cierran.
+ *     tags:
+ *       - Autenticación
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nuevaContrasena
+ *             properties:
+ *               contrasenaActual:
+ *                 type: string
+ *                 format: password
+ *               nuevaContrasena:
+ *                 type: string
+ *                 format: password
+ *                 description: Mínimo 8 caracteres, con al menos una letra y un número.
+ *                 example: "NuevaClave2025"
+ *     responses:
+ *       200:
+ *         description: Contraseña establecida. Retorna un nuevo token JWT y un token de refresco.
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: La contraseña actual es incorrecta o no se envió token.
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.post("/login/contrasena", verificarTokenCambioContrasena, validacionesEstablecerContrasena, manejarResultadosValidacion, establecerContrasena);
+
+/**
+ * @swagger
+ * /api/token/refresh:
+ *   post:
+ *     summary: Obtiene un nuevo token de acceso a partir de un token de refresco.
+ *     description: |
+ *       El token de refresco se rota: el enviado queda invalidado y se entrega uno nuevo.
+ *       Si se presenta un token ya usado, se revoca la sesión completa.
+ *     tags:
+ *       - Autenticación
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TokenRefrescoRequest'
+ *     responses:
+ *       200:
+ *         description: Nuevo par de tokens.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Token de refresco inválido, expirado o revocado, o usuario inactivo.
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.post("/token/refresh", validacionesTokenRefresco, manejarResultadosValidacion, refrescarToken);
+
+/**
+ * @swagger
+ * /api/logout:
+ *   post:
+ *     summary: Cierra la sesión asociada a un token de refresco.
+ *     description: El token de acceso vigente sigue siendo válido hasta su expiración (pocos minutos).
+ *     tags:
+ *       - Autenticación
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TokenRefrescoRequest'
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada.
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.post("/logout", validacionesTokenRefresco, manejarResultadosValidacion, logout);
+
+/**
+ * @swagger
+ * /api/logout/todas:
+ *   post:
+ *     summary: Cierra todas las sesiones del usuario autenticado en todos los dispositivos.
+ *     tags:
+ *       - Autenticación
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sesiones cerradas. Retorna el número de tokens revocados.
+ *       401:
+ *         description: No autorizado.
+ *       500:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.post("/logout/todas", verificarToken, logoutTodas);
 
 // Exportamos el enrutador para usarlo en el servidor principal
 export default router;
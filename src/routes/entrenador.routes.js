@@ -1,10 +1,21 @@
 import { Router } from 'express';
 import { obtenerFacultadesPorEmailController, obtenerDatosPorCorreoController, crearEntrenadorEntrenamientoController } from '../controllers/entrenador.controller.js';
 import { verificarToken } from '../middlewares/verificarToken.middleware.js'; 
-import { isEntrenador } from '../middlewares/verificarRoles.middleware.js';
+import { requierePermiso } from '../middlewares/verificarPermisos.middleware.js';
+import { requiereAlcance } from '../middlewares/verificarAlcance.middleware.js';
+import { auditar } from '../middlewares/auditoria.middleware.js';
+import { idempotente } from '../middlewares/idempotencia.middleware.js';
+import { PERMISOS } from '../utils/permisos.utils.js';
 import { obtenerListaEntrenamientosEntrenador, obtenerDetalleInformeAdmin } from '../controllers/informe.controller.js';
 import { validarParametroUUID } from '../utils/validaciones.utils.js';
 import { manejarResultadosValidacion } from "../middlewares/validation.middleware.js";
+import { validacionesListado } from '../validators/listado.validators.js';
+import { validacionFormatoReporte } from '../validators/informe.validators.js';
+import { validacionesAgenda, validacionesDisponibilidad } from '../validators/agenda.validators.js';
+import { obtenerAgenda, obtenerDisponibilidad, actualizarDisponibilidad } from '../controllers/agenda.controller.js';
+import { validacionesListadoSolicitudesCambio, validacionesResolverSolicitudCambio } from '../validators/portal.validators.js';
+import { listarSolicitudes, resolverSolicitud } from '../controllers/solicitudCambioSesion.controller.js';
+import { estadoSolicitudCambio } from '../services/auditoria.service.js';
 
 /**
  * @file Contiene las rutas para las operaciones relacionadas con la entidad Entrenador.
@@ -23,7 +34,9 @@ const router = Router();
  * @swagger
  * /api/entrenadores/facultad-entrenador/{correo}:
  *   get:
+ *     x-permiso: entrenador:leer
  *     summary: Obtiene las facultades asociadas a un entrenador por su correo electrónico.
+ *     description: Un entrenador solo consulta sus propios datos o los de entrenadores de sus facultades; un coordinador, los de entrenadores de su facultad.
  *     tags: [Entrenadores]
  *     parameters:
  *       - in: path
@@ -63,6 +76,8 @@ const router = Router();
  *                 message:
  *                   type: string
  *                   example: "Correo electrónico inválido."
+ *       403:
+ *         description: Prohibido (sin el permiso requerido o el entrenador está fuera del alcance del usuario).
  *       404:
  *         description: No se encontraron facultades para el entrenador con el correo proporcionado.
  *         content:
@@ -87,14 +102,16 @@ const router = Router();
  *                   type: string
  *                   example: "Detalle del error."
  */
-router.get('/facultad-entrenador/:correo', verificarToken, obtenerFacultadesPorEmailController);
+router.get('/facultad-entrenador/:correo', verificarToken, requierePermiso(PERMISOS.ENTRENADOR_LEER), requiereAlcance('entrenadorCorreo', (req) => [req.params.correo]), obtenerFacultadesPorEmailController);
 
 
 /**
  * @swagger
  * /api/entrenadores/datosporcorreo/{correo}:
  *   get:
+ *     x-permiso: entrenador:leer
  *     summary: Obtiene los datos de un entrenador por su correo electrónico.
+ *     description: Un entrenador solo consulta sus propios datos o los de entrenadores de sus facultades; un coordinador, los de entrenadores de su facultad.
  *     tags: [Entrenadores]
  *     parameters:
  *       - in: path
@@ -151,6 +168,8 @@ router.get('/facultad-entrenador/:correo', verificarToken, obtenerFacultadesPorE
  *                 message:
  *                   type: string
  *                   example: "El correo electrónico debe tener un formato válido."
+ *       403:
+ *         description: Prohibido (sin el permiso requerido o el entrenador está fuera del alcance del usuario).
  *       404:
  *         description: No se encontró un entrenador con el correo proporcionado.
  *         content:
@@ -178,21 +197,43 @@ router.get('/facultad-entrenador/:correo', verificarToken, obtenerFacultadesPorE
  *                   type: string
  *                   example: "Error interno del servidor."
  */
-router.get('/datosporcorreo/:correo', verificarToken, obtenerDatosPorCorreoController);
+router.get('/datosporcorreo/:correo', verificarToken, requierePermiso(PERMISOS.ENTRENADOR_LEER), requiereAlcance('entrenadorCorreo', (req) => [req.params.correo]), obtenerDatosPorCorreoController);
 
 
 /**
  * @swagger
  * /api/entrenadores/informes:
  *   get:
+ *     x-permiso: informe:leer-propios
  *     summary: Obtiene la lista de entrenamientos asignados al entrenador autenticado.
+ *     description: "Listado paginado. Orden (`sort`): fechaInicio, apellidos, nombres, estado (por defecto -fechaInicio,apellidos,nombres). Filtros: estado, fechaDesde, fechaHasta, programa, facultad, periodo y alerta. Cada fila trae en `alertas` las reglas con alertas de riesgo activas y en `periodo` su periodo académico actual. Con `formato` (pdf, csv o xlsx) devuelve la lista completa con los mismos filtros y orden, sin paginar (máximo 5000 filas), como archivo descargable."
  *     tags: [InformesEntrenador]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListadoPage'
+ *       - $ref: '#/components/parameters/ListadoPageSize'
+ *       - $ref: '#/components/parameters/ListadoCursor'
+ *       - $ref: '#/components/parameters/ListadoSort'
+ *       - $ref: '#/components/parameters/IncluirArchivados'
+ *       - $ref: '#/components/parameters/FiltroEstado'
+ *       - $ref: '#/components/parameters/FiltroFechaDesde'
+ *       - $ref: '#/components/parameters/FiltroFechaHasta'
+ *       - $ref: '#/components/parameters/FiltroPrograma'
+ *       - $ref: '#/components/parameters/FiltroFacultad'
+ *       - $ref: '#/components/parameters/FiltroPeriodo'
+ *       - $ref: '#/components/parameters/FiltroAlerta'
+ *       - $ref: '#/components/parameters/FormatoReporte'
  *     responses:
  *       '200':
  *         description: Lista de entrenamientos obtenida exitosamente.
  *         content:
+ *           application/pdf:
+ *             schema: { type: string, format: binary }
+ *           text/csv:
+ *             schema: { type: string, format: binary }
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema: { type: string, format: binary }
  *           application/json:
  *             schema:
  *               type: object
@@ -202,7 +243,17 @@ router.get('/datosporcorreo/:correo', verificarToken, obtenerDatosPorCorreoContr
  *                   example: "Lista de entrenamientos asignados obtenida exitosamente."
  *                 total:
  *                   type: integer
+ *                   example: 57
+ *                 page:
+ *                   type: integer
  *                   example: 1
+ *                 pageSize:
+ *                   type: integer
+ *                   example: 20
+ *                 next:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor de la siguiente página, o null si es la última.
  *                 entrenamientos:
  *                   type: array
  *                   items:
@@ -236,6 +287,11 @@ router.get('/datosporcorreo/:correo', verificarToken, obtenerDatosPorCorreoContr
  *                         type: string
  *                         format: date-time
  *                         description: Fecha de inicio del entrenamiento.
+ *                       fechaarchivado:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         description: Fecha en que se archivó el entrenamiento; nula si no está archivado. Los archivados solo se listan con `incluirArchivados=true`.
  *       '401':
  *         description: No autorizado. El token no fue proporcionado o es inválido.
  *         content:
@@ -255,7 +311,7 @@ router.get('/datosporcorreo/:correo', verificarToken, obtenerDatosPorCorreoContr
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/informes', verificarToken, isEntrenador, obtenerListaEntrenamientosEntrenador);
+router.get('/informes', verificarToken, requierePermiso(PERMISOS.INFORME_LEER_PROPIOS), validacionesListado, validacionFormatoReporte, manejarResultadosValidacion, obtenerListaEntrenamientosEntrenador);
 
 
 
@@ -263,7 +319,9 @@ router.get('/informes', verificarToken, isEntrenador, obtenerListaEntrenamientos
  * @swagger
  * /api/entrenadores/informes/{entrenamientoId}:
  *   get:
+ *     x-permiso: informe:leer-propios
  *     summary: Obtiene el detalle de un informe de entrenamiento si pertenece al entrenador autenticado.
+ *     description: "Con `formato` (pdf, csv o xlsx) devuelve el informe imprimible por estudiante como archivo descargable: datos del estudiante, variables asignadas, fechas de inicio y fin, conteo de sesiones, nivel inicial frente a métricas finales y observaciones del entrenador."
  *     tags: [InformesEntrenador]
  *     security:
  *       - bearerAuth: []
@@ -276,10 +334,17 @@ router.get('/informes', verificarToken, isEntrenador, obtenerListaEntrenamientos
  *           type: string
  *           format: uuid
  *           example: a1b2c3d4-e5f6-7890-1234-567890abcdef
+ *       - $ref: '#/components/parameters/FormatoReporte'
  *     responses:
  *       200:
  *         description: Detalle del informe de entrenamiento obtenido exitosamente.
  *         content:
+ *           application/pdf:
+ *             schema: { type: string, format: binary }
+ *           text/csv:
+ *             schema: { type: string, format: binary }
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema: { type: string, format: binary }
  *           application/json:
  *             schema:
  *               type: object
@@ -351,15 +416,18 @@ router.get('/informes', verificarToken, isEntrenador, obtenerListaEntrenamientos
  *       500:
  *         $ref: '#/components/schemas/Error'
  */
-router.get('/informes/:entrenamientoId', verificarToken, isEntrenador, validarParametroUUID('entrenamientoId'), manejarResultadosValidacion, obtenerDetalleInformeAdmin);
+router.get('/informes/:entrenamientoId', verificarToken, requierePermiso(PERMISOS.INFORME_LEER_PROPIOS), validarParametroUUID('entrenamientoId'), validacionFormatoReporte, manejarResultadosValidacion, requiereAlcance('entrenamiento', (req) => [req.params.entrenamientoId]), obtenerDetalleInformeAdmin);
 
 
 /**
  * @swagger
  * /api/entrenadores/asignar-entrenamiento:
  *   post:
+ *     x-permiso: asignacion:crear
  *     summary: Crea una relación entre un entrenador y un entrenamiento cognitivo.
  *     tags: [Entrenadores]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -465,7 +533,253 @@ router.get('/informes/:entrenamientoId', verificarToken, isEntrenador, validarPa
  *                   type: string
  *                   example: "Error interno del servidor."
  */
-router.post('/asignar-entrenamiento', verificarToken, crearEntrenadorEntrenamientoController);
+router.post('/asignar-entrenamiento', verificarToken, requierePermiso(PERMISOS.ASIGNACION_CREAR), requiereAlcance('entrenamiento', (req) => [req.body.entrenamientoCognitivoId]), idempotente, auditar({ accion: 'entrenamiento.asignar-entrenador', entidad: 'entrenamiento', entidadId: (req) => req.body.entrenamientoCognitivoId }), crearEntrenadorEntrenamientoController);
+
+
+/**
+ * @swagger
+ * /api/entrenadores/agenda:
+ *   get:
+ *     x-permiso: agenda:gestionar-propia
+ *     summary: Obtiene la agenda del entrenador autenticado, con las sesiones planificadas frente a las ejecutadas.
+ *     description: >
+ *       Una sesión planificada se da por realizada si ese día se inició una sesión de la misma asignación. Las sesiones
+ *       ejecutadas que no corresponden a ninguna planificada aparecen como `no-planificada`. Con `formato=ics` responde
+ *       la agenda como calendario iCalendar para importarla en Google Calendar, Outlook, etc.
+ *     tags: [Entrenadores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: desde
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2025-03-03"
+ *       - in: query
+ *         name: hasta
+ *         required: true
+ *         description: Último día incluido; el rango no puede superar 366 días.
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2025-03-09"
+ *       - in: query
+ *         name: formato
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [ics]
+ *     responses:
+ *       200:
+ *         description: Agenda del rango indicado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string }
+ *                 desde: { type: string, format: date }
+ *                 hasta: { type: string, format: date }
+ *                 resumen:
+ *                   type: object
+ *                   properties:
+ *                     planificadas: { type: integer }
+ *                     realizadas: { type: integer }
+ *                     pendientes: { type: integer }
+ *                     noRealizadas: { type: integer }
+ *                     noPlanificadas: { type: integer }
+ *                     cumplimiento:
+ *                       type: number
+ *                       nullable: true
+ *                       description: Proporción de las sesiones planificadas ya vencidas que se realizaron.
+ *                 sesiones:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SesionAgenda'
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Rango de fechas o formato inválido.
+ *       403:
+ *         description: Sin el permiso requerido (solo entrenadores).
+ */
+router.get('/agenda', verificarToken, requierePermiso(PERMISOS.AGENDA_GESTIONAR_PROPIA), validacionesAgenda, manejarResultadosValidacion, obtenerAgenda);
+
+/**
+ * @swagger
+ * /api/entrenadores/disponibilidad:
+ *   get:
+ *     x-permiso: agenda:gestionar-propia
+ *     summary: Obtiene la disponibilidad semanal del entrenador autenticado.
+ *     tags: [Entrenadores]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Franjas de disponibilidad por día y hora; vacío si no ha definido ninguna (sin restricción de horario).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string }
+ *                 franjas:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FranjaDisponibilidad'
+ *   put:
+ *     x-permiso: agenda:gestionar-propia
+ *     summary: Reemplaza la disponibilidad semanal del entrenador autenticado.
+ *     description: >
+ *       Las sesiones de un plan nuevo deben caber en una franja de su día; las que no, se reportan como conflicto.
+ *       Una lista vacía borra la disponibilidad. No afecta a las sesiones ya planificadas.
+ *     tags: [Entrenadores]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [franjas]
+ *             properties:
+ *               franjas:
+ *                 type: array
+ *                 maxItems: 50
+ *                 items:
+ *                   $ref: '#/components/schemas/FranjaDisponibilidad'
+ *     responses:
+ *       200:
+ *         description: Disponibilidad actualizada.
+ *       400:
+ *         description: Franjas inválidas o solapadas.
+ *       403:
+ *         description: Sin el permiso requerido (solo entrenadores).
+ */
+router.get('/disponibilidad', verificarToken, requierePermiso(PERMISOS.AGENDA_GESTIONAR_PROPIA), obtenerDisponibilidad);
+router.put(
+  '/disponibilidad',
+  verificarToken,
+  requierePermiso(PERMISOS.AGENDA_GESTIONAR_PROPIA),
+  validacionesDisponibilidad,
+  manejarResultadosValidacion,
+  auditar({ accion: 'disponibilidad.actualizar', entidad: 'entrenador', entidadId: (req) => req.user.id }),
+  actualizarDisponibilidad
+);
 
+/**
+ * @swagger
+ * /api/entrenadores/solicitudes-cambio:
+ *   get:
+ *     x-permiso: solicitud-cambio-sesion:gestionar
+ *     summary: Lista las solicitudes de cambio de fecha de las sesiones del entrenador autenticado.
+ *     description: >
+ *       Las piden los estudiantes desde el portal. Un administrador ve las de todos los entrenadores y puede filtrar
+ *       por `entrenador`.
+ *     tags: [Entrenadores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: estado
+ *         required: false
+ *         schema: { type: string, enum: [pendiente, aprobada, rechazada, todas], default: pendiente }
+ *       - in: query
+ *         name: entrenador
+ *         required: false
+ *         description: Solo para usuarios con alcance global; para un entrenador se ignora.
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Solicitudes obtenidas exitosamente, de la más reciente a la más antigua.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string }
+ *                 total: { type: integer }
+ *                 solicitudes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SolicitudCambioSesion'
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.get('/solicitudes-cambio', verificarToken, requierePermiso(PERMISOS.SOLICITUD_CAMBIO_SESION_GESTIONAR), validacionesListadoSolicitudesCambio, manejarResultadosValidacion, listarSolicitudes);
+
+/**
+ * @swagger
+ * /api/entrenadores/solicitudes-cambio/{solicitudId}/resolver:
+ *   post:
+ *     x-permiso: solicitud-cambio-sesion:gestionar
+ *     summary: Aprueba o rechaza una solicitud de cambio de fecha de sesión.
+ *     description: >
+ *       Solo la resuelve el entrenador de la sesión (o un administrador). Al aprobarla, la sesión planificada se mueve al
+ *       horario propuesto; si ese horario se cruza con otra sesión planificada del entrenador o del estudiante, no cambia
+ *       nada y responde 409 con los cruces. Se notifica al estudiante en ambos casos.
+ *     tags: [Entrenadores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: solicitudId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [aprobar]
+ *             properties:
+ *               aprobar: { type: boolean }
+ *               respuesta: { type: string, maxLength: 500, nullable: true, description: 'Mensaje para el estudiante.' }
+ *     responses:
+ *       200:
+ *         description: Solicitud resuelta.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string }
+ *                 data:
+ *                   $ref: '#/components/schemas/SolicitudCambioSesion'
+ *       403:
+ *         description: La sesión es de otro entrenador.
+ *       404:
+ *         description: La solicitud no existe.
+ *       409:
+ *         description: >
+ *           La solicitud ya estaba resuelta, la sesión se canceló, el horario propuesto ya pasó o se cruza con otras
+ *           sesiones (en ese caso incluye `conflictos`), o si otra sesión lo ocupó mientras se resolvía.
+ */
+router.post(
+  '/solicitudes-cambio/:solicitudId/resolver',
+  verificarToken,
+  requierePermiso(PERMISOS.SOLICITUD_CAMBIO_SESION_GESTIONAR),
+  validacionesResolverSolicitudCambio,
+  manejarResultadosValidacion,
+  auditar({
+    accion: 'solicitud-cambio-sesion.resolver',
+    entidad: 'solicitud-cambio-sesion',
+    entidadId: (req) => req.params.solicitudId,
+    antes: (req) => estadoSolicitudCambio(req.params.solicitudId),
+    despues: (req, respuesta) => respuesta?.data,
+  }),
+  resolverSolicitud
+);
 
 export default router; 
\ No newline at end of file
@@ -1,11 +1,24 @@
 import { Router } from 'express';
 import { verificarToken } from '../middlewares/verificarToken.middleware.js';
-import { isEntrenador } from '../middlewares/verificarRoles.middleware.js';
+import { requierePermiso } from '../middlewares/verificarPermisos.middleware.js';
+import { requiereAlcance } from '../middlewares/verificarAlcance.middleware.js';
+import { requierePropiedad } from '../middlewares/verificarPropiedad.middleware.js';
+import { auditar } from '../middlewares/auditoria.middleware.js';
+import { idempotente } from '../middlewares/idempotencia.middleware.js';
+import { estadoAsignacion, estadoArchivo } from '../services/auditoria.service.js';
+import { PERMISOS } from '../utils/permisos.utils.js';
 import { manejarResultadosValidacion } from '../middlewares/validation.middleware.js';
 import { validarParametroUUID } from '../utils/validaciones.utils.js';
-import { body } from 'express-validator';
-import { validacionesActualizarObservacion, validacionesFinalizarSesion } from '../validators/entrenamientoCognitivo.validators.js';
+import { body, query } from 'express-validator';
+import {
+  validacionesActualizarObservacion, validacionesFinalizarSesion, validacionesAltaEntrenamiento,
+} from '../validators/entrenamientoCognitivo.validators.js';
+import { validacionesListado, validacionesArchivados } from '../validators/listado.validators.js';
+import { validacionesCrearPlan } from '../validators/agenda.validators.js';
+import { validacionesMotivoArchivado } from '../validators/archivado.validators.js';
 import * as entrenamientoCognitivoController from '../controllers/entrenamientoCognitivo.controller.js';
+import * as agendaController from '../controllers/agenda.controller.js';
+import * as archivadoController from '../controllers/archivado.controller.js';
 
 
 const router = Router();
@@ -21,7 +34,9 @@ const router = Router();
  * @swagger
  * /api/entrenamientos-cognitivos/facultad/{facultadId}/estudiantes:
  *   get:
+ *     x-permiso: entrenamiento:leer
  *     summary: Obtiene la lista de estudiantes y sus datos de entrenamiento para una facultad específica.
+ *     description: "Listado paginado. Orden (`sort`): apellidos, nombres, numeroDocumento, estado, fechaInicio (por defecto apellidos,nombres). Filtros: estado, fechaDesde, fechaHasta, programa, entrenador y periodo (con algún entrenamiento en ese periodo). Con `fecha`, la pertenencia a la facultad se resuelve en ese día."
  *     tags: [EntrenamientoCognitivo]
  *     parameters:
  *       - in: path
@@ -32,6 +47,26 @@ const router = Router();
  *           type: string
  *           format: uuid
  *           example: a1b2c3d4-e5f6-7890-1234-567890abcdef
+ *       - $ref: '#/components/parameters/ListadoPage'
+ *       - $ref: '#/components/parameters/ListadoPageSize'
+ *       - $ref: '#/components/parameters/ListadoCursor'
+ *       - $ref: '#/components/parameters/ListadoSort'
+ *       - $ref: '#/components/parameters/IncluirArchivados'
+ *       - $ref: '#/components/parameters/FiltroEstado'
+ *       - $ref: '#/components/parameters/FiltroFechaDesde'
+ *       - $ref: '#/components/parameters/FiltroFechaHasta'
+ *       - $ref: '#/components/parameters/FiltroPrograma'
+ *       - $ref: '#/components/parameters/FiltroEntrenador'
+ *       - $ref: '#/components/parameters/FiltroPeriodo'
+ *       - in: query
+ *         name: fecha
+ *         required: false
+ *         description: "Fecha de corte (YYYY-MM-DD): lista los estudiantes que pertenecían a la facultad ese día según su
+ *           historial de matrícula, con el entrenamiento más reciente que habían empezado en esa fecha; el filtro `programa`
+ *           también se resuelve con las matrículas de ese día. Sin ella se usan los programas vigentes."
+ *         schema:
+ *           type: string
+ *           format: date
  *     responses:
  *       200:
  *         description: Datos de estudiantes obtenidos exitosamente.
@@ -46,6 +81,19 @@ const router = Router();
  *                 message:
  *                   type: string
  *                   example: "Datos de estudiantes para la facultad ID <UUID> obtenidos correctamente."
+ *                 total:
+ *                   type: integer
+ *                   example: 57
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 pageSize:
+ *                   type: integer
+ *                   example: 20
+ *                 next:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor de la siguiente página, o null si es la última.
  *                 data:
  *                   type: array
  *                   items:
@@ -82,13 +130,21 @@ const router = Router();
 router.get(
   '/facultad/:facultadId/estudiantes',
   verificarToken,
-  entrenamientoCognitivoController.obtenerEstudiantesPorFacultadController 
+  requierePermiso(PERMISOS.ENTRENAMIENTO_LEER),
+  validacionesListado,
+  query('fecha')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('La fecha de corte debe tener formato YYYY-MM-DD.'),
+  manejarResultadosValidacion,
+  requiereAlcance('facultad', (req) => [req.params.facultadId]),
+  entrenamientoCognitivoController.obtenerEstudiantesPorFacultadController
 );
 
 /**
  * @swagger
  * /api/entrenamientos-cognitivos/estudiante/detalle-entrenamiento:
  *   post:
+ *     x-permiso: entrenamiento:leer
  *     summary: Obtiene el detalle del entrenamiento cognitivo de un estudiante por su tipo y número de documento.
  *     tags: [EntrenamientoCognitivo]
  *     requestBody:
@@ -139,6 +195,8 @@ router.get(
 router.post(
   '/estudiante/detalle-entrenamiento',
   verificarToken,
+  requierePermiso(PERMISOS.ENTRENAMIENTO_LEER),
+  requiereAlcance('estudianteDocumento', (req) => [req.body.tipoDocumento, req.body.numeroDocumento]),
   entrenamientoCognitivoController.obtenerEntrenamientoEstudiantePorDocumentoController
 );
 
@@ -146,8 +204,11 @@ router.post(
  * @swagger
  * /api/entrenamientos-cognitivos/crear:
  *   post:
+ *     x-permiso: entrenamiento:crear
  *     summary: Registra un nuevo entrenamiento cognitivo para un estudiante.
  *     tags: [EntrenamientoCognitivo]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -227,7 +288,7 @@ router.post(
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       409:
- *         description: Conflicto, el entrenamiento ya existe o hay una regla de negocio violada.
+ *         description: Conflicto, el entrenamiento ya existe, no hay un periodo académico abierto que contenga su fecha de inicio o hay una regla de negocio violada.
  *         content:
  *           application/json:
  *             schema:
@@ -242,6 +303,10 @@ router.post(
 router.post(
   '/crear',
   verificarToken,
+  requierePermiso(PERMISOS.ENTRENAMIENTO_CREAR),
+  requiereAlcance('estudianteDocumento', (req) => [req.body.siglaTipoDocEstudiante, req.body.numeroDocEstudiante]),
+  idempotente,
+  auditar({ accion: 'entrenamiento.crear', entidad: 'entrenamiento', entidadId: (req, respuesta) => respuesta?.data?.id }),
   entrenamientoCognitivoController.crearNuevoEntrenamientoCognitivoController
 );
 
@@ -249,8 +314,11 @@ router.post(
  * @swagger
  * /api/entrenamientos-cognitivos/asignacion:
  *   post:
+ *     x-permiso: entrenamiento:crear
  *     summary: Registra un nuevo entrenamiento y su asignación de variable cognitiva inicial.
  *     tags: [EntrenamientoCognitivo]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -283,11 +351,11 @@ router.post(
  *                 example: ["a1b2c3d4-e5f6-7890-1234-567890abcde0", "a1b2c3d4-e5f6-7890-1234-567890abcde1"]
  *               nivelInicial:
  *                 type: object
- *                 description: Objeto JSON que describe el nivel inicial.
+ *                 description: Objeto JSON que describe el nivel inicial. Debe cumplir el esquema de métricas vigente de cada variable asignada, si lo tiene.
  *                 example: {"dificultad": "baja", "items": 5}
  *               metricas:
  *                 type: object
- *                 description: Objeto JSON que describe las métricas iniciales.
+ *                 description: Objeto JSON que describe las métricas iniciales. Debe cumplir el esquema de métricas vigente de cada variable asignada, si lo tiene.
  *                 example: {"precision_objetivo": 95, "tiempo_maximo": 120}
  *     responses:
  *       201:
@@ -316,19 +384,176 @@ router.post(
  *                 message:
  *                   type: string
  *                   example: "Se debe proporcionar al menos un ID de tipo de variable cognitiva en un arreglo."
+ *                 errors:
+ *                   type: array
+ *                   description: Errores por campo cuando el nivel inicial o las métricas no cumplen el esquema (ej. path "metricas.aciertos").
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       path: { type: 'string' }
+ *                       msg: { type: 'string' }
+ *                       value: {}
+ *       409:
+ *         description: No hay un periodo académico abierto que contenga la fecha de inicio, o la clave de idempotencia ya se usó con otra petición o la petición original sigue en curso.
  *       500:
  *         description: Error interno del servidor.
  */
 router.post(
     '/asignacion',
     verificarToken,
+    requierePermiso(PERMISOS.ENTRENAMIENTO_CREAR),
+    requiereAlcance('estudiante', (req) => [req.body.estudianteId]),
+    idempotente,
+    auditar({ accion: 'entrenamiento.crear-con-asignacion', entidad: 'estudiante', entidadId: (req) => req.body.estudianteId }),
     entrenamientoCognitivoController.registrarEntrenamientoAsignacionController
 );
 
+/**
+ * @swagger
+ * /api/entrenamientos-cognitivos/alta-completa:
+ *   post:
+ *     x-permiso: [estudiante:crear, entrenamiento:crear, asignacion:crear, sesion:crear]
+ *     summary: Da de alta un entrenamiento completo en una sola transacción.
+ *     description: >
+ *       Ejecuta en orden, en una transacción de base de datos, lo que de otro modo son cuatro llamadas:
+ *       registra al estudiante (`POST /api/estudiantes`), crea su entrenamiento con las asignaciones de variables
+ *       (`POST /api/entrenamientos-cognitivos/asignacion`), asigna el entrenador (`POST /api/entrenadores/asignar-entrenamiento`)
+ *       y crea las sesiones indicadas (`POST /api/sesiones/crear`). Cada paso valida sus datos igual que su endpoint.
+ *       Si un paso falla se revierte todo y la respuesta de error incluye `pasos` con el estado de cada uno.
+ *       El entrenador recibe la notificación de entrenamiento asignado solo si el alta se confirma.
+ *     tags: [EntrenamientoCognitivo]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [estudiante, entrenamiento, entrenadorId]
+ *             properties:
+ *               estudiante:
+ *                 type: object
+ *                 description: Los mismos campos de `POST /api/estudiantes`.
+ *                 required: [siglaTipoDocumento, nombreGenero, nombres, apellidos, numeroDocumento, fechaNacimiento, correo, programaNombres]
+ *                 properties:
+ *                   siglaTipoDocumento: { type: string, example: "CC" }
+ *                   nombreGenero: { type: string, example: "Femenino" }
+ *                   nombres: { type: string, example: "Laura" }
+ *                   apellidos: { type: string, example: "Gómez Ríos" }
+ *                   numeroDocumento: { type: string, example: "1036402111" }
+ *                   fechaNacimiento: { type: string, format: date, example: "2004-08-15" }
+ *                   correo: { type: string, format: email, example: "laura.gomez@correo.edu.co" }
+ *                   programaNombres: { type: array, items: { type: string }, example: ["Psicología"] }
+ *               entrenamiento:
+ *                 type: object
+ *                 description: Los mismos campos de `POST /api/entrenamientos-cognitivos/asignacion`, sin `estudianteId`.
+ *                 required: [fechaInicio, tiposVariablesCognitivasIds, nivelInicial, metricas]
+ *                 properties:
+ *                   fechaInicio: { type: string, example: "2025-06-02 08:00:00" }
+ *                   tiposVariablesCognitivasIds: { type: array, items: { type: string, format: uuid } }
+ *                   nivelInicial: { type: object, example: { "dificultad": "baja" } }
+ *                   metricas: { type: object, example: { "precision_objetivo": 95 } }
+ *               entrenadorId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Entrenador que se asigna al entrenamiento.
+ *               sesiones:
+ *                 type: array
+ *                 maxItems: 20
+ *                 description: Sesiones a crear. Si se omite, el paso `sesiones` queda como omitido.
+ *                 items:
+ *                   type: object
+ *                   required: [nombreVariableCognitiva]
+ *                   properties:
+ *                     nombreVariableCognitiva: { type: string, example: "Lectura Critica" }
+ *                     fechaInicio: { type: string, format: date-time, description: "Si se omite, se usa la actual." }
+ *     responses:
+ *       201:
+ *         description: Alta confirmada; todos los pasos se completaron.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     estudianteId: { type: string, format: uuid }
+ *                     entrenamientoId: { type: string, format: uuid }
+ *                     asignacionesIds: { type: array, items: { type: string, format: uuid } }
+ *                     relacionId: { type: string, format: uuid }
+ *                     sesionesIds: { type: array, items: { type: string, format: uuid } }
+ *                 pasos:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PasoAltaEntrenamiento'
+ *       400:
+ *         description: Datos inválidos en algún paso; no se creó nada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorAltaEntrenamiento'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: El entrenador no existe; no se creó nada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorAltaEntrenamiento'
+ *       409:
+ *         description: El estudiante ya está registrado; no se creó nada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorAltaEntrenamiento'
+ * components:
+ *   schemas:
+ *     PasoAltaEntrenamiento:
+ *       type: object
+ *       description: >
+ *         Resultado de un paso del alta. Los completados traen los IDs creados; al revertir, los completados
+ *         quedan `revertido`, el que falló `fallido` con su mensaje y los siguientes `omitido`.
+ *       properties:
+ *         paso: { type: string, enum: [estudiante, entrenamiento, entrenador, sesiones] }
+ *         estado: { type: string, enum: [completado, omitido, fallido, revertido] }
+ *         mensaje: { type: string, description: Solo en el paso fallido. }
+ *       example: { paso: "entrenador", estado: "fallido", mensaje: "El ID del entrenador proporcionado no existe en la base de datos." }
+ *     ErrorAltaEntrenamiento:
+ *       type: object
+ *       properties:
+ *         message: { type: string }
+ *         errors:
+ *           type: array
+ *           description: Errores por campo cuando el nivel inicial o las métricas no cumplen el esquema.
+ *           items: { type: object }
+ *         pasos:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PasoAltaEntrenamiento'
+ */
+router.post(
+  '/alta-completa',
+  verificarToken,
+  requierePermiso(PERMISOS.ESTUDIANTE_CREAR, PERMISOS.ENTRENAMIENTO_CREAR, PERMISOS.ASIGNACION_CREAR, PERMISOS.SESION_CREAR),
+  validacionesAltaEntrenamiento,
+  manejarResultadosValidacion,
+  requiereAlcance('programas', (req) => [req.body.estudiante.programaNombres]),
+  idempotente,
+  auditar({ accion: 'entrenamiento.alta-completa', entidad: 'entrenamiento', entidadId: (req, respuesta) => respuesta?.data?.entrenamientoId }),
+  entrenamientoCognitivoController.darDeAltaEntrenamientoController
+);
+
 /**
  * @swagger
  * /api/entrenamientos-cognitivos/progreso/{asignacionId}:
  *   get:
+ *     x-permiso: entrenamiento:leer
  *     summary: Obtiene el detalle de progreso de una variable cognitiva asignada específica.
  *     tags: [EntrenamientoCognitivo]
  *     security:
@@ -360,7 +585,7 @@ router.post(
  *       401:
  *         description: No autorizado (token no válido).
  *       403:
- *         description: Prohibido (rol no permitido).
+ *         description: Prohibido (el rol no tiene el permiso requerido).
  *       404:
  *         description: No se encontraron detalles de progreso para el ID proporcionado.
  *       500:
@@ -369,16 +594,98 @@ router.post(
 router.get(
   '/progreso/:asignacionId',
   verificarToken,
-  isEntrenador, 
+  requierePermiso(PERMISOS.ENTRENAMIENTO_LEER), 
   validarParametroUUID('asignacionId'),
   manejarResultadosValidacion,
+  requiereAlcance('asignacion', (req) => [req.params.asignacionId]),
   entrenamientoCognitivoController.obtenerProgresoVariableController
 );
 
+/**
+ * @swagger
+ * /api/entrenamientos-cognitivos/progreso/{asignacionId}/historial:
+ *   get:
+ *     x-permiso: entrenamiento:leer
+ *     summary: Obtiene el historial de métricas por sesión de una variable cognitiva asignada.
+ *     description: "Una serie por clave de métrica con el valor de cada sesión finalizada, en orden cronológico, y su diferencia frente al nivel inicial (`deltaInicial`) y frente a la sesión anterior (`deltaAnterior`). Las diferencias son null si alguno de los valores no es numérico. El nivel inicial es el que tenía la asignación antes de su primera sesión registrada; las sesiones finalizadas antes de que existiera el historial no aparecen. Las sesiones archivadas tampoco, salvo con `incluirArchivados=true`."
+ *     tags: [EntrenamientoCognitivo]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: asignacionId
+ *         required: true
+ *         description: ID de la asignación de la variable (UUID).
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - $ref: '#/components/parameters/IncluirArchivados'
+ *     responses:
+ *       200:
+ *         description: Historial de métricas obtenido exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     asignacionId: { type: 'string', format: 'uuid' }
+ *                     variableCognitiva: { type: 'string' }
+ *                     estado: { type: 'string' }
+ *                     nivelInicial: { type: 'object', nullable: true }
+ *                     metricasActuales: { type: 'object', nullable: true }
+ *                     sesiones: { type: 'integer', description: 'Sesiones con instantánea de métricas.' }
+ *                     series:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           metrica: { type: 'string', example: 'aciertos' }
+ *                           nivelInicial: { nullable: true, example: 8 }
+ *                           puntos:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 sesionId: { type: 'string', format: 'uuid' }
+ *                                 numeroSesion: { type: 'integer', nullable: true }
+ *                                 fecha: { type: 'string', format: 'date-time' }
+ *                                 valor: { example: 12 }
+ *                                 deltaInicial: { type: 'number', nullable: true, example: 4 }
+ *                                 deltaAnterior: { type: 'number', nullable: true, example: 1 }
+ *       400:
+ *         description: ID de asignación inválido.
+ *       401:
+ *         description: No autorizado (token no válido).
+ *       403:
+ *         description: Prohibido (sin el permiso requerido o fuera del alcance del usuario).
+ *       404:
+ *         description: No se encontró la asignación.
+ *       500:
+ *         description: Error interno del servidor.
+ */
+router.get(
+  '/progreso/:asignacionId/historial',
+  verificarToken,
+  requierePermiso(PERMISOS.ENTRENAMIENTO_LEER),
+  validarParametroUUID('asignacionId'),
+  validacionesArchivados,
+  manejarResultadosValidacion,
+  requiereAlcance('asignacion', (req) => [req.params.asignacionId]),
+  entrenamientoCognitivoController.obtenerHistorialMetricasController
+);
+
 /**
  * @swagger
  * /api/entrenamientos-cognitivos/estudiante/{siglaTipoDocEstudiante}/{numeroDocEstudiante}:
  *   patch:
+ *     x-permiso: entrenamiento:actualizar
  *     summary: Modifica un entrenamiento cognitivo existente de un estudiante.
  *     tags: [EntrenamientoCognitivo]
  *     security:
@@ -459,7 +766,7 @@ router.get(
  *       401:
  *         description: No autorizado (token no válido).
  *       403:
- *         description: Prohibido (rol no permitido).
+ *         description: Prohibido (el rol no tiene el permiso requerido).
  *       404:
  *         description: Estudiante no encontrado o no tiene un entrenamiento cognitivo.
  *       500:
@@ -468,7 +775,13 @@ router.get(
 router.patch(
   '/estudiante/:siglaTipoDocEstudiante/:numeroDocEstudiante',
   verificarToken,
-  isEntrenador,
+  requierePermiso(PERMISOS.ENTRENAMIENTO_ACTUALIZAR),
+  requiereAlcance('estudianteDocumento', (req) => [req.params.siglaTipoDocEstudiante, req.params.numeroDocEstudiante]),
+  auditar({
+    accion: 'entrenamiento.modificar',
+    entidad: 'estudiante',
+    entidadId: (req) => `${req.params.siglaTipoDocEstudiante}-${req.params.numeroDocEstudiante}`,
+  }),
   entrenamientoCognitivoController.modificarEntrenamientoCognitivoController
 );
 
@@ -477,6 +790,7 @@ router.patch(
  * @swagger
  * /api/entrenamientos-cognitivos/sesiones/{idSesion}/observacion:
  *   put:
+ *     x-permiso: sesion:actualizar
  *     summary: Actualiza la observación de una sesión de entrenamiento específica.
  *     tags: [EntrenamientoCognitivo]
  *     security:
@@ -489,6 +803,7 @@ router.patch(
  *           type: string
  *           format: uuid
  *         description: El ID de la sesión de entrenamiento.
+ *       - $ref: '#/components/parameters/OverrideMotivo'
  *     requestBody:
  *       required: true
  *       content:
@@ -510,17 +825,19 @@ router.patch(
  *       '401':
  *         description: No autorizado.
  *       '403':
- *         description: Prohibido (rol no es Entrenador).
+ *         description: Prohibido (sin el permiso requerido, el entrenamiento no está asignado al entrenador, o el admin no indicó X-Override-Motivo).
  *       '500':
  *         description: Error interno del servidor.
  */
 router.put(
   '/sesiones/:idSesion/observacion',
   verificarToken,
-  isEntrenador,
+  requierePermiso(PERMISOS.SESION_ACTUALIZAR),
   validarParametroUUID('idSesion'), 
   validacionesActualizarObservacion,
   manejarResultadosValidacion,
+  requierePropiedad('sesion', 'idSesion'),
+  auditar({ accion: 'sesion.actualizar-observacion', entidad: 'sesion', entidadId: (req) => req.params.idSesion }),
   entrenamientoCognitivoController.actualizarObservacionSesionController
 );
 
@@ -528,6 +845,7 @@ router.put(
  * @swagger
  * /api/entrenamientos-cognitivos/sesiones/{idSesion}/finalizar:
  *   put:
+ *     x-permiso: sesion:finalizar
  *     summary: Finaliza una sesión de entrenamiento y actualiza métricas y nivel inicial.
  *     tags: [EntrenamientoCognitivo]
  *     security:
@@ -540,6 +858,7 @@ router.put(
  *           type: string
  *           format: uuid
  *         description: El ID de la sesión de entrenamiento a finalizar.
+ *       - $ref: '#/components/parameters/OverrideMotivo'
  *     requestBody:
  *       required: true
  *       content:
@@ -552,11 +871,11 @@ router.put(
  *             properties:
  *               nuevasMetricas:
  *                 type: object
- *                 description: Objeto JSON con las nuevas métricas de la sesión.
+ *                 description: Objeto JSON con las nuevas métricas de la sesión. Debe cumplir el esquema de métricas vigente de la variable, si lo tiene.
  *                 example: {"precision": 85, "tiempo_respuesta": 120, "errores": 3}
  *               nuevoNivelInicial:
  *                 type: object
- *                 description: Objeto JSON con el nuevo nivel inicial del estudiante.
+ *                 description: Objeto JSON con el nuevo nivel inicial del estudiante. Debe cumplir el esquema de métricas vigente de la variable, si lo tiene.
  *                 example: {"dificultad": "media", "nivel": 2, "puntuacion": 750}
  *     responses:
  *       '200':
@@ -583,21 +902,23 @@ router.put(
  *                       items:
  *                         type: string
  *       '400':
- *         description: Datos inválidos o sesión no se puede finalizar.
+ *         description: Datos inválidos o sesión no se puede finalizar. Si las métricas no cumplen el esquema de la variable, `errors` trae un error por campo (ej. path "nuevasMetricas.aciertos").
  *       '401':
  *         description: No autorizado.
  *       '403':
- *         description: Prohibido (rol no es Entrenador).
+ *         description: Prohibido (sin el permiso requerido, el entrenamiento no está asignado al entrenador, o el admin no indicó X-Override-Motivo).
  *       '500':
  *         description: Error interno del servidor.
  */
 router.put(
   '/sesiones/:idSesion/finalizar',
   verificarToken,
-  isEntrenador,
+  requierePermiso(PERMISOS.SESION_FINALIZAR),
   validarParametroUUID('idSesion'),
   validacionesFinalizarSesion,
   manejarResultadosValidacion,
+  requierePropiedad('sesion', 'idSesion'),
+  auditar({ accion: 'sesion.finalizar', entidad: 'sesion', entidadId: (req) => req.params.idSesion }),
   entrenamientoCognitivoController.finalizarSesionController
 );
 
@@ -605,6 +926,7 @@ router.put(
  * @swagger
  * /api/entrenamientos-cognitivos/asignaciones/{idAsignacion}/finalizar:
  *   put:
+ *     x-permiso: asignacion:finalizar
  *     summary: Finaliza una asignación de variable cognitiva cambiando su estado a "Finalizado".
  *     tags: [EntrenamientoCognitivo]
  *     security:
@@ -617,6 +939,7 @@ router.put(
  *           type: string
  *           format: uuid
  *         description: El ID de la asignación de variable a finalizar.
+ *       - $ref: '#/components/parameters/OverrideMotivo'
  *     responses:
  *       '200':
  *         description: Asignación de variable finalizada exitosamente.
@@ -647,7 +970,7 @@ router.put(
  *       '401':
  *         description: No autorizado.
  *       '403':
- *         description: Prohibido (rol no es Entrenador).
+ *         description: Prohibido (sin el permiso requerido, el entrenamiento no está asignado al entrenador, o el admin no indicó X-Override-Motivo).
  *       '404':
  *         description: Asignación de variable no encontrada.
  *       '500':
@@ -656,10 +979,374 @@ router.put(
 router.put(
   '/asignaciones/:idAsignacion/finalizar',
   verificarToken,
-  isEntrenador,
+  requierePermiso(PERMISOS.ASIGNACION_FINALIZAR),
   validarParametroUUID('idAsignacion'),
   manejarResultadosValidacion,
+  requierePropiedad('asignacion', 'idAsignacion'),
+  auditar({
+    accion: 'asignacion.finalizar',
+    entidad: 'asignacion',
+    entidadId: (req) => req.params.idAsignacion,
+    antes: (req) => estadoAsignacion(req.params.idAsignacion),
+    despues: (req) => estadoAsignacion(req.params.idAsignacion),
+  }),
   entrenamientoCognitivoController.finalizarAsignacionVariableController
 );
 
+/**
+ * @swagger
+ * /api/entrenamientos-cognitivos/asignaciones/{idAsignacion}/planes-sesiones:
+ *   post:
+ *     x-permiso: plan-sesiones:gestionar
+ *     summary: Crea un plan de sesiones recurrentes para una asignación (ej. lunes y jueves a las 10:00 durante 8 semanas).
+ *     description: >
+ *       El plan termina en `fechaFin`, o tras las `semanas` indicadas, o en la fecha de fin del entrenamiento; nunca después de esta.
+ *       Se genera una sesión planificada por cada día del rango que cae en `diasSemana`. Si alguna se cruza con otra sesión
+ *       planificada del entrenador o del estudiante, o queda fuera de la disponibilidad del entrenador, responde 409 con los
+ *       conflictos y no crea nada, salvo que se envíe `omitirConflictos: true`. Con `simulacion: true` solo calcula las sesiones
+ *       y los conflictos, sin guardar nada.
+ *     tags: [EntrenamientoCognitivo]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: idAsignacion
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - $ref: '#/components/parameters/OverrideMotivo'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [diasSemana, horaInicio, duracionMinutos, fechaInicio]
+ *             properties:
+ *               diasSemana:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                   minimum: 1
+ *                   maximum: 7
+ *                 description: Días de la semana (1 = lunes ... 7 = domingo).
+ *                 example: [1, 4]
+ *               horaInicio:
+ *                 type: string
+ *                 example: "10:00"
+ *               duracionMinutos:
+ *                 type: integer
+ *                 minimum: 15
+ *                 maximum: 480
+ *                 example: 60
+ *               fechaInicio:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-03-03"
+ *               semanas:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 52
+ *                 example: 8
+ *               fechaFin:
+ *                 type: string
+ *                 format: date
+ *                 description: Alternativa a `semanas`.
+ *               entrenadorId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Entrenador que dicta las sesiones (debe estar asignado al entrenamiento). Por defecto, el usuario autenticado.
+ *               omitirConflictos:
+ *                 type: boolean
+ *                 default: false
+ *               simulacion:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       '201':
+ *         description: Plan creado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "Plan de sesiones creado con 16 sesiones." }
+ *                 plan:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/PlanSesiones'
+ *                     - type: object
+ *                       properties:
+ *                         sesiones:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               id: { type: string, format: uuid }
+ *                               inicio: { type: string, example: "2025-03-03T10:00:00" }
+ *                               fin: { type: string, example: "2025-03-03T11:00:00" }
+ *                 conflictosOmitidos:
+ *                   type: array
+ *                   description: Sesiones no creadas por conflictos (con `omitirConflictos`).
+ *                   items:
+ *                     $ref: '#/components/schemas/ConflictoAgenda'
+ *       '200':
+ *         description: Simulación del plan (con `simulacion`); no se guarda nada.
+ *       '400':
+ *         description: Datos inválidos, rango sin sesiones o con más de 200, o entrenador no asignado al entrenamiento.
+ *       '403':
+ *         description: Prohibido (sin el permiso requerido, el entrenamiento no está asignado al entrenador, o el admin no indicó X-Override-Motivo).
+ *       '404':
+ *         description: Asignación no encontrada.
+ *       '409':
+ *         description: >
+ *           La asignación está cerrada, hay conflictos de horario, o otra sesión ocupó uno de los horarios mientras se
+ *           creaba el plan (en ese caso sin `conflictos`).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: false }
+ *                 message: { type: string }
+ *                 conflictos:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ConflictoAgenda'
+ *   get:
+ *     x-permiso: entrenamiento:leer
+ *     summary: Lista los planes de sesiones de una asignación.
+ *     tags: [EntrenamientoCognitivo]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: idAsignacion
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       '200':
+ *         description: Planes de la asignación, del más reciente al más antiguo.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string }
+ *                 total: { type: integer }
+ *                 planes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PlanSesiones'
+ *       '403':
+ *         description: Sin el permiso requerido o fuera del alcance del usuario.
+ */
+router.post(
+  '/asignaciones/:idAsignacion/planes-sesiones',
+  verificarToken,
+  requierePermiso(PERMISOS.PLAN_SESIONES_GESTIONAR),
+  validarParametroUUID('idAsignacion'),
+  validacionesCrearPlan,
+  manejarResultadosValidacion,
+  requierePropiedad('asignacion', 'idAsignacion'),
+  auditar({
+    accion: 'plan-sesiones.crear',
+    entidad: 'plan-sesiones',
+    entidadId: (req, respuesta) => respuesta?.plan?.id,
+    despues: (req, respuesta) => respuesta?.plan ?? req.body,
+  }),
+  agendaController.crearPlan
+);
+
+router.get(
+  '/asignaciones/:idAsignacion/planes-sesiones',
+  verificarToken,
+  requierePermiso(PERMISOS.ENTRENAMIENTO_LEER),
+  validarParametroUUID('idAsignacion'),
+  manejarResultadosValidacion,
+  requiereAlcance('asignacion', (req) => [req.params.idAsignacion]),
+  agendaController.listarPlanes
+);
+
+/**
+ * @swagger
+ * /api/entrenamientos-cognitivos/asignaciones/{idAsignacion}/planes-sesiones/{planId}:
+ *   delete:
+ *     x-permiso: plan-sesiones:gestionar
+ *     summary: Cancela un plan de sesiones y sus sesiones planificadas que aún no han empezado.
+ *     tags: [EntrenamientoCognitivo]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: idAsignacion
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: planId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - $ref: '#/components/parameters/OverrideMotivo'
+ *     responses:
+ *       '200':
+ *         description: Plan cancelado; `sesionesCanceladas` indica cuántas sesiones futuras se cancelaron.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string }
+ *                 plan:
+ *                   $ref: '#/components/schemas/PlanSesiones'
+ *       '403':
+ *         description: Prohibido (sin el permiso requerido, el entrenamiento no está asignado al entrenador, o el admin no indicó X-Override-Motivo).
+ *       '404':
+ *         description: No existe un plan activo con ese ID en la asignación.
+ */
+router.delete(
+  '/asignaciones/:idAsignacion/planes-sesiones/:planId',
+  verificarToken,
+  requierePermiso(PERMISOS.PLAN_SESIONES_GESTIONAR),
+  validarParametroUUID('idAsignacion'),
+  validarParametroUUID('planId'),
+  manejarResultadosValidacion,
+  requierePropiedad('asignacion', 'idAsignacion'),
+  auditar({
+    accion: 'plan-sesiones.cancelar',
+    entidad: 'plan-sesiones',
+    entidadId: (req) => req.params.planId,
+    despues: (req, respuesta) => respuesta?.plan,
+  }),
+  agendaController.cancelarPlan
+);
+
+/**
+ * @swagger
+ * /api/entrenamientos-cognitivos/{entrenamientoId}/archivar:
+ *   post:
+ *     x-permiso: entrenamiento:archivar
+ *     summary: Archiva un entrenamiento cognitivo y, en cascada, sus sesiones.
+ *     description: "El entrenamiento deja de aparecer en los listados y en los informes (salvo con `incluirArchivados=true`), deja de escanearse en busca de alertas de riesgo y sus sesiones se archivan en cascada. Pasado el periodo de retención, un administrador puede purgarlo definitivamente."
+ *     tags: [EntrenamientoCognitivo]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entrenamientoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID del entrenamiento cognitivo (UUID).
+ *       - $ref: '#/components/parameters/OverrideMotivo'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MotivoArchivado'
+ *     responses:
+ *       200:
+ *         description: Entrenamiento archivado; indica cuántos registros de cada tipo se archivaron.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResultadoArchivado'
+ *       400:
+ *         description: ID inválido o motivo ausente.
+ *       403:
+ *         description: Prohibido (sin el permiso requerido, fuera del alcance del usuario, el entrenamiento no está asignado al entrenador, o el admin no indicó X-Override-Motivo).
+ *       404:
+ *         description: Entrenamiento no encontrado
+ *       409:
+ *         description: El entrenamiento ya está archivado.
+ */
+router.post(
+  '/:entrenamientoId/archivar',
+  verificarToken,
+  requierePermiso(PERMISOS.ENTRENAMIENTO_ARCHIVAR),
+  validarParametroUUID('entrenamientoId'),
+  validacionesMotivoArchivado,
+  manejarResultadosValidacion,
+  requiereAlcance('entrenamiento', (req) => [req.params.entrenamientoId]),
+  requierePropiedad('entrenamiento', 'entrenamientoId'),
+  auditar({
+    accion: 'entrenamiento.archivar',
+    entidad: 'entrenamiento',
+    entidadId: (req) => req.params.entrenamientoId,
+    antes: (req) => estadoArchivo('entrenamiento', req.params.entrenamientoId),
+    despues: (req, respuesta) => respuesta?.data,
+  }),
+  archivadoController.archivar('entrenamiento', 'entrenamientoId')
+);
+
+/**
+ * @swagger
+ * /api/entrenamientos-cognitivos/{entrenamientoId}/restaurar:
+ *   post:
+ *     x-permiso: entrenamiento:archivar
+ *     summary: Restaura un entrenamiento cognitivo archivado y las sesiones que se archivaron con él.
+ *     description: No se puede restaurar mientras el estudiante siga archivado.
+ *     tags: [EntrenamientoCognitivo]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entrenamientoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID del entrenamiento cognitivo (UUID).
+ *       - $ref: '#/components/parameters/OverrideMotivo'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MotivoArchivado'
+ *     responses:
+ *       200:
+ *         description: Entrenamiento restaurado; indica cuántos registros de cada tipo se restauraron.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResultadoArchivado'
+ *       400:
+ *         description: ID inválido o motivo ausente.
+ *       403:
+ *         description: Prohibido (sin el permiso requerido, fuera del alcance del usuario, el entrenamiento no está asignado al entrenador, o el admin no indicó X-Override-Motivo).
+ *       404:
+ *         description: Entrenamiento no encontrado (o ya purgado).
+ *       409:
+ *         description: El entrenamiento no está archivado o su estudiante sigue archivado.
+ */
+router.post(
+  '/:entrenamientoId/restaurar',
+  verificarToken,
+  requierePermiso(PERMISOS.ENTRENAMIENTO_ARCHIVAR),
+  validarParametroUUID('entrenamientoId'),
+  validacionesMotivoArchivado,
+  manejarResultadosValidacion,
+  requiereAlcance('entrenamiento', (req) => [req.params.entrenamientoId]),
+  requierePropiedad('entrenamiento', 'entrenamientoId'),
+  auditar({
+    accion: 'entrenamiento.restaurar',
+    entidad: 'entrenamiento',
+    entidadId: (req) => req.params.entrenamientoId,
+    antes: (req) => estadoArchivo('entrenamiento', req.params.entrenamientoId),
+    despues: (req, respuesta) => respuesta?.data,
+  }),
+  archivadoController.restaurar('entrenamiento', 'entrenamientoId')
+);
+
 export default router; 
\ No newline at end of file
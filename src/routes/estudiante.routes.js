@@ -1,10 +1,26 @@
 import { Router } from 'express';
-import { body, param } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import * as estudianteController from '../controllers/estudiante.controller.js';
 import { validarParametroUUID } from '../utils/validaciones.utils.js';
 import { manejarResultadosValidacion } from "../middlewares/validation.middleware.js";
 import { verificarToken } from '../middlewares/verificarToken.middleware.js'; 
-import { isEntrenador } from '../middlewares/verificarRoles.middleware.js';
+import { requierePermiso } from '../middlewares/verificarPermisos.middleware.js';
+import { requiereAlcance } from '../middlewares/verificarAlcance.middleware.js';
+import { auditar } from '../middlewares/auditoria.middleware.js';
+import { idempotente } from '../middlewares/idempotencia.middleware.js';
+import { recibirArchivoTabular } from '../middlewares/subirArchivo.middleware.js';
+import { estadoEstudiante, estadoArchivo, estadoMatriculas } from '../services/auditoria.service.js';
+import { PERMISOS } from '../utils/permisos.utils.js';
+import { validacionesListado } from '../validators/listado.validators.js';
+import { validacionesMotivoArchivado } from '../validators/archivado.validators.js';
+import * as archivadoController from '../controllers/archivado.controller.js';
+import * as matriculaController from '../controllers/matricula.controller.js';
+import {
+  validacionesListarMatriculas,
+  validacionesMatricular,
+  validacionesCerrarMatricula,
+  validacionesTrasladarMatricula,
+} from '../validators/matricula.validators.js';
 
 const router = Router();
 
@@ -19,8 +35,11 @@ const router = Router();
  * @swagger
  * /api/estudiantes:
  *   post:
+ *     x-permiso: estudiante:crear
  *     summary: Registra un nuevo estudiante.
  *     tags: [Estudiantes]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -120,13 +139,504 @@ const router = Router();
 router.post(
   '/', 
   verificarToken,
+  requierePermiso(PERMISOS.ESTUDIANTE_CREAR),
+  requiereAlcance('programas', (req) => (Array.isArray(req.body.programaNombres) ? [req.body.programaNombres] : null)),
+  idempotente,
+  auditar({ accion: 'estudiante.registrar', entidad: 'estudiante', entidadId: (req, respuesta) => respuesta?.estudianteId }),
   estudianteController.registrarNuevoEstudianteController
 );
 
+/**
+ * @swagger
+ * /api/estudiantes/importar:
+ *   post:
+ *     x-permiso: estudiante:crear
+ *     summary: Importa estudiantes desde un archivo CSV o XLSX.
+ *     description: |
+ *       La primera fila del archivo son los encabezados: siglaTipoDocumento, nombreGenero, nombres, apellidos, numeroDocumento,
+ *       fechaNacimiento (YYYY-MM-DD o DD/MM/YYYY), correo y programaNombres (separados por ";" o "|").
+ *       También se aceptan encabezados como "Tipo documento", "Género", "Documento", "Email" o "Programa", sin importar tildes ni mayúsculas.
+ *       Las siglas, géneros y programas se resuelven contra los catálogos. Solo se importan estudiantes de programas dentro del alcance del usuario.
+ *       Por defecto es una simulación: valida cada fila sin registrar nada. Con `simulacion=false` registra las filas válidas por lotes.
+ *     tags: [Estudiantes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: simulacion
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Si es true (por defecto) solo valida; si es false registra las filas válidas.
+ *       - in: query
+ *         name: reporte
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *         description: Con csv, la respuesta es el reporte por fila como archivo descargable.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [archivo]
+ *             properties:
+ *               archivo:
+ *                 type: string
+ *                 format: binary
+ *                 description: Archivo .csv o .xlsx de hasta 5 MB y 2000 filas.
+ *     responses:
+ *       200:
+ *         description: Resultado por fila. Estados posibles - valido (solo en simulación), creado, duplicado y fallido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Simulación de importación completada. No se registró ningún estudiante."
+ *                 simulacion:
+ *                   type: boolean
+ *                 resumen:
+ *                   type: object
+ *                   properties:
+ *                     total: { type: integer, example: 120 }
+ *                     validos: { type: integer, example: 0 }
+ *                     creados: { type: integer, example: 115 }
+ *                     duplicados: { type: integer, example: 3 }
+ *                     fallidos: { type: integer, example: 2 }
+ *                 filas:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       fila: { type: integer, example: 2 }
+ *                       siglaTipoDocumento: { type: string, example: "CC" }
+ *                       numeroDocumento: { type: string, example: "1020304050" }
+ *                       estado: { type: string, enum: [valido, creado, duplicado, fallido] }
+ *                       estudianteId: { type: string, format: uuid, nullable: true }
+ *                       errores: { type: array, items: { type: string } }
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Archivo ausente, ilegible, vacío, con columnas faltantes o de un formato no soportado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Sin permiso para crear estudiantes.
+ */
+router.post(
+  '/importar',
+  verificarToken,
+  requierePermiso(PERMISOS.ESTUDIANTE_CREAR),
+  recibirArchivoTabular('archivo'),
+  query('simulacion')
+    .optional()
+    .isBoolean().withMessage('El parámetro simulacion debe ser true o false.')
+    .toBoolean(),
+  query('reporte')
+    .optional()
+    .isIn(['json', 'csv']).withMessage('El reporte debe ser json o csv.'),
+  manejarResultadosValidacion,
+  estudianteController.importarEstudiantesController
+);
+
+/**
+ * @swagger
+ * /api/estudiantes/buscar:
+ *   get:
+ *     x-permiso: estudiante:leer
+ *     summary: Busca estudiantes por nombres, apellidos, correo, número de documento o programa.
+ *     description: "Coincidencia parcial y aproximada, sin distinguir tildes ni mayúsculas. Los resultados se ordenan por relevancia (un número de documento exacto va primero) y se limitan al alcance por facultad del usuario. Orden (`sort`): relevancia, apellidos, nombres, numeroDocumento. Filtros: programa, facultad y periodo (con algún entrenamiento en ese periodo)."
+ *     tags: [Estudiantes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 100
+ *         description: Texto a buscar.
+ *         example: "garcia"
+ *       - $ref: '#/components/parameters/ListadoPage'
+ *       - $ref: '#/components/parameters/ListadoPageSize'
+ *       - $ref: '#/components/parameters/ListadoCursor'
+ *       - $ref: '#/components/parameters/ListadoSort'
+ *       - $ref: '#/components/parameters/IncluirArchivados'
+ *       - $ref: '#/components/parameters/FiltroPrograma'
+ *       - $ref: '#/components/parameters/FiltroFacultad'
+ *       - $ref: '#/components/parameters/FiltroPeriodo'
+ *     responses:
+ *       200:
+ *         description: Estudiantes encontrados (puede ser una lista vacía).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Búsqueda de estudiantes realizada exitosamente."
+ *                 total:
+ *                   type: integer
+ *                   example: 3
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 pageSize:
+ *                   type: integer
+ *                   example: 20
+ *                 next:
+ *                   type: string
+ *                   nullable: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ResultadoBusquedaEstudiante'
+ *       400:
+ *         description: Término de búsqueda ausente o parámetros de listado inválidos.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No autenticado.
+ *       403:
+ *         description: Sin permiso para leer estudiantes.
+ */
+router.get(
+  '/buscar',
+  verificarToken,
+  requierePermiso(PERMISOS.ESTUDIANTE_LEER),
+  query('q')
+    .trim()
+    .notEmpty().withMessage('El término de búsqueda (q) es requerido.').bail()
+    .isLength({ min: 2, max: 100 }).withMessage('El término de búsqueda debe tener entre 2 y 100 caracteres.'),
+  validacionesListado,
+  manejarResultadosValidacion,
+  estudianteController.buscarEstudiantesController
+);
+
+// Van antes de /:siglaTipoDoc/:numeroDoc: con GET, esa ruta también coincidiría con /:id/matriculas.
+
+/**
+ * @swagger
+ * /api/estudiantes/{id}/matriculas:
+ *   get:
+ *     x-permiso: estudiante:leer
+ *     summary: Obtiene el historial de matrícula de un estudiante en los programas.
+ *     description: "Primero las matrículas abiertas (los programas vigentes) y luego las cerradas, de la más reciente a la más antigua.
+ *       Las matrículas anteriores al historial no tienen semestre ni fecha de inicio."
+ *     tags: [Estudiantes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID del estudiante (UUID).
+ *     responses:
+ *       200:
+ *         description: Historial de matrícula del estudiante.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean', example: true }
+ *                 message: { type: 'string' }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MatriculaPrograma'
+ *       400:
+ *         description: ID inválido.
+ *       403:
+ *         description: Prohibido (sin el permiso requerido o fuera del alcance del usuario).
+ *       404:
+ *         description: Estudiante no encontrado.
+ *   post:
+ *     x-permiso: estudiante:actualizar
+ *     summary: Matricula a un estudiante en un programa, además de los que ya tiene.
+ *     description: "El programa pasa a los programas vigentes del estudiante desde la fecha de inicio, que no puede ser futura.
+ *       Un entrenador o coordinador solo puede matricular en programas de sus facultades."
+ *     tags: [Estudiantes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID del estudiante (UUID).
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [programa]
+ *             properties:
+ *               programa:
+ *                 type: string
+ *                 example: "Ingeniería de Sistemas"
+ *               semestre:
+ *                 type: string
+ *                 example: "2025-2"
+ *                 description: Por defecto, el semestre de la fecha de inicio (enero a junio es el 1; julio a diciembre, el 2).
+ *               fechaInicio:
+ *                 type: string
+ *                 format: date
+ *                 description: Por defecto, hoy.
+ *     responses:
+ *       201:
+ *         description: Matrícula creada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean', example: true }
+ *                 message: { type: 'string' }
+ *                 data:
+ *                   $ref: '#/components/schemas/MatriculaPrograma'
+ *       400:
+ *         description: Datos inválidos o fecha de inicio futura.
+ *       403:
+ *         description: Prohibido (sin el permiso requerido o el estudiante o el programa fuera del alcance del usuario).
+ *       404:
+ *         description: Estudiante o programa no encontrado.
+ *       409:
+ *         description: El estudiante está archivado, el programa está inactivo o la matrícula se cruza con otra del mismo programa.
+ */
+router.get(
+  '/:id/matriculas',
+  verificarToken,
+  requierePermiso(PERMISOS.ESTUDIANTE_LEER),
+  validacionesListarMatriculas,
+  manejarResultadosValidacion,
+  requiereAlcance('estudiante', (req) => [req.params.id]),
+  matriculaController.listarMatriculas
+);
+
+router.post(
+  '/:id/matriculas',
+  verificarToken,
+  requierePermiso(PERMISOS.ESTUDIANTE_ACTUALIZAR),
+  validacionesMatricular,
+  manejarResultadosValidacion,
+  requiereAlcance('estudiante', (req) => [req.params.id]),
+  requiereAlcance('programas', (req) => [[req.body.programa]]),
+  idempotente,
+  auditar({
+    accion: 'estudiante.matricular',
+    entidad: 'estudiante',
+    entidadId: (req) => req.params.id,
+    antes: (req) => estadoMatriculas(req.params.id),
+    despues: (req) => estadoMatriculas(req.params.id),
+  }),
+  matriculaController.matricular
+);
+
+/**
+ * @swagger
+ * /api/estudiantes/{id}/matriculas/{matriculaId}/cerrar:
+ *   post:
+ *     x-permiso: estudiante:actualizar
+ *     summary: Cierra una matrícula abierta; el estudiante deja el programa.
+ *     description: "La fecha de fin es el primer día en que el estudiante ya no pertenece al programa; no puede ser futura.
+ *       Si era su único programa en una facultad, los entrenadores y coordinadores de esa facultad dejan de verlo
+ *       (salvo los entrenadores con entrenamientos suyos asignados)."
+ *     tags: [Estudiantes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID del estudiante (UUID).
+ *       - in: path
+ *         name: matriculaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fechaFin:
+ *                 type: string
+ *                 format: date
+ *                 description: Por defecto, hoy.
+ *               motivo:
+ *                 type: string
+ *                 example: "Retiro voluntario."
+ *     responses:
+ *       200:
+ *         description: Matrícula cerrada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean', example: true }
+ *                 message: { type: 'string' }
+ *                 data:
+ *                   $ref: '#/components/schemas/MatriculaPrograma'
+ *       400:
+ *         description: Datos inválidos, fecha de fin futura o anterior al inicio de la matrícula.
+ *       403:
+ *         description: Prohibido (sin el permiso requerido o el estudiante o el programa fuera del alcance del usuario).
+ *       404:
+ *         description: Estudiante o matrícula no encontrados.
+ *       409:
+ *         description: El estudiante está archivado o la matrícula ya estaba cerrada.
+ */
+router.post(
+  '/:id/matriculas/:matriculaId/cerrar',
+  verificarToken,
+  requierePermiso(PERMISOS.ESTUDIANTE_ACTUALIZAR),
+  validacionesCerrarMatricula,
+  manejarResultadosValidacion,
+  requiereAlcance('estudiante', (req) => [req.params.id]),
+  auditar({
+    accion: 'estudiante.cerrar-matricula',
+    entidad: 'estudiante',
+    entidadId: (req) => req.params.id,
+    antes: (req) => estadoMatriculas(req.params.id),
+    despues: (req) => estadoMatriculas(req.params.id),
+  }),
+  matriculaController.cerrarMatricula
+);
+
+/**
+ * @swagger
+ * /api/estudiantes/{id}/matriculas/{matriculaId}/trasladar:
+ *   post:
+ *     x-permiso: estudiante:actualizar
+ *     summary: Traslada a un estudiante de un programa a otro.
+ *     description: "Cierra la matrícula de origen y abre una en el programa de destino con la misma fecha, enlazada a la de
+ *       origen (`trasladoDe`). Un entrenador o coordinador necesita alcance sobre los dos programas; los traslados entre
+ *       facultades de distintos coordinadores los hace un administrador."
+ *     tags: [Estudiantes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID del estudiante (UUID).
+ *       - in: path
+ *         name: matriculaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID de la matrícula de origen (abierta).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [programa]
+ *             properties:
+ *               programa:
+ *                 type: string
+ *                 description: Programa de destino.
+ *                 example: "Ingeniería Industrial"
+ *               semestre:
+ *                 type: string
+ *                 example: "2026-1"
+ *                 description: Semestre de la matrícula nueva; por defecto, el de la fecha del traslado.
+ *               fecha:
+ *                 type: string
+ *                 format: date
+ *                 description: Fin de la matrícula de origen e inicio de la nueva; por defecto, hoy.
+ *               motivo:
+ *                 type: string
+ *                 example: "Cambio de programa aprobado por el consejo de facultad."
+ *     responses:
+ *       200:
+ *         description: Estudiante trasladado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean', example: true }
+ *                 message: { type: 'string' }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     origen:
+ *                       $ref: '#/components/schemas/MatriculaPrograma'
+ *                     destino:
+ *                       $ref: '#/components/schemas/MatriculaPrograma'
+ *       400:
+ *         description: Datos inválidos, fecha futura o anterior al inicio de la matrícula, o el destino es el mismo programa.
+ *       403:
+ *         description: Prohibido (sin el permiso requerido o el estudiante o alguno de los programas fuera del alcance del usuario).
+ *       404:
+ *         description: Estudiante, matrícula o programa no encontrados.
+ *       409:
+ *         description: El estudiante está archivado, la matrícula ya estaba cerrada, el programa de destino está inactivo o ya tiene una matrícula que se cruza.
+ */
+router.post(
+  '/:id/matriculas/:matriculaId/trasladar',
+  verificarToken,
+  requierePermiso(PERMISOS.ESTUDIANTE_ACTUALIZAR),
+  validacionesTrasladarMatricula,
+  manejarResultadosValidacion,
+  requiereAlcance('estudiante', (req) => [req.params.id]),
+  requiereAlcance('programas', (req) => [[req.body.programa]]),
+  auditar({
+    accion: 'estudiante.trasladar-matricula',
+    entidad: 'estudiante',
+    entidadId: (req) => req.params.id,
+    antes: (req) => estadoMatriculas(req.params.id),
+    despues: (req) => estadoMatriculas(req.params.id),
+  }),
+  matriculaController.trasladarMatricula
+);
+
 /**
  * @swagger
  * /api/estudiantes/{siglaTipoDoc}/{numeroDoc}:
  *   get:
+ *     x-permiso: estudiante:leer
  *     summary: Obtiene la información completa de un estudiante.
  *     tags: [Estudiantes]
  *     parameters:
@@ -186,6 +696,8 @@ router.post(
 router.get(
   '/:siglaTipoDoc/:numeroDoc',
   verificarToken,
+  requierePermiso(PERMISOS.ESTUDIANTE_LEER),
+  requiereAlcance('estudianteDocumento', (req) => [req.params.siglaTipoDoc, req.params.numeroDoc]),
   estudianteController.obtenerEstudianteController
 );
 
@@ -193,6 +705,7 @@ router.get(
  * @swagger
  * /api/estudiantes/{siglaTipoDoc}/{numeroDoc}:
  *   put:
+ *     x-permiso: estudiante:actualizar
  *     summary: Modifica la información de un estudiante existente.
  *     tags: [Estudiantes]
  *     parameters:
@@ -280,6 +793,16 @@ router.get(
 router.put(
   '/:siglaTipoDoc/:numeroDoc',
   verificarToken,
+  requierePermiso(PERMISOS.ESTUDIANTE_ACTUALIZAR),
+  requiereAlcance('estudianteDocumento', (req) => [req.params.siglaTipoDoc, req.params.numeroDoc]),
+  requiereAlcance('programas', (req) => (Array.isArray(req.body.programaNombres) ? [req.body.programaNombres] : null)),
+  auditar({
+    accion: 'estudiante.modificar',
+    entidad: 'estudiante',
+    entidadId: (req, respuesta) => respuesta?.estudianteId ?? `${req.params.siglaTipoDoc}-${req.params.numeroDoc}`,
+    antes: (req) => estadoEstudiante(req.params.siglaTipoDoc, req.params.numeroDoc),
+    despues: (req) => estadoEstudiante(req.params.siglaTipoDoc, req.params.numeroDoc),
+  }),
   estudianteController.modificarEstudianteController
 );
 
@@ -287,6 +810,7 @@ router.put(
  * @swagger
  * /api/estudiantes/{id}/genero:
  *   patch:
+ *     x-permiso: estudiante:actualizar
  *     summary: Actualiza el género de un estudiante específico por su ID.
  *     tags: [Estudiantes]
  *     security:
@@ -322,13 +846,133 @@ router.put(
 router.patch(
   '/:id/genero', 
   verificarToken,
-  isEntrenador,
+  requierePermiso(PERMISOS.ESTUDIANTE_ACTUALIZAR),
   [ 
     validarParametroUUID('id', 'El ID del estudiante en la URL debe ser un UUID válido.'),
     body('nuevoNombreGenero').trim().notEmpty().withMessage('El nuevo nombre del género es requerido.')
   ],
   manejarResultadosValidacion,
+  requiereAlcance('estudiante', (req) => [req.params.id]),
+  auditar({ accion: 'estudiante.actualizar-genero', entidad: 'estudiante', entidadId: (req) => req.params.id }),
   estudianteController.actualizarGeneroEstudiante
 );
 
+/**
+ * @swagger
+ * /api/estudiantes/{id}/archivar:
+ *   post:
+ *     x-permiso: estudiante:archivar
+ *     summary: Archiva un estudiante y, en cascada, sus entrenamientos y sesiones.
+ *     description: "El estudiante deja de aparecer en los listados (salvo con `incluirArchivados=true`) pero sus datos se conservan.
+ *       Los entrenamientos y sesiones que no estaban archivados se archivan en cascada y se restauran con él.
+ *       Pasado el periodo de retención, un administrador puede purgarlo definitivamente."
+ *     tags: [Estudiantes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID del estudiante (UUID).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MotivoArchivado'
+ *     responses:
+ *       200:
+ *         description: Estudiante archivado; indica cuántos registros de cada tipo se archivaron.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResultadoArchivado'
+ *       400:
+ *         description: ID inválido o motivo ausente.
+ *       403:
+ *         description: Prohibido (sin el permiso requerido o fuera del alcance del usuario).
+ *       404:
+ *         description: Estudiante no encontrado.
+ *       409:
+ *         description: El estudiante ya está archivado.
+ */
+router.post(
+  '/:id/archivar',
+  verificarToken,
+  requierePermiso(PERMISOS.ESTUDIANTE_ARCHIVAR),
+  validarParametroUUID('id', 'El ID del estudiante en la URL debe ser un UUID válido.'),
+  validacionesMotivoArchivado,
+  manejarResultadosValidacion,
+  requiereAlcance('estudiante', (req) => [req.params.id]),
+  auditar({
+    accion: 'estudiante.archivar',
+    entidad: 'estudiante',
+    entidadId: (req) => req.params.id,
+    antes: (req) => estadoArchivo('estudiante', req.params.id),
+    despues: (req, respuesta) => respuesta?.data,
+  }),
+  archivadoController.archivar('estudiante', 'id')
+);
+
+/**
+ * @swagger
+ * /api/estudiantes/{id}/restaurar:
+ *   post:
+ *     x-permiso: estudiante:archivar
+ *     summary: Restaura un estudiante archivado y los entrenamientos y sesiones que se archivaron con él.
+ *     description: Los entrenamientos o sesiones archivados por separado antes que el estudiante siguen archivados.
+ *     tags: [Estudiantes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID del estudiante (UUID).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MotivoArchivado'
+ *     responses:
+ *       200:
+ *         description: Estudiante restaurado; indica cuántos registros de cada tipo se restauraron.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResultadoArchivado'
+ *       400:
+ *         description: ID inválido o motivo ausente.
+ *       403:
+ *         description: Prohibido (sin el permiso requerido o fuera del alcance del usuario).
+ *       404:
+ *         description: Estudiante no encontrado (o ya purgado).
+ *       409:
+ *         description: El estudiante no está archivado.
+ */
+router.post(
+  '/:id/restaurar',
+  verificarToken,
+  requierePermiso(PERMISOS.ESTUDIANTE_ARCHIVAR),
+  validarParametroUUID('id', 'El ID del estudiante en la URL debe ser un UUID válido.'),
+  validacionesMotivoArchivado,
+  manejarResultadosValidacion,
+  requiereAlcance('estudiante', (req) => [req.params.id]),
+  auditar({
+    accion: 'estudiante.restaurar',
+    entidad: 'estudiante',
+    entidadId: (req) => req.params.id,
+    antes: (req) => estadoArchivo('estudiante', req.params.id),
+    despues: (req, respuesta) => respuesta?.data,
+  }),
+  archivadoController.restaurar('estudiante', 'id')
+);
+
 export default router; 
\ No newline at end of file
@@ -1,6 +1,8 @@
 import { Router } from 'express';
 import { obtenerFacultades } from '../controllers/facultad.controller.js';
 import { verificarToken } from '../middlewares/verificarToken.middleware.js';
+import { requierePermiso } from '../middlewares/verificarPermisos.middleware.js';
+import { PERMISOS } from '../utils/permisos.utils.js';
 
 const router = Router();
 
@@ -15,6 +17,7 @@ const router = Router();
  * @swagger
  * /api/facultades:
  *   get:
+ *     x-permiso: catalogo:leer
  *     summary: Obtiene la lista de todas las facultades disponibles.
  *     tags: [Facultades]
  *     security:
@@ -45,10 +48,11 @@ const router = Router();
  *         $ref: '#/components/schemas/Error'
  */
 // GET /facultades - Para listar todas las facultades
-// Protegido: Solo usuarios autenticados pueden acceder
+// Protegido: requiere el permiso catalogo:leer (todos los roles lo tienen)
 router.get(
   '/', // La ruta base será /facultades
   verificarToken,
+  requierePermiso(PERMISOS.CATALOGO_LEER),
   obtenerFacultades
 );
 
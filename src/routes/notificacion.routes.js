@@ -0,0 +1,225 @@
+import { Router } from 'express';
+import {
+  listarNotificaciones, marcarLeida, marcarTodasLeidas, obtenerPreferencias, actualizarPreferencias,
+} from '../controllers/notificacion.controller.js';
+import { verificarToken } from '../middlewares/verificarToken.middleware.js';
+import { requierePermiso } from '../middlewares/verificarPermisos.middleware.js';
+import { manejarResultadosValidacion } from '../middlewares/validation.middleware.js';
+import { auditar } from '../middlewares/auditoria.middleware.js';
+import { PERMISOS } from '../utils/permisos.utils.js';
+import { validacionesListadoNotificaciones, validacionesMarcarLeida, validacionesPreferencias } from '../validators/notificacion.validators.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notificaciones
+ *   description: >
+ *     Bandeja de notificaciones del usuario autenticado y sus preferencias. Se notifica cuando se asigna un entrenamiento
+ *     a un entrenador, cuando se desactiva un entrenador y cuando un estudiante abandona o finaliza una variable.
+ *     Cada notificación llega a la bandeja de la aplicación y, si hay SMTP configurado, por correo.
+ */
+
+/**
+ * @swagger
+ * /api/notificaciones:
+ *   get:
+ *     x-permiso: notificacion:gestionar-propias
+ *     summary: Lista la bandeja de notificaciones del usuario autenticado.
+ *     description: "Listado paginado. Orden (`sort`): fechaCreacion, evento (por defecto -fechaCreacion). Filtros: leida, evento, fechaDesde y fechaHasta (de creación)."
+ *     tags: [Notificaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListadoPage'
+ *       - $ref: '#/components/parameters/ListadoPageSize'
+ *       - $ref: '#/components/parameters/ListadoCursor'
+ *       - $ref: '#/components/parameters/ListadoSort'
+ *       - in: query
+ *         name: leida
+ *         required: false
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: evento
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [entrenamiento.asignado, entrenador.desactivado, variable.abandonada, variable.finalizada]
+ *       - $ref: '#/components/parameters/FiltroFechaDesde'
+ *       - $ref: '#/components/parameters/FiltroFechaHasta'
+ *     responses:
+ *       200:
+ *         description: Notificaciones obtenidas exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Paginacion'
+ *                 - type: object
+ *                   properties:
+ *                     success: { type: boolean, example: true }
+ *                     message: { type: string }
+ *                     noLeidas: { type: integer, description: Total de notificaciones sin leer del usuario, sin aplicar filtros. }
+ *                     notificaciones:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Notificacion'
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/',
+  verificarToken,
+  requierePermiso(PERMISOS.NOTIFICACION_GESTIONAR_PROPIAS),
+  validacionesListadoNotificaciones,
+  manejarResultadosValidacion,
+  listarNotificaciones
+);
+
+/**
+ * @swagger
+ * /api/notificaciones/leer-todas:
+ *   patch:
+ *     x-permiso: notificacion:gestionar-propias
+ *     summary: Marca como leídas todas las notificaciones del usuario autenticado.
+ *     tags: [Notificaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notificaciones marcadas como leídas.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string }
+ *                 marcadas: { type: integer }
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.patch('/leer-todas', verificarToken, requierePermiso(PERMISOS.NOTIFICACION_GESTIONAR_PROPIAS), marcarTodasLeidas);
+
+/**
+ * @swagger
+ * /api/notificaciones/preferencias:
+ *   get:
+ *     x-permiso: notificacion:gestionar-propias
+ *     summary: Obtiene las preferencias de notificación del usuario autenticado.
+ *     description: Una preferencia por evento y canal; las que el usuario no configuró están habilitadas.
+ *     tags: [Notificaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferencias obtenidas exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RespuestaPreferenciasNotificacion'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *   put:
+ *     x-permiso: notificacion:gestionar-propias
+ *     summary: Actualiza preferencias de notificación del usuario autenticado.
+ *     description: Las combinaciones de evento y canal que no se envían conservan su valor.
+ *     tags: [Notificaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [preferencias]
+ *             properties:
+ *               preferencias:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   $ref: '#/components/schemas/PreferenciaNotificacion'
+ *           example:
+ *             preferencias: [{ evento: "variable.finalizada", canal: "correo", habilitado: false }]
+ *     responses:
+ *       200:
+ *         description: Preferencias actualizadas.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RespuestaPreferenciasNotificacion'
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ * components:
+ *   schemas:
+ *     RespuestaPreferenciasNotificacion:
+ *       type: object
+ *       properties:
+ *         success: { type: boolean, example: true }
+ *         message: { type: string }
+ *         correoDisponible:
+ *           type: boolean
+ *           description: Falso si el servidor no tiene SMTP configurado; en ese caso solo se notifica en la aplicación.
+ *         preferencias:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PreferenciaNotificacion'
+ */
+router.get('/preferencias', verificarToken, requierePermiso(PERMISOS.NOTIFICACION_GESTIONAR_PROPIAS), obtenerPreferencias);
+router.put(
+  '/preferencias',
+  verificarToken,
+  requierePermiso(PERMISOS.NOTIFICACION_GESTIONAR_PROPIAS),
+  validacionesPreferencias,
+  manejarResultadosValidacion,
+  auditar({ accion: 'notificacion-preferencias.actualizar', entidad: 'usuario', entidadId: (req) => req.user.id }),
+  actualizarPreferencias
+);
+
+/**
+ * @swagger
+ * /api/notificaciones/{notificacionId}/leer:
+ *   patch:
+ *     x-permiso: notificacion:gestionar-propias
+ *     summary: Marca como leída una notificación del usuario autenticado.
+ *     tags: [Notificaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notificacionId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Notificación marcada como leída.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string }
+ *                 notificacion:
+ *                   $ref: '#/components/schemas/Notificacion'
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: La notificación no existe o no es del usuario.
+ */
+router.patch(
+  '/:notificacionId/leer',
+  verificarToken,
+  requierePermiso(PERMISOS.NOTIFICACION_GESTIONAR_PROPIAS),
+  validacionesMarcarLeida,
+  manejarResultadosValidacion,
+  marcarLeida
+);
+
+export default router;
@@ -0,0 +1,264 @@
+import { Router } from 'express';
+import {
+  obtenerPerfil, actualizarCorreoContacto, listarEntrenamientos, listarProximasSesiones, solicitarCambioSesion, listarSolicitudesCambio,
+} from '../controllers/portal.controller.js';
+import { verificarToken } from '../middlewares/verificarToken.middleware.js';
+import { requierePermiso } from '../middlewares/verificarPermisos.middleware.js';
+import { manejarResultadosValidacion } from '../middlewares/validation.middleware.js';
+import { auditar } from '../middlewares/auditoria.middleware.js';
+import { idempotente } from '../middlewares/idempotencia.middleware.js';
+import { estadoCorreoContacto } from '../services/auditoria.service.js';
+import { PERMISOS } from '../utils/permisos.utils.js';
+import { validacionesCorreoContacto, validacionesSolicitarCambio } from '../validators/portal.validators.js';
+
+/**
+ * @file Contiene las rutas del portal del estudiante. Todas operan sobre el estudiante autenticado (`req.user`).
+ */
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Portal del estudiante
+ *   description: >
+ *     Autoservicio del estudiante autenticado (rol `estudiante`, ver `/api/login/estudiante`): su perfil, su correo de
+ *     contacto, sus entrenamientos con el progreso por variable, sus próximas sesiones y las solicitudes de cambio de
+ *     fecha de esas sesiones. Solo devuelve datos del propio estudiante y nunca las observaciones de los entrenadores.
+ */
+
+/**
+ * @swagger
+ * /api/portal/perfil:
+ *   get:
+ *     x-permiso: portal:leer-propio
+ *     summary: Obtiene el perfil del estudiante autenticado.
+ *     tags: [Portal del estudiante]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Perfil obtenido exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string }
+ *                 perfil:
+ *                   $ref: '#/components/schemas/PerfilPortalEstudiante'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.get('/perfil', verificarToken, requierePermiso(PERMISOS.PORTAL_LEER_PROPIO), obtenerPerfil);
+
+/**
+ * @swagger
+ * /api/portal/perfil/correo-contacto:
+ *   patch:
+ *     x-permiso: portal:actualizar-contacto
+ *     summary: Actualiza el correo de contacto del estudiante autenticado.
+ *     description: >
+ *       Las notificaciones del estudiante llegan a este correo; si lo borra (null), vuelven al correo institucional.
+ *       El correo institucional, con el que inicia sesión, no cambia.
+ *     tags: [Portal del estudiante]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [correoContacto]
+ *             properties:
+ *               correoContacto: { type: string, format: email, nullable: true, maxLength: 150 }
+ *     responses:
+ *       200:
+ *         description: Correo de contacto actualizado; devuelve el perfil.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string }
+ *                 perfil:
+ *                   $ref: '#/components/schemas/PerfilPortalEstudiante'
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.patch(
+  '/perfil/correo-contacto',
+  verificarToken,
+  requierePermiso(PERMISOS.PORTAL_ACTUALIZAR_CONTACTO),
+  validacionesCorreoContacto,
+  manejarResultadosValidacion,
+  auditar({
+    accion: 'estudiante.actualizar-correo-contacto',
+    entidad: 'estudiante',
+    entidadId: (req) => req.user.id,
+    antes: (req) => estadoCorreoContacto(req.user.id),
+    despues: (req, respuesta) => ({ correoContacto: respuesta?.perfil?.correoContacto ?? null }),
+  }),
+  actualizarCorreoContacto
+);
+
+/**
+ * @swagger
+ * /api/portal/entrenamientos:
+ *   get:
+ *     x-permiso: portal:leer-propio
+ *     summary: Lista los entrenamientos del estudiante autenticado con su progreso por variable.
+ *     description: >
+ *       Incluye, por variable, el nivel inicial, las métricas actuales, los totales de sesiones y cada sesión con su
+ *       número, estado y fechas. No incluye entrenamientos ni sesiones archivados, ni las observaciones de las sesiones.
+ *     tags: [Portal del estudiante]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Entrenamientos obtenidos exitosamente, del más reciente al más antiguo.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string }
+ *                 total: { type: integer }
+ *                 entrenamientos:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EntrenamientoPortalEstudiante'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.get('/entrenamientos', verificarToken, requierePermiso(PERMISOS.PORTAL_LEER_PROPIO), listarEntrenamientos);
+
+/**
+ * @swagger
+ * /api/portal/sesiones:
+ *   get:
+ *     x-permiso: portal:leer-propio
+ *     summary: Lista las próximas sesiones planificadas del estudiante autenticado.
+ *     description: Las sesiones que no han terminado ni están canceladas, con la solicitud de cambio pendiente de cada una.
+ *     tags: [Portal del estudiante]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Próximas sesiones obtenidas exitosamente, en orden de inicio.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string }
+ *                 total: { type: integer }
+ *                 sesiones:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SesionPlanificadaPortal'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.get('/sesiones', verificarToken, requierePermiso(PERMISOS.PORTAL_LEER_PROPIO), listarProximasSesiones);
+
+/**
+ * @swagger
+ * /api/portal/sesiones/{sesionPlanificadaId}/solicitudes-cambio:
+ *   post:
+ *     x-permiso: portal:solicitar-cambio-sesion
+ *     summary: Pide el cambio de fecha de una sesión planificada del estudiante autenticado.
+ *     description: >
+ *       La sesión conserva su duración. La solicitud queda pendiente hasta que el entrenador la apruebe o la rechace;
+ *       se le notifica al entrenador. Una sesión solo puede tener una solicitud pendiente.
+ *     tags: [Portal del estudiante]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sesionPlanificadaId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [inicioPropuesto, motivo]
+ *             properties:
+ *               inicioPropuesto: { type: string, example: '2025-03-04T15:00', description: 'YYYY-MM-DDTHH:MM en hora local.' }
+ *               motivo: { type: string, minLength: 5, maxLength: 500 }
+ *     responses:
+ *       201:
+ *         description: Solicitud creada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string }
+ *                 data:
+ *                   $ref: '#/components/schemas/SolicitudCambioSesion'
+ *       400:
+ *         description: Datos inválidos, o el horario propuesto ya pasó o es el mismo de la sesión.
+ *       404:
+ *         description: La sesión no existe o no es del estudiante.
+ *       409:
+ *         description: La sesión está cancelada, ya empezó o ya tiene una solicitud pendiente.
+ */
+router.post(
+  '/sesiones/:sesionPlanificadaId/solicitudes-cambio',
+  verificarToken,
+  requierePermiso(PERMISOS.PORTAL_SOLICITAR_CAMBIO_SESION),
+  validacionesSolicitarCambio,
+  manejarResultadosValidacion,
+  idempotente,
+  auditar({
+    accion: 'solicitud-cambio-sesion.crear',
+    entidad: 'solicitud-cambio-sesion',
+    entidadId: (req, respuesta) => respuesta?.data?.id,
+    despues: (req, respuesta) => respuesta?.data,
+  }),
+  solicitarCambioSesion
+);
+
+/**
+ * @swagger
+ * /api/portal/solicitudes-cambio:
+ *   get:
+ *     x-permiso: portal:leer-propio
+ *     summary: Lista las solicitudes de cambio de fecha del estudiante autenticado.
+ *     tags: [Portal del estudiante]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Solicitudes obtenidas exitosamente, de la más reciente a la más antigua.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string }
+ *                 total: { type: integer }
+ *                 solicitudes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SolicitudCambioSesion'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ */
+router.get('/solicitudes-cambio', verificarToken, requierePermiso(PERMISOS.PORTAL_LEER_PROPIO), listarSolicitudesCambio);
+
+export default router;
@@ -1,10 +1,18 @@
 import { Router } from 'express';
 import { verificarToken } from '../middlewares/verificarToken.middleware.js';
-import { isEntrenador } from '../middlewares/verificarRoles.middleware.js';
+import { requierePermiso } from '../middlewares/verificarPermisos.middleware.js';
+import { requiereAlcance } from '../middlewares/verificarAlcance.middleware.js';
+import { requierePropiedad } from '../middlewares/verificarPropiedad.middleware.js';
+import { auditar } from '../middlewares/auditoria.middleware.js';
+import { estadoArchivo } from '../services/auditoria.service.js';
+import { idempotente } from '../middlewares/idempotencia.middleware.js';
+import { PERMISOS } from '../utils/permisos.utils.js';
 import { manejarResultadosValidacion } from '../middlewares/validation.middleware.js';
 import { validarParametroUUID } from '../utils/validaciones.utils.js';
 import { body } from 'express-validator';
 import * as sesionController from '../controllers/sesion.controller.js';
+import * as archivadoController from '../controllers/archivado.controller.js';
+import { validacionesMotivoArchivado } from '../validators/archivado.validators.js';
 
 const router = Router();
 
@@ -19,10 +27,13 @@ const router = Router();
  * @swagger
  * /api/sesiones/crear:
  *   post:
+ *     x-permiso: sesion:crear
  *     summary: Crea una nueva sesión de entrenamiento para una variable cognitiva específica.
  *     tags: [Sesiones]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -53,11 +64,16 @@ const router = Router();
  *         description: El usuario no tiene el rol de Entrenador.
  *       404:
  *         description: Estudiante o variable no encontrados.
+ *       409:
+ *         description: La clave de idempotencia ya se usó con otra petición o la petición original sigue en curso.
  */
 router.post(
     '/crear',
     verificarToken,
-    isEntrenador,
+    requierePermiso(PERMISOS.SESION_CREAR),
+    requiereAlcance('estudianteDocumento', (req) => [req.body.siglaTipoDocEstudiante, req.body.numeroDocEstudiante]),
+    idempotente,
+    auditar({ accion: 'sesion.crear', entidad: 'sesion', entidadId: (req, respuesta) => respuesta?.data?.sesionentrenamientoid }),
     sesionController.crearSesion
 );
 
@@ -65,6 +81,7 @@ router.post(
  * @swagger
  * /api/sesiones/{idSesion}/iniciar:
  *   post:
+ *     x-permiso: sesion:iniciar
  *     summary: Inicia una sesión de entrenamiento que está 'Por Iniciar'.
  *     tags: [Sesiones]
  *     security:
@@ -76,21 +93,146 @@ router.post(
  *         schema:
  *           type: string
  *           format: uuid
+ *       - $ref: '#/components/parameters/OverrideMotivo'
  *     responses:
  *       200:
  *         description: Sesión iniciada exitosamente.
  *       400:
  *         description: La sesión no se puede iniciar (ej. ya está iniciada o finalizada).
+ *       403:
+ *         description: Prohibido (sin el permiso requerido, el entrenamiento no está asignado al entrenador, o el admin no indicó X-Override-Motivo).
  *       404:
  *         description: Sesión no encontrada.
  */
 router.post(
     '/:idSesion/iniciar',
     verificarToken,
-    isEntrenador,
+    requierePermiso(PERMISOS.SESION_INICIAR),
     validarParametroUUID('idSesion'),
     manejarResultadosValidacion,
+    requierePropiedad('sesion', 'idSesion'),
+    auditar({ accion: 'sesion.iniciar', entidad: 'sesion', entidadId: (req) => req.params.idSesion }),
     sesionController.iniciarSesion
 );
 
+/**
+ * @swagger
+ * /api/sesiones/{idSesion}/archivar:
+ *   post:
+ *     x-permiso: sesion:archivar
+ *     summary: Archiva una sesión de entrenamiento.
+ *     description: La sesión deja de contar en el historial de métricas (salvo con `incluirArchivados=true`). Pasado el periodo de retención, un administrador puede purgarla definitivamente.
+ *     tags: [Sesiones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: idSesion
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID de la sesión de entrenamiento (UUID).
+ *       - $ref: '#/components/parameters/OverrideMotivo'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MotivoArchivado'
+ *     responses:
+ *       200:
+ *         description: Sesión archivada; indica cuántos registros de cada tipo se archivaron.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResultadoArchivado'
+ *       400:
+ *         description: ID inválido o motivo ausente.
+ *       403:
+ *         description: Prohibido (sin el permiso requerido, fuera del alcance del usuario, el entrenamiento no está asignado al entrenador, o el admin no indicó X-Override-Motivo).
+ *       404:
+ *         description: Sesión no encontrada
+ *       409:
+ *         description: La sesión ya está archivada.
+ */
+router.post(
+    '/:idSesion/archivar',
+    verificarToken,
+    requierePermiso(PERMISOS.SESION_ARCHIVAR),
+    validarParametroUUID('idSesion'),
+    validacionesMotivoArchivado,
+    manejarResultadosValidacion,
+    requiereAlcance('sesion', (req) => [req.params.idSesion]),
+    requierePropiedad('sesion', 'idSesion'),
+    auditar({
+        accion: 'sesion.archivar',
+        entidad: 'sesion',
+        entidadId: (req) => req.params.idSesion,
+        antes: (req) => estadoArchivo('sesion', req.params.idSesion),
+        despues: (req, respuesta) => respuesta?.data,
+    }),
+    archivadoController.archivar('sesion', 'idSesion')
+);
+
+/**
+ * @swagger
+ * /api/sesiones/{idSesion}/restaurar:
+ *   post:
+ *     x-permiso: sesion:archivar
+ *     summary: Restaura una sesión de entrenamiento archivada.
+ *     description: No se puede restaurar mientras su entrenamiento siga archivado.
+ *     tags: [Sesiones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: idSesion
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID de la sesión de entrenamiento (UUID).
+ *       - $ref: '#/components/parameters/OverrideMotivo'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MotivoArchivado'
+ *     responses:
+ *       200:
+ *         description: Sesión restaurada; indica cuántos registros de cada tipo se restauraron.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResultadoArchivado'
+ *       400:
+ *         description: ID inválido o motivo ausente.
+ *       403:
+ *         description: Prohibido (sin el permiso requerido, fuera del alcance del usuario, el entrenamiento no está asignado al entrenador, o el admin no indicó X-Override-Motivo).
+ *       404:
+ *         description: Sesión no encontrada (o ya purgada).
+ *       409:
+ *         description: La sesión no está archivada o su entrenamiento sigue archivado.
+ */
+router.post(
+    '/:idSesion/restaurar',
+    verificarToken,
+    requierePermiso(PERMISOS.SESION_ARCHIVAR),
+    validarParametroUUID('idSesion'),
+    validacionesMotivoArchivado,
+    manejarResultadosValidacion,
+    requiereAlcance('sesion', (req) => [req.params.idSesion]),
+    requierePropiedad('sesion', 'idSesion'),
+    auditar({
+        accion: 'sesion.restaurar',
+        entidad: 'sesion',
+        entidadId: (req) => req.params.idSesion,
+        antes: (req) => estadoArchivo('sesion', req.params.idSesion),
+        despues: (req, respuesta) => respuesta?.data,
+    }),
+    archivadoController.restaurar('sesion', 'idSesion')
+);
+
 export default router;
\ No newline at end of file
@@ -1,6 +1,8 @@
 import { Router } from 'express';
 import { obtenerTiposDocumento } from '../controllers/tipoDocumento.controller.js';
 import { verificarToken } from '../middlewares/verificarToken.middleware.js';
+import { requierePermiso } from '../middlewares/verificarPermisos.middleware.js';
+import { PERMISOS } from '../utils/permisos.utils.js';
 
 const router = Router();
 
@@ -15,6 +17,7 @@ const router = Router();
  * @swagger
  * /api/tipos-documento:
  *   get:
+ *     x-permiso: catalogo:leer
  *     summary: Obtiene la lista de todos los tipos de documento disponibles.
  *     tags: [TiposDocumento]
  *     security:
@@ -46,10 +49,11 @@ const router = Router();
  */
 
 // GET /api/tipos-documento - Para listar todos los tipos de documento
-// Protegido: Solo usuarios autenticados pueden acceder
+// Protegido: requiere el permiso catalogo:leer (todos los roles lo tienen)
 router.get(
   '/', // La ruta base será /api/tipos-documento (definida en index.js)
-  verificarToken, // Solo requiere estar logueado, no un rol específico
+  verificarToken,
+  requierePermiso(PERMISOS.CATALOGO_LEER),
   obtenerTiposDocumento
 );
 
@@ -2,6 +2,9 @@ import { Router } from 'express';
 import * as utilidadesController from '../controllers/utilidades.controller.js';
 import logger from '../config/logger.js';
 import { verificarToken } from '../middlewares/verificarToken.middleware.js'; 
+import { requierePermiso } from '../middlewares/verificarPermisos.middleware.js';
+import { requiereAlcance } from '../middlewares/verificarAlcance.middleware.js';
+import { PERMISOS } from '../utils/permisos.utils.js';
 
 const router = Router();
 
@@ -16,6 +19,7 @@ const router = Router();
  * @swagger
  * /api/utilidades/generos:
  *   get:
+ *     x-permiso: catalogo:leer
  *     summary: Obtiene la lista de todos los géneros disponibles.
  *     tags: [Utilidades]
  *     responses:
@@ -43,12 +47,13 @@ const router = Router();
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/generos', verificarToken, utilidadesController.obtenerGenerosController);
+router.get('/generos', verificarToken, requierePermiso(PERMISOS.CATALOGO_LEER), utilidadesController.obtenerGenerosController);
 
 /**
  * @swagger
  * /api/utilidades/tipos-documento:
  *   get:
+ *     x-permiso: catalogo:leer
  *     summary: Obtiene la lista de todos los tipos de documento disponibles.
  *     tags: [Utilidades]
  *     responses:
@@ -76,12 +81,13 @@ router.get('/generos', verificarToken, utilidadesController.obtenerGenerosContro
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/tipos-documento', verificarToken, utilidadesController.obtenerTiposDocumentoController);
+router.get('/tipos-documento', verificarToken, requierePermiso(PERMISOS.CATALOGO_LEER), utilidadesController.obtenerTiposDocumentoController);
 
 /**
  * @swagger
  * /api/utilidades/programas:
  *   get:
+ *     x-permiso: catalogo:leer
  *     summary: Obtiene la lista de todos los programas disponibles.
  *     tags: [Utilidades]
  *     responses:
@@ -109,12 +115,13 @@ router.get('/tipos-documento', verificarToken, utilidadesController.obtenerTipos
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/programas', verificarToken, utilidadesController.obtenerProgramasController);
+router.get('/programas', verificarToken, requierePermiso(PERMISOS.CATALOGO_LEER), utilidadesController.obtenerProgramasController);
 
 /**
  * @swagger
  * /api/utilidades/tipos-variables-cognitivas:
  *   get:
+ *     x-permiso: catalogo:leer
  *     summary: Obtiene la lista de todos los tipos de variables cognitivas disponibles.
  *     tags: [Utilidades]
  *     responses:
@@ -142,12 +149,13 @@ router.get('/programas', verificarToken, utilidadesController.obtenerProgramasCo
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/tipos-variables-cognitivas', verificarToken, utilidadesController.obtenerTiposVariablesCognitivasController);
+router.get('/tipos-variables-cognitivas', verificarToken, requierePermiso(PERMISOS.CATALOGO_LEER), utilidadesController.obtenerTiposVariablesCognitivasController);
 
 /**
  * @swagger
  * /api/utilidades/estudiantes/documento/{tipoDocumento}/{numeroDocumento}:
  *   get:
+ *     x-permiso: estudiante:leer
  *     summary: Obtiene el ID de un estudiante por su tipo y número de documento.
  *     tags: [Utilidades]
  *     parameters:
@@ -210,6 +218,6 @@ router.get('/tipos-variables-cognitivas', verificarToken, utilidadesController.o
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/estudiantes/documento/:tipoDocumento/:numeroDocumento', verificarToken, utilidadesController.obtenerIdEstudiantePorDocumentoController);
+router.get('/estudiantes/documento/:tipoDocumento/:numeroDocumento', verificarToken, requierePermiso(PERMISOS.ESTUDIANTE_LEER), requiereAlcance('estudianteDocumento', (req) => [req.params.tipoDocumento, req.params.numeroDocumento]), utilidadesController.obtenerIdEstudiantePorDocumentoController);
 
 export default router; 
\ No newline at end of file
@@ -1,13 +1,36 @@
 import express from 'express';
 import { abandonarVariableCognitiva, reactivarVariableCognitiva, obtenerIdVariableCognitivaPorNombre } from '../controllers/variablesCognitivas.controller.js';
 import { verificarToken } from '../middlewares/verificarToken.middleware.js';
+import { requierePermiso } from '../middlewares/verificarPermisos.middleware.js';
+import { requiereAlcance } from '../middlewares/verificarAlcance.middleware.js';
+import { auditar } from '../middlewares/auditoria.middleware.js';
+import { PERMISOS } from '../utils/permisos.utils.js';
+import { validarParametroUUID } from '../utils/validaciones.utils.js';
+import { manejarResultadosValidacion } from '../middlewares/validation.middleware.js';
+import { validacionesCrearEsquema, validacionVersionEsquema } from '../validators/esquemaMetricas.validators.js';
+import { listarVersiones, obtenerVigente, obtenerVersion, crearVersion, retirarVersion } from '../controllers/esquemaMetricas.controller.js';
 
 const router = express.Router();
 
+// El estudiante de la asignación debe estar dentro del alcance por facultad del usuario.
+const alcanceEstudianteBody = requiereAlcance('estudianteDocumento', (req) => [req.body.siglaDocumento, req.body.numeroDocumento]);
+
+const auditarAsignacion = (accion) => auditar({ accion, entidad: 'asignacion', entidadId: (req, respuesta) => respuesta?.asignacionId });
+
+const auditarEsquema = (accion) => auditar({
+  accion,
+  entidad: 'esquema-metricas',
+  entidadId: (req, respuesta) => respuesta?.esquema && `${req.params.variableId}:v${respuesta.esquema.version}`,
+  despues: (req, respuesta) => respuesta?.esquema,
+});
+
+const variableIdValido = validarParametroUUID('variableId');
+
 /**
  * @swagger
  * /api/variables-cognitivas/abandonar:
  *   patch:
+ *     x-permiso: asignacion:abandonar
  *     summary: Marcar una asignación de variable cognitiva como 'Abandono' para un estudiante específico.
  *     tags: [VariablesCognitivas]
  *     requestBody:
@@ -54,12 +77,13 @@ const router = express.Router();
  *       500:
  *         description: Error del servidor.
  */
-router.patch('/abandonar', verificarToken, abandonarVariableCognitiva);
+router.patch('/abandonar', verificarToken, requierePermiso(PERMISOS.ASIGNACION_ABANDONAR), alcanceEstudianteBody, auditarAsignacion('asignacion.abandonar'), abandonarVariableCognitiva);
 
 /**
  * @swagger
  * /api/variables-cognitivas/reactivar:
  *   patch:
+ *     x-permiso: asignacion:reactivar
  *     summary: Reactivar una asignación de variable cognitiva que estaba en estado 'Abandono'.
  *     tags: [VariablesCognitivas]
  *     requestBody:
@@ -106,12 +130,13 @@ router.patch('/abandonar', verificarToken, abandonarVariableCognitiva);
  *       500:
  *         description: Error del servidor.
  */
-router.patch('/reactivar', verificarToken, reactivarVariableCognitiva);
+router.patch('/reactivar', verificarToken, requierePermiso(PERMISOS.ASIGNACION_REACTIVAR), alcanceEstudianteBody, auditarAsignacion('asignacion.reactivar'), reactivarVariableCognitiva);
 
 /**
  * @swagger
  * /api/variables-cognitivas/nombre/{nombre}:
  *   get:
+ *     x-permiso: variable-cognitiva:leer
  *     summary: Obtener el ID de una variable cognitiva por su nombre.
  *     tags: [VariablesCognitivas]
  *     parameters:
@@ -140,6 +165,188 @@ router.patch('/reactivar', verificarToken, reactivarVariableCognitiva);
  *       500:
  *         description: Error del servidor.
  */
-router.get('/nombre/:nombre', verificarToken, obtenerIdVariableCognitivaPorNombre);
+router.get('/nombre/:nombre', verificarToken, requierePermiso(PERMISOS.VARIABLE_COGNITIVA_LEER), obtenerIdVariableCognitivaPorNombre);
+
+/**
+ * @swagger
+ * /api/variables-cognitivas/{variableId}/esquemas:
+ *   get:
+ *     x-permiso: variable-cognitiva:leer
+ *     summary: Lista las versiones del esquema de métricas de una variable cognitiva.
+ *     description: De la más reciente a la más antigua. La vigente es la versión activa más alta.
+ *     tags: [VariablesCognitivas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: variableId
+ *         required: true
+ *         schema: { type: 'string', format: 'uuid' }
+ *     responses:
+ *       200:
+ *         description: Versiones del esquema.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean' }
+ *                 message: { type: 'string' }
+ *                 total: { type: 'integer' }
+ *                 esquemas:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EsquemaMetricas'
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *   post:
+ *     x-permiso: esquema-metricas:gestionar
+ *     summary: Publica una nueva versión del esquema de métricas de una variable cognitiva.
+ *     description: "La nueva versión pasa a ser la vigente. Desde entonces, el nivel inicial y las métricas de las asignaciones y sesiones de la variable deben cumplirla: solo las claves definidas, con su tipo y dentro de su rango. Las versiones anteriores se conservan."
+ *     tags: [VariablesCognitivas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: variableId
+ *         required: true
+ *         schema: { type: 'string', format: 'uuid' }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [campos]
+ *             properties:
+ *               descripcion:
+ *                 type: string
+ *                 example: "Se agrega el tiempo de reacción."
+ *               campos:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/CampoMetrica'
+ *     responses:
+ *       201:
+ *         description: Versión publicada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean' }
+ *                 message: { type: 'string' }
+ *                 esquema:
+ *                   $ref: '#/components/schemas/EsquemaMetricas'
+ *       400:
+ *         $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: La variable cognitiva no existe.
+ *       409:
+ *         description: Otra versión se publicó al mismo tiempo.
+ */
+router.get('/:variableId/esquemas', verificarToken, requierePermiso(PERMISOS.VARIABLE_COGNITIVA_LEER), variableIdValido, manejarResultadosValidacion, listarVersiones);
+router.post('/:variableId/esquemas', verificarToken, requierePermiso(PERMISOS.ESQUEMA_METRICAS_GESTIONAR), variableIdValido, validacionesCrearEsquema, manejarResultadosValidacion, auditarEsquema('esquema-metricas.publicar'), crearVersion);
+
+/**
+ * @swagger
+ * /api/variables-cognitivas/{variableId}/esquemas/vigente:
+ *   get:
+ *     x-permiso: variable-cognitiva:leer
+ *     summary: Obtiene el esquema de métricas vigente de una variable cognitiva.
+ *     tags: [VariablesCognitivas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: variableId
+ *         required: true
+ *         schema: { type: 'string', format: 'uuid' }
+ *     responses:
+ *       200:
+ *         description: Esquema vigente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean' }
+ *                 message: { type: 'string' }
+ *                 esquema:
+ *                   $ref: '#/components/schemas/EsquemaMetricas'
+ *       404:
+ *         description: La variable no tiene un esquema vigente (acepta métricas sin validar).
+ */
+router.get('/:variableId/esquemas/vigente', verificarToken, requierePermiso(PERMISOS.VARIABLE_COGNITIVA_LEER), variableIdValido, manejarResultadosValidacion, obtenerVigente);
+
+/**
+ * @swagger
+ * /api/variables-cognitivas/{variableId}/esquemas/{version}:
+ *   get:
+ *     x-permiso: variable-cognitiva:leer
+ *     summary: Obtiene una versión del esquema de métricas de una variable cognitiva.
+ *     tags: [VariablesCognitivas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: variableId
+ *         required: true
+ *         schema: { type: 'string', format: 'uuid' }
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema: { type: 'integer', minimum: 1 }
+ *     responses:
+ *       200:
+ *         description: Versión del esquema.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean' }
+ *                 message: { type: 'string' }
+ *                 esquema:
+ *                   $ref: '#/components/schemas/EsquemaMetricas'
+ *       404:
+ *         description: La versión no existe.
+ *   delete:
+ *     x-permiso: esquema-metricas:gestionar
+ *     summary: Retira una versión del esquema de métricas.
+ *     description: La versión se conserva como inactiva. Si era la vigente, pasa a serlo la versión activa anterior; si no queda ninguna, la variable acepta métricas sin validar.
+ *     tags: [VariablesCognitivas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: variableId
+ *         required: true
+ *         schema: { type: 'string', format: 'uuid' }
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema: { type: 'integer', minimum: 1 }
+ *     responses:
+ *       200:
+ *         description: Versión retirada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: 'boolean' }
+ *                 message: { type: 'string' }
+ *                 esquema:
+ *                   $ref: '#/components/schemas/EsquemaMetricas'
+ *       404:
+ *         description: La versión no existe o ya estaba retirada.
+ */
+router.get('/:variableId/esquemas/:version', verificarToken, requierePermiso(PERMISOS.VARIABLE_COGNITIVA_LEER), variableIdValido, validacionVersionEsquema, manejarResultadosValidacion, obtenerVersion);
+router.delete('/:variableId/esquemas/:version', verificarToken, requierePermiso(PERMISOS.ESQUEMA_METRICAS_GESTIONAR), variableIdValido, validacionVersionEsquema, manejarResultadosValidacion, auditarEsquema('esquema-metricas.retirar'), retirarVersion);
 
 export default router; 
\ No newline at end of file
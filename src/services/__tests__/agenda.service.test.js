@@ -0,0 +1,194 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { crearPlan, cancelarPlan, obtenerAgenda, exportarAgendaIcs } from '../agenda.service.js';
+import * as AgendaModel from '../../models/agenda.model.js';
+import * as PropiedadModel from '../../models/propiedad.model.js';
+
+jest.mock('../../models/agenda.model.js');
+jest.mock('../../models/propiedad.model.js');
+jest.mock('../../config/logger.js');
+
+const ASIGNACION_ID = 'a5c1e2d3-0000-4000-8000-000000000001';
+const ENTRENADOR = { id: 'e1e1e1e1-0000-4000-8000-000000000001', role: 'entrenador' };
+const ADMIN = { id: 'ad000000-0000-4000-8000-000000000001', role: 'admin' };
+
+const asignacion = {
+  asignacionId: ASIGNACION_ID,
+  estudianteId: 'e5e5e5e5-0000-4000-8000-000000000001',
+  estado: 'En Progreso',
+  fechaInicioEntrenamiento: '2025-03-01',
+  fechaFinEntrenamiento: '2025-04-30',
+};
+
+// Lunes y jueves a las 10:00 desde el lunes 3 de marzo de 2025.
+const datosPlan = { diasSemana: [1, 4], horaInicio: '10:00', duracionMinutos: 60, fechaInicio: '2025-03-03', semanas: 2 };
+
+describe('Servicio de Agenda', () => {
+  beforeEach(() => {
+    AgendaModel.obtenerContextoAsignacion.mockResolvedValue(asignacion);
+    AgendaModel.buscarCruces.mockResolvedValue([]);
+    AgendaModel.obtenerDisponibilidad.mockResolvedValue([]);
+    AgendaModel.crearPlan.mockImplementation(async (datos) => ({ id: 'plan-1', totalSesiones: datos.sesiones.length }));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('crearPlan', () => {
+    it('debería generar una sesión por cada día de la semana indicado durante las semanas del plan', async () => {
+      const resultado = await crearPlan(ASIGNACION_ID, datosPlan, ENTRENADOR);
+
+      expect(resultado.message).toBe('Plan de sesiones creado con 4 sesiones.');
+      expect(AgendaModel.crearPlan).toHaveBeenCalledWith(expect.objectContaining({
+        asignacionId: ASIGNACION_ID,
+        entrenadorId: ENTRENADOR.id,
+        estudianteId: asignacion.estudianteId,
+        fechaFin: '2025-03-16',
+        creadoPor: ENTRENADOR.id,
+        sesiones: [
+          { inicio: '2025-03-03T10:00:00', fin: '2025-03-03T11:00:00' },
+          { inicio: '2025-03-06T10:00:00', fin: '2025-03-06T11:00:00' },
+          { inicio: '2025-03-10T10:00:00', fin: '2025-03-10T11:00:00' },
+          { inicio: '2025-03-13T10:00:00', fin: '2025-03-13T11:00:00' },
+        ],
+      }));
+    });
+
+    it('debería terminar el plan en la fecha de fin del entrenamiento', async () => {
+      await crearPlan(ASIGNACION_ID, { ...datosPlan, fechaInicio: '2025-04-21', semanas: 8 }, ENTRENADOR);
+
+      const { fechaFin, sesiones } = AgendaModel.crearPlan.mock.calls[0][0];
+      expect(fechaFin).toBe('2025-04-30');
+      expect(sesiones.map((sesion) => sesion.inicio.slice(0, 10))).toEqual(['2025-04-21', '2025-04-24', '2025-04-28']);
+    });
+
+    it('debería usar la fecha de fin del entrenamiento si no se indican semanas ni fecha de fin', async () => {
+      const { semanas: _semanas, ...sinSemanas } = datosPlan;
+
+      await crearPlan(ASIGNACION_ID, { ...sinSemanas, fechaInicio: '2025-04-28' }, ENTRENADOR);
+
+      expect(AgendaModel.crearPlan.mock.calls[0][0].sesiones).toHaveLength(1);
+    });
+
+    it('debería exigir semanas o fecha de fin si el entrenamiento no tiene fecha de fin', async () => {
+      AgendaModel.obtenerContextoAsignacion.mockResolvedValue({ ...asignacion, fechaFinEntrenamiento: '2500-12-31' });
+      const { semanas: _semanas, ...sinSemanas } = datosPlan;
+
+      await expect(crearPlan(ASIGNACION_ID, sinSemanas, ENTRENADOR)).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('debería responder 409 con los conflictos y no crear nada si hay cruces de horario', async () => {
+      const cruce = { indice: 1, tipo: 'estudiante', sesionPlanificadaId: 'sp-1', asignacionId: 'otra', inicio: '2025-03-06T10:30:00', fin: '2025-03-06T11:30:00', variable: 'Memoria' };
+      AgendaModel.buscarCruces.mockResolvedValue([cruce]);
+
+      const resultado = await crearPlan(ASIGNACION_ID, datosPlan, ENTRENADOR);
+
+      expect(resultado).toMatchObject({ success: false, statusCode: 409 });
+      expect(resultado.conflictos).toEqual([{
+        indice: 1,
+        inicio: '2025-03-06T10:00:00',
+        fin: '2025-03-06T11:00:00',
+        cruces: [{ tipo: 'estudiante', sesionPlanificadaId: 'sp-1', asignacionId: 'otra', inicio: '2025-03-06T10:30:00', fin: '2025-03-06T11:30:00', variable: 'Memoria' }],
+        fueraDeDisponibilidad: false,
+      }]);
+      expect(AgendaModel.crearPlan).not.toHaveBeenCalled();
+    });
+
+    it('debería responder 409 si otra sesión ocupó un horario del plan después de buscar los cruces', async () => {
+      AgendaModel.crearPlan.mockRejectedValueOnce(Object.assign(new Error('conflicting key value'), { code: '23P01' }));
+
+      await expect(crearPlan(ASIGNACION_ID, datosPlan, ENTRENADOR)).rejects.toMatchObject({
+        statusCode: 409,
+        message: expect.stringMatching(/^Otra sesión se planificó en el mismo horario/),
+      });
+    });
+
+    it('debería omitir las sesiones fuera de la disponibilidad del entrenador si se pide', async () => {
+      // Solo disponible los lunes por la mañana.
+      AgendaModel.obtenerDisponibilidad.mockResolvedValue([{ diaSemana: 1, horaInicio: '08:00', horaFin: '12:00' }]);
+
+      const resultado = await crearPlan(ASIGNACION_ID, { ...datosPlan, omitirConflictos: true }, ENTRENADOR);
+
+      expect(resultado.message).toBe('Plan de sesiones creado con 2 sesiones; se omitieron 2 con conflictos.');
+      expect(resultado.data.conflictosOmitidos.map((conflicto) => conflicto.fueraDeDisponibilidad)).toEqual([true, true]);
+      expect(AgendaModel.crearPlan.mock.calls[0][0].sesiones.map((sesion) => sesion.inicio)).toEqual(['2025-03-03T10:00:00', '2025-03-10T10:00:00']);
+    });
+
+    it('no debería guardar nada en una simulación', async () => {
+      AgendaModel.obtenerDisponibilidad.mockResolvedValue([{ diaSemana: 1, horaInicio: '08:00', horaFin: '12:00' }]);
+
+      const resultado = await crearPlan(ASIGNACION_ID, { ...datosPlan, simulacion: true }, ENTRENADOR);
+
+      expect(resultado.data.sesiones.map((sesion) => sesion.conflicto)).toEqual([false, true, false, true]);
+      expect(AgendaModel.crearPlan).not.toHaveBeenCalled();
+    });
+
+    it('debería exigir a un administrador un entrenador asignado al entrenamiento', async () => {
+      await expect(crearPlan(ASIGNACION_ID, datosPlan, ADMIN)).rejects.toMatchObject({ statusCode: 400 });
+
+      PropiedadModel.esDeEntrenador.mockResolvedValue(false);
+      await expect(crearPlan(ASIGNACION_ID, { ...datosPlan, entrenadorId: 'otro' }, ADMIN)).rejects.toMatchObject({ statusCode: 400 });
+
+      PropiedadModel.esDeEntrenador.mockResolvedValue(true);
+      await crearPlan(ASIGNACION_ID, { ...datosPlan, entrenadorId: ENTRENADOR.id }, ADMIN);
+      expect(PropiedadModel.esDeEntrenador).toHaveBeenCalledWith('asignacion', ENTRENADOR.id, ASIGNACION_ID);
+      expect(AgendaModel.crearPlan).toHaveBeenCalledWith(expect.objectContaining({ entrenadorId: ENTRENADOR.id, creadoPor: ADMIN.id }));
+    });
+
+    it('debería rechazar asignaciones cerradas o inexistentes', async () => {
+      AgendaModel.obtenerContextoAsignacion.mockResolvedValueOnce({ ...asignacion, estado: 'Finalizado' });
+      await expect(crearPlan(ASIGNACION_ID, datosPlan, ENTRENADOR)).rejects.toMatchObject({ statusCode: 409 });
+
+      AgendaModel.obtenerContextoAsignacion.mockResolvedValueOnce(undefined);
+      await expect(crearPlan(ASIGNACION_ID, datosPlan, ENTRENADOR)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('cancelarPlan', () => {
+    it('debería responder 404 si el plan no está activo en la asignación', async () => {
+      AgendaModel.cancelarPlan.mockResolvedValue(undefined);
+
+      await expect(cancelarPlan(ASIGNACION_ID, 'plan-1')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('obtenerAgenda', () => {
+    const alumno = { estudianteId: 'est-1', estudianteNombres: 'Ana', estudianteApellidos: 'Ríos', variable: 'Atención' };
+
+    beforeEach(() => {
+      AgendaModel.obtenerSesionesPlanificadas.mockResolvedValue([
+        { ...alumno, sesionPlanificadaId: 'sp-1', planId: 'plan-1', asignacionId: 'as-1', inicio: '2025-03-03T10:00:00', fin: '2025-03-03T11:00:00', vencida: true },
+        { ...alumno, sesionPlanificadaId: 'sp-2', planId: 'plan-1', asignacionId: 'as-1', inicio: '2025-03-06T10:00:00', fin: '2025-03-06T11:00:00', vencida: true },
+        { ...alumno, sesionPlanificadaId: 'sp-3', planId: 'plan-1', asignacionId: 'as-1', inicio: '2025-03-10T10:00:00', fin: '2025-03-10T11:00:00', vencida: false },
+      ]);
+      AgendaModel.obtenerSesionesEjecutadas.mockResolvedValue([
+        { ...alumno, sesionId: 'se-1', numeroSesion: 1, estadoSesion: 'Finalizada', asignacionId: 'as-1', inicio: '2025-03-03T10:20:00', fin: '2025-03-03T11:05:00' },
+        { ...alumno, sesionId: 'se-2', numeroSesion: 2, estadoSesion: 'Finalizada', asignacionId: 'as-1', inicio: '2025-03-08T09:00:00', fin: '2025-03-08T10:00:00' },
+      ]);
+    });
+
+    it('debería emparejar por asignación y día las sesiones planificadas con las ejecutadas', async () => {
+      const { data } = await obtenerAgenda(ENTRENADOR.id, { desde: '2025-03-03', hasta: '2025-03-10' });
+
+      expect(data.sesiones.map((sesion) => [sesion.estado, sesion.sesionPlanificadaId, sesion.sesionId])).toEqual([
+        ['realizada', 'sp-1', 'se-1'],
+        ['no-realizada', 'sp-2', null],
+        ['no-planificada', null, 'se-2'],
+        ['pendiente', 'sp-3', null],
+      ]);
+      expect(data.sesiones[0]).toMatchObject({ inicio: '2025-03-03T10:00:00', inicioReal: '2025-03-03T10:20:00', estudiante: { id: 'est-1', nombres: 'Ana', apellidos: 'Ríos' } });
+      expect(data.resumen).toEqual({ planificadas: 3, realizadas: 1, pendientes: 1, noRealizadas: 1, noPlanificadas: 1, cumplimiento: 0.5 });
+    });
+
+    it('debería exportar la agenda como calendario iCalendar', async () => {
+      const { data: archivo } = await exportarAgendaIcs(ENTRENADOR.id, { desde: '2025-03-03', hasta: '2025-03-10' });
+
+      expect(archivo.nombreArchivo).toBe('agenda-2025-03-03-2025-03-10.ics');
+      expect(archivo.tipoContenido).toBe('text/calendar; charset=utf-8');
+      expect(archivo.contenido.match(/BEGIN:VEVENT/g)).toHaveLength(4);
+      expect(archivo.contenido).toContain('UID:sp-1@cognicare\r\n');
+      expect(archivo.contenido).toContain('DTSTART:20250303T100000\r\n');
+      expect(archivo.contenido).toContain('SUMMARY:Atención - Ana Ríos\r\n');
+    });
+  });
+});
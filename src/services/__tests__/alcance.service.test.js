@@ -0,0 +1,83 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import { tieneAlcanceGlobal, verificarAlcance, obtenerFacultadesPermitidas } from '../alcance.service.js';
+import * as AlcanceModel from '../../models/alcance.model.js';
+import logger from '../../config/logger.js';
+
+jest.mock('../../models/alcance.model.js');
+jest.mock('../../config/logger.js');
+
+const admin = { id: 'admin-uuid', role: 'admin' };
+const entrenador = { id: 'entrenador-uuid', role: 'entrenador' };
+const coordinador = { id: 'coordinador-uuid', role: 'coordinador' };
+
+describe('Servicio de Alcance', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('tieneAlcanceGlobal', () => {
+    it('debería ser verdadero solo para el admin', () => {
+      expect(tieneAlcanceGlobal(admin)).toBe(true);
+      expect(tieneAlcanceGlobal(entrenador)).toBe(false);
+      expect(tieneAlcanceGlobal(coordinador)).toBe(false);
+      expect(tieneAlcanceGlobal(undefined)).toBe(false);
+    });
+  });
+
+  describe('verificarAlcance', () => {
+    it('no debería consultar la base de datos para el admin', async () => {
+      await expect(verificarAlcance(admin, 'entrenamiento', 'ent-uuid')).resolves.toBeUndefined();
+      expect(AlcanceModel.enAlcance).not.toHaveBeenCalled();
+      expect(AlcanceModel.obtenerFacultades).not.toHaveBeenCalled();
+    });
+
+    it('debería permitir el acceso si el registro está en el alcance del entrenador', async () => {
+      AlcanceModel.enAlcance.mockResolvedValue(true);
+
+      await expect(verificarAlcance(entrenador, 'estudianteDocumento', 'CC', '123')).resolves.toBeUndefined();
+      expect(AlcanceModel.enAlcance).toHaveBeenCalledWith('estudianteDocumento', 'entrenador-uuid', 'entrenador', ['CC', '123']);
+    });
+
+    it('debería lanzar 403 si un coordinador consulta un entrenador fuera de su facultad por su correo', async () => {
+      AlcanceModel.enAlcance.mockResolvedValue(false);
+
+      await expect(verificarAlcance(coordinador, 'entrenadorCorreo', 'otro@uni.edu')).rejects.toMatchObject({ statusCode: 403 });
+      expect(AlcanceModel.enAlcance).toHaveBeenCalledWith('entrenadorCorreo', 'coordinador-uuid', 'coordinador', ['otro@uni.edu']);
+    });
+
+    it('debería lanzar 403 si el registro está fuera del alcance', async () => {
+      AlcanceModel.enAlcance.mockResolvedValue(false);
+
+      await expect(verificarAlcance(entrenador, 'sesion', 'sesion-uuid')).rejects.toMatchObject({ statusCode: 403 });
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('sin alcance sobre sesion'), ['sesion-uuid']);
+    });
+
+    it('debería comparar la facultad con las facultades del usuario', async () => {
+      AlcanceModel.obtenerFacultades.mockResolvedValue(['fac-1', 'fac-2']);
+
+      await expect(verificarAlcance(coordinador, 'facultad', 'fac-2')).resolves.toBeUndefined();
+      await expect(verificarAlcance(coordinador, 'facultad', 'fac-3')).rejects.toMatchObject({ statusCode: 403 });
+      expect(AlcanceModel.obtenerFacultades).toHaveBeenCalledWith('coordinador-uuid', 'coordinador');
+      expect(AlcanceModel.enAlcance).not.toHaveBeenCalled();
+    });
+
+    it('debería propagar los errores de la base de datos con statusCode 500', async () => {
+      AlcanceModel.enAlcance.mockRejectedValue(new Error('Error de BD'));
+
+      await expect(verificarAlcance(entrenador, 'asignacion', 'asig-uuid')).rejects.toMatchObject({ statusCode: 500 });
+      expect(logger.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('obtenerFacultadesPermitidas', () => {
+    it('debería devolver null para el admin', async () => {
+      await expect(obtenerFacultadesPermitidas(admin)).resolves.toBeNull();
+    });
+
+    it('debería devolver las facultades del entrenador', async () => {
+      AlcanceModel.obtenerFacultades.mockResolvedValue(['fac-1']);
+
+      await expect(obtenerFacultadesPermitidas(entrenador)).resolves.toEqual(['fac-1']);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { escanearAlertas, iniciarEscaneoPeriodico, listarAlertas, descartarAlerta, obtenerUmbrales, actualizarUmbrales } from '../alerta.service.js';
+import * as AlertaModel from '../../models/alerta.model.js';
+import * as AlcanceModel from '../../models/alcance.model.js';
+
+jest.mock('../../models/alerta.model.js');
+jest.mock('../../models/alcance.model.js');
+jest.mock('../../config/logger.js');
+
+const ADMIN = { id: 'ad000000-0000-4000-8000-000000000001', role: 'admin' };
+const ENTRENADOR = { id: 'e1e1e1e1-0000-4000-8000-000000000001', role: 'entrenador' };
+const FACULTAD = 'fa000000-0000-4000-8000-000000000001';
+
+const asignacion = (datos) => ({
+  asignacionId: 'as-1',
+  entrenamientoId: 'en-1',
+  estudianteId: 'es-1',
+  fechaInicioEntrenamiento: '2025-02-01',
+  fechaFinEntrenamiento: '2500-12-31',
+  facultades: [FACULTAD],
+  sesiones: [{ sesionId: 's1', estado: 'Finalizada', fechaInicio: '2025-03-20T10:00:00', fechaFin: '2025-03-20T11:00:00' }],
+  metricas: [],
+  ...datos,
+});
+
+describe('Servicio de Alertas', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-03-31T12:00:00Z'), doNotFake: ['nextTick', 'queueMicrotask'] });
+    AlertaModel.obtenerUmbrales.mockResolvedValue([
+      { facultadId: FACULTAD, diasSinSesion: 7, sesionesSinIniciar: null, sesionesEnDescenso: null, diasAntesDeFin: null },
+    ]);
+    AlertaModel.sincronizarAlertas.mockResolvedValue({ nuevas: 1, vigentes: 0, resueltas: 2 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.clearAllMocks();
+  });
+
+  describe('escanearAlertas', () => {
+    it('debería evaluar cada asignación con los umbrales de su facultad y sincronizar las reglas disparadas', async () => {
+      AlertaModel.obtenerAsignacionesParaEscaneo.mockResolvedValue([
+        asignacion({}),
+        // Sin facultades: umbral por defecto de 14 días, 11 días sin sesiones no alcanzan.
+        asignacion({ asignacionId: 'as-2', facultades: [] }),
+      ]);
+
+      const resultado = await escanearAlertas();
+
+      expect(AlertaModel.sincronizarAlertas).toHaveBeenCalledWith([{
+        regla: 'sin-sesiones',
+        asignacionId: 'as-1',
+        entrenamientoId: 'en-1',
+        estudianteId: 'es-1',
+        detalle: { ultimaSesion: '2025-03-20', diasSinSesion: 11, umbral: 7 },
+      }]);
+      expect(resultado.data).toEqual({ fecha: '2025-03-31', asignacionesRevisadas: 2, detectadas: 1, nuevas: 1, vigentes: 0, resueltas: 2 });
+    });
+
+    it('debería sincronizar una lista vacía para resolver las alertas si ya no hay riesgo', async () => {
+      AlertaModel.obtenerAsignacionesParaEscaneo.mockResolvedValue([]);
+
+      await escanearAlertas();
+
+      expect(AlertaModel.sincronizarAlertas).toHaveBeenCalledWith([]);
+    });
+
+    it('debería contar los días con la fecha local aunque en UTC ya sea el día siguiente', async () => {
+      // 20:00 en Bogotá (UTC-5) es 01:00 del 1 de abril en UTC.
+      jest.setSystemTime(new Date('2025-04-01T01:00:00Z'));
+      const desfase = jest.spyOn(Date.prototype, 'getTimezoneOffset').mockReturnValue(300);
+      AlertaModel.obtenerAsignacionesParaEscaneo.mockResolvedValue([asignacion({})]);
+
+      const resultado = await escanearAlertas();
+      desfase.mockRestore();
+
+      expect(resultado.data.fecha).toBe('2025-03-31');
+      expect(AlertaModel.sincronizarAlertas).toHaveBeenCalledWith([
+        expect.objectContaining({ detalle: { ultimaSesion: '2025-03-20', diasSinSesion: 11, umbral: 7 } }),
+      ]);
+    });
+
+    it('no debería lanzar dos escaneos a la vez', async () => {
+      AlertaModel.obtenerAsignacionesParaEscaneo.mockResolvedValue([]);
+
+      await Promise.all([escanearAlertas(), escanearAlertas()]);
+
+      expect(AlertaModel.obtenerAsignacionesParaEscaneo).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('iniciarEscaneoPeriodico', () => {
+    it('no debería programar nada con un intervalo de 0', () => {
+      expect(iniciarEscaneoPeriodico(0)).toBeNull();
+    });
+
+    it('debería escanear cada intervalo', async () => {
+      AlertaModel.obtenerAsignacionesParaEscaneo.mockResolvedValue([]);
+
+      const temporizador = iniciarEscaneoPeriodico(30);
+      await jest.advanceTimersByTimeAsync(60 * 60000);
+      clearInterval(temporizador);
+
+      expect(AlertaModel.obtenerAsignacionesParaEscaneo).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('listarAlertas', () => {
+    beforeEach(() => {
+      AlertaModel.listarAlertas.mockResolvedValue({ datos: [], paginacion: { total: 0 } });
+    });
+
+    it('debería listar por defecto las alertas activas, limitadas al alcance del usuario', async () => {
+      await listarAlertas(ENTRENADOR, { filtros: { regla: 'sin-sesiones' } });
+
+      expect(AlertaModel.listarAlertas).toHaveBeenCalledWith(
+        { usuarioId: ENTRENADOR.id, rol: 'entrenador' },
+        { filtros: { regla: 'sin-sesiones', estado: 'activa' } }
+      );
+    });
+
+    it('debería quitar el filtro de estado con estado=todas', async () => {
+      await listarAlertas(ADMIN, { filtros: { estado: 'todas' } });
+
+      expect(AlertaModel.listarAlertas).toHaveBeenCalledWith(undefined, { filtros: {} });
+    });
+  });
+
+  describe('descartarAlerta', () => {
+    const alerta = { id: 'al-1', regla: 'sin-sesiones', estado: 'activa', asignacionId: 'as-1', entrenamientoId: 'en-1' };
+
+    it('debería descartar la alerta si está activa y en el alcance del usuario', async () => {
+      AlertaModel.obtenerAlerta.mockResolvedValue(alerta);
+      AlcanceModel.enAlcance.mockResolvedValue(true);
+      AlertaModel.descartarAlerta.mockResolvedValue({ ...alerta, estado: 'descartada' });
+
+      const resultado = await descartarAlerta('al-1', 'Retoma la próxima semana.', ENTRENADOR);
+
+      expect(AlcanceModel.enAlcance).toHaveBeenCalledWith('asignacion', ENTRENADOR.id, 'entrenador', ['as-1']);
+      expect(AlertaModel.descartarAlerta).toHaveBeenCalledWith('al-1', ENTRENADOR.id, 'Retoma la próxima semana.');
+      expect(resultado.data.estado).toBe('descartada');
+    });
+
+    it('debería responder 404, 403 o 409 según el caso', async () => {
+      AlertaModel.obtenerAlerta.mockResolvedValueOnce(undefined);
+      await expect(descartarAlerta('al-1', 'motivo', ADMIN)).rejects.toMatchObject({ statusCode: 404 });
+
+      AlertaModel.obtenerAlerta.mockResolvedValueOnce(alerta);
+      AlcanceModel.enAlcance.mockResolvedValueOnce(false);
+      await expect(descartarAlerta('al-1', 'motivo', ENTRENADOR)).rejects.toMatchObject({ statusCode: 403 });
+
+      AlertaModel.obtenerAlerta.mockResolvedValueOnce({ ...alerta, estado: 'resuelta' });
+      await expect(descartarAlerta('al-1', 'motivo', ADMIN)).rejects.toMatchObject({ statusCode: 409 });
+      expect(AlertaModel.descartarAlerta).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('umbrales', () => {
+    it('debería completar los umbrales sin configurar con los valores por defecto', async () => {
+      AlertaModel.obtenerUmbrales.mockResolvedValue([
+        { facultadId: FACULTAD, facultadNombre: 'Ingeniería', diasSinSesion: 7, sesionesSinIniciar: null, sesionesEnDescenso: null, diasAntesDeFin: null },
+      ]);
+
+      const { data } = await obtenerUmbrales();
+
+      expect(data.facultades).toEqual([{
+        facultadId: FACULTAD,
+        facultadNombre: 'Ingeniería',
+        diasSinSesion: 7,
+        sesionesSinIniciar: 3,
+        sesionesEnDescenso: 3,
+        diasAntesDeFin: 14,
+        personalizados: ['diasSinSesion'],
+      }]);
+    });
+
+    it('debería responder 404 si la facultad no existe', async () => {
+      AlertaModel.guardarUmbrales.mockResolvedValue(undefined);
+
+      await expect(actualizarUmbrales(FACULTAD, { diasSinSesion: 7 }, ADMIN)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
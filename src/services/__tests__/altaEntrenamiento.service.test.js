@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { darDeAltaEntrenamiento } from '../altaEntrenamiento.service.js';
+import * as EstudianteModel from '../../models/estudiante.model.js';
+import * as EntrenamientoModel from '../../models/estudiantesEntrenamientos.model.js';
+import * as EntrenadorModel from '../../models/entrenador.model.js';
+import * as EsquemaMetricasModel from '../../models/esquemaMetricas.model.js';
+import * as NotificacionModel from '../../models/notificacion.model.js';
+import { conTransaccion, clienteTransaccion } from '../../config/db.js';
+
+jest.mock('../../config/logger.js');
+
+const VARIABLE_ID = 'b1b2c3d4-e5f6-4890-a234-567890abcde0';
+const ENTRENADOR_ID = 'c1b2c3d4-e5f6-4890-a234-567890abcde0';
+const ESTUDIANTE_ID = 'a1b2c3d4-e5f6-4890-a234-567890abcde0';
+const ENTRENAMIENTO_ID = 'd1b2c3d4-e5f6-4890-a234-567890abcde0';
+
+const datosAlta = (cambios = {}) => ({
+  estudiante: {
+    siglaTipoDocumento: 'CC',
+    nombreGenero: 'Femenino',
+    nombres: 'Laura',
+    apellidos: 'Gómez',
+    numeroDocumento: '1036402111',
+    fechaNacimiento: '2004-08-15',
+    correo: 'laura@pruebas.local',
+    programaNombres: ['Psicología'],
+  },
+  entrenamiento: {
+    fechaInicio: '2025-06-02 08:00:00',
+    tiposVariablesCognitivasIds: [VARIABLE_ID],
+    nivelInicial: { dificultad: 'baja' },
+    metricas: { precision: 95 },
+  },
+  entrenadorId: ENTRENADOR_ID,
+  sesiones: [{ nombreVariableCognitiva: 'Memoria', fechaInicio: '2025-06-03T08:00:00' }],
+  ...cambios,
+});
+
+const consultasTransaccion = () => clienteTransaccion.query.mock.calls.map(([sql]) => sql);
+
+describe('Servicio de alta completa de entrenamientos', () => {
+  beforeEach(() => {
+    EsquemaMetricasModel.obtenerVigentes.mockResolvedValue([]);
+    EstudianteModel.registrarEstudianteDB.mockResolvedValue({ estudianteId: ESTUDIANTE_ID, mensaje: 'Estudiante registrado exitosamente' });
+    EntrenamientoModel.registrarEntrenamientoAsignacionDB.mockResolvedValue('Entrenamiento y asignaciones creados con éxito.');
+    EntrenamientoModel.obtenerEntrenamientoDeEstudiante.mockResolvedValue({ entrenamientoId: ENTRENAMIENTO_ID, asignacionesIds: ['as-1'] });
+    EntrenadorModel.crearEntrenadorEntrenamiento.mockResolvedValue({
+      id: 're-1', entrenador: ENTRENADOR_ID, entrenamientocognitivo: ENTRENAMIENTO_ID, mensaje: 'Relación creada.',
+    });
+    EntrenamientoModel.crearSesionDB.mockResolvedValue({ sesionentrenamientoid: 'se-1' });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('debería ejecutar todos los pasos con el cliente de la transacción y confirmarla', async () => {
+    const resultado = await darDeAltaEntrenamiento(datosAlta());
+
+    expect(conTransaccion).toHaveBeenCalledTimes(1);
+    expect(consultasTransaccion()).toEqual(['BEGIN', 'COMMIT']);
+    expect(EstudianteModel.registrarEstudianteDB).toHaveBeenCalledWith(expect.objectContaining({ pNumeroDocumento: '1036402111' }), clienteTransaccion);
+    expect(EntrenamientoModel.registrarEntrenamientoAsignacionDB).toHaveBeenCalledWith(expect.objectContaining({ pEstudianteId: ESTUDIANTE_ID }), clienteTransaccion);
+    expect(EntrenamientoModel.obtenerEntrenamientoDeEstudiante).toHaveBeenCalledWith(ESTUDIANTE_ID, clienteTransaccion);
+    expect(EntrenadorModel.crearEntrenadorEntrenamiento).toHaveBeenCalledWith(ENTRENADOR_ID, ENTRENAMIENTO_ID, clienteTransaccion);
+    expect(EntrenamientoModel.crearSesionDB).toHaveBeenCalledWith(expect.objectContaining({
+      pSiglaTipoDocEstudiante: 'CC', pNumeroDocEstudiante: '1036402111', pNombreVariableCognitiva: 'Memoria', pFechaInicio: '2025-06-03T08:00:00',
+    }), clienteTransaccion);
+    expect(clienteTransaccion.release).toHaveBeenCalled();
+
+    expect(resultado.data).toEqual({
+      estudianteId: ESTUDIANTE_ID, entrenamientoId: ENTRENAMIENTO_ID, asignacionesIds: ['as-1'], relacionId: 're-1', sesionesIds: ['se-1'],
+    });
+    expect(resultado.pasos).toEqual([
+      { paso: 'estudiante', estado: 'completado', estudianteId: ESTUDIANTE_ID },
+      { paso: 'entrenamiento', estado: 'completado', entrenamientoId: ENTRENAMIENTO_ID, asignacionesIds: ['as-1'] },
+      { paso: 'entrenador', estado: 'completado', entrenadorId: ENTRENADOR_ID, relacionId: 're-1' },
+      { paso: 'sesiones', estado: 'completado', sesionesIds: ['se-1'] },
+    ]);
+  });
+
+  it('debería notificar al entrenador una sola vez y después de confirmar', async () => {
+    await darDeAltaEntrenamiento(datosAlta());
+
+    // La notificación busca los destinatarios fuera de la transacción: antes del COMMIT no vería el entrenamiento.
+    expect(NotificacionModel.obtenerDestinatariosEntrenamientoAsignado).toHaveBeenCalledTimes(1);
+    expect(NotificacionModel.obtenerDestinatariosEntrenamientoAsignado).toHaveBeenCalledWith(ENTRENADOR_ID, ENTRENAMIENTO_ID);
+    expect(NotificacionModel.obtenerDestinatariosEntrenamientoAsignado.mock.invocationCallOrder[0])
+      .toBeGreaterThan(clienteTransaccion.query.mock.invocationCallOrder[1]);
+  });
+
+  it('debería marcar las sesiones como omitidas si no se piden', async () => {
+    const resultado = await darDeAltaEntrenamiento(datosAlta({ sesiones: undefined }));
+
+    expect(EntrenamientoModel.crearSesionDB).not.toHaveBeenCalled();
+    expect(resultado.pasos[3]).toEqual({ paso: 'sesiones', estado: 'omitido' });
+    expect(resultado.data.sesionesIds).toEqual([]);
+  });
+
+  it('debería revertir todo si falla la asignación del entrenador e informar el estado de cada paso', async () => {
+    EntrenadorModel.crearEntrenadorEntrenamiento.mockRejectedValue(Object.assign(new Error('violates foreign key constraint "entrenador"'), { code: '23503' }));
+
+    const error = await darDeAltaEntrenamiento(datosAlta()).catch((e) => e);
+
+    expect(error.statusCode).toBe(404);
+    expect(consultasTransaccion()).toEqual(['BEGIN', 'ROLLBACK']);
+    expect(clienteTransaccion.release).toHaveBeenCalled();
+    expect(EntrenamientoModel.crearSesionDB).not.toHaveBeenCalled();
+    expect(NotificacionModel.obtenerDestinatariosEntrenamientoAsignado).not.toHaveBeenCalled();
+    expect(error.pasos).toEqual([
+      { paso: 'estudiante', estado: 'revertido' },
+      { paso: 'entrenamiento', estado: 'revertido' },
+      { paso: 'entrenador', estado: 'fallido', mensaje: 'El ID del entrenador proporcionado no existe en la base de datos.' },
+      { paso: 'sesiones', estado: 'omitido' },
+    ]);
+  });
+
+  it('debería convertir el rechazo de la asignación en un error con los errores de esquema', async () => {
+    EsquemaMetricasModel.obtenerVigentes.mockResolvedValue([{
+      variableCognitivaId: VARIABLE_ID, variableCognitivaNombre: 'Memoria', version: 1,
+      campos: [{ clave: 'precision', tipo: 'entero', requerido: false, minimo: 0, maximo: 50 }],
+    }]);
+
+    const error = await darDeAltaEntrenamiento(datosAlta()).catch((e) => e);
+
+    expect(error.statusCode).toBe(400);
+    expect(error.errors).toEqual(expect.arrayContaining([expect.objectContaining({ path: 'metricas.precision' })]));
+    expect(error.pasos.map(({ estado }) => estado)).toEqual(['revertido', 'fallido', 'omitido', 'omitido']);
+    expect(consultasTransaccion()).toEqual(['BEGIN', 'ROLLBACK']);
+  });
+
+  it('no debería exponer el mensaje de un error inesperado en el resumen de pasos', async () => {
+    EntrenamientoModel.crearSesionDB.mockRejectedValue(new Error('connection terminated'));
+
+    const error = await darDeAltaEntrenamiento(datosAlta()).catch((e) => e);
+
+    expect(error.statusCode).toBe(500);
+    expect(error.pasos[3]).toEqual({ paso: 'sesiones', estado: 'fallido', mensaje: 'Error inesperado en el servidor.' });
+    expect(error.pasos.slice(0, 3).every(({ estado }) => estado === 'revertido')).toBe(true);
+  });
+
+  it('debería rechazar al estudiante ya registrado sin ejecutar los demás pasos', async () => {
+    EstudianteModel.registrarEstudianteDB.mockResolvedValue({ estudianteId: null, mensaje: 'Error de unicidad en numerodocumento' });
+
+    const error = await darDeAltaEntrenamiento(datosAlta()).catch((e) => e);
+
+    expect(error.statusCode).toBe(409);
+    expect(EntrenamientoModel.registrarEntrenamientoAsignacionDB).not.toHaveBeenCalled();
+    expect(error.pasos[0]).toEqual({ paso: 'estudiante', estado: 'fallido', mensaje: 'El número de documento ingresado ya está registrado.' });
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import { obtenerTasas, obtenerMejoraPorVariable, obtenerSerieMensual, obtenerTablero } from '../analitica.service.js';
+import * as AnaliticaModel from '../../models/analitica.model.js';
+import logger from '../../config/logger.js';
+
+jest.mock('../../models/analitica.model.js');
+jest.mock('../../config/logger.js');
+
+const admin = { id: 'admin-uuid', role: 'admin' };
+const coordinador = { id: 'coord-uuid', role: 'coordinador' };
+
+const conteos = (asignaciones, finalizadas, abandonadas, enProgreso) => ({
+  asignaciones, finalizadas, abandonadas, enProgreso, promedioSesionesFinalizacion: null,
+});
+
+describe('Servicio de Analítica', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('obtenerTasas', () => {
+    it('debería calcular las tasas del resumen y de cada dimensión', async () => {
+      AnaliticaModel.obtenerResumen.mockResolvedValue({ ...conteos(8, 5, 1, 2), entrenamientos: 3, estudiantes: 3 });
+      AnaliticaModel.obtenerTasasPorDimension.mockImplementation(async (dimension) => (
+        dimension === 'variable' ? [{ id: 'Memoria', nombre: 'Memoria', ...conteos(3, 2, 0, 1) }, { id: 'Atención', nombre: 'Atención', ...conteos(0, 0, 0, 0) }] : []
+      ));
+
+      const resultado = await obtenerTasas(admin, {});
+
+      expect(resultado.success).toBe(true);
+      expect(resultado.data.resumen).toEqual(expect.objectContaining({
+        entrenamientos: 3, tasaFinalizacion: 0.625, tasaAbandono: 0.125, tasaEnProgreso: 0.25,
+      }));
+      expect(resultado.data.porVariable[0]).toEqual(expect.objectContaining({ tasaFinalizacion: 0.6667, tasaAbandono: 0, tasaEnProgreso: 0.3333 }));
+      expect(resultado.data.porVariable[1]).toEqual(expect.objectContaining({ tasaFinalizacion: null, tasaAbandono: null, tasaEnProgreso: null }));
+      expect(resultado.data).toEqual(expect.objectContaining({ porFacultad: [], porPrograma: [], porEntrenador: [] }));
+      expect(AnaliticaModel.obtenerTasasPorDimension).toHaveBeenCalledTimes(4);
+    });
+
+    it('debería limitar al alcance del usuario si no es global y pasar los filtros', async () => {
+      AnaliticaModel.obtenerResumen.mockResolvedValue(conteos(0, 0, 0, 0));
+      AnaliticaModel.obtenerTasasPorDimension.mockResolvedValue([]);
+      const fechaDesde = new Date('2025-01-01T00:00:00Z');
+
+      await obtenerTasas(coordinador, { fechaDesde, facultad: 'fac-uuid' });
+
+      expect(AnaliticaModel.obtenerResumen).toHaveBeenCalledWith({
+        fechaDesde, fechaHasta: undefined, facultad: 'fac-uuid', alcance: { usuarioId: 'coord-uuid', rol: 'coordinador' },
+      });
+    });
+
+    it('no debería filtrar por alcance si el usuario es admin', async () => {
+      AnaliticaModel.obtenerResumen.mockResolvedValue(conteos(0, 0, 0, 0));
+      AnaliticaModel.obtenerTasasPorDimension.mockResolvedValue([]);
+
+      await obtenerTasas(admin);
+
+      expect(AnaliticaModel.obtenerResumen).toHaveBeenCalledWith(expect.objectContaining({ alcance: undefined }));
+    });
+
+    it('debería lanzar un error con statusCode 500 si el modelo falla', async () => {
+      const errorMock = new Error('Error de BD');
+      AnaliticaModel.obtenerResumen.mockRejectedValue(errorMock);
+      AnaliticaModel.obtenerTasasPorDimension.mockResolvedValue([]);
+
+      await expect(obtenerTasas(admin)).rejects.toThrow(errorMock);
+      expect(errorMock.statusCode).toBe(500);
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Error en servicio al obtener las tasas de resultados:'), errorMock);
+    });
+  });
+
+  describe('obtenerMejoraPorVariable', () => {
+    it('debería agrupar las métricas por variable y calcular la mejora', async () => {
+      AnaliticaModel.obtenerMejoraPorVariable.mockResolvedValue([
+        { variable: 'Memoria', metrica: 'aciertos', asignaciones: 4, promedioInicial: 10, promedioFinal: 12.5 },
+        { variable: 'Memoria', metrica: 'errores', asignaciones: 4, promedioInicial: 0, promedioFinal: 1 },
+        { variable: 'Atención', metrica: 'tiempo', asignaciones: 2, promedioInicial: -4, promedioFinal: -2 },
+      ]);
+
+      const resultado = await obtenerMejoraPorVariable(admin);
+
+      expect(resultado.data).toEqual([
+        {
+          variable: 'Memoria',
+          metricas: [
+            { metrica: 'aciertos', asignaciones: 4, promedioInicial: 10, promedioFinal: 12.5, mejoraPromedio: 2.5, mejoraPorcentual: 25 },
+            { metrica: 'errores', asignaciones: 4, promedioInicial: 0, promedioFinal: 1, mejoraPromedio: 1, mejoraPorcentual: null },
+          ],
+        },
+        {
+          variable: 'Atención',
+          metricas: [{ metrica: 'tiempo', asignaciones: 2, promedioInicial: -4, promedioFinal: -2, mejoraPromedio: 2, mejoraPorcentual: 50 }],
+        },
+      ]);
+    });
+  });
+
+  describe('obtenerSerieMensual', () => {
+    it('debería completar con ceros los meses sin eventos', async () => {
+      AnaliticaModel.obtenerSerieMensual.mockResolvedValue([
+        { mes: '2024-11', iniciados: 2, finalizados: 0 },
+        { mes: '2025-02', iniciados: 1, finalizados: 3 },
+      ]);
+
+      const resultado = await obtenerSerieMensual(admin);
+
+      expect(resultado.data.map((punto) => punto.mes)).toEqual(['2024-11', '2024-12', '2025-01', '2025-02']);
+      expect(resultado.data[1]).toEqual({ mes: '2024-12', iniciados: 0, finalizados: 0 });
+    });
+
+    it('debería abarcar todo el rango pedido', async () => {
+      AnaliticaModel.obtenerSerieMensual.mockResolvedValue([{ mes: '2025-02', iniciados: 1, finalizados: 0 }]);
+
+      const resultado = await obtenerSerieMensual(admin, {
+        fechaDesde: new Date('2025-01-01T00:00:00Z'),
+        fechaHasta: new Date('2025-03-31T23:59:59.999Z'),
+      });
+
+      expect(resultado.data).toEqual([
+        { mes: '2025-01', iniciados: 0, finalizados: 0 },
+        { mes: '2025-02', iniciados: 1, finalizados: 0 },
+        { mes: '2025-03', iniciados: 0, finalizados: 0 },
+      ]);
+    });
+
+    it('debería devolver una serie vacía si no hay eventos ni rango', async () => {
+      AnaliticaModel.obtenerSerieMensual.mockResolvedValue([]);
+
+      const resultado = await obtenerSerieMensual(admin);
+
+      expect(resultado.data).toEqual([]);
+    });
+  });
+
+  describe('obtenerTablero', () => {
+    it('debería reunir tasas, mejora y serie mensual', async () => {
+      AnaliticaModel.obtenerResumen.mockResolvedValue(conteos(0, 0, 0, 0));
+      AnaliticaModel.obtenerTasasPorDimension.mockResolvedValue([]);
+      AnaliticaModel.obtenerMejoraPorVariable.mockResolvedValue([]);
+      AnaliticaModel.obtenerSerieMensual.mockResolvedValue([]);
+
+      const resultado = await obtenerTablero(admin);
+
+      expect(resultado.success).toBe(true);
+      expect(Object.keys(resultado.data)).toEqual(['tasas', 'mejoraPorVariable', 'serieMensual']);
+      expect(resultado.data.tasas.resumen.tasaFinalizacion).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { archivar, restaurar, purgarArchivados } from '../archivado.service.js';
+import * as ArchivadoModel from '../../models/archivado.model.js';
+
+jest.mock('../../models/archivado.model.js');
+jest.mock('../../config/logger.js');
+
+const ENTRENADOR = { id: 'e1e1e1e1-0000-4000-8000-000000000001', role: 'entrenador' };
+const ESTUDIANTE_ID = 'a1a1a1a1-0000-4000-8000-000000000001';
+const ENTRENAMIENTO_ID = 'b1b1b1b1-0000-4000-8000-000000000001';
+const MOTIVO = 'Registro duplicado por error de digitación.';
+
+const estado = (datos) => ({
+  id: ESTUDIANTE_ID,
+  archivado: false,
+  fechaArchivado: null,
+  motivoArchivado: null,
+  archivadoPor: null,
+  archivadoPorRol: null,
+  archivadoEnCascada: false,
+  contenedorArchivado: false,
+  ...datos,
+});
+
+describe('Servicio de Archivado', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('archivar', () => {
+    it('debería archivar el estudiante en cascada y devolver cuántos registros se archivaron', async () => {
+      ArchivadoModel.obtenerEstadoArchivo.mockResolvedValueOnce(estado({}));
+      ArchivadoModel.archivar.mockResolvedValueOnce({ estudiantes: 1, entrenamientos: 2, sesiones: 7 });
+
+      const resultado = await archivar('estudiante', ESTUDIANTE_ID, MOTIVO, ENTRENADOR);
+
+      expect(ArchivadoModel.archivar).toHaveBeenCalledWith('estudiante', ESTUDIANTE_ID, {
+        motivo: MOTIVO,
+        usuarioId: ENTRENADOR.id,
+        rol: 'entrenador',
+      });
+      expect(resultado).toEqual({
+        success: true,
+        message: 'Estudiante archivado exitosamente.',
+        data: { tipo: 'estudiante', id: ESTUDIANTE_ID, motivo: MOTIVO, archivados: { estudiantes: 1, entrenamientos: 2, sesiones: 7 } },
+      });
+    });
+
+    it('debería responder 404 si el registro no existe', async () => {
+      ArchivadoModel.obtenerEstadoArchivo.mockResolvedValueOnce(undefined);
+
+      await expect(archivar('entrenamiento', ENTRENAMIENTO_ID, MOTIVO, ENTRENADOR))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Entrenamiento cognitivo no encontrado.' });
+      expect(ArchivadoModel.archivar).not.toHaveBeenCalled();
+    });
+
+    it('debería responder 409 si ya estaba archivado', async () => {
+      ArchivadoModel.obtenerEstadoArchivo.mockResolvedValueOnce(estado({ archivado: true }));
+
+      await expect(archivar('estudiante', ESTUDIANTE_ID, MOTIVO, ENTRENADOR)).rejects.toMatchObject({ statusCode: 409 });
+      expect(ArchivadoModel.archivar).not.toHaveBeenCalled();
+    });
+
+    it('debería responder 409 si otra petición lo archivó antes de actualizarlo', async () => {
+      ArchivadoModel.obtenerEstadoArchivo.mockResolvedValueOnce(estado({}));
+      ArchivadoModel.archivar.mockResolvedValueOnce({ estudiantes: 0, entrenamientos: 0, sesiones: 0 });
+
+      await expect(archivar('estudiante', ESTUDIANTE_ID, MOTIVO, ENTRENADOR)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('debería relanzar los errores de la base de datos como 500', async () => {
+      ArchivadoModel.obtenerEstadoArchivo.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+
+      await expect(archivar('sesion', ENTRENAMIENTO_ID, MOTIVO, ENTRENADOR)).rejects.toMatchObject({ statusCode: 500 });
+    });
+  });
+
+  describe('restaurar', () => {
+    it('debería restaurar el entrenamiento con las sesiones archivadas en cascada', async () => {
+      ArchivadoModel.obtenerEstadoArchivo.mockResolvedValueOnce(estado({ id: ENTRENAMIENTO_ID, archivado: true }));
+      ArchivadoModel.restaurar.mockResolvedValueOnce({ estudiantes: 0, entrenamientos: 1, sesiones: 4 });
+
+      const resultado = await restaurar('entrenamiento', ENTRENAMIENTO_ID, MOTIVO, ENTRENADOR);
+
+      expect(ArchivadoModel.restaurar).toHaveBeenCalledWith('entrenamiento', ENTRENAMIENTO_ID);
+      expect(resultado.data).toEqual({
+        tipo: 'entrenamiento',
+        id: ENTRENAMIENTO_ID,
+        motivo: MOTIVO,
+        restaurados: { estudiantes: 0, entrenamientos: 1, sesiones: 4 },
+      });
+    });
+
+    it('debería responder 409 si no está archivado', async () => {
+      ArchivadoModel.obtenerEstadoArchivo.mockResolvedValueOnce(estado({}));
+
+      await expect(restaurar('estudiante', ESTUDIANTE_ID, MOTIVO, ENTRENADOR))
+        .rejects.toMatchObject({ statusCode: 409, message: 'El estudiante no está archivado.' });
+      expect(ArchivadoModel.restaurar).not.toHaveBeenCalled();
+    });
+
+    it('debería responder 409 si el estudiante del entrenamiento sigue archivado', async () => {
+      ArchivadoModel.obtenerEstadoArchivo.mockResolvedValueOnce(estado({ archivado: true, archivadoEnCascada: true, contenedorArchivado: true }));
+
+      await expect(restaurar('entrenamiento', ENTRENAMIENTO_ID, MOTIVO, ENTRENADOR)).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'El estudiante del entrenamiento está archivado; restaure primero al estudiante.',
+      });
+      expect(ArchivadoModel.restaurar).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('purgarArchivados', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2025-03-31T12:00:00Z'), doNotFake: ['nextTick', 'queueMicrotask'] });
+      ArchivadoModel.purgarArchivados.mockResolvedValue({ estudiantes: 1, entrenamientos: 3, sesiones: 12 });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('debería purgar con la retención configurada y devolver la fecha límite', async () => {
+      const resultado = await purgarArchivados();
+
+      expect(ArchivadoModel.purgarArchivados).toHaveBeenCalledWith(30, false);
+      expect(resultado).toEqual({
+        success: true,
+        message: 'Purga de registros archivados completada.',
+        data: {
+          simulacion: false,
+          retencionDias: 30,
+          fechaLimite: '2025-03-01T12:00:00.000Z',
+          purgados: { estudiantes: 1, entrenamientos: 3, sesiones: 12 },
+        },
+      });
+    });
+
+    it('debería solo contar lo que se purgaría en una simulación', async () => {
+      const resultado = await purgarArchivados({ simulacion: true });
+
+      expect(ArchivadoModel.purgarArchivados).toHaveBeenCalledWith(30, true);
+      expect(resultado.message).toBe('Simulación de purga completada. No se borró ningún registro.');
+      expect(resultado.data.simulacion).toBe(true);
+    });
+  });
+});
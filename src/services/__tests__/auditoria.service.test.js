@@ -0,0 +1,104 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import { registrarOperacion, consultarAuditoria, estadoEstudiante } from '../auditoria.service.js';
+import * as AuditoriaModel from '../../models/auditoria.model.js';
+import * as EstudianteModel from '../../models/estudiante.model.js';
+import logger from '../../config/logger.js';
+
+jest.mock('../../models/auditoria.model.js');
+jest.mock('../../models/estudiante.model.js');
+jest.mock('../../config/logger.js');
+
+const usuario = { id: 'admin-uuid', role: 'admin' };
+const contexto = { solicitudId: 'sol-1', ip: '10.0.0.1' };
+
+describe('Servicio de Auditoría', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('registrarOperacion', () => {
+    it('debería registrar el estado anterior, el posterior y los campos que cambiaron', async () => {
+      AuditoriaModel.registrar.mockResolvedValue({ id: 'aud-1', fecha: new Date() });
+
+      await registrarOperacion({
+        usuario,
+        accion: 'estudiante.modificar',
+        entidad: 'estudiante',
+        entidadId: 'est-uuid',
+        antes: { nombres: 'Ana', correo: 'ana@x.co', programas: ['Sistemas'] },
+        despues: { nombres: 'Ana', correo: 'ana.p@x.co', programas: ['Sistemas', 'Música'] },
+        contexto,
+      });
+
+      expect(AuditoriaModel.registrar).toHaveBeenCalledWith(expect.objectContaining({
+        actorId: 'admin-uuid',
+        rol: 'admin',
+        accion: 'estudiante.modificar',
+        entidad: 'estudiante',
+        entidadId: 'est-uuid',
+        cambios: {
+          correo: { antes: 'ana@x.co', despues: 'ana.p@x.co' },
+          programas: { antes: ['Sistemas'], despues: ['Sistemas', 'Música'] },
+        },
+        solicitudId: 'sol-1',
+        ip: '10.0.0.1',
+      }));
+    });
+
+    it('debería considerar nuevos todos los campos si no hay estado anterior', async () => {
+      AuditoriaModel.registrar.mockResolvedValue({ id: 'aud-2' });
+
+      await registrarOperacion({ usuario, accion: 'sesion.finalizar', entidad: 'sesion', entidadId: 'ses-uuid', despues: { nuevoNivelInicial: 3 }, contexto });
+
+      const registro = AuditoriaModel.registrar.mock.calls[0][0];
+      expect(registro.antes).toBeNull();
+      expect(registro.cambios).toEqual({ nuevoNivelInicial: { antes: null, despues: 3 } });
+    });
+
+    it('no debería guardar contraseñas ni tokens', async () => {
+      AuditoriaModel.registrar.mockResolvedValue({ id: 'aud-3' });
+
+      await registrarOperacion({ usuario, accion: 'x', entidad: 'credencial', despues: { contrasenaTemporal: 'secreta', datos: { refreshToken: 'abc' } }, contexto });
+
+      const registro = AuditoriaModel.registrar.mock.calls[0][0];
+      expect(JSON.stringify(registro)).not.toContain('secreta');
+      expect(JSON.stringify(registro)).not.toContain('abc');
+      expect(registro.despues.contrasenaTemporal).toBe('[OCULTO]');
+    });
+
+    it('no debería lanzar si falla la inserción', async () => {
+      AuditoriaModel.registrar.mockRejectedValue(new Error('Error de BD'));
+
+      await expect(registrarOperacion({ usuario, accion: 'x', entidad: 'sesion', contexto })).resolves.toBeNull();
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('petición sol-1'), expect.any(Error));
+    });
+  });
+
+  describe('consultarAuditoria', () => {
+    it('debería devolver los registros filtrados', async () => {
+      const registros = [{ id: 'aud-1' }];
+      AuditoriaModel.buscar.mockResolvedValue(registros);
+      const filtros = { actorId: 'admin-uuid', entidad: 'estudiante', desde: new Date('2025-01-01') };
+
+      const resultado = await consultarAuditoria(filtros);
+
+      expect(resultado).toEqual({ success: true, data: registros });
+      expect(AuditoriaModel.buscar).toHaveBeenCalledWith(filtros);
+    });
+
+    it('debería propagar los errores con statusCode 500', async () => {
+      AuditoriaModel.buscar.mockRejectedValue(new Error('Error de BD'));
+
+      await expect(consultarAuditoria({})).rejects.toMatchObject({ statusCode: 500 });
+    });
+  });
+
+  describe('estadoEstudiante', () => {
+    it('debería devolver la primera fila o null', async () => {
+      EstudianteModel.obtenerInformacionCompleta.mockResolvedValueOnce([{ id: 'est-uuid' }]).mockResolvedValueOnce([]);
+
+      await expect(estadoEstudiante('CC', '123')).resolves.toEqual({ id: 'est-uuid' });
+      await expect(estadoEstudiante('CC', '999')).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+
+// La verificación ficticia iguala el tiempo de respuesta; se comprueba que se ejecute, no cuánto tarda.
+jest.unstable_mockModule('../../utils/password.utils.js', () => ({
+  generarHashContrasena: jest.fn(),
+  verificarContrasena: jest.fn(async () => false),
+  verificarContrasenaFicticia: jest.fn(async () => false),
+  generarContrasenaTemporal: jest.fn(),
+  cumplePoliticaContrasena: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../config/logger.js', () => ({
+  default: {
+    info: jest.fn(), error: jest.fn(), debug: jest.fn(), warn: jest.fn(),
+  },
+}));
+
+describe('Servicio de Auth: verificación contra el hash ficticio', () => {
+  let AuthService;
+  let AuthModel;
+  let PasswordUtils;
+
+  const admin = { id: '9b2f6f0e-1d1a-4a55-9d7e-1c1a2b3c4d5e', nombres: 'Ana', apellidos: 'Gómez' };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    AuthService = await import('../auth.service.js');
+    AuthModel = await import('../../models/auth.model.js');
+    PasswordUtils = await import('../../utils/password.utils.js');
+  });
+
+  it('debería verificar contra el hash ficticio si el administrador no existe', async () => {
+    AuthModel.buscarAdministradorActivo.mockResolvedValue(null);
+
+    const resultado = await AuthService.autenticarAdmin('123456', 'OtraClave2');
+
+    expect(resultado.success).toBe(false);
+    expect(PasswordUtils.verificarContrasenaFicticia).toHaveBeenCalledWith('OtraClave2');
+    expect(PasswordUtils.verificarContrasena).not.toHaveBeenCalled();
+  });
+
+  it('debería verificar contra el hash ficticio si el administrador no tiene credencial', async () => {
+    AuthModel.buscarAdministradorActivo.mockResolvedValue(admin);
+    AuthModel.obtenerCredencial.mockResolvedValue(null);
+
+    const resultado = await AuthService.autenticarAdmin('123456', 'OtraClave2');
+
+    expect(resultado.success).toBe(false);
+    expect(PasswordUtils.verificarContrasenaFicticia).toHaveBeenCalledWith('OtraClave2');
+  });
+
+  it('debería verificar contra el hash real, y no el ficticio, si el administrador tiene credencial', async () => {
+    AuthModel.buscarAdministradorActivo.mockResolvedValue(admin);
+    AuthModel.obtenerCredencial.mockResolvedValue({ hashContrasena: 'scrypt$hash', requiereCambio: false });
+
+    await AuthService.autenticarAdmin('123456', 'OtraClave2');
+
+    expect(PasswordUtils.verificarContrasena).toHaveBeenCalledWith('OtraClave2', 'scrypt$hash');
+    expect(PasswordUtils.verificarContrasenaFicticia).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,287 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { createHash } from 'crypto';
+import jwt from 'jsonwebtoken';
+import {
+  autenticarAdmin,
+  autenticarEntrenador,
+  autenticarCoordinador,
+  autenticarEstudiante,
+  solicitarCodigoEstudiante,
+  establecerContrasena,
+  restablecerContrasena,
+} from '../auth.service.js';
+import * as AuthModel from '../../models/auth.model.js';
+import * as TokenRefrescoModel from '../../models/tokenRefresco.model.js';
+import { establecerTransporteCorreo } from '../notificacion.service.js';
+import { generarHashContrasena } from '../../utils/password.utils.js';
+
+jest.mock('../../models/auth.model.js');
+jest.mock('../../models/tokenRefresco.model.js');
+jest.mock('../../config/logger.js');
+
+describe('Servicio de Auth', () => {
+  beforeEach(() => {
+    TokenRefrescoModel.crear.mockResolvedValue({ id: 'token-id', familia: 'familia-id' });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const admin = { id: '9b2f6f0e-1d1a-4a55-9d7e-1c1a2b3c4d5e', nombres: 'Ana', apellidos: 'Gómez' };
+  const entrenador = { id: '3c4d5e6f-7a8b-4c9d-8e0f-1a2b3c4d5e6f', nombres: 'Luis', apellidos: 'Rojas', numeroDocumento: '1012345678' };
+
+  describe('autenticarAdmin', () => {
+    it('debería autenticar con la contraseña correcta y entregar un token completo', async () => {
+      AuthModel.buscarAdministradorActivo.mockResolvedValue(admin);
+      AuthModel.obtenerCredencial.mockResolvedValue({
+        hashContrasena: await generarHashContrasena('ClaveSegura1'),
+        requiereCambio: false,
+      });
+
+      const resultado = await autenticarAdmin('123456', 'ClaveSegura1');
+
+      expect(resultado.success).toBe(true);
+      expect(resultado.requiereCambioContrasena).toBe(false);
+      expect(jwt.decode(resultado.token)).toEqual(expect.objectContaining({ id: admin.id, role: 'admin' }));
+      expect(jwt.decode(resultado.token).proposito).toBeUndefined();
+      expect(resultado.refreshToken).toEqual(expect.any(String));
+      expect(TokenRefrescoModel.crear).toHaveBeenCalledWith(expect.objectContaining({ usuarioId: admin.id, rol: 'admin' }));
+    });
+
+    it('debería rechazar una contraseña incorrecta', async () => {
+      AuthModel.buscarAdministradorActivo.mockResolvedValue(admin);
+      AuthModel.obtenerCredencial.mockResolvedValue({
+        hashContrasena: await generarHashContrasena('ClaveSegura1'),
+        requiereCambio: false,
+      });
+
+      const resultado = await autenticarAdmin('123456', 'OtraClave2');
+
+      expect(resultado.success).toBe(false);
+      expect(resultado.token).toBeUndefined();
+    });
+
+    it('debería rechazar a un administrador sin credencial', async () => {
+      AuthModel.buscarAdministradorActivo.mockResolvedValue(admin);
+      AuthModel.obtenerCredencial.mockResolvedValue(null);
+
+      const resultado = await autenticarAdmin('123456', 'ClaveSegura1');
+
+      expect(resultado.success).toBe(false);
+    });
+
+    it('debería entregar un token restringido si la contraseña es temporal', async () => {
+      AuthModel.buscarAdministradorActivo.mockResolvedValue(admin);
+      AuthModel.obtenerCredencial.mockResolvedValue({
+        hashContrasena: await generarHashContrasena('Temporal123'),
+        requiereCambio: true,
+      });
+
+      const resultado = await autenticarAdmin('123456', 'Temporal123');
+
+      expect(resultado.success).toBe(true);
+      expect(resultado.requiereCambioContrasena).toBe(true);
+      expect(jwt.decode(resultado.token).proposito).toBe('cambio-contrasena');
+      expect(resultado.refreshToken).toBeUndefined();
+      expect(TokenRefrescoModel.crear).not.toHaveBeenCalled();
+    });
+
+    it('debería exigir la contraseña si el inicio de sesión legado está deshabilitado', async () => {
+      AuthModel.buscarAdministradorActivo.mockResolvedValue(admin);
+
+      await expect(autenticarAdmin('123456')).rejects.toThrow('La contraseña es requerida.');
+    });
+  });
+
+  describe('autenticarEntrenador', () => {
+    it('debería autenticar al entrenador con su contraseña', async () => {
+      AuthModel.buscarEntrenadorActivo.mockResolvedValue(entrenador);
+      AuthModel.obtenerCredencial.mockResolvedValue({
+        hashContrasena: await generarHashContrasena('ClaveSegura1'),
+        requiereCambio: false,
+      });
+
+      const resultado = await autenticarEntrenador('luis@test.com', { contrasena: 'ClaveSegura1' });
+
+      expect(resultado.success).toBe(true);
+      expect(resultado.role).toBe('entrenador');
+      expect(AuthModel.obtenerCredencial).toHaveBeenCalledWith(entrenador.id, 'entrenador');
+    });
+
+    it('debería rechazar el número de documento como contraseña si el modo legado está deshabilitado', async () => {
+      AuthModel.buscarEntrenadorActivo.mockResolvedValue(entrenador);
+
+      await expect(autenticarEntrenador('luis@test.com', { numeroDocumento: '1012345678' }))
+        .rejects.toThrow('La contraseña es requerida.');
+    });
+  });
+
+  describe('autenticarCoordinador', () => {
+    it('debería autenticar al coordinador con su contraseña', async () => {
+      AuthModel.buscarCoordinadorActivo.mockResolvedValue({ id: admin.id, nombres: 'Carolina', apellidos: 'Pérez' });
+      AuthModel.obtenerCredencial.mockResolvedValue({
+        hashContrasena: await generarHashContrasena('ClaveSegura1'),
+        requiereCambio: false,
+      });
+
+      const resultado = await autenticarCoordinador('carolina@test.com', 'ClaveSegura1');
+
+      expect(resultado.success).toBe(true);
+      expect(jwt.decode(resultado.token).role).toBe('coordinador');
+    });
+
+    it('debería exigir la contraseña', async () => {
+      await expect(autenticarCoordinador('carolina@test.com')).rejects.toThrow('La contraseña es requerida.');
+      expect(AuthModel.buscarCoordinadorActivo).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('autenticarEstudiante', () => {
+    const estudiante = { id: '7e8f9a0b-1c2d-4e3f-8a4b-5c6d7e8f9a0b', nombres: 'Ana Lucía', apellidos: 'García', correo: 'ana@test.edu.co' };
+    const codigoVigente = {
+      id: 'codigo-id',
+      hashCodigo: createHash('sha256').update('123456').digest('hex'),
+      intentos: 0,
+      segundosDesdeCreacion: 30,
+      vencido: false,
+    };
+
+    beforeEach(() => {
+      AuthModel.buscarEstudianteActivo.mockResolvedValue(estudiante);
+    });
+
+    it('debería autenticar al estudiante con un código vigente y marcarlo como usado', async () => {
+      AuthModel.obtenerCodigoAcceso.mockResolvedValue(codigoVigente);
+      AuthModel.marcarCodigoUsado.mockResolvedValue(true);
+
+      const resultado = await autenticarEstudiante(estudiante.correo, { codigo: '123456' });
+
+      expect(resultado.success).toBe(true);
+      expect(resultado.requiereCambioContrasena).toBe(false);
+      expect(jwt.decode(resultado.token)).toMatchObject({ id: estudiante.id, role: 'estudiante' });
+      expect(AuthModel.marcarCodigoUsado).toHaveBeenCalledWith('codigo-id');
+    });
+
+    it('debería registrar el intento si el código es incorrecto', async () => {
+      AuthModel.obtenerCodigoAcceso.mockResolvedValue(codigoVigente);
+      AuthModel.registrarIntentoCodigo.mockResolvedValue(1);
+
+      const resultado = await autenticarEstudiante(estudiante.correo, { codigo: '654321' });
+
+      expect(resultado).toEqual({ success: false, message: 'Credenciales inválidas o estudiante inactivo.' });
+      expect(AuthModel.registrarIntentoCodigo).toHaveBeenCalledWith('codigo-id');
+      expect(AuthModel.marcarCodigoUsado).not.toHaveBeenCalled();
+    });
+
+    it('debería rechazar un código vencido o que agotó sus intentos', async () => {
+      AuthModel.obtenerCodigoAcceso.mockResolvedValueOnce({ ...codigoVigente, vencido: true });
+      expect((await autenticarEstudiante(estudiante.correo, { codigo: '123456' })).success).toBe(false);
+
+      AuthModel.obtenerCodigoAcceso.mockResolvedValueOnce({ ...codigoVigente, intentos: 5 });
+      expect((await autenticarEstudiante(estudiante.correo, { codigo: '123456' })).success).toBe(false);
+      expect(TokenRefrescoModel.crear).not.toHaveBeenCalled();
+    });
+
+    it('debería autenticar al estudiante con su contraseña', async () => {
+      AuthModel.obtenerCredencial.mockResolvedValue({
+        hashContrasena: await generarHashContrasena('ClaveSegura1'),
+        requiereCambio: false,
+      });
+
+      const resultado = await autenticarEstudiante(estudiante.correo, { contrasena: 'ClaveSegura1' });
+
+      expect(resultado.success).toBe(true);
+      expect(AuthModel.obtenerCodigoAcceso).not.toHaveBeenCalled();
+    });
+
+    it('debería exigir la contraseña o el código', async () => {
+      await expect(autenticarEstudiante(estudiante.correo, {})).rejects.toThrow('Envíe la contraseña o el código de acceso.');
+    });
+
+    it('debería enviar un código nuevo por correo y guardar solo su hash', async () => {
+      const transporte = { enviar: jest.fn().mockResolvedValue(undefined) };
+      establecerTransporteCorreo(transporte);
+      AuthModel.obtenerCodigoAcceso.mockResolvedValueOnce(undefined);
+
+      const resultado = await solicitarCodigoEstudiante(estudiante.correo);
+
+      expect(resultado.success).toBe(true);
+      const [{ para, texto }] = transporte.enviar.mock.calls[0];
+      const [codigo] = texto.match(/\d{6}/);
+      expect(para).toBe(estudiante.correo);
+      expect(AuthModel.guardarCodigoAcceso).toHaveBeenCalledWith(
+        estudiante.id, 'estudiante', createHash('sha256').update(codigo).digest('hex'), 10
+      );
+      establecerTransporteCorreo(null);
+    });
+
+    it('debería responder lo mismo sin enviar nada si el correo no es de un estudiante activo', async () => {
+      AuthModel.buscarEstudianteActivo.mockResolvedValueOnce(null);
+
+      const resultado = await solicitarCodigoEstudiante('nadie@test.edu.co');
+
+      expect(resultado.message).toBe('Si el correo pertenece a un estudiante activo, recibirá un código de acceso en unos minutos.');
+      expect(AuthModel.guardarCodigoAcceso).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('establecerContrasena', () => {
+    it('debería permitir establecer la contraseña con token restringido sin la actual', async () => {
+      AuthModel.obtenerCredencial.mockResolvedValue(null);
+      AuthModel.guardarCredencial.mockResolvedValue({});
+
+      const resultado = await establecerContrasena({ id: admin.id, role: 'admin' }, undefined, 'NuevaClave1');
+
+      expect(resultado.success).toBe(true);
+      expect(AuthModel.guardarCredencial).toHaveBeenCalledWith(admin.id, 'admin', expect.stringMatching(/^scrypt\$/), false);
+      expect(resultado.refreshToken).toEqual(expect.any(String));
+    });
+
+    it('debería cerrar las sesiones anteriores al cambiar la contraseña', async () => {
+      AuthModel.obtenerCredencial.mockResolvedValue({
+        hashContrasena: await generarHashContrasena('ClaveSegura1'),
+        requiereCambio: false,
+      });
+      AuthModel.guardarCredencial.mockResolvedValue({});
+
+      await establecerContrasena({ id: admin.id, role: 'admin' }, 'ClaveSegura1', 'NuevaClave1');
+
+      expect(TokenRefrescoModel.revocarPorUsuario).toHaveBeenCalledWith(admin.id, 'admin', 'cambio-contrasena');
+    });
+
+    it('debería exigir la contraseña actual cuando no es obligatorio cambiarla', async () => {
+      AuthModel.obtenerCredencial.mockResolvedValue({
+        hashContrasena: await generarHashContrasena('ClaveSegura1'),
+        requiereCambio: false,
+      });
+
+      await expect(establecerContrasena({ id: admin.id, role: 'admin' }, 'Incorrecta9', 'NuevaClave1'))
+        .rejects.toThrow('La contraseña actual es incorrecta.');
+      expect(AuthModel.guardarCredencial).not.toHaveBeenCalled();
+    });
+
+    it('debería rechazar contraseñas que no cumplen la política', async () => {
+      await expect(establecerContrasena({ id: admin.id, role: 'admin' }, undefined, 'soloLetras'))
+        .rejects.toThrow('La contraseña debe contener al menos una letra y un número.');
+    });
+  });
+
+  describe('restablecerContrasena', () => {
+    it('debería generar una contraseña temporal que requiere cambio', async () => {
+      AuthModel.existeUsuario.mockResolvedValue(true);
+      AuthModel.guardarCredencial.mockResolvedValue({});
+
+      const resultado = await restablecerContrasena(entrenador.id, 'entrenador');
+
+      expect(resultado.data.contrasenaTemporal).toHaveLength(12);
+      expect(AuthModel.guardarCredencial).toHaveBeenCalledWith(entrenador.id, 'entrenador', expect.any(String), true);
+    });
+
+    it('debería lanzar 404 si el usuario no existe', async () => {
+      AuthModel.existeUsuario.mockResolvedValue(false);
+
+      await expect(restablecerContrasena(entrenador.id, 'entrenador')).rejects.toThrow('El usuario indicado no existe.');
+    });
+  });
+});
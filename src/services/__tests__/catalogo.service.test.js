@@ -0,0 +1,169 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import { crearValor, actualizarValor, reordenarCatalogo, eliminarValor } from '../catalogo.service.js';
+import * as CatalogoModel from '../../models/catalogo.model.js';
+
+jest.mock('../../models/catalogo.model.js');
+jest.mock('../../config/logger.js');
+
+const ADMIN = { id: 'ad000000-0000-4000-8000-000000000001', role: 'admin' };
+const FACULTAD_ID = 'fa000000-0000-4000-8000-000000000001';
+const PROGRAMA_ID = 'b0000000-0000-4000-8000-000000000001';
+
+const facultad = (datos) => ({
+  id: FACULTAD_ID,
+  nombre: 'Ingenierías',
+  activo: true,
+  orden: 1,
+  usos: { programas: 0, entrenadores: 0, coordinadores: 0 },
+  ...datos,
+});
+
+const programa = (datos) => ({
+  id: PROGRAMA_ID,
+  nombre: 'Ingeniería de Sistemas',
+  facultadId: FACULTAD_ID,
+  facultadNombre: 'Ingenierías',
+  activo: true,
+  orden: 1,
+  usos: { estudiantes: 0 },
+  ...datos,
+});
+
+describe('Servicio de Catálogos', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('crearValor', () => {
+    it('debería crear un programa en una facultad activa', async () => {
+      CatalogoModel.obtenerPorId.mockResolvedValueOnce(facultad());
+      CatalogoModel.crear.mockResolvedValueOnce(programa());
+
+      const resultado = await crearValor('programas', { nombre: 'Ingeniería de Sistemas', facultadId: FACULTAD_ID }, ADMIN);
+
+      expect(CatalogoModel.obtenerPorId).toHaveBeenCalledWith('facultades', FACULTAD_ID);
+      expect(CatalogoModel.crear).toHaveBeenCalledWith('programas', { nombre: 'Ingeniería de Sistemas', facultadId: FACULTAD_ID });
+      expect(resultado).toEqual({ success: true, message: 'Programa creado exitosamente.', data: programa() });
+    });
+
+    it('debería responder 409 si la facultad del programa está inactiva', async () => {
+      CatalogoModel.obtenerPorId.mockResolvedValueOnce(facultad({ activo: false }));
+
+      await expect(crearValor('programas', { nombre: 'Bioingeniería', facultadId: FACULTAD_ID }, ADMIN))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(CatalogoModel.crear).not.toHaveBeenCalled();
+    });
+
+    it('debería responder 404 si la facultad del programa no existe', async () => {
+      CatalogoModel.obtenerPorId.mockResolvedValueOnce(undefined);
+
+      await expect(crearValor('programas', { nombre: 'Bioingeniería', facultadId: FACULTAD_ID }, ADMIN))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Facultad no encontrada.' });
+    });
+
+    it('debería responder 409 si ya existe un valor con ese nombre', async () => {
+      CatalogoModel.crear.mockRejectedValueOnce(Object.assign(new Error('duplicado'), { code: '23505' }));
+
+      await expect(crearValor('generos', { nombre: 'Femenino' }, ADMIN))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Ya existe un género con ese nombre.' });
+    });
+  });
+
+  describe('actualizarValor', () => {
+    it('debería desactivar un valor sin tocar los registros que lo usan', async () => {
+      CatalogoModel.obtenerPorId.mockResolvedValueOnce(programa({ usos: { estudiantes: 12 } }));
+      CatalogoModel.actualizar.mockResolvedValueOnce(programa({ activo: false, usos: { estudiantes: 12 } }));
+
+      const resultado = await actualizarValor('programas', PROGRAMA_ID, { activo: false }, ADMIN);
+
+      expect(CatalogoModel.actualizar).toHaveBeenCalledWith('programas', PROGRAMA_ID, { activo: false });
+      expect(resultado.data.activo).toBe(false);
+    });
+
+    it('debería comprobar la facultad solo si el programa cambia de facultad', async () => {
+      const OTRA_FACULTAD_ID = 'fa000000-0000-4000-8000-000000000002';
+      CatalogoModel.obtenerPorId
+        .mockResolvedValueOnce(programa())
+        .mockResolvedValueOnce(facultad({ id: OTRA_FACULTAD_ID, activo: false }));
+
+      await expect(actualizarValor('programas', PROGRAMA_ID, { facultadId: OTRA_FACULTAD_ID }, ADMIN))
+        .rejects.toMatchObject({ statusCode: 409 });
+
+      CatalogoModel.obtenerPorId.mockResolvedValueOnce(programa());
+      CatalogoModel.actualizar.mockResolvedValueOnce(programa({ nombre: 'Ingeniería de Software' }));
+      await actualizarValor('programas', PROGRAMA_ID, { nombre: 'Ingeniería de Software', facultadId: FACULTAD_ID }, ADMIN);
+      expect(CatalogoModel.obtenerPorId).toHaveBeenCalledTimes(3);
+    });
+
+    it('debería responder 404 si el valor no existe', async () => {
+      CatalogoModel.obtenerPorId.mockResolvedValueOnce(undefined);
+
+      await expect(actualizarValor('facultades', FACULTAD_ID, { nombre: 'Salud' }, ADMIN))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Facultad no encontrada.' });
+      expect(CatalogoModel.actualizar).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reordenarCatalogo', () => {
+    const ids = ['a0000000-0000-4000-8000-000000000001', 'a0000000-0000-4000-8000-000000000002'];
+
+    it('debería reordenar cuando la lista contiene todos los valores', async () => {
+      CatalogoModel.listar
+        .mockResolvedValueOnce(ids.map((id) => ({ id })))
+        .mockResolvedValueOnce([...ids].reverse().map((id) => ({ id })));
+
+      const resultado = await reordenarCatalogo('generos', [...ids].reverse(), ADMIN);
+
+      expect(CatalogoModel.reordenar).toHaveBeenCalledWith('generos', [...ids].reverse());
+      expect(resultado.data.map((valor) => valor.id)).toEqual([...ids].reverse());
+    });
+
+    it('debería responder 400 si falta algún valor o sobra alguno', async () => {
+      CatalogoModel.listar.mockResolvedValue(ids.map((id) => ({ id })));
+
+      await expect(reordenarCatalogo('generos', [ids[0]], ADMIN)).rejects.toMatchObject({ statusCode: 400 });
+      await expect(reordenarCatalogo('generos', [ids[0], 'a0000000-0000-4000-8000-000000000003'], ADMIN))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(CatalogoModel.reordenar).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('eliminarValor', () => {
+    it('debería eliminar un valor que no está en uso', async () => {
+      CatalogoModel.obtenerPorId.mockResolvedValueOnce(facultad());
+      CatalogoModel.eliminar.mockResolvedValueOnce(true);
+
+      const resultado = await eliminarValor('facultades', FACULTAD_ID, ADMIN);
+
+      expect(CatalogoModel.eliminar).toHaveBeenCalledWith('facultades', FACULTAD_ID);
+      expect(resultado).toEqual({ success: true, message: 'Facultad eliminada exitosamente.' });
+    });
+
+    it('debería responder 409 indicando los registros que usan el valor', async () => {
+      CatalogoModel.obtenerPorId.mockResolvedValueOnce(facultad({ usos: { programas: 4, entrenadores: 0, coordinadores: 1 } }));
+
+      await expect(eliminarValor('facultades', FACULTAD_ID, ADMIN)).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'No se puede eliminar la facultad: está en uso por 4 programas y 1 coordinador. Puede desactivarse para que no se ofrezca en registros nuevos.',
+      });
+      expect(CatalogoModel.eliminar).not.toHaveBeenCalled();
+    });
+
+    it('debería contar el historial de matrícula de un programa que ya nadie cursa', async () => {
+      CatalogoModel.obtenerPorId.mockResolvedValueOnce(programa({ usos: { estudiantes: 0, matriculas: 3 } }));
+
+      await expect(eliminarValor('programas', PROGRAMA_ID, ADMIN)).rejects.toMatchObject({
+        statusCode: 409,
+        message: expect.stringContaining('está en uso por 3 matrículas.'),
+      });
+      expect(CatalogoModel.eliminar).not.toHaveBeenCalled();
+    });
+
+    it('debería responder 409 si un registro empezó a usarlo antes del borrado', async () => {
+      CatalogoModel.obtenerPorId.mockResolvedValueOnce(programa());
+      CatalogoModel.eliminar.mockRejectedValueOnce(Object.assign(new Error('fk'), { code: '23503' }));
+
+      await expect(eliminarValor('programas', PROGRAMA_ID, ADMIN)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import { registrarCoordinador, listarCoordinadores } from '../coordinador.service.js';
+import * as CoordinadorModel from '../../models/coordinador.model.js';
+
+jest.mock('../../models/coordinador.model.js');
+jest.mock('../../config/logger.js');
+
+describe('Servicio de Coordinador', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const datos = {
+    nombres: 'Carolina',
+    apellidos: 'Pérez',
+    numeroDocumento: '43123456',
+    correo: 'carolina@test.com',
+    facultadId: 'a1b2c3d4-e5f6-4890-a234-567890abcdef',
+  };
+
+  describe('registrarCoordinador', () => {
+    it('debería registrar un coordinador', async () => {
+      CoordinadorModel.registrar.mockResolvedValue({ id: 'coord-1', ...datos });
+
+      const resultado = await registrarCoordinador(datos);
+
+      expect(resultado.success).toBe(true);
+      expect(resultado.data.id).toBe('coord-1');
+    });
+
+    it('debería responder 409 si el correo o documento ya existen', async () => {
+      CoordinadorModel.registrar.mockRejectedValue(Object.assign(new Error('duplicado'), { code: '23505' }));
+
+      await expect(registrarCoordinador(datos)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('debería responder 400 si la facultad no existe', async () => {
+      CoordinadorModel.registrar.mockRejectedValue(Object.assign(new Error('fk'), { code: '23503' }));
+
+      await expect(registrarCoordinador(datos)).rejects.toThrow('La facultad indicada no existe.');
+    });
+  });
+
+  describe('listarCoordinadores', () => {
+    it('debería pasar el filtro de facultad al modelo', async () => {
+      CoordinadorModel.obtenerTodos.mockResolvedValue([]);
+
+      await listarCoordinadores({ facultadId: datos.facultadId });
+
+      expect(CoordinadorModel.obtenerTodos).toHaveBeenCalledWith({ facultadId: datos.facultadId });
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import { exportarDatosPersonales, anonimizarEstudiante } from '../datosPersonales.service.js';
+import * as DatosPersonalesModel from '../../models/datosPersonales.model.js';
+
+jest.mock('../../models/datosPersonales.model.js');
+jest.mock('../../config/logger.js');
+
+const ADMIN = { id: 'ad000000-0000-4000-8000-000000000001', role: 'admin' };
+const ESTUDIANTE_ID = 'a1a1a1a1-0000-4000-8000-000000000001';
+const MOTIVO = 'Solicitud de supresión del titular.';
+
+const estudiante = {
+  id: ESTUDIANTE_ID,
+  tipoDocumento: 'CC',
+  numeroDocumento: '1039456789',
+  nombres: 'Ana Lucía',
+  apellidos: 'García Vélez',
+  fechaNacimiento: '2003-05-14',
+  genero: 'Femenino',
+  correo: 'ana@correo.edu.co',
+  programas: ['Psicología'],
+  fechaArchivado: null,
+  motivoArchivado: null,
+  fechaAnonimizado: null,
+};
+
+const asignacion = (datos) => ({
+  entrenamientoId: 'en-1',
+  entrenamientoFechaInicio: '2025-02-01',
+  entrenamientoFechaFin: '2025-06-30',
+  entrenamientoEstadoGeneral: 'En progreso',
+  entrenamientoFechaArchivado: null,
+  asignacionVariableId: 'av-1',
+  variableCognitivaNombre: 'Memoria',
+  asignacionVariableEstado: 'En progreso',
+  entrenadorNombres: 'Carlos Ruiz',
+  asignacionNivelInicial: { aciertos: 8 },
+  asignacionMetricasActuales: { aciertos: 12 },
+  sesionesDetalle: [],
+  ...datos,
+});
+
+describe('Servicio de Datos Personales', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('exportarDatosPersonales', () => {
+    it('debería agrupar las variables por entrenamiento y unir las métricas y planificaciones de cada sesión', async () => {
+      DatosPersonalesModel.obtenerDatosPersonales.mockResolvedValueOnce({
+        estudiante,
+        asignaciones: [
+          asignacion({
+            sesionesDetalle: [
+              { sesionId: 's1', numeroSesion: 1, estado: 'Finalizada', observacion: 'Buena concentración.' },
+              { sesionId: 's2', numeroSesion: 2, estado: 'Pendiente', observacion: null },
+            ],
+          }),
+          asignacion({ asignacionVariableId: 'av-2', variableCognitivaNombre: 'Atención' }),
+          asignacion({ entrenamientoId: 'en-2', entrenamientoEstadoGeneral: 'Finalizado', asignacionVariableId: 'av-3', sesionesDetalle: null }),
+        ],
+        metricas: [{ sesionId: 's1', metricas: { aciertos: 10 }, nivelInicialAnterior: { aciertos: 8 } }],
+        sesionesPlanificadas: [
+          { asignacionVariableId: 'av-2', inicio: '2025-03-03T10:00:00', fin: '2025-03-03T10:45:00', cancelada: false },
+        ],
+        alertas: [{ id: 'al-1', regla: 'sin-sesiones', asignacionVariableId: 'av-1', estado: 'activa' }],
+        solicitudesCambioSesion: [{ id: 'sc-1', asignacionVariableId: 'av-2', estado: 'pendiente', motivo: 'Tengo parcial.' }],
+        matriculas: [{ programa: 'Psicología', semestre: '2025-1', fechaInicio: '2025-02-03', fechaFin: null }],
+      });
+
+      const resultado = await exportarDatosPersonales(ESTUDIANTE_ID);
+
+      expect(resultado.success).toBe(true);
+      expect(resultado.data.estudiante).toEqual(estudiante);
+      expect(resultado.data.alertas).toHaveLength(1);
+      expect(resultado.data.solicitudesCambioSesion).toEqual([expect.objectContaining({ id: 'sc-1', motivo: 'Tengo parcial.' })]);
+      expect(resultado.data.matriculas).toEqual([expect.objectContaining({ programa: 'Psicología', semestre: '2025-1' })]);
+      const [primero, segundo] = resultado.data.entrenamientos;
+      expect(resultado.data.entrenamientos).toHaveLength(2);
+      expect(primero).toEqual(expect.objectContaining({ entrenamientoId: 'en-1', estado: 'En progreso' }));
+      expect(primero.variables.map((variable) => variable.asignacionVariableId)).toEqual(['av-1', 'av-2']);
+      expect(primero.variables[0].sesiones).toEqual([
+        { sesionId: 's1', numeroSesion: 1, estado: 'Finalizada', observacion: 'Buena concentración.', metricas: { aciertos: 10 }, nivelInicialAnterior: { aciertos: 8 } },
+        { sesionId: 's2', numeroSesion: 2, estado: 'Pendiente', observacion: null, metricas: null, nivelInicialAnterior: null },
+      ]);
+      expect(primero.variables[1].sesionesPlanificadas).toEqual([{ inicio: '2025-03-03T10:00:00', fin: '2025-03-03T10:45:00', cancelada: false }]);
+      expect(segundo.variables[0]).toEqual(expect.objectContaining({ asignacionVariableId: 'av-3', sesiones: [], sesionesPlanificadas: [] }));
+    });
+
+    it('debería responder 404 si el estudiante no existe', async () => {
+      DatosPersonalesModel.obtenerDatosPersonales.mockResolvedValueOnce(undefined);
+
+      await expect(exportarDatosPersonales(ESTUDIANTE_ID)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('anonimizarEstudiante', () => {
+    const anonimizados = { estudiantes: 1, sesiones: 3, auditoria: 5, notificaciones: 2, solicitudes: 0 };
+
+    it('debería anonimizar al estudiante y devolver cuántos registros se modificaron', async () => {
+      DatosPersonalesModel.obtenerEstadoAnonimizacion.mockResolvedValueOnce({ id: ESTUDIANTE_ID, fechaAnonimizado: null });
+      DatosPersonalesModel.anonimizarEstudiante.mockResolvedValueOnce(anonimizados);
+
+      const resultado = await anonimizarEstudiante(ESTUDIANTE_ID, MOTIVO, ADMIN);
+
+      expect(DatosPersonalesModel.anonimizarEstudiante).toHaveBeenCalledWith(ESTUDIANTE_ID);
+      expect(resultado).toEqual({
+        success: true,
+        message: 'Estudiante anonimizado exitosamente.',
+        data: { estudianteId: ESTUDIANTE_ID, motivo: MOTIVO, anonimizados },
+      });
+    });
+
+    it('debería responder 404 si el estudiante no existe', async () => {
+      DatosPersonalesModel.obtenerEstadoAnonimizacion.mockResolvedValueOnce(undefined);
+
+      await expect(anonimizarEstudiante(ESTUDIANTE_ID, MOTIVO, ADMIN)).rejects.toMatchObject({ statusCode: 404 });
+      expect(DatosPersonalesModel.anonimizarEstudiante).not.toHaveBeenCalled();
+    });
+
+    it('debería responder 409 si ya estaba anonimizado', async () => {
+      DatosPersonalesModel.obtenerEstadoAnonimizacion.mockResolvedValueOnce({ id: ESTUDIANTE_ID, fechaAnonimizado: '2025-03-01T10:00:00' });
+
+      await expect(anonimizarEstudiante(ESTUDIANTE_ID, MOTIVO, ADMIN)).rejects.toMatchObject({ statusCode: 409 });
+      expect(DatosPersonalesModel.anonimizarEstudiante).not.toHaveBeenCalled();
+    });
+
+    it('debería responder 409 si otra petición lo anonimizó antes', async () => {
+      DatosPersonalesModel.obtenerEstadoAnonimizacion.mockResolvedValueOnce({ id: ESTUDIANTE_ID, fechaAnonimizado: null });
+      DatosPersonalesModel.anonimizarEstudiante.mockResolvedValueOnce({ ...anonimizados, estudiantes: 0 });
+
+      await expect(anonimizarEstudiante(ESTUDIANTE_ID, MOTIVO, ADMIN)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
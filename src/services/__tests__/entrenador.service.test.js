@@ -20,15 +20,21 @@ jest.unstable_mockModule('../../utils/response.util.js', () => ({
     error.statusCode = statusCode;
     throw error;
   }),
+  relanzar: jest.fn((etiqueta, error) => {
+    error.statusCode ??= 500;
+    throw error;
+  }),
 }));
 
 describe('Entrenador Service', () => {
   let EntrenadorModel;
   let EntrenadorService;
+  let TokenRefrescoModel;
 
   beforeEach(async () => {
     jest.clearAllMocks();
     EntrenadorModel = (await import('../../models/entrenador.model.js'));
+    TokenRefrescoModel = await import('../../models/tokenRefresco.model.js');
     EntrenadorService = await import('../entrenador.service.js');
   });
 
@@ -53,11 +59,20 @@ describe('Entrenador Service', () => {
   describe('obtenerListaCompletaEntrenadores', () => {
     it('debería obtener la lista de entrenadores', async () => {
       const entrenadoresMock = [{ id: 1, nombres: 'Test' }];
-      EntrenadorModel.obtenerTodos.mockResolvedValue(entrenadoresMock);
+      const paginacionMock = { total: 1, page: 1, pageSize: 20, next: null };
+      EntrenadorModel.obtenerTodos.mockResolvedValue({ datos: entrenadoresMock, paginacion: paginacionMock });
       const res = await EntrenadorService.obtenerListaCompletaEntrenadores();
       expect(res.data).toEqual(entrenadoresMock);
+      expect(res.paginacion).toEqual(paginacionMock);
       expect(res.success).toBe(true);
     });
+
+    it('debería pasar al modelo los filtros y la paginación', async () => {
+      EntrenadorModel.obtenerTodos.mockResolvedValue({ datos: [], paginacion: { total: 0, page: 3, pageSize: 5, next: null } });
+      const opciones = { page: 3, pageSize: 5, filtros: { nombreFacultad: 'Ingeniería' } };
+      await EntrenadorService.obtenerListaCompletaEntrenadores(opciones);
+      expect(EntrenadorModel.obtenerTodos).toHaveBeenCalledWith(opciones);
+    });
   });
 
   describe('modificarInformacionEntrenador', () => {
@@ -78,6 +93,22 @@ describe('Entrenador Service', () => {
       expect(res.success).toBe(true);
       expect(res.message).toBe('ok');
     });
+
+    it('debería revocar las sesiones del entrenador desactivado', async () => {
+      EntrenadorModel.desactivar.mockResolvedValue({ exito: true, mensaje: 'ok', entrenadorid: 'id' });
+      await EntrenadorService.desactivarEntrenador('id');
+      expect(TokenRefrescoModel.revocarPorUsuario).toHaveBeenCalledWith('id', 'entrenador', 'desactivacion');
+    });
+
+    it('debería responder con éxito aunque falle la revocación de las sesiones', async () => {
+      EntrenadorModel.desactivar.mockResolvedValue({ exito: true, mensaje: 'ok', entrenadorid: 'id' });
+      TokenRefrescoModel.revocarPorUsuario.mockRejectedValueOnce(new Error('conexión perdida'));
+
+      const res = await EntrenadorService.desactivarEntrenador('id');
+
+      expect(res).toEqual(expect.objectContaining({ success: true, message: 'ok' }));
+      expect(EntrenadorModel.desactivar).toHaveBeenCalledTimes(1);
+    });
   });
 
   describe('obtenerFacultadesPorEmailService', () => {
@@ -8,6 +8,14 @@ jest.unstable_mockModule('../../models/estudiantesEntrenamientos.model.js', () =
     crearSesionDB: jest.fn(),
     finalizarSesionDB: jest.fn(),
     finalizarAsignacionVariableDB: jest.fn(),
+    registrarEntrenamientoAsignacionDB: jest.fn(),
+    obtenerProgresoVariablePorId: jest.fn(),
+    obtenerHistorialMetricasDB: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/esquemaMetricas.model.js', () => ({
+    obtenerVigentes: jest.fn(async () => []),
+    obtenerVariableDeSesion: jest.fn(async () => undefined),
 }));
 
 jest.unstable_mockModule('../../config/logger.js', () => ({
@@ -23,18 +31,24 @@ jest.unstable_mockModule('../../utils/response.util.js', () => ({
     error.statusCode = statusCode;
     throw error;
   }),
+  relanzar: jest.fn((etiqueta, error) => {
+    error.statusCode ??= 500;
+    throw error;
+  }),
 }));
 
 describe('Servicio de EntrenamientoCognitivo', () => {
     let EntrenamientoService;
     let EntrenamientoModel;
     let responseUtil;
+    let EsquemaMetricasModel;
 
     beforeEach(async () => {
         jest.clearAllMocks();
         EntrenamientoModel = (await import('../../models/estudiantesEntrenamientos.model.js'));
         EntrenamientoService = await import('../entrenamientoCognitivo.service.js');
         responseUtil = await import('../../utils/response.util.js');
+        EsquemaMetricasModel = await import('../../models/esquemaMetricas.model.js');
     });
 
   describe('modificarEntrenamientoCognitivo', () => {
@@ -76,6 +90,208 @@ describe('Servicio de EntrenamientoCognitivo', () => {
       });
   });
 
+  describe('validación contra el esquema de métricas', () => {
+    const esquemaMemoria = {
+      variableCognitivaId: 'b0f1c2d3-0000-4000-8000-000000000001',
+      variableCognitivaNombre: 'Memoria',
+      version: 2,
+      campos: [
+        { clave: 'aciertos', tipo: 'entero', requerido: true, minimo: 0, maximo: 20 },
+        { clave: 'tiempo', tipo: 'decimal', requerido: false, unidad: 's' },
+      ],
+    };
+
+    it('debería rechazar la finalización de sesión con errores por campo', async () => {
+      EsquemaMetricasModel.obtenerVariableDeSesion.mockResolvedValueOnce(esquemaMemoria.variableCognitivaId);
+      EsquemaMetricasModel.obtenerVigentes.mockResolvedValueOnce([esquemaMemoria]);
+
+      const error = await EntrenamientoService.finalizarSesion('d515b2e9-8548-4307-8444-2453187b5a28', { aciertos: 25, color: 'rojo' }, { aciertos: 3 })
+        .catch((e) => e);
+
+      expect(error.statusCode).toBe(400);
+      expect(error.errors.map((e) => e.path)).toEqual(['nuevasMetricas.color', 'nuevasMetricas.aciertos']);
+      expect(EsquemaMetricasModel.obtenerVigentes).toHaveBeenCalledWith([esquemaMemoria.variableCognitivaId]);
+      expect(EntrenamientoModel.finalizarSesionDB).not.toHaveBeenCalled();
+    });
+
+    it('debería devolver los errores por campo al registrar una asignación', async () => {
+      EsquemaMetricasModel.obtenerVigentes.mockResolvedValueOnce([esquemaMemoria]);
+
+      const resultado = await EntrenamientoService.registrarNuevaAsignacionService({
+        estudianteId: 'a1b2c3d4-e5f6-4890-8234-567890abcdef',
+        fechaInicio: '2025-03-01 10:00:00',
+        tiposVariablesCognitivasIds: [esquemaMemoria.variableCognitivaId, 'b0f1c2d3-0000-4000-8000-000000000002'],
+        nivelInicial: { aciertos: 4 },
+        metricas: { aciertos: 'cinco' },
+      });
+
+      expect(resultado).toEqual(expect.objectContaining({ success: false, statusCode: 400 }));
+      expect(resultado.errors).toHaveLength(1);
+      expect(resultado.errors[0]).toEqual(expect.objectContaining({
+        path: 'metricas.aciertos',
+        msg: "Memoria (v2): El campo 'aciertos' debe ser un número entero.",
+        esquema: { variableCognitivaId: esquemaMemoria.variableCognitivaId, version: 2 },
+      }));
+      expect(EntrenamientoModel.registrarEntrenamientoAsignacionDB).not.toHaveBeenCalled();
+    });
+
+    it('debería registrar la asignación si las métricas cumplen el esquema', async () => {
+      EsquemaMetricasModel.obtenerVigentes.mockResolvedValueOnce([esquemaMemoria]);
+      EntrenamientoModel.registrarEntrenamientoAsignacionDB.mockResolvedValueOnce('Asignación registrada con éxito.');
+
+      const resultado = await EntrenamientoService.registrarNuevaAsignacionService({
+        estudianteId: 'a1b2c3d4-e5f6-4890-8234-567890abcdef',
+        fechaInicio: '2025-03-01 10:00:00',
+        tiposVariablesCognitivasIds: [esquemaMemoria.variableCognitivaId],
+        nivelInicial: { aciertos: 4, tiempo: 12.5 },
+        metricas: { aciertos: 0 },
+      });
+
+      expect(resultado).toEqual(expect.objectContaining({ success: true, statusCode: 201 }));
+    });
+  });
+
+  describe('periodo académico del entrenamiento nuevo', () => {
+    const sinPeriodo = Object.assign(
+      new Error('No hay un periodo académico que contenga la fecha 2025-03-01; un administrador debe crearlo.'),
+      { code: 'P0001' }
+    );
+    const periodoCerrado = Object.assign(
+      new Error('El periodo académico 2025-1 está cerrado y no admite entrenamientos nuevos.'),
+      { code: 'P0001' }
+    );
+    const datosEntrenamiento = {
+      siglaTipoDocEstudiante: 'CC',
+      numeroDocEstudiante: '1001',
+      siglaTipoDocEntrenador: 'CC',
+      numeroDocEntrenador: '2002',
+      variablesCognitivas: ['Memoria'],
+    };
+    const datosAsignacion = {
+      estudianteId: 'a1b2c3d4-e5f6-4890-8234-567890abcdef',
+      fechaInicio: '2025-03-01 10:00:00',
+      tiposVariablesCognitivasIds: ['b0f1c2d3-0000-4000-8000-000000000001'],
+      nivelInicial: {},
+      metricas: {},
+    };
+
+    it('debería responder 409 al crear un entrenamiento si no hay un periodo que contenga la fecha', async () => {
+      EntrenamientoModel.crearEntrenamientoCognitivoDB.mockRejectedValueOnce(sinPeriodo);
+
+      const resultado = await EntrenamientoService.crearNuevoEntrenamientoCognitivo(datosEntrenamiento);
+
+      expect(resultado).toEqual({
+        success: false,
+        statusCode: 409,
+        message: 'No hay un periodo académico que contenga la fecha de inicio del entrenamiento; un administrador debe crearlo antes de registrar entrenamientos.',
+      });
+    });
+
+    it('debería responder 409 al crear un entrenamiento si su periodo está cerrado', async () => {
+      EntrenamientoModel.crearEntrenamientoCognitivoDB.mockRejectedValueOnce(periodoCerrado);
+
+      const resultado = await EntrenamientoService.crearNuevoEntrenamientoCognitivo(datosEntrenamiento);
+
+      expect(resultado).toEqual({
+        success: false,
+        statusCode: 409,
+        message: 'El periodo académico 2025-1 está cerrado y no admite entrenamientos nuevos.',
+      });
+    });
+
+    it('debería responder 409 al registrar una asignación si no hay un periodo que contenga la fecha', async () => {
+      EntrenamientoModel.registrarEntrenamientoAsignacionDB.mockRejectedValueOnce(sinPeriodo);
+
+      const resultado = await EntrenamientoService.registrarNuevaAsignacionService(datosAsignacion);
+
+      expect(resultado).toEqual(expect.objectContaining({ success: false, statusCode: 409 }));
+      expect(resultado.message).toMatch(/^No hay un periodo académico/);
+    });
+
+    it('debería responder 409 al registrar una asignación si su periodo está cerrado', async () => {
+      EntrenamientoModel.registrarEntrenamientoAsignacionDB.mockRejectedValueOnce(periodoCerrado);
+
+      const resultado = await EntrenamientoService.registrarNuevaAsignacionService(datosAsignacion);
+
+      expect(resultado).toEqual({
+        success: false,
+        statusCode: 409,
+        message: 'El periodo académico 2025-1 está cerrado y no admite entrenamientos nuevos.',
+      });
+    });
+
+    it('debería seguir relanzando los demás errores de la base de datos', async () => {
+      EntrenamientoModel.registrarEntrenamientoAsignacionDB.mockRejectedValueOnce(Object.assign(new Error('otro'), { code: 'P0001' }));
+
+      await expect(EntrenamientoService.registrarNuevaAsignacionService(datosAsignacion)).rejects.toThrow('otro');
+    });
+  });
+
+  describe('consultarHistorialMetricas', () => {
+    const ASIGNACION_ID = 'c0a80101-0000-4000-8000-000000000001';
+    const progreso = {
+      variableCognitivaNombre: 'Memoria',
+      asignacionVariableEstado: 'En progreso',
+      asignacionNivelInicial: { aciertos: 11 },
+      asignacionMetricasActuales: { aciertos: 12 },
+    };
+
+    it('debería responder 404 si la asignación no existe', async () => {
+      EntrenamientoModel.obtenerProgresoVariablePorId.mockResolvedValueOnce(null);
+
+      const resultado = await EntrenamientoService.consultarHistorialMetricas(ASIGNACION_ID);
+
+      expect(resultado).toEqual(expect.objectContaining({ success: false, statusCode: 404 }));
+      expect(EntrenamientoModel.obtenerHistorialMetricasDB).not.toHaveBeenCalled();
+    });
+
+    it('debería armar una serie por métrica con diferencias frente al nivel inicial y a la sesión anterior', async () => {
+      EntrenamientoModel.obtenerProgresoVariablePorId.mockResolvedValueOnce(progreso);
+      EntrenamientoModel.obtenerHistorialMetricasDB.mockResolvedValueOnce([
+        { sesionId: 's1', numeroSesion: 1, fecha: '2025-03-01', metricas: { aciertos: 9, tiempo: 1.3 }, nivelInicialAnterior: { aciertos: 8, tiempo: 1.5 } },
+        { sesionId: 's2', numeroSesion: 2, fecha: '2025-03-08', metricas: { aciertos: 12, nota: 'bien' }, nivelInicialAnterior: { aciertos: 9 } },
+        { sesionId: 's3', numeroSesion: 3, fecha: '2025-03-15', metricas: { aciertos: 11, tiempo: 1.1 }, nivelInicialAnterior: { aciertos: 11 } },
+      ]);
+
+      const { data } = await EntrenamientoService.consultarHistorialMetricas(ASIGNACION_ID);
+
+      expect(data).toEqual(expect.objectContaining({ variableCognitiva: 'Memoria', nivelInicial: { aciertos: 8, tiempo: 1.5 }, sesiones: 3 }));
+      expect(data.series.map((serie) => serie.metrica)).toEqual(['aciertos', 'tiempo', 'nota']);
+      expect(data.series[0].puntos.map(({ valor, deltaInicial, deltaAnterior }) => [valor, deltaInicial, deltaAnterior])).toEqual([
+        [9, 1, null],
+        [12, 4, 3],
+        [11, 3, -1],
+      ]);
+      expect(data.series[1].puntos.map(({ sesionId, deltaInicial, deltaAnterior }) => [sesionId, deltaInicial, deltaAnterior])).toEqual([
+        ['s1', -0.2, null],
+        ['s3', -0.4, -0.2],
+      ]);
+      expect(data.series[2]).toEqual({
+        metrica: 'nota',
+        nivelInicial: null,
+        puntos: [{ sesionId: 's2', numeroSesion: 2, fecha: '2025-03-08', valor: 'bien', deltaInicial: null, deltaAnterior: null }],
+      });
+    });
+
+    it('debería usar el nivel inicial actual si no hay sesiones con instantánea', async () => {
+      EntrenamientoModel.obtenerProgresoVariablePorId.mockResolvedValueOnce(progreso);
+      EntrenamientoModel.obtenerHistorialMetricasDB.mockResolvedValueOnce([]);
+
+      const { data } = await EntrenamientoService.consultarHistorialMetricas(ASIGNACION_ID);
+
+      expect(data).toEqual(expect.objectContaining({ nivelInicial: { aciertos: 11 }, sesiones: 0, series: [] }));
+    });
+
+    it('debería pasar al modelo si se incluyen las sesiones archivadas', async () => {
+      EntrenamientoModel.obtenerProgresoVariablePorId.mockResolvedValueOnce(progreso);
+      EntrenamientoModel.obtenerHistorialMetricasDB.mockResolvedValueOnce([]);
+
+      await EntrenamientoService.consultarHistorialMetricas(ASIGNACION_ID, { incluirArchivados: true });
+
+      expect(EntrenamientoModel.obtenerHistorialMetricasDB).toHaveBeenCalledWith(ASIGNACION_ID, { incluirArchivados: true });
+    });
+  });
+
   describe('finalizarAsignacionVariable', () => {
     it('debería lanzar un ClientError si el ID no es un UUID válido', async () => {
       const expectedError = 'El ID de la asignación de variable es requerido y debe ser un UUID válido.';
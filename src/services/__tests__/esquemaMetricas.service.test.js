@@ -0,0 +1,104 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import {
+  obtenerVigente,
+  crearVersion,
+  retirarVersion,
+  validarContraEsquemasVigentes,
+  validarMetricasDeSesion,
+} from '../esquemaMetricas.service.js';
+import * as EsquemaMetricasModel from '../../models/esquemaMetricas.model.js';
+
+jest.mock('../../models/esquemaMetricas.model.js');
+jest.mock('../../config/logger.js');
+
+const VARIABLE_ID = 'b0f1c2d3-0000-4000-8000-000000000001';
+
+describe('Servicio de Esquemas de Métricas', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('obtenerVigente', () => {
+    it('debería devolver la versión activa más alta', async () => {
+      const esquema = { version: 3, campos: [] };
+      EsquemaMetricasModel.obtenerVigentes.mockResolvedValue([{ variableCognitivaId: VARIABLE_ID, version: 3 }]);
+      EsquemaMetricasModel.obtenerVersion.mockResolvedValue(esquema);
+
+      const resultado = await obtenerVigente(VARIABLE_ID);
+
+      expect(resultado.data).toBe(esquema);
+      expect(EsquemaMetricasModel.obtenerVersion).toHaveBeenCalledWith(VARIABLE_ID, 3);
+    });
+
+    it('debería responder 404 si la variable no tiene esquema vigente', async () => {
+      EsquemaMetricasModel.obtenerVigentes.mockResolvedValue([]);
+
+      await expect(obtenerVigente(VARIABLE_ID)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('crearVersion', () => {
+    it('debería guardar los campos con "requerido" explícito y el autor', async () => {
+      EsquemaMetricasModel.crearVersion.mockResolvedValue({ version: 1 });
+
+      const resultado = await crearVersion(
+        VARIABLE_ID,
+        { campos: [{ clave: 'aciertos', tipo: 'entero', minimo: 0 }], descripcion: 'Inicial' },
+        { id: 'admin-uuid', role: 'admin' },
+      );
+
+      expect(resultado.message).toBe('Versión 1 del esquema de métricas publicada.');
+      expect(EsquemaMetricasModel.crearVersion).toHaveBeenCalledWith({
+        variableId: VARIABLE_ID,
+        campos: [{ clave: 'aciertos', tipo: 'entero', requerido: true, minimo: 0, maximo: undefined, unidad: undefined, descripcion: undefined }],
+        descripcion: 'Inicial',
+        creadoPor: 'admin-uuid',
+      });
+    });
+
+    it('debería responder 404 si la variable no existe', async () => {
+      EsquemaMetricasModel.crearVersion.mockRejectedValue(Object.assign(new Error('fk'), { code: '23503' }));
+
+      await expect(crearVersion(VARIABLE_ID, { campos: [] }, {})).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('retirarVersion', () => {
+    it('debería responder 404 si la versión no existe o ya estaba retirada', async () => {
+      EsquemaMetricasModel.retirarVersion.mockResolvedValue(undefined);
+
+      await expect(retirarVersion(VARIABLE_ID, 2)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('validarContraEsquemasVigentes', () => {
+    it('no debería validar las variables sin esquema vigente', async () => {
+      EsquemaMetricasModel.obtenerVigentes.mockResolvedValue([]);
+
+      await expect(validarContraEsquemasVigentes([VARIABLE_ID], { metricas: { cualquiera: 'valor' } })).resolves.toEqual([]);
+    });
+
+    it('debería validar cada objeto contra el esquema y señalar la versión', async () => {
+      EsquemaMetricasModel.obtenerVigentes.mockResolvedValue([
+        { variableCognitivaId: VARIABLE_ID, variableCognitivaNombre: 'Memoria', version: 2, campos: [{ clave: 'aciertos', tipo: 'entero', requerido: true }] },
+      ]);
+
+      const errores = await validarContraEsquemasVigentes([VARIABLE_ID], { nivelInicial: { aciertos: 1 }, metricas: {} });
+
+      expect(errores).toEqual([expect.objectContaining({
+        path: 'metricas.aciertos',
+        msg: "El campo 'aciertos' es requerido.",
+        esquema: { variableCognitivaId: VARIABLE_ID, version: 2 },
+      })]);
+    });
+  });
+
+  describe('validarMetricasDeSesion', () => {
+    it('no debería validar si la sesión no existe', async () => {
+      EsquemaMetricasModel.obtenerVariableDeSesion.mockResolvedValue(undefined);
+
+      await expect(validarMetricasDeSesion('sesion-uuid', { nuevasMetricas: {} })).resolves.toEqual([]);
+      expect(EsquemaMetricasModel.obtenerVigentes).not.toHaveBeenCalled();
+    });
+  });
+});
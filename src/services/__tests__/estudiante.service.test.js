@@ -5,21 +5,37 @@ jest.unstable_mockModule('../../models/estudiante.model.js', () => ({
   registrarEstudianteDB: jest.fn(),
   modificarInformacionEstudiante: jest.fn(),
   obtenerInformacionCompleta: jest.fn(),
+  buscarEstudiantes: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/utilidades.model.js', () => ({
+  obtenerTodosLosTiposDocumento: jest.fn(),
+  obtenerTodosLosGeneros: jest.fn(),
+  obtenerTodosLosProgramas: jest.fn(),
+  obtenerIdEstudiantePorDocumentoDB: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/auditoria.model.js', () => ({
+  registrar: jest.fn(),
 }));
 
 jest.unstable_mockModule('../../config/logger.js', () => ({
-  default: { info: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  default: { info: jest.fn(), error: jest.fn(), debug: jest.fn(), warn: jest.fn() },
 }));
 
 // No hacer mock de response.util.js, usar la función real
 
 describe('Estudiante Service', () => {
   let EstudianteModel;
+  let UtilidadesModel;
+  let AuditoriaModel;
   let EstudianteService;
 
   beforeEach(async () => {
     jest.clearAllMocks();
     EstudianteModel = (await import('../../models/estudiante.model.js'));
+    UtilidadesModel = await import('../../models/utilidades.model.js');
+    AuditoriaModel = await import('../../models/auditoria.model.js');
     EstudianteService = await import('../estudiante.service.js');
   });
 
@@ -79,4 +95,109 @@ describe('Estudiante Service', () => {
       await expect(EstudianteService.obtenerEstudiantePorDocumento('CC', '99999999')).rejects.toThrow('Estudiante no encontrado.');
     });
   });
-});
\ No newline at end of file
+
+  describe('buscarEstudiantes', () => {
+    const paginacion = { total: 1, page: 1, pageSize: 20, next: null };
+
+    it('debería buscar sin alcance para un administrador', async () => {
+      const estudiantes = [{ id: 'est-1', nombres: 'Ana Lucía', relevancia: 0.9 }];
+      EstudianteModel.buscarEstudiantes.mockResolvedValue({ datos: estudiantes, paginacion });
+
+      const resultado = await EstudianteService.buscarEstudiantes({ id: 'admin-uuid', role: 'admin' }, '  garcia ', { page: 1 });
+
+      expect(EstudianteModel.buscarEstudiantes).toHaveBeenCalledWith('garcia', undefined, { page: 1 });
+      expect(resultado).toEqual({ success: true, data: estudiantes, paginacion });
+    });
+
+    it('debería limitar la búsqueda al alcance de un entrenador', async () => {
+      EstudianteModel.buscarEstudiantes.mockResolvedValue({ datos: [], paginacion: { ...paginacion, total: 0 } });
+
+      await EstudianteService.buscarEstudiantes({ id: 'ent-uuid', role: 'entrenador' }, 'ana');
+
+      expect(EstudianteModel.buscarEstudiantes).toHaveBeenCalledWith('ana', { usuarioId: 'ent-uuid', rol: 'entrenador' }, {});
+    });
+
+    it('debería responder 400 si el término está vacío', async () => {
+      await expect(EstudianteService.buscarEstudiantes({ id: 'admin-uuid', role: 'admin' }, '   '))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(EstudianteModel.buscarEstudiantes).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('importarEstudiantes', () => {
+    const admin = { id: 'admin-uuid', role: 'admin' };
+    const encabezado = 'Tipo documento;Género;Nombres;Apellidos;Documento;Fecha de nacimiento;Correo;Programas';
+    const archivoCsv = (...filas) => ({
+      buffer: Buffer.from([encabezado, ...filas].join('\n')),
+      nombre: 'estudiantes.csv',
+      formato: 'csv',
+    });
+
+    beforeEach(() => {
+      UtilidadesModel.obtenerTodosLosTiposDocumento.mockResolvedValue([{ sigla: 'CC' }, { sigla: 'TI' }]);
+      UtilidadesModel.obtenerTodosLosGeneros.mockResolvedValue([{ nombre: 'Femenino' }, { nombre: 'Masculino' }]);
+      UtilidadesModel.obtenerTodosLosProgramas.mockResolvedValue([{ nombre: 'Ingeniería de Sistemas' }, { nombre: 'Psicología' }]);
+      UtilidadesModel.obtenerIdEstudiantePorDocumentoDB.mockResolvedValue(null);
+    });
+
+    it('en simulación debería resolver los catálogos e informar los errores de cada fila sin registrar', async () => {
+      const archivo = archivoCsv(
+        'cc;femenino;Ana;García;1001;15/08/2004;ana@uni.edu;ingenieria de sistemas',
+        'XX;Femenino;Luz;Mora;1002;2004-01-01;correo-invalido;Psicología',
+        'CC;Masculino;Juan;Pérez;1001;2003-02-02;juan@uni.edu;Psicología'
+      );
+
+      const resultado = await EstudianteService.importarEstudiantes(admin, archivo);
+
+      expect(EstudianteModel.registrarEstudianteDB).not.toHaveBeenCalled();
+      expect(resultado.simulacion).toBe(true);
+      expect(resultado.resumen).toEqual({ total: 3, validos: 1, creados: 0, duplicados: 1, fallidos: 1 });
+      expect(resultado.filas[0]).toMatchObject({ fila: 2, siglaTipoDocumento: 'CC', numeroDocumento: '1001', estado: 'valido' });
+      expect(resultado.filas[1].estado).toBe('fallido');
+      expect(resultado.filas[1].errores).toEqual([
+        'El correo electrónico es requerido y debe tener un formato válido.',
+        "El tipo de documento 'XX' no existe.",
+      ]);
+      expect(resultado.filas[2]).toMatchObject({ estado: 'duplicado', errores: ['Repite el documento o el correo de la fila 2.'] });
+    });
+
+    it('en simulación debería marcar como duplicado un documento ya registrado', async () => {
+      UtilidadesModel.obtenerIdEstudiantePorDocumentoDB.mockResolvedValue('est-uuid');
+
+      const resultado = await EstudianteService.importarEstudiantes(admin, archivoCsv('CC;Femenino;Ana;García;1001;2004-08-15;ana@uni.edu;Psicología'));
+
+      expect(resultado.filas[0]).toMatchObject({ estado: 'duplicado', errores: ['El número de documento ingresado ya está registrado.'] });
+    });
+
+    it('al confirmar debería registrar las filas válidas y clasificar los duplicados de la BD', async () => {
+      EstudianteModel.registrarEstudianteDB
+        .mockResolvedValueOnce({ estudianteId: 'est-1', mensaje: 'Estudiante registrado exitosamente.' })
+        .mockResolvedValueOnce({ estudianteId: null, mensaje: 'Error de unicidad: correo' });
+      const archivo = archivoCsv(
+        'CC;Femenino;Ana;García;1001;2004-08-15;ana@uni.edu;Psicología|Ingeniería de Sistemas',
+        'CC;Masculino;Juan;Pérez;1002;2003-02-02;juan@uni.edu;Psicología'
+      );
+
+      const resultado = await EstudianteService.importarEstudiantes(admin, archivo, { simulacion: false });
+
+      expect(EstudianteModel.registrarEstudianteDB).toHaveBeenCalledWith(expect.objectContaining({
+        pSiglaTipoDocumento: 'CC',
+        pFechaNacimiento: '2004-08-15',
+        pProgramaNombres: ['Psicología', 'Ingeniería de Sistemas'],
+      }));
+      expect(resultado.resumen).toEqual({ total: 2, validos: 0, creados: 1, duplicados: 1, fallidos: 0 });
+      expect(resultado.filas[0]).toMatchObject({ estado: 'creado', estudianteId: 'est-1' });
+      expect(resultado.filas[1]).toMatchObject({ estado: 'duplicado', errores: ['El correo electrónico ingresado ya está registrado.'] });
+      expect(AuditoriaModel.registrar).toHaveBeenCalledWith(expect.objectContaining({ accion: 'estudiante.importar' }));
+    });
+
+    it('debería responder 400 si faltan columnas', async () => {
+      const archivo = { buffer: Buffer.from('nombres,apellidos\nAna,García'), nombre: 'e.csv', formato: 'csv' };
+
+      await expect(EstudianteService.importarEstudiantes(admin, archivo)).rejects.toMatchObject({
+        statusCode: 400,
+        message: expect.stringContaining('siglaTipoDocumento'),
+      });
+    });
+  });
+});
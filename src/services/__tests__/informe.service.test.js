@@ -3,6 +3,9 @@ import {
   listarEntrenamientosParaAdmin,
   obtenerDetallesDeInformePorId,
   listarEntrenamientosEntrenador,
+  exportarEntrenamientosParaAdmin,
+  exportarInformeEstudiante,
+  MAXIMO_FILAS_EXPORTACION,
 } from '../informe.service.js';
 import * as InformeModel from '../../models/informe.model.js';
 import logger from '../../config/logger.js';
@@ -16,16 +19,20 @@ describe('Servicio de Informe', () => {
   });
 
   describe('listarEntrenamientosParaAdmin', () => {
+    const listaVacia = { datos: [], paginacion: { total: 0, page: 1, pageSize: 20, next: null } };
+
     it('debería devolver una lista de entrenamientos para el admin', async () => {
       const entrenamientosMock = [{ id: '1', nombre: 'Entrenamiento 1' }];
-      InformeModel.obtenerListaEntrenamientosAdmin.mockResolvedValue(entrenamientosMock);
+      const paginacionMock = { total: 1, page: 1, pageSize: 20, next: null };
+      InformeModel.obtenerListaEntrenamientosAdmin.mockResolvedValue({ datos: entrenamientosMock, paginacion: paginacionMock });
 
       const resultado = await listarEntrenamientosParaAdmin();
 
       expect(resultado.success).toBe(true);
       expect(resultado.data).toEqual(entrenamientosMock);
+      expect(resultado.paginacion).toEqual(paginacionMock);
       expect(InformeModel.obtenerListaEntrenamientosAdmin).toHaveBeenCalledTimes(1);
-      expect(logger.info).toHaveBeenCalledWith(expect.stringContaining(`Se obtuvo lista con ${entrenamientosMock.length} entrenamientos para admin.`));
+      expect(logger.info).toHaveBeenCalledWith(expect.stringContaining(`Se obtuvo página con ${entrenamientosMock.length} de 1 entrenamientos para admin.`));
     });
 
     it('debería lanzar un error si el modelo falla', async () => {
@@ -36,6 +43,39 @@ describe('Servicio de Informe', () => {
       await expect(listarEntrenamientosParaAdmin()).rejects.toThrow(errorMock);
       expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Error en servicio al listar entrenamientos para admin:'), errorMock);
     });
+
+    it('no debería filtrar por alcance si el usuario es admin', async () => {
+      InformeModel.obtenerListaEntrenamientosAdmin.mockResolvedValue(listaVacia);
+
+      await listarEntrenamientosParaAdmin({ id: 'admin-uuid', role: 'admin' });
+
+      expect(InformeModel.obtenerListaEntrenamientosAdmin).toHaveBeenCalledWith(undefined, {});
+    });
+
+    it('debería filtrar por las facultades del coordinador', async () => {
+      InformeModel.obtenerListaEntrenamientosAdmin.mockResolvedValue(listaVacia);
+
+      await listarEntrenamientosParaAdmin({ id: 'coord-uuid', role: 'coordinador' });
+
+      expect(InformeModel.obtenerListaEntrenamientosAdmin).toHaveBeenCalledWith({ usuarioId: 'coord-uuid', rol: 'coordinador' }, {});
+    });
+
+    it('debería pasar al modelo la paginación, el orden y los filtros', async () => {
+      InformeModel.obtenerListaEntrenamientosAdmin.mockResolvedValue(listaVacia);
+      const opciones = { page: 2, pageSize: 10, sort: '-fechaInicio', filtros: { estado: 'Activo' } };
+
+      await listarEntrenamientosParaAdmin({ id: 'admin-uuid', role: 'admin' }, opciones);
+
+      expect(InformeModel.obtenerListaEntrenamientosAdmin).toHaveBeenCalledWith(undefined, opciones);
+    });
+
+    it('debería conservar el 400 de un filtro no disponible', async () => {
+      const errorMock = new Error('El filtro no está disponible en este listado.');
+      errorMock.statusCode = 400;
+      InformeModel.obtenerListaEntrenamientosAdmin.mockRejectedValue(errorMock);
+
+      await expect(listarEntrenamientosParaAdmin()).rejects.toMatchObject({ statusCode: 400 });
+    });
   });
 
   describe('obtenerDetallesDeInformePorId', () => {
@@ -76,14 +116,16 @@ describe('Servicio de Informe', () => {
     const entrenadorId = 'some-entrenador-uuid';
     it('debería devolver una lista de entrenamientos para un entrenador', async () => {
       const entrenamientosMock = [{ id: '1', estudiante: 'Estudiante 1' }];
-      InformeModel.obtenerListaEntrenamientosEntrenador.mockResolvedValue(entrenamientosMock);
+      const paginacionMock = { total: 1, page: 1, pageSize: 20, next: null };
+      InformeModel.obtenerListaEntrenamientosEntrenador.mockResolvedValue({ datos: entrenamientosMock, paginacion: paginacionMock });
 
       const resultado = await listarEntrenamientosEntrenador(entrenadorId);
 
       expect(resultado.success).toBe(true);
       expect(resultado.data).toEqual(entrenamientosMock);
-      expect(InformeModel.obtenerListaEntrenamientosEntrenador).toHaveBeenCalledWith(entrenadorId);
-      expect(logger.info).toHaveBeenCalledWith(expect.stringContaining(`Se obtuvo lista con ${entrenamientosMock.length} entrenamientos para el entrenador.`));
+      expect(resultado.paginacion).toEqual(paginacionMock);
+      expect(InformeModel.obtenerListaEntrenamientosEntrenador).toHaveBeenCalledWith(entrenadorId, {});
+      expect(logger.info).toHaveBeenCalledWith(expect.stringContaining(`Se obtuvo página con ${entrenamientosMock.length} de 1 entrenamientos para el entrenador.`));
     });
 
     it('debería lanzar un error si el modelo falla', async () => {
@@ -94,4 +136,83 @@ describe('Servicio de Informe', () => {
       expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Error en servicio al listar entrenamientos para entrenador:'), errorMock);
     });
   });
-});
\ No newline at end of file
+
+  describe('exportarEntrenamientosParaAdmin', () => {
+    const coordinador = { id: 'coord-uuid', role: 'coordinador' };
+
+    it('debería exportar la lista completa del alcance del usuario con los filtros pedidos', async () => {
+      InformeModel.obtenerExportacionEntrenamientosAdmin.mockResolvedValue([
+        { entrenamientoid: 'ent-1', estudianteapellidos: 'García', estudiantenombres: 'Ana', estadoentrenamiento: 'Activo', periodo: '2025-1', alertas: ['fin-proximo', 'sin-sesiones'] },
+      ]);
+      const opciones = { sort: 'apellidos', filtros: { estado: 'Activo' } };
+
+      const resultado = await exportarEntrenamientosParaAdmin(coordinador, opciones, 'csv');
+
+      expect(InformeModel.obtenerExportacionEntrenamientosAdmin).toHaveBeenCalledWith(
+        { usuarioId: 'coord-uuid', rol: 'coordinador' }, opciones, MAXIMO_FILAS_EXPORTACION
+      );
+      expect(resultado.data.tipoContenido).toBe('text/csv; charset=utf-8');
+      expect(resultado.data.nombreArchivo).toMatch(/^entrenamientos-\d{4}-\d{2}-\d{2}\.csv$/);
+      expect(resultado.data.contenido.toString('utf8')).toContain('García,Ana,,,Activo,2025-1,,fin-proximo; sin-sesiones,ent-1');
+    });
+
+    it('debería responder 400 si la lista supera el máximo exportable', async () => {
+      InformeModel.obtenerExportacionEntrenamientosAdmin.mockResolvedValue(new Array(MAXIMO_FILAS_EXPORTACION + 1).fill({}));
+
+      await expect(exportarEntrenamientosParaAdmin(coordinador, {}, 'xlsx')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('exportarInformeEstudiante', () => {
+    const entrenamientoId = 'ent-uuid';
+    const variable = (nombre, datos) => ({
+      entrenamientoId,
+      estudianteNombres: 'Ana',
+      estudianteApellidos: 'García',
+      estudianteTipoDocumento: 'CC',
+      estudianteNumeroDocumento: '1001',
+      estudianteCorreo: 'ana@uni.edu',
+      estudianteProgramas: ['Psicología'],
+      entrenadorNombres: 'Luis Mora',
+      entrenamientoEstadoGeneral: 'En Progreso',
+      entrenamientoFechaInicio: new Date(Date.UTC(2025, 1, 3)),
+      entrenamientoFechaFin: new Date(Date.UTC(2500, 11, 31)),
+      variableCognitivaNombre: nombre,
+      ...datos,
+    });
+
+    it('debería armar el informe con las variables, las sesiones y las observaciones del entrenador', async () => {
+      InformeModel.obtenerDatosInformeEstudiante.mockResolvedValue([
+        variable('Atención', {
+          asignacionVariableEstado: 'Finalizada',
+          asignacionNivelInicial: { nivel: 1 },
+          asignacionMetricasActuales: { nivel: 3 },
+          totalSesiones: 2,
+          sesionesFinalizadas: 2,
+          sesionesAbandonadas: 0,
+          sesionesDetalle: [
+            { numeroSesion: 1, estado: 'Finalizada', fechaInicio: '2025-02-04T14:00:00Z', observacion: 'Buen ritmo' },
+            { numeroSesion: 2, estado: 'Finalizada', fechaInicio: '2025-02-11T14:00:00Z', observacion: '' },
+          ],
+        }),
+        variable('Memoria', { totalSesiones: 1, sesionesFinalizadas: 0, sesionesAbandonadas: 1, sesionesDetalle: null }),
+      ]);
+
+      const resultado = await exportarInformeEstudiante(entrenamientoId, 'csv');
+      const csv = resultado.data.contenido.toString('utf8');
+
+      expect(resultado.data.nombreArchivo).toMatch(/^informe-CC-1001-\d{4}-\d{2}-\d{2}\.csv$/);
+      expect(csv).toContain('Fecha de fin,Sin fecha de fin');
+      expect(csv).toContain('Sesiones,"3 (finalizadas: 2, abandonadas: 1)"');
+      expect(csv).toContain('Atención,Finalizada,2,2,0,nivel: 1,nivel: 3');
+      expect(csv).toContain('Atención,1,Finalizada,2025-02-04 14:00,Buen ritmo');
+      expect(csv).not.toContain('Atención,2,Finalizada');
+    });
+
+    it('debería responder 404 si el entrenamiento no tiene variables', async () => {
+      InformeModel.obtenerDatosInformeEstudiante.mockResolvedValue([]);
+
+      await expect(exportarInformeEstudiante(entrenamientoId, 'pdf')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
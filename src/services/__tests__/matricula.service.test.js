@@ -0,0 +1,213 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { listarMatriculas, matricular, cerrarMatricula, trasladarMatricula } from '../matricula.service.js';
+import * as MatriculaModel from '../../models/matricula.model.js';
+import * as AlcanceModel from '../../models/alcance.model.js';
+import { conTransaccion, clienteTransaccion } from '../../config/db.js';
+
+jest.mock('../../config/logger.js');
+
+const ESTUDIANTE_ID = 'e5e5e5e5-0000-4000-8000-000000000001';
+const MATRICULA_ID = 'a0a0a0a0-0000-4000-8000-000000000001';
+const NUEVA_ID = 'a0a0a0a0-0000-4000-8000-000000000002';
+const ADMIN = { id: 'ad000000-0000-4000-8000-000000000001', role: 'admin' };
+const COORDINADOR = { id: 'c0000000-0000-4000-8000-000000000001', role: 'coordinador' };
+
+const sistemas = { id: 'p1', nombre: 'Ingeniería de Sistemas', activo: true, facultadId: 'f1' };
+const industrial = { id: 'p2', nombre: 'Ingeniería Industrial', activo: true, facultadId: 'f1' };
+
+const matricula = (datos = {}) => ({
+  id: MATRICULA_ID,
+  estudianteId: ESTUDIANTE_ID,
+  programaId: sistemas.id,
+  programa: sistemas.nombre,
+  semestre: '2024-1',
+  fechaInicio: '2024-02-01',
+  fechaFin: null,
+  abierta: true,
+  ...datos,
+});
+
+describe('Servicio de Matrícula', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date(2025, 8, 15, 10, 0, 0), doNotFake: ['nextTick', 'setImmediate'] });
+    MatriculaModel.obtenerEstudiante.mockResolvedValue({ id: ESTUDIANTE_ID, fechaArchivado: null });
+    MatriculaModel.obtenerPrograma.mockImplementation(async (nombre) => [sistemas, industrial].find((p) => p.nombre === nombre));
+    MatriculaModel.listarPorEstudiante.mockResolvedValue([matricula()]);
+    MatriculaModel.obtenerPorId.mockImplementation(async (id) => (id === MATRICULA_ID ? matricula() : matricula({ id, programaId: industrial.id })));
+    MatriculaModel.crear.mockResolvedValue(NUEVA_ID);
+    MatriculaModel.cerrar.mockResolvedValue(true);
+    AlcanceModel.enAlcance.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.clearAllMocks();
+  });
+
+  describe('listarMatriculas', () => {
+    it('debería devolver el historial del estudiante', async () => {
+      const resultado = await listarMatriculas(ESTUDIANTE_ID);
+
+      expect(resultado.data).toEqual([matricula()]);
+    });
+
+    it('debería responder 404 si el estudiante no existe', async () => {
+      MatriculaModel.obtenerEstudiante.mockResolvedValueOnce(undefined);
+
+      await expect(listarMatriculas(ESTUDIANTE_ID)).rejects.toMatchObject({ statusCode: 404 });
+      expect(MatriculaModel.listarPorEstudiante).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('matricular', () => {
+    it('debería abrir la matrícula en una transacción, con hoy y su semestre por defecto', async () => {
+      const resultado = await matricular(ESTUDIANTE_ID, { programa: industrial.nombre }, ADMIN);
+
+      expect(resultado.success).toBe(true);
+      expect(conTransaccion).toHaveBeenCalledTimes(1);
+      expect(MatriculaModel.crear).toHaveBeenCalledWith({
+        estudianteId: ESTUDIANTE_ID,
+        programaId: industrial.id,
+        semestre: '2025-2',
+        fechaInicio: '2025-09-15',
+        trasladoDe: null,
+        usuario: ADMIN,
+      }, clienteTransaccion);
+      expect(clienteTransaccion.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('debería respetar el semestre y la fecha de inicio indicados', async () => {
+      await matricular(ESTUDIANTE_ID, { programa: industrial.nombre, semestre: '2025-1', fechaInicio: '2025-06-30' }, ADMIN);
+
+      expect(MatriculaModel.crear).toHaveBeenCalledWith(expect.objectContaining({ semestre: '2025-1', fechaInicio: '2025-06-30' }), clienteTransaccion);
+    });
+
+    it('debería rechazar una fecha de inicio futura', async () => {
+      await expect(matricular(ESTUDIANTE_ID, { programa: industrial.nombre, fechaInicio: '2025-09-16' }, ADMIN))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(MatriculaModel.crear).not.toHaveBeenCalled();
+    });
+
+    it('debería responder 404 si el programa no existe y 409 si está inactivo', async () => {
+      await expect(matricular(ESTUDIANTE_ID, { programa: 'Medicina' }, ADMIN)).rejects.toMatchObject({ statusCode: 404 });
+
+      MatriculaModel.obtenerPrograma.mockResolvedValueOnce({ ...industrial, activo: false });
+      await expect(matricular(ESTUDIANTE_ID, { programa: industrial.nombre }, ADMIN)).rejects.toMatchObject({ statusCode: 409 });
+      expect(MatriculaModel.crear).not.toHaveBeenCalled();
+    });
+
+    it('debería responder 409 si el estudiante está archivado', async () => {
+      MatriculaModel.obtenerEstudiante.mockResolvedValueOnce({ id: ESTUDIANTE_ID, fechaArchivado: new Date() });
+
+      await expect(matricular(ESTUDIANTE_ID, { programa: industrial.nombre }, ADMIN)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('debería responder 409 si ya tiene una matrícula abierta en el programa', async () => {
+      await expect(matricular(ESTUDIANTE_ID, { programa: sistemas.nombre }, ADMIN)).rejects.toMatchObject({
+        statusCode: 409,
+        message: expect.stringContaining('ya está matriculado'),
+      });
+      expect(conTransaccion).not.toHaveBeenCalled();
+    });
+
+    it('debería responder 409 si se cruza con una matrícula cerrada del mismo programa', async () => {
+      MatriculaModel.listarPorEstudiante.mockResolvedValueOnce([matricula({ fechaFin: '2025-03-01', abierta: false })]);
+
+      await expect(matricular(ESTUDIANTE_ID, { programa: sistemas.nombre, fechaInicio: '2025-02-15' }, ADMIN))
+        .rejects.toMatchObject({ statusCode: 409 });
+
+      MatriculaModel.listarPorEstudiante.mockResolvedValueOnce([matricula({ fechaFin: '2025-03-01', abierta: false })]);
+      await expect(matricular(ESTUDIANTE_ID, { programa: sistemas.nombre, fechaInicio: '2025-03-01' }, ADMIN)).resolves.toMatchObject({ success: true });
+    });
+
+    it('debería convertir la matrícula abierta duplicada de la base de datos en 409', async () => {
+      MatriculaModel.crear.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: '23505' }));
+
+      await expect(matricular(ESTUDIANTE_ID, { programa: industrial.nombre }, ADMIN)).rejects.toMatchObject({ statusCode: 409 });
+      expect(clienteTransaccion.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('cerrarMatricula', () => {
+    it('debería cerrar la matrícula con la fecha de hoy por defecto', async () => {
+      const resultado = await cerrarMatricula(ESTUDIANTE_ID, MATRICULA_ID, { motivo: 'Retiro voluntario.' }, ADMIN);
+
+      expect(resultado.success).toBe(true);
+      expect(MatriculaModel.cerrar).toHaveBeenCalledWith(MATRICULA_ID, {
+        fechaFin: '2025-09-15',
+        motivoCierre: 'cierre',
+        motivo: 'Retiro voluntario.',
+        usuario: ADMIN,
+      }, clienteTransaccion);
+    });
+
+    it('debería responder 404 si la matrícula es de otro estudiante', async () => {
+      MatriculaModel.obtenerPorId.mockResolvedValueOnce(matricula({ estudianteId: 'otro' }));
+
+      await expect(cerrarMatricula(ESTUDIANTE_ID, MATRICULA_ID, {}, ADMIN)).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('debería responder 409 si la matrícula ya está cerrada', async () => {
+      MatriculaModel.obtenerPorId.mockResolvedValueOnce(matricula({ fechaFin: '2025-01-01', abierta: false }));
+
+      await expect(cerrarMatricula(ESTUDIANTE_ID, MATRICULA_ID, {}, ADMIN)).rejects.toMatchObject({ statusCode: 409 });
+      expect(MatriculaModel.cerrar).not.toHaveBeenCalled();
+    });
+
+    it('debería rechazar una fecha de fin anterior al inicio', async () => {
+      await expect(cerrarMatricula(ESTUDIANTE_ID, MATRICULA_ID, { fechaFin: '2024-01-31' }, ADMIN)).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('debería exigir alcance sobre el programa de la matrícula', async () => {
+      AlcanceModel.enAlcance.mockResolvedValueOnce(false);
+
+      await expect(cerrarMatricula(ESTUDIANTE_ID, MATRICULA_ID, {}, COORDINADOR)).rejects.toMatchObject({ statusCode: 403 });
+      expect(AlcanceModel.enAlcance).toHaveBeenCalledWith('programas', COORDINADOR.id, 'coordinador', [[sistemas.nombre]]);
+      expect(MatriculaModel.cerrar).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('trasladarMatricula', () => {
+    it('debería cerrar la matrícula de origen y abrir la de destino enlazada, con la misma fecha', async () => {
+      const resultado = await trasladarMatricula(
+        ESTUDIANTE_ID,
+        MATRICULA_ID,
+        { programa: industrial.nombre, fecha: '2025-07-14', motivo: 'Cambio aprobado.' },
+        COORDINADOR
+      );
+
+      expect(resultado.success).toBe(true);
+      expect(MatriculaModel.cerrar).toHaveBeenCalledWith(MATRICULA_ID, {
+        fechaFin: '2025-07-14',
+        motivoCierre: 'traslado',
+        motivo: 'Cambio aprobado.',
+        usuario: COORDINADOR,
+      }, clienteTransaccion);
+      expect(MatriculaModel.crear).toHaveBeenCalledWith({
+        estudianteId: ESTUDIANTE_ID,
+        programaId: industrial.id,
+        semestre: '2025-2',
+        fechaInicio: '2025-07-14',
+        trasladoDe: MATRICULA_ID,
+        usuario: COORDINADOR,
+      }, clienteTransaccion);
+      expect(resultado.data.destino).toEqual(expect.objectContaining({ id: NUEVA_ID }));
+      expect(conTransaccion).toHaveBeenCalledTimes(1);
+    });
+
+    it('debería rechazar el traslado al mismo programa', async () => {
+      await expect(trasladarMatricula(ESTUDIANTE_ID, MATRICULA_ID, { programa: sistemas.nombre }, ADMIN))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(conTransaccion).not.toHaveBeenCalled();
+    });
+
+    it('debería revertir el cierre si la matrícula de destino falla', async () => {
+      MatriculaModel.crear.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: '23505' }));
+
+      await expect(trasladarMatricula(ESTUDIANTE_ID, MATRICULA_ID, { programa: industrial.nombre }, ADMIN))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(MatriculaModel.cerrar).toHaveBeenCalled();
+      expect(clienteTransaccion.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+  notificar, despacharCorreos, iniciarDespachoPeriodico, establecerTransporteCorreo,
+  listarNotificaciones, marcarLeida, obtenerPreferencias,
+} from '../notificacion.service.js';
+import * as NotificacionModel from '../../models/notificacion.model.js';
+import logger from '../../config/logger.js';
+
+jest.mock('../../models/notificacion.model.js');
+jest.mock('../../config/logger.js');
+
+const ENTRENADOR = { usuarioId: 'en-1', rol: 'entrenador', nombre: 'Ana', correo: 'ana@pruebas.local' };
+const COORDINADOR = { usuarioId: 'co-1', rol: 'coordinador', nombre: 'Luis', correo: null };
+const USUARIO = { id: 'en-1', role: 'entrenador' };
+
+const correoPendiente = (datos) => ({
+  id: 'no-1', correoDestino: 'ana@pruebas.local', asunto: 'Asunto', cuerpo: 'Cuerpo', intentos: 1, ...datos,
+});
+
+describe('Servicio de Notificaciones', () => {
+  let transporte;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-03-31T12:00:00Z'), doNotFake: ['nextTick', 'queueMicrotask'] });
+    transporte = { enviar: jest.fn().mockResolvedValue(undefined) };
+    establecerTransporteCorreo(transporte);
+    NotificacionModel.obtenerCanalesDeshabilitados.mockResolvedValue([]);
+    NotificacionModel.encolarNotificaciones.mockResolvedValue(0);
+    NotificacionModel.reclamarCorreosPendientes.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.clearAllMocks();
+  });
+
+  describe('notificar', () => {
+    beforeEach(() => {
+      NotificacionModel.obtenerDestinatariosAsignacion.mockResolvedValue({
+        entrenamientoId: 'ent-1', estudiante: 'Juan Pérez', variable: 'Memoria', destinatarios: [ENTRENADOR, COORDINADOR],
+      });
+    });
+
+    it('debería registrar una notificación por destinatario y canal, sin correo para quien no tiene dirección', async () => {
+      const registradas = await notificar('variable.finalizada', { asignacionId: 'as-1' });
+
+      expect(registradas).toBe(3);
+      const [notificaciones] = NotificacionModel.encolarNotificaciones.mock.calls[0];
+      expect(notificaciones.map(({ destinatario, canal }) => `${destinatario}:${canal}`)).toEqual(['en-1:app', 'en-1:correo', 'co-1:app']);
+      expect(notificaciones[1]).toEqual({
+        destinatario: 'en-1',
+        rol: 'entrenador',
+        evento: 'variable.finalizada',
+        canal: 'correo',
+        asunto: 'Variable finalizada: Memoria',
+        cuerpo: 'Hola, Ana:\n\nJuan Pérez finalizó la variable cognitiva Memoria.',
+        datos: { asignacionId: 'as-1', entrenamientoId: 'ent-1', estudiante: 'Juan Pérez', variable: 'Memoria' },
+        correoDestino: 'ana@pruebas.local',
+      });
+      // Despacha en seguida los correos registrados.
+      expect(NotificacionModel.reclamarCorreosPendientes).toHaveBeenCalled();
+    });
+
+    it('debería omitir los canales que el destinatario deshabilitó', async () => {
+      NotificacionModel.obtenerCanalesDeshabilitados.mockResolvedValue([{ usuarioId: 'en-1', rol: 'entrenador', canal: 'correo' }]);
+
+      await notificar('variable.finalizada', { asignacionId: 'as-1' });
+
+      const [notificaciones] = NotificacionModel.encolarNotificaciones.mock.calls[0];
+      expect(notificaciones.map(({ canal }) => canal)).toEqual(['app', 'app']);
+      expect(NotificacionModel.reclamarCorreosPendientes).not.toHaveBeenCalled();
+    });
+
+    it('debería notificar solo en la aplicación si no hay transporte de correo', async () => {
+      establecerTransporteCorreo(null);
+
+      await notificar('variable.finalizada', { asignacionId: 'as-1' });
+
+      const [notificaciones] = NotificacionModel.encolarNotificaciones.mock.calls[0];
+      expect(notificaciones.every(({ canal }) => canal === 'app')).toBe(true);
+    });
+
+    it('debería ubicar la asignación abandonada a partir del documento del estudiante', async () => {
+      NotificacionModel.obtenerAsignacionAbandonada.mockResolvedValue('as-1');
+
+      await notificar('variable.abandonada', { siglaDocumento: 'CC', numeroDocumento: '123', variableCognitivaId: 'vc-1' });
+
+      expect(NotificacionModel.obtenerAsignacionAbandonada).toHaveBeenCalledWith('CC', '123', 'vc-1');
+      expect(NotificacionModel.obtenerDestinatariosAsignacion).toHaveBeenCalledWith('as-1');
+      expect(NotificacionModel.encolarNotificaciones.mock.calls[0][0][0].asunto).toBe('Variable abandonada: Memoria');
+    });
+
+    it('no debería lanzar errores para no hacer fallar la operación que generó el evento', async () => {
+      NotificacionModel.encolarNotificaciones.mockRejectedValue(new Error('conexión perdida'));
+
+      await expect(notificar('variable.finalizada', { asignacionId: 'as-1' })).resolves.toBe(0);
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('variable.finalizada'), expect.any(Error));
+    });
+
+    it('no debería registrar nada si el evento no tiene destinatarios', async () => {
+      NotificacionModel.obtenerDestinatariosEntrenadorDesactivado.mockResolvedValue(undefined);
+
+      await expect(notificar('entrenador.desactivado', { entrenadorId: 'en-9' })).resolves.toBe(0);
+      expect(NotificacionModel.encolarNotificaciones).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('despacharCorreos', () => {
+    it('debería enviar los correos pendientes y marcarlos como enviados', async () => {
+      NotificacionModel.reclamarCorreosPendientes.mockResolvedValueOnce([correoPendiente()]);
+
+      const resumen = await despacharCorreos();
+
+      expect(transporte.enviar).toHaveBeenCalledWith({ para: 'ana@pruebas.local', asunto: 'Asunto', texto: 'Cuerpo' });
+      expect(NotificacionModel.marcarCorreoEnviado).toHaveBeenCalledWith('no-1');
+      expect(resumen).toEqual({ enviados: 1, reintentos: 0, fallidos: 0 });
+    });
+
+    it('debería programar un reintento con espera creciente si el envío falla', async () => {
+      NotificacionModel.reclamarCorreosPendientes.mockResolvedValueOnce([correoPendiente({ intentos: 2 })]);
+      transporte.enviar.mockRejectedValue(new Error('421 servicio no disponible'));
+
+      const resumen = await despacharCorreos();
+
+      // Espera base de 60 s duplicada una vez en el segundo intento.
+      expect(NotificacionModel.registrarFalloCorreo).toHaveBeenCalledWith('no-1', '421 servicio no disponible', new Date('2025-03-31T12:02:00Z'));
+      expect(NotificacionModel.marcarCorreoEnviado).not.toHaveBeenCalled();
+      expect(resumen).toEqual({ enviados: 0, reintentos: 1, fallidos: 0 });
+    });
+
+    it('debería marcar el correo como fallido y registrar el error al agotar los intentos', async () => {
+      NotificacionModel.reclamarCorreosPendientes.mockResolvedValueOnce([correoPendiente({ intentos: 3 })]);
+      transporte.enviar.mockRejectedValue(new Error('550 buzón inexistente'));
+
+      const resumen = await despacharCorreos();
+
+      expect(NotificacionModel.registrarFalloCorreo).toHaveBeenCalledWith('no-1', '550 buzón inexistente', null);
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('no se reintentará: 550 buzón inexistente'));
+      expect(resumen).toEqual({ enviados: 0, reintentos: 0, fallidos: 1 });
+    });
+
+    it('no debería tomar correos si no hay transporte de correo', async () => {
+      establecerTransporteCorreo(null);
+
+      await despacharCorreos();
+
+      expect(NotificacionModel.reclamarCorreosPendientes).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('iniciarDespachoPeriodico', () => {
+    it('no debería programar nada con un intervalo de 0', () => {
+      expect(iniciarDespachoPeriodico(0)).toBeNull();
+    });
+
+    it('debería despachar cada intervalo', async () => {
+      const temporizador = iniciarDespachoPeriodico(30);
+      await jest.advanceTimersByTimeAsync(60 * 1000);
+      clearInterval(temporizador);
+
+      expect(NotificacionModel.reclamarCorreosPendientes).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('bandeja', () => {
+    it('debería listar las notificaciones del usuario con el total sin leer', async () => {
+      NotificacionModel.listarNotificaciones.mockResolvedValue({ datos: [], paginacion: { total: 0 } });
+      NotificacionModel.contarNoLeidas.mockResolvedValue(4);
+
+      const resultado = await listarNotificaciones(USUARIO, { filtros: { leida: false } });
+
+      expect(NotificacionModel.listarNotificaciones).toHaveBeenCalledWith('en-1', 'entrenador', { filtros: { leida: false } });
+      expect(resultado.noLeidas).toBe(4);
+    });
+
+    it('debería responder 404 al marcar una notificación que no es del usuario', async () => {
+      NotificacionModel.marcarLeida.mockResolvedValue(undefined);
+
+      await expect(marcarLeida('no-1', USUARIO)).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('debería dar por habilitadas las preferencias que el usuario no configuró', async () => {
+      NotificacionModel.obtenerPreferencias.mockResolvedValue([{ evento: 'variable.finalizada', canal: 'correo', habilitado: false }]);
+
+      const { data } = await obtenerPreferencias(USUARIO);
+
+      expect(data.correoDisponible).toBe(true);
+      expect(data.preferencias).toHaveLength(12);
+      expect(data.preferencias.filter(({ habilitado }) => !habilitado)).toEqual([{ evento: 'variable.finalizada', canal: 'correo', habilitado: false }]);
+    });
+  });
+});
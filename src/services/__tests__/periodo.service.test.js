@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { crearPeriodo, actualizarPeriodo, eliminarPeriodo, cerrarPeriodo } from '../periodo.service.js';
+import * as PeriodoModel from '../../models/periodo.model.js';
+import { conTransaccion, clienteTransaccion } from '../../config/db.js';
+
+jest.mock('../../config/logger.js');
+
+const ADMIN = { id: 'ad000000-0000-4000-8000-000000000001', role: 'admin' };
+
+const periodo = (datos = {}) => ({
+  id: 'pa000000-0000-4000-8000-000000000001',
+  codigo: '2025-1',
+  fechaInicio: '2025-01-01',
+  fechaFin: '2025-06-30',
+  estado: 'abierto',
+  entrenamientos: { abiertos: 0, cerrados: 0, trasladados: 0 },
+  ...datos,
+});
+
+const siguiente = periodo({ id: 'pa000000-0000-4000-8000-000000000002', codigo: '2025-2', fechaInicio: '2025-07-01', fechaFin: '2025-12-31' });
+
+describe('Servicio de Periodos académicos', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date(2025, 6, 15, 10, 0, 0), doNotFake: ['nextTick', 'setImmediate'] });
+    PeriodoModel.obtenerPorCodigo.mockImplementation(async (codigo) => [periodo(), siguiente].find((p) => p.codigo === codigo));
+    PeriodoModel.obtenerSiguiente.mockResolvedValue(siguiente);
+    PeriodoModel.crear.mockResolvedValue('2025-1');
+    PeriodoModel.contarEntrenamientosFueraDeFechas.mockResolvedValue(0);
+    PeriodoModel.actualizarFechas.mockResolvedValue(true);
+    PeriodoModel.eliminar.mockResolvedValue(true);
+    PeriodoModel.cerrar.mockResolvedValue({ cerrados: 3, trasladados: 2 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.clearAllMocks();
+  });
+
+  describe('crearPeriodo', () => {
+    it('debería crear el periodo y devolverlo', async () => {
+      const resultado = await crearPeriodo({ codigo: '2025-1', fechaInicio: '2025-01-01', fechaFin: '2025-06-30' }, ADMIN);
+
+      expect(PeriodoModel.crear).toHaveBeenCalledWith({ codigo: '2025-1', fechaInicio: '2025-01-01', fechaFin: '2025-06-30', usuario: ADMIN });
+      expect(resultado.data).toEqual(periodo());
+    });
+
+    it('debería rechazar fechas en desorden o fuera del año del código', async () => {
+      await expect(crearPeriodo({ codigo: '2026-1', fechaInicio: '2026-06-30', fechaFin: '2026-01-01' }, ADMIN)).rejects.toMatchObject({ statusCode: 400 });
+      await expect(crearPeriodo({ codigo: '2026-1', fechaInicio: '2025-12-01', fechaFin: '2026-06-30' }, ADMIN)).rejects.toMatchObject({ statusCode: 400 });
+      expect(PeriodoModel.crear).not.toHaveBeenCalled();
+    });
+
+    it('debería convertir el código repetido y las fechas superpuestas en 409', async () => {
+      PeriodoModel.crear.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: '23505' }));
+      await expect(crearPeriodo({ codigo: '2025-1', fechaInicio: '2025-01-01', fechaFin: '2025-06-30' }, ADMIN))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Ya existe el periodo 2025-1.' });
+
+      PeriodoModel.crear.mockRejectedValueOnce(Object.assign(new Error('conflicting key value'), { code: '23P01' }));
+      await expect(crearPeriodo({ codigo: '2026-1', fechaInicio: '2026-01-01', fechaFin: '2026-06-30' }, ADMIN))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('actualizarPeriodo', () => {
+    it('debería conservar la fecha omitida', async () => {
+      await actualizarPeriodo('2025-1', { fechaFin: '2025-07-15' }, ADMIN);
+
+      expect(PeriodoModel.contarEntrenamientosFueraDeFechas).toHaveBeenCalledWith(periodo().id, '2025-01-01', '2025-07-15');
+      expect(PeriodoModel.actualizarFechas).toHaveBeenCalledWith(periodo().id, { fechaInicio: '2025-01-01', fechaFin: '2025-07-15' });
+    });
+
+    it('debería responder 409 si algún entrenamiento quedaría fuera de las fechas nuevas', async () => {
+      PeriodoModel.contarEntrenamientosFueraDeFechas.mockResolvedValueOnce(2);
+
+      await expect(actualizarPeriodo('2025-1', { fechaInicio: '2025-02-01' }, ADMIN)).rejects.toMatchObject({ statusCode: 409 });
+      expect(PeriodoModel.actualizarFechas).not.toHaveBeenCalled();
+    });
+
+    it('debería responder 404 si no existe y 409 si está cerrado', async () => {
+      await expect(actualizarPeriodo('2024-2', { fechaFin: '2024-12-20' }, ADMIN)).rejects.toMatchObject({ statusCode: 404 });
+
+      PeriodoModel.obtenerPorCodigo.mockResolvedValueOnce(periodo({ estado: 'cerrado' }));
+      await expect(actualizarPeriodo('2025-1', { fechaFin: '2025-07-15' }, ADMIN)).rejects.toMatchObject({ statusCode: 409 });
+      expect(PeriodoModel.actualizarFechas).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('eliminarPeriodo', () => {
+    it('debería eliminar un periodo sin entrenamientos', async () => {
+      await expect(eliminarPeriodo('2025-1', ADMIN)).resolves.toMatchObject({ success: true });
+      expect(PeriodoModel.eliminar).toHaveBeenCalledWith(periodo().id);
+    });
+
+    it('debería responder 409 si el periodo tiene entrenamientos', async () => {
+      PeriodoModel.obtenerPorCodigo.mockResolvedValueOnce(periodo({ entrenamientos: { abiertos: 0, cerrados: 1, trasladados: 0 } }));
+
+      await expect(eliminarPeriodo('2025-1', ADMIN)).rejects.toMatchObject({ statusCode: 409 });
+      expect(PeriodoModel.eliminar).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cerrarPeriodo', () => {
+    it('debería trasladar al periodo siguiente en una transacción', async () => {
+      const resultado = await cerrarPeriodo('2025-1', { politica: 'trasladarEnProgreso' }, ADMIN);
+
+      expect(conTransaccion).toHaveBeenCalledTimes(1);
+      expect(PeriodoModel.cerrar).toHaveBeenCalledWith(periodo().id, {
+        politica: 'trasladarEnProgreso',
+        destinoId: siguiente.id,
+        motivo: null,
+        usuario: ADMIN,
+      }, clienteTransaccion);
+      expect(clienteTransaccion.query).toHaveBeenCalledWith('COMMIT');
+      expect(resultado.data).toMatchObject({ destino: '2025-2', cerrados: 3, trasladados: 2 });
+    });
+
+    it('debería cerrar sin destino con la política "cerrar"', async () => {
+      const resultado = await cerrarPeriodo('2025-1', { politica: 'cerrar', motivo: 'Fin del semestre.' }, ADMIN);
+
+      expect(PeriodoModel.obtenerSiguiente).not.toHaveBeenCalled();
+      expect(PeriodoModel.cerrar).toHaveBeenCalledWith(periodo().id, expect.objectContaining({ destinoId: null, motivo: 'Fin del semestre.' }), clienteTransaccion);
+      expect(resultado.data.destino).toBeNull();
+    });
+
+    it('debería responder 409 antes del último día del periodo o si ya está cerrado', async () => {
+      jest.setSystemTime(new Date(2025, 5, 29, 10, 0, 0));
+      await expect(cerrarPeriodo('2025-1', { politica: 'cerrar' }, ADMIN)).rejects.toMatchObject({ statusCode: 409 });
+
+      jest.setSystemTime(new Date(2025, 5, 30, 10, 0, 0));
+      await expect(cerrarPeriodo('2025-1', { politica: 'cerrar' }, ADMIN)).resolves.toMatchObject({ success: true });
+
+      PeriodoModel.obtenerPorCodigo.mockResolvedValueOnce(periodo({ estado: 'cerrado' }));
+      await expect(cerrarPeriodo('2025-1', { politica: 'cerrar' }, ADMIN)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('debería responder 409 si no hay periodo siguiente y 400 si el destino no es posterior', async () => {
+      PeriodoModel.obtenerSiguiente.mockResolvedValueOnce(undefined);
+      await expect(cerrarPeriodo('2025-1', { politica: 'trasladar' }, ADMIN)).rejects.toMatchObject({ statusCode: 409 });
+
+      PeriodoModel.obtenerPorCodigo.mockImplementation(async (codigo) => (codigo === '2025-1'
+        ? periodo()
+        : periodo({ id: 'pa000000-0000-4000-8000-000000000000', codigo: '2024-2', fechaInicio: '2024-07-01', fechaFin: '2024-12-31' })));
+      await expect(cerrarPeriodo('2025-1', { politica: 'trasladar', periodoDestino: '2024-2' }, ADMIN)).rejects.toMatchObject({ statusCode: 400 });
+      expect(conTransaccion).not.toHaveBeenCalled();
+    });
+
+    it('debería responder 409 si el periodo de destino está cerrado', async () => {
+      PeriodoModel.obtenerSiguiente.mockResolvedValueOnce({ ...siguiente, estado: 'cerrado' });
+
+      await expect(cerrarPeriodo('2025-1', { politica: 'trasladar' }, ADMIN)).rejects.toMatchObject({ statusCode: 409 });
+      expect(PeriodoModel.cerrar).not.toHaveBeenCalled();
+    });
+
+    it('debería responder 409 si otro cierre se adelantó dentro de la transacción', async () => {
+      PeriodoModel.cerrar.mockResolvedValueOnce(null);
+
+      await expect(cerrarPeriodo('2025-1', { politica: 'cerrar' }, ADMIN)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
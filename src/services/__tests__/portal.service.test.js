@@ -0,0 +1,93 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import { obtenerPerfil, actualizarCorreoContacto, listarEntrenamientos } from '../portal.service.js';
+import * as PortalModel from '../../models/portal.model.js';
+
+jest.mock('../../models/portal.model.js');
+jest.mock('../../config/logger.js');
+
+const ESTUDIANTE = { id: 'e5e5e5e5-0000-4000-8000-000000000001', role: 'estudiante' };
+
+const fila = (cambios = {}) => ({
+  entrenamientoId: 'en-1',
+  entrenamientoFechaInicio: '2025-03-01',
+  entrenamientoFechaFin: '2025-04-30',
+  entrenamientoEstadoGeneral: 'En progreso',
+  asignacionVariableId: 'av-1',
+  variableCognitivaNombre: 'Memoria de trabajo',
+  asignacionVariableEstado: 'En Progreso',
+  entrenadorNombres: 'Carlos Pérez',
+  asignacionNivelInicial: { aciertos: 8 },
+  asignacionMetricasActuales: { aciertos: 10 },
+  totalSesiones: '2',
+  sesionesFinalizadas: '1',
+  sesionesAbandonadas: '0',
+  sesiones: [{ numeroSesion: 1, estado: 'Finalizada', fechaInicio: null, fechaFin: null }],
+  ...cambios,
+});
+
+describe('Servicio del Portal del estudiante', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('obtenerPerfil', () => {
+    it('debería consultar solo el perfil del estudiante autenticado', async () => {
+      PortalModel.obtenerPerfil.mockResolvedValueOnce({ id: ESTUDIANTE.id, correoContacto: null });
+
+      const resultado = await obtenerPerfil(ESTUDIANTE);
+
+      expect(PortalModel.obtenerPerfil).toHaveBeenCalledWith(ESTUDIANTE.id);
+      expect(resultado.data).toEqual({ id: ESTUDIANTE.id, correoContacto: null });
+    });
+
+    it('debería responder 404 si el estudiante ya no existe', async () => {
+      PortalModel.obtenerPerfil.mockResolvedValueOnce(undefined);
+
+      await expect(obtenerPerfil(ESTUDIANTE)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('actualizarCorreoContacto', () => {
+    it('debería guardar el correo y devolver el perfil actualizado', async () => {
+      PortalModel.actualizarCorreoContacto.mockResolvedValueOnce(true);
+      PortalModel.obtenerPerfil.mockResolvedValueOnce({ id: ESTUDIANTE.id, correoContacto: 'ana@correo.com' });
+
+      const resultado = await actualizarCorreoContacto(ESTUDIANTE, 'ana@correo.com');
+
+      expect(PortalModel.actualizarCorreoContacto).toHaveBeenCalledWith(ESTUDIANTE.id, 'ana@correo.com');
+      expect(resultado.data.correoContacto).toBe('ana@correo.com');
+    });
+
+    it('debería responder 404 si el estudiante ya no existe', async () => {
+      PortalModel.actualizarCorreoContacto.mockResolvedValueOnce(false);
+
+      await expect(actualizarCorreoContacto(ESTUDIANTE, null)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('listarEntrenamientos', () => {
+    it('debería agrupar las variables por entrenamiento con sus totales de sesiones', async () => {
+      PortalModel.obtenerProgreso.mockResolvedValueOnce([
+        fila(),
+        fila({ asignacionVariableId: 'av-2', variableCognitivaNombre: 'Atención', totalSesiones: null, sesiones: [] }),
+        fila({ entrenamientoId: 'en-2', entrenamientoEstadoGeneral: 'Finalizado', asignacionVariableId: 'av-3' }),
+      ]);
+
+      const resultado = await listarEntrenamientos(ESTUDIANTE);
+
+      expect(PortalModel.obtenerProgreso).toHaveBeenCalledWith(ESTUDIANTE.id);
+      const [primero, segundo] = resultado.data;
+      expect(resultado.data).toHaveLength(2);
+      expect(primero).toEqual(expect.objectContaining({ entrenamientoId: 'en-1', estado: 'En progreso' }));
+      expect(primero.variables[0]).toEqual(expect.objectContaining({
+        asignacionVariableId: 'av-1',
+        variableCognitiva: 'Memoria de trabajo',
+        totalSesiones: 2,
+        sesionesFinalizadas: 1,
+        sesionesAbandonadas: 0,
+      }));
+      expect(primero.variables[1]).toEqual(expect.objectContaining({ asignacionVariableId: 'av-2', totalSesiones: 0, sesiones: [] }));
+      expect(segundo.variables.map((variable) => variable.asignacionVariableId)).toEqual(['av-3']);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import { verificarPropiedad, registrarOverride } from '../propiedad.service.js';
+import * as PropiedadModel from '../../models/propiedad.model.js';
+import logger from '../../config/logger.js';
+
+jest.mock('../../models/propiedad.model.js');
+jest.mock('../../config/logger.js');
+
+const admin = { id: 'admin-uuid', role: 'admin' };
+const entrenador = { id: 'entrenador-uuid', role: 'entrenador' };
+const operacion = 'PUT /api/entrenamientos-cognitivos/sesiones/sesion-uuid/finalizar';
+
+describe('Servicio de Propiedad', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('verificarPropiedad', () => {
+    it('debería permitir al entrenador vinculado al entrenamiento', async () => {
+      PropiedadModel.esDeEntrenador.mockResolvedValue(true);
+
+      const resultado = await verificarPropiedad(entrenador, 'sesion', 'sesion-uuid', { operacion });
+
+      expect(resultado).toEqual({ override: false });
+      expect(PropiedadModel.esDeEntrenador).toHaveBeenCalledWith('sesion', 'entrenador-uuid', 'sesion-uuid');
+      expect(PropiedadModel.registrarOverride).not.toHaveBeenCalled();
+    });
+
+    it('debería lanzar 403 si el entrenador no está vinculado al entrenamiento', async () => {
+      PropiedadModel.esDeEntrenador.mockResolvedValue(false);
+
+      await expect(verificarPropiedad(entrenador, 'asignacion', 'asig-uuid', { operacion }))
+        .rejects.toMatchObject({ statusCode: 403, message: expect.stringContaining('la asignación pertenece a un entrenamiento que no le está asignado') });
+    });
+
+    it('debería lanzar 403 si el entrenamiento no está asignado al entrenador', async () => {
+      PropiedadModel.esDeEntrenador.mockResolvedValue(false);
+
+      await expect(verificarPropiedad(entrenador, 'entrenamiento', 'ent-uuid', { operacion }))
+        .rejects.toMatchObject({ statusCode: 403, message: 'Acceso denegado: el entrenamiento no le está asignado.' });
+      expect(PropiedadModel.esDeEntrenador).toHaveBeenCalledWith('entrenamiento', 'entrenador-uuid', 'ent-uuid');
+    });
+
+    it('debería ignorar el motivo de override si quien lo envía es un entrenador', async () => {
+      PropiedadModel.esDeEntrenador.mockResolvedValue(false);
+
+      await expect(verificarPropiedad(entrenador, 'sesion', 'sesion-uuid', { motivo: 'urgente', operacion }))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(PropiedadModel.registrarOverride).not.toHaveBeenCalled();
+    });
+
+    it('debería lanzar 403 si un admin no indica el motivo del override', async () => {
+      await expect(verificarPropiedad(admin, 'sesion', 'sesion-uuid', { motivo: '   ', operacion }))
+        .rejects.toMatchObject({ statusCode: 403, message: expect.stringContaining('X-Override-Motivo') });
+      expect(PropiedadModel.registrarOverride).not.toHaveBeenCalled();
+      expect(PropiedadModel.esDeEntrenador).not.toHaveBeenCalled();
+    });
+
+    it('debería devolver los datos del override del admin sin registrarlo todavía', async () => {
+      const resultado = await verificarPropiedad(admin, 'sesion', 'sesion-uuid', { motivo: ' Entrenador incapacitado ', operacion });
+
+      expect(resultado).toEqual({
+        override: true,
+        datosOverride: {
+          id: expect.stringMatching(/^[0-9a-f-]{36}$/),
+          usuarioId: 'admin-uuid',
+          rol: 'admin',
+          operacion,
+          tipo: 'sesion',
+          registroId: 'sesion-uuid',
+          motivo: 'Entrenador incapacitado',
+        },
+      });
+      expect(PropiedadModel.registrarOverride).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('registrarOverride', () => {
+    const datosOverride = {
+      id: 'override-uuid', usuarioId: 'admin-uuid', rol: 'admin', operacion, tipo: 'sesion', registroId: 'sesion-uuid', motivo: 'Entrenador incapacitado',
+    };
+
+    it('debería registrar el override con su ID', async () => {
+      PropiedadModel.registrarOverride.mockResolvedValue({ id: 'override-uuid', fecha: new Date() });
+
+      await registrarOverride(datosOverride);
+
+      expect(PropiedadModel.registrarOverride).toHaveBeenCalledWith(datosOverride);
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Override override-uuid de admin admin-uuid sobre sesion sesion-uuid'));
+    });
+
+    it('debería registrar el error en el log sin lanzarlo', async () => {
+      PropiedadModel.registrarOverride.mockRejectedValue(new Error('Error de BD'));
+
+      await expect(registrarOverride(datosOverride)).resolves.toBeUndefined();
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('override-uuid'), expect.any(Error));
+    });
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { solicitarCambio, listarSolicitudes, resolverSolicitud } from '../solicitudCambioSesion.service.js';
+import * as SolicitudCambioSesionModel from '../../models/solicitudCambioSesion.model.js';
+import * as AgendaModel from '../../models/agenda.model.js';
+import * as NotificacionModel from '../../models/notificacion.model.js';
+
+jest.mock('../../models/solicitudCambioSesion.model.js');
+jest.mock('../../models/agenda.model.js');
+jest.mock('../../models/notificacion.model.js');
+jest.mock('../../config/logger.js');
+
+const SESION_ID = '5e5e5e5e-0000-4000-8000-000000000001';
+const SOLICITUD_ID = '50c50c50-0000-4000-8000-000000000001';
+const ESTUDIANTE = { id: 'e5e5e5e5-0000-4000-8000-000000000001', role: 'estudiante' };
+const ENTRENADOR = { id: 'e1e1e1e1-0000-4000-8000-000000000001', role: 'entrenador' };
+const OTRO_ENTRENADOR = { id: 'e1e1e1e1-0000-4000-8000-000000000002', role: 'entrenador' };
+const ADMIN = { id: 'ad000000-0000-4000-8000-000000000001', role: 'admin' };
+
+const sesion = {
+  id: SESION_ID,
+  estudianteId: ESTUDIANTE.id,
+  entrenadorId: ENTRENADOR.id,
+  inicio: '2099-03-03T10:00:00',
+  fin: '2099-03-03T10:45:00',
+  duracionMinutos: 45,
+  cancelada: false,
+  iniciada: false,
+};
+
+const solicitud = {
+  id: SOLICITUD_ID,
+  sesionPlanificadaId: SESION_ID,
+  estudianteId: ESTUDIANTE.id,
+  entrenadorId: ENTRENADOR.id,
+  inicioPropuesto: '2099-03-04T15:00:00',
+  finPropuesto: '2099-03-04T15:45:00',
+  estado: 'pendiente',
+  sesionCancelada: false,
+};
+
+describe('Servicio de Solicitudes de cambio de sesión', () => {
+  beforeEach(() => {
+    SolicitudCambioSesionModel.obtenerSesionPlanificada.mockResolvedValue(sesion);
+    SolicitudCambioSesionModel.crear.mockImplementation(async (datos) => ({ id: SOLICITUD_ID, ...datos }));
+    SolicitudCambioSesionModel.obtenerPorId.mockResolvedValue(solicitud);
+    SolicitudCambioSesionModel.resolver.mockImplementation(async (id, { estado }) => ({ ...solicitud, estado }));
+    AgendaModel.buscarCruces.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('solicitarCambio', () => {
+    const datos = { inicioPropuesto: '2099-03-04T15:00:00', motivo: 'Tengo parcial a esa hora.' };
+
+    it('debería crear la solicitud con la misma duración de la sesión y notificar al entrenador', async () => {
+      const resultado = await solicitarCambio(SESION_ID, datos, ESTUDIANTE);
+
+      expect(resultado.success).toBe(true);
+      expect(SolicitudCambioSesionModel.crear).toHaveBeenCalledWith({
+        sesion,
+        inicioPropuesto: '2099-03-04T15:00:00',
+        finPropuesto: '2099-03-04T15:45:00',
+        motivo: datos.motivo,
+      });
+      expect(NotificacionModel.obtenerDestinatariosSolicitudCambio).toHaveBeenCalledWith(SOLICITUD_ID);
+    });
+
+    it('debería calcular el fin aunque la sesión pase al día siguiente', async () => {
+      await solicitarCambio(SESION_ID, { ...datos, inicioPropuesto: '2099-03-04T23:30:00' }, ESTUDIANTE);
+
+      expect(SolicitudCambioSesionModel.crear).toHaveBeenCalledWith(expect.objectContaining({ finPropuesto: '2099-03-05T00:15:00' }));
+    });
+
+    it('debería responder 404 si la sesión es de otro estudiante', async () => {
+      SolicitudCambioSesionModel.obtenerSesionPlanificada.mockResolvedValueOnce({ ...sesion, estudianteId: 'otro' });
+
+      await expect(solicitarCambio(SESION_ID, datos, ESTUDIANTE)).rejects.toMatchObject({ statusCode: 404 });
+      expect(SolicitudCambioSesionModel.crear).not.toHaveBeenCalled();
+    });
+
+    it('debería responder 409 si la sesión está cancelada o ya empezó', async () => {
+      SolicitudCambioSesionModel.obtenerSesionPlanificada.mockResolvedValueOnce({ ...sesion, cancelada: true });
+      await expect(solicitarCambio(SESION_ID, datos, ESTUDIANTE)).rejects.toMatchObject({ statusCode: 409 });
+
+      SolicitudCambioSesionModel.obtenerSesionPlanificada.mockResolvedValueOnce({ ...sesion, iniciada: true });
+      await expect(solicitarCambio(SESION_ID, datos, ESTUDIANTE)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('debería responder 400 si el horario propuesto ya pasó o es el mismo de la sesión', async () => {
+      await expect(solicitarCambio(SESION_ID, { ...datos, inicioPropuesto: '2000-01-01T10:00:00' }, ESTUDIANTE))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(solicitarCambio(SESION_ID, { ...datos, inicioPropuesto: sesion.inicio }, ESTUDIANTE))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('debería responder 409 si la sesión ya tiene una solicitud pendiente', async () => {
+      SolicitudCambioSesionModel.crear.mockRejectedValueOnce(Object.assign(new Error('duplicada'), { code: '23505' }));
+
+      await expect(solicitarCambio(SESION_ID, datos, ESTUDIANTE)).rejects.toMatchObject({ statusCode: 409 });
+      expect(NotificacionModel.obtenerDestinatariosSolicitudCambio).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listarSolicitudes', () => {
+    it('debería listar solo las del entrenador autenticado, pendientes por defecto', async () => {
+      SolicitudCambioSesionModel.listar.mockResolvedValueOnce([solicitud]);
+
+      await listarSolicitudes(ENTRENADOR, { entrenador: OTRO_ENTRENADOR.id });
+
+      expect(SolicitudCambioSesionModel.listar).toHaveBeenCalledWith({ entrenadorId: ENTRENADOR.id, estado: 'pendiente' });
+    });
+
+    it('debería permitir a un administrador ver todas las solicitudes', async () => {
+      SolicitudCambioSesionModel.listar.mockResolvedValueOnce([]);
+
+      await listarSolicitudes(ADMIN, { estado: 'todas' });
+
+      expect(SolicitudCambioSesionModel.listar).toHaveBeenCalledWith({ entrenadorId: undefined, estado: undefined });
+    });
+  });
+
+  describe('resolverSolicitud', () => {
+    it('debería aprobar la solicitud, mover la sesión y notificar al estudiante', async () => {
+      const resultado = await resolverSolicitud(SOLICITUD_ID, { aprobar: true, respuesta: 'De acuerdo.' }, ENTRENADOR);
+
+      expect(resultado).toMatchObject({ success: true, data: { estado: 'aprobada' } });
+      expect(SolicitudCambioSesionModel.resolver).toHaveBeenCalledWith(SOLICITUD_ID, { estado: 'aprobada', respuesta: 'De acuerdo.', usuario: ENTRENADOR });
+      expect(NotificacionModel.obtenerDestinatariosSolicitudCambio).toHaveBeenCalledWith(SOLICITUD_ID);
+    });
+
+    it('debería ignorar el cruce con la propia sesión que se mueve', async () => {
+      AgendaModel.buscarCruces.mockResolvedValueOnce([{ indice: 0, tipo: 'estudiante', sesionPlanificadaId: SESION_ID }]);
+
+      const resultado = await resolverSolicitud(SOLICITUD_ID, { aprobar: true }, ENTRENADOR);
+
+      expect(resultado.success).toBe(true);
+    });
+
+    it('debería devolver los cruces sin resolver la solicitud si el horario propuesto está ocupado', async () => {
+      AgendaModel.buscarCruces.mockResolvedValueOnce([{ indice: 0, tipo: 'entrenador', sesionPlanificadaId: 'otra', asignacionId: 'av-9' }]);
+
+      const resultado = await resolverSolicitud(SOLICITUD_ID, { aprobar: true }, ENTRENADOR);
+
+      expect(resultado).toMatchObject({ success: false, statusCode: 409 });
+      expect(resultado.conflictos).toEqual([{ tipo: 'entrenador', sesionPlanificadaId: 'otra', asignacionId: 'av-9' }]);
+      expect(SolicitudCambioSesionModel.resolver).not.toHaveBeenCalled();
+    });
+
+    it('debería rechazar la solicitud sin comprobar cruces', async () => {
+      const resultado = await resolverSolicitud(SOLICITUD_ID, { aprobar: false }, ENTRENADOR);
+
+      expect(resultado.data.estado).toBe('rechazada');
+      expect(AgendaModel.buscarCruces).not.toHaveBeenCalled();
+    });
+
+    it('debería responder 403 si la sesión es de otro entrenador y permitirlo a un administrador', async () => {
+      await expect(resolverSolicitud(SOLICITUD_ID, { aprobar: false }, OTRO_ENTRENADOR)).rejects.toMatchObject({ statusCode: 403 });
+
+      await expect(resolverSolicitud(SOLICITUD_ID, { aprobar: false }, ADMIN)).resolves.toMatchObject({ success: true });
+    });
+
+    it('debería responder 409 si la solicitud ya fue resuelta', async () => {
+      SolicitudCambioSesionModel.obtenerPorId.mockResolvedValueOnce({ ...solicitud, estado: 'rechazada' });
+      await expect(resolverSolicitud(SOLICITUD_ID, { aprobar: true }, ENTRENADOR)).rejects.toMatchObject({ statusCode: 409 });
+
+      SolicitudCambioSesionModel.resolver.mockResolvedValueOnce(undefined);
+      await expect(resolverSolicitud(SOLICITUD_ID, { aprobar: false }, ENTRENADOR)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('debería responder 409 al aprobar si la sesión se canceló', async () => {
+      SolicitudCambioSesionModel.obtenerPorId.mockResolvedValueOnce({ ...solicitud, sesionCancelada: true });
+
+      await expect(resolverSolicitud(SOLICITUD_ID, { aprobar: true }, ENTRENADOR)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('debería responder 409 si otra sesión ocupó el horario propuesto después de buscar los cruces', async () => {
+      SolicitudCambioSesionModel.resolver.mockRejectedValueOnce(Object.assign(new Error('conflicting key value'), { code: '23P01' }));
+
+      await expect(resolverSolicitud(SOLICITUD_ID, { aprobar: true }, ENTRENADOR)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
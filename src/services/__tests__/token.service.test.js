@@ -0,0 +1,116 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import {
+  emitirSesion,
+  refrescarSesion,
+  cerrarSesion,
+  cerrarTodasLasSesiones,
+} from '../token.service.js';
+import * as TokenRefrescoModel from '../../models/tokenRefresco.model.js';
+import * as AuthModel from '../../models/auth.model.js';
+
+jest.mock('../../models/tokenRefresco.model.js');
+jest.mock('../../models/auth.model.js');
+jest.mock('../../config/logger.js');
+
+describe('Servicio de Token', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const usuarioId = '3c4d5e6f-7a8b-4c9d-8e0f-1a2b3c4d5e6f';
+  const registroVigente = {
+    id: 'token-1',
+    familia: 'familia-1',
+    usuario: usuarioId,
+    rol: 'entrenador',
+    fechaExpiracion: new Date(Date.now() + 60 * 60 * 1000),
+    fechaRevocacion: null,
+  };
+
+  describe('emitirSesion', () => {
+    it('debería persistir solo el hash del token de refresco', async () => {
+      TokenRefrescoModel.crear.mockResolvedValue({ id: 'token-1' });
+
+      const { token, refreshToken } = await emitirSesion(usuarioId, 'entrenador', { ip: '10.0.0.1' });
+
+      const datos = TokenRefrescoModel.crear.mock.calls[0][0];
+      expect(datos.hashToken).toMatch(/^[0-9a-f]{64}$/);
+      expect(datos.hashToken).not.toBe(refreshToken);
+      expect(datos.ip).toBe('10.0.0.1');
+      expect(jwt.decode(token)).toEqual(expect.objectContaining({ id: usuarioId, role: 'entrenador', sid: datos.familia }));
+    });
+  });
+
+  describe('refrescarSesion', () => {
+    it('debería rotar el token de refresco', async () => {
+      TokenRefrescoModel.obtenerPorHash.mockResolvedValue(registroVigente);
+      AuthModel.estaActivo.mockResolvedValue(true);
+      TokenRefrescoModel.crear.mockResolvedValue({ id: 'token-2' });
+      TokenRefrescoModel.marcarRotado.mockResolvedValue(true);
+
+      const resultado = await refrescarSesion('token-anterior');
+
+      expect(resultado.refreshToken).not.toBe('token-anterior');
+      expect(TokenRefrescoModel.crear).toHaveBeenCalledWith(expect.objectContaining({ familia: 'familia-1' }));
+      expect(TokenRefrescoModel.marcarRotado).toHaveBeenCalledWith('token-1', 'token-2');
+    });
+
+    it('debería revocar la familia completa si se reutiliza un token revocado', async () => {
+      TokenRefrescoModel.obtenerPorHash.mockResolvedValue({ ...registroVigente, fechaRevocacion: new Date() });
+
+      await expect(refrescarSesion('token-robado')).rejects.toMatchObject({ statusCode: 401 });
+      expect(TokenRefrescoModel.revocarFamilia).toHaveBeenCalledWith('familia-1', 'reutilizacion');
+      expect(TokenRefrescoModel.crear).not.toHaveBeenCalled();
+    });
+
+    it('debería rechazar un token expirado', async () => {
+      TokenRefrescoModel.obtenerPorHash.mockResolvedValue({ ...registroVigente, fechaExpiracion: new Date(Date.now() - 1000) });
+
+      await expect(refrescarSesion('token-viejo')).rejects.toThrow('El token de refresco expiró. Inicie sesión nuevamente.');
+    });
+
+    it('debería rechazar y revocar la sesión de un usuario inactivo', async () => {
+      TokenRefrescoModel.obtenerPorHash.mockResolvedValue(registroVigente);
+      AuthModel.estaActivo.mockResolvedValue(false);
+
+      await expect(refrescarSesion('token')).rejects.toMatchObject({ statusCode: 401 });
+      expect(TokenRefrescoModel.revocarFamilia).toHaveBeenCalledWith('familia-1', 'usuario-inactivo');
+    });
+
+    it('debería rechazar un token desconocido', async () => {
+      TokenRefrescoModel.obtenerPorHash.mockResolvedValue(null);
+
+      await expect(refrescarSesion('desconocido')).rejects.toThrow('Token de refresco inválido.');
+    });
+  });
+
+  describe('cerrarSesion', () => {
+    it('debería revocar la familia del token', async () => {
+      TokenRefrescoModel.obtenerPorHash.mockResolvedValue(registroVigente);
+
+      const resultado = await cerrarSesion('token');
+
+      expect(resultado.success).toBe(true);
+      expect(TokenRefrescoModel.revocarFamilia).toHaveBeenCalledWith('familia-1', 'logout');
+    });
+
+    it('no debería fallar con un token desconocido', async () => {
+      TokenRefrescoModel.obtenerPorHash.mockResolvedValue(null);
+
+      await expect(cerrarSesion('desconocido')).resolves.toMatchObject({ success: true });
+      expect(TokenRefrescoModel.revocarFamilia).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cerrarTodasLasSesiones', () => {
+    it('debería revocar todos los tokens del usuario', async () => {
+      TokenRefrescoModel.revocarPorUsuario.mockResolvedValue(3);
+
+      const resultado = await cerrarTodasLasSesiones(usuarioId, 'entrenador', 'desactivacion');
+
+      expect(resultado.data.sesionesRevocadas).toBe(3);
+      expect(TokenRefrescoModel.revocarPorUsuario).toHaveBeenCalledWith(usuarioId, 'entrenador', 'desactivacion');
+    });
+  });
+});
@@ -0,0 +1,415 @@
+import * as AgendaModel from '../models/agenda.model.js';
+import * as PropiedadModel from '../models/propiedad.model.js';
+import { generarIcs, TIPO_CONTENIDO_ICS } from '../utils/icalendar.utils.js';
+import { throwClientError, relanzar } from '../utils/response.util.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene la lógica de negocio de la agenda de entrenamiento: planes de sesiones recurrentes por asignación,
+ * disponibilidad semanal de los entrenadores, detección de cruces de horario y la agenda de planificadas frente a ejecutadas.
+ * Las fechas se manejan como texto en hora local (YYYY-MM-DD y YYYY-MM-DDTHH:MM:SS); los cálculos de días usan UTC
+ * solo como calendario, sin convertir zonas.
+ */
+
+// Límite de sesiones de un plan; un plan de tres sesiones por semana durante un año tiene 156.
+export const MAXIMO_SESIONES_PLAN = 200;
+
+// Los entrenamientos sin fecha de fin se crean con el 2500-12-31 (ver crearEntrenamientoCognitivoDB).
+const ANIO_SIN_FECHA_FIN = 2500;
+
+// Estados de asignación que ya no admiten sesiones nuevas ('Finalizado' y 'Abandono').
+const ESTADO_CERRADO = /^(finaliz|abandon)/i;
+
+const aMinutos = (hora) => {
+  const [horas, minutos] = hora.split(':').map(Number);
+  return horas * 60 + minutos;
+};
+
+const diaDeSemana = (fecha) => ((fecha.getUTCDay() + 6) % 7) + 1;
+
+const textoFecha = (fecha) => fecha.toISOString().slice(0, 10);
+
+const sumarDias = (fecha, dias) => {
+  const resultado = new Date(`${fecha}T00:00:00Z`);
+  resultado.setUTCDate(resultado.getUTCDate() + dias);
+  return textoFecha(resultado);
+};
+
+/**
+ * Genera las sesiones de un plan: una por cada día del rango que cae en uno de los días de la semana indicados.
+ * @param {object} plan - Días de la semana, hora de inicio, duración y rango de fechas del plan.
+ * @returns {Array<{inicio: string, fin: string, diaSemana: number}>} Las sesiones en orden.
+ */
+const generarSesiones = ({ diasSemana, horaInicio, duracionMinutos, fechaInicio, fechaFin }) => {
+  const sesiones = [];
+  const minutoInicio = aMinutos(horaInicio);
+  for (let dia = new Date(`${fechaInicio}T00:00:00Z`); textoFecha(dia) <= fechaFin; dia.setUTCDate(dia.getUTCDate() + 1)) {
+    const diaSemana = diaDeSemana(dia);
+    if (diasSemana.includes(diaSemana)) {
+      const inicio = new Date(dia.getTime() + minutoInicio * 60000);
+      const fin = new Date(inicio.getTime() + duracionMinutos * 60000);
+      sesiones.push({ inicio: inicio.toISOString().slice(0, 19), fin: fin.toISOString().slice(0, 19), diaSemana });
+    }
+  }
+  return sesiones;
+};
+
+/**
+ * Indica si una sesión cabe completa en alguna franja de disponibilidad de su día.
+ * Sin franjas definidas el entrenador no tiene restricción de horario.
+ * @param {{inicio: string, fin: string, diaSemana: number}} sesion - Sesión generada.
+ * @param {Array<object>} franjas - Franjas de disponibilidad del entrenador.
+ * @returns {boolean}
+ */
+const cabeEnDisponibilidad = (sesion, franjas) => {
+  if (franjas.length === 0) {
+    return true;
+  }
+  // Una sesión que pasa de medianoche no cabe en ninguna franja.
+  if (sesion.fin.slice(0, 10) !== sesion.inicio.slice(0, 10)) {
+    return false;
+  }
+  const inicio = aMinutos(sesion.inicio.slice(11));
+  const fin = aMinutos(sesion.fin.slice(11));
+  return franjas.some((franja) => franja.diaSemana === sesion.diaSemana
+    && aMinutos(franja.horaInicio) <= inicio && fin <= aMinutos(franja.horaFin));
+};
+
+/**
+ * Agrupa por sesión los cruces encontrados y las sesiones fuera de la disponibilidad del entrenador.
+ * @param {Array<object>} sesiones - Sesiones generadas del plan.
+ * @param {Array<object>} cruces - Filas de `AgendaModel.buscarCruces`.
+ * @param {Array<object>} franjas - Franjas de disponibilidad del entrenador.
+ * @returns {Array<object>} Un conflicto por sesión afectada: `indice`, `inicio`, `fin`, `cruces` y `fueraDeDisponibilidad`.
+ */
+const armarConflictos = (sesiones, cruces, franjas) => sesiones
+  .map((sesion, indice) => ({
+    indice,
+    inicio: sesion.inicio,
+    fin: sesion.fin,
+    cruces: cruces.filter((cruce) => cruce.indice === indice).map(({ indice: _indice, ...cruce }) => cruce),
+    fueraDeDisponibilidad: !cabeEnDisponibilidad(sesion, franjas),
+  }))
+  .filter((conflicto) => conflicto.cruces.length > 0 || conflicto.fueraDeDisponibilidad);
+
+/**
+ * Crea un plan de sesiones recurrentes para una asignación (ej. lunes y jueves a las 10:00 durante 8 semanas).
+ * El plan termina en `fechaFin`, o a las `semanas` indicadas, o en la fecha de fin del entrenamiento; nunca después de esta.
+ * Si alguna sesión se cruza con otra sesión planificada del entrenador o del estudiante, o queda fuera de la
+ * disponibilidad del entrenador, no se crea nada y se devuelven los conflictos, salvo que se pida omitir esas sesiones.
+ * @async
+ * @param {string} asignacionId - UUID de la asignación de variable.
+ * @param {object} datos - Datos del plan (ya validados).
+ * @param {number[]} datos.diasSemana - Días de la semana (1 = lunes ... 7 = domingo).
+ * @param {string} datos.horaInicio - Hora de inicio (HH:MM).
+ * @param {number} datos.duracionMinutos - Duración de cada sesión.
+ * @param {string} datos.fechaInicio - Primer día del plan (YYYY-MM-DD).
+ * @param {number} [datos.semanas] - Duración del plan en semanas.
+ * @param {string} [datos.fechaFin] - Último día del plan (YYYY-MM-DD).
+ * @param {string} [datos.entrenadorId] - Entrenador que dicta las sesiones; por defecto, el usuario autenticado.
+ * @param {boolean} [datos.omitirConflictos=false] - Crear el plan sin las sesiones con conflictos.
+ * @param {boolean} [datos.simulacion=false] - Solo calcular las sesiones y los conflictos, sin guardar nada.
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y el plan creado (o la simulación); si hay conflictos,
+ * `{ success: false, statusCode: 409, message, conflictos }`.
+ * @throws {Error} 404 si la asignación no existe, 409 si está cerrada o si otra sesión ocupó uno de los horarios
+ * mientras se creaba el plan, 400 si el rango del plan no es válido o el entrenador no está asignado al entrenamiento.
+ */
+export const crearPlan = async (asignacionId, datos, usuario) => {
+  const { diasSemana, horaInicio, duracionMinutos, fechaInicio, semanas, fechaFin, entrenadorId, omitirConflictos = false, simulacion = false } = datos;
+  logger.debug(`[SERVICIO_AGENDA] Solicitud para planificar sesiones de la asignación ${asignacionId}.`);
+  try {
+    const asignacion = await AgendaModel.obtenerContextoAsignacion(asignacionId);
+    if (!asignacion) {
+      throwClientError('La asignación indicada no existe.', 404);
+    }
+    if (ESTADO_CERRADO.test(asignacion.estado || '')) {
+      throwClientError(`La asignación está en estado '${asignacion.estado}'; no se pueden planificar sesiones.`, 409);
+    }
+
+    const entrenador = entrenadorId || (usuario?.role === 'entrenador' ? usuario.id : undefined);
+    if (!entrenador) {
+      throwClientError('Indique el entrenador que dictará las sesiones (entrenadorId).', 400);
+    }
+    if (entrenador !== usuario?.id && !(await PropiedadModel.esDeEntrenador('asignacion', entrenador, asignacionId))) {
+      throwClientError('El entrenador indicado no está asignado al entrenamiento de la asignación.', 400);
+    }
+
+    const { fechaInicioEntrenamiento, fechaFinEntrenamiento } = asignacion;
+    if (fechaInicioEntrenamiento && fechaInicio < fechaInicioEntrenamiento) {
+      throwClientError(`El entrenamiento empieza el ${fechaInicioEntrenamiento}; el plan no puede empezar antes.`, 400);
+    }
+    const finEntrenamiento = fechaFinEntrenamiento && Number(fechaFinEntrenamiento.slice(0, 4)) < ANIO_SIN_FECHA_FIN
+      ? fechaFinEntrenamiento
+      : null;
+    let finPlan = fechaFin || (semanas ? sumarDias(fechaInicio, semanas * 7 - 1) : finEntrenamiento);
+    if (!finPlan) {
+      throwClientError('El entrenamiento no tiene fecha de fin: indique "semanas" o "fechaFin".', 400);
+    }
+    if (finEntrenamiento && finPlan > finEntrenamiento) {
+      finPlan = finEntrenamiento;
+    }
+    if (finPlan < fechaInicio) {
+      throwClientError(`El entrenamiento termina el ${finEntrenamiento}, antes de la fecha de inicio del plan.`, 400);
+    }
+
+    const plan = { diasSemana, horaInicio, duracionMinutos, fechaInicio, fechaFin: finPlan };
+    const sesiones = generarSesiones(plan);
+    if (sesiones.length === 0) {
+      throwClientError('Ningún día entre la fecha de inicio y la de fin del plan cae en los días de la semana indicados.', 400);
+    }
+    if (sesiones.length > MAXIMO_SESIONES_PLAN) {
+      throwClientError(`El plan tendría ${sesiones.length} sesiones; el máximo es ${MAXIMO_SESIONES_PLAN}. Acorte el rango.`, 400);
+    }
+
+    const [cruces, franjas] = await Promise.all([
+      AgendaModel.buscarCruces({ entrenadorId: entrenador, estudianteId: asignacion.estudianteId, sesiones }),
+      AgendaModel.obtenerDisponibilidad(entrenador),
+    ]);
+    const conflictos = armarConflictos(sesiones, cruces, franjas);
+    const conConflicto = new Set(conflictos.map((conflicto) => conflicto.indice));
+    const sinConflicto = sesiones.filter((_sesion, indice) => !conConflicto.has(indice));
+
+    if (simulacion) {
+      return {
+        success: true,
+        message: `Simulación: el plan tendría ${sesiones.length} sesiones, ${conflictos.length} con conflictos.`,
+        data: {
+          ...plan,
+          asignacionId,
+          entrenadorId: entrenador,
+          sesiones: sesiones.map(({ inicio, fin }, indice) => ({ inicio, fin, conflicto: conConflicto.has(indice) })),
+          conflictos,
+        },
+      };
+    }
+
+    if (conflictos.length > 0 && (!omitirConflictos || sinConflicto.length === 0)) {
+      logger.warn(`[SERVICIO_AGENDA] Plan de la asignación ${asignacionId} rechazado: ${conflictos.length} sesiones con conflictos.`);
+      return {
+        success: false,
+        statusCode: 409,
+        message: sinConflicto.length === 0
+          ? 'Todas las sesiones del plan tienen conflictos de horario.'
+          : `${conflictos.length} de las ${sesiones.length} sesiones del plan tienen conflictos de horario. Ajuste el plan o envíe "omitirConflictos": true.`,
+        conflictos,
+      };
+    }
+
+    const creado = await AgendaModel.crearPlan({
+      ...plan,
+      asignacionId,
+      entrenadorId: entrenador,
+      estudianteId: asignacion.estudianteId,
+      creadoPor: usuario?.id,
+      sesiones: sinConflicto.map(({ inicio, fin }) => ({ inicio, fin })),
+    }).catch((error) => {
+      // Otra operación ocupó el horario después de buscar los cruces (CCsesionplanificada001EX y 002EX).
+      if (error.code === '23P01') {
+        throwClientError('Otra sesión se planificó en el mismo horario mientras se creaba el plan. Revise los conflictos e inténtelo de nuevo.', 409);
+      }
+      throw error;
+    });
+    logger.info(`[SERVICIO_AGENDA] Plan ${creado.id} creado para la asignación ${asignacionId}.`);
+    const omitidas = conflictos.length > 0 ? `; se omitieron ${conflictos.length} con conflictos` : '';
+    return {
+      success: true,
+      message: `Plan de sesiones creado con ${creado.totalSesiones} sesiones${omitidas}.`,
+      data: { plan: creado, conflictosOmitidos: conflictos },
+    };
+  } catch (error) {
+    return relanzar('SERVICIO_AGENDA', error, 'crear el plan de sesiones');
+  }
+};
+
+/**
+ * Lista los planes de sesiones de una asignación.
+ * @async
+ * @param {string} asignacionId - UUID de la asignación de variable.
+ * @returns {Promise<object>} Objeto indicando éxito y los planes, del más reciente al más antiguo.
+ */
+export const listarPlanes = async (asignacionId) => {
+  try {
+    const planes = await AgendaModel.obtenerPlanes(asignacionId);
+    return { success: true, data: planes };
+  } catch (error) {
+    return relanzar('SERVICIO_AGENDA', error, 'listar los planes de sesiones');
+  }
+};
+
+/**
+ * Cancela un plan de sesiones y sus sesiones planificadas futuras. Las que ya pasaron se conservan en la agenda.
+ * @async
+ * @param {string} asignacionId - UUID de la asignación de variable.
+ * @param {string} planId - UUID del plan.
+ * @returns {Promise<object>} Objeto indicando éxito y el plan cancelado.
+ * @throws {Error} 404 si el plan no existe en la asignación o ya estaba cancelado.
+ */
+export const cancelarPlan = async (asignacionId, planId) => {
+  try {
+    const plan = await AgendaModel.cancelarPlan(asignacionId, planId);
+    if (!plan) {
+      throwClientError('No existe un plan de sesiones activo con ese ID en la asignación.', 404);
+    }
+    logger.info(`[SERVICIO_AGENDA] Plan ${planId} cancelado (${plan.sesionesCanceladas} sesiones futuras canceladas).`);
+    return { success: true, message: `Plan de sesiones cancelado; se cancelaron ${plan.sesionesCanceladas} sesiones futuras.`, data: plan };
+  } catch (error) {
+    return relanzar('SERVICIO_AGENDA', error, 'cancelar el plan de sesiones');
+  }
+};
+
+/**
+ * Obtiene la disponibilidad semanal de un entrenador.
+ * @async
+ * @param {string} entrenadorId - UUID del entrenador.
+ * @returns {Promise<object>} Objeto indicando éxito y las franjas, por día y hora.
+ */
+export const obtenerDisponibilidad = async (entrenadorId) => {
+  try {
+    return { success: true, data: await AgendaModel.obtenerDisponibilidad(entrenadorId) };
+  } catch (error) {
+    return relanzar('SERVICIO_AGENDA', error, 'obtener la disponibilidad');
+  }
+};
+
+/**
+ * Reemplaza la disponibilidad semanal de un entrenador. Una lista vacía la borra (sin restricción de horario).
+ * No afecta a las sesiones ya planificadas.
+ * @async
+ * @param {string} entrenadorId - UUID del entrenador.
+ * @param {Array<{diaSemana: number, horaInicio: string, horaFin: string}>} franjas - Franjas ya validadas, sin solapamientos.
+ * @returns {Promise<object>} Objeto indicando éxito y las franjas guardadas.
+ */
+export const actualizarDisponibilidad = async (entrenadorId, franjas) => {
+  try {
+    const guardadas = await AgendaModel.reemplazarDisponibilidad(entrenadorId, franjas);
+    return { success: true, message: 'Disponibilidad actualizada exitosamente.', data: guardadas };
+  } catch (error) {
+    return relanzar('SERVICIO_AGENDA', error, 'actualizar la disponibilidad');
+  }
+};
+
+/**
+ * Obtiene la agenda de un entrenador entre dos días: sesiones planificadas frente a sesiones ejecutadas.
+ * Una sesión planificada se da por realizada si ese día se inició una sesión de la misma asignación;
+ * las ejecutadas que no corresponden a ninguna planificada aparecen como 'no-planificada'.
+ * @async
+ * @param {string} entrenadorId - UUID del entrenador.
+ * @param {object} rango - Rango de la agenda.
+ * @param {string} rango.desde - Primer día (YYYY-MM-DD).
+ * @param {string} rango.hasta - Último día (YYYY-MM-DD).
+ * @returns {Promise<object>} Objeto indicando éxito, el resumen y las sesiones en orden de inicio.
+ */
+export const obtenerAgenda = async (entrenadorId, { desde, hasta }) => {
+  try {
+    const [planificadas, ejecutadas] = await Promise.all([
+      AgendaModel.obtenerSesionesPlanificadas(entrenadorId, desde, hasta),
+      AgendaModel.obtenerSesionesEjecutadas(entrenadorId, desde, hasta),
+    ]);
+
+    const pendientesDeEmparejar = new Map();
+    for (const ejecutada of ejecutadas) {
+      const clave = `${ejecutada.asignacionId}|${ejecutada.inicio.slice(0, 10)}`;
+      pendientesDeEmparejar.set(clave, [...(pendientesDeEmparejar.get(clave) || []), ejecutada]);
+    }
+
+    const estudianteDe = (fila) => ({ id: fila.estudianteId, nombres: fila.estudianteNombres, apellidos: fila.estudianteApellidos });
+    const ejecucionDe = (ejecutada) => ({
+      sesionId: ejecutada?.sesionId ?? null,
+      numeroSesion: ejecutada?.numeroSesion ?? null,
+      estadoSesion: ejecutada?.estadoSesion ?? null,
+      inicioReal: ejecutada?.inicio ?? null,
+      finReal: ejecutada?.fin ?? null,
+    });
+
+    const sesiones = planificadas.map((planificada) => {
+      const ejecutada = pendientesDeEmparejar.get(`${planificada.asignacionId}|${planificada.inicio.slice(0, 10)}`)?.shift();
+      let estado = 'pendiente';
+      if (ejecutada) {
+        estado = 'realizada';
+      } else if (planificada.vencida) {
+        estado = 'no-realizada';
+      }
+      return {
+        estado,
+        inicio: planificada.inicio,
+        fin: planificada.fin,
+        asignacionId: planificada.asignacionId,
+        variable: planificada.variable,
+        estudiante: estudianteDe(planificada),
+        planId: planificada.planId,
+        sesionPlanificadaId: planificada.sesionPlanificadaId,
+        ...ejecucionDe(ejecutada),
+      };
+    });
+
+    for (const ejecutada of [...pendientesDeEmparejar.values()].flat()) {
+      sesiones.push({
+        estado: 'no-planificada',
+        inicio: ejecutada.inicio,
+        fin: ejecutada.fin,
+        asignacionId: ejecutada.asignacionId,
+        variable: ejecutada.variable,
+        estudiante: estudianteDe(ejecutada),
+        planId: null,
+        sesionPlanificadaId: null,
+        ...ejecucionDe(ejecutada),
+      });
+    }
+    sesiones.sort((a, b) => a.inicio.localeCompare(b.inicio));
+
+    const contar = (estado) => sesiones.filter((sesion) => sesion.estado === estado).length;
+    const realizadas = contar('realizada');
+    const noRealizadas = contar('no-realizada');
+    const resumen = {
+      planificadas: planificadas.length,
+      realizadas,
+      pendientes: contar('pendiente'),
+      noRealizadas,
+      noPlanificadas: contar('no-planificada'),
+      // Proporción de las sesiones planificadas ya vencidas que se realizaron.
+      cumplimiento: realizadas + noRealizadas > 0 ? Math.round((realizadas / (realizadas + noRealizadas)) * 100) / 100 : null,
+    };
+
+    return { success: true, data: { desde, hasta, resumen, sesiones } };
+  } catch (error) {
+    return relanzar('SERVICIO_AGENDA', error, 'obtener la agenda');
+  }
+};
+
+const ETIQUETAS_ESTADO = {
+  realizada: 'Realizada',
+  pendiente: 'Pendiente',
+  'no-realizada': 'No realizada',
+  'no-planificada': 'Realizada sin planificar',
+};
+
+/**
+ * Exporta la agenda de un entrenador como calendario iCalendar (.ics).
+ * @async
+ * @param {string} entrenadorId - UUID del entrenador.
+ * @param {object} rango - Rango de la agenda (`desde` y `hasta`, YYYY-MM-DD).
+ * @returns {Promise<object>} Objeto indicando éxito y el archivo (`contenido`, `tipoContenido`, `nombreArchivo`).
+ */
+export const exportarAgendaIcs = async (entrenadorId, rango) => {
+  const { data: agenda } = await obtenerAgenda(entrenadorId, rango);
+  const eventos = agenda.sesiones.map((sesion) => ({
+    uid: sesion.sesionPlanificadaId || sesion.sesionId,
+    inicio: sesion.inicio,
+    fin: sesion.fin,
+    resumen: `${sesion.variable} - ${sesion.estudiante.nombres} ${sesion.estudiante.apellidos}`,
+    descripcion: [
+      `Estado: ${ETIQUETAS_ESTADO[sesion.estado]}`,
+      ...(sesion.numeroSesion ? [`Sesión N.° ${sesion.numeroSesion}`] : []),
+    ].join('\n'),
+    estado: 'CONFIRMED',
+  }));
+  return {
+    success: true,
+    data: {
+      contenido: generarIcs({ nombre: `Agenda de entrenamiento ${agenda.desde} a ${agenda.hasta}`, eventos }),
+      tipoContenido: TIPO_CONTENIDO_ICS,
+      nombreArchivo: `agenda-${agenda.desde}-${agenda.hasta}.ics`,
+    },
+  };
+};
@@ -0,0 +1,74 @@
+import * as AlcanceModel from '../models/alcance.model.js';
+import { throwClientError } from '../utils/response.util.js';
+import { tienePermiso, PERMISOS } from '../utils/permisos.utils.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene la lógica de alcance por facultad: un entrenador o coordinador solo accede a
+ * estudiantes de sus facultades y (el entrenador) a los entrenamientos que tiene asignados.
+ */
+
+/**
+ * Indica si el usuario accede a registros de cualquier facultad.
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {boolean} `true` si el rol tiene el permiso `alcance:global`.
+ */
+export const tieneAlcanceGlobal = (usuario) => tienePermiso(usuario?.role, PERMISOS.ALCANCE_GLOBAL);
+
+/**
+ * Verifica que un registro esté dentro del alcance del usuario.
+ * @async
+ * @param {object} usuario - Usuario autenticado (`req.user`, con `id` y `role`).
+ * @param {string} tipo - Tipo de registro ('estudiante', 'estudianteDocumento', 'entrenamiento',
+ * 'asignacion', 'sesion', 'programas', 'entrenadorCorreo' o 'facultad').
+ * @param {...any} valores - Identificadores del registro.
+ * @returns {Promise<void>}
+ * @throws {Error} 403 si el registro está fuera del alcance del usuario.
+ */
+export const verificarAlcance = async (usuario, tipo, ...valores) => {
+  if (tieneAlcanceGlobal(usuario)) {
+    return;
+  }
+
+  let permitido;
+  try {
+    if (tipo === 'facultad') {
+      const facultades = await AlcanceModel.obtenerFacultades(usuario.id, usuario.role);
+      permitido = facultades.includes(valores[0]);
+    } else {
+      permitido = await AlcanceModel.enAlcance(tipo, usuario.id, usuario.role, valores);
+    }
+  } catch (error) {
+    logger.error(`[SERVICIO_ALCANCE] Error al verificar el alcance ${tipo}:`, error);
+    if (!error.statusCode) {
+      error.statusCode = 500;
+    }
+    throw error;
+  }
+
+  if (!permitido) {
+    logger.warn(`[SERVICIO_ALCANCE] Usuario ${usuario.id} (${usuario.role}) sin alcance sobre ${tipo}: %o`, valores);
+    throwClientError('Acceso denegado: el registro no pertenece a sus facultades ni a sus entrenamientos asignados.', 403);
+  }
+};
+
+/**
+ * Obtiene las facultades a las que el usuario tiene acceso.
+ * @async
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {Promise<Array<string>|null>} Los UUID de las facultades, o `null` si el alcance es global.
+ */
+export const obtenerFacultadesPermitidas = async (usuario) => {
+  if (tieneAlcanceGlobal(usuario)) {
+    return null;
+  }
+  try {
+    return await AlcanceModel.obtenerFacultades(usuario.id, usuario.role);
+  } catch (error) {
+    logger.error('[SERVICIO_ALCANCE] Error al obtener las facultades permitidas:', error);
+    if (!error.statusCode) {
+      error.statusCode = 500;
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,178 @@
+import * as AlertaModel from '../models/alerta.model.js';
+import { tieneAlcanceGlobal, verificarAlcance } from './alcance.service.js';
+import { evaluarReglas, umbralesEfectivos, UMBRALES_POR_DEFECTO } from '../utils/alertas.utils.js';
+import { throwClientError, relanzar } from '../utils/response.util.js';
+import { hoyLocal } from '../utils/fechas.utils.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene la lógica de negocio de las alertas de riesgo de abandono: el escaneo periódico de las asignaciones
+ * en progreso con las reglas de `utils/alertas.utils.js`, el listado y el descarte de alertas y los umbrales por facultad.
+ */
+
+// Escaneo en curso; un escaneo pedido mientras otro corre espera el mismo resultado en vez de repetirlo.
+let escaneoEnCurso = null;
+
+const ejecutarEscaneo = async () => {
+  const hoy = hoyLocal();
+  const [asignaciones, filasUmbrales] = await Promise.all([
+    AlertaModel.obtenerAsignacionesParaEscaneo(),
+    AlertaModel.obtenerUmbrales(),
+  ]);
+  const umbralesPorFacultad = new Map(filasUmbrales.map((fila) => [fila.facultadId, fila]));
+
+  const detectadas = asignaciones.flatMap((asignacion) => {
+    const umbrales = umbralesEfectivos(asignacion.facultades, umbralesPorFacultad);
+    return evaluarReglas(asignacion, umbrales, hoy).map(({ regla, detalle }) => ({
+      regla,
+      asignacionId: asignacion.asignacionId,
+      entrenamientoId: asignacion.entrenamientoId,
+      estudianteId: asignacion.estudianteId,
+      detalle,
+    }));
+  });
+
+  const resultado = await AlertaModel.sincronizarAlertas(detectadas);
+  logger.info(`[SERVICIO_ALERTA] Escaneo de alertas: ${asignaciones.length} asignaciones revisadas, ${detectadas.length} reglas disparadas `
+    + `(${resultado.nuevas} nuevas, ${resultado.resueltas} resueltas).`);
+  return { fecha: hoy, asignacionesRevisadas: asignaciones.length, detectadas: detectadas.length, ...resultado };
+};
+
+/**
+ * Servicio para escanear las asignaciones en progreso y sincronizar las alertas de riesgo.
+ * Crea las alertas de las reglas que se disparan, mantiene las vigentes (también las descartadas) y resuelve
+ * las que dejaron de cumplirse.
+ * @async
+ * @returns {Promise<object>} Objeto indicando éxito y `{ fecha, asignacionesRevisadas, detectadas, nuevas, vigentes, resueltas }`.
+ * @throws {Error} Si ocurre un error durante el escaneo.
+ */
+export const escanearAlertas = async () => {
+  if (!escaneoEnCurso) {
+    escaneoEnCurso = ejecutarEscaneo().finally(() => {
+      escaneoEnCurso = null;
+    });
+  }
+  try {
+    return { success: true, data: await escaneoEnCurso };
+  } catch (error) {
+    return relanzar('SERVICIO_ALERTA', error, 'escanear las alertas');
+  }
+};
+
+/**
+ * Programa el escaneo periódico de alertas. El temporizador no mantiene vivo el proceso.
+ * @param {number} intervaloMinutos - Minutos entre escaneos; 0 desactiva el escaneo periódico.
+ * @returns {NodeJS.Timeout|null} El temporizador, o `null` si está desactivado.
+ */
+export const iniciarEscaneoPeriodico = (intervaloMinutos) => {
+  if (!intervaloMinutos) {
+    logger.info('[SERVICIO_ALERTA] Escaneo periódico de alertas desactivado.');
+    return null;
+  }
+  const temporizador = setInterval(() => {
+    escanearAlertas().catch(() => {
+      // El error ya quedó registrado; se reintenta en el siguiente intervalo.
+    });
+  }, intervaloMinutos * 60000);
+  temporizador.unref();
+  logger.info(`[SERVICIO_ALERTA] Escaneo de alertas programado cada ${intervaloMinutos} minutos.`);
+  return temporizador;
+};
+
+/**
+ * Servicio para listar las alertas. Si el usuario no tiene alcance global, solo se listan las alertas
+ * de los entrenamientos de su alcance por facultad.
+ * @async
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @param {object} [opciones={}] - Paginación, orden y filtros del listado; sin filtro de estado se listan las activas
+ * y con `estado: 'todas'` las de cualquier estado.
+ * @returns {Promise<object>} Objeto indicando éxito, las alertas de la página y la paginación.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const listarAlertas = async (usuario, opciones = {}) => {
+  try {
+    const alcance = tieneAlcanceGlobal(usuario) ? undefined : { usuarioId: usuario.id, rol: usuario.role };
+    const { estado = 'activa', ...resto } = opciones.filtros ?? {};
+    const filtros = estado === 'todas' ? resto : { ...resto, estado };
+    const { datos, paginacion } = await AlertaModel.listarAlertas(alcance, { ...opciones, filtros });
+    return { success: true, data: datos, paginacion };
+  } catch (error) {
+    return relanzar('SERVICIO_ALERTA', error, 'listar las alertas');
+  }
+};
+
+/**
+ * Servicio para descartar una alerta activa con un motivo.
+ * Una alerta descartada no se vuelve a levantar mientras la regla se siga cumpliendo.
+ * @async
+ * @param {string} alertaId - UUID de la alerta.
+ * @param {string} motivo - Motivo del descarte.
+ * @param {object} usuario - Usuario autenticado (`req.user`); la alerta debe estar dentro de su alcance.
+ * @returns {Promise<object>} Objeto indicando éxito y la alerta descartada.
+ * @throws {Error} 404 si la alerta no existe, 403 si está fuera del alcance del usuario, 409 si no está activa.
+ */
+export const descartarAlerta = async (alertaId, motivo, usuario) => {
+  try {
+    const alerta = await AlertaModel.obtenerAlerta(alertaId);
+    if (!alerta) {
+      throwClientError('Alerta no encontrada.', 404);
+    }
+    await verificarAlcance(usuario, 'asignacion', alerta.asignacionId);
+    if (alerta.estado !== 'activa') {
+      throwClientError(`La alerta no se puede descartar porque está ${alerta.estado}.`, 409);
+    }
+    const descartada = await AlertaModel.descartarAlerta(alertaId, usuario.id, motivo);
+    if (!descartada) {
+      throwClientError('La alerta ya no está activa.', 409);
+    }
+    return { success: true, data: descartada, message: 'Alerta descartada exitosamente.' };
+  } catch (error) {
+    return relanzar('SERVICIO_ALERTA', error, `descartar la alerta ${alertaId}`);
+  }
+};
+
+// Umbrales de una facultad con los valores por defecto en los que no tiene configurados.
+const conValoresPorDefecto = (fila) => ({
+  ...fila,
+  ...Object.fromEntries(Object.entries(UMBRALES_POR_DEFECTO).map(([clave, porDefecto]) => [clave, fila[clave] ?? porDefecto])),
+  personalizados: Object.keys(UMBRALES_POR_DEFECTO).filter((clave) => fila[clave] !== null && fila[clave] !== undefined),
+});
+
+/**
+ * Servicio para obtener los umbrales de las reglas de todas las facultades.
+ * @async
+ * @returns {Promise<object>} Objeto indicando éxito y `{ porDefecto, facultades }`; cada facultad trae sus umbrales
+ * efectivos y `personalizados` con los que tiene configurados.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerUmbrales = async () => {
+  try {
+    const filas = await AlertaModel.obtenerUmbrales();
+    return { success: true, data: { porDefecto: UMBRALES_POR_DEFECTO, facultades: filas.map(conValoresPorDefecto) } };
+  } catch (error) {
+    return relanzar('SERVICIO_ALERTA', error, 'obtener los umbrales de alertas');
+  }
+};
+
+/**
+ * Servicio para configurar los umbrales de las reglas de una facultad.
+ * Reemplaza la configuración: los umbrales que no se indican (o van en null) vuelven al valor por defecto.
+ * Los cambios se aplican en el siguiente escaneo.
+ * @async
+ * @param {string} facultadId - UUID de la facultad.
+ * @param {object} umbrales - { diasSinSesion, sesionesSinIniciar, sesionesEnDescenso, diasAntesDeFin }.
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y los umbrales efectivos de la facultad.
+ * @throws {Error} 404 si la facultad no existe.
+ */
+export const actualizarUmbrales = async (facultadId, umbrales, usuario) => {
+  try {
+    const guardados = await AlertaModel.guardarUmbrales(facultadId, umbrales, usuario.id);
+    if (!guardados) {
+      throwClientError('Facultad no encontrada.', 404);
+    }
+    return { success: true, data: conValoresPorDefecto(guardados), message: 'Umbrales de alertas actualizados exitosamente.' };
+  } catch (error) {
+    return relanzar('SERVICIO_ALERTA', error, `actualizar los umbrales de alertas de la facultad ${facultadId}`);
+  }
+};
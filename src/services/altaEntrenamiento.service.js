@@ -0,0 +1,125 @@
+import * as EntrenamientoModel from '../models/estudiantesEntrenamientos.model.js';
+import { conTransaccion } from '../config/db.js';
+import { registrarEstudiante } from './estudiante.service.js';
+import { registrarNuevaAsignacionService, crearNuevaSesion } from './entrenamientoCognitivo.service.js';
+import { crearEntrenadorEntrenamientoService } from './entrenador.service.js';
+import * as NotificacionService from './notificacion.service.js';
+import { EVENTOS_NOTIFICACION } from '../utils/notificaciones.utils.js';
+import { relanzar } from '../utils/response.util.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene el alta completa de un entrenamiento: registra al estudiante, crea su entrenamiento con las
+ * asignaciones de variables, le asigna el entrenador y crea las primeras sesiones, todo en una sola transacción.
+ * Reutiliza los servicios de cada paso pasándoles el cliente de la transacción; si cualquiera falla se revierte todo.
+ */
+
+/** Pasos del alta, en el orden en que se ejecutan. */
+export const PASOS_ALTA = Object.freeze(['estudiante', 'entrenamiento', 'entrenador', 'sesiones']);
+
+/**
+ * Convierte el resultado de error de registrarNuevaAsignacionService (que no lanza) en un error con su código.
+ * @param {{message: string, statusCode?: number, errors?: Array<object>}} resultado
+ * @throws {Error} Siempre.
+ */
+const lanzarResultadoFallido = ({ message, statusCode, errors }) => {
+  const error = new Error(message);
+  error.statusCode = statusCode || 500;
+  if (errors) {
+    error.errors = errors;
+  }
+  throw error;
+};
+
+/**
+ * Resumen de los pasos cuando el alta se revirtió: los completados quedan 'revertido', el que falló 'fallido'
+ * con su mensaje y los que no alcanzaron a ejecutarse 'omitido'.
+ * @param {Array<object>} pasos - Los pasos completados hasta el fallo.
+ * @param {string|null} pasoFallido - El paso que lanzó el error; null si falló la confirmación.
+ * @param {Error} error - El error del paso.
+ * @returns {Array<object>}
+ */
+const resumirReversion = (pasos, pasoFallido, error) => PASOS_ALTA.map((paso) => {
+  if (paso === pasoFallido) {
+    const mensaje = error.statusCode && error.statusCode < 500 ? error.message : 'Error inesperado en el servidor.';
+    return { paso, estado: 'fallido', mensaje };
+  }
+  return { paso, estado: pasos.some((completado) => completado.paso === paso) ? 'revertido' : 'omitido' };
+});
+
+/**
+ * Da de alta un entrenamiento completo en una transacción:
+ * 1. estudiante: registra al estudiante (como POST /api/estudiantes).
+ * 2. entrenamiento: crea el entrenamiento y sus asignaciones de variables (como POST /api/entrenamientos-cognitivos/asignacion).
+ * 3. entrenador: asigna el entrenador al entrenamiento (como POST /api/entrenadores/asignar-entrenamiento).
+ * 4. sesiones: crea las sesiones indicadas (como POST /api/sesiones/crear); se omite si no se piden sesiones.
+ * Si un paso falla se revierte todo y el error lleva en `pasos` el estado de cada uno. El entrenador se notifica
+ * solo después de confirmar la transacción.
+ * @async
+ * @param {object} datos
+ * @param {object} datos.estudiante - Datos del estudiante (ver registrarEstudiante).
+ * @param {object} datos.entrenamiento - fechaInicio, tiposVariablesCognitivasIds, nivelInicial y metricas (ver registrarNuevaAsignacionService).
+ * @param {string} datos.entrenadorId - UUID del entrenador a asignar.
+ * @param {Array<{nombreVariableCognitiva: string, fechaInicio?: string}>} [datos.sesiones=[]] - Sesiones a crear.
+ * @returns {Promise<{success: boolean, message: string, data: object, pasos: Array<object>}>}
+ * @throws {Error} Con el código del paso que falló y `pasos` con el resumen de la reversión.
+ */
+export const darDeAltaEntrenamiento = async ({ estudiante, entrenamiento, entrenadorId, sesiones = [] }) => {
+  logger.info(`[SERVICIO_ALTA_ENTRENAMIENTO] Alta completa para el estudiante ${estudiante.siglaTipoDocumento}-${estudiante.numeroDocumento}`);
+  const pasos = [];
+  let pasoActual = null;
+
+  try {
+    const data = await conTransaccion(async (cliente) => {
+      pasoActual = 'estudiante';
+      const registro = await registrarEstudiante(estudiante, cliente);
+      const estudianteId = registro.data.id;
+      pasos.push({ paso: pasoActual, estado: 'completado', estudianteId });
+
+      pasoActual = 'entrenamiento';
+      const asignacion = await registrarNuevaAsignacionService({ ...entrenamiento, estudianteId }, cliente);
+      if (!asignacion.success) {
+        lanzarResultadoFallido(asignacion);
+      }
+      const creado = await EntrenamientoModel.obtenerEntrenamientoDeEstudiante(estudianteId, cliente);
+      if (!creado) {
+        lanzarResultadoFallido({ message: 'No se encontró el entrenamiento recién creado.' });
+      }
+      const { entrenamientoId, asignacionesIds } = creado;
+      pasos.push({ paso: pasoActual, estado: 'completado', entrenamientoId, asignacionesIds });
+
+      pasoActual = 'entrenador';
+      const relacion = await crearEntrenadorEntrenamientoService(entrenadorId, entrenamientoId, cliente);
+      pasos.push({ paso: pasoActual, estado: 'completado', entrenadorId, relacionId: relacion.data.relacionId });
+
+      pasoActual = 'sesiones';
+      const sesionesIds = [];
+      for (const { nombreVariableCognitiva, fechaInicio } of sesiones) {
+        const sesion = await crearNuevaSesion({
+          siglaTipoDocEstudiante: estudiante.siglaTipoDocumento,
+          numeroDocEstudiante: estudiante.numeroDocumento,
+          nombreVariableCognitiva,
+          fechaInicio,
+        }, cliente);
+        sesionesIds.push(sesion.data.sesionentrenamientoid);
+      }
+      pasos.push(sesionesIds.length > 0
+        ? { paso: pasoActual, estado: 'completado', sesionesIds }
+        : { paso: pasoActual, estado: 'omitido' });
+      // Si falla el COMMIT se revierten todos los pasos sin que ninguno haya fallado.
+      pasoActual = null;
+
+      return { estudianteId, entrenamientoId, asignacionesIds, relacionId: relacion.data.relacionId, sesionesIds };
+    });
+
+    logger.info(`[SERVICIO_ALTA_ENTRENAMIENTO] Alta completa confirmada: entrenamiento ${data.entrenamientoId}`);
+    NotificacionService.notificar(EVENTOS_NOTIFICACION.ENTRENAMIENTO_ASIGNADO, { entrenadorId, entrenamientoId: data.entrenamientoId });
+    return { success: true, message: 'Alta del entrenamiento completada exitosamente.', data, pasos };
+  } catch (error) {
+    if (pasoActual || pasos.length > 0) {
+      logger.warn(`[SERVICIO_ALTA_ENTRENAMIENTO] Alta revertida (paso '${pasoActual ?? 'confirmación'}'): ${error.message}`);
+      error.pasos = resumirReversion(pasos, pasoActual, error);
+    }
+    return relanzar('SERVICIO_ALTA_ENTRENAMIENTO', error, 'dar de alta el entrenamiento');
+  }
+};
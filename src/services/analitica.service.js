@@ -0,0 +1,173 @@
+import * as AnaliticaModel from '../models/analitica.model.js';
+import { tieneAlcanceGlobal } from './alcance.service.js';
+import { relanzar } from '../utils/response.util.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene los servicios de analítica de resultados del entrenamiento cognitivo.
+ * Los coordinadores solo ven los entrenamientos de su facultad (alcance por facultad).
+ */
+
+const NOMBRES_DIMENSION = {
+  facultad: 'porFacultad',
+  programa: 'porPrograma',
+  variable: 'porVariable',
+  entrenador: 'porEntrenador',
+};
+
+// Proporción con cuatro decimales, o null si no hay asignaciones.
+const tasa = (parte, total) => (total > 0 ? Math.round((parte / total) * 10000) / 10000 : null);
+
+/**
+ * Añade a unos conteos por resultado sus tasas de finalización, abandono y en progreso.
+ * @param {object} conteos - Fila con `asignaciones`, `finalizadas`, `abandonadas` y `enProgreso`.
+ * @returns {object}
+ */
+const conTasas = (conteos) => ({
+  ...conteos,
+  tasaFinalizacion: tasa(conteos.finalizadas, conteos.asignaciones),
+  tasaAbandono: tasa(conteos.abandonadas, conteos.asignaciones),
+  tasaEnProgreso: tasa(conteos.enProgreso, conteos.asignaciones),
+});
+
+const redondear = (valor, decimales) => Math.round(valor * 10 ** decimales) / 10 ** decimales;
+
+const mesDe = (fecha) => fecha.toISOString().slice(0, 7);
+
+/**
+ * Completa con ceros los meses sin eventos, para que la serie sea continua.
+ * Abarca el rango pedido si lo hay; si no, del primer al último mes con eventos.
+ * @param {Array<{mes: string, iniciados: number, finalizados: number}>} serie - Meses con eventos, en orden.
+ * @param {Date} [fechaDesde] - Inicio del rango pedido.
+ * @param {Date} [fechaHasta] - Fin del rango pedido.
+ * @returns {Array<{mes: string, iniciados: number, finalizados: number}>}
+ */
+const completarMeses = (serie, fechaDesde, fechaHasta) => {
+  const primero = fechaDesde ? mesDe(fechaDesde) : serie[0]?.mes;
+  const ultimo = fechaHasta ? mesDe(fechaHasta) : serie[serie.length - 1]?.mes;
+  if (!primero || !ultimo || primero > ultimo) {
+    return serie;
+  }
+  const porMes = new Map(serie.map((punto) => [punto.mes, punto]));
+  const [anioInicial, mesInicial] = primero.split('-').map(Number);
+  const completa = [];
+  for (let indice = 0; ; indice += 1) {
+    const mes = mesDe(new Date(Date.UTC(anioInicial, mesInicial - 1 + indice, 1)));
+    completa.push(porMes.get(mes) || { mes, iniciados: 0, finalizados: 0 });
+    if (mes === ultimo) {
+      return completa;
+    }
+  }
+};
+
+/**
+ * Traduce los filtros de la petición a los del modelo, limitando al alcance del usuario si no es global.
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @param {object} filtros - `fechaDesde`, `fechaHasta`, `facultad` y `periodo`, ya validados.
+ * @returns {object}
+ */
+const filtrosDelUsuario = (usuario, { fechaDesde, fechaHasta, facultad, periodo } = {}) => ({
+  fechaDesde,
+  fechaHasta,
+  facultad,
+  periodo,
+  alcance: tieneAlcanceGlobal(usuario) ? undefined : { usuarioId: usuario.id, rol: usuario.role },
+});
+
+/**
+ * Servicio para obtener las tasas de finalización, abandono y en progreso, y el promedio de sesiones
+ * hasta finalizar, en total y agrupadas por facultad, programa, variable cognitiva y entrenador.
+ * @async
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @param {object} [filtros={}] - `fechaDesde`, `fechaHasta` (inicio del entrenamiento), `facultad` y `periodo`.
+ * @returns {Promise<object>} Objeto indicando éxito y `{ resumen, porFacultad, porPrograma, porVariable, porEntrenador }`.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerTasas = async (usuario, filtros = {}) => {
+  logger.debug('[SERVICIO_ANALITICA] Solicitud de tasas de resultados con filtros: %o', filtros);
+  try {
+    const filtrosModelo = filtrosDelUsuario(usuario, filtros);
+    const [resumen, ...grupos] = await Promise.all([
+      AnaliticaModel.obtenerResumen(filtrosModelo),
+      ...AnaliticaModel.DIMENSIONES_ANALITICA.map((dimension) => AnaliticaModel.obtenerTasasPorDimension(dimension, filtrosModelo)),
+    ]);
+    const data = { resumen: conTasas(resumen) };
+    AnaliticaModel.DIMENSIONES_ANALITICA.forEach((dimension, indice) => {
+      data[NOMBRES_DIMENSION[dimension]] = grupos[indice].map(conTasas);
+    });
+    logger.info(`[SERVICIO_ANALITICA] Tasas calculadas sobre ${resumen.asignaciones} asignaciones.`);
+    return { success: true, data };
+  } catch (error) {
+    return relanzar('SERVICIO_ANALITICA', error, 'obtener las tasas de resultados');
+  }
+};
+
+/**
+ * Servicio para obtener la mejora promedio del nivel inicial a las métricas finales, por variable cognitiva.
+ * Solo considera asignaciones finalizadas y las métricas numéricas presentes en ambos.
+ * @async
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @param {object} [filtros={}] - `fechaDesde`, `fechaHasta` (inicio del entrenamiento), `facultad` y `periodo`.
+ * @returns {Promise<object>} Objeto indicando éxito y un elemento por variable con la mejora de cada métrica.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerMejoraPorVariable = async (usuario, filtros = {}) => {
+  logger.debug('[SERVICIO_ANALITICA] Solicitud de mejora por variable con filtros: %o', filtros);
+  try {
+    const filas = await AnaliticaModel.obtenerMejoraPorVariable(filtrosDelUsuario(usuario, filtros));
+    const porVariable = new Map();
+    for (const { variable, metrica, asignaciones, promedioInicial, promedioFinal } of filas) {
+      if (!porVariable.has(variable)) {
+        porVariable.set(variable, { variable, metricas: [] });
+      }
+      const mejoraPromedio = redondear(promedioFinal - promedioInicial, 3);
+      porVariable.get(variable).metricas.push({
+        metrica,
+        asignaciones,
+        promedioInicial,
+        promedioFinal,
+        mejoraPromedio,
+        mejoraPorcentual: promedioInicial !== 0 ? redondear((mejoraPromedio / Math.abs(promedioInicial)) * 100, 2) : null,
+      });
+    }
+    return { success: true, data: [...porVariable.values()] };
+  } catch (error) {
+    return relanzar('SERVICIO_ANALITICA', error, 'obtener la mejora por variable');
+  }
+};
+
+/**
+ * Servicio para obtener la serie mensual de entrenamientos iniciados y finalizados.
+ * Los meses sin eventos dentro del rango aparecen con cero.
+ * @async
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @param {object} [filtros={}] - `fechaDesde`, `fechaHasta` (fecha de cada evento), `facultad` y `periodo`.
+ * @returns {Promise<object>} Objeto indicando éxito y la serie `[{ mes: 'YYYY-MM', iniciados, finalizados }]`.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerSerieMensual = async (usuario, filtros = {}) => {
+  logger.debug('[SERVICIO_ANALITICA] Solicitud de serie mensual con filtros: %o', filtros);
+  try {
+    const serie = await AnaliticaModel.obtenerSerieMensual(filtrosDelUsuario(usuario, filtros));
+    return { success: true, data: completarMeses(serie, filtros.fechaDesde, filtros.fechaHasta) };
+  } catch (error) {
+    return relanzar('SERVICIO_ANALITICA', error, 'obtener la serie mensual');
+  }
+};
+
+/**
+ * Servicio para obtener el tablero completo: tasas, mejora por variable y serie mensual.
+ * @async
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @param {object} [filtros={}] - `fechaDesde`, `fechaHasta`, `facultad` y `periodo`.
+ * @returns {Promise<object>} Objeto indicando éxito y `{ tasas, mejoraPorVariable, serieMensual }`.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerTablero = async (usuario, filtros = {}) => {
+  const [tasas, mejora, serie] = await Promise.all([
+    obtenerTasas(usuario, filtros),
+    obtenerMejoraPorVariable(usuario, filtros),
+    obtenerSerieMensual(usuario, filtros),
+  ]);
+  return { success: true, data: { tasas: tasas.data, mejoraPorVariable: mejora.data, serieMensual: serie.data } };
+};
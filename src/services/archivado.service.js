@@ -0,0 +1,143 @@
+import * as ArchivadoModel from '../models/archivado.model.js';
+import { throwClientError, relanzar } from '../utils/response.util.js';
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene la lógica del archivado (borrado lógico) de estudiantes, entrenamientos y sesiones.
+ * Archivar se propaga a lo que el registro contiene (estudiante → entrenamientos → sesiones) y restaurar devuelve
+ * lo que se archivó en cascada con él. Un registro no se restaura mientras su contenedor siga archivado.
+ * Pasado el periodo de retención (`ARCHIVADO_RETENCION_DIAS`) un administrador puede purgar los archivados.
+ */
+
+const MENSAJES = Object.freeze({
+  estudiante: {
+    noEncontrado: 'Estudiante no encontrado.',
+    yaArchivado: 'El estudiante ya está archivado.',
+    noArchivado: 'El estudiante no está archivado.',
+    archivado: 'Estudiante archivado exitosamente.',
+    restaurado: 'Estudiante restaurado exitosamente.',
+  },
+  entrenamiento: {
+    noEncontrado: 'Entrenamiento cognitivo no encontrado.',
+    yaArchivado: 'El entrenamiento cognitivo ya está archivado.',
+    noArchivado: 'El entrenamiento cognitivo no está archivado.',
+    contenedorArchivado: 'El estudiante del entrenamiento está archivado; restaure primero al estudiante.',
+    archivado: 'Entrenamiento cognitivo archivado exitosamente.',
+    restaurado: 'Entrenamiento cognitivo restaurado exitosamente.',
+  },
+  sesion: {
+    noEncontrado: 'Sesión de entrenamiento no encontrada.',
+    yaArchivado: 'La sesión de entrenamiento ya está archivada.',
+    noArchivado: 'La sesión de entrenamiento no está archivada.',
+    contenedorArchivado: 'El entrenamiento de la sesión está archivado; restaure primero el entrenamiento.',
+    archivado: 'Sesión de entrenamiento archivada exitosamente.',
+    restaurado: 'Sesión de entrenamiento restaurada exitosamente.',
+  },
+});
+
+// Conteo del resultado del modelo que corresponde al propio registro.
+const CONTEO_POR_TIPO = Object.freeze({
+  estudiante: 'estudiantes',
+  entrenamiento: 'entrenamientos',
+  sesion: 'sesiones',
+});
+
+// Carga el estado de archivado del registro o responde 404.
+const obtenerEstadoExistente = async (tipo, id) => {
+  const estado = await ArchivadoModel.obtenerEstadoArchivo(tipo, id);
+  if (!estado) {
+    throwClientError(MENSAJES[tipo].noEncontrado, 404);
+  }
+  return estado;
+};
+
+/**
+ * Archiva un estudiante, entrenamiento o sesión con un motivo, y en cascada lo que contiene.
+ * @async
+ * @param {string} tipo - 'estudiante', 'entrenamiento' o 'sesion'.
+ * @param {string} id - UUID del registro.
+ * @param {string} motivo - Motivo del archivado.
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y cuántos registros de cada tipo se archivaron.
+ * @throws {Error} 404 si el registro no existe, 409 si ya estaba archivado.
+ */
+export const archivar = async (tipo, id, motivo, usuario) => {
+  try {
+    const estado = await obtenerEstadoExistente(tipo, id);
+    if (estado.archivado) {
+      throwClientError(MENSAJES[tipo].yaArchivado, 409);
+    }
+
+    const archivados = await ArchivadoModel.archivar(tipo, id, { motivo, usuarioId: usuario.id, rol: usuario.role });
+    // Otra petición lo archivó entre la consulta y la actualización.
+    if (archivados[CONTEO_POR_TIPO[tipo]] === 0) {
+      throwClientError(MENSAJES[tipo].yaArchivado, 409);
+    }
+
+    logger.info(`[SERVICIO_ARCHIVADO] ${tipo} ${id} archivado por ${usuario.role} ${usuario.id}: %o`, archivados);
+    return { success: true, message: MENSAJES[tipo].archivado, data: { tipo, id, motivo, archivados } };
+  } catch (error) {
+    return relanzar('SERVICIO_ARCHIVADO', error, `archivar ${tipo}`);
+  }
+};
+
+/**
+ * Restaura un estudiante, entrenamiento o sesión archivado y lo que se archivó en cascada con él.
+ * @async
+ * @param {string} tipo - 'estudiante', 'entrenamiento' o 'sesion'.
+ * @param {string} id - UUID del registro.
+ * @param {string} motivo - Motivo de la restauración (queda en la auditoría).
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y cuántos registros de cada tipo se restauraron.
+ * @throws {Error} 404 si el registro no existe, 409 si no está archivado o si su contenedor sigue archivado.
+ */
+export const restaurar = async (tipo, id, motivo, usuario) => {
+  try {
+    const estado = await obtenerEstadoExistente(tipo, id);
+    if (!estado.archivado) {
+      throwClientError(MENSAJES[tipo].noArchivado, 409);
+    }
+    if (estado.contenedorArchivado) {
+      throwClientError(MENSAJES[tipo].contenedorArchivado, 409);
+    }
+
+    const restaurados = await ArchivadoModel.restaurar(tipo, id);
+    if (restaurados[CONTEO_POR_TIPO[tipo]] === 0) {
+      throwClientError(MENSAJES[tipo].noArchivado, 409);
+    }
+
+    logger.info(`[SERVICIO_ARCHIVADO] ${tipo} ${id} restaurado por ${usuario.role} ${usuario.id}: %o`, restaurados);
+    return { success: true, message: MENSAJES[tipo].restaurado, data: { tipo, id, motivo, restaurados } };
+  } catch (error) {
+    return relanzar('SERVICIO_ARCHIVADO', error, `restaurar ${tipo}`);
+  }
+};
+
+/**
+ * Borra definitivamente los registros archivados hace más de `ARCHIVADO_RETENCION_DIAS` días.
+ * @async
+ * @param {object} [opciones={}] - Opciones de la purga.
+ * @param {boolean} [opciones.simulacion=false] - Solo contar lo que se borraría.
+ * @returns {Promise<object>} Objeto indicando éxito, la fecha límite y cuántos registros se purgaron (o se purgarían).
+ */
+export const purgarArchivados = async ({ simulacion = false } = {}) => {
+  const { retencionDias } = config.archivado;
+  try {
+    const fechaLimite = new Date(Date.now() - retencionDias * 24 * 60 * 60 * 1000);
+    const purgados = await ArchivadoModel.purgarArchivados(retencionDias, simulacion);
+
+    if (simulacion) {
+      logger.info('[SERVICIO_ARCHIVADO] Simulación de purga de archivados: %o', purgados);
+    } else {
+      logger.warn('[SERVICIO_ARCHIVADO] Purga de archivados anteriores a %s: %o', fechaLimite.toISOString(), purgados);
+    }
+    return {
+      success: true,
+      message: simulacion ? 'Simulación de purga completada. No se borró ningún registro.' : 'Purga de registros archivados completada.',
+      data: { simulacion, retencionDias, fechaLimite: fechaLimite.toISOString(), purgados },
+    };
+  } catch (error) {
+    return relanzar('SERVICIO_ARCHIVADO', error, 'purgar los registros archivados');
+  }
+};
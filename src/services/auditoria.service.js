@@ -0,0 +1,163 @@
+import * as AuditoriaModel from '../models/auditoria.model.js';
+import * as EstudianteModel from '../models/estudiante.model.js';
+import * as EntrenadorModel from '../models/entrenador.model.js';
+import * as EntrenamientoModel from '../models/estudiantesEntrenamientos.model.js';
+import * as ArchivadoModel from '../models/archivado.model.js';
+import * as CatalogoModel from '../models/catalogo.model.js';
+import * as PeriodoModel from '../models/periodo.model.js';
+import * as PortalModel from '../models/portal.model.js';
+import * as SolicitudCambioSesionModel from '../models/solicitudCambioSesion.model.js';
+import * as MatriculaModel from '../models/matricula.model.js';
+import { ocultarSensibles, calcularCambios } from '../utils/auditoria.utils.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene la lógica del registro de auditoría de las operaciones de escritura.
+ */
+
+/**
+ * Registra una operación en la auditoría. Nunca lanza: si la inserción falla, la operación
+ * auditada ya se realizó, así que el error solo se registra en el log.
+ * @async
+ * @param {object} datos - Datos de la operación.
+ * @param {object} datos.usuario - Usuario autenticado (`req.user`).
+ * @param {string} datos.accion - Acción realizada (ej. 'estudiante.modificar').
+ * @param {string} datos.entidad - Tipo de entidad afectada.
+ * @param {string} [datos.entidadId] - ID del registro afectado.
+ * @param {object} [datos.antes] - Estado anterior.
+ * @param {object} [datos.despues] - Estado posterior.
+ * @param {object} [datos.metadatos] - Datos adicionales.
+ * @param {object} [datos.contexto={}] - Contexto de la petición ({ solicitudId, ip }).
+ * @returns {Promise<object|null>} El registro creado, o `null` si no se pudo guardar.
+ */
+export const registrarOperacion = async ({ usuario, accion, entidad, entidadId, antes, despues, metadatos, contexto = {} }) => {
+  const antesLimpio = ocultarSensibles(antes);
+  const despuesLimpio = ocultarSensibles(despues);
+  try {
+    return await AuditoriaModel.registrar({
+      actorId: usuario.id,
+      rol: usuario.role,
+      accion,
+      entidad,
+      entidadId: entidadId === undefined || entidadId === null ? null : String(entidadId),
+      antes: antesLimpio,
+      despues: despuesLimpio,
+      cambios: calcularCambios(antesLimpio, despuesLimpio),
+      metadatos: metadatos || null,
+      solicitudId: contexto.solicitudId,
+      ip: contexto.ip,
+    });
+  } catch (error) {
+    logger.error(`[SERVICIO_AUDITORIA] No se pudo registrar la auditoría de ${accion} sobre ${entidad} ${entidadId} (petición ${contexto.solicitudId}):`, error);
+    return null;
+  }
+};
+
+/**
+ * Consulta el registro de auditoría.
+ * @async
+ * @param {object} [filtros={}] - Filtros (actorId, entidad, entidadId, accion, desde, hasta, limite).
+ * @returns {Promise<object>} Objeto con los registros encontrados.
+ */
+export const consultarAuditoria = async (filtros = {}) => {
+  try {
+    const registros = await AuditoriaModel.buscar(filtros);
+    return { success: true, data: registros };
+  } catch (error) {
+    logger.error('[SERVICIO_AUDITORIA] Error al consultar la auditoría:', error);
+    if (!error.statusCode) {
+      error.statusCode = 500;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Obtiene el estado actual de un estudiante para registrarlo en la auditoría.
+ * @async
+ * @param {string} siglaTipoDoc - Sigla del tipo de documento.
+ * @param {string} numeroDoc - Número de documento.
+ * @returns {Promise<object|null>} Los datos del estudiante o null si no existe.
+ */
+export const estadoEstudiante = async (siglaTipoDoc, numeroDoc) => {
+  const filas = await EstudianteModel.obtenerInformacionCompleta(siglaTipoDoc, numeroDoc);
+  return filas?.[0] || null;
+};
+
+/**
+ * Obtiene el estado actual de un entrenador para registrarlo en la auditoría.
+ * @async
+ * @param {string} entrenadorID - UUID del entrenador.
+ * @returns {Promise<object|null>} Los datos del entrenador o null si no existe.
+ */
+export const estadoEntrenador = (entrenadorID) => EntrenadorModel.obtenerPorId(entrenadorID);
+
+/**
+ * Obtiene el estado actual (progreso) de una asignación de variable para registrarlo en la auditoría.
+ * @async
+ * @param {string} asignacionId - UUID de la asignación.
+ * @returns {Promise<object|null>} El progreso de la asignación o null si no existe.
+ */
+export const estadoAsignacion = (asignacionId) => EntrenamientoModel.obtenerProgresoVariablePorId(asignacionId);
+
+/**
+ * Obtiene el estado de archivado de un estudiante, entrenamiento o sesión para registrarlo en la auditoría.
+ * @async
+ * @param {string} tipo - 'estudiante', 'entrenamiento' o 'sesion'.
+ * @param {string} id - UUID del registro.
+ * @returns {Promise<object|undefined>} El estado de archivado o undefined si el registro no existe.
+ */
+export const estadoArchivo = (tipo, id) => ArchivadoModel.obtenerEstadoArchivo(tipo, id);
+
+/**
+ * Obtiene el estado actual de un valor de un catálogo para registrarlo en la auditoría.
+ * @async
+ * @param {string} catalogo - Nombre del catálogo (ej. 'facultades').
+ * @param {string} id - UUID del valor.
+ * @returns {Promise<object|undefined>} El valor o undefined si no existe.
+ */
+export const estadoCatalogo = (catalogo, id) => CatalogoModel.obtenerPorId(catalogo, id);
+
+/**
+ * Obtiene el orden actual de un catálogo (los IDs de sus valores) para registrarlo en la auditoría.
+ * @async
+ * @param {string} catalogo - Nombre del catálogo.
+ * @returns {Promise<{ids: string[]}>} Los IDs en el orden en que se presentan.
+ */
+export const ordenCatalogo = async (catalogo) => ({ ids: (await CatalogoModel.listar(catalogo)).map((valor) => valor.id) });
+
+/**
+ * Obtiene el correo de contacto actual de un estudiante para registrarlo en la auditoría.
+ * @async
+ * @param {string} estudianteId - UUID del estudiante.
+ * @returns {Promise<{correoContacto: string|null}>} El correo de contacto (null si no tiene).
+ */
+export const estadoCorreoContacto = async (estudianteId) => ({
+  correoContacto: (await PortalModel.obtenerPerfil(estudianteId))?.correoContacto ?? null,
+});
+
+/**
+ * Obtiene el estado actual de una solicitud de cambio de sesión para registrarlo en la auditoría.
+ * @async
+ * @param {string} solicitudId - UUID de la solicitud.
+ * @returns {Promise<object|undefined>} La solicitud o undefined si no existe.
+ */
+export const estadoSolicitudCambio = (solicitudId) => SolicitudCambioSesionModel.obtenerPorId(solicitudId);
+
+/**
+ * Obtiene el historial de matrícula de un estudiante para registrarlo en la auditoría.
+ * @async
+ * @param {string} estudianteId - UUID del estudiante.
+ * @returns {Promise<{matriculas: Array<object>}>} Las matrículas del estudiante.
+ */
+export const estadoMatriculas = async (estudianteId) => ({
+  matriculas: await MatriculaModel.listarPorEstudiante(estudianteId),
+});
+
+/**
+ * Obtiene el estado actual de un periodo académico para registrarlo en la auditoría.
+ * @async
+ * @param {string} codigo - Código del periodo (ej. '2026-1').
+ * @returns {Promise<object|undefined>} El periodo o undefined si no existe.
+ */
+export const estadoPeriodo = (codigo) => PeriodoModel.obtenerPorCodigo(codigo);
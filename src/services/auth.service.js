@@ -1,79 +1,407 @@
-import pool from "../config/db.js";
-import { generartoken } from "../utils/jwt.utils.js";
+import { createHash, randomInt } from "crypto";
+import * as AuthModel from "../models/auth.model.js";
+import * as TokenService from "./token.service.js";
+import * as NotificacionService from "./notificacion.service.js";
+import { generarTokenCambioContrasena } from "../utils/jwt.utils.js";
+import {
+  generarHashContrasena,
+  verificarContrasena,
+  verificarContrasenaFicticia,
+  generarContrasenaTemporal,
+  cumplePoliticaContrasena,
+} from "../utils/password.utils.js";
+import { throwClientError } from "../utils/response.util.js";
+import config from "../config/config.js";
 import logger from "../config/logger.js";
 
+/**
+ * @file Contiene la lógica de autenticación de administradores, entrenadores, coordinadores y estudiantes.
+ */
+
+const ROLES_CON_CREDENCIAL = ["admin", "entrenador", "coordinador", "estudiante"];
+
+// Un código pedido de nuevo antes de este tiempo no se reenvía, para no inundar el correo del estudiante.
+const ESPERA_REENVIO_CODIGO_SEGUNDOS = 60;
+
+const hashearCodigo = (codigo) => createHash("sha256").update(codigo).digest("hex");
+
+/**
+ * Construye el resultado de un inicio de sesión exitoso.
+ * Si el usuario no tiene contraseña propia todavía (primer ingreso o contraseña temporal),
+ * entrega un token restringido que solo permite establecerla y no abre sesión.
+ * En caso contrario abre una sesión con token de acceso y token de refresco.
+ * @async
+ * @param {object} usuario - El usuario autenticado.
+ * @param {string} rol - El rol del usuario.
+ * @param {boolean} requiereCambio - Si debe establecer su contraseña.
+ * @param {object} contexto - Datos del cliente ({ ip, agenteUsuario }).
+ * @param {boolean} [legado=false] - Si se usó el inicio de sesión deprecado.
+ * @returns {Promise<object>} Resultado de la autenticación.
+ */
+const construirResultadoLogin = async (usuario, rol, requiereCambio, contexto, legado = false) => {
+  const resultado = {
+    success: true,
+    user: usuario,
+    role: rol,
+    requiereCambioContrasena: requiereCambio,
+  };
+  if (requiereCambio) {
+    resultado.token = generarTokenCambioContrasena(usuario.id, rol);
+  } else {
+    const { token, refreshToken } = await TokenService.emitirSesion(usuario.id, rol, contexto);
+    resultado.token = token;
+    resultado.refreshToken = refreshToken;
+  }
+  if (legado) {
+    resultado.legado = true;
+  }
+  return resultado;
+};
+
+/**
+ * Valida la contraseña de un usuario encontrado y arma el resultado del login.
+ * @async
+ * @param {object|null} usuario - El usuario activo, o null si no existe.
+ * @param {string} rol - El rol del usuario.
+ * @param {string} contrasena - La contraseña enviada.
+ * @param {string} mensajeFallo - Mensaje genérico para credenciales inválidas.
+ * @param {object} contexto - Datos del cliente ({ ip, agenteUsuario }).
+ * @returns {Promise<object>} Resultado de la autenticación.
+ */
+const autenticarConContrasena = async (usuario, rol, contrasena, mensajeFallo, contexto) => {
+  const credencial = usuario ? await AuthModel.obtenerCredencial(usuario.id, rol) : null;
+  // Sin usuario o sin credencial se verifica contra un hash ficticio para que el tiempo de respuesta sea el mismo.
+  const contrasenaValida = credencial
+    ? await verificarContrasena(contrasena, credencial.hashContrasena)
+    : await verificarContrasenaFicticia(contrasena);
+
+  if (!usuario || !contrasenaValida) {
+    logger.warn(`[SERVICE] Intento fallido de inicio de sesión (${rol}).`);
+    return { success: false, message: mensajeFallo };
+  }
+
+  logger.info(`[SERVICE] Usuario ${usuario.id} (${rol}) autenticado con contraseña.`);
+  return construirResultadoLogin(usuario, rol, credencial.requiereCambio, contexto);
+};
+
+/**
+ * Autentica con el mecanismo deprecado (solo número de documento).
+ * Únicamente disponible si el interruptor `AUTH_LOGIN_LEGADO_HABILITADO` está activo y
+ * el usuario todavía no tiene contraseña; el token entregado obliga a establecerla.
+ * @async
+ * @param {object|null} usuario - El usuario activo, o null si no existe.
+ * @param {string} rol - El rol del usuario.
+ * @param {string} mensajeFallo - Mensaje genérico para credenciales inválidas.
+ * @param {object} contexto - Datos del cliente ({ ip, agenteUsuario }).
+ * @returns {Promise<object>} Resultado de la autenticación.
+ */
+const autenticarLegado = async (usuario, rol, mensajeFallo, contexto) => {
+  if (!config.auth.loginLegadoHabilitado) {
+    throwClientError("La contraseña es requerida.", 400);
+  }
+
+  if (!usuario) {
+    logger.warn(`[SERVICE] Intento fallido de inicio de sesión legado (${rol}).`);
+    return { success: false, message: mensajeFallo };
+  }
+
+  const credencial = await AuthModel.obtenerCredencial(usuario.id, rol);
+  if (credencial) {
+    logger.warn(`[SERVICE] Usuario ${usuario.id} (${rol}) ya tiene contraseña; se rechaza el inicio de sesión legado.`);
+    return { success: false, message: "Este usuario ya tiene contraseña. Inicie sesión con su contraseña." };
+  }
+
+  logger.warn(`[SERVICE] DEPRECADO: Usuario ${usuario.id} (${rol}) inició sesión sin contraseña.`);
+  return construirResultadoLogin(usuario, rol, true, contexto, true);
+};
+
 /**
  * Autentica a un administrador.
  * @param {string} numeroDocumento - El número de documento del administrador.
+ * @param {string} [contrasena] - La contraseña. Si se omite, se intenta el inicio de sesión legado.
+ * @param {object} [contexto={}] - Datos del cliente ({ ip, agenteUsuario }) que se guardan con la sesión.
  * @returns {Promise<object>} Objeto con el resultado de la autenticación.
  * @throws {Error} Si el número de documento no se proporciona.
  */
-export const autenticarAdmin = async (numeroDocumento) => {
+export const autenticarAdmin = async (numeroDocumento, contrasena, contexto = {}) => {
   logger.debug(
     "[SERVICE] Intentando autenticar Admin con documento: %s",
     numeroDocumento
   );
   if (!numeroDocumento) {
-    // Este error será capturado por el catch del controlador si no se maneja antes.
-    throw new Error("Número de documento es requerido.");
+    throwClientError("Número de documento es requerido.", 400);
   }
 
-  const query = `
-    SELECT id, nombres, apellidos
-    FROM CC.Administrador
-    WHERE numeroDocumento = $1 AND fechaFin > CURRENT_TIMESTAMP`;
+  const mensajeFallo = "Credenciales inválidas o administrador inactivo.";
+  const admin = await AuthModel.buscarAdministradorActivo(numeroDocumento);
 
-  logger.debug("[SERVICE] Ejecutando query Admin...");
-  const result = await pool.query(query, [numeroDocumento]);
-
-  if (result.rows.length > 0) {
-    const admin = result.rows[0];
-    const token = generartoken(admin.id, "admin");
-    logger.info("[SERVICE] Admin autenticado exitosamente.");
-    return { success: true, user: admin, role: "admin", token };
-  } else {
-    logger.warn("[SERVICE] Admin no encontrado o inactivo.");
-    return {
-      success: false,
-      message: "Credenciales inválidas o administrador inactivo.",
-    };
+  if (!contrasena) {
+    return autenticarLegado(admin, "admin", mensajeFallo, contexto);
   }
+  return autenticarConContrasena(admin, "admin", contrasena, mensajeFallo, contexto);
 };
 
 /**
  * Autentica a un entrenador.
  * @param {string} correo - El correo del entrenador.
- * @param {string} numeroDocumento - El número de documento (usado como contraseña).
+ * @param {object} credenciales - Credenciales enviadas.
+ * @param {string} [credenciales.contrasena] - La contraseña del entrenador.
+ * @param {string} [credenciales.numeroDocumento] - DEPRECADO: número de documento usado como contraseña.
+ * @param {object} [contexto={}] - Datos del cliente ({ ip, agenteUsuario }) que se guardan con la sesión.
  * @returns {Promise<object>} Objeto con el resultado de la autenticación.
- * @throws {Error} Si el correo o número de documento no se proporcionan.
+ * @throws {Error} Si el correo o la contraseña no se proporcionan.
  */
-export const autenticarEntrenador = async (correo, numeroDocumento) => {
+export const autenticarEntrenador = async (correo, { contrasena, numeroDocumento } = {}, contexto = {}) => {
   logger.debug(
     "[SERVICE] Intentando autenticar Entrenador con correo:",
     correo
   );
-  if (!correo || !numeroDocumento) {
-    throw new Error("Correo y número de documento son requeridos.");
+  if (!correo) {
+    throwClientError("El correo es requerido.", 400);
   }
 
-  const query = `
-    SELECT id, nombres, apellidos
-    FROM CC.Entrenador
-    WHERE correo = $1 AND numeroDocumento = $2 AND fechaFin > CURRENT_TIMESTAMP`;
+  const mensajeFallo = "Credenciales inválidas o entrenador inactivo.";
+  const entrenador = await AuthModel.buscarEntrenadorActivo(correo);
 
-  logger.debug("[SERVICE] Ejecutando query Entrenador...");
-  const result = await pool.query(query, [correo, numeroDocumento]);
+  if (contrasena) {
+    return autenticarConContrasena(entrenador, "entrenador", contrasena, mensajeFallo, contexto);
+  }
 
-  if (result.rows.length > 0) {
-    const entrenador = result.rows[0];
-    const token = generartoken(entrenador.id, "entrenador");
-    logger.info("[SERVICE] Entrenador autenticado exitosamente.");
-    return { success: true, user: entrenador, role: "entrenador", token };
-  } else {
-    logger.warn("[SERVICE] Entrenador no encontrado o inactivo.");
-    return {
-      success: false,
-      message: "Credenciales inválidas o entrenador inactivo.",
-    };
+  if (!numeroDocumento) {
+    throwClientError("La contraseña es requerida.", 400);
+  }
+
+  // En el flujo legado el número de documento hace las veces de contraseña.
+  const coincideDocumento = entrenador && entrenador.numeroDocumento === numeroDocumento;
+  const datosEntrenador = coincideDocumento
+    ? { id: entrenador.id, nombres: entrenador.nombres, apellidos: entrenador.apellidos }
+    : null;
+  return autenticarLegado(datosEntrenador, "entrenador", mensajeFallo, contexto);
+};
+
+/**
+ * Autentica a un coordinador. Los coordinadores no tienen inicio de sesión legado.
+ * @param {string} correo - El correo del coordinador.
+ * @param {string} contrasena - La contraseña.
+ * @param {object} [contexto={}] - Datos del cliente ({ ip, agenteUsuario }) que se guardan con la sesión.
+ * @returns {Promise<object>} Objeto con el resultado de la autenticación.
+ * @throws {Error} Si el correo o la contraseña no se proporcionan.
+ */
+export const autenticarCoordinador = async (correo, contrasena, contexto = {}) => {
+  logger.debug("[SERVICE] Intentando autenticar Coordinador con correo: %s", correo);
+  if (!correo) {
+    throwClientError("El correo es requerido.", 400);
+  }
+  if (!contrasena) {
+    throwClientError("La contraseña es requerida.", 400);
   }
+
+  const coordinador = await AuthModel.buscarCoordinadorActivo(correo);
+  return autenticarConContrasena(
+    coordinador,
+    "coordinador",
+    contrasena,
+    "Credenciales inválidas o coordinador inactivo.",
+    contexto
+  );
+};
+
+/**
+ * Envía al correo institucional de un estudiante activo un código de acceso de un solo uso.
+ * La respuesta es la misma exista o no el estudiante, para no revelar qué correos están registrados.
+ * @async
+ * @param {string} correo - El correo institucional del estudiante.
+ * @returns {Promise<object>} Objeto indicando éxito y un mensaje genérico.
+ * @throws {Error} 400 si no se envía el correo, 503 si el servidor no tiene correo saliente configurado.
+ */
+export const solicitarCodigoEstudiante = async (correo) => {
+  logger.debug("[SERVICE] Solicitud de código de acceso para el correo: %s", correo);
+  if (!correo) {
+    throwClientError("El correo es requerido.", 400);
+  }
+  if (!config.smtp.host) {
+    throwClientError("El inicio de sesión con código no está disponible. Inicie sesión con su contraseña.", 503);
+  }
+
+  const respuesta = {
+    success: true,
+    message: "Si el correo pertenece a un estudiante activo, recibirá un código de acceso en unos minutos.",
+  };
+  const estudiante = await AuthModel.buscarEstudianteActivo(correo);
+  if (!estudiante) {
+    logger.warn("[SERVICE] Código de acceso pedido para un correo que no es de un estudiante activo.");
+    return respuesta;
+  }
+
+  const anterior = await AuthModel.obtenerCodigoAcceso(estudiante.id, "estudiante");
+  if (anterior && !anterior.vencido && anterior.segundosDesdeCreacion < ESPERA_REENVIO_CODIGO_SEGUNDOS) {
+    logger.info(`[SERVICE] Código de acceso del estudiante ${estudiante.id} pedido de nuevo antes de ${ESPERA_REENVIO_CODIGO_SEGUNDOS} s; no se reenvía.`);
+    return respuesta;
+  }
+
+  const { codigoAccesoMinutos } = config.auth;
+  const codigo = String(randomInt(0, 1000000)).padStart(6, "0");
+  await AuthModel.guardarCodigoAcceso(estudiante.id, "estudiante", hashearCodigo(codigo), codigoAccesoMinutos);
+  try {
+    await NotificacionService.enviarCorreoDirecto({
+      para: estudiante.correo,
+      asunto: "Su código de acceso",
+      texto: `Hola, ${estudiante.nombres}:\n\nSu código de acceso al portal del estudiante es ${codigo}. `
+        + `Vence en ${codigoAccesoMinutos} minutos y solo puede usarse una vez.\n\n`
+        + "Si usted no lo pidió, ignore este correo.",
+    });
+  } catch (error) {
+    // Se responde igual que si se hubiera enviado: un error distinto revelaría que el correo está registrado.
+    logger.error(`[SERVICE] No se pudo enviar el código de acceso al estudiante ${estudiante.id}:`, error);
+    return respuesta;
+  }
+
+  logger.info(`[SERVICE] Código de acceso enviado al estudiante ${estudiante.id}.`);
+  return respuesta;
+};
+
+/**
+ * Valida un código de acceso de un solo uso y abre la sesión. Cada código admite `AUTH_CODIGO_ACCESO_MAX_INTENTOS`
+ * intentos fallidos; después hay que pedir uno nuevo.
+ * @async
+ * @param {object|null} usuario - El usuario activo, o null si no existe.
+ * @param {string} rol - El rol del usuario.
+ * @param {string} codigo - El código enviado.
+ * @param {string} mensajeFallo - Mensaje genérico para credenciales inválidas.
+ * @param {object} contexto - Datos del cliente ({ ip, agenteUsuario }).
+ * @returns {Promise<object>} Resultado de la autenticación.
+ */
+const autenticarConCodigo = async (usuario, rol, codigo, mensajeFallo, contexto) => {
+  const registro = usuario ? await AuthModel.obtenerCodigoAcceso(usuario.id, rol) : null;
+  if (!registro || registro.vencido || registro.intentos >= config.auth.codigoAccesoMaxIntentos) {
+    logger.warn(`[SERVICE] Intento de inicio de sesión con código sin código vigente (${rol}).`);
+    return { success: false, message: mensajeFallo };
+  }
+
+  if (hashearCodigo(codigo) !== registro.hashCodigo) {
+    const intentos = await AuthModel.registrarIntentoCodigo(registro.id);
+    logger.warn(`[SERVICE] Código de acceso incorrecto para el usuario ${usuario.id} (${rol}); intento ${intentos}.`);
+    return { success: false, message: mensajeFallo };
+  }
+
+  if (!(await AuthModel.marcarCodigoUsado(registro.id))) {
+    logger.warn(`[SERVICE] Código de acceso del usuario ${usuario.id} (${rol}) ya usado.`);
+    return { success: false, message: mensajeFallo };
+  }
+
+  logger.info(`[SERVICE] Usuario ${usuario.id} (${rol}) autenticado con código de acceso.`);
+  return construirResultadoLogin(usuario, rol, false, contexto);
+};
+
+/**
+ * Autentica a un estudiante con su correo institucional y una contraseña o un código de acceso de un solo uso.
+ * @async
+ * @param {string} correo - El correo institucional del estudiante.
+ * @param {object} credenciales - Credenciales enviadas.
+ * @param {string} [credenciales.contrasena] - La contraseña del estudiante.
+ * @param {string} [credenciales.codigo] - El código recibido por correo (ver `solicitarCodigoEstudiante`).
+ * @param {object} [contexto={}] - Datos del cliente ({ ip, agenteUsuario }) que se guardan con la sesión.
+ * @returns {Promise<object>} Objeto con el resultado de la autenticación.
+ * @throws {Error} Si el correo no se proporciona, o no se envía ni la contraseña ni el código.
+ */
+export const autenticarEstudiante = async (correo, { contrasena, codigo } = {}, contexto = {}) => {
+  logger.debug("[SERVICE] Intentando autenticar Estudiante con correo: %s", correo);
+  if (!correo) {
+    throwClientError("El correo es requerido.", 400);
+  }
+  if (!contrasena && !codigo) {
+    throwClientError("Envíe la contraseña o el código de acceso.", 400);
+  }
+
+  const mensajeFallo = "Credenciales inválidas o estudiante inactivo.";
+  const estudiante = await AuthModel.buscarEstudianteActivo(correo);
+
+  if (contrasena) {
+    return autenticarConContrasena(estudiante, "estudiante", contrasena, mensajeFallo, contexto);
+  }
+  return autenticarConCodigo(estudiante, "estudiante", codigo, mensajeFallo, contexto);
+};
+
+/**
+ * Establece la contraseña de un usuario autenticado.
+ * Si el usuario estaba obligado a cambiarla (token restringido), no se exige la contraseña actual;
+ * en cualquier otro caso debe proporcionarla.
+ * Al cambiar la contraseña se cierran las demás sesiones del usuario y se abre una nueva.
+ * @async
+ * @param {object} usuarioToken - El payload del token (`req.user`).
+ * @param {string} [contrasenaActual] - La contraseña actual.
+ * @param {string} nuevaContrasena - La nueva contraseña.
+ * @param {object} [contexto={}] - Datos del cliente ({ ip, agenteUsuario }).
+ * @returns {Promise<object>} Resultado con un token de acceso y uno de refresco.
+ */
+export const establecerContrasena = async (usuarioToken, contrasenaActual, nuevaContrasena, contexto = {}) => {
+  const { id, role } = usuarioToken;
+  logger.debug(`[SERVICE] Solicitud para establecer contraseña del usuario ${id} (${role}).`);
+
+  if (!ROLES_CON_CREDENCIAL.includes(role)) {
+    throwClientError("El rol del usuario no admite contraseña.", 403);
+  }
+
+  const politica = cumplePoliticaContrasena(nuevaContrasena);
+  if (!politica.isValid) {
+    throwClientError(politica.message, 400);
+  }
+
+  const credencial = await AuthModel.obtenerCredencial(id, role);
+  const debeCambiar = !credencial || credencial.requiereCambio;
+
+  if (!debeCambiar) {
+    if (!contrasenaActual || !(await verificarContrasena(contrasenaActual, credencial.hashContrasena))) {
+      throwClientError("La contraseña actual es incorrecta.", 401);
+    }
+  }
+
+  if (credencial && (await verificarContrasena(nuevaContrasena, credencial.hashContrasena))) {
+    throwClientError("La nueva contraseña debe ser diferente a la anterior.", 400);
+  }
+
+  const hash = await generarHashContrasena(nuevaContrasena);
+  await AuthModel.guardarCredencial(id, role, hash, false);
+  await TokenService.cerrarTodasLasSesiones(id, role, "cambio-contrasena");
+  const { token, refreshToken } = await TokenService.emitirSesion(id, role, contexto);
+
+  logger.info(`[SERVICE] Contraseña establecida para el usuario ${id} (${role}).`);
+  return {
+    success: true,
+    message: "Contraseña establecida exitosamente.",
+    token,
+    refreshToken,
+  };
+};
+
+/**
+ * Genera una contraseña temporal para un usuario (acción de administrador).
+ * El usuario deberá cambiarla en su próximo inicio de sesión.
+ * @async
+ * @param {string} usuarioId - UUID del usuario.
+ * @param {string} rol - Rol del usuario ('admin' | 'entrenador' | 'coordinador' | 'estudiante').
+ * @returns {Promise<object>} Resultado con la contraseña temporal (se muestra una única vez).
+ */
+export const restablecerContrasena = async (usuarioId, rol) => {
+  logger.debug(`[SERVICE] Solicitud para restablecer contraseña del usuario ${usuarioId} (${rol}).`);
+
+  if (!ROLES_CON_CREDENCIAL.includes(rol)) {
+    throwClientError(`El rol debe ser uno de: ${ROLES_CON_CREDENCIAL.join(", ")}.`, 400);
+  }
+
+  if (!(await AuthModel.existeUsuario(usuarioId, rol))) {
+    throwClientError("El usuario indicado no existe.", 404);
+  }
+
+  const contrasenaTemporal = generarContrasenaTemporal();
+  const hash = await generarHashContrasena(contrasenaTemporal);
+  await AuthModel.guardarCredencial(usuarioId, rol, hash, true);
+  await TokenService.cerrarTodasLasSesiones(usuarioId, rol, "restablecimiento-contrasena");
+
+  logger.info(`[SERVICE] Contraseña temporal generada para el usuario ${usuarioId} (${rol}).`);
+  return {
+    success: true,
+    message: "Contraseña temporal generada. El usuario deberá cambiarla al iniciar sesión.",
+    data: { usuarioId, rol, contrasenaTemporal },
+  };
 };
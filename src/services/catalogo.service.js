@@ -0,0 +1,220 @@
+import * as CatalogoModel from '../models/catalogo.model.js';
+import { throwClientError, relanzar } from '../utils/response.util.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene la lógica de la administración de los catálogos: facultades, programas, tipos de documento,
+ * géneros y variables cognitivas. Un valor que ya se usa no se elimina: se desactiva, y deja de ofrecerse
+ * para registros nuevos sin cambiar los registros que ya lo tienen.
+ */
+
+const MENSAJES = Object.freeze({
+  facultades: {
+    noEncontrado: 'Facultad no encontrada.',
+    duplicado: 'Ya existe una facultad con ese nombre.',
+    enUso: 'No se puede eliminar la facultad',
+    creado: 'Facultad creada exitosamente.',
+    actualizado: 'Facultad actualizada exitosamente.',
+    eliminado: 'Facultad eliminada exitosamente.',
+  },
+  programas: {
+    noEncontrado: 'Programa no encontrado.',
+    duplicado: 'Ya existe un programa con ese nombre.',
+    enUso: 'No se puede eliminar el programa',
+    creado: 'Programa creado exitosamente.',
+    actualizado: 'Programa actualizado exitosamente.',
+    eliminado: 'Programa eliminado exitosamente.',
+  },
+  'tipos-documento': {
+    noEncontrado: 'Tipo de documento no encontrado.',
+    duplicado: 'Ya existe un tipo de documento con esa sigla o ese nombre.',
+    enUso: 'No se puede eliminar el tipo de documento',
+    creado: 'Tipo de documento creado exitosamente.',
+    actualizado: 'Tipo de documento actualizado exitosamente.',
+    eliminado: 'Tipo de documento eliminado exitosamente.',
+  },
+  generos: {
+    noEncontrado: 'Género no encontrado.',
+    duplicado: 'Ya existe un género con ese nombre.',
+    enUso: 'No se puede eliminar el género',
+    creado: 'Género creado exitosamente.',
+    actualizado: 'Género actualizado exitosamente.',
+    eliminado: 'Género eliminado exitosamente.',
+  },
+  'variables-cognitivas': {
+    noEncontrado: 'Variable cognitiva no encontrada.',
+    duplicado: 'Ya existe una variable cognitiva con ese nombre.',
+    enUso: 'No se puede eliminar la variable cognitiva',
+    creado: 'Variable cognitiva creada exitosamente.',
+    actualizado: 'Variable cognitiva actualizada exitosamente.',
+    eliminado: 'Variable cognitiva eliminada exitosamente.',
+  },
+});
+
+// Singular y plural de cada tipo de registro que puede usar un valor de un catálogo.
+const NOMBRES_USOS = Object.freeze({
+  programas: ['programa', 'programas'],
+  entrenadores: ['entrenador', 'entrenadores'],
+  coordinadores: ['coordinador', 'coordinadores'],
+  estudiantes: ['estudiante', 'estudiantes'],
+  matriculas: ['matrícula', 'matrículas'],
+  asignaciones: ['asignación de variable', 'asignaciones de variable'],
+  esquemasMetricas: ['versión de esquema de métricas', 'versiones de esquema de métricas'],
+});
+
+// Describe los usos de un valor (ej. "4 programas y 1 coordinador"); vacío si no tiene.
+const describirUsos = (usos) => {
+  const partes = Object.entries(usos)
+    .filter(([, cantidad]) => cantidad > 0)
+    .map(([tipo, cantidad]) => `${cantidad} ${NOMBRES_USOS[tipo][cantidad === 1 ? 0 : 1]}`);
+  return partes.length > 1 ? `${partes.slice(0, -1).join(', ')} y ${partes.at(-1)}` : partes.join('');
+};
+
+// Carga el valor o responde 404.
+const obtenerValorExistente = async (catalogo, id) => {
+  const valor = await CatalogoModel.obtenerPorId(catalogo, id);
+  if (!valor) {
+    throwClientError(MENSAJES[catalogo].noEncontrado, 404);
+  }
+  return valor;
+};
+
+// Un programa solo se asigna a una facultad que existe y está activa.
+const comprobarFacultad = async (facultadId) => {
+  const facultad = await obtenerValorExistente('facultades', facultadId);
+  if (!facultad.activo) {
+    throwClientError('La facultad está inactiva; actívela antes de asignarle programas.', 409);
+  }
+};
+
+// Traduce el nombre (o la sigla) repetido que rechaza el índice único.
+const traducirDuplicado = (catalogo, error) => {
+  if (error.code === '23505') {
+    throwClientError(MENSAJES[catalogo].duplicado, 409);
+  }
+  throw error;
+};
+
+/**
+ * Lista los valores de un catálogo, activos e inactivos, en su orden y con cuántos registros usan cada uno.
+ * @async
+ * @param {string} catalogo - Nombre del catálogo (ej. 'facultades').
+ * @returns {Promise<object>} Objeto indicando éxito y los valores del catálogo.
+ */
+export const listarCatalogo = async (catalogo) => {
+  try {
+    const valores = await CatalogoModel.listar(catalogo);
+    return { success: true, message: 'Catálogo obtenido exitosamente.', data: valores };
+  } catch (error) {
+    return relanzar('SERVICIO_CATALOGO', error, `listar el catálogo ${catalogo}`);
+  }
+};
+
+/**
+ * Crea un valor en un catálogo. Queda activo y al final del orden.
+ * @async
+ * @param {string} catalogo - Nombre del catálogo.
+ * @param {object} datos - Campos del valor (ej. { nombre, facultadId } para un programa).
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y el valor creado.
+ * @throws {Error} 404/409 si la facultad de un programa no existe o está inactiva, 409 si el nombre ya existe.
+ */
+export const crearValor = async (catalogo, datos, usuario) => {
+  try {
+    if (datos.facultadId) {
+      await comprobarFacultad(datos.facultadId);
+    }
+    const valor = await CatalogoModel.crear(catalogo, datos).catch((error) => traducirDuplicado(catalogo, error));
+    logger.info(`[SERVICIO_CATALOGO] Valor ${valor.id} creado en el catálogo ${catalogo} por ${usuario.role} ${usuario.id}.`);
+    return { success: true, message: MENSAJES[catalogo].creado, data: valor };
+  } catch (error) {
+    return relanzar('SERVICIO_CATALOGO', error, `crear un valor en el catálogo ${catalogo}`);
+  }
+};
+
+/**
+ * Modifica un valor de un catálogo: renombrarlo, activarlo o desactivarlo, o cambiar sus otros campos.
+ * Desactivar un valor no cambia los registros que ya lo usan.
+ * @async
+ * @param {string} catalogo - Nombre del catálogo.
+ * @param {string} id - El UUID del valor.
+ * @param {object} cambios - Campos a modificar (ej. { nombre }, { activo: false }).
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y el valor modificado.
+ * @throws {Error} 404 si el valor no existe, 409 si el nombre ya existe o la facultad nueva está inactiva.
+ */
+export const actualizarValor = async (catalogo, id, cambios, usuario) => {
+  try {
+    const actual = await obtenerValorExistente(catalogo, id);
+    if (cambios.facultadId && cambios.facultadId !== actual.facultadId) {
+      await comprobarFacultad(cambios.facultadId);
+    }
+    const valor = await CatalogoModel.actualizar(catalogo, id, cambios).catch((error) => traducirDuplicado(catalogo, error));
+    if (!valor) {
+      throwClientError(MENSAJES[catalogo].noEncontrado, 404);
+    }
+    logger.info(`[SERVICIO_CATALOGO] Valor ${id} del catálogo ${catalogo} modificado por ${usuario.role} ${usuario.id}: %o`, cambios);
+    return { success: true, message: MENSAJES[catalogo].actualizado, data: valor };
+  } catch (error) {
+    return relanzar('SERVICIO_CATALOGO', error, `modificar un valor del catálogo ${catalogo}`);
+  }
+};
+
+/**
+ * Cambia el orden en que se presentan los valores de un catálogo.
+ * @async
+ * @param {string} catalogo - Nombre del catálogo.
+ * @param {string[]} ids - Los UUID de todos los valores del catálogo, en el orden nuevo.
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y los valores en el orden nuevo.
+ * @throws {Error} 400 si la lista no contiene exactamente una vez cada valor del catálogo.
+ */
+export const reordenarCatalogo = async (catalogo, ids, usuario) => {
+  try {
+    const actuales = new Set((await CatalogoModel.listar(catalogo)).map((valor) => valor.id));
+    const completa = ids.length === actuales.size && new Set(ids).size === ids.length && ids.every((id) => actuales.has(id));
+    if (!completa) {
+      throwClientError(`La lista debe contener exactamente una vez cada valor del catálogo (${actuales.size} valores).`, 400);
+    }
+
+    await CatalogoModel.reordenar(catalogo, ids);
+    logger.info(`[SERVICIO_CATALOGO] Catálogo ${catalogo} reordenado por ${usuario.role} ${usuario.id}.`);
+    return { success: true, message: 'Catálogo reordenado exitosamente.', data: await CatalogoModel.listar(catalogo) };
+  } catch (error) {
+    return relanzar('SERVICIO_CATALOGO', error, `reordenar el catálogo ${catalogo}`);
+  }
+};
+
+/**
+ * Elimina un valor de un catálogo que ningún registro usa.
+ * @async
+ * @param {string} catalogo - Nombre del catálogo.
+ * @param {string} id - El UUID del valor.
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito.
+ * @throws {Error} 404 si el valor no existe, 409 si algún registro lo usa.
+ */
+export const eliminarValor = async (catalogo, id, usuario) => {
+  try {
+    const valor = await obtenerValorExistente(catalogo, id);
+    const usos = describirUsos(valor.usos);
+    if (usos) {
+      throwClientError(`${MENSAJES[catalogo].enUso}: está en uso por ${usos}. Puede desactivarse para que no se ofrezca en registros nuevos.`, 409);
+    }
+
+    const eliminado = await CatalogoModel.eliminar(catalogo, id).catch((error) => {
+      // Un registro empezó a usarlo entre la consulta y el borrado.
+      if (error.code === '23503') {
+        throwClientError(`${MENSAJES[catalogo].enUso}: está en uso. Puede desactivarse para que no se ofrezca en registros nuevos.`, 409);
+      }
+      throw error;
+    });
+    if (!eliminado) {
+      throwClientError(MENSAJES[catalogo].noEncontrado, 404);
+    }
+    logger.warn(`[SERVICIO_CATALOGO] Valor ${id} (${valor.nombre}) del catálogo ${catalogo} eliminado por ${usuario.role} ${usuario.id}.`);
+    return { success: true, message: MENSAJES[catalogo].eliminado };
+  } catch (error) {
+    return relanzar('SERVICIO_CATALOGO', error, `eliminar un valor del catálogo ${catalogo}`);
+  }
+};
@@ -0,0 +1,55 @@
+import * as CoordinadorModel from '../models/coordinador.model.js';
+import { throwClientError } from '../utils/response.util.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene la lógica de negocio para la entidad Coordinador (jefes de facultad, solo lectura).
+ */
+
+/**
+ * Registra un nuevo coordinador. Su contraseña temporal se genera después con
+ * `POST /api/admin/credenciales/coordinador/{id}/restablecer`.
+ * @async
+ * @param {object} datos - Datos del coordinador (nombres, apellidos, numeroDocumento, correo, facultadId, fechaFin).
+ * @returns {Promise<object>} Objeto con el coordinador creado.
+ * @throws {Error} 409 si el correo o el documento ya están registrados, 400 si la facultad no existe.
+ */
+export const registrarCoordinador = async (datos) => {
+  logger.debug('[SERVICIO_COORDINADOR] Solicitud para registrar coordinador: %s', datos.correo);
+  try {
+    const coordinador = await CoordinadorModel.registrar(datos);
+    logger.info(`[SERVICIO_COORDINADOR] Coordinador ${coordinador.id} registrado.`);
+    return { success: true, message: 'Coordinador registrado exitosamente.', data: coordinador };
+  } catch (error) {
+    if (error.code === '23505') {
+      throwClientError('Ya existe un coordinador con ese correo o número de documento.', 409);
+    }
+    if (error.code === '23503') {
+      throwClientError('La facultad indicada no existe.', 400);
+    }
+    logger.error('[SERVICIO_COORDINADOR] Error al registrar coordinador:', error);
+    if (!error.statusCode) {
+      error.statusCode = 500;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Lista los coordinadores, opcionalmente de una facultad.
+ * @async
+ * @param {object} [filtros={}] - Filtros ({ facultadId }).
+ * @returns {Promise<object>} Objeto con la lista de coordinadores.
+ */
+export const listarCoordinadores = async (filtros = {}) => {
+  try {
+    const coordinadores = await CoordinadorModel.obtenerTodos(filtros);
+    return { success: true, data: coordinadores };
+  } catch (error) {
+    logger.error('[SERVICIO_COORDINADOR] Error al listar coordinadores:', error);
+    if (!error.statusCode) {
+      error.statusCode = 500;
+    }
+    throw error;
+  }
+};
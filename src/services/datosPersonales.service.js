@@ -0,0 +1,115 @@
+import * as DatosPersonalesModel from '../models/datosPersonales.model.js';
+import { throwClientError, relanzar } from '../utils/response.util.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene la lógica de los derechos de los estudiantes sobre sus datos personales (Habeas Data):
+ * la exportación de todo lo que se guarda sobre un estudiante y su anonimización.
+ */
+
+/**
+ * Agrupa las variables asignadas por entrenamiento y une a cada sesión la instantánea de métricas de esa sesión.
+ * @param {object} filas - Resultado de `DatosPersonalesModel.obtenerDatosPersonales`.
+ * @returns {Array<object>} Los entrenamientos en el orden de las filas, cada uno con sus variables.
+ */
+const armarEntrenamientos = ({ asignaciones, metricas, sesionesPlanificadas }) => {
+  const metricasPorSesion = new Map(metricas.map((metrica) => [metrica.sesionId, metrica]));
+  const entrenamientos = new Map();
+
+  for (const fila of asignaciones) {
+    if (!entrenamientos.has(fila.entrenamientoId)) {
+      entrenamientos.set(fila.entrenamientoId, {
+        entrenamientoId: fila.entrenamientoId,
+        fechaInicio: fila.entrenamientoFechaInicio,
+        fechaFin: fila.entrenamientoFechaFin,
+        estado: fila.entrenamientoEstadoGeneral,
+        fechaArchivado: fila.entrenamientoFechaArchivado,
+        variables: [],
+      });
+    }
+    entrenamientos.get(fila.entrenamientoId).variables.push({
+      asignacionVariableId: fila.asignacionVariableId,
+      variableCognitiva: fila.variableCognitivaNombre,
+      estado: fila.asignacionVariableEstado,
+      entrenador: fila.entrenadorNombres,
+      nivelInicial: fila.asignacionNivelInicial,
+      metricasActuales: fila.asignacionMetricasActuales,
+      sesiones: (fila.sesionesDetalle || []).map((sesion) => ({
+        ...sesion,
+        metricas: metricasPorSesion.get(sesion.sesionId)?.metricas ?? null,
+        nivelInicialAnterior: metricasPorSesion.get(sesion.sesionId)?.nivelInicialAnterior ?? null,
+      })),
+      sesionesPlanificadas: sesionesPlanificadas
+        .filter((planificada) => planificada.asignacionVariableId === fila.asignacionVariableId)
+        .map(({ inicio, fin, cancelada }) => ({ inicio, fin, cancelada })),
+    });
+  }
+  return [...entrenamientos.values()];
+};
+
+/**
+ * Exporta todo lo que se guarda sobre un estudiante: datos personales, entrenamientos, sesiones con sus
+ * observaciones y métricas, sesiones planificadas, alertas de riesgo, solicitudes de cambio de sesión e historial
+ * de matrícula.
+ * @async
+ * @param {string} estudianteId - El UUID del estudiante.
+ * @returns {Promise<object>} Objeto indicando éxito y los datos del estudiante.
+ * @throws {Error} 404 si el estudiante no existe.
+ */
+export const exportarDatosPersonales = async (estudianteId) => {
+  try {
+    const filas = await DatosPersonalesModel.obtenerDatosPersonales(estudianteId);
+    if (!filas) {
+      throwClientError('Estudiante no encontrado.', 404);
+    }
+
+    logger.info(`[SERVICIO_DATOS_PERSONALES] Datos personales del estudiante ${estudianteId} exportados.`);
+    return {
+      success: true,
+      message: 'Datos personales del estudiante obtenidos exitosamente.',
+      data: {
+        generadoEn: new Date().toISOString(),
+        estudiante: filas.estudiante,
+        entrenamientos: armarEntrenamientos(filas),
+        alertas: filas.alertas,
+        solicitudesCambioSesion: filas.solicitudesCambioSesion,
+        matriculas: filas.matriculas,
+      },
+    };
+  } catch (error) {
+    return relanzar('SERVICIO_DATOS_PERSONALES', error, 'exportar los datos personales');
+  }
+};
+
+/**
+ * Anonimiza un estudiante: reemplaza sus datos personales por valores de relleno irreversibles y borra sus
+ * copias en la auditoría, las notificaciones y las respuestas idempotentes. Los entrenamientos y métricas se conservan.
+ * @async
+ * @param {string} estudianteId - El UUID del estudiante.
+ * @param {string} motivo - Motivo de la anonimización (ej. la solicitud del titular); queda en la auditoría.
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y cuántos registros se modificaron en cada tabla.
+ * @throws {Error} 404 si el estudiante no existe, 409 si ya estaba anonimizado.
+ */
+export const anonimizarEstudiante = async (estudianteId, motivo, usuario) => {
+  try {
+    const estado = await DatosPersonalesModel.obtenerEstadoAnonimizacion(estudianteId);
+    if (!estado) {
+      throwClientError('Estudiante no encontrado.', 404);
+    }
+    if (estado.fechaAnonimizado) {
+      throwClientError('El estudiante ya está anonimizado.', 409);
+    }
+
+    const anonimizados = await DatosPersonalesModel.anonimizarEstudiante(estudianteId);
+    // Otra petición lo anonimizó entre la consulta y la actualización.
+    if (anonimizados.estudiantes === 0) {
+      throwClientError('El estudiante ya está anonimizado.', 409);
+    }
+
+    logger.warn(`[SERVICIO_DATOS_PERSONALES] Estudiante ${estudianteId} anonimizado por ${usuario.role} ${usuario.id}: %o`, anonimizados);
+    return { success: true, message: 'Estudiante anonimizado exitosamente.', data: { estudianteId, motivo, anonimizados } };
+  } catch (error) {
+    return relanzar('SERVICIO_DATOS_PERSONALES', error, 'anonimizar al estudiante');
+  }
+};
@@ -1,4 +1,7 @@
 import * as entrenadorModel from '../models/entrenador.model.js';
+import * as TokenService from './token.service.js';
+import * as NotificacionService from './notificacion.service.js';
+import { EVENTOS_NOTIFICACION } from '../utils/notificaciones.utils.js';
 import logger from '../config/logger.js';
 import { throwClientError } from '../utils/response.util.js';
 /**
@@ -50,24 +53,19 @@ export const registrarEntrenador = async (datosParaRegistrar) => {
 };
 
 /**
- * Servicio para obtener la lista de entrenadores, con opción de aplicar filtros.
+ * Servicio para obtener la lista de entrenadores, con paginación, orden y filtros.
  * @async
- * @param {object} [filtrosDeUrl={}] - Objeto opcional con filtros.
- * @returns {Promise<object>} Objeto indicando éxito y los datos de los entrenadores.
+ * @param {object} [opciones={}] - Paginación, orden y filtros del listado (ver `utils/consulta.utils.js`).
+ * @returns {Promise<object>} Objeto indicando éxito, los entrenadores de la página y la paginación.
  */
-export const obtenerListaCompletaEntrenadores = async (filtrosDeUrl = {}) => {
-  logger.debug('[SERVICIO_ENTRENADOR] Solicitud para obtener lista de entrenadores con filtros: %o', filtrosDeUrl);
-  
-  const filtrosParaModelo = {};
-  if (filtrosDeUrl.nombreFacultad) {
-    filtrosParaModelo.nombreFacultad = filtrosDeUrl.nombreFacultad;
-  }
+export const obtenerListaCompletaEntrenadores = async (opciones = {}) => {
+  logger.debug('[SERVICIO_ENTRENADOR] Solicitud para obtener lista de entrenadores con opciones: %o', opciones);
 
   try {
-    const listaEntrenadores = await entrenadorModel.obtenerTodos(filtrosParaModelo);
+    const { datos, paginacion } = await entrenadorModel.obtenerTodos(opciones);
 
-    logger.info(`[SERVICIO_ENTRENADOR] Se obtuvo lista con ${listaEntrenadores.length} entrenadores.`);
-    return { success: true, data: listaEntrenadores };
+    logger.info(`[SERVICIO_ENTRENADOR] Se obtuvo página con ${datos.length} de ${paginacion.total} entrenadores.`);
+    return { success: true, data: datos, paginacion };
   } catch (error) {
     logger.error('[SERVICIO_ENTRENADOR] Error en servicio al obtener lista de entrenadores:', error);
     if (!error.statusCode) {
@@ -142,6 +140,17 @@ export const desactivarEntrenador = async (entrenadorID) => {
     }
     
     logger.info('[SERVICIO_ENTRENADOR] Entrenador desactivado exitosamente.', { data: resultadoDelModelo });
+
+    // Un entrenador desactivado no debe poder seguir renovando su sesión. La desactivación ya quedó hecha, así que si
+    // la revocación falla solo se registra: la renovación de tokens también rechaza a los usuarios inactivos.
+    try {
+      await TokenService.cerrarTodasLasSesiones(resultadoDelModelo.entrenadorid || entrenadorID, 'entrenador', 'desactivacion');
+    } catch (errorRevocacion) {
+      logger.error('[SERVICIO_ENTRENADOR] Entrenador desactivado, pero no se pudieron revocar sus sesiones:', errorRevocacion);
+    }
+
+    NotificacionService.notificar(EVENTOS_NOTIFICACION.ENTRENADOR_DESACTIVADO, { entrenadorId: resultadoDelModelo.entrenadorid || entrenadorID });
+
     return { success: true, message: resultadoDelModelo.mensaje, data: { entrenadorId: resultadoDelModelo.entrenadorid } };
 
   } catch (error) {
@@ -231,10 +240,12 @@ export const obtenerDatosPorCorreoService = async (correo) => {
  * @async
  * @param {string} entrenadorId - El UUID del entrenador.
  * @param {string} entrenamientoCognitivoId - El UUID del entrenamiento cognitivo.
+ * @param {import('pg').PoolClient} [cliente] - Cliente de `conTransaccion` (config/db.js) si la relación forma parte de una
+ * transacción. En ese caso no se notifica al entrenador: lo hace quien confirma la transacción.
  * @returns {Promise<object>} Un objeto con el resultado de la operación.
  * @throws {Error} Si ocurre un error durante la operación.
  */
-export const crearEntrenadorEntrenamientoService = async (entrenadorId, entrenamientoCognitivoId) => {
+export const crearEntrenadorEntrenamientoService = async (entrenadorId, entrenamientoCognitivoId, cliente) => {
   // Validaciones básicas
   if (!entrenadorId || typeof entrenadorId !== 'string' || entrenadorId.trim() === '') {
     logger.warn('[SERVICIO_ENTRENADOR] Intento de crear relación con ID de entrenador inválido: %s', entrenadorId);
@@ -262,9 +273,15 @@ export const crearEntrenadorEntrenamientoService = async (entrenadorId, entrenam
   logger.info('[SERVICIO_ENTRENADOR] Creando relación entrenador-entrenamiento para entrenadorId: %s, entrenamientoCognitivoId: %s', entrenadorId, entrenamientoCognitivoId);
   
   try {
-    const resultado = await entrenadorModel.crearEntrenadorEntrenamiento(entrenadorId.trim(), entrenamientoCognitivoId.trim());
+    const resultado = await entrenadorModel.crearEntrenadorEntrenamiento(entrenadorId.trim(), entrenamientoCognitivoId.trim(), cliente);
     
     logger.info('[SERVICIO_ENTRENADOR] Relación entrenador-entrenamiento creada exitosamente con ID: %s', resultado.id);
+    if (!cliente) {
+      NotificacionService.notificar(EVENTOS_NOTIFICACION.ENTRENAMIENTO_ASIGNADO, {
+        entrenadorId: entrenadorId.trim(),
+        entrenamientoId: entrenamientoCognitivoId.trim(),
+      });
+    }
     return { 
       success: true, 
       data: {
@@ -1,6 +1,9 @@
 import * as EntrenamientoModel from '../models/estudiantesEntrenamientos.model.js'; 
 import logger from '../config/logger.js';
 import { throwClientError } from '../utils/response.util.js';
+import { validarContraEsquemasVigentes, validarMetricasDeSesion } from './esquemaMetricas.service.js';
+import * as NotificacionService from './notificacion.service.js';
+import { EVENTOS_NOTIFICACION } from '../utils/notificaciones.utils.js';
 
 /**
  * @file Contiene los servicios relacionados con los Entrenamientos Cognitivos.
@@ -89,6 +92,38 @@ function prepararDatosEntrenamientoParaDB(datosEntrada) {
   };
 }
 
+// Errores de CC.AsignarPeriodoEntrenamientoUFT (migración 020) cuando la fecha de inicio del entrenamiento no cae en
+// un periodo académico abierto.
+const PATRON_SIN_PERIODO = /^No hay un periodo académico que contenga la fecha/;
+const PATRON_PERIODO_CERRADO = /^El periodo académico (\S+) está cerrado/;
+
+/**
+ * Traduce el error del trigger que asigna el periodo académico a un entrenamiento nuevo en una respuesta 409.
+ * @param {Error} error - Error lanzado por la base de datos.
+ * @returns {{success: false, message: string, statusCode: number}|null} null si el error no viene de ese trigger.
+ */
+function respuestaErrorPeriodo(error) {
+  if (error.code !== 'P0001') {
+    return null;
+  }
+  if (PATRON_SIN_PERIODO.test(error.message)) {
+    return {
+      success: false,
+      message: 'No hay un periodo académico que contenga la fecha de inicio del entrenamiento; un administrador debe crearlo antes de registrar entrenamientos.',
+      statusCode: 409,
+    };
+  }
+  const cerrado = error.message.match(PATRON_PERIODO_CERRADO);
+  if (cerrado) {
+    return {
+      success: false,
+      message: `El periodo académico ${cerrado[1]} está cerrado y no admite entrenamientos nuevos.`,
+      statusCode: 409,
+    };
+  }
+  return null;
+}
+
 /**
  * Maneja la respuesta de la base de datos para la creación de entrenamiento.
  * @param {object} resultado - Resultado de la operación en la base de datos.
@@ -255,6 +290,7 @@ export const consultarEntrenamientoPorDocumento = async (tipoDocumento, numeroDo
  * @param {string[]} datosEntrada.variablesCognitivas - Array de nombres de variables cognitivas.
  * @returns {Promise<{success: boolean, data?: object, message?: string, statusCode?: number}>}
  *          Objeto indicando éxito y los datos del entrenamiento creado (incluyendo ID), o un mensaje de error.
+ *          409 si no hay un periodo académico abierto que contenga la fecha de inicio.
  * @throws {Error} Si ocurre un error inesperado.
  */
 export const crearNuevoEntrenamientoCognitivo = async (datosEntrada) => {
@@ -277,6 +313,11 @@ export const crearNuevoEntrenamientoCognitivo = async (datosEntrada) => {
     return manejarRespuestaCrearEntrenamiento(resultado);
 
   } catch (error) {
+    const errorPeriodo = respuestaErrorPeriodo(error);
+    if (errorPeriodo) {
+      logger.warn(`[SERVICIO_ENTRENAMIENTO] Entrenamiento rechazado por el periodo académico: ${error.message}`);
+      return errorPeriodo;
+    }
     logger.error('[SERVICIO_ENTRENAMIENTO] Error inesperado en el servicio al crear entrenamiento cognitivo:', error);
     if (!error.statusCode) {
       error.statusCode = 500;
@@ -304,9 +345,12 @@ function isValidUUID(uuid) {
  * @param {string[]} datosAsignacion.tiposVariablesCognitivasIds - Array de UUIDs.
  * @param {object} datosAsignacion.nivelInicial
  * @param {object} datosAsignacion.metricas
- * @returns {Promise<{success: boolean, message: string, statusCode?: number}>}
+ * @param {import('pg').PoolClient} [cliente] - Cliente de `conTransaccion` (config/db.js) si el registro forma parte de una transacción.
+ * @returns {Promise<{success: boolean, message: string, statusCode?: number, errors?: Array<object>}>}
+ * `errors` trae los errores por campo si el nivel inicial o las métricas no cumplen el esquema de la variable.
+ * 409 si no hay un periodo académico abierto que contenga la fecha de inicio.
  */
-export const registrarNuevaAsignacionService = async (datosAsignacion) => {
+export const registrarNuevaAsignacionService = async (datosAsignacion, cliente) => {
     const {
         estudianteId,
         fechaInicio,
@@ -340,6 +384,13 @@ export const registrarNuevaAsignacionService = async (datosAsignacion) => {
     }
 
     try {
+        // El nivel inicial y las métricas deben cumplir el esquema vigente de cada variable asignada.
+        const erroresEsquema = await validarContraEsquemasVigentes(tiposVariablesCognitivasIds, { nivelInicial, metricas });
+        if (erroresEsquema.length > 0) {
+            logger.warn(`[SERVICIO_ENTRENAMIENTO] El nivel inicial o las métricas no cumplen el esquema: ${erroresEsquema.length} errores.`);
+            return { success: false, message: 'El nivel inicial o las métricas no cumplen el esquema de la variable cognitiva.', statusCode: 400, errors: erroresEsquema };
+        }
+
         const datosParaDB = {
             pEstudianteId: estudianteId,
             pFechaInicio: fechaInicio,
@@ -348,7 +399,7 @@ export const registrarNuevaAsignacionService = async (datosAsignacion) => {
             pMetricas: metricas,
         };
 
-        const mensajeDB = await EntrenamientoModel.registrarEntrenamientoAsignacionDB(datosParaDB);
+        const mensajeDB = await EntrenamientoModel.registrarEntrenamientoAsignacionDB(datosParaDB, cliente);
 
         if (mensajeDB && mensajeDB.includes('éxito')) {
              logger.info(`[SERVICIO_ENTRENAMIENTO] Asignación registrada exitosamente. Mensaje DB: ${mensajeDB}`);
@@ -363,6 +414,11 @@ export const registrarNuevaAsignacionService = async (datosAsignacion) => {
         return { success: false, message: mensajeDB || 'Ocurrió un error en la base de datos.', statusCode: 400 };
 
     } catch (error) {
+        const errorPeriodo = respuestaErrorPeriodo(error);
+        if (errorPeriodo) {
+            logger.warn(`[SERVICIO_ENTRENAMIENTO] Asignación rechazada por el periodo académico: ${error.message}`);
+            return errorPeriodo;
+        }
         logger.error('[SERVICIO_ENTRENAMIENTO] Error inesperado en el servicio al registrar asignación:', error);
         throw error;
     }
@@ -406,6 +462,88 @@ export const consultarProgresoVariable = async (asignacionVariableId) => {
 };
 
 
+// Diferencia entre dos valores de una métrica, o null si alguno no es numérico.
+const diferencia = (valor, referencia) => (
+  typeof valor === 'number' && typeof referencia === 'number' ? Math.round((valor - referencia) * 1e6) / 1e6 : null
+);
+
+/**
+ * Arma la serie de cada métrica a partir de las instantáneas de las sesiones, en orden cronológico.
+ * @param {Array<object>} instantaneas - Instantáneas de métricas (ver obtenerHistorialMetricasDB).
+ * @param {object} nivelBase - Nivel inicial contra el que se calcula `deltaInicial`.
+ * @returns {Array<object>} Una serie por clave: `{ metrica, nivelInicial, puntos }`.
+ */
+const armarSeriesMetricas = (instantaneas, nivelBase) => {
+  const claves = [...new Set(instantaneas.flatMap((instantanea) => Object.keys(instantanea.metricas || {})))];
+  return claves.map((metrica) => {
+    const inicial = nivelBase?.[metrica] ?? null;
+    let anterior = null;
+    const puntos = [];
+    for (const { sesionId, numeroSesion, fecha, metricas } of instantaneas) {
+      if (!metricas || !(metrica in metricas)) {
+        continue;
+      }
+      const valor = metricas[metrica];
+      puntos.push({
+        sesionId,
+        numeroSesion,
+        fecha,
+        valor,
+        deltaInicial: diferencia(valor, inicial),
+        deltaAnterior: diferencia(valor, anterior),
+      });
+      anterior = valor;
+    }
+    return { metrica, nivelInicial: inicial, puntos };
+  });
+};
+
+/**
+ * Servicio para consultar el historial de métricas de una asignación de variable, sesión por sesión.
+ * Devuelve una serie por clave de métrica con la diferencia frente al nivel inicial y frente a la sesión anterior.
+ * El nivel inicial es el que tenía la asignación antes de su primera sesión con instantánea.
+ * Las sesiones archivadas no se tienen en cuenta, salvo que se pidan.
+ * @async
+ * @param {string} asignacionVariableId - El UUID de la asignación de variable.
+ * @param {object} [opciones={}] - Opciones de la consulta.
+ * @param {boolean} [opciones.incluirArchivados=false] - Incluir las sesiones archivadas.
+ * @returns {Promise<{success: boolean, data?: object, message?: string, statusCode?: number}>}
+ * @throws {Error} Si ocurren errores inesperados.
+ */
+export const consultarHistorialMetricas = async (asignacionVariableId, opciones = {}) => {
+  logger.debug(`[SERVICIO_ENTRENAMIENTO] Solicitud para consultar historial de métricas de asignación ID: ${asignacionVariableId}`);
+
+  try {
+    const progreso = await EntrenamientoModel.obtenerProgresoVariablePorId(asignacionVariableId);
+    if (!progreso) {
+      return { success: false, message: 'No se encontraron detalles de progreso para el ID proporcionado.', statusCode: 404 };
+    }
+
+    const instantaneas = await EntrenamientoModel.obtenerHistorialMetricasDB(asignacionVariableId, opciones);
+    const nivelInicial = instantaneas[0]?.nivelInicialAnterior ?? progreso.asignacionNivelInicial ?? null;
+
+    logger.info(`[SERVICIO_ENTRENAMIENTO] Historial de ${instantaneas.length} sesiones obtenido para la asignación ID ${asignacionVariableId}.`);
+    return {
+      success: true,
+      data: {
+        asignacionId: asignacionVariableId,
+        variableCognitiva: progreso.variableCognitivaNombre,
+        estado: progreso.asignacionVariableEstado,
+        nivelInicial,
+        metricasActuales: progreso.asignacionMetricasActuales,
+        sesiones: instantaneas.length,
+        series: armarSeriesMetricas(instantaneas, nivelInicial),
+      },
+    };
+  } catch (error) {
+    logger.error('[SERVICIO_ENTRENAMIENTO] Error en servicio al consultar historial de métricas:', error);
+    if (!error.statusCode) {
+      error.statusCode = 500;
+    }
+    throw error;
+  }
+};
+
 /**
  * Servicio para actualizar la observación de una sesión de entrenamiento.
  * @async
@@ -498,10 +636,11 @@ export const modificarEntrenamientoCognitivo = async (siglaTipoDocEstudiante, nu
 /**
  * Servicio para crear una nueva sesión de entrenamiento.
  * @param {object} datos - Datos para crear la sesión.
+ * @param {import('pg').PoolClient} [cliente] - Cliente de `conTransaccion` (config/db.js) si la sesión forma parte de una transacción.
  * @returns {Promise<object>} El resultado de la operación.
  * @throws {Error} Lanza un error con statusCode para ser manejado por el controlador.
  */
-export const crearNuevaSesion = async (datos) => {
+export const crearNuevaSesion = async (datos, cliente) => {
   const { siglaTipoDocEstudiante, numeroDocEstudiante, nombreVariableCognitiva, fechaInicio } = datos;
   logger.debug('[SERVICIO_ENTRENAMIENTO] Petición para crear nueva sesión con datos:', datos);
 
@@ -518,7 +657,7 @@ export const crearNuevaSesion = async (datos) => {
         pNombreVariableCognitiva: nombreVariableCognitiva,
         pFechaInicio: fechaInicio || new Date(), // Si no se provee fecha, usa la actual
         pObservacion: '' // Observación inicial vacía
-    });
+    }, cliente);
 
     
     if (!resultadoDB || !resultadoDB.sesionentrenamientoid) {
@@ -579,7 +718,8 @@ export const iniciarSesion = async (idSesion) => {
  * @param {object} nuevasMetricas - Objeto JSON con las nuevas métricas.
  * @param {object} nuevoNivelInicial - Objeto JSON con el nuevo nivel inicial.
  * @returns {Promise<object>} El resultado de la operación.
- * @throws {Error} Lanza un error con statusCode para ser manejado por el controlador.
+ * @throws {Error} Lanza un error con statusCode para ser manejado por el controlador; si las métricas no cumplen
+ * el esquema de la variable, el error es 400 y trae los errores por campo en `errors`.
  */
 export const finalizarSesion = async (idSesion, nuevasMetricas, nuevoNivelInicial) => {
   logger.debug(`[SERVICIO_ENTRENAMIENTO] Petición para finalizar sesión ID: ${idSesion}`);
@@ -598,6 +738,15 @@ export const finalizarSesion = async (idSesion, nuevasMetricas, nuevoNivelInicia
       throwClientError('El nuevo nivel inicial es requerido y debe ser un objeto JSON válido.', 400);
     }
     
+    // Las métricas deben cumplir el esquema vigente de la variable de la sesión.
+    const erroresEsquema = await validarMetricasDeSesion(idSesion, { nuevasMetricas, nuevoNivelInicial });
+    if (erroresEsquema.length > 0) {
+      const error = new Error('Las métricas no cumplen el esquema de la variable cognitiva.');
+      error.statusCode = 400;
+      error.errors = erroresEsquema;
+      throw error;
+    }
+
     const resultadoDB = await EntrenamientoModel.finalizarSesionDB(idSesion, nuevasMetricas, nuevoNivelInicial);
 
     // Verificar si la operación fue exitosa
@@ -656,6 +805,7 @@ export const finalizarAsignacionVariable = async (idAsignacionVariable) => {
     }
 
     logger.info(`[SERVICIO_ENTRENAMIENTO] Asignación de variable ID: ${idAsignacionVariable} finalizada correctamente.`);
+    NotificacionService.notificar(EVENTOS_NOTIFICACION.VARIABLE_FINALIZADA, { asignacionId: idAsignacionVariable });
     return { 
       mensaje: resultadoDB.mensaje, 
       data: {
@@ -0,0 +1,155 @@
+import * as EsquemaMetricasModel from '../models/esquemaMetricas.model.js';
+import { validarContraEsquema } from '../utils/esquemaMetricas.utils.js';
+import { throwClientError, relanzar } from '../utils/response.util.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene la lógica de negocio de los esquemas de métricas versionados por variable cognitiva.
+ * El esquema vigente de una variable (su versión activa más alta) define las claves, tipos, rangos y unidades
+ * que aceptan el nivel inicial y las métricas de sus asignaciones y sesiones.
+ */
+
+/**
+ * Lista todas las versiones del esquema de métricas de una variable cognitiva.
+ * @async
+ * @param {string} variableId - UUID de la variable cognitiva.
+ * @returns {Promise<object>} Objeto indicando éxito y las versiones, de la más reciente a la más antigua.
+ */
+export const listarVersiones = async (variableId) => {
+  try {
+    const versiones = await EsquemaMetricasModel.obtenerVersiones(variableId);
+    return { success: true, data: versiones };
+  } catch (error) {
+    return relanzar('SERVICIO_ESQUEMA_METRICAS', error, 'listar las versiones del esquema');
+  }
+};
+
+/**
+ * Obtiene el esquema vigente de una variable cognitiva.
+ * @async
+ * @param {string} variableId - UUID de la variable cognitiva.
+ * @returns {Promise<object>} Objeto indicando éxito y el esquema vigente.
+ * @throws {Error} 404 si la variable no tiene un esquema activo.
+ */
+export const obtenerVigente = async (variableId) => {
+  try {
+    const [vigente] = await EsquemaMetricasModel.obtenerVigentes([variableId]);
+    if (!vigente) {
+      throwClientError('La variable cognitiva no tiene un esquema de métricas vigente.', 404);
+    }
+    return { success: true, data: await EsquemaMetricasModel.obtenerVersion(variableId, vigente.version) };
+  } catch (error) {
+    return relanzar('SERVICIO_ESQUEMA_METRICAS', error, 'obtener el esquema vigente');
+  }
+};
+
+/**
+ * Obtiene una versión del esquema de una variable cognitiva.
+ * @async
+ * @param {string} variableId - UUID de la variable cognitiva.
+ * @param {number} version - Número de versión.
+ * @returns {Promise<object>} Objeto indicando éxito y el esquema.
+ * @throws {Error} 404 si la versión no existe.
+ */
+export const obtenerVersion = async (variableId, version) => {
+  try {
+    const esquema = await EsquemaMetricasModel.obtenerVersion(variableId, version);
+    if (!esquema) {
+      throwClientError(`No existe la versión ${version} del esquema de métricas de la variable.`, 404);
+    }
+    return { success: true, data: esquema };
+  } catch (error) {
+    return relanzar('SERVICIO_ESQUEMA_METRICAS', error, 'obtener la versión del esquema');
+  }
+};
+
+/**
+ * Publica una nueva versión del esquema de una variable cognitiva, que pasa a ser la vigente.
+ * @async
+ * @param {string} variableId - UUID de la variable cognitiva.
+ * @param {object} datos - `campos` (ya validados) y `descripcion` opcional.
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y el esquema creado.
+ * @throws {Error} 404 si la variable no existe, 409 si otra petición publicó la misma versión a la vez.
+ */
+export const crearVersion = async (variableId, { campos, descripcion }, usuario) => {
+  logger.debug(`[SERVICIO_ESQUEMA_METRICAS] Solicitud para publicar un esquema de la variable ${variableId}.`);
+  try {
+    // Los campos se guardan con `requerido` explícito, para que cada versión se lea igual aunque cambie el valor por defecto.
+    const camposNormalizados = campos.map(({ clave, tipo, requerido = true, minimo, maximo, unidad, descripcion: detalle }) => ({
+      clave, tipo, requerido, minimo, maximo, unidad, descripcion: detalle,
+    }));
+    const esquema = await EsquemaMetricasModel.crearVersion({
+      variableId, campos: camposNormalizados, descripcion, creadoPor: usuario?.id,
+    });
+    logger.info(`[SERVICIO_ESQUEMA_METRICAS] Versión ${esquema.version} del esquema publicada para la variable ${variableId}.`);
+    return { success: true, message: `Versión ${esquema.version} del esquema de métricas publicada.`, data: esquema };
+  } catch (error) {
+    if (error.code === '23503') {
+      throwClientError('La variable cognitiva indicada no existe.', 404);
+    }
+    if (error.code === '23505') {
+      throwClientError('Otra versión del esquema se publicó al mismo tiempo. Intente de nuevo.', 409);
+    }
+    return relanzar('SERVICIO_ESQUEMA_METRICAS', error, 'publicar el esquema');
+  }
+};
+
+/**
+ * Retira una versión del esquema. Si era la vigente, pasa a serlo la versión activa anterior;
+ * si no queda ninguna, la variable vuelve a aceptar métricas sin esquema.
+ * @async
+ * @param {string} variableId - UUID de la variable cognitiva.
+ * @param {number} version - Número de versión.
+ * @returns {Promise<object>} Objeto indicando éxito y el esquema retirado.
+ * @throws {Error} 404 si la versión no existe o ya estaba retirada.
+ */
+export const retirarVersion = async (variableId, version) => {
+  try {
+    const esquema = await EsquemaMetricasModel.retirarVersion(variableId, version);
+    if (!esquema) {
+      throwClientError(`No existe una versión ${version} activa del esquema de métricas de la variable.`, 404);
+    }
+    logger.info(`[SERVICIO_ESQUEMA_METRICAS] Versión ${version} del esquema de la variable ${variableId} retirada.`);
+    return { success: true, message: `Versión ${version} del esquema de métricas retirada.`, data: esquema };
+  } catch (error) {
+    return relanzar('SERVICIO_ESQUEMA_METRICAS', error, 'retirar la versión del esquema');
+  }
+};
+
+/**
+ * Valida objetos de métricas contra el esquema vigente de cada variable indicada.
+ * Las variables sin esquema vigente aceptan cualquier objeto.
+ * @async
+ * @param {string[]} variableIds - UUIDs de las variables cognitivas.
+ * @param {Object<string, object>} cuerpos - Objetos a validar, por nombre de campo del cuerpo
+ * (ej. `{ nuevasMetricas, nuevoNivelInicial }`).
+ * @returns {Promise<Array<object>>} Errores por campo (forma de express-validator); vacío si todo es válido.
+ */
+export const validarContraEsquemasVigentes = async (variableIds, cuerpos) => {
+  const esquemas = await EsquemaMetricasModel.obtenerVigentes(variableIds);
+  const errores = [];
+  for (const esquema of esquemas) {
+    for (const [ruta, valores] of Object.entries(cuerpos)) {
+      for (const error of validarContraEsquema(valores, esquema.campos, ruta)) {
+        // Con varias variables, el mensaje indica de qué esquema viene cada error.
+        const origen = variableIds.length > 1 ? `${esquema.variableCognitivaNombre} (v${esquema.version}): ` : '';
+        errores.push({ ...error, msg: `${origen}${error.msg}`, esquema: { variableCognitivaId: esquema.variableCognitivaId, version: esquema.version } });
+      }
+    }
+  }
+  return errores;
+};
+
+/**
+ * Valida objetos de métricas contra el esquema vigente de la variable de una sesión.
+ * @async
+ * @param {string} sesionId - UUID de la sesión de entrenamiento.
+ * @param {Object<string, object>} cuerpos - Objetos a validar, por nombre de campo del cuerpo.
+ * @returns {Promise<Array<object>>} Errores por campo; vacío si todo es válido o si la sesión no existe
+ * (en ese caso la operación sobre la sesión responde el error correspondiente).
+ */
+export const validarMetricasDeSesion = async (sesionId, cuerpos) => {
+  const variableId = await EsquemaMetricasModel.obtenerVariableDeSesion(sesionId);
+  return variableId ? validarContraEsquemasVigentes([variableId], cuerpos) : [];
+};
@@ -1,6 +1,10 @@
 import * as EstudianteModel from '../models/estudiante.model.js';
 import logger from '../config/logger.js';
 import { throwClientError } from '../utils/response.util.js';
+import * as UtilidadesModel from '../models/utilidades.model.js';
+import { tieneAlcanceGlobal, verificarAlcance } from './alcance.service.js';
+import { registrarOperacion } from './auditoria.service.js';
+import { leerArchivoTabular } from '../utils/archivos.utils.js';
 
 /**
  * @file Contiene los servicios relacionados con la entidad Estudiante.
@@ -23,11 +27,11 @@ function isValidDateString(dateString) {
 }
 
 /**
- * Valida los datos de entrada para el registro de un estudiante.
+ * Revisa los datos de entrada para el registro de un estudiante.
  * @param {object} datosEntrada - Datos del estudiante a validar.
- * @throws {Error} Si algún campo no es válido.
+ * @returns {string[]} Los mensajes de error, en el orden de los campos; vacío si los datos son válidos.
  */
-function validarDatosEstudiante(datosEntrada) {
+function erroresDatosEstudiante(datosEntrada) {
   const {
     siglaTipoDocumento,
     nombreGenero,
@@ -38,33 +42,46 @@ function validarDatosEstudiante(datosEntrada) {
     correo,
     programaNombres,
   } = datosEntrada;
+  const errores = [];
 
   if (!siglaTipoDocumento || typeof siglaTipoDocumento !== 'string' || !siglaTipoDocumento.trim()) {
-    throwClientError('La sigla del tipo de documento es requerida.', 400);
+    errores.push('La sigla del tipo de documento es requerida.');
   }
   if (!nombreGenero || typeof nombreGenero !== 'string' || !nombreGenero.trim()) {
-    throwClientError('El nombre del género es requerido.', 400);
+    errores.push('El nombre del género es requerido.');
   }
   if (!nombres || typeof nombres !== 'string' || !nombres.trim()) {
-    throwClientError('El nombre del estudiante es requerido.', 400);
+    errores.push('El nombre del estudiante es requerido.');
   }
   if (!apellidos || typeof apellidos !== 'string' || !apellidos.trim()) {
-    throwClientError('Los apellidos del estudiante son requeridos.', 400);
+    errores.push('Los apellidos del estudiante son requeridos.');
   }
   if (!numeroDocumento || typeof numeroDocumento !== 'string' || !numeroDocumento.trim()) {
-    throwClientError('El número de documento es requerido.', 400);
+    errores.push('El número de documento es requerido.');
   }
   if (!fechaNacimiento || !isValidDateString(fechaNacimiento)) {
-    throwClientError('La fecha de nacimiento es requerida y debe estar en formato YYYY-MM-DD.', 400);
+    errores.push('La fecha de nacimiento es requerida y debe estar en formato YYYY-MM-DD.');
   }
   if (!correo || typeof correo !== 'string' || !/.+@.+\..+/.test(correo.trim())) {
-    throwClientError('El correo electrónico es requerido y debe tener un formato válido.', 400);
+    errores.push('El correo electrónico es requerido y debe tener un formato válido.');
   }
   if (!Array.isArray(programaNombres) || programaNombres.length === 0) {
-    throwClientError('Se debe especificar al menos un programa académico.', 400);
+    errores.push('Se debe especificar al menos un programa académico.');
+  } else if (programaNombres.some(p => typeof p !== 'string' || !p.trim())) {
+    errores.push('Los nombres de los programas deben ser cadenas de texto no vacías.');
   }
-  if (programaNombres.some(p => typeof p !== 'string' || !p.trim())) {
-    throwClientError('Los nombres de los programas deben ser cadenas de texto no vacías.', 400);
+  return errores;
+}
+
+/**
+ * Valida los datos de entrada para el registro de un estudiante.
+ * @param {object} datosEntrada - Datos del estudiante a validar.
+ * @throws {Error} 400 con el primer campo que no es válido.
+ */
+function validarDatosEstudiante(datosEntrada) {
+  const [primerError] = erroresDatosEstudiante(datosEntrada);
+  if (primerError) {
+    throwClientError(primerError, 400);
   }
 }
 
@@ -150,10 +167,11 @@ function manejarRespuestaRegistro(resultado) {
  * @param {string} datosEntrada.fechaNacimiento - Fecha de nacimiento (YYYY-MM-DD).
  * @param {string} datosEntrada.correo - Correo electrónico.
  * @param {string[]} datosEntrada.programaNombres - Array de nombres de programas.
+ * @param {import('pg').PoolClient} [cliente] - Cliente de `conTransaccion` (config/db.js) si el registro del estudiante forma parte de una transacción.
  * @returns {Promise<{success: boolean, data?: object, message?: string, statusCode?: number}>}
  *          Objeto indicando éxito y los datos del estudiante creado, o un mensaje de error.
  */
-export const registrarEstudiante = async (datosEntrada) => {
+export const registrarEstudiante = async (datosEntrada, cliente) => {
   logger.debug('[SERVICIO_ESTUDIANTE] Solicitud para registrar nuevo estudiante:', datosEntrada);
 
   try {
@@ -164,7 +182,7 @@ export const registrarEstudiante = async (datosEntrada) => {
     const datosEstudianteParaDB = prepararDatosParaDB(datosEntrada);
 
     // Ejecutar operación en la base de datos
-    const resultado = await EstudianteModel.registrarEstudianteDB(datosEstudianteParaDB);
+    const resultado = await EstudianteModel.registrarEstudianteDB(datosEstudianteParaDB, cliente);
     
     // Manejar respuesta de la base de datos
     return manejarRespuestaRegistro(resultado);
@@ -326,4 +344,321 @@ export const actualizarGenero = async (estudianteId, nuevoNombreGenero) => {
     if (error.statusCode) throw error;
     throw new Error(`Error en el servicio al actualizar género: ${error.message}`);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Servicio para buscar estudiantes por nombres, apellidos, correo, número de documento o programa.
+ * Si el usuario no tiene alcance global, solo se buscan los estudiantes de su alcance por facultad.
+ * @async
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @param {string} termino - Texto a buscar.
+ * @param {object} [opciones={}] - Paginación, orden y filtros del listado (ver `utils/consulta.utils.js`).
+ * @returns {Promise<object>} Objeto indicando éxito, los estudiantes de la página y la paginación.
+ * @throws {Error} 400 si el término está vacío, o si ocurre un error durante la búsqueda.
+ */
+export const buscarEstudiantes = async (usuario, termino, opciones = {}) => {
+  const terminoLimpio = (termino || '').trim();
+  logger.debug(`[SERVICIO_ESTUDIANTE] Solicitud de búsqueda de estudiantes con el término: ${terminoLimpio}`);
+
+  try {
+    if (!terminoLimpio) {
+      throwClientError('El término de búsqueda es requerido.', 400);
+    }
+
+    const alcance = tieneAlcanceGlobal(usuario) ? undefined : { usuarioId: usuario.id, rol: usuario.role };
+    const { datos, paginacion } = await EstudianteModel.buscarEstudiantes(terminoLimpio, alcance, opciones);
+
+    logger.info(`[SERVICIO_ESTUDIANTE] La búsqueda '${terminoLimpio}' encontró ${paginacion.total} estudiante(s).`);
+    return { success: true, data: datos, paginacion };
+  } catch (error) {
+    logger.error(`[SERVICIO_ESTUDIANTE] Error en el servicio al buscar estudiantes: ${error.message}`);
+    if (error.statusCode) {
+      throw error;
+    }
+    const serverError = new Error('Ocurrió un error inesperado en el servidor al buscar estudiantes.');
+    serverError.statusCode = 500;
+    throw serverError;
+  }
+};
+
+// Encabezados aceptados para cada campo al importar; se comparan sin tildes, mayúsculas, espacios ni guiones.
+const COLUMNAS_IMPORTACION = {
+  siglaTipoDocumento: ['siglatipodocumento', 'tipodocumento', 'tipodoc', 'sigla'],
+  nombreGenero: ['nombregenero', 'genero'],
+  nombres: ['nombres', 'nombre'],
+  apellidos: ['apellidos', 'apellido'],
+  numeroDocumento: ['numerodocumento', 'documento', 'numerodoc', 'nodocumento'],
+  fechaNacimiento: ['fechanacimiento', 'fechadenacimiento'],
+  correo: ['correo', 'email', 'correoelectronico'],
+  programaNombres: ['programanombres', 'programas', 'programa'],
+};
+
+export const MAXIMO_FILAS_IMPORTACION = 2000;
+const TAMANO_LOTE_IMPORTACION = 25;
+
+const normalizarTexto = (texto) => String(texto ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const normalizarEncabezado = (encabezado) => normalizarTexto(encabezado).replace(/[\s_-]/g, '');
+
+/**
+ * Relaciona cada campo del estudiante con el encabezado del archivo que lo contiene.
+ * @param {string[]} encabezados - Encabezados del archivo.
+ * @returns {object<string, string>} Campo → encabezado original.
+ * @throws {Error} 400 si falta alguna columna.
+ */
+function mapearColumnas(encabezados) {
+  const porNormalizado = new Map(encabezados.filter(Boolean).map((encabezado) => [normalizarEncabezado(encabezado), encabezado]));
+  const mapa = {};
+  const faltantes = [];
+  for (const [campo, alias] of Object.entries(COLUMNAS_IMPORTACION)) {
+    const encontrado = alias.find((nombre) => porNormalizado.has(nombre));
+    if (encontrado) {
+      mapa[campo] = porNormalizado.get(encontrado);
+    } else {
+      faltantes.push(campo);
+    }
+  }
+  if (faltantes.length > 0) {
+    throwClientError(`Faltan columnas en el archivo: ${faltantes.join(', ')}.`, 400);
+  }
+  return mapa;
+}
+
+/**
+ * Convierte una fecha DD/MM/YYYY (formato habitual en Excel en español) a YYYY-MM-DD.
+ * @param {string} valor
+ * @returns {string}
+ */
+function normalizarFecha(valor) {
+  const partes = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/.exec(valor);
+  return partes ? `${partes[3]}-${partes[2].padStart(2, '0')}-${partes[1].padStart(2, '0')}` : valor;
+}
+
+/**
+ * Carga los catálogos contra los que se resuelven las siglas, géneros y programas del archivo.
+ * @async
+ * @returns {Promise<{tiposDocumento: Map, generos: Map, programas: Map}>} Texto normalizado → valor del catálogo.
+ */
+async function cargarCatalogosImportacion() {
+  const [tiposDocumento, generos, programas] = await Promise.all([
+    UtilidadesModel.obtenerTodosLosTiposDocumento(),
+    UtilidadesModel.obtenerTodosLosGeneros(),
+    UtilidadesModel.obtenerTodosLosProgramas(),
+  ]);
+  const indexar = (filas, clave) => new Map(filas.map((fila) => [normalizarTexto(fila[clave]), fila[clave]]));
+  return {
+    tiposDocumento: indexar(tiposDocumento, 'sigla'),
+    generos: indexar(generos, 'nombre'),
+    programas: indexar(programas, 'nombre'),
+  };
+}
+
+/**
+ * Convierte una fila del archivo en los datos de registro de un estudiante, resolviendo
+ * la sigla, el género y los programas contra los catálogos.
+ * @param {object} registro - Fila del archivo (encabezado → valor).
+ * @param {object} columnas - Resultado de `mapearColumnas`.
+ * @param {object} catalogos - Resultado de `cargarCatalogosImportacion`.
+ * @returns {{datos: object, errores: string[]}}
+ */
+function resolverFilaImportacion(registro, columnas, catalogos) {
+  const valor = (campo) => String(registro[columnas[campo]] ?? '').trim();
+  const errores = [];
+
+  const siglaArchivo = valor('siglaTipoDocumento');
+  const generoArchivo = valor('nombreGenero');
+  const programasArchivo = valor('programaNombres').split(/[;|]/).map((programa) => programa.trim()).filter(Boolean);
+
+  const siglaTipoDocumento = catalogos.tiposDocumento.get(normalizarTexto(siglaArchivo));
+  if (siglaArchivo && !siglaTipoDocumento) {
+    errores.push(`El tipo de documento '${siglaArchivo}' no existe.`);
+  }
+  const nombreGenero = catalogos.generos.get(normalizarTexto(generoArchivo));
+  if (generoArchivo && !nombreGenero) {
+    errores.push(`El género '${generoArchivo}' no existe.`);
+  }
+  const programaNombres = programasArchivo.map((programa) => {
+    const nombre = catalogos.programas.get(normalizarTexto(programa));
+    if (!nombre) {
+      errores.push(`El programa '${programa}' no existe.`);
+    }
+    return nombre || programa;
+  });
+
+  const datos = {
+    siglaTipoDocumento: siglaTipoDocumento || siglaArchivo,
+    nombreGenero: nombreGenero || generoArchivo,
+    nombres: valor('nombres'),
+    apellidos: valor('apellidos'),
+    numeroDocumento: valor('numeroDocumento'),
+    fechaNacimiento: normalizarFecha(valor('fechaNacimiento')),
+    correo: valor('correo'),
+    programaNombres,
+  };
+  return { datos, errores: [...erroresDatosEstudiante(datos), ...errores] };
+}
+
+/**
+ * Indica si los programas están dentro del alcance por facultad del usuario.
+ * @async
+ * @param {object} usuario - Usuario autenticado.
+ * @param {string[]} programaNombres - Programas del estudiante.
+ * @returns {Promise<boolean>}
+ */
+async function programasEnAlcance(usuario, programaNombres) {
+  try {
+    await verificarAlcance(usuario, 'programas', programaNombres);
+    return true;
+  } catch (error) {
+    if (error.statusCode === 403) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Registra un estudiante ya validado y clasifica el resultado para el reporte de importación.
+ * @async
+ * @param {object} datos - Datos del estudiante.
+ * @returns {Promise<{estado: string, estudianteId?: string, mensaje: string}>}
+ */
+async function registrarFilaImportada(datos) {
+  try {
+    const resultado = manejarRespuestaRegistro(await EstudianteModel.registrarEstudianteDB(prepararDatosParaDB(datos)));
+    return { estado: 'creado', estudianteId: resultado.data.id, mensaje: resultado.message };
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return { estado: 'duplicado', mensaje: error.message };
+    }
+    logger.error(`[SERVICIO_ESTUDIANTE] Error al importar el estudiante ${datos.siglaTipoDocumento}-${datos.numeroDocumento}: ${error.message}`);
+    return { estado: 'fallido', mensaje: error.statusCode ? error.message : 'Ocurrió un error inesperado al registrar el estudiante.' };
+  }
+}
+
+/**
+ * Servicio para importar estudiantes desde un archivo CSV o XLSX.
+ * Cada fila se valida con las mismas reglas que `registrarEstudiante` y sus siglas, géneros y programas se
+ * resuelven contra los catálogos. En simulación no se escribe nada: se informa qué filas son válidas, cuáles
+ * están duplicadas (en el archivo o ya registradas) y los errores de cada una. Al confirmar, las filas válidas
+ * se registran por lotes y se informa cuáles se crearon, cuáles estaban duplicadas y cuáles fallaron.
+ * @async
+ * @param {object} usuario - Usuario autenticado (`req.user`); solo puede importar en programas de su alcance.
+ * @param {{buffer: Buffer, nombre: string, formato: string}} archivo - Archivo subido.
+ * @param {object} [opciones={}]
+ * @param {boolean} [opciones.simulacion=true] - Si es true, solo valida.
+ * @param {object} [opciones.contexto] - `{ solicitudId, ip }` para la auditoría.
+ * @returns {Promise<{success: boolean, simulacion: boolean, resumen: object, filas: Array<object>}>}
+ * `filas` trae por cada fila del archivo: `fila`, `siglaTipoDocumento`, `numeroDocumento`, `estado`
+ * ('valido', 'creado', 'duplicado' o 'fallido'), `estudianteId` y `errores`.
+ * @throws {Error} 400 si el archivo no se puede leer, le faltan columnas, está vacío o supera el máximo de filas.
+ */
+export const importarEstudiantes = async (usuario, archivo, { simulacion = true, contexto } = {}) => {
+  logger.info(`[SERVICIO_ESTUDIANTE] Importación de estudiantes desde '${archivo.nombre}' (${simulacion ? 'simulación' : 'confirmada'}).`);
+
+  try {
+    const { encabezados, filas } = await leerArchivoTabular(archivo.buffer, archivo.formato);
+    const filasConDatos = filas.filter(({ registro }) => Object.values(registro).some((valor) => String(valor ?? '').trim()));
+    if (filasConDatos.length === 0) {
+      throwClientError('El archivo no contiene filas de estudiantes.', 400);
+    }
+    if (filasConDatos.length > MAXIMO_FILAS_IMPORTACION) {
+      throwClientError(`El archivo supera el máximo de ${MAXIMO_FILAS_IMPORTACION} filas por importación.`, 400);
+    }
+
+    const columnas = mapearColumnas(encabezados);
+    const catalogos = await cargarCatalogosImportacion();
+    const alcanceGlobal = tieneAlcanceGlobal(usuario);
+    const alcancePorProgramas = new Map();
+    const vistosPorDocumento = new Map();
+    const vistosPorCorreo = new Map();
+
+    const resultados = [];
+    for (const { numero, registro } of filasConDatos) {
+      const { datos, errores } = resolverFilaImportacion(registro, columnas, catalogos);
+      const resultado = { fila: numero, siglaTipoDocumento: datos.siglaTipoDocumento, numeroDocumento: datos.numeroDocumento, datos };
+      resultados.push(resultado);
+
+      if (errores.length > 0) {
+        Object.assign(resultado, { estado: 'fallido', errores });
+        continue;
+      }
+
+      const claveDocumento = `${datos.siglaTipoDocumento}|${datos.numeroDocumento}`;
+      const claveCorreo = datos.correo.toLowerCase();
+      const filaRepetida = vistosPorDocumento.get(claveDocumento) || vistosPorCorreo.get(claveCorreo);
+      if (filaRepetida) {
+        Object.assign(resultado, { estado: 'duplicado', errores: [`Repite el documento o el correo de la fila ${filaRepetida}.`] });
+        continue;
+      }
+      vistosPorDocumento.set(claveDocumento, numero);
+      vistosPorCorreo.set(claveCorreo, numero);
+
+      if (!alcanceGlobal) {
+        const claveProgramas = [...datos.programaNombres].sort().join('|');
+        if (!alcancePorProgramas.has(claveProgramas)) {
+          alcancePorProgramas.set(claveProgramas, await programasEnAlcance(usuario, datos.programaNombres));
+        }
+        if (!alcancePorProgramas.get(claveProgramas)) {
+          Object.assign(resultado, { estado: 'fallido', errores: ['Los programas del estudiante no pertenecen a sus facultades.'] });
+          continue;
+        }
+      }
+
+      if (simulacion && await UtilidadesModel.obtenerIdEstudiantePorDocumentoDB(datos.siglaTipoDocumento, datos.numeroDocumento)) {
+        Object.assign(resultado, { estado: 'duplicado', errores: ['El número de documento ingresado ya está registrado.'] });
+        continue;
+      }
+      resultado.estado = 'valido';
+    }
+
+    if (!simulacion) {
+      const validos = resultados.filter((resultado) => resultado.estado === 'valido');
+      for (let inicio = 0; inicio < validos.length; inicio += TAMANO_LOTE_IMPORTACION) {
+        const lote = validos.slice(inicio, inicio + TAMANO_LOTE_IMPORTACION);
+        const registrados = await Promise.all(lote.map((resultado) => registrarFilaImportada(resultado.datos)));
+        registrados.forEach(({ estado, estudianteId, mensaje }, indice) => {
+          Object.assign(lote[indice], { estado, estudianteId, errores: estado === 'creado' ? undefined : [mensaje] });
+        });
+        logger.info(`[SERVICIO_ESTUDIANTE] Lote de importación procesado: filas ${inicio + 1} a ${inicio + lote.length} de ${validos.length}.`);
+      }
+    }
+
+    const resumen = { total: resultados.length, validos: 0, creados: 0, duplicados: 0, fallidos: 0 };
+    const claveResumen = { valido: 'validos', creado: 'creados', duplicado: 'duplicados', fallido: 'fallidos' };
+    const filasReporte = resultados.map(({ datos, ...resultado }) => {
+      resumen[claveResumen[resultado.estado]] += 1;
+      return resultado;
+    });
+
+    if (!simulacion) {
+      await registrarOperacion({
+        usuario,
+        accion: 'estudiante.importar',
+        entidad: 'estudiante',
+        despues: {
+          archivo: archivo.nombre,
+          resumen,
+          creados: filasReporte.filter((fila) => fila.estado === 'creado').map((fila) => fila.estudianteId),
+        },
+        contexto,
+      });
+    }
+
+    logger.info(`[SERVICIO_ESTUDIANTE] Importación de '${archivo.nombre}' terminada: %o`, resumen);
+    return { success: true, simulacion, resumen, filas: filasReporte };
+  } catch (error) {
+    logger.error(`[SERVICIO_ESTUDIANTE] Error en la importación de estudiantes: ${error.message}`);
+    if (error.statusCode) {
+      throw error;
+    }
+    const serverError = new Error('Ocurrió un error inesperado en el servidor al importar estudiantes.');
+    serverError.statusCode = 500;
+    throw serverError;
+  }
+};
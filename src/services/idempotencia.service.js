@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import * as IdempotenciaModel from '../models/idempotencia.model.js';
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import { throwClientError } from '../utils/response.util.js';
+
+/**
+ * @file Contiene la lógica de las claves de idempotencia (cabecera Idempotency-Key) de los endpoints de creación:
+ * la primera petición con una clave se ejecuta y su respuesta se guarda; los reintentos con la misma clave y el mismo
+ * cuerpo reciben esa respuesta sin repetir la operación. Las claves son de cada usuario y duran `IDEMPOTENCIA_VIGENCIA_HORAS`.
+ */
+
+// Una reserva sin respuesta después de este tiempo se da por abandonada (ej. el servidor se reinició a mitad de la petición).
+export const BLOQUEO_EN_PROCESO_MINUTOS = 5;
+
+/**
+ * Serializa un valor JSON con las claves de los objetos ordenadas, para que el orden de los campos no cambie la huella.
+ * @param {*} valor
+ * @returns {string}
+ */
+const serializarCanonico = (valor) => {
+  if (Array.isArray(valor)) {
+    return `[${valor.map(serializarCanonico).join(',')}]`;
+  }
+  if (valor && typeof valor === 'object') {
+    const campos = Object.keys(valor).sort()
+      .filter((campo) => valor[campo] !== undefined)
+      .map((campo) => `${JSON.stringify(campo)}:${serializarCanonico(valor[campo])}`);
+    return `{${campos.join(',')}}`;
+  }
+  return JSON.stringify(valor ?? null);
+};
+
+/**
+ * Calcula la huella de una petición: SHA-256 del método, la ruta y el cuerpo.
+ * @param {string} metodo - Método HTTP.
+ * @param {string} ruta - Ruta sin query string.
+ * @param {*} cuerpo - Cuerpo de la petición.
+ * @returns {string} La huella en hexadecimal.
+ */
+export const huellaSolicitud = (metodo, ruta, cuerpo) => crypto
+  .createHash('sha256')
+  .update(`${metodo} ${ruta}\n${serializarCanonico(cuerpo)}`)
+  .digest('hex');
+
+/**
+ * Inicia una petición con clave de idempotencia.
+ * @async
+ * @param {{id: string, role: string}} usuario - Usuario autenticado (`req.user`).
+ * @param {string} clave - Valor de la cabecera Idempotency-Key.
+ * @param {string} huella - Huella de la petición (ver huellaSolicitud).
+ * @returns {Promise<{repetida: false}|{repetida: true, codigoEstado: number, respuesta: object}>}
+ * Si la clave ya se completó con la misma huella, la respuesta guardada.
+ * @throws {Error} 409 si la clave se usó con otra petición o si la petición original aún no termina.
+ */
+export const iniciarSolicitud = async (usuario, clave, huella) => {
+  const solicitud = { usuario: usuario.id, rol: usuario.role, clave, huella };
+  // Dos intentos: la clave existente puede vencer o liberarse entre la reserva y la consulta.
+  for (let intento = 0; intento < 2; intento += 1) {
+    const reservada = await IdempotenciaModel.reservarClave({
+      ...solicitud,
+      vigenciaHoras: config.idempotencia.vigenciaHoras,
+      bloqueoMinutos: BLOQUEO_EN_PROCESO_MINUTOS,
+    });
+    if (reservada) {
+      return { repetida: false };
+    }
+
+    const existente = await IdempotenciaModel.obtenerSolicitud(usuario.id, usuario.role, clave);
+    if (existente) {
+      if (existente.huella !== huella) {
+        logger.warn(`[SERVICIO_IDEMPOTENCIA] Clave '${clave}' del usuario ${usuario.id} reutilizada con otra petición.`);
+        throwClientError('La clave de idempotencia ya se usó con una petición distinta; use una clave nueva para esta operación.', 409);
+      }
+      if (existente.estado !== 'completada') {
+        throwClientError('La petición original con esta clave de idempotencia aún se está procesando; reintente en unos segundos.', 409);
+      }
+      logger.info(`[SERVICIO_IDEMPOTENCIA] Repitiendo la respuesta de la clave '${clave}' del usuario ${usuario.id}.`);
+      return { repetida: true, codigoEstado: existente.codigoEstado, respuesta: existente.respuesta };
+    }
+  }
+  return throwClientError('La petición original con esta clave de idempotencia aún se está procesando; reintente en unos segundos.', 409);
+};
+
+/**
+ * Cierra una petición con clave de idempotencia: guarda la respuesta para los reintentos o, si fue un error
+ * del servidor (5xx) o no hubo cuerpo JSON, libera la clave para que el reintento vuelva a ejecutar la operación.
+ * No lanza errores: la respuesta ya se envió al cliente.
+ * @async
+ * @param {{id: string, role: string}} usuario - Usuario autenticado.
+ * @param {string} clave - Valor de la cabecera Idempotency-Key.
+ * @param {number} codigoEstado - Código HTTP de la respuesta.
+ * @param {object} [respuesta] - Cuerpo JSON de la respuesta.
+ * @returns {Promise<void>}
+ */
+export const completarSolicitud = async (usuario, clave, codigoEstado, respuesta) => {
+  try {
+    if (codigoEstado >= 500 || respuesta === undefined) {
+      await IdempotenciaModel.liberarClave(usuario.id, usuario.role, clave);
+      return;
+    }
+    await IdempotenciaModel.guardarRespuesta(usuario.id, usuario.role, clave, codigoEstado, respuesta);
+  } catch (error) {
+    // Sin la respuesta guardada, un reintento recibe 409 hasta que la reserva se da por abandonada.
+    logger.error(`[SERVICIO_IDEMPOTENCIA] No se pudo cerrar la clave '${clave}' del usuario ${usuario.id}:`, error);
+  }
+};
+
+/**
+ * Programa el borrado periódico de las claves vencidas. El temporizador no mantiene vivo el proceso.
+ * @param {number} [intervaloMinutos=60] - Minutos entre borrados; 0 lo desactiva.
+ * @returns {NodeJS.Timeout|null} El temporizador, o `null` si está desactivado.
+ */
+export const iniciarLimpiezaPeriodica = (intervaloMinutos = 60) => {
+  if (!intervaloMinutos) {
+    return null;
+  }
+  const temporizador = setInterval(async () => {
+    try {
+      const borradas = await IdempotenciaModel.eliminarVencidas();
+      logger.debug(`[SERVICIO_IDEMPOTENCIA] Claves de idempotencia vencidas borradas: ${borradas}.`);
+    } catch (error) {
+      // El error ya quedó registrado; se reintenta en el siguiente intervalo.
+    }
+  }, intervaloMinutos * 60 * 1000);
+  temporizador.unref();
+  return temporizador;
+};
@@ -1,23 +1,141 @@
 import * as InformeModel from '../models/informe.model.js';
+import { tieneAlcanceGlobal } from './alcance.service.js';
 import logger from '../config/logger.js';
+import { throwClientError } from '../utils/response.util.js';
+import { generarReporte } from '../utils/reportes.utils.js';
 
 /**
  * @file Contiene los servicios para la gestión de informes de administración.
  */
 
+export const MAXIMO_FILAS_EXPORTACION = 5000;
+
+const COLUMNAS_LISTA_ENTRENAMIENTOS = [
+  { clave: 'estudianteapellidos', titulo: 'Apellidos', ancho: 2 },
+  { clave: 'estudiantenombres', titulo: 'Nombres', ancho: 2 },
+  { clave: 'estudiantetipodocumento', titulo: 'Tipo de documento' },
+  { clave: 'estudiantenumerodocumento', titulo: 'Número de documento', ancho: 1.5 },
+  { clave: 'estadoentrenamiento', titulo: 'Estado' },
+  { clave: 'periodo', titulo: 'Periodo' },
+  { clave: 'fechainicioentrenamiento', titulo: 'Fecha de inicio', ancho: 1.5 },
+  { clave: 'alertas', titulo: 'Alertas', ancho: 2 },
+  { clave: 'entrenamientoid', titulo: 'ID del entrenamiento', ancho: 3 },
+];
+
+const COLUMNAS_VARIABLES_INFORME = [
+  { clave: 'variableCognitivaNombre', titulo: 'Variable', ancho: 2 },
+  { clave: 'asignacionVariableEstado', titulo: 'Estado', ancho: 1.2 },
+  { clave: 'totalSesiones', titulo: 'Sesiones' },
+  { clave: 'sesionesFinalizadas', titulo: 'Finalizadas' },
+  { clave: 'sesionesAbandonadas', titulo: 'Abandonadas' },
+  { clave: 'asignacionNivelInicial', titulo: 'Nivel inicial', ancho: 3 },
+  { clave: 'asignacionMetricasActuales', titulo: 'Métricas finales', ancho: 3 },
+];
+
+const COLUMNAS_OBSERVACIONES_INFORME = [
+  { clave: 'variable', titulo: 'Variable', ancho: 2 },
+  { clave: 'numeroSesion', titulo: 'Sesión', ancho: 0.8 },
+  { clave: 'estado', titulo: 'Estado', ancho: 1.2 },
+  { clave: 'fecha', titulo: 'Fecha', ancho: 1.5 },
+  { clave: 'observacion', titulo: 'Observación', ancho: 5 },
+];
+
+// Los entrenamientos sin fecha de fin se crean con el 2500-12-31 (ver crearEntrenamientoCognitivoDB).
+const ANIO_SIN_FECHA_FIN = 2500;
+
+const fechaHoy = () => new Date().toISOString().slice(0, 10);
+
+const aFecha = (valor) => (valor ? new Date(valor) : null);
+
+/**
+ * Arma el documento del informe por estudiante a partir de las variables del entrenamiento.
+ * @param {Array<object>} variables - Filas de `InformeModel.obtenerDatosInformeEstudiante`.
+ * @returns {import('../utils/reportes.utils.js').DocumentoReporte}
+ */
+const armarInformeEstudiante = (variables) => {
+  const [primera] = variables;
+  const sumar = (campo) => variables.reduce((total, variable) => total + (Number(variable[campo]) || 0), 0);
+  const fechaFin = aFecha(primera.entrenamientoFechaFin);
+  const entrenadores = [...new Set(variables.map((variable) => variable.entrenadorNombres).filter(Boolean))];
+
+  const observaciones = variables.flatMap((variable) => (variable.sesionesDetalle || [])
+    .filter((sesion) => sesion.observacion && sesion.observacion.trim())
+    .map((sesion) => ({
+      variable: variable.variableCognitivaNombre,
+      numeroSesion: sesion.numeroSesion,
+      estado: sesion.estado,
+      fecha: aFecha(sesion.fechaFin || sesion.fechaInicio),
+      observacion: sesion.observacion.trim(),
+    })));
+
+  return {
+    titulo: 'Informe de entrenamiento cognitivo',
+    subtitulo: `${primera.estudianteNombres} ${primera.estudianteApellidos} · ${primera.estudianteTipoDocumento} ${primera.estudianteNumeroDocumento}`,
+    secciones: [
+      {
+        titulo: 'Estudiante',
+        campos: [
+          ['Nombres', primera.estudianteNombres],
+          ['Apellidos', primera.estudianteApellidos],
+          ['Documento', `${primera.estudianteTipoDocumento} ${primera.estudianteNumeroDocumento}`],
+          ['Correo', primera.estudianteCorreo],
+          ['Programas', primera.estudianteProgramas],
+        ],
+      },
+      {
+        titulo: 'Entrenamiento',
+        campos: [
+          ['Estado', primera.entrenamientoEstadoGeneral],
+          ['Fecha de inicio', aFecha(primera.entrenamientoFechaInicio)],
+          ['Fecha de fin', fechaFin && fechaFin.getUTCFullYear() < ANIO_SIN_FECHA_FIN ? fechaFin : 'Sin fecha de fin'],
+          ['Entrenador', entrenadores],
+          ['Variables asignadas', variables.length],
+          ['Sesiones', `${sumar('totalSesiones')} (finalizadas: ${sumar('sesionesFinalizadas')}, abandonadas: ${sumar('sesionesAbandonadas')})`],
+        ],
+      },
+      { titulo: 'Variables asignadas: nivel inicial y métricas finales', columnas: COLUMNAS_VARIABLES_INFORME, filas: variables },
+      { titulo: 'Observaciones del entrenador', columnas: COLUMNAS_OBSERVACIONES_INFORME, filas: observaciones },
+    ],
+  };
+};
+
+/**
+ * Genera el archivo de una lista de entrenamientos completa.
+ * @param {string} titulo - Título del reporte.
+ * @param {Array<object>} entrenamientos - Filas a exportar (hasta MAXIMO_FILAS_EXPORTACION + 1).
+ * @param {string} formato - 'pdf', 'csv' o 'xlsx'.
+ * @returns {Promise<object>} El reporte generado con su nombre de archivo.
+ * @throws {Error} 400 si la lista supera MAXIMO_FILAS_EXPORTACION.
+ */
+const exportarListaEntrenamientos = async (titulo, entrenamientos, formato) => {
+  if (entrenamientos.length > MAXIMO_FILAS_EXPORTACION) {
+    throwClientError(`La lista supera las ${MAXIMO_FILAS_EXPORTACION} filas que se pueden exportar. Acótela con filtros.`, 400);
+  }
+  const reporte = await generarReporte({
+    titulo,
+    subtitulo: `${entrenamientos.length} entrenamientos · generado el ${fechaHoy()}`,
+    secciones: [{ titulo: 'Entrenamientos', columnas: COLUMNAS_LISTA_ENTRENAMIENTOS, filas: entrenamientos }],
+  }, formato);
+  return { ...reporte, nombreArchivo: `entrenamientos-${fechaHoy()}.${reporte.extension}` };
+};
+
 /**
  * Servicio para obtener la lista de entrenamientos cognitivos para la vista de administración.
- * Llama al modelo para obtener los datos.
+ * Llama al modelo para obtener los datos. Si el usuario no tiene alcance global (p. ej. un
+ * coordinador), solo se listan los entrenamientos de sus facultades.
  * @async
- * @returns {Promise<object>} Objeto indicando éxito y los datos de los entrenamientos.
+ * @param {object} [usuario] - Usuario autenticado (`req.user`).
+ * @param {object} [opciones={}] - Paginación, orden y filtros del listado (ver `utils/consulta.utils.js`).
+ * @returns {Promise<object>} Objeto indicando éxito, los entrenamientos de la página y la paginación.
  * @throws {Error} Si ocurre un error durante la obtención de datos.
  */
-export const listarEntrenamientosParaAdmin = async () => {
+export const listarEntrenamientosParaAdmin = async (usuario, opciones = {}) => {
   logger.debug('[SERVICIO_INFORME] Solicitud para listar entrenamientos para admin.');
   try {
-    const listaEntrenamientos = await InformeModel.obtenerListaEntrenamientosAdmin();
-    logger.info(`[SERVICIO_INFORME] Se obtuvo lista con ${listaEntrenamientos.length} entrenamientos para admin.`);
-    return { success: true, data: listaEntrenamientos };
+    const alcance = usuario && !tieneAlcanceGlobal(usuario) ? { usuarioId: usuario.id, rol: usuario.role } : undefined;
+    const { datos, paginacion } = await InformeModel.obtenerListaEntrenamientosAdmin(alcance, opciones);
+    logger.info(`[SERVICIO_INFORME] Se obtuvo página con ${datos.length} de ${paginacion.total} entrenamientos para admin.`);
+    return { success: true, data: datos, paginacion };
   } catch (error) {
     logger.error('[SERVICIO_INFORME] Error en servicio al listar entrenamientos para admin:', error);
     if (!error.statusCode) {
@@ -57,15 +175,16 @@ export const obtenerDetallesDeInformePorId = async (entrenamientoId) => {
  * Servicio para obtener la lista de entrenamientos cognitivos para un entrenador específico.
  * @async
  * @param {string} entrenadorId - El UUID del entrenador.
- * @returns {Promise<object>} Objeto indicando éxito y los datos de los entrenamientos.
+ * @param {object} [opciones={}] - Paginación, orden y filtros del listado (ver `utils/consulta.utils.js`).
+ * @returns {Promise<object>} Objeto indicando éxito, los entrenamientos de la página y la paginación.
  * @throws {Error} Si ocurre un error.
  */
-export const listarEntrenamientosEntrenador = async (entrenadorId) => {
+export const listarEntrenamientosEntrenador = async (entrenadorId, opciones = {}) => {
   logger.debug(`[SERVICIO_INFORME] Solicitud para listar entrenamientos para el entrenador ID: ${entrenadorId}`);
   try {
-    const listaEntrenamientos = await InformeModel.obtenerListaEntrenamientosEntrenador(entrenadorId);
-    logger.info(`[SERVICIO_INFORME] Se obtuvo lista con ${listaEntrenamientos.length} entrenamientos para el entrenador.`);
-    return { success: true, data: listaEntrenamientos };
+    const { datos, paginacion } = await InformeModel.obtenerListaEntrenamientosEntrenador(entrenadorId, opciones);
+    logger.info(`[SERVICIO_INFORME] Se obtuvo página con ${datos.length} de ${paginacion.total} entrenamientos para el entrenador.`);
+    return { success: true, data: datos, paginacion };
   } catch (error) {
     logger.error('[SERVICIO_INFORME] Error en servicio al listar entrenamientos para entrenador:', error);
     if (!error.statusCode) {
@@ -73,4 +192,86 @@ export const listarEntrenamientosEntrenador = async (entrenadorId) => {
     }
     throw error;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Servicio para exportar la lista completa de entrenamientos de administración (sin paginar).
+ * Respeta el alcance por facultad del usuario, los filtros y el orden pedidos.
+ * @async
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @param {object} [opciones={}] - Orden y filtros del listado (ver `utils/consulta.utils.js`).
+ * @param {string} formato - 'pdf', 'csv' o 'xlsx'.
+ * @returns {Promise<object>} Objeto indicando éxito y el reporte (`contenido`, `tipoContenido`, `extension`, `nombreArchivo`).
+ * @throws {Error} 400 si la lista supera MAXIMO_FILAS_EXPORTACION o se pide un filtro u orden no disponible.
+ */
+export const exportarEntrenamientosParaAdmin = async (usuario, opciones = {}, formato) => {
+  logger.debug(`[SERVICIO_INFORME] Solicitud para exportar la lista de entrenamientos para admin en ${formato}.`);
+  try {
+    const alcance = usuario && !tieneAlcanceGlobal(usuario) ? { usuarioId: usuario.id, rol: usuario.role } : undefined;
+    const entrenamientos = await InformeModel.obtenerExportacionEntrenamientosAdmin(alcance, opciones, MAXIMO_FILAS_EXPORTACION);
+    const reporte = await exportarListaEntrenamientos('Entrenamientos cognitivos', entrenamientos, formato);
+    logger.info(`[SERVICIO_INFORME] Lista de ${entrenamientos.length} entrenamientos exportada en ${formato} para admin.`);
+    return { success: true, data: reporte };
+  } catch (error) {
+    logger.error('[SERVICIO_INFORME] Error en servicio al exportar entrenamientos para admin:', error);
+    if (!error.statusCode) {
+      error.statusCode = 500;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Servicio para exportar la lista completa de entrenamientos de un entrenador (sin paginar).
+ * @async
+ * @param {string} entrenadorId - El UUID del entrenador.
+ * @param {object} [opciones={}] - Orden y filtros del listado (ver `utils/consulta.utils.js`).
+ * @param {string} formato - 'pdf', 'csv' o 'xlsx'.
+ * @returns {Promise<object>} Objeto indicando éxito y el reporte (`contenido`, `tipoContenido`, `extension`, `nombreArchivo`).
+ * @throws {Error} 400 si la lista supera MAXIMO_FILAS_EXPORTACION o se pide un filtro u orden no disponible.
+ */
+export const exportarEntrenamientosEntrenador = async (entrenadorId, opciones = {}, formato) => {
+  logger.debug(`[SERVICIO_INFORME] Solicitud para exportar los entrenamientos del entrenador ID: ${entrenadorId} en ${formato}.`);
+  try {
+    const entrenamientos = await InformeModel.obtenerExportacionEntrenamientosEntrenador(entrenadorId, opciones, MAXIMO_FILAS_EXPORTACION);
+    const reporte = await exportarListaEntrenamientos('Mis entrenamientos cognitivos', entrenamientos, formato);
+    logger.info(`[SERVICIO_INFORME] Lista de ${entrenamientos.length} entrenamientos exportada en ${formato} para el entrenador.`);
+    return { success: true, data: reporte };
+  } catch (error) {
+    logger.error('[SERVICIO_INFORME] Error en servicio al exportar entrenamientos para entrenador:', error);
+    if (!error.statusCode) {
+      error.statusCode = 500;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Servicio para generar el informe imprimible por estudiante de un entrenamiento: datos del estudiante,
+ * variables asignadas, fechas, conteo de sesiones, nivel inicial frente a métricas finales y observaciones del entrenador.
+ * @async
+ * @param {string} entrenamientoId - El UUID del entrenamiento cognitivo.
+ * @param {string} formato - 'pdf', 'csv' o 'xlsx'.
+ * @returns {Promise<object>} Objeto indicando éxito y el reporte (`contenido`, `tipoContenido`, `extension`, `nombreArchivo`).
+ * @throws {Error} 404 si el entrenamiento no existe o no tiene variables asignadas.
+ */
+export const exportarInformeEstudiante = async (entrenamientoId, formato) => {
+  logger.debug(`[SERVICIO_INFORME] Solicitud para generar el informe por estudiante del entrenamiento ID: ${entrenamientoId} en ${formato}.`);
+  try {
+    const variables = await InformeModel.obtenerDatosInformeEstudiante(entrenamientoId);
+    if (variables.length === 0) {
+      throwClientError(`No se encontró el entrenamiento con ID ${entrenamientoId} o no tiene variables asignadas.`, 404);
+    }
+    const reporte = await generarReporte(armarInformeEstudiante(variables), formato);
+    const [{ estudianteTipoDocumento, estudianteNumeroDocumento }] = variables;
+    const documento = `${estudianteTipoDocumento}-${estudianteNumeroDocumento}`.replace(/[^A-Za-z0-9-]/g, '');
+    logger.info(`[SERVICIO_INFORME] Informe por estudiante del entrenamiento ID ${entrenamientoId} generado en ${formato}.`);
+    return { success: true, data: { ...reporte, nombreArchivo: `informe-${documento}-${fechaHoy()}.${reporte.extension}` } };
+  } catch (error) {
+    logger.error(`[SERVICIO_INFORME] Error en servicio al generar el informe por estudiante del entrenamiento ID ${entrenamientoId}:`, error);
+    if (!error.statusCode) {
+      error.statusCode = 500;
+    }
+    throw error;
+  }
+};
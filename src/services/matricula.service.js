@@ -0,0 +1,252 @@
+import * as MatriculaModel from '../models/matricula.model.js';
+import { conTransaccion } from '../config/db.js';
+import { verificarAlcance } from './alcance.service.js';
+import { throwClientError, relanzar } from '../utils/response.util.js';
+import { hoyLocal } from '../utils/fechas.utils.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene la lógica del historial de matrícula de los estudiantes en los programas: matricular, cerrar una
+ * matrícula y trasladar al estudiante de un programa a otro. Las matrículas abiertas son los programas vigentes del
+ * estudiante, que deciden a qué facultades pertenece y qué entrenadores y coordinadores lo ven; por eso las fechas
+ * no pueden ser futuras. Las fechas se manejan como texto YYYY-MM-DD; la de fin es el primer día fuera del programa.
+ */
+
+// Semestre de una fecha (YYYY-MM-DD): enero a junio es el primero; julio a diciembre, el segundo.
+const semestreDeFecha = (fecha) => `${fecha.slice(0, 4)}-${Number(fecha.slice(5, 7)) <= 6 ? 1 : 2}`;
+
+// Carga el estudiante o responde 404; un estudiante archivado no cambia de matrícula.
+const obtenerEstudianteModificable = async (estudianteId) => {
+  const estudiante = await MatriculaModel.obtenerEstudiante(estudianteId);
+  if (!estudiante) {
+    throwClientError('Estudiante no encontrado.', 404);
+  }
+  if (estudiante.fechaArchivado) {
+    throwClientError('El estudiante está archivado; restáurelo antes de cambiar sus matrículas.', 409);
+  }
+  return estudiante;
+};
+
+// Carga el programa de destino o responde 404 si no existe y 409 si está inactivo.
+const obtenerProgramaActivo = async (nombre) => {
+  const programa = await MatriculaModel.obtenerPrograma(nombre);
+  if (!programa) {
+    throwClientError(`El programa "${nombre}" no existe.`, 404);
+  }
+  if (!programa.activo) {
+    throwClientError(`El programa "${programa.nombre}" está inactivo; no admite matrículas nuevas.`, 409);
+  }
+  return programa;
+};
+
+// Carga una matrícula abierta del estudiante o responde 404/409. El usuario debe tener alcance sobre su programa.
+const obtenerMatriculaAbierta = async (estudianteId, matriculaId, usuario) => {
+  const matricula = await MatriculaModel.obtenerPorId(matriculaId);
+  if (!matricula || matricula.estudianteId !== estudianteId) {
+    throwClientError('La matrícula no existe.', 404);
+  }
+  await verificarAlcance(usuario, 'programas', [matricula.programa]);
+  if (!matricula.abierta) {
+    throwClientError(`La matrícula ya está cerrada desde ${matricula.fechaFin}.`, 409);
+  }
+  return matricula;
+};
+
+/**
+ * Revisa que una matrícula nueva en el programa, a partir de `fechaInicio`, no se cruce con el historial.
+ * @param {Array<object>} historial - Matrículas del estudiante.
+ * @param {string} programaId - UUID del programa.
+ * @param {string} fechaInicio - Fecha de inicio de la matrícula nueva.
+ * @param {string} [exceptoId] - Matrícula que se cierra en la misma operación.
+ * @throws {Error} 409 si ya hay una matrícula abierta en el programa o una cerrada que termina después de `fechaInicio`.
+ */
+const comprobarCruces = (historial, programaId, fechaInicio, exceptoId) => {
+  for (const matricula of historial) {
+    if (matricula.programaId !== programaId || matricula.id === exceptoId) {
+      continue;
+    }
+    if (matricula.abierta) {
+      throwClientError(`El estudiante ya está matriculado en el programa "${matricula.programa}".`, 409);
+    }
+    if (matricula.fechaFin > fechaInicio) {
+      throwClientError(`La matrícula se cruza con una anterior del programa "${matricula.programa}", que terminó el ${matricula.fechaFin}.`, 409);
+    }
+  }
+};
+
+/**
+ * Lista el historial de matrícula de un estudiante.
+ * @async
+ * @param {string} estudianteId - UUID del estudiante.
+ * @returns {Promise<object>} Objeto indicando éxito y las matrículas: primero las abiertas y luego de la más reciente
+ * a la más antigua.
+ * @throws {Error} 404 si el estudiante no existe.
+ */
+export const listarMatriculas = async (estudianteId) => {
+  try {
+    if (!(await MatriculaModel.obtenerEstudiante(estudianteId))) {
+      throwClientError('Estudiante no encontrado.', 404);
+    }
+    const matriculas = await MatriculaModel.listarPorEstudiante(estudianteId);
+    return { success: true, message: 'Historial de matrícula obtenido exitosamente.', data: matriculas };
+  } catch (error) {
+    return relanzar('SERVICIO_MATRICULA', error, 'listar las matrículas del estudiante');
+  }
+};
+
+/**
+ * Matricula a un estudiante en un programa, además de los que ya tiene.
+ * @async
+ * @param {string} estudianteId - UUID del estudiante.
+ * @param {object} datos - Datos de la matrícula (ya validados).
+ * @param {string} datos.programa - Nombre del programa.
+ * @param {string} [datos.semestre] - Semestre (YYYY-1 o YYYY-2); por defecto, el de la fecha de inicio.
+ * @param {string} [datos.fechaInicio] - Fecha de inicio (YYYY-MM-DD); por defecto, hoy.
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y la matrícula creada.
+ * @throws {Error} 400 si la fecha es futura, 404 si el estudiante o el programa no existen, 409 si el estudiante está
+ * archivado, el programa está inactivo o la matrícula se cruza con otra del mismo programa.
+ */
+export const matricular = async (estudianteId, { programa: nombrePrograma, semestre, fechaInicio }, usuario) => {
+  const inicio = fechaInicio ?? hoyLocal();
+  logger.debug(`[SERVICIO_MATRICULA] Matriculando al estudiante ${estudianteId} en "${nombrePrograma}" desde ${inicio}.`);
+  try {
+    if (inicio > hoyLocal()) {
+      throwClientError('La fecha de inicio no puede ser futura.', 400);
+    }
+    await obtenerEstudianteModificable(estudianteId);
+    const programa = await obtenerProgramaActivo(nombrePrograma);
+    comprobarCruces(await MatriculaModel.listarPorEstudiante(estudianteId), programa.id, inicio);
+
+    const matricula = await conTransaccion(async (cliente) => {
+      const matriculaId = await MatriculaModel.crear({
+        estudianteId,
+        programaId: programa.id,
+        semestre: semestre ?? semestreDeFecha(inicio),
+        fechaInicio: inicio,
+        trasladoDe: null,
+        usuario,
+      }, cliente);
+      return MatriculaModel.obtenerPorId(matriculaId, cliente);
+    }).catch((error) => {
+      if (error.code === '23505') {
+        throwClientError(`El estudiante ya está matriculado en el programa "${programa.nombre}".`, 409);
+      }
+      throw error;
+    });
+
+    logger.info(`[SERVICIO_MATRICULA] Estudiante ${estudianteId} matriculado en "${programa.nombre}" por ${usuario.role} ${usuario.id}.`);
+    return { success: true, message: `Estudiante matriculado en el programa "${programa.nombre}".`, data: matricula };
+  } catch (error) {
+    return relanzar('SERVICIO_MATRICULA', error, 'matricular al estudiante');
+  }
+};
+
+/**
+ * Cierra una matrícula abierta: el estudiante deja el programa desde `fechaFin`.
+ * @async
+ * @param {string} estudianteId - UUID del estudiante.
+ * @param {string} matriculaId - UUID de la matrícula.
+ * @param {object} datos - Datos del cierre (ya validados).
+ * @param {string} [datos.fechaFin] - Primer día fuera del programa (YYYY-MM-DD); por defecto, hoy.
+ * @param {string} [datos.motivo] - Motivo del cierre.
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y la matrícula cerrada.
+ * @throws {Error} 400 si la fecha es futura o anterior al inicio, 403 si el programa está fuera del alcance del
+ * usuario, 404 si el estudiante o la matrícula no existen, 409 si el estudiante está archivado o la matrícula ya estaba cerrada.
+ */
+export const cerrarMatricula = async (estudianteId, matriculaId, { fechaFin, motivo }, usuario) => {
+  const fin = fechaFin ?? hoyLocal();
+  logger.debug(`[SERVICIO_MATRICULA] Cerrando la matrícula ${matriculaId} del estudiante ${estudianteId} con fecha ${fin}.`);
+  try {
+    if (fin > hoyLocal()) {
+      throwClientError('La fecha de fin no puede ser futura.', 400);
+    }
+    await obtenerEstudianteModificable(estudianteId);
+    const matricula = await obtenerMatriculaAbierta(estudianteId, matriculaId, usuario);
+    if (matricula.fechaInicio && fin < matricula.fechaInicio) {
+      throwClientError(`La fecha de fin no puede ser anterior al inicio de la matrícula (${matricula.fechaInicio}).`, 400);
+    }
+
+    const cerrada = await conTransaccion(async (cliente) => {
+      if (!(await MatriculaModel.cerrar(matriculaId, { fechaFin: fin, motivoCierre: 'cierre', motivo: motivo ?? null, usuario }, cliente))) {
+        throwClientError('La matrícula ya estaba cerrada.', 409);
+      }
+      return MatriculaModel.obtenerPorId(matriculaId, cliente);
+    });
+
+    logger.info(`[SERVICIO_MATRICULA] Matrícula ${matriculaId} cerrada por ${usuario.role} ${usuario.id}.`);
+    return { success: true, message: `Matrícula en el programa "${matricula.programa}" cerrada.`, data: cerrada };
+  } catch (error) {
+    return relanzar('SERVICIO_MATRICULA', error, 'cerrar la matrícula');
+  }
+};
+
+/**
+ * Traslada al estudiante de un programa a otro: cierra la matrícula de origen y abre una en el programa de destino
+ * con la misma fecha, enlazada a la de origen.
+ * @async
+ * @param {string} estudianteId - UUID del estudiante.
+ * @param {string} matriculaId - UUID de la matrícula de origen.
+ * @param {object} datos - Datos del traslado (ya validados).
+ * @param {string} datos.programa - Nombre del programa de destino.
+ * @param {string} [datos.semestre] - Semestre de la matrícula nueva; por defecto, el de la fecha del traslado.
+ * @param {string} [datos.fecha] - Fecha del traslado (YYYY-MM-DD): fin de la matrícula de origen e inicio de la
+ * nueva; por defecto, hoy.
+ * @param {string} [datos.motivo] - Motivo del traslado.
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y las dos matrículas (`origen` y `destino`).
+ * @throws {Error} 400 si la fecha es futura o anterior al inicio de la matrícula de origen, o si el destino es el
+ * mismo programa; 403, 404 y 409 como `matricular` y `cerrarMatricula`.
+ */
+export const trasladarMatricula = async (estudianteId, matriculaId, { programa: nombrePrograma, semestre, fecha, motivo }, usuario) => {
+  const dia = fecha ?? hoyLocal();
+  logger.debug(`[SERVICIO_MATRICULA] Trasladando la matrícula ${matriculaId} del estudiante ${estudianteId} a "${nombrePrograma}" con fecha ${dia}.`);
+  try {
+    if (dia > hoyLocal()) {
+      throwClientError('La fecha del traslado no puede ser futura.', 400);
+    }
+    await obtenerEstudianteModificable(estudianteId);
+    const origen = await obtenerMatriculaAbierta(estudianteId, matriculaId, usuario);
+    if (origen.fechaInicio && dia < origen.fechaInicio) {
+      throwClientError(`La fecha del traslado no puede ser anterior al inicio de la matrícula (${origen.fechaInicio}).`, 400);
+    }
+    const programa = await obtenerProgramaActivo(nombrePrograma);
+    if (programa.id === origen.programaId) {
+      throwClientError('El programa de destino es el mismo de la matrícula.', 400);
+    }
+    comprobarCruces(await MatriculaModel.listarPorEstudiante(estudianteId), programa.id, dia, origen.id);
+
+    const data = await conTransaccion(async (cliente) => {
+      if (!(await MatriculaModel.cerrar(matriculaId, { fechaFin: dia, motivoCierre: 'traslado', motivo: motivo ?? null, usuario }, cliente))) {
+        throwClientError('La matrícula ya estaba cerrada.', 409);
+      }
+      const destinoId = await MatriculaModel.crear({
+        estudianteId,
+        programaId: programa.id,
+        semestre: semestre ?? semestreDeFecha(dia),
+        fechaInicio: dia,
+        trasladoDe: matriculaId,
+        usuario,
+      }, cliente);
+      return {
+        origen: await MatriculaModel.obtenerPorId(matriculaId, cliente),
+        destino: await MatriculaModel.obtenerPorId(destinoId, cliente),
+      };
+    }).catch((error) => {
+      if (error.code === '23505') {
+        throwClientError(`El estudiante ya está matriculado en el programa "${programa.nombre}".`, 409);
+      }
+      throw error;
+    });
+
+    logger.info(`[SERVICIO_MATRICULA] Estudiante ${estudianteId} trasladado de "${origen.programa}" a "${programa.nombre}" por ${usuario.role} ${usuario.id}.`);
+    return {
+      success: true,
+      message: `Estudiante trasladado del programa "${origen.programa}" al programa "${programa.nombre}".`,
+      data,
+    };
+  } catch (error) {
+    return relanzar('SERVICIO_MATRICULA', error, 'trasladar la matrícula');
+  }
+};
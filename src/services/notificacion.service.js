@@ -0,0 +1,346 @@
+import * as NotificacionModel from '../models/notificacion.model.js';
+import { EVENTOS_NOTIFICACION, CANALES_NOTIFICACION, renderizarNotificacion, calcularProximoIntento } from '../utils/notificaciones.utils.js';
+import { crearTransporteSmtp } from '../utils/correo.utils.js';
+import { throwClientError, relanzar } from '../utils/response.util.js';
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene la lógica de negocio de las notificaciones: el registro de las notificaciones de cada evento según
+ * las preferencias de los destinatarios, el despacho con reintentos de la cola de correos y la bandeja de la aplicación.
+ */
+
+const E = EVENTOS_NOTIFICACION;
+
+// Correos que toma el despachador en cada vuelta, y cuánto tiempo quedan reservados mientras se envían.
+const TAMANO_LOTE = 20;
+const RESERVA_SEGUNDOS = 5 * 60;
+
+/**
+ * Destinatarios y datos de la plantilla de cada evento, a partir de las referencias que entrega quien notifica.
+ * Cada función devuelve `{ datos, destinatarios }`, o `undefined` si no hay a quién notificar.
+ */
+const RESOLVER_EVENTO = {
+  [E.ENTRENAMIENTO_ASIGNADO]: async ({ entrenadorId, entrenamientoId }) => {
+    const contexto = await NotificacionModel.obtenerDestinatariosEntrenamientoAsignado(entrenadorId, entrenamientoId);
+    return contexto && {
+      datos: { entrenadorId, entrenamientoId, estudiante: contexto.estudiante },
+      destinatarios: contexto.destinatarios,
+    };
+  },
+  [E.ENTRENADOR_DESACTIVADO]: async ({ entrenadorId }) => {
+    const contexto = await NotificacionModel.obtenerDestinatariosEntrenadorDesactivado(entrenadorId);
+    return contexto && {
+      datos: { entrenadorId, entrenador: contexto.entrenador },
+      destinatarios: contexto.destinatarios,
+    };
+  },
+  [E.VARIABLE_ABANDONADA]: async ({ siglaDocumento, numeroDocumento, variableCognitivaId }) => {
+    const asignacionId = await NotificacionModel.obtenerAsignacionAbandonada(siglaDocumento, numeroDocumento, variableCognitivaId);
+    return asignacionId && RESOLVER_EVENTO[E.VARIABLE_FINALIZADA]({ asignacionId });
+  },
+  [E.VARIABLE_FINALIZADA]: async ({ asignacionId }) => {
+    const contexto = await NotificacionModel.obtenerDestinatariosAsignacion(asignacionId);
+    return contexto && {
+      datos: { asignacionId, entrenamientoId: contexto.entrenamientoId, estudiante: contexto.estudiante, variable: contexto.variable },
+      destinatarios: contexto.destinatarios,
+    };
+  },
+  [E.SESION_CAMBIO_SOLICITADO]: async ({ solicitudId }) => {
+    const contexto = await NotificacionModel.obtenerDestinatariosSolicitudCambio(solicitudId);
+    if (!contexto) {
+      return undefined;
+    }
+    const { entrenador, destinatarioEstudiante: _estudiante, ...datos } = contexto;
+    return { datos: { solicitudId, ...datos }, destinatarios: [entrenador] };
+  },
+  [E.SESION_CAMBIO_RESUELTO]: async ({ solicitudId }) => {
+    const contexto = await NotificacionModel.obtenerDestinatariosSolicitudCambio(solicitudId);
+    if (!contexto) {
+      return undefined;
+    }
+    const { entrenador: _entrenador, destinatarioEstudiante, ...datos } = contexto;
+    return { datos: { solicitudId, ...datos }, destinatarios: [destinatarioEstudiante] };
+  },
+};
+
+// Transporte de correo; se crea al primer uso. `null` si no hay SMTP configurado.
+let transporteCorreo;
+
+const obtenerTransporteCorreo = () => {
+  if (transporteCorreo === undefined) {
+    transporteCorreo = config.smtp.host ? crearTransporteSmtp(config.smtp) : null;
+  }
+  return transporteCorreo;
+};
+
+/**
+ * Reemplaza el transporte de correo (por ejemplo, por uno falso en pruebas).
+ * @param {import('../utils/correo.utils.js').TransporteCorreo|null|undefined} transporte - El transporte;
+ * `null` desactiva el correo y `undefined` vuelve al transporte SMTP de la configuración.
+ */
+export const establecerTransporteCorreo = (transporte) => {
+  transporteCorreo = transporte;
+};
+
+/**
+ * Envía un correo en el momento, sin pasar por la cola de notificaciones ni guardar su contenido. Es para mensajes
+ * que no deben quedar almacenados, como los códigos de acceso de un solo uso.
+ * @async
+ * @param {{para: string, asunto: string, texto: string}} correo - Destinatario, asunto y cuerpo en texto plano.
+ * @returns {Promise<boolean>} `false` si no hay SMTP configurado y no se envió nada.
+ * @throws {Error} Si el servidor de correo rechaza el envío.
+ */
+export const enviarCorreoDirecto = async (correo) => {
+  const transporte = obtenerTransporteCorreo();
+  if (!transporte) {
+    return false;
+  }
+  await transporte.enviar(correo);
+  logger.info('[SERVICIO_NOTIFICACION] Correo directo enviado.');
+  return true;
+};
+
+/**
+ * Registra las notificaciones de un evento: una por destinatario y canal, salvo los canales que el destinatario
+ * deshabilitó, el correo si no tiene dirección y el correo si no hay SMTP configurado. Luego despacha los correos.
+ * Nunca lanza errores, para no hacer fallar la operación que generó el evento: los registra y devuelve 0. Por eso quien
+ * genera el evento puede llamarla sin esperarla, para no demorar su respuesta.
+ * @async
+ * @param {string} evento - Uno de `EVENTOS_NOTIFICACION`.
+ * @param {object} referencias - IDs que identifican el evento: `{ entrenadorId, entrenamientoId }` (entrenamiento.asignado),
+ *   `{ entrenadorId }` (entrenador.desactivado), `{ siglaDocumento, numeroDocumento, variableCognitivaId }` (variable.abandonada)
+ *   `{ asignacionId }` (variable.finalizada) o `{ solicitudId }` (sesion.cambio-solicitado y sesion.cambio-resuelto).
+ * @returns {Promise<number>} Cuántas notificaciones se registraron.
+ */
+export const notificar = async (evento, referencias) => {
+  try {
+    const contexto = await RESOLVER_EVENTO[evento](referencias);
+    if (!contexto?.destinatarios?.length) {
+      logger.info(`[SERVICIO_NOTIFICACION] Evento ${evento} sin destinatarios.`);
+      return 0;
+    }
+    const { datos, destinatarios } = contexto;
+
+    const deshabilitados = await NotificacionModel.obtenerCanalesDeshabilitados(destinatarios, evento);
+    const estaDeshabilitado = (destinatario, canal) => deshabilitados.some((fila) =>
+      fila.usuarioId === destinatario.usuarioId && fila.rol === destinatario.rol && fila.canal === canal);
+    const hayCorreo = Boolean(obtenerTransporteCorreo());
+
+    const notificaciones = destinatarios.flatMap((destinatario) => {
+      const { asunto, cuerpo } = renderizarNotificacion(evento, datos, destinatario);
+      return CANALES_NOTIFICACION
+        .filter((canal) => canal === 'app' || (hayCorreo && destinatario.correo))
+        .filter((canal) => !estaDeshabilitado(destinatario, canal))
+        .map((canal) => ({
+          destinatario: destinatario.usuarioId,
+          rol: destinatario.rol,
+          evento,
+          canal,
+          asunto,
+          cuerpo,
+          datos,
+          correoDestino: canal === 'correo' ? destinatario.correo : null,
+        }));
+    });
+    if (notificaciones.length === 0) {
+      logger.info(`[SERVICIO_NOTIFICACION] Evento ${evento}: todos los destinatarios deshabilitaron sus notificaciones.`);
+      return 0;
+    }
+
+    await NotificacionModel.encolarNotificaciones(notificaciones);
+    logger.info(`[SERVICIO_NOTIFICACION] Evento ${evento}: ${notificaciones.length} notificaciones registradas.`);
+    if (notificaciones.some(({ canal }) => canal === 'correo')) {
+      despacharCorreos().catch(() => {
+        // El error ya quedó registrado; el despacho periódico reintenta.
+      });
+    }
+    return notificaciones.length;
+  } catch (error) {
+    logger.error(`[SERVICIO_NOTIFICACION] No se pudo notificar el evento ${evento}:`, error);
+    return 0;
+  }
+};
+
+// Despacho en curso; un despacho pedido mientras otro corre espera el mismo resultado en vez de repetirlo.
+let despachoEnCurso = null;
+
+const ejecutarDespacho = async () => {
+  const resumen = { enviados: 0, reintentos: 0, fallidos: 0 };
+  const transporte = obtenerTransporteCorreo();
+  if (!transporte) {
+    return resumen;
+  }
+  const { maxIntentos, esperaReintentoSegundos } = config.notificaciones;
+
+  let lote;
+  do {
+    lote = await NotificacionModel.reclamarCorreosPendientes(TAMANO_LOTE, RESERVA_SEGUNDOS);
+    for (const correo of lote) {
+      try {
+        await transporte.enviar({ para: correo.correoDestino, asunto: correo.asunto, texto: correo.cuerpo });
+      } catch (error) {
+        if (correo.intentos >= maxIntentos) {
+          await NotificacionModel.registrarFalloCorreo(correo.id, error.message, null);
+          logger.error(`[SERVICIO_NOTIFICACION] El correo ${correo.id} a ${correo.correoDestino} falló tras ${correo.intentos} intentos `
+            + `y no se reintentará: ${error.message}`);
+          resumen.fallidos += 1;
+        } else {
+          const proximoIntento = calcularProximoIntento(correo.intentos, esperaReintentoSegundos);
+          await NotificacionModel.registrarFalloCorreo(correo.id, error.message, proximoIntento);
+          logger.warn(`[SERVICIO_NOTIFICACION] Falló el intento ${correo.intentos} de ${maxIntentos} del correo ${correo.id}; `
+            + `se reintenta el ${proximoIntento.toISOString()}: ${error.message}`);
+          resumen.reintentos += 1;
+        }
+        continue;
+      }
+      await NotificacionModel.marcarCorreoEnviado(correo.id);
+      resumen.enviados += 1;
+    }
+  } while (lote.length === TAMANO_LOTE);
+
+  if (resumen.enviados + resumen.reintentos + resumen.fallidos > 0) {
+    logger.info(`[SERVICIO_NOTIFICACION] Despacho de correos: ${resumen.enviados} enviados, ${resumen.reintentos} por reintentar, `
+      + `${resumen.fallidos} fallidos.`);
+  }
+  return resumen;
+};
+
+/**
+ * Servicio para enviar los correos pendientes cuyo próximo intento ya llegó.
+ * Un envío fallido se reintenta con una espera que se duplica en cada intento; al llegar a
+ * `NOTIFICACIONES_MAX_INTENTOS` el correo queda como fallido y se registra el error.
+ * @async
+ * @returns {Promise<{enviados: number, reintentos: number, fallidos: number}>} Resumen del despacho.
+ * @throws {Error} Si ocurre un error de base de datos durante el despacho.
+ */
+export const despacharCorreos = async () => {
+  if (!despachoEnCurso) {
+    despachoEnCurso = ejecutarDespacho().finally(() => {
+      despachoEnCurso = null;
+    });
+  }
+  try {
+    return await despachoEnCurso;
+  } catch (error) {
+    return relanzar('SERVICIO_NOTIFICACION', error, 'despachar los correos de notificación');
+  }
+};
+
+/**
+ * Programa el despacho periódico de la cola de correos. El temporizador no mantiene vivo el proceso.
+ * @param {number} intervaloSegundos - Segundos entre despachos; 0 desactiva el despacho periódico.
+ * @returns {NodeJS.Timeout|null} El temporizador, o `null` si está desactivado.
+ */
+export const iniciarDespachoPeriodico = (intervaloSegundos) => {
+  if (!intervaloSegundos) {
+    logger.info('[SERVICIO_NOTIFICACION] Despacho periódico de correos desactivado.');
+    return null;
+  }
+  const temporizador = setInterval(() => {
+    despacharCorreos().catch(() => {
+      // El error ya quedó registrado; se reintenta en el siguiente intervalo.
+    });
+  }, intervaloSegundos * 1000);
+  temporizador.unref();
+  logger.info(`[SERVICIO_NOTIFICACION] Despacho de correos programado cada ${intervaloSegundos} segundos.`);
+  return temporizador;
+};
+
+/**
+ * Servicio para listar la bandeja de notificaciones del usuario.
+ * @async
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @param {object} [opciones={}] - Paginación, orden y filtros (`leida`, `evento`, `fechaDesde`, `fechaHasta`).
+ * @returns {Promise<object>} Objeto indicando éxito, las notificaciones de la página, la paginación y `noLeidas`.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const listarNotificaciones = async (usuario, opciones = {}) => {
+  try {
+    const [{ datos, paginacion }, noLeidas] = await Promise.all([
+      NotificacionModel.listarNotificaciones(usuario.id, usuario.role, opciones),
+      NotificacionModel.contarNoLeidas(usuario.id, usuario.role),
+    ]);
+    return { success: true, data: datos, paginacion, noLeidas };
+  } catch (error) {
+    return relanzar('SERVICIO_NOTIFICACION', error, 'listar las notificaciones');
+  }
+};
+
+/**
+ * Servicio para marcar como leída una notificación de la bandeja del usuario.
+ * @async
+ * @param {string} notificacionId - UUID de la notificación.
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y la notificación.
+ * @throws {Error} 404 si la notificación no existe o es de otro usuario.
+ */
+export const marcarLeida = async (notificacionId, usuario) => {
+  try {
+    const notificacion = await NotificacionModel.marcarLeida(notificacionId, usuario.id, usuario.role);
+    if (!notificacion) {
+      throwClientError('Notificación no encontrada.', 404);
+    }
+    return { success: true, data: notificacion, message: 'Notificación marcada como leída.' };
+  } catch (error) {
+    return relanzar('SERVICIO_NOTIFICACION', error, `marcar como leída la notificación ${notificacionId}`);
+  }
+};
+
+/**
+ * Servicio para marcar como leídas todas las notificaciones del usuario.
+ * @async
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y `{ marcadas }`.
+ * @throws {Error} Si ocurre un error durante la actualización.
+ */
+export const marcarTodasLeidas = async (usuario) => {
+  try {
+    const marcadas = await NotificacionModel.marcarTodasLeidas(usuario.id, usuario.role);
+    return { success: true, data: { marcadas }, message: `${marcadas} notificaciones marcadas como leídas.` };
+  } catch (error) {
+    return relanzar('SERVICIO_NOTIFICACION', error, 'marcar como leídas las notificaciones');
+  }
+};
+
+/**
+ * Servicio para obtener las preferencias de notificación del usuario: una por evento y canal,
+ * habilitadas salvo que el usuario las haya deshabilitado.
+ * @async
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y `{ correoDisponible, preferencias }`; `correoDisponible` es falso
+ * si el servidor no tiene SMTP configurado.
+ * @throws {Error} Si ocurre un error durante la consulta.
+ */
+export const obtenerPreferencias = async (usuario) => {
+  try {
+    const guardadas = await NotificacionModel.obtenerPreferencias(usuario.id, usuario.role);
+    const preferencias = Object.values(EVENTOS_NOTIFICACION).flatMap((evento) => CANALES_NOTIFICACION.map((canal) => ({
+      evento,
+      canal,
+      habilitado: guardadas.find((fila) => fila.evento === evento && fila.canal === canal)?.habilitado ?? true,
+    })));
+    return { success: true, data: { correoDisponible: Boolean(config.smtp.host), preferencias } };
+  } catch (error) {
+    return relanzar('SERVICIO_NOTIFICACION', error, 'obtener las preferencias de notificación');
+  }
+};
+
+/**
+ * Servicio para actualizar preferencias de notificación del usuario. Las combinaciones de evento y canal
+ * que no se indican conservan su valor.
+ * @async
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @param {Array<{evento: string, canal: string, habilitado: boolean}>} preferencias - Preferencias a cambiar.
+ * @returns {Promise<object>} Objeto indicando éxito y todas las preferencias del usuario.
+ * @throws {Error} Si ocurre un error durante la actualización.
+ */
+export const actualizarPreferencias = async (usuario, preferencias) => {
+  try {
+    await NotificacionModel.guardarPreferencias(usuario.id, usuario.role, preferencias);
+    const { data } = await obtenerPreferencias(usuario);
+    return { success: true, data, message: 'Preferencias de notificación actualizadas exitosamente.' };
+  } catch (error) {
+    return relanzar('SERVICIO_NOTIFICACION', error, 'actualizar las preferencias de notificación');
+  }
+};
@@ -0,0 +1,212 @@
+import * as PeriodoModel from '../models/periodo.model.js';
+import { conTransaccion } from '../config/db.js';
+import { throwClientError, relanzar } from '../utils/response.util.js';
+import { hoyLocal } from '../utils/fechas.utils.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene la lógica de los periodos académicos: crearlos, cambiar sus fechas, eliminarlos y cerrarlos. Cada
+ * entrenamiento pertenece a un periodo (la base de datos lo asigna al crearlo por su fecha de inicio); al cerrar un
+ * periodo, sus entrenamientos abiertos se cierran o pasan al periodo siguiente según la política elegida. Las fechas
+ * se manejan como texto YYYY-MM-DD y la de fin es el último día del periodo.
+ */
+
+// Carga el periodo o responde 404.
+const obtenerPeriodoExistente = async (codigo) => {
+  const periodo = await PeriodoModel.obtenerPorCodigo(codigo);
+  if (!periodo) {
+    throwClientError(`El periodo ${codigo} no existe.`, 404);
+  }
+  return periodo;
+};
+
+// Las fechas deben estar en orden y el periodo debe empezar en el año de su código.
+const comprobarFechas = (codigo, fechaInicio, fechaFin) => {
+  if (fechaFin < fechaInicio) {
+    throwClientError('La fecha de fin no puede ser anterior a la fecha de inicio.', 400);
+  }
+  if (fechaInicio.slice(0, 4) !== codigo.slice(0, 4)) {
+    throwClientError(`El periodo ${codigo} debe empezar en el año ${codigo.slice(0, 4)}.`, 400);
+  }
+};
+
+// Traduce el código repetido y la superposición de fechas que rechaza la base de datos.
+const traducirConflicto = (error, codigo) => {
+  if (error.code === '23505') {
+    throwClientError(`Ya existe el periodo ${codigo}.`, 409);
+  }
+  if (error.code === '23P01') {
+    throwClientError('Las fechas se superponen con las de otro periodo.', 409);
+  }
+  throw error;
+};
+
+/**
+ * Lista los periodos académicos, del más reciente al más antiguo.
+ * @async
+ * @returns {Promise<object>} Objeto indicando éxito y los periodos, con sus entrenamientos por estado.
+ */
+export const listarPeriodos = async () => {
+  try {
+    const periodos = await PeriodoModel.listar();
+    return { success: true, message: 'Periodos académicos obtenidos exitosamente.', data: periodos };
+  } catch (error) {
+    return relanzar('SERVICIO_PERIODO', error, 'listar los periodos académicos');
+  }
+};
+
+/**
+ * Crea un periodo académico abierto.
+ * @async
+ * @param {object} datos - Datos del periodo (ya validados).
+ * @param {string} datos.codigo - Código (YYYY-1 o YYYY-2).
+ * @param {string} datos.fechaInicio - Primer día (YYYY-MM-DD).
+ * @param {string} datos.fechaFin - Último día (YYYY-MM-DD).
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y el periodo creado.
+ * @throws {Error} 400 si las fechas no son coherentes con el código, 409 si el código existe o las fechas se
+ * superponen con otro periodo.
+ */
+export const crearPeriodo = async ({ codigo, fechaInicio, fechaFin }, usuario) => {
+  try {
+    comprobarFechas(codigo, fechaInicio, fechaFin);
+    await PeriodoModel.crear({ codigo, fechaInicio, fechaFin, usuario }).catch((error) => traducirConflicto(error, codigo));
+    logger.info(`[SERVICIO_PERIODO] Periodo ${codigo} creado por ${usuario.role} ${usuario.id}.`);
+    return { success: true, message: 'Periodo académico creado exitosamente.', data: await PeriodoModel.obtenerPorCodigo(codigo) };
+  } catch (error) {
+    return relanzar('SERVICIO_PERIODO', error, 'crear el periodo académico');
+  }
+};
+
+/**
+ * Cambia las fechas de un periodo abierto. Los entrenamientos que empezaron en el periodo deben seguir dentro de él.
+ * @async
+ * @param {string} codigo - Código del periodo.
+ * @param {{fechaInicio?: string, fechaFin?: string}} cambios - Fechas nuevas (ya validadas); las omitidas no cambian.
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y el periodo modificado.
+ * @throws {Error} 400 si las fechas no son coherentes, 404 si el periodo no existe, 409 si está cerrado, si algún
+ * entrenamiento quedaría fuera o si las fechas se superponen con otro periodo.
+ */
+export const actualizarPeriodo = async (codigo, cambios, usuario) => {
+  try {
+    const periodo = await obtenerPeriodoExistente(codigo);
+    if (periodo.estado !== 'abierto') {
+      throwClientError(`El periodo ${codigo} está cerrado; sus fechas no se pueden cambiar.`, 409);
+    }
+    const fechaInicio = cambios.fechaInicio ?? periodo.fechaInicio;
+    const fechaFin = cambios.fechaFin ?? periodo.fechaFin;
+    comprobarFechas(codigo, fechaInicio, fechaFin);
+
+    const fuera = await PeriodoModel.contarEntrenamientosFueraDeFechas(periodo.id, fechaInicio, fechaFin);
+    if (fuera > 0) {
+      throwClientError(`${fuera === 1 ? 'Un entrenamiento del periodo empezó' : `${fuera} entrenamientos del periodo empezaron`} fuera de las fechas nuevas.`, 409);
+    }
+    const actualizado = await PeriodoModel.actualizarFechas(periodo.id, { fechaInicio, fechaFin }).catch((error) => traducirConflicto(error, codigo));
+    if (!actualizado) {
+      throwClientError(`El periodo ${codigo} está cerrado; sus fechas no se pueden cambiar.`, 409);
+    }
+    logger.info(`[SERVICIO_PERIODO] Fechas del periodo ${codigo} cambiadas a ${fechaInicio} - ${fechaFin} por ${usuario.role} ${usuario.id}.`);
+    return { success: true, message: 'Periodo académico actualizado exitosamente.', data: await PeriodoModel.obtenerPorCodigo(codigo) };
+  } catch (error) {
+    return relanzar('SERVICIO_PERIODO', error, 'modificar el periodo académico');
+  }
+};
+
+/**
+ * Elimina un periodo al que no pertenece ningún entrenamiento.
+ * @async
+ * @param {string} codigo - Código del periodo.
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito.
+ * @throws {Error} 404 si el periodo no existe, 409 si tiene entrenamientos.
+ */
+export const eliminarPeriodo = async (codigo, usuario) => {
+  try {
+    const periodo = await obtenerPeriodoExistente(codigo);
+    const { abiertos, cerrados, trasladados } = periodo.entrenamientos;
+    const total = abiertos + cerrados + trasladados;
+    if (total > 0) {
+      throwClientError(`No se puede eliminar el periodo ${codigo}: tiene ${total} ${total === 1 ? 'entrenamiento' : 'entrenamientos'}.`, 409);
+    }
+
+    const eliminado = await PeriodoModel.eliminar(periodo.id).catch((error) => {
+      // Un entrenamiento se asignó al periodo entre la consulta y el borrado.
+      if (error.code === '23503') {
+        throwClientError(`No se puede eliminar el periodo ${codigo}: tiene entrenamientos.`, 409);
+      }
+      throw error;
+    });
+    if (!eliminado) {
+      throwClientError(`El periodo ${codigo} no existe.`, 404);
+    }
+    logger.warn(`[SERVICIO_PERIODO] Periodo ${codigo} eliminado por ${usuario.role} ${usuario.id}.`);
+    return { success: true, message: 'Periodo académico eliminado exitosamente.' };
+  } catch (error) {
+    return relanzar('SERVICIO_PERIODO', error, 'eliminar el periodo académico');
+  }
+};
+
+/**
+ * Cierra un periodo desde su último día. Sus entrenamientos abiertos se cierran o pasan al periodo de destino según
+ * la política (ver `PeriodoModel.cerrar`), y el periodo deja de admitir entrenamientos nuevos.
+ * @async
+ * @param {string} codigo - Código del periodo.
+ * @param {object} datos - Datos del cierre (ya validados).
+ * @param {string} datos.politica - 'cerrar', 'trasladar' o 'trasladarEnProgreso'.
+ * @param {string} [datos.periodoDestino] - Código del periodo al que se trasladan; por defecto, el siguiente.
+ * @param {string} [datos.motivo] - Motivo del cierre.
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito, el periodo cerrado, el de destino y cuántos entrenamientos se
+ * cerraron y trasladaron.
+ * @throws {Error} 400 si el destino no es posterior al periodo, 404 si el periodo o el destino no existen, 409 si el
+ * periodo no ha terminado o ya está cerrado, o si no hay un periodo de destino abierto.
+ */
+export const cerrarPeriodo = async (codigo, { politica, periodoDestino, motivo }, usuario) => {
+  try {
+    const periodo = await obtenerPeriodoExistente(codigo);
+    if (periodo.estado !== 'abierto') {
+      throwClientError(`El periodo ${codigo} ya está cerrado.`, 409);
+    }
+    if (periodo.fechaFin > hoyLocal()) {
+      throwClientError(`El periodo ${codigo} termina el ${periodo.fechaFin}; no se puede cerrar antes de su último día.`, 409);
+    }
+
+    let destino = null;
+    if (politica !== 'cerrar') {
+      destino = periodoDestino ? await obtenerPeriodoExistente(periodoDestino) : await PeriodoModel.obtenerSiguiente(codigo);
+      if (!destino) {
+        throwClientError(`No hay un periodo después de ${codigo}; créelo antes de trasladar los entrenamientos.`, 409);
+      }
+      if (destino.fechaInicio <= periodo.fechaFin) {
+        throwClientError(`El periodo de destino debe empezar después del ${periodo.fechaFin}.`, 400);
+      }
+      if (destino.estado !== 'abierto') {
+        throwClientError(`El periodo de destino ${destino.codigo} está cerrado.`, 409);
+      }
+    }
+
+    const resultado = await conTransaccion((cliente) => PeriodoModel.cerrar(periodo.id, {
+      politica,
+      destinoId: destino?.id ?? null,
+      motivo: motivo ?? null,
+      usuario,
+    }, cliente));
+    if (!resultado) {
+      throwClientError(`El periodo ${codigo} ya está cerrado.`, 409);
+    }
+
+    logger.info(`[SERVICIO_PERIODO] Periodo ${codigo} cerrado (${politica}) por ${usuario.role} ${usuario.id}: ${resultado.cerrados} entrenamientos cerrados y ${resultado.trasladados} trasladados${destino ? ` a ${destino.codigo}` : ''}.`);
+    return {
+      success: true,
+      message: `Periodo ${codigo} cerrado: ${resultado.cerrados} entrenamientos cerrados y ${resultado.trasladados} trasladados.`,
+      data: {
+        periodo: await PeriodoModel.obtenerPorCodigo(codigo),
+        destino: destino ? destino.codigo : null,
+        ...resultado,
+      },
+    };
+  } catch (error) {
+    return relanzar('SERVICIO_PERIODO', error, 'cerrar el periodo académico');
+  }
+};
@@ -0,0 +1,118 @@
+import * as PortalModel from '../models/portal.model.js';
+import { throwClientError, relanzar } from '../utils/response.util.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene la lógica del portal del estudiante: su perfil, su correo de contacto, sus entrenamientos con el
+ * progreso por variable y sus próximas sesiones. Cada servicio recibe el estudiante autenticado (`req.user`) y solo
+ * consulta sus registros; nunca devuelve datos de otros estudiantes ni las observaciones de los entrenadores.
+ */
+
+/**
+ * Agrupa por entrenamiento las filas de progreso (una por variable asignada).
+ * @param {Array<object>} filas - Filas de `PortalModel.obtenerProgreso`.
+ * @returns {Array<object>} Los entrenamientos con sus variables, en el orden de las filas.
+ */
+const armarEntrenamientos = (filas) => {
+  const entrenamientos = new Map();
+  for (const fila of filas) {
+    if (!entrenamientos.has(fila.entrenamientoId)) {
+      entrenamientos.set(fila.entrenamientoId, {
+        entrenamientoId: fila.entrenamientoId,
+        fechaInicio: fila.entrenamientoFechaInicio,
+        fechaFin: fila.entrenamientoFechaFin,
+        estado: fila.entrenamientoEstadoGeneral,
+        variables: [],
+      });
+    }
+    entrenamientos.get(fila.entrenamientoId).variables.push({
+      asignacionVariableId: fila.asignacionVariableId,
+      variableCognitiva: fila.variableCognitivaNombre,
+      estado: fila.asignacionVariableEstado,
+      entrenador: fila.entrenadorNombres ?? null,
+      nivelInicial: fila.asignacionNivelInicial ?? null,
+      metricasActuales: fila.asignacionMetricasActuales ?? null,
+      totalSesiones: Number(fila.totalSesiones ?? 0),
+      sesionesFinalizadas: Number(fila.sesionesFinalizadas ?? 0),
+      sesionesAbandonadas: Number(fila.sesionesAbandonadas ?? 0),
+      sesiones: fila.sesiones,
+    });
+  }
+  return [...entrenamientos.values()];
+};
+
+/**
+ * Obtiene el perfil del estudiante autenticado.
+ * @async
+ * @param {object} usuario - Estudiante autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y el perfil.
+ * @throws {Error} 404 si el estudiante ya no existe.
+ */
+export const obtenerPerfil = async (usuario) => {
+  try {
+    const perfil = await PortalModel.obtenerPerfil(usuario.id);
+    if (!perfil) {
+      throwClientError('Estudiante no encontrado.', 404);
+    }
+    return { success: true, message: 'Perfil obtenido exitosamente.', data: perfil };
+  } catch (error) {
+    return relanzar('SERVICIO_PORTAL', error, 'obtener el perfil del estudiante');
+  }
+};
+
+/**
+ * Cambia el correo de contacto del estudiante autenticado, donde recibe las notificaciones.
+ * El correo institucional, con el que inicia sesión, no cambia.
+ * @async
+ * @param {object} usuario - Estudiante autenticado (`req.user`).
+ * @param {string|null} correoContacto - El correo nuevo; null lo borra y las notificaciones vuelven al institucional.
+ * @returns {Promise<object>} Objeto indicando éxito y el perfil actualizado.
+ * @throws {Error} 404 si el estudiante ya no existe.
+ */
+export const actualizarCorreoContacto = async (usuario, correoContacto) => {
+  try {
+    if (!(await PortalModel.actualizarCorreoContacto(usuario.id, correoContacto))) {
+      throwClientError('Estudiante no encontrado.', 404);
+    }
+    logger.info(`[SERVICIO_PORTAL] Correo de contacto del estudiante ${usuario.id} ${correoContacto ? 'actualizado' : 'borrado'}.`);
+    return {
+      success: true,
+      message: 'Correo de contacto actualizado exitosamente.',
+      data: await PortalModel.obtenerPerfil(usuario.id),
+    };
+  } catch (error) {
+    return relanzar('SERVICIO_PORTAL', error, 'actualizar el correo de contacto');
+  }
+};
+
+/**
+ * Lista los entrenamientos del estudiante autenticado con el progreso de cada variable y sus sesiones
+ * (número, estado y fechas, sin observaciones). No incluye los entrenamientos ni las sesiones archivados.
+ * @async
+ * @param {object} usuario - Estudiante autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y los entrenamientos, del más reciente al más antiguo.
+ */
+export const listarEntrenamientos = async (usuario) => {
+  try {
+    const filas = await PortalModel.obtenerProgreso(usuario.id);
+    return { success: true, message: 'Entrenamientos obtenidos exitosamente.', data: armarEntrenamientos(filas) };
+  } catch (error) {
+    return relanzar('SERVICIO_PORTAL', error, 'listar los entrenamientos del estudiante');
+  }
+};
+
+/**
+ * Lista las sesiones planificadas del estudiante autenticado que aún no terminan, con la solicitud de cambio
+ * pendiente de cada una.
+ * @async
+ * @param {object} usuario - Estudiante autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y las sesiones en orden de inicio.
+ */
+export const listarProximasSesiones = async (usuario) => {
+  try {
+    const sesiones = await PortalModel.obtenerProximasSesiones(usuario.id);
+    return { success: true, message: 'Próximas sesiones obtenidas exitosamente.', data: sesiones };
+  } catch (error) {
+    return relanzar('SERVICIO_PORTAL', error, 'listar las próximas sesiones del estudiante');
+  }
+};
@@ -0,0 +1,91 @@
+import { randomUUID } from 'crypto';
+import * as PropiedadModel from '../models/propiedad.model.js';
+import { throwClientError } from '../utils/response.util.js';
+import { tienePermiso, PERMISOS } from '../utils/permisos.utils.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene la verificación de propiedad: un entrenador solo modifica los entrenamientos que tiene asignados
+ * (CC.EntrenadorEntrenamiento) y sus sesiones y asignaciones. Un administrador puede hacerlo indicando un motivo;
+ * el override queda registrado si la operación termina con éxito.
+ */
+
+const NOMBRES_POR_TIPO = Object.freeze({
+  sesion: 'la sesión',
+  asignacion: 'la asignación',
+  entrenamiento: 'el entrenamiento',
+});
+
+/**
+ * Verifica que el usuario pueda modificar la sesión, asignación o entrenamiento.
+ * @async
+ * @param {object} usuario - Usuario autenticado (`req.user`, con `id` y `role`).
+ * @param {string} tipo - 'sesion', 'asignacion' o 'entrenamiento'.
+ * @param {string} registroId - UUID de la sesión, asignación o entrenamiento.
+ * @param {object} [override={}] - Datos del override de administrador.
+ * @param {string} [override.motivo] - Motivo del override (cabecera `X-Override-Motivo`).
+ * @param {string} [override.operacion] - Operación que se está realizando, para el registro.
+ * @returns {Promise<{override: boolean, datosOverride?: object}>} Si se usa el override y, en ese caso, los datos de su
+ * registro (con su `id` ya asignado) para `registrarOverride` cuando la operación termine con éxito.
+ * @throws {Error} 403 si el entrenador no está vinculado al entrenamiento, o si un administrador no indica el motivo.
+ */
+export const verificarPropiedad = async (usuario, tipo, registroId, { motivo, operacion } = {}) => {
+  const nombre = NOMBRES_POR_TIPO[tipo];
+
+  if (tienePermiso(usuario?.role, PERMISOS.PROPIEDAD_OVERRIDE)) {
+    const motivoLimpio = typeof motivo === 'string' ? motivo.trim() : '';
+    if (!motivoLimpio) {
+      throwClientError(`Para modificar ${nombre} de otro entrenador indique el motivo en la cabecera X-Override-Motivo.`, 403);
+    }
+    return {
+      override: true,
+      datosOverride: {
+        id: randomUUID(),
+        usuarioId: usuario.id,
+        rol: usuario.role,
+        operacion,
+        tipo,
+        registroId,
+        motivo: motivoLimpio.slice(0, 500),
+      },
+    };
+  }
+
+  let esPropietario = false;
+  if (usuario?.role === 'entrenador') {
+    try {
+      esPropietario = await PropiedadModel.esDeEntrenador(tipo, usuario.id, registroId);
+    } catch (error) {
+      logger.error(`[SERVICIO_PROPIEDAD] Error al verificar la propiedad de ${tipo}:`, error);
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    }
+  }
+
+  if (!esPropietario) {
+    logger.warn(`[SERVICIO_PROPIEDAD] Usuario ${usuario?.id} (${usuario?.role}) no vinculado a ${tipo} ${registroId}.`);
+    throwClientError(tipo === 'entrenamiento'
+      ? 'Acceso denegado: el entrenamiento no le está asignado.'
+      : `Acceso denegado: ${nombre} pertenece a un entrenamiento que no le está asignado.`, 403);
+  }
+  return { override: false };
+};
+
+/**
+ * Registra el override de administrador de una operación que terminó con éxito. Se ejecuta después de responder,
+ * así que un error solo se registra en el log.
+ * @async
+ * @param {object} datosOverride - Datos devueltos por `verificarPropiedad`.
+ * @returns {Promise<void>}
+ */
+export const registrarOverride = async (datosOverride) => {
+  const { id, usuarioId, rol, tipo, registroId, motivo } = datosOverride;
+  try {
+    await PropiedadModel.registrarOverride(datosOverride);
+    logger.warn(`[SERVICIO_PROPIEDAD] Override ${id} de ${rol} ${usuarioId} sobre ${tipo} ${registroId}: ${motivo}`);
+  } catch (error) {
+    logger.error(`[SERVICIO_PROPIEDAD] Error al registrar el override ${id}:`, error);
+  }
+};
@@ -0,0 +1,193 @@
+import * as SolicitudCambioSesionModel from '../models/solicitudCambioSesion.model.js';
+import * as AgendaModel from '../models/agenda.model.js';
+import * as NotificacionService from './notificacion.service.js';
+import { tieneAlcanceGlobal } from './alcance.service.js';
+import { EVENTOS_NOTIFICACION } from '../utils/notificaciones.utils.js';
+import { throwClientError, relanzar } from '../utils/response.util.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene la lógica de las solicitudes de cambio de fecha de las sesiones planificadas: el estudiante propone
+ * un horario nuevo desde el portal y el entrenador de la sesión (o un administrador) la aprueba o la rechaza.
+ * Al aprobarla, la sesión se mueve al horario propuesto, con la misma duración.
+ * Las fechas se manejan como texto en hora local (YYYY-MM-DDTHH:MM:SS), igual que en la agenda.
+ */
+
+// Fecha y hora local actual como texto (YYYY-MM-DDTHH:MM:SS), para compararla con las fechas de la agenda.
+const ahoraLocal = () => {
+  const ahora = new Date();
+  return new Date(ahora.getTime() - ahora.getTimezoneOffset() * 60000).toISOString().slice(0, 19);
+};
+
+// Suma minutos a una fecha y hora local en texto; usa UTC solo como calendario, sin convertir zonas.
+const sumarMinutos = (fechaHora, minutos) => new Date(new Date(`${fechaHora}Z`).getTime() + minutos * 60000).toISOString().slice(0, 19);
+
+/**
+ * Pide mover una sesión planificada propia a otro horario, con la misma duración. Queda pendiente hasta que el
+ * entrenador la resuelva; una sesión solo puede tener una solicitud pendiente.
+ * @async
+ * @param {string} sesionPlanificadaId - UUID de la sesión planificada.
+ * @param {object} datos - Datos de la solicitud (ya validados).
+ * @param {string} datos.inicioPropuesto - Inicio propuesto (YYYY-MM-DDTHH:MM:SS).
+ * @param {string} [datos.motivo] - Motivo del cambio.
+ * @param {object} usuario - Estudiante autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y la solicitud creada.
+ * @throws {Error} 404 si la sesión no existe o no es del estudiante, 409 si está cancelada, ya empezó o ya tiene una
+ * solicitud pendiente, 400 si el horario propuesto ya pasó o es el mismo de la sesión.
+ */
+export const solicitarCambio = async (sesionPlanificadaId, { inicioPropuesto, motivo }, usuario) => {
+  logger.debug(`[SERVICIO_SOLICITUD_CAMBIO] Estudiante ${usuario.id} pide cambiar la sesión planificada ${sesionPlanificadaId}.`);
+  try {
+    const sesion = await SolicitudCambioSesionModel.obtenerSesionPlanificada(sesionPlanificadaId);
+    // La sesión de otro estudiante se responde igual que una que no existe.
+    if (!sesion || sesion.estudianteId !== usuario.id) {
+      throwClientError('La sesión planificada no existe.', 404);
+    }
+    if (sesion.cancelada) {
+      throwClientError('La sesión está cancelada; no se puede cambiar su fecha.', 409);
+    }
+    if (sesion.iniciada) {
+      throwClientError('La sesión ya empezó o ya pasó; no se puede cambiar su fecha.', 409);
+    }
+    if (inicioPropuesto <= ahoraLocal()) {
+      throwClientError('El horario propuesto ya pasó.', 400);
+    }
+    if (inicioPropuesto === sesion.inicio) {
+      throwClientError('El horario propuesto es el mismo de la sesión.', 400);
+    }
+
+    const solicitud = await SolicitudCambioSesionModel.crear({
+      sesion,
+      inicioPropuesto,
+      finPropuesto: sumarMinutos(inicioPropuesto, sesion.duracionMinutos),
+      motivo: motivo ?? null,
+    }).catch((error) => {
+      if (error.code === '23505') {
+        throwClientError('La sesión ya tiene una solicitud de cambio pendiente.', 409);
+      }
+      throw error;
+    });
+
+    logger.info(`[SERVICIO_SOLICITUD_CAMBIO] Solicitud ${solicitud.id} creada por el estudiante ${usuario.id}.`);
+    await NotificacionService.notificar(EVENTOS_NOTIFICACION.SESION_CAMBIO_SOLICITADO, { solicitudId: solicitud.id });
+    return { success: true, message: 'Solicitud de cambio enviada. Su entrenador la revisará.', data: solicitud };
+  } catch (error) {
+    return relanzar('SERVICIO_SOLICITUD_CAMBIO', error, 'solicitar el cambio de una sesión');
+  }
+};
+
+/**
+ * Lista las solicitudes de cambio del estudiante autenticado.
+ * @async
+ * @param {object} usuario - Estudiante autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y las solicitudes, de la más reciente a la más antigua.
+ */
+export const listarSolicitudesPropias = async (usuario) => {
+  try {
+    const solicitudes = await SolicitudCambioSesionModel.listar({ estudianteId: usuario.id });
+    return { success: true, message: 'Solicitudes obtenidas exitosamente.', data: solicitudes };
+  } catch (error) {
+    return relanzar('SERVICIO_SOLICITUD_CAMBIO', error, 'listar las solicitudes del estudiante');
+  }
+};
+
+/**
+ * Lista las solicitudes de cambio de sesión: las de las sesiones del entrenador autenticado, o todas para un
+ * usuario con alcance global.
+ * @async
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @param {object} [filtros={}] - Filtros de la consulta.
+ * @param {string} [filtros.estado] - Estado de las solicitudes ('pendiente' por defecto, o 'todas').
+ * @param {string} [filtros.entrenador] - Solo las de este entrenador (usuarios con alcance global).
+ * @returns {Promise<object>} Objeto indicando éxito y las solicitudes, de la más reciente a la más antigua.
+ */
+export const listarSolicitudes = async (usuario, { estado = 'pendiente', entrenador } = {}) => {
+  try {
+    const solicitudes = await SolicitudCambioSesionModel.listar({
+      entrenadorId: tieneAlcanceGlobal(usuario) ? entrenador : usuario.id,
+      estado: estado === 'todas' ? undefined : estado,
+    });
+    return { success: true, message: 'Solicitudes obtenidas exitosamente.', data: solicitudes };
+  } catch (error) {
+    return relanzar('SERVICIO_SOLICITUD_CAMBIO', error, 'listar las solicitudes de cambio de sesión');
+  }
+};
+
+/**
+ * Aprueba o rechaza una solicitud pendiente. Solo la resuelve el entrenador de la sesión o un usuario con alcance
+ * global. Aprobarla mueve la sesión al horario propuesto si no se cruza con otra sesión planificada del entrenador
+ * o del estudiante; si se cruza, no cambia nada y se devuelven los cruces. La disponibilidad semanal del entrenador
+ * no se comprueba: quien aprueba acepta el horario.
+ * @async
+ * @param {string} solicitudId - UUID de la solicitud.
+ * @param {object} resolucion - La resolución (ya validada).
+ * @param {boolean} resolucion.aprobar - `true` para aprobarla, `false` para rechazarla.
+ * @param {string} [resolucion.respuesta] - Respuesta para el estudiante.
+ * @param {object} usuario - Usuario autenticado (`req.user`).
+ * @returns {Promise<object>} Objeto indicando éxito y la solicitud resuelta; si hay cruces,
+ * `{ success: false, statusCode: 409, message, conflictos }`.
+ * @throws {Error} 404 si la solicitud no existe, 403 si la sesión es de otro entrenador, 409 si ya estaba resuelta,
+ * la sesión se canceló, el horario propuesto ya pasó o otra sesión lo ocupó mientras se resolvía.
+ */
+export const resolverSolicitud = async (solicitudId, { aprobar, respuesta }, usuario) => {
+  logger.debug(`[SERVICIO_SOLICITUD_CAMBIO] ${usuario.role} ${usuario.id} resuelve la solicitud ${solicitudId}.`);
+  try {
+    const solicitud = await SolicitudCambioSesionModel.obtenerPorId(solicitudId);
+    if (!solicitud) {
+      throwClientError('La solicitud de cambio no existe.', 404);
+    }
+    if (!tieneAlcanceGlobal(usuario) && solicitud.entrenadorId !== usuario.id) {
+      throwClientError('Solo el entrenador de la sesión puede resolver esta solicitud.', 403);
+    }
+    if (solicitud.estado !== 'pendiente') {
+      throwClientError(`La solicitud ya fue ${solicitud.estado}.`, 409);
+    }
+
+    if (aprobar) {
+      if (solicitud.sesionCancelada) {
+        throwClientError('La sesión se canceló; rechace la solicitud.', 409);
+      }
+      if (solicitud.inicioPropuesto <= ahoraLocal()) {
+        throwClientError('El horario propuesto ya pasó; rechace la solicitud.', 409);
+      }
+      const cruces = (await AgendaModel.buscarCruces({
+        entrenadorId: solicitud.entrenadorId,
+        estudianteId: solicitud.estudianteId,
+        sesiones: [{ inicio: solicitud.inicioPropuesto, fin: solicitud.finPropuesto }],
+      }))
+        .filter((cruce) => cruce.sesionPlanificadaId !== solicitud.sesionPlanificadaId)
+        .map(({ indice: _indice, ...cruce }) => cruce);
+      if (cruces.length > 0) {
+        logger.warn(`[SERVICIO_SOLICITUD_CAMBIO] Solicitud ${solicitudId} no aprobada: el horario propuesto tiene ${cruces.length} cruces.`);
+        return {
+          success: false,
+          statusCode: 409,
+          message: 'El horario propuesto se cruza con otras sesiones planificadas. Libere el horario o rechace la solicitud.',
+          conflictos: cruces,
+        };
+      }
+    }
+
+    const estado = aprobar ? 'aprobada' : 'rechazada';
+    const resuelta = await SolicitudCambioSesionModel.resolver(solicitudId, { estado, respuesta: respuesta ?? null, usuario })
+      .catch((error) => {
+        if (error.code === '23P01') {
+          throwClientError('Otra sesión se planificó en el horario propuesto mientras se resolvía la solicitud. Inténtelo de nuevo.', 409);
+        }
+        throw error;
+      });
+    if (!resuelta) {
+      throwClientError('La solicitud ya fue resuelta.', 409);
+    }
+
+    logger.info(`[SERVICIO_SOLICITUD_CAMBIO] Solicitud ${solicitudId} ${estado} por ${usuario.role} ${usuario.id}.`);
+    await NotificacionService.notificar(EVENTOS_NOTIFICACION.SESION_CAMBIO_RESUELTO, { solicitudId });
+    return {
+      success: true,
+      message: aprobar ? 'Solicitud aprobada; la sesión se movió al horario propuesto.' : 'Solicitud rechazada.',
+      data: resuelta,
+    };
+  } catch (error) {
+    return relanzar('SERVICIO_SOLICITUD_CAMBIO', error, 'resolver la solicitud de cambio de sesión');
+  }
+};
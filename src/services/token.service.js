@@ -0,0 +1,153 @@
+import { randomBytes, randomUUID, createHash } from 'crypto';
+import * as TokenRefrescoModel from '../models/tokenRefresco.model.js';
+import * as AuthModel from '../models/auth.model.js';
+import { generartoken } from '../utils/jwt.utils.js';
+import { throwClientError } from '../utils/response.util.js';
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+
+/**
+ * @file Contiene la lógica de las sesiones de inicio de sesión: emisión, rotación y revocación
+ * de tokens de refresco.
+ */
+
+/**
+ * Calcula el hash SHA-256 (hex) de un token de refresco. Es lo único que se persiste.
+ * @param {string} token - El token de refresco en claro.
+ * @returns {string} El hash en hexadecimal.
+ */
+const hashearToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * Genera un token de refresco aleatorio y lo persiste dentro de una familia.
+ * @async
+ * @param {string} familia - UUID de la familia (inicio de sesión).
+ * @param {string} usuarioId - UUID del usuario.
+ * @param {string} rol - Rol del usuario.
+ * @param {object} [contexto={}] - Datos del cliente ({ ip, agenteUsuario }).
+ * @returns {Promise<{id: string, refreshToken: string}>} El ID del registro y el token en claro.
+ */
+const crearTokenRefresco = async (familia, usuarioId, rol, contexto = {}) => {
+  const refreshToken = randomBytes(48).toString('base64url');
+  const fechaExpiracion = new Date(Date.now() + config.jwt.refrescoDuracionHoras * 60 * 60 * 1000);
+
+  const creado = await TokenRefrescoModel.crear({
+    familia,
+    usuarioId,
+    rol,
+    hashToken: hashearToken(refreshToken),
+    fechaExpiracion,
+    ip: contexto.ip,
+    agenteUsuario: contexto.agenteUsuario,
+  });
+
+  return { id: creado.id, refreshToken };
+};
+
+/**
+ * Inicia una nueva sesión: emite un token de acceso y un token de refresco.
+ * @async
+ * @param {string} usuarioId - UUID del usuario.
+ * @param {string} rol - Rol del usuario.
+ * @param {object} [contexto={}] - Datos del cliente ({ ip, agenteUsuario }).
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+export const emitirSesion = async (usuarioId, rol, contexto = {}) => {
+  const familia = randomUUID();
+  const { refreshToken } = await crearTokenRefresco(familia, usuarioId, rol, contexto);
+
+  logger.info(`[SERVICIO_TOKEN] Sesión ${familia} iniciada para el usuario ${usuarioId} (${rol}).`);
+  return { token: generartoken(usuarioId, rol, familia), refreshToken };
+};
+
+/**
+ * Canjea un token de refresco por un nuevo par de tokens (rotación).
+ * Si se presenta un token ya rotado o revocado, se asume que fue robado y se revoca la sesión completa.
+ * @async
+ * @param {string} refreshToken - El token de refresco en claro.
+ * @param {object} [contexto={}] - Datos del cliente ({ ip, agenteUsuario }).
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ * @throws {Error} 401 si el token no es válido.
+ */
+export const refrescarSesion = async (refreshToken, contexto = {}) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throwClientError('El token de refresco es requerido.', 400);
+  }
+
+  const registro = await TokenRefrescoModel.obtenerPorHash(hashearToken(refreshToken));
+
+  if (!registro) {
+    logger.warn('[SERVICIO_TOKEN] Se presentó un token de refresco desconocido.');
+    throwClientError('Token de refresco inválido.', 401);
+  }
+
+  if (registro.fechaRevocacion) {
+    logger.warn(`[SERVICIO_TOKEN] Reutilización de un token de refresco revocado. Se revoca la sesión ${registro.familia}.`);
+    await TokenRefrescoModel.revocarFamilia(registro.familia, 'reutilizacion');
+    throwClientError('Token de refresco inválido.', 401);
+  }
+
+  if (new Date(registro.fechaExpiracion) <= new Date()) {
+    throwClientError('El token de refresco expiró. Inicie sesión nuevamente.', 401);
+  }
+
+  if (!(await AuthModel.estaActivo(registro.usuario, registro.rol))) {
+    await TokenRefrescoModel.revocarFamilia(registro.familia, 'usuario-inactivo');
+    throwClientError('El usuario ya no está activo.', 401);
+  }
+
+  const nuevo = await crearTokenRefresco(registro.familia, registro.usuario, registro.rol, contexto);
+  const rotado = await TokenRefrescoModel.marcarRotado(registro.id, nuevo.id);
+
+  if (!rotado) {
+    // Otro refresco con el mismo token ganó la carrera: se trata como reutilización.
+    logger.warn(`[SERVICIO_TOKEN] Refresco concurrente con el mismo token. Se revoca la sesión ${registro.familia}.`);
+    await TokenRefrescoModel.revocarFamilia(registro.familia, 'reutilizacion');
+    throwClientError('Token de refresco inválido.', 401);
+  }
+
+  logger.info(`[SERVICIO_TOKEN] Sesión ${registro.familia} refrescada para el usuario ${registro.usuario}.`);
+  return {
+    token: generartoken(registro.usuario, registro.rol, registro.familia),
+    refreshToken: nuevo.refreshToken,
+  };
+};
+
+/**
+ * Cierra la sesión asociada a un token de refresco.
+ * Es idempotente: un token desconocido o ya revocado no produce error.
+ * @async
+ * @param {string} refreshToken - El token de refresco en claro.
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export const cerrarSesion = async (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throwClientError('El token de refresco es requerido.', 400);
+  }
+
+  const registro = await TokenRefrescoModel.obtenerPorHash(hashearToken(refreshToken));
+  if (registro) {
+    await TokenRefrescoModel.revocarFamilia(registro.familia, 'logout');
+  }
+
+  return { success: true, message: 'Sesión cerrada exitosamente.' };
+};
+
+/**
+ * Revoca todas las sesiones de un usuario.
+ * @async
+ * @param {string} usuarioId - UUID del usuario.
+ * @param {string} rol - Rol del usuario.
+ * @param {string} [motivo='logout-global'] - Motivo de la revocación.
+ * @returns {Promise<{success: boolean, message: string, data: {sesionesRevocadas: number}}>}
+ */
+export const cerrarTodasLasSesiones = async (usuarioId, rol, motivo = 'logout-global') => {
+  const revocados = (await TokenRefrescoModel.revocarPorUsuario(usuarioId, rol, motivo)) || 0;
+
+  logger.info(`[SERVICIO_TOKEN] Se revocaron ${revocados} tokens del usuario ${usuarioId} (${rol}). Motivo: ${motivo}.`);
+  return {
+    success: true,
+    message: 'Todas las sesiones fueron cerradas.',
+    data: { sesionesRevocadas: revocados },
+  };
+};
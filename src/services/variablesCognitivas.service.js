@@ -5,6 +5,8 @@ import {
     obtenerIdVariableCognitivaPorNombre as obtenerIdVariableCognitivaPorNombreModel 
 } from '../models/variablesCognitivas.model.js';
 import logger from '../config/logger.js'; 
+import * as NotificacionService from './notificacion.service.js';
+import { EVENTOS_NOTIFICACION } from '../utils/notificaciones.utils.js';
 
 /**
  * Servicio para marcar una variable cognitiva como 'Abandono'.
@@ -33,6 +35,11 @@ export const abandonarVariableCognitiva = async (datosAbandono) => {
     }
 
     logger.info(`[SERVICIO_VARIABLES] Variable ${idVariableCognitiva} abandonada exitosamente para estudiante ${numeroDocumento}.`);
+    NotificacionService.notificar(EVENTOS_NOTIFICACION.VARIABLE_ABANDONADA, {
+      siglaDocumento,
+      numeroDocumento,
+      variableCognitivaId: idVariableCognitiva,
+    });
     return resultado;
   } catch (error) {
     logger.error('[SERVICIO_VARIABLES] Error en servicio al abandonar variable:', error);
@@ -1,3 +1,5 @@
+import { TIPOS_CATALOGO } from './utils/catalogos.utils.js';
+
 const port = process.env.PORT || 3001;
 
 /**
@@ -14,7 +16,7 @@ export const swaggerOptions = {
         name: 'Equipo de Desarrollo',
         email: 'devteam@example.com',
       },
-      description: 'API REST para la gestión de datos de la plataforma CogniCare, incluyendo estudiantes, entrenadores y entrenamientos cognitivos.\n\nAutenticación\n\n **IMPORTANTE:** La mayoría de los endpoints requieren un token de autenticación (JWT Bearer).\n\nPara acceder a los endpoints protegidos, sigue estos pasos:\n1. **Obtén tu token:** Realiza una petición `POST` a `/api/login/admin` o `/api/login/entrenador` con tus credenciales.\n2. **Autoriza tus peticiones:** Haz clic en el botón **"Authorize"** (arriba a la derecha) y pega tu token en el campo `bearerAuth` con el formato `Bearer <TU_TOKEN_JWT>`.\n\nRoles y Permisos\n\nLa API cuenta con dos roles principales con diferentes niveles de acceso:\n\n### **Admin**\n- Gestión completa de entrenadores (CRUD).\n- Visualización de todos los informes de entrenamiento.\n- Acceso total a las utilidades del sistema.\n\n### **Entrenador**\n- Gestión de estudiantes y sus entrenamientos cognitivos.\n- Creación y seguimiento de sesiones de entrenamiento.\n- Visualización de informes de los estudiantes asignados.',
+      description: 'API REST para la gestión de datos de la plataforma CogniCare, incluyendo estudiantes, entrenadores y entrenamientos cognitivos.\n\nAutenticación\n\n **IMPORTANTE:** La mayoría de los endpoints requieren un token de autenticación (JWT Bearer).\n\nPara acceder a los endpoints protegidos, sigue estos pasos:\n1. **Obtén tu token:** Realiza una petición `POST` a `/api/login/admin` o `/api/login/entrenador` con tus credenciales.\n2. **Autoriza tus peticiones:** Haz clic en el botón **"Authorize"** (arriba a la derecha) y pega tu token en el campo `bearerAuth` con el formato `Bearer <TU_TOKEN_JWT>`.\n\nRoles y Permisos\n\nCada endpoint exige un permiso con la forma `recurso:accion` (ej. `estudiante:crear`), indicado en el campo **x-permiso** del endpoint. Los roles son conjuntos de permisos (ver `src/utils/permisos.utils.js`):\n\n### **Admin**\n- Gestión completa de entrenadores, coordinadores y credenciales.\n- Visualización de todos los informes de entrenamiento.\n- Configuración de los umbrales de las alertas de riesgo por facultad.\n- Todas las operaciones sobre estudiantes, entrenamientos y sesiones. Para modificar sesiones o asignaciones de entrenamientos de otro entrenador debe enviar la cabecera `X-Override-Motivo`; el override queda registrado.\n\n### **Entrenador**\n- Gestión de estudiantes y sus entrenamientos cognitivos.\n- Creación y seguimiento de sesiones de entrenamiento. Solo modifica sesiones y asignaciones de los entrenamientos que tiene asignados.\n- Planificación de sesiones recurrentes, su agenda (exportable a iCalendar) y su disponibilidad semanal.\n- Consulta y descarte de las alertas de riesgo de abandono de sus estudiantes.\n- Notificaciones de sus entrenamientos asignados y de las variables finalizadas o abandonadas.\n- Visualización de sus propios informes.\n\n### **Coordinador**\n- Jefe de facultad con acceso de solo lectura a estudiantes, entrenamientos, entrenadores, informes y alertas de riesgo.\n- Notificaciones de su facultad: entrenadores desactivados y variables finalizadas o abandonadas.',
     },
     servers: [
       {
@@ -38,9 +40,149 @@ export const swaggerOptions = {
           description: 'Token JWT obtenido al hacer login. Formato: `Bearer <tu_token>`',
         },
       },
+      parameters: {
+        OverrideMotivo: {
+          in: 'header',
+          name: 'X-Override-Motivo',
+          required: false,
+          schema: { type: 'string', maxLength: 500 },
+          description: 'Solo administradores: motivo para modificar una sesión o asignación de un entrenamiento que no es suyo. Obligatorio para el admin; el override queda registrado.',
+        },
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          schema: { type: 'string', maxLength: 255 },
+          description: 'Clave única por operación (ej. un UUID generado por el cliente) para reintentar sin duplicar. '
+            + 'Un reintento con la misma clave y el mismo cuerpo recibe la respuesta original con la cabecera `Idempotent-Replayed: true`; '
+            + 'la misma clave con otro cuerpo, o mientras la petición original sigue en curso, responde 409. Las claves duran 24 horas por defecto.',
+        },
+        Catalogo: {
+          in: 'path',
+          name: 'catalogo',
+          required: true,
+          schema: { type: 'string', enum: [...TIPOS_CATALOGO] },
+          description: 'Catálogo administrado.',
+        },
+        CodigoPeriodo: {
+          in: 'path',
+          name: 'codigo',
+          required: true,
+          schema: { type: 'string', pattern: '^\\d{4}-[12]$', example: '2026-1' },
+          description: 'Código del periodo académico.',
+        },
+        // Parámetros comunes de los listados (ver utils/consulta.utils.js).
+        ListadoPage: {
+          in: 'query',
+          name: 'page',
+          required: false,
+          schema: { type: 'integer', minimum: 1, default: 1 },
+          description: 'Número de página. No se puede combinar con `cursor`.',
+        },
+        ListadoPageSize: {
+          in: 'query',
+          name: 'pageSize',
+          required: false,
+          schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          description: 'Cantidad de elementos por página.',
+        },
+        ListadoCursor: {
+          in: 'query',
+          name: 'cursor',
+          required: false,
+          schema: { type: 'string' },
+          description: 'Cursor opaco devuelto en `next` por la página anterior. Si se envía, se ignora `pageSize`.',
+        },
+        ListadoSort: {
+          in: 'query',
+          name: 'sort',
+          required: false,
+          schema: { type: 'string', example: '-fechaInicio,apellidos' },
+          description: 'Campos de orden separados por coma; un "-" inicial ordena de forma descendente. Cada listado indica sus campos permitidos; uno no permitido responde 400.',
+        },
+        IncluirArchivados: {
+          in: 'query',
+          name: 'incluirArchivados',
+          required: false,
+          schema: { type: 'boolean', default: false },
+          description: 'Incluye los registros archivados, que por defecto no aparecen. En los listados sin registros archivables responde 400.',
+        },
+        FiltroEstado: {
+          in: 'query',
+          name: 'estado',
+          required: false,
+          schema: { type: 'string' },
+          description: 'Filtra por estado (del entrenamiento o del contrato, según el listado).',
+        },
+        FiltroFechaDesde: {
+          in: 'query',
+          name: 'fechaDesde',
+          required: false,
+          schema: { type: 'string', format: 'date' },
+          description: 'Fecha de inicio mínima (ISO 8601).',
+        },
+        FiltroFechaHasta: {
+          in: 'query',
+          name: 'fechaHasta',
+          required: false,
+          schema: { type: 'string', format: 'date' },
+          description: 'Fecha de inicio máxima (ISO 8601). Una fecha sin hora incluye todo ese día.',
+        },
+        FiltroPrograma: {
+          in: 'query',
+          name: 'programa',
+          required: false,
+          schema: { type: 'string' },
+          description: 'Nombre del programa académico del estudiante.',
+        },
+        FiltroFacultad: {
+          in: 'query',
+          name: 'facultad',
+          required: false,
+          schema: { type: 'string', format: 'uuid' },
+          description: 'ID de la facultad.',
+        },
+        FiltroEntrenador: {
+          in: 'query',
+          name: 'entrenador',
+          required: false,
+          schema: { type: 'string', format: 'uuid' },
+          description: 'ID del entrenador asignado.',
+        },
+        FiltroPeriodo: {
+          in: 'query',
+          name: 'periodo',
+          required: false,
+          schema: { type: 'string', pattern: '^\\d{4}-[12]$', example: '2026-1' },
+          description: 'Código del periodo académico. Un entrenamiento trasladado pertenece a su periodo de origen y al de destino.',
+        },
+        FiltroAlerta: {
+          in: 'query',
+          name: 'alerta',
+          required: false,
+          schema: { type: 'string', enum: ['sin-sesiones', 'sesiones-sin-iniciar', 'metricas-en-descenso', 'fin-proximo', 'todas'] },
+          description: 'Solo los entrenamientos con una alerta de riesgo activa de esa regla (`todas`: con cualquier alerta activa).',
+        },
+        FormatoReporte: {
+          in: 'query',
+          name: 'formato',
+          required: false,
+          schema: { type: 'string', enum: ['pdf', 'csv', 'xlsx'] },
+          description: 'Si se indica, la respuesta es el reporte como archivo descargable en ese formato en lugar de JSON.',
+        },
+      },
       // NOTA: La mayoría de schemas se definen ahora en los archivos de /models.
       // Solo dejamos aquí schemas muy genéricos como el de Error.
       schemas: {
+        Paginacion: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer', description: 'Total de elementos que cumplen los filtros.', example: 57 },
+            page: { type: 'integer', example: 1 },
+            pageSize: { type: 'integer', example: 20 },
+            next: { type: 'string', nullable: true, description: 'Cursor de la siguiente página (parámetro `cursor`), o null si es la última.' },
+          },
+        },
         Error: {
           type: 'object',
           properties: {
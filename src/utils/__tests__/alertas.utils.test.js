@@ -0,0 +1,99 @@
+import { describe, it, expect } from '@jest/globals';
+import { evaluarReglas, umbralesEfectivos, UMBRALES_POR_DEFECTO } from '../alertas.utils.js';
+
+const HOY = '2025-03-31';
+
+const asignacion = {
+  fechaInicioEntrenamiento: '2025-02-01',
+  fechaFinEntrenamiento: '2500-12-31',
+  sesiones: [
+    { sesionId: 's1', estado: 'Finalizada', fechaInicio: '2025-03-25T10:00:00', fechaFin: '2025-03-25T11:00:00' },
+  ],
+  metricas: [],
+};
+
+const reglas = (datos, umbrales = UMBRALES_POR_DEFECTO) => evaluarReglas({ ...asignacion, ...datos }, umbrales, HOY);
+
+describe('Reglas de alertas de riesgo', () => {
+  it('no debería disparar ninguna regla en una asignación al día', () => {
+    expect(reglas({})).toEqual([]);
+  });
+
+  it('debería detectar los días sin sesiones desde la última iniciada o, si no hay, desde el inicio del entrenamiento', () => {
+    expect(reglas({ sesiones: [{ ...asignacion.sesiones[0], fechaInicio: '2025-03-10T10:00:00', fechaFin: '2025-03-10T11:00:00' }] }))
+      .toEqual([{ regla: 'sin-sesiones', detalle: { ultimaSesion: '2025-03-10', diasSinSesion: 21, umbral: 14 } }]);
+
+    expect(reglas({ sesiones: [] })).toEqual([{ regla: 'sin-sesiones', detalle: { ultimaSesion: null, diasSinSesion: 58, umbral: 14 } }]);
+  });
+
+  it('no debería contar los días sin sesiones de un entrenamiento que aún no empieza', () => {
+    expect(reglas({ sesiones: [], fechaInicioEntrenamiento: '2025-04-07' })).toEqual([]);
+  });
+
+  it('debería contar solo las sesiones sin iniciar cuya fecha ya pasó', () => {
+    const pendientes = [
+      { sesionId: 'p1', estado: 'Pendiente', fechaInicio: '2025-03-26T10:00:00', fechaFin: null },
+      { sesionId: 'p2', estado: 'Pendiente', fechaInicio: '2025-03-28T10:00:00', fechaFin: null },
+      { sesionId: 'p3', estado: 'Pendiente', fechaInicio: null, fechaFin: null },
+      { sesionId: 'p4', estado: 'Pendiente', fechaInicio: '2025-04-02T10:00:00', fechaFin: null },
+    ];
+
+    expect(reglas({ sesiones: [...asignacion.sesiones, ...pendientes] })).toEqual([{
+      regla: 'sesiones-sin-iniciar',
+      detalle: { sesionesSinIniciar: 3, sesiones: ['p1', 'p2', 'p3'], umbral: 3 },
+    }]);
+  });
+
+  it('debería detectar las métricas que bajan en cada una de las últimas sesiones', () => {
+    const metricas = [
+      { aciertos: 5, tiempo: 40, nivel: 'medio' },
+      { aciertos: 9, tiempo: 30, nivel: 'medio' },
+      { aciertos: 8, tiempo: 35, nivel: 'bajo' },
+      { aciertos: 6, tiempo: 31, nivel: 'bajo' },
+    ];
+
+    expect(reglas({ metricas })).toEqual([{
+      regla: 'metricas-en-descenso',
+      detalle: { metricas: [{ clave: 'aciertos', valores: [9, 8, 6] }], umbral: 3 },
+    }]);
+    // Con menos instantáneas que el umbral no hay tendencia.
+    expect(reglas({ metricas: metricas.slice(-2) })).toEqual([]);
+  });
+
+  it('debería avisar del fin próximo y no hacerlo en entrenamientos sin fecha de fin', () => {
+    expect(reglas({ fechaFinEntrenamiento: '2025-04-10' }))
+      .toEqual([{ regla: 'fin-proximo', detalle: { fechaFin: '2025-04-10', diasRestantes: 10, umbral: 14 } }]);
+    expect(reglas({ fechaFinEntrenamiento: '2025-03-20' })[0].detalle.diasRestantes).toBe(-11);
+    expect(reglas({ fechaFinEntrenamiento: '2025-05-30' })).toEqual([]);
+  });
+
+  it('debería usar los umbrales indicados', () => {
+    const umbrales = { ...UMBRALES_POR_DEFECTO, diasSinSesion: 5 };
+
+    expect(reglas({}, umbrales)).toEqual([{ regla: 'sin-sesiones', detalle: { ultimaSesion: '2025-03-25', diasSinSesion: 6, umbral: 5 } }]);
+  });
+});
+
+describe('umbralesEfectivos', () => {
+  const umbralesPorFacultad = new Map([
+    ['ingenieria', { diasSinSesion: 7, sesionesSinIniciar: null, sesionesEnDescenso: 4, diasAntesDeFin: 30 }],
+    ['salud', { diasSinSesion: 21, sesionesSinIniciar: 2, sesionesEnDescenso: null, diasAntesDeFin: 7 }],
+  ]);
+
+  it('debería usar los valores por defecto si el estudiante no tiene facultades', () => {
+    expect(umbralesEfectivos([], umbralesPorFacultad)).toEqual(UMBRALES_POR_DEFECTO);
+  });
+
+  it('debería completar con el valor por defecto los umbrales que la facultad no configura', () => {
+    expect(umbralesEfectivos(['ingenieria'], umbralesPorFacultad))
+      .toEqual({ diasSinSesion: 7, sesionesSinIniciar: 3, sesionesEnDescenso: 4, diasAntesDeFin: 30 });
+  });
+
+  it('debería aplicar el umbral más estricto entre varias facultades', () => {
+    expect(umbralesEfectivos(['ingenieria', 'salud'], umbralesPorFacultad))
+      .toEqual({ diasSinSesion: 7, sesionesSinIniciar: 2, sesionesEnDescenso: 3, diasAntesDeFin: 30 });
+    // Una facultad sin configurar aporta los valores por defecto.
+    expect(umbralesEfectivos(['salud', 'artes'], umbralesPorFacultad))
+      .toEqual({ diasSinSesion: 14, sesionesSinIniciar: 2, sesionesEnDescenso: 3, diasAntesDeFin: 14 });
+  });
+});
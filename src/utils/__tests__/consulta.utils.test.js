@@ -0,0 +1,151 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  separarParametrosListado,
+  codificarCursor,
+  decodificarCursor,
+  resolverPagina,
+  construirOrden,
+  construirConsultaListado,
+  construirConsultaExportacion,
+  armarPaginacion,
+} from '../consulta.utils.js';
+
+const definicion = {
+  origen: 'CC.ListaUV',
+  ordenes: { fechaInicio: 'fechainicio', apellidos: 'apellidos' },
+  ordenPorDefecto: '-fechaInicio',
+  desempate: 'id',
+  filtros: { estado: 'estado = ?', facultad: 'facultad = ?::uuid' },
+};
+
+describe('Utilidades de consultas de listados', () => {
+  describe('separarParametrosListado', () => {
+    it('debería separar la paginación de los filtros e ignorar valores vacíos', () => {
+      const opciones = separarParametrosListado({ page: 2, pageSize: 10, sort: 'apellidos', estado: 'Activo', programa: '' });
+
+      expect(opciones).toEqual({ page: 2, pageSize: 10, sort: 'apellidos', filtros: { estado: 'Activo' } });
+    });
+  });
+
+  describe('cursores', () => {
+    it('debería decodificar un cursor generado por codificarCursor', () => {
+      expect(decodificarCursor(codificarCursor(40, 20))).toEqual({ offset: 40, pageSize: 20 });
+    });
+
+    it('debería responder 400 ante un cursor manipulado', () => {
+      const cursor = Buffer.from(JSON.stringify({ o: -1, t: 20 })).toString('base64url');
+
+      expect(() => decodificarCursor(cursor)).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() => decodificarCursor('no-es-un-cursor')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  describe('resolverPagina', () => {
+    it('debería usar la página 1 y el tamaño por defecto', () => {
+      expect(resolverPagina()).toEqual({ page: 1, pageSize: 20, offset: 0 });
+    });
+
+    it('debería calcular el offset a partir de page y pageSize', () => {
+      expect(resolverPagina({ page: 3, pageSize: 10 })).toEqual({ page: 3, pageSize: 10, offset: 20 });
+    });
+
+    it('debería tomar la posición y el tamaño del cursor', () => {
+      expect(resolverPagina({ cursor: codificarCursor(30, 15), pageSize: 50 })).toEqual({ page: 3, pageSize: 15, offset: 30 });
+    });
+  });
+
+  describe('construirOrden', () => {
+    it('debería traducir los campos y añadir el desempate', () => {
+      expect(construirOrden(definicion, 'apellidos,-fechaInicio'))
+        .toBe('apellidos ASC NULLS LAST, fechainicio DESC NULLS LAST, id ASC');
+    });
+
+    it('debería responder 400 con los campos permitidos si el campo no está permitido', () => {
+      expect(() => construirOrden(definicion, 'contrasena')).toThrow(expect.objectContaining({
+        statusCode: 400,
+        message: expect.stringContaining('fechaInicio, apellidos'),
+      }));
+    });
+
+    it('debería responder 400 si se pide ordenar por una propiedad heredada de Object', () => {
+      for (const sort of ['constructor', '-toString', '__proto__']) {
+        expect(() => construirOrden(definicion, sort)).toThrow(expect.objectContaining({ statusCode: 400 }));
+      }
+    });
+  });
+
+  describe('construirConsultaListado', () => {
+    it('debería numerar los parámetros del origen, las condiciones fijas y los filtros', () => {
+      const consulta = construirConsultaListado(
+        { ...definicion, origen: 'CC.ListaUFT(?)' },
+        {
+          valoresOrigen: ['fac-uuid'],
+          condiciones: [{ sql: 'id IN (SELECT id FROM CC.AlcanceUFT(?, ?))', valores: ['usr-uuid', 'coordinador'] }],
+          filtros: { estado: 'Activo' },
+          page: 2,
+          pageSize: 5,
+        }
+      );
+
+      expect(consulta.datos.text).toBe(
+        'SELECT * FROM CC.ListaUFT($1) WHERE (id IN (SELECT id FROM CC.AlcanceUFT($2, $3))) AND (estado = $4)'
+        + ' ORDER BY fechainicio DESC NULLS LAST, id ASC LIMIT $5 OFFSET $6;'
+      );
+      expect(consulta.datos.values).toEqual(['fac-uuid', 'usr-uuid', 'coordinador', 'Activo', 5, 5]);
+      expect(consulta.total.text).toBe(
+        'SELECT COUNT(*)::int AS "total" FROM CC.ListaUFT($1) WHERE (id IN (SELECT id FROM CC.AlcanceUFT($2, $3))) AND (estado = $4);'
+      );
+      expect(consulta.total.values).toEqual(['fac-uuid', 'usr-uuid', 'coordinador', 'Activo']);
+    });
+
+    it('debería responder 400 si el listado no admite el filtro', () => {
+      expect(() => construirConsultaListado(definicion, { filtros: { programa: 'Sistemas' } })).toThrow(expect.objectContaining({
+        statusCode: 400,
+        message: expect.stringContaining('estado, facultad'),
+      }));
+    });
+
+    it('debería responder 400 si se pide filtrar por una propiedad heredada de Object', () => {
+      expect(() => construirConsultaListado(definicion, { filtros: { toString: 'x' } }))
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  describe('registros archivados', () => {
+    const conArchivados = { ...definicion, sinArchivados: 'fechaarchivado IS NULL' };
+
+    it('debería ocultar los archivados salvo que se pida incluirArchivados', () => {
+      const consulta = construirConsultaListado(conArchivados, { filtros: { estado: 'Activo' } });
+      const conTodos = construirConsultaListado(conArchivados, { filtros: { estado: 'Activo' }, incluirArchivados: true });
+
+      expect(consulta.total.text).toBe('SELECT COUNT(*)::int AS "total" FROM CC.ListaUV WHERE (fechaarchivado IS NULL) AND (estado = $1);');
+      expect(conTodos.total.text).toBe('SELECT COUNT(*)::int AS "total" FROM CC.ListaUV WHERE (estado = $1);');
+    });
+
+    it('debería responder 400 si el listado no tiene archivados', () => {
+      expect(() => construirConsultaListado(definicion, { incluirArchivados: true })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  describe('construirConsultaExportacion', () => {
+    it('debería aplicar los filtros y el orden sin paginar y pedir una fila más que el límite', () => {
+      const consulta = construirConsultaExportacion(definicion, { filtros: { estado: 'Activo' }, sort: 'apellidos', page: 3 }, 500);
+
+      expect(consulta.text).toBe('SELECT * FROM CC.ListaUV WHERE (estado = $1) ORDER BY apellidos ASC NULLS LAST, id ASC LIMIT $2;');
+      expect(consulta.values).toEqual(['Activo', 501]);
+    });
+  });
+
+  describe('armarPaginacion', () => {
+    it('debería devolver el cursor de la siguiente página si quedan elementos', () => {
+      const paginacion = armarPaginacion(45, { page: 2, pageSize: 20, offset: 20 });
+
+      expect(paginacion).toMatchObject({ total: 45, page: 2, pageSize: 20 });
+      expect(decodificarCursor(paginacion.next)).toEqual({ offset: 40, pageSize: 20 });
+    });
+
+    it('debería devolver next en null en la última página', () => {
+      expect(armarPaginacion(40, { page: 2, pageSize: 20, offset: 20 }).next).toBeNull();
+    });
+  });
+});
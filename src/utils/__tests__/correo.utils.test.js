@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import net from 'net';
+import { crearTransporteSmtp } from '../correo.utils.js';
+
+/**
+ * Servidor SMTP falso: responde lo mínimo del protocolo y guarda los mensajes recibidos.
+ * `rechazarDestinatario` responde 550 al RCPT TO, como un buzón inexistente.
+ */
+const iniciarServidorSmtp = ({ rechazarDestinatario = false } = {}) => new Promise((resolve) => {
+  const mensajes = [];
+  const servidor = net.createServer((socket) => {
+    let pendiente = '';
+    let enDatos = false;
+    let mensaje = { destinatarios: [], datos: '' };
+    const responder = (linea) => socket.write(`${linea}\r\n`);
+
+    responder('220 smtp.pruebas.local ESMTP');
+    socket.on('data', (trozo) => {
+      pendiente += trozo.toString('utf8');
+      let fin;
+      while ((fin = pendiente.indexOf('\r\n')) !== -1) {
+        const linea = pendiente.slice(0, fin);
+        pendiente = pendiente.slice(fin + 2);
+        if (enDatos) {
+          if (linea === '.') {
+            enDatos = false;
+            mensajes.push(mensaje);
+            mensaje = { destinatarios: [], datos: '' };
+            responder('250 2.0.0 Mensaje aceptado');
+          } else {
+            mensaje.datos += `${linea}\n`;
+          }
+          continue;
+        }
+        const comando = linea.slice(0, 4).toUpperCase();
+        if (comando === 'EHLO' || comando === 'HELO') {
+          responder('250 smtp.pruebas.local');
+        } else if (comando === 'MAIL') {
+          mensaje.remitente = linea;
+          responder('250 2.1.0 OK');
+        } else if (comando === 'RCPT') {
+          if (rechazarDestinatario) {
+            responder('550 5.1.1 Buzón inexistente');
+          } else {
+            mensaje.destinatarios.push(linea);
+            responder('250 2.1.5 OK');
+          }
+        } else if (comando === 'DATA') {
+          enDatos = true;
+          responder('354 Termine con <CRLF>.<CRLF>');
+        } else if (comando === 'QUIT') {
+          responder('221 2.0.0 Adiós');
+          socket.end();
+        } else {
+          responder('250 OK');
+        }
+      }
+    });
+  });
+  servidor.listen(0, '127.0.0.1', () => resolve({ servidor, mensajes, puerto: servidor.address().port }));
+});
+
+describe('Transporte SMTP', () => {
+  let smtp;
+  let transporte;
+
+  const crearTransporte = () => crearTransporteSmtp({
+    host: '127.0.0.1',
+    puerto: smtp.puerto,
+    seguro: false,
+    remitente: 'Centralizador <no-responder@pruebas.local>',
+  });
+
+  afterEach(async () => {
+    transporte?.cerrar();
+    await new Promise((resolve) => smtp.servidor.close(resolve));
+  });
+
+  describe('con un servidor que acepta los correos', () => {
+    beforeEach(async () => {
+      smtp = await iniciarServidorSmtp();
+      transporte = crearTransporte();
+    });
+
+    it('debería enviar el correo con el remitente configurado', async () => {
+      await transporte.enviar({ para: 'entrenador@pruebas.local', asunto: 'Nuevo entrenamiento asignado', texto: 'Hola, Ana:\n\nTexto.' });
+
+      expect(smtp.mensajes).toHaveLength(1);
+      const [mensaje] = smtp.mensajes;
+      expect(mensaje.remitente).toContain('<no-responder@pruebas.local>');
+      expect(mensaje.destinatarios).toEqual([expect.stringContaining('<entrenador@pruebas.local>')]);
+      expect(mensaje.datos).toContain('Subject: Nuevo entrenamiento asignado');
+      expect(mensaje.datos).toContain('Content-Type: text/plain');
+      expect(mensaje.datos).toContain('Hola, Ana:');
+    });
+  });
+
+  describe('con un servidor que rechaza el destinatario', () => {
+    beforeEach(async () => {
+      smtp = await iniciarServidorSmtp({ rechazarDestinatario: true });
+      transporte = crearTransporte();
+    });
+
+    it('debería rechazar el envío con el error del servidor', async () => {
+      await expect(transporte.enviar({ para: 'nadie@pruebas.local', asunto: 'Prueba', texto: 'Texto' }))
+        .rejects.toThrow(/550/);
+      expect(smtp.mensajes).toHaveLength(0);
+    });
+  });
+});
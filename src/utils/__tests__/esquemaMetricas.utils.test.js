@@ -0,0 +1,55 @@
+import { describe, it, expect } from '@jest/globals';
+import { validarContraEsquema, esTipoNumerico } from '../esquemaMetricas.utils.js';
+
+const campos = [
+  { clave: 'aciertos', tipo: 'entero', requerido: true, minimo: 0, maximo: 20 },
+  { clave: 'tiempo', tipo: 'decimal', requerido: false, minimo: 0, unidad: 's' },
+  { clave: 'estrategia', tipo: 'texto', requerido: false },
+  { clave: 'completo', tipo: 'booleano' },
+];
+
+describe('Utilidades de esquemas de métricas', () => {
+  describe('validarContraEsquema', () => {
+    it('no debería devolver errores si el objeto cumple el esquema', () => {
+      expect(validarContraEsquema({ aciertos: 12, tiempo: 3.5, estrategia: 'agrupar', completo: true }, campos, 'metricas')).toEqual([]);
+    });
+
+    it('debería permitir omitir los campos opcionales y tratar null como ausente', () => {
+      expect(validarContraEsquema({ aciertos: 0, tiempo: null, completo: false }, campos, 'metricas')).toEqual([]);
+    });
+
+    it('debería tratar los campos sin "requerido" como requeridos', () => {
+      const errores = validarContraEsquema({ aciertos: 1 }, campos, 'metricas');
+
+      expect(errores).toEqual([
+        { type: 'field', value: undefined, msg: "El campo 'completo' es requerido.", path: 'metricas.completo', location: 'body' },
+      ]);
+    });
+
+    it('debería rechazar claves no definidas, tipos incorrectos y valores fuera de rango', () => {
+      const errores = validarContraEsquema(
+        { aciertos: 2.5, tiempo: -1, estrategia: 7, completo: 'si', extra: 1 },
+        campos,
+        'nuevasMetricas',
+      );
+
+      expect(errores.map(({ path, msg }) => [path, msg])).toEqual([
+        ['nuevasMetricas.extra', "El campo 'extra' no está definido en el esquema."],
+        ['nuevasMetricas.aciertos', "El campo 'aciertos' debe ser un número entero."],
+        ['nuevasMetricas.tiempo', "El campo 'tiempo' debe ser mayor o igual a 0 s."],
+        ['nuevasMetricas.estrategia', "El campo 'estrategia' debe ser un texto."],
+        ['nuevasMetricas.completo', "El campo 'completo' debe ser verdadero o falso."],
+      ]);
+    });
+
+    it('debería indicar el máximo cuando el valor lo supera', () => {
+      const [error] = validarContraEsquema({ aciertos: 21, completo: true }, campos, 'nivelInicial');
+
+      expect(error).toEqual(expect.objectContaining({ path: 'nivelInicial.aciertos', value: 21, msg: "El campo 'aciertos' debe ser menor o igual a 20." }));
+    });
+  });
+
+  it('esTipoNumerico debería aceptar solo entero y decimal', () => {
+    expect(['entero', 'decimal', 'texto', 'booleano'].map(esTipoNumerico)).toEqual([true, true, false, false]);
+  });
+});
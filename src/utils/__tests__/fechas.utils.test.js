@@ -0,0 +1,17 @@
+import { describe, it, expect } from '@jest/globals';
+import { hoyLocal } from '../fechas.utils.js';
+
+describe('Utilidades de fechas', () => {
+  describe('hoyLocal', () => {
+    it('debería devolver la fecha local actual como YYYY-MM-DD', () => {
+      const ahora = new Date();
+      const esperado = [
+        ahora.getFullYear(),
+        String(ahora.getMonth() + 1).padStart(2, '0'),
+        String(ahora.getDate()).padStart(2, '0'),
+      ].join('-');
+
+      expect(hoyLocal()).toBe(esperado);
+    });
+  });
+});
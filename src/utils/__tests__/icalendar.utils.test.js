@@ -0,0 +1,51 @@
+import { describe, it, expect } from '@jest/globals';
+import { generarIcs, escaparTexto, plegarLinea, fechaHoraLocal } from '../icalendar.utils.js';
+
+describe('Utilidades de iCalendar', () => {
+  it('debería escapar los caracteres especiales de los textos', () => {
+    expect(escaparTexto('Memoria; nivel 2, grupo\\A\nfin')).toBe('Memoria\\; nivel 2\\, grupo\\\\A\\nfin');
+  });
+
+  it('debería plegar las líneas largas a 75 octetos sin partir caracteres', () => {
+    const linea = `SUMMARY:${'ñ'.repeat(60)}`;
+
+    const partes = plegarLinea(linea).split('\r\n');
+
+    expect(partes.length).toBeGreaterThan(1);
+    expect(partes.every((parte) => Buffer.byteLength(parte) <= 75)).toBe(true);
+    expect(partes.slice(1).every((parte) => parte.startsWith(' '))).toBe(true);
+    expect(partes.map((parte, indice) => (indice === 0 ? parte : parte.slice(1))).join('')).toBe(linea);
+  });
+
+  it('debería convertir la hora local al formato flotante', () => {
+    expect(fechaHoraLocal('2025-03-03T10:00:00')).toBe('20250303T100000');
+    expect(fechaHoraLocal('2025-03-03 07:05')).toBe('20250303T070500');
+  });
+
+  it('debería generar un calendario con un evento por sesión y saltos de línea CRLF', () => {
+    const ics = generarIcs({
+      nombre: 'Agenda',
+      generado: new Date('2025-03-01T12:00:00Z'),
+      eventos: [
+        { uid: 'sp-1', inicio: '2025-03-03T10:00:00', fin: '2025-03-03T11:00:00', resumen: 'Atención - Ana', descripcion: 'Estado: Pendiente', estado: 'CONFIRMED' },
+        { uid: 'se-2', inicio: '2025-03-04T09:00:00', resumen: 'Memoria - Luis' },
+      ],
+    });
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics).toContain([
+      'BEGIN:VEVENT',
+      'UID:sp-1@cognicare',
+      'DTSTAMP:20250301T120000Z',
+      'DTSTART:20250303T100000',
+      'DTEND:20250303T110000',
+      'SUMMARY:Atención - Ana',
+      'DESCRIPTION:Estado: Pendiente',
+      'STATUS:CONFIRMED',
+      'END:VEVENT',
+    ].join('\r\n'));
+    // Un evento sin fin ni descripción no lleva esas propiedades.
+    expect(ics).toContain('DTSTART:20250304T090000\r\nSUMMARY:Memoria - Luis\r\nEND:VEVENT');
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from '@jest/globals';
+import { renderizarNotificacion, calcularProximoIntento, EVENTOS_NOTIFICACION } from '../notificaciones.utils.js';
+
+const ENTRENADOR = { usuarioId: 'en-1', rol: 'entrenador', nombre: 'Ana' };
+const COORDINADORA = { usuarioId: 'co-1', rol: 'coordinador', nombre: 'Luisa' };
+
+describe('Plantillas de notificaciones', () => {
+  it('debería saludar al destinatario y armar el mensaje con los datos del evento', () => {
+    expect(renderizarNotificacion(EVENTOS_NOTIFICACION.VARIABLE_ABANDONADA, { estudiante: 'Juan Pérez', variable: 'Memoria' }, ENTRENADOR))
+      .toEqual({
+        asunto: 'Variable abandonada: Memoria',
+        cuerpo: 'Hola, Ana:\n\nJuan Pérez abandonó la variable cognitiva Memoria. '
+          + 'La asignación puede reactivarse si el estudiante retoma el entrenamiento.',
+      });
+  });
+
+  it('debería distinguir al entrenador desactivado de los coordinadores de su facultad', () => {
+    const datos = { entrenadorId: 'en-1', entrenador: 'Ana Gómez' };
+
+    expect(renderizarNotificacion(EVENTOS_NOTIFICACION.ENTRENADOR_DESACTIVADO, datos, ENTRENADOR).asunto)
+      .toBe('Su cuenta de entrenador fue desactivada');
+    expect(renderizarNotificacion(EVENTOS_NOTIFICACION.ENTRENADOR_DESACTIVADO, datos, COORDINADORA).asunto)
+      .toBe('Entrenador desactivado: Ana Gómez');
+  });
+
+  it('debería decirle al estudiante si su sesión se movió o se mantiene', () => {
+    const ESTUDIANTE = { usuarioId: 'es-1', rol: 'estudiante', nombre: 'Juan' };
+    const datos = { variable: 'Memoria', inicioAnterior: '2025-03-03T10:00:00', inicioPropuesto: '2025-03-04T15:00:00', respuesta: null };
+
+    expect(renderizarNotificacion(EVENTOS_NOTIFICACION.SESION_CAMBIO_RESUELTO, { ...datos, estado: 'aprobada' }, ESTUDIANTE).cuerpo)
+      .toBe('Hola, Juan:\n\nSu sesión de Memoria se movió del 2025-03-03 a las 10:00 al 2025-03-04 a las 15:00.');
+    expect(renderizarNotificacion(EVENTOS_NOTIFICACION.SESION_CAMBIO_RESUELTO, { ...datos, estado: 'rechazada', respuesta: 'No tengo cupo.' }, ESTUDIANTE).cuerpo)
+      .toBe('Hola, Juan:\n\nSu sesión de Memoria se mantiene el 2025-03-03 a las 10:00.\n\nRespuesta del entrenador: No tengo cupo.');
+  });
+
+  it('debería fallar con un evento sin plantilla', () => {
+    expect(() => renderizarNotificacion('evento.desconocido', {}, ENTRENADOR)).toThrow("'evento.desconocido'");
+  });
+});
+
+describe('calcularProximoIntento', () => {
+  const ahora = new Date('2025-03-31T12:00:00Z');
+
+  it('debería duplicar la espera con cada intento', () => {
+    expect(calcularProximoIntento(1, 60, ahora)).toEqual(new Date('2025-03-31T12:01:00Z'));
+    expect(calcularProximoIntento(3, 60, ahora)).toEqual(new Date('2025-03-31T12:04:00Z'));
+  });
+
+  it('no debería esperar más de 6 horas', () => {
+    expect(calcularProximoIntento(20, 60, ahora)).toEqual(new Date('2025-03-31T18:00:00Z'));
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect } from '@jest/globals';
+import ExcelJS from 'exceljs';
+import { generarReporte, textoDeValor } from '../reportes.utils.js';
+
+const lista = {
+  titulo: 'Entrenamientos cognitivos',
+  secciones: [{
+    titulo: 'Entrenamientos',
+    columnas: [{ clave: 'apellidos', titulo: 'Apellidos' }, { clave: 'inicio', titulo: 'Fecha de inicio' }],
+    filas: [{ apellidos: 'García, Ruiz', inicio: new Date(Date.UTC(2025, 1, 3)) }],
+  }],
+};
+
+const ficha = {
+  titulo: 'Informe de entrenamiento cognitivo',
+  subtitulo: 'Ana García · CC 1001',
+  secciones: [
+    { titulo: 'Estudiante', campos: [['Nombres', 'Ana'], ['Programas', ['Psicología', 'Derecho']]] },
+    { titulo: 'Variables', columnas: [{ clave: 'variable', titulo: 'Variable' }], filas: [{ variable: 'Atención' }] },
+  ],
+};
+
+describe('Utilidades de reportes', () => {
+  describe('textoDeValor', () => {
+    it('debería mostrar fechas, arreglos y objetos de forma legible', () => {
+      expect(textoDeValor(new Date(Date.UTC(2025, 1, 3)))).toBe('2025-02-03');
+      expect(textoDeValor(new Date(Date.UTC(2025, 1, 3, 14, 5)))).toBe('2025-02-03 14:05');
+      expect(textoDeValor(['a', 'b'])).toBe('a; b');
+      expect(textoDeValor({ nivel: 2, aciertos: 0.8 })).toBe('nivel: 2, aciertos: 0.8');
+      expect(textoDeValor(null)).toBe('');
+    });
+  });
+
+  describe('generarReporte', () => {
+    it('debería exportar una lista en CSV plano', async () => {
+      const reporte = await generarReporte(lista, 'csv');
+
+      expect(reporte.tipoContenido).toBe('text/csv; charset=utf-8');
+      expect(reporte.contenido.toString('utf8')).toBe('\uFEFFApellidos,Fecha de inicio\r\n"García, Ruiz",2025-02-03\r\n');
+    });
+
+    it('debería incluir los títulos de cada sección en el CSV de un documento con varias secciones', async () => {
+      const { contenido } = await generarReporte(ficha, 'csv');
+
+      expect(contenido.toString('utf8').split('\r\n')).toEqual([
+        '\uFEFFInforme de entrenamiento cognitivo',
+        'Ana García · CC 1001',
+        '',
+        'Estudiante',
+        'Nombres,Ana',
+        'Programas,Psicología; Derecho',
+        '',
+        'Variables',
+        'Variable',
+        'Atención',
+        '',
+      ]);
+    });
+
+    it('debería neutralizar en el CSV los textos libres que Excel interpretaría como fórmula', async () => {
+      const { contenido } = await generarReporte({
+        titulo: 'Informe de entrenamiento cognitivo',
+        subtitulo: '=1+1 · CC 1001',
+        secciones: [
+          { titulo: 'Estudiante', campos: [['Nombres', '@Ana']] },
+          {
+            titulo: 'Sesiones',
+            columnas: [{ clave: 'observacion', titulo: 'Observación' }, { clave: 'cambio', titulo: 'Cambio' }],
+            filas: [{ observacion: '=HYPERLINK("http://x.example","Ver")', cambio: -2 }],
+          },
+        ],
+      }, 'csv');
+
+      const lineas = contenido.toString('utf8').split('\r\n');
+      expect(lineas[1]).toBe("'=1+1 · CC 1001");
+      expect(lineas).toContain("Nombres,'@Ana");
+      expect(lineas).toContain('"\'=HYPERLINK(""http://x.example"",""Ver"")",-2');
+    });
+
+    it('debería exportar una lista en XLSX con encabezado y fechas como fechas', async () => {
+      const reporte = await generarReporte(lista, 'xlsx');
+      const libro = new ExcelJS.Workbook();
+      await libro.xlsx.load(reporte.contenido);
+      const hoja = libro.worksheets[0];
+
+      expect(reporte.extension).toBe('xlsx');
+      expect(hoja.name).toBe('Entrenamientos cognitivos');
+      expect(hoja.getRow(1).values.slice(1)).toEqual(['Apellidos', 'Fecha de inicio']);
+      expect(hoja.getCell('A2').value).toBe('García, Ruiz');
+      expect(hoja.getCell('B2').value).toEqual(new Date(Date.UTC(2025, 1, 3)));
+    });
+
+    it('debería generar un PDF', async () => {
+      const reporte = await generarReporte(ficha, 'pdf');
+
+      expect(reporte.tipoContenido).toBe('application/pdf');
+      expect(reporte.contenido.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+});
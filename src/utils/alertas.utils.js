@@ -0,0 +1,138 @@
+/**
+ * @file Reglas de riesgo de abandono y umbrales por facultad.
+ * Cada regla recibe una asignación en progreso (con sus sesiones y sus últimas instantáneas de métricas) y los umbrales
+ * que le aplican, y devuelve el detalle de la alerta o `null` si no se dispara. Las fechas se manejan como texto
+ * YYYY-MM-DD; los días se cuentan en UTC solo como calendario, igual que en la agenda.
+ */
+
+export const REGLAS_ALERTA = Object.freeze({
+  SIN_SESIONES: 'sin-sesiones',
+  SESIONES_SIN_INICIAR: 'sesiones-sin-iniciar',
+  METRICAS_EN_DESCENSO: 'metricas-en-descenso',
+  FIN_PROXIMO: 'fin-proximo',
+});
+
+export const ESTADOS_ALERTA = ['activa', 'descartada', 'resuelta'];
+
+/**
+ * Umbrales de cada regla cuando la facultad no los configura.
+ * - diasSinSesion: días sin ninguna sesión iniciada.
+ * - sesionesSinIniciar: sesiones creadas, ya vencidas y nunca iniciadas.
+ * - sesionesEnDescenso: últimas sesiones finalizadas en las que una métrica baja en cada una.
+ * - diasAntesDeFin: días que faltan para la fecha de fin del entrenamiento con la variable sin finalizar.
+ */
+export const UMBRALES_POR_DEFECTO = Object.freeze({
+  diasSinSesion: 14,
+  sesionesSinIniciar: 3,
+  sesionesEnDescenso: 3,
+  diasAntesDeFin: 14,
+});
+
+// Rango admitido de cada umbral (el mismo que las restricciones de CC.UmbralAlertaFacultad).
+export const RANGOS_UMBRALES = Object.freeze({
+  diasSinSesion: { min: 1, max: 365 },
+  sesionesSinIniciar: { min: 1, max: 50 },
+  sesionesEnDescenso: { min: 2, max: 10 },
+  diasAntesDeFin: { min: 1, max: 365 },
+});
+
+// Umbrales en los que un valor mayor es más estricto (avisa antes); en el resto, un valor menor.
+const MAYOR_ES_MAS_ESTRICTO = ['diasAntesDeFin'];
+
+// Los entrenamientos sin fecha de fin se crean con el 2500-12-31 (ver crearEntrenamientoCognitivoDB).
+const ANIO_SIN_FECHA_FIN = 2500;
+
+// Una sesión está sin iniciar mientras no esté en progreso ni finalizada.
+const SESION_INICIADA = /(progreso|finaliz)/i;
+
+const diasEntre = (desde, hasta) => Math.round((new Date(`${hasta}T00:00:00Z`) - new Date(`${desde}T00:00:00Z`)) / 86400000);
+
+const soloFecha = (valor) => (valor ? String(valor).slice(0, 10) : null);
+
+/**
+ * Calcula los umbrales que aplican a un estudiante a partir de los de sus facultades.
+ * Si el estudiante pertenece a varias facultades se usa el umbral más estricto; una facultad sin configurar
+ * (o con un umbral en NULL) aporta el valor por defecto.
+ * @param {Array<string>} facultades - UUID de las facultades del estudiante.
+ * @param {Map<string, object>} umbralesPorFacultad - Umbrales configurados, por UUID de facultad.
+ * @returns {{diasSinSesion: number, sesionesSinIniciar: number, sesionesEnDescenso: number, diasAntesDeFin: number}}
+ */
+export const umbralesEfectivos = (facultades = [], umbralesPorFacultad = new Map()) => {
+  if (facultades.length === 0) {
+    return { ...UMBRALES_POR_DEFECTO };
+  }
+  return Object.fromEntries(Object.entries(UMBRALES_POR_DEFECTO).map(([clave, porDefecto]) => {
+    const valores = facultades.map((facultad) => umbralesPorFacultad.get(facultad)?.[clave] ?? porDefecto);
+    return [clave, MAYOR_ES_MAS_ESTRICTO.includes(clave) ? Math.max(...valores) : Math.min(...valores)];
+  }));
+};
+
+const reglaSinSesiones = ({ sesiones, fechaInicioEntrenamiento }, { diasSinSesion }, hoy) => {
+  const iniciadas = sesiones.filter((sesion) => SESION_INICIADA.test(sesion.estado ?? ''));
+  const ultimaSesion = iniciadas
+    .map((sesion) => soloFecha(sesion.fechaFin) || soloFecha(sesion.fechaInicio))
+    .filter(Boolean)
+    .sort()
+    .at(-1) ?? null;
+  const referencia = ultimaSesion || soloFecha(fechaInicioEntrenamiento);
+  if (!referencia || referencia > hoy) {
+    return null;
+  }
+  const dias = diasEntre(referencia, hoy);
+  return dias >= diasSinSesion ? { ultimaSesion, diasSinSesion: dias, umbral: diasSinSesion } : null;
+};
+
+const reglaSesionesSinIniciar = ({ sesiones }, { sesionesSinIniciar }, hoy) => {
+  // Solo cuentan las sesiones cuya fecha ya pasó: las programadas a futuro todavía pueden iniciarse.
+  const vencidas = sesiones.filter((sesion) => !SESION_INICIADA.test(sesion.estado ?? '')
+    && (!sesion.fechaInicio || soloFecha(sesion.fechaInicio) < hoy));
+  return vencidas.length >= sesionesSinIniciar
+    ? { sesionesSinIniciar: vencidas.length, sesiones: vencidas.map((sesion) => sesion.sesionId), umbral: sesionesSinIniciar }
+    : null;
+};
+
+const reglaMetricasEnDescenso = ({ metricas }, { sesionesEnDescenso }) => {
+  const ultimas = metricas.slice(-sesionesEnDescenso);
+  if (ultimas.length < sesionesEnDescenso) {
+    return null;
+  }
+  const claves = Object.keys(ultimas[0] ?? {}).filter((clave) => ultimas.every((instantanea) => typeof instantanea?.[clave] === 'number'));
+  const enDescenso = claves
+    .map((clave) => ({ clave, valores: ultimas.map((instantanea) => instantanea[clave]) }))
+    .filter(({ valores }) => valores.every((valor, indice) => indice === 0 || valor < valores[indice - 1]));
+  return enDescenso.length > 0 ? { metricas: enDescenso, umbral: sesionesEnDescenso } : null;
+};
+
+const reglaFinProximo = ({ fechaFinEntrenamiento }, { diasAntesDeFin }, hoy) => {
+  const fechaFin = soloFecha(fechaFinEntrenamiento);
+  if (!fechaFin || Number(fechaFin.slice(0, 4)) >= ANIO_SIN_FECHA_FIN) {
+    return null;
+  }
+  const diasRestantes = diasEntre(hoy, fechaFin);
+  return diasRestantes <= diasAntesDeFin ? { fechaFin, diasRestantes, umbral: diasAntesDeFin } : null;
+};
+
+const EVALUADORES = [
+  [REGLAS_ALERTA.SIN_SESIONES, reglaSinSesiones],
+  [REGLAS_ALERTA.SESIONES_SIN_INICIAR, reglaSesionesSinIniciar],
+  [REGLAS_ALERTA.METRICAS_EN_DESCENSO, reglaMetricasEnDescenso],
+  [REGLAS_ALERTA.FIN_PROXIMO, reglaFinProximo],
+];
+
+/**
+ * Evalúa todas las reglas sobre una asignación en progreso.
+ * @param {object} asignacion - Asignación a evaluar.
+ * @param {Array<object>} [asignacion.sesiones] - Sesiones de la asignación ({ sesionId, estado, fechaInicio, fechaFin }).
+ * @param {Array<object>} [asignacion.metricas] - Métricas de las últimas sesiones finalizadas, de la más antigua a la más reciente.
+ * @param {string} asignacion.fechaInicioEntrenamiento - Fecha de inicio del entrenamiento (YYYY-MM-DD).
+ * @param {string} asignacion.fechaFinEntrenamiento - Fecha de fin del entrenamiento (YYYY-MM-DD).
+ * @param {object} umbrales - Umbrales que aplican (ver `umbralesEfectivos`).
+ * @param {string} hoy - Fecha del escaneo (YYYY-MM-DD).
+ * @returns {Array<{regla: string, detalle: object}>} Las reglas disparadas con su detalle; vacío si no hay riesgo.
+ */
+export const evaluarReglas = (asignacion, umbrales, hoy) => {
+  const datos = { ...asignacion, sesiones: asignacion.sesiones ?? [], metricas: asignacion.metricas ?? [] };
+  return EVALUADORES
+    .map(([regla, evaluar]) => ({ regla, detalle: evaluar(datos, umbrales, hoy) }))
+    .filter(({ detalle }) => detalle !== null);
+};
@@ -0,0 +1,156 @@
+/**
+ * @file Lectura y generación de archivos tabulares (CSV y XLSX) para importaciones y reportes.
+ */
+
+import path from 'node:path';
+import ExcelJS from 'exceljs';
+import { parse } from 'csv-parse/sync';
+import { throwClientError } from './response.util.js';
+
+export const FORMATOS_TABULARES = ['csv', 'xlsx'];
+
+/**
+ * Deduce el formato de un archivo subido a partir de su extensión.
+ * @param {string} nombreArchivo - Nombre original del archivo.
+ * @returns {string|null} 'csv', 'xlsx' o null si no es un formato soportado.
+ */
+export const formatoDeArchivo = (nombreArchivo = '') => {
+  const extension = path.extname(nombreArchivo).slice(1).toLowerCase();
+  return FORMATOS_TABULARES.includes(extension) ? extension : null;
+};
+
+/**
+ * Convierte el valor de una celda de Excel a texto.
+ * Las fechas se devuelven como YYYY-MM-DD; fórmulas, hipervínculos y texto enriquecido por su texto visible.
+ * @param {any} valor - Valor de la celda (`cell.value`).
+ * @returns {string}
+ */
+const textoDeCelda = (valor) => {
+  if (valor === null || valor === undefined) {
+    return '';
+  }
+  if (valor instanceof Date) {
+    return valor.toISOString().slice(0, 10);
+  }
+  if (typeof valor === 'object') {
+    if (Array.isArray(valor.richText)) {
+      return valor.richText.map((parte) => parte.text).join('');
+    }
+    if ('result' in valor) {
+      return textoDeCelda(valor.result);
+    }
+    if ('text' in valor) {
+      return textoDeCelda(valor.text);
+    }
+    return '';
+  }
+  return String(valor).trim();
+};
+
+const leerXlsx = async (buffer) => {
+  const libro = new ExcelJS.Workbook();
+  try {
+    await libro.xlsx.load(buffer);
+  } catch {
+    throwClientError('El archivo XLSX no se pudo leer. Verifique que no esté dañado.', 400);
+  }
+  const hoja = libro.worksheets[0];
+  if (!hoja || hoja.rowCount < 1) {
+    return { encabezados: [], filas: [] };
+  }
+
+  const encabezados = [];
+  hoja.getRow(1).eachCell({ includeEmpty: true }, (celda, columna) => {
+    encabezados[columna - 1] = textoDeCelda(celda.value);
+  });
+
+  const filas = [];
+  hoja.eachRow({ includeEmpty: false }, (fila, numero) => {
+    if (numero === 1) {
+      return;
+    }
+    const registro = {};
+    encabezados.forEach((encabezado, indice) => {
+      registro[encabezado] = textoDeCelda(fila.getCell(indice + 1).value);
+    });
+    filas.push({ numero, registro });
+  });
+  return { encabezados, filas };
+};
+
+const leerCsv = (buffer) => {
+  const texto = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const primeraLinea = texto.split(/\r?\n/, 1)[0] || '';
+  // Excel en español exporta con ';'.
+  const delimitador = (primeraLinea.match(/;/g) || []).length > (primeraLinea.match(/,/g) || []).length ? ';' : ',';
+
+  let registros;
+  try {
+    registros = parse(texto, { delimiter: delimitador, skip_empty_lines: true, trim: true, relax_column_count: true });
+  } catch (error) {
+    throwClientError(`El archivo CSV no se pudo leer: ${error.message}`, 400);
+  }
+  const [encabezados = [], ...datos] = registros;
+  const filas = datos.map((valores, indice) => {
+    const registro = {};
+    encabezados.forEach((encabezado, columna) => {
+      registro[encabezado] = valores[columna] ?? '';
+    });
+    // La fila 1 es el encabezado.
+    return { numero: indice + 2, registro };
+  });
+  return { encabezados, filas };
+};
+
+/**
+ * Lee un archivo CSV o XLSX (primera hoja) cuya primera fila son los encabezados.
+ * @async
+ * @param {Buffer} buffer - Contenido del archivo.
+ * @param {string} formato - 'csv' o 'xlsx'.
+ * @returns {Promise<{encabezados: string[], filas: Array<{numero: number, registro: object<string, string>}>}>}
+ * `numero` es el número de fila en el archivo, para reportar errores.
+ * @throws {Error} 400 si el archivo no se puede leer.
+ */
+export const leerArchivoTabular = async (buffer, formato) => {
+  if (formato === 'xlsx') {
+    return leerXlsx(buffer);
+  }
+  return leerCsv(buffer);
+};
+
+// Excel interpreta como fórmula una celda que empieza con =, +, -, @, tabulador o retorno de carro; esas celdas se
+// prefijan con un apóstrofo para que se muestren como texto (inyección de fórmulas en CSV). Los números no se tocan.
+const PATRON_INICIO_FORMULA = /^[=+\-@\t\r]/;
+const PATRON_NUMERO = /^[+-]?\d+(\.\d+)?$/;
+
+const escaparCsv = (valor) => {
+  if (valor === null || valor === undefined) {
+    return '';
+  }
+  let texto = Array.isArray(valor) ? valor.join('; ') : valor instanceof Date ? valor.toISOString() : String(valor);
+  if (PATRON_INICIO_FORMULA.test(texto) && !PATRON_NUMERO.test(texto)) {
+    texto = `'${texto}`;
+  }
+  return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+/**
+ * Arma una línea CSV (sin salto de línea) escapando cada valor y neutralizando los que Excel tomaría como fórmula.
+ * @param {Array<any>} valores - Valores de la línea en orden.
+ * @returns {string}
+ */
+export const lineaCsv = (valores) => valores.map(escaparCsv).join(',');
+
+/**
+ * Genera un CSV (separado por comas, con BOM para que Excel respete las tildes).
+ * @param {Array<{clave: string, titulo: string}>} columnas - Columnas en orden.
+ * @param {Array<object>} filas - Filas a exportar.
+ * @returns {string}
+ */
+export const generarCsv = (columnas, filas) => {
+  const lineas = [lineaCsv(columnas.map((columna) => columna.titulo))];
+  for (const fila of filas) {
+    lineas.push(lineaCsv(columnas.map((columna) => fila[columna.clave])));
+  }
+  return `\uFEFF${lineas.join('\r\n')}\r\n`;
+};
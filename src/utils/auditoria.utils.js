@@ -0,0 +1,60 @@
+/**
+ * @file Funciones puras para preparar los registros de auditoría: ocultar datos sensibles y
+ * calcular los campos que cambiaron entre el estado anterior y el posterior.
+ */
+
+// Campos que nunca se guardan en la auditoría.
+const CAMPOS_SENSIBLES = ['contrasena', 'contrasenaactual', 'nuevacontrasena', 'contrasenatemporal', 'refreshtoken', 'token'];
+
+const esObjetoPlano = (valor) => valor !== null && typeof valor === 'object' && !Array.isArray(valor) && !(valor instanceof Date);
+
+/**
+ * Copia un valor reemplazando los campos sensibles por '[OCULTO]'.
+ * @param {*} valor - Objeto, arreglo o valor simple.
+ * @returns {*} La copia sin datos sensibles (`null` si el valor es `undefined`).
+ */
+export const ocultarSensibles = (valor) => {
+  if (valor === undefined) {
+    return null;
+  }
+  if (Array.isArray(valor)) {
+    return valor.map(ocultarSensibles);
+  }
+  if (!esObjetoPlano(valor)) {
+    return valor;
+  }
+  return Object.fromEntries(
+    Object.entries(valor).map(([campo, contenido]) => [
+      campo,
+      CAMPOS_SENSIBLES.includes(campo.toLowerCase()) ? '[OCULTO]' : ocultarSensibles(contenido),
+    ])
+  );
+};
+
+const normalizar = (valor) => (valor instanceof Date ? valor.toISOString() : valor);
+
+/**
+ * Calcula los campos de primer nivel que cambiaron entre dos estados.
+ * Si no hay estado anterior, todos los campos del posterior se consideran nuevos.
+ * @param {object|null} antes - Estado anterior.
+ * @param {object|null} despues - Estado posterior.
+ * @returns {object|null} Objeto `{ campo: { antes, despues } }`, o `null` si no hay estado posterior.
+ */
+export const calcularCambios = (antes, despues) => {
+  if (!esObjetoPlano(despues)) {
+    return null;
+  }
+  const anterior = esObjetoPlano(antes) ? antes : {};
+  const cambios = {};
+  for (const campo of new Set([...Object.keys(anterior), ...Object.keys(despues)])) {
+    if (!(campo in despues)) {
+      continue;
+    }
+    const valorAntes = normalizar(anterior[campo]);
+    const valorDespues = normalizar(despues[campo]);
+    if (JSON.stringify(valorAntes) !== JSON.stringify(valorDespues)) {
+      cambios[campo] = { antes: valorAntes ?? null, despues: valorDespues ?? null };
+    }
+  }
+  return cambios;
+};
@@ -0,0 +1,29 @@
+/**
+ * @file Catálogos administrables (facultades, programas, tipos de documento, géneros y variables cognitivas):
+ * el nombre con el que se usan en la ruta y los campos de cada uno.
+ */
+
+/**
+ * Catálogos por su nombre en la ruta (`/api/admin/catalogos/:catalogo`).
+ * - requeridos: campos obligatorios al crear un valor.
+ * - opcionales: campos que se pueden enviar además de los requeridos.
+ */
+export const CATALOGOS = Object.freeze({
+  facultades: { requeridos: ['nombre'], opcionales: [] },
+  programas: { requeridos: ['nombre', 'facultadId'], opcionales: [] },
+  'tipos-documento': { requeridos: ['sigla', 'nombre'], opcionales: [] },
+  generos: { requeridos: ['nombre'], opcionales: [] },
+  'variables-cognitivas': { requeridos: ['nombre'], opcionales: ['descripcion'] },
+});
+
+export const TIPOS_CATALOGO = Object.freeze(Object.keys(CATALOGOS));
+
+/**
+ * Campos que se pueden enviar al crear o modificar un valor de un catálogo.
+ * @param {string} catalogo - Nombre del catálogo en la ruta.
+ * @returns {string[]} Los campos del catálogo (vacío si no existe).
+ */
+export const camposDeCatalogo = (catalogo) => {
+  const definicion = CATALOGOS[catalogo];
+  return definicion ? [...definicion.requeridos, ...definicion.opcionales] : [];
+};
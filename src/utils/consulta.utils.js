@@ -0,0 +1,220 @@
+/**
+ * @file Capa compartida de consultas de listados: paginación (`page`/`pageSize` o `cursor`),
+ * ordenamiento con campos permitidos (`sort`) y filtros tipados.
+ * Cada modelo declara su listado con una definición y construye aquí el SQL; los valores siempre
+ * viajan como parámetros ($1, $2, ...), nunca concatenados.
+ */
+
+import { throwClientError } from './response.util.js';
+
+export const TAMANO_PAGINA_POR_DEFECTO = 20;
+export const TAMANO_PAGINA_MAXIMO = 100;
+
+// Parámetros de la query string que controlan la paginación y si se incluyen los archivados; el resto son filtros.
+const PARAMETROS_PAGINACION = ['page', 'pageSize', 'cursor', 'sort', 'incluirArchivados'];
+
+/**
+ * Separa los parámetros validados de un listado en opciones de paginación y filtros.
+ * @param {object} parametros - Parámetros de la query string ya validados (p. ej. `matchedData(req)`).
+ * @returns {{page?: number, pageSize?: number, cursor?: string, sort?: string, incluirArchivados?: boolean, filtros: object}}
+ */
+export const separarParametrosListado = (parametros = {}) => {
+  const opciones = { filtros: {} };
+  for (const [nombre, valor] of Object.entries(parametros)) {
+    if (valor === undefined || valor === '') {
+      continue;
+    }
+    if (PARAMETROS_PAGINACION.includes(nombre)) {
+      opciones[nombre] = valor;
+    } else {
+      opciones.filtros[nombre] = valor;
+    }
+  }
+  return opciones;
+};
+
+/**
+ * Codifica la posición de la siguiente página como un cursor opaco.
+ * @param {number} offset - Número de filas ya devueltas.
+ * @param {number} pageSize - Tamaño de página.
+ * @returns {string} Cursor en base64url.
+ */
+export const codificarCursor = (offset, pageSize) =>
+  Buffer.from(JSON.stringify({ o: offset, t: pageSize })).toString('base64url');
+
+/**
+ * Decodifica un cursor generado por `codificarCursor`.
+ * @param {string} cursor - Cursor recibido del cliente.
+ * @returns {{offset: number, pageSize: number}}
+ * @throws {Error} 400 si el cursor no es válido.
+ */
+export const decodificarCursor = (cursor) => {
+  try {
+    const { o, t } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(o) && o >= 0 && Number.isInteger(t) && t >= 1 && t <= TAMANO_PAGINA_MAXIMO) {
+      return { offset: o, pageSize: t };
+    }
+  } catch {
+    // Se informa abajo como cursor inválido.
+  }
+  return throwClientError('El cursor de paginación no es válido.', 400);
+};
+
+/**
+ * Resuelve la página pedida a partir de `page`/`pageSize` o de `cursor`.
+ * @param {object} opciones - Opciones de paginación.
+ * @returns {{page: number, pageSize: number, offset: number}}
+ */
+export const resolverPagina = ({ page, pageSize, cursor } = {}) => {
+  if (cursor) {
+    const posicion = decodificarCursor(cursor);
+    return { page: Math.floor(posicion.offset / posicion.pageSize) + 1, ...posicion };
+  }
+  const tamano = Math.min(pageSize || TAMANO_PAGINA_POR_DEFECTO, TAMANO_PAGINA_MAXIMO);
+  const pagina = page || 1;
+  return { page: pagina, pageSize: tamano, offset: (pagina - 1) * tamano };
+};
+
+/**
+ * Traduce `sort` (ej. '-fechaInicio,apellidos') a una cláusula ORDER BY con las columnas permitidas.
+ * @param {object} definicion - Definición del listado.
+ * @param {string} [sort] - Campos separados por coma; un '-' inicial ordena de forma descendente.
+ * @returns {string} La cláusula ORDER BY (sin la palabra clave).
+ * @throws {Error} 400 si se pide un campo no permitido.
+ */
+export const construirOrden = (definicion, sort) => {
+  const campos = (sort || definicion.ordenPorDefecto).split(',').map((campo) => campo.trim()).filter(Boolean);
+  const partes = campos.map((campo) => {
+    const descendente = campo.startsWith('-');
+    const nombre = descendente ? campo.slice(1) : campo;
+    // hasOwn: 'constructor' o 'toString' no son campos aunque el objeto los herede.
+    const columna = Object.hasOwn(definicion.ordenes, nombre) ? definicion.ordenes[nombre] : null;
+    if (!columna) {
+      throwClientError(
+        `No se puede ordenar por '${nombre}'. Campos permitidos: ${Object.keys(definicion.ordenes).join(', ')}.`,
+        400
+      );
+    }
+    return `${columna} ${descendente ? 'DESC' : 'ASC'} NULLS LAST`;
+  });
+  // Columna única al final para que el orden (y por tanto las páginas) sea estable.
+  partes.push(`${definicion.desempate} ASC`);
+  return partes.join(', ');
+};
+
+// FROM y WHERE de un listado con los '?' ya numerados; `indice` es el último número usado.
+const construirFiltrado = (definicion, { valoresOrigen = [], condiciones = [], filtros = {}, incluirArchivados = false }) => {
+  const fragmentos = [...condiciones];
+  if (incluirArchivados && !definicion.sinArchivados) {
+    throwClientError('Este listado no tiene registros archivados; no admite "incluirArchivados".', 400);
+  }
+  if (definicion.sinArchivados && !incluirArchivados) {
+    fragmentos.push({ sql: definicion.sinArchivados, valores: [] });
+  }
+  for (const [nombre, valor] of Object.entries(filtros)) {
+    const condicion = Object.hasOwn(definicion.filtros, nombre) ? definicion.filtros[nombre] : null;
+    if (!condicion) {
+      throwClientError(
+        `El filtro '${nombre}' no está disponible en este listado. Filtros disponibles: ${Object.keys(definicion.filtros).join(', ')}.`,
+        400
+      );
+    }
+    fragmentos.push({ sql: condicion, valores: [valor] });
+  }
+
+  const valores = [...valoresOrigen, ...fragmentos.flatMap((fragmento) => fragmento.valores)];
+  const where = fragmentos.length > 0 ? ` WHERE ${fragmentos.map((fragmento) => `(${fragmento.sql})`).join(' AND ')}` : '';
+  let indice = 0;
+  const base = `FROM ${definicion.origen}${where}`.replace(/\?/g, () => `$${++indice}`);
+  return { base, valores, indice };
+};
+
+/**
+ * Construye las consultas de datos y de total de un listado.
+ * Los fragmentos SQL de la definición usan '?' como marcador; aquí se numeran como $1, $2, ...
+ * @param {object} definicion - Definición del listado.
+ * @param {string} definicion.origen - Tabla, vista o función (ej. 'CC.ListaUV' o 'CC.ListaUFT(?)').
+ * @param {object<string, string>} definicion.ordenes - Campo de `sort` → columna.
+ * @param {string} definicion.ordenPorDefecto - Valor de `sort` si no se indica.
+ * @param {string} definicion.desempate - Columna única para desempatar el orden.
+ * @param {object<string, string>} definicion.filtros - Nombre del filtro → condición SQL con un '?'.
+ * @param {string} [definicion.sinArchivados] - Condición SQL que deja fuera los registros archivados; solo en los
+ * listados de registros archivables.
+ * @param {object} [opciones={}] - Opciones de la consulta.
+ * @param {Array<any>} [opciones.valoresOrigen=[]] - Valores de los '?' de `origen`.
+ * @param {Array<{sql: string, valores: Array<any>}>} [opciones.condiciones=[]] - Condiciones fijas (no elegidas por el cliente).
+ * @param {object} [opciones.filtros={}] - Filtros pedidos por el cliente.
+ * @param {string} [opciones.sort] - Orden pedido por el cliente.
+ * @param {boolean} [opciones.incluirArchivados=false] - Incluir los registros archivados (no aplica `sinArchivados`).
+ * @returns {{datos: {text: string, values: Array<any>}, total: {text: string, values: Array<any>}, pagina: object}}
+ * @throws {Error} 400 si se pide un filtro o un orden no disponible en el listado, o `incluirArchivados` en un
+ * listado sin registros archivables.
+ */
+export const construirConsultaListado = (definicion, opciones = {}) => {
+  const { base, valores, indice } = construirFiltrado(definicion, opciones);
+  const pagina = resolverPagina(opciones);
+  const orden = construirOrden(definicion, opciones.sort);
+
+  return {
+    datos: {
+      text: `SELECT * ${base} ORDER BY ${orden} LIMIT $${indice + 1} OFFSET $${indice + 2};`,
+      values: [...valores, pagina.pageSize, pagina.offset],
+    },
+    total: {
+      text: `SELECT COUNT(*)::int AS "total" ${base};`,
+      values: valores,
+    },
+    pagina,
+  };
+};
+
+/**
+ * Construye la consulta de un listado completo (sin paginar), para exportarlo.
+ * Aplica los mismos filtros, condiciones y orden que `construirConsultaListado` y pide una fila
+ * más que `limite` para detectar si el listado lo supera.
+ * @param {object} definicion - Definición del listado (ver `construirConsultaListado`).
+ * @param {object} [opciones={}] - Mismas opciones que `construirConsultaListado`; se ignora la paginación.
+ * @param {number} limite - Número máximo de filas a exportar.
+ * @returns {{text: string, values: Array<any>}}
+ * @throws {Error} 400 si se pide un filtro o un orden no disponible en el listado.
+ */
+export const construirConsultaExportacion = (definicion, opciones = {}, limite) => {
+  const { base, valores, indice } = construirFiltrado(definicion, opciones);
+  const orden = construirOrden(definicion, opciones.sort);
+  return {
+    text: `SELECT * ${base} ORDER BY ${orden} LIMIT $${indice + 1};`,
+    values: [...valores, limite + 1],
+  };
+};
+
+/**
+ * Arma los metadatos de paginación de la respuesta.
+ * @param {number} total - Total de filas que cumplen los filtros.
+ * @param {{page: number, pageSize: number, offset: number}} pagina - Página devuelta.
+ * @returns {{total: number, page: number, pageSize: number, next: string|null}} `next` es el cursor de
+ * la siguiente página, o `null` si esta es la última.
+ */
+export const armarPaginacion = (total, pagina) => {
+  const siguienteOffset = pagina.offset + pagina.pageSize;
+  return {
+    total,
+    page: pagina.page,
+    pageSize: pagina.pageSize,
+    next: siguienteOffset < total ? codificarCursor(siguienteOffset, pagina.pageSize) : null,
+  };
+};
+
+/**
+ * Ejecuta las consultas de un listado construidas con `construirConsultaListado`.
+ * @async
+ * @param {import('pg').Pool} pool - Pool de conexiones.
+ * @param {{datos: object, total: object, pagina: object}} consulta - Consultas del listado.
+ * @returns {Promise<{datos: Array<object>, paginacion: object}>} Las filas de la página y los metadatos de paginación.
+ */
+export const ejecutarConsultaListado = async (pool, consulta) => {
+  const [{ rows }, resultadoTotal] = await Promise.all([
+    pool.query(consulta.datos.text, consulta.datos.values),
+    pool.query(consulta.total.text, consulta.total.values),
+  ]);
+  return { datos: rows, paginacion: armarPaginacion(resultadoTotal.rows[0].total, consulta.pagina) };
+};
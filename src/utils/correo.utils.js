@@ -0,0 +1,42 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * @file Transporte de correo saliente. El despachador de notificaciones solo necesita un objeto con
+ * `enviar({ para, asunto, texto })`, así que en pruebas se puede reemplazar por cualquier implementación.
+ */
+
+/**
+ * @typedef {object} TransporteCorreo
+ * @property {function({para: string, asunto: string, texto: string}): Promise<void>} enviar - Envía un correo de texto plano.
+ * @property {function(): void} cerrar - Cierra las conexiones abiertas.
+ */
+
+/**
+ * Crea un transporte SMTP con nodemailer.
+ * @param {object} smtp - La sección `smtp` de la configuración.
+ * @param {string} smtp.host - Servidor SMTP.
+ * @param {number} smtp.puerto - Puerto del servidor.
+ * @param {boolean} smtp.seguro - TLS directo; con `false` se usa STARTTLS si el servidor lo ofrece.
+ * @param {string} [smtp.usuario] - Usuario para autenticarse; sin usuario no se autentica.
+ * @param {string} [smtp.contrasena] - Contraseña del usuario.
+ * @param {string} smtp.remitente - Remitente de los correos (ej. `Centralizador <no-responder@universidad.edu.co>`).
+ * @returns {TransporteCorreo} El transporte.
+ */
+export const crearTransporteSmtp = (smtp) => {
+  const transportador = nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.puerto,
+    secure: smtp.seguro,
+    auth: smtp.usuario ? { user: smtp.usuario, pass: smtp.contrasena } : undefined,
+    connectionTimeout: 10000,
+    greetingTimeout: 10000,
+    socketTimeout: 30000,
+  });
+
+  return {
+    enviar: async ({ para, asunto, texto }) => {
+      await transportador.sendMail({ from: smtp.remitente, to: para, subject: asunto, text: texto });
+    },
+    cerrar: () => transportador.close(),
+  };
+};
@@ -0,0 +1,76 @@
+/**
+ * @file Validación de métricas y niveles iniciales contra el esquema de su variable cognitiva.
+ * Los errores tienen la misma forma que los de express-validator, para que el cliente los trate igual.
+ */
+
+export const TIPOS_METRICA = ['entero', 'decimal', 'texto', 'booleano'];
+
+const TIPOS_NUMERICOS = ['entero', 'decimal'];
+
+const COMPROBAR_TIPO = {
+  entero: (valor) => Number.isInteger(valor),
+  decimal: (valor) => typeof valor === 'number' && Number.isFinite(valor),
+  texto: (valor) => typeof valor === 'string',
+  booleano: (valor) => typeof valor === 'boolean',
+};
+
+const NOMBRES_TIPO = {
+  entero: 'un número entero',
+  decimal: 'un número',
+  texto: 'un texto',
+  booleano: 'verdadero o falso',
+};
+
+/**
+ * Indica si el tipo de un campo admite rango (mínimo y máximo).
+ * @param {string} tipo - Tipo del campo.
+ * @returns {boolean}
+ */
+export const esTipoNumerico = (tipo) => TIPOS_NUMERICOS.includes(tipo);
+
+const errorDeCampo = (ruta, valor, mensaje) => ({ type: 'field', value: valor, msg: mensaje, path: ruta, location: 'body' });
+
+const conUnidad = (valor, unidad) => (unidad ? `${valor} ${unidad}` : `${valor}`);
+
+/**
+ * Valida un objeto de métricas (o de nivel inicial) contra los campos de un esquema.
+ * Rechaza los campos que no están en el esquema, los requeridos que faltan, los de tipo incorrecto y los fuera de rango.
+ * @param {object} valores - Objeto con las métricas enviadas.
+ * @param {Array<object>} campos - Campos del esquema ({ clave, tipo, requerido, minimo, maximo, unidad }).
+ * @param {string} ruta - Nombre del campo del cuerpo que contiene las métricas (ej. 'nuevasMetricas').
+ * @returns {Array<object>} Errores por campo, con la ruta `ruta.clave`; vacío si el objeto es válido.
+ */
+export const validarContraEsquema = (valores, campos, ruta) => {
+  const errores = [];
+  const claves = new Set(campos.map((campo) => campo.clave));
+
+  for (const clave of Object.keys(valores)) {
+    if (!claves.has(clave)) {
+      errores.push(errorDeCampo(`${ruta}.${clave}`, valores[clave], `El campo '${clave}' no está definido en el esquema.`));
+    }
+  }
+
+  for (const { clave, tipo, requerido = true, minimo, maximo, unidad } of campos) {
+    const valor = valores[clave];
+    const rutaCampo = `${ruta}.${clave}`;
+    if (valor === undefined || valor === null) {
+      if (requerido) {
+        errores.push(errorDeCampo(rutaCampo, valor, `El campo '${clave}' es requerido.`));
+      }
+      continue;
+    }
+    if (!COMPROBAR_TIPO[tipo](valor)) {
+      errores.push(errorDeCampo(rutaCampo, valor, `El campo '${clave}' debe ser ${NOMBRES_TIPO[tipo]}.`));
+      continue;
+    }
+    if (esTipoNumerico(tipo)) {
+      if (minimo !== undefined && minimo !== null && valor < minimo) {
+        errores.push(errorDeCampo(rutaCampo, valor, `El campo '${clave}' debe ser mayor o igual a ${conUnidad(minimo, unidad)}.`));
+      } else if (maximo !== undefined && maximo !== null && valor > maximo) {
+        errores.push(errorDeCampo(rutaCampo, valor, `El campo '${clave}' debe ser menor o igual a ${conUnidad(maximo, unidad)}.`));
+      }
+    }
+  }
+
+  return errores;
+};
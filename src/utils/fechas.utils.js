@@ -0,0 +1,12 @@
+/**
+ * @file Fechas como texto en hora local, para compararlas con las fechas YYYY-MM-DD que se guardan en la base de datos.
+ */
+
+/**
+ * Fecha local actual (no la UTC de `toISOString`).
+ * @returns {string} YYYY-MM-DD.
+ */
+export const hoyLocal = () => {
+  const ahora = new Date();
+  return new Date(ahora.getTime() - ahora.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
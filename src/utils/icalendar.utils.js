@@ -0,0 +1,103 @@
+/**
+ * @file Generación de calendarios iCalendar (RFC 5545) para exportar la agenda a Google Calendar, Outlook, etc.
+ * Las horas de las sesiones se escriben como hora local "flotante" (sin zona), igual que se guardan en la base de datos;
+ * el cliente de calendario las muestra en la zona del usuario sin convertirlas.
+ */
+
+export const TIPO_CONTENIDO_ICS = 'text/calendar; charset=utf-8';
+
+const LONGITUD_MAXIMA_LINEA = 75;
+
+/**
+ * Escapa un texto para un valor de tipo TEXT (barra invertida, punto y coma, coma y saltos de línea).
+ * @param {string} texto - Texto a escapar.
+ * @returns {string}
+ */
+export const escaparTexto = (texto) => String(texto ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Parte una línea de más de 75 octetos en líneas de continuación (que empiezan con un espacio), sin cortar caracteres UTF-8.
+ * @param {string} linea - Línea de contenido.
+ * @returns {string} La línea plegada, con CRLF entre las partes.
+ */
+export const plegarLinea = (linea) => {
+  const partes = [];
+  let actual = '';
+  let octetos = 0;
+  for (const caracter of linea) {
+    const tamano = Buffer.byteLength(caracter);
+    // Las líneas de continuación ya usan un octeto en el espacio inicial.
+    const limite = partes.length === 0 ? LONGITUD_MAXIMA_LINEA : LONGITUD_MAXIMA_LINEA - 1;
+    if (octetos + tamano > limite) {
+      partes.push(actual);
+      actual = '';
+      octetos = 0;
+    }
+    actual += caracter;
+    octetos += tamano;
+  }
+  partes.push(actual);
+  return partes.join('\r\n ');
+};
+
+/**
+ * Convierte una fecha y hora local (YYYY-MM-DDTHH:MM[:SS]) al formato DATE-TIME flotante (YYYYMMDDTHHMMSS).
+ * @param {string} fecha - Fecha y hora local.
+ * @returns {string}
+ */
+export const fechaHoraLocal = (fecha) => {
+  const [dia, hora = '00:00:00'] = fecha.split(/[T ]/);
+  const [horas, minutos, segundos = '00'] = hora.split(':');
+  return `${dia.replace(/-/g, '')}T${horas}${minutos}${segundos.slice(0, 2)}`;
+};
+
+const fechaHoraUtc = (fecha) => `${fecha.toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`;
+
+/**
+ * @typedef {object} EventoCalendario
+ * @property {string} uid - Identificador único y estable del evento (ej. el UUID de la sesión).
+ * @property {string} inicio - Fecha y hora local de inicio (YYYY-MM-DDTHH:MM:SS).
+ * @property {string} [fin] - Fecha y hora local de fin; sin ella el evento no tiene duración.
+ * @property {string} resumen - Título del evento.
+ * @property {string} [descripcion] - Descripción del evento.
+ * @property {string} [estado] - STATUS del evento: 'TENTATIVE', 'CONFIRMED' o 'CANCELLED'.
+ */
+
+/**
+ * Genera un calendario iCalendar con los eventos indicados.
+ * @param {object} calendario - Datos del calendario.
+ * @param {string} calendario.nombre - Nombre del calendario (X-WR-CALNAME).
+ * @param {EventoCalendario[]} calendario.eventos - Eventos del calendario.
+ * @param {Date} [calendario.generado=new Date()] - Momento de la exportación (DTSTAMP).
+ * @returns {string} El contenido del archivo .ics, con saltos de línea CRLF.
+ */
+export const generarIcs = ({ nombre, eventos, generado = new Date() }) => {
+  const marcaTiempo = fechaHoraUtc(generado);
+  const lineas = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//CogniCare//Agenda de entrenamiento//ES',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escaparTexto(nombre)}`,
+  ];
+  for (const evento of eventos) {
+    lineas.push(
+      'BEGIN:VEVENT',
+      `UID:${evento.uid}@cognicare`,
+      `DTSTAMP:${marcaTiempo}`,
+      `DTSTART:${fechaHoraLocal(evento.inicio)}`,
+      ...(evento.fin ? [`DTEND:${fechaHoraLocal(evento.fin)}`] : []),
+      `SUMMARY:${escaparTexto(evento.resumen)}`,
+      ...(evento.descripcion ? [`DESCRIPTION:${escaparTexto(evento.descripcion)}`] : []),
+      ...(evento.estado ? [`STATUS:${evento.estado}`] : []),
+      'END:VEVENT',
+    );
+  }
+  lineas.push('END:VCALENDAR');
+  return `${lineas.map(plegarLinea).join('\r\n')}\r\n`;
+};
@@ -1,22 +1,42 @@
 import jwt from "jsonwebtoken";
-import { JWT_SECRET, JWT_EXPIRES_IN } from "../config/secrets.js";
+import config from "../config/config.js";
 import logger from "../config/logger.js";
 
+// Propósito del token restringido que solo sirve para establecer la contraseña.
+export const PROPOSITO_CAMBIO_CONTRASENA = "cambio-contrasena";
+
 /*
- * Genera un token JWT.
+ * Genera un token JWT de acceso.
  * @param {string} userId - El ID del usuario.
  * @param {string} userRole - El rol del usuario.
+ * @param {string} [sesionId] - ID de la sesión (familia de tokens de refresco) a la que pertenece.
  * @returns {string} El token JWT generado.
  */
-export const generartoken = (userId, userRole) => {
+export const generartoken = (userId, userRole, sesionId) => {
   const payload = {
     id: userId,
     role: userRole,
   };
+  if (sesionId) {
+    payload.sid = sesionId;
+  }
   logger.info("[JWT_UTIL] Generando token con payload: %o", payload);
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+  return jwt.sign(payload, config.jwt.secreto, { expiresIn: config.jwt.expiraEn });
 };
 
-// En el futuro, también podrías poner aquí una función para verificar tokens si
-// la necesitas en un lugar diferente al middleware, aunque el middleware es lo común.
-// export const verifyTokenUtility = (token) => { ... };
+/*
+ * Genera un token JWT de corta duración que solo permite establecer la contraseña.
+ * Se entrega en el primer inicio de sesión o cuando la contraseña fue restablecida.
+ * @param {string} userId - El ID del usuario.
+ * @param {string} userRole - El rol del usuario.
+ * @returns {string} El token JWT restringido.
+ */
+export const generarTokenCambioContrasena = (userId, userRole) => {
+  const payload = {
+    id: userId,
+    role: userRole,
+    proposito: PROPOSITO_CAMBIO_CONTRASENA,
+  };
+  logger.info("[JWT_UTIL] Generando token de cambio de contraseña con payload: %o", payload);
+  return jwt.sign(payload, config.jwt.secreto, { expiresIn: config.jwt.cambioContrasenaExpiraEn });
+};
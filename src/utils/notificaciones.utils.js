@@ -0,0 +1,97 @@
+/**
+ * @file Eventos, plantillas y política de reintentos de las notificaciones.
+ * Las plantillas son funciones puras: reciben los datos del evento y el destinatario y devuelven asunto y cuerpo en español.
+ */
+
+/**
+ * Eventos que generan notificaciones.
+ */
+export const EVENTOS_NOTIFICACION = Object.freeze({
+  ENTRENAMIENTO_ASIGNADO: 'entrenamiento.asignado',
+  ENTRENADOR_DESACTIVADO: 'entrenador.desactivado',
+  VARIABLE_ABANDONADA: 'variable.abandonada',
+  VARIABLE_FINALIZADA: 'variable.finalizada',
+  SESION_CAMBIO_SOLICITADO: 'sesion.cambio-solicitado',
+  SESION_CAMBIO_RESUELTO: 'sesion.cambio-resuelto',
+});
+
+/** Canales de entrega: la bandeja de la aplicación y el correo. */
+export const CANALES_NOTIFICACION = Object.freeze(['app', 'correo']);
+
+// Espera máxima entre dos intentos de envío de un correo.
+const ESPERA_MAXIMA_SEGUNDOS = 6 * 60 * 60;
+
+const E = EVENTOS_NOTIFICACION;
+
+// '2025-03-03T10:00:00' -> '2025-03-03 a las 10:00'.
+const textoFechaHora = (fechaHora) => `${fechaHora.slice(0, 10)} a las ${fechaHora.slice(11, 16)}`;
+
+const PLANTILLAS = {
+  [E.ENTRENAMIENTO_ASIGNADO]: {
+    asunto: () => 'Nuevo entrenamiento asignado',
+    cuerpo: (datos) => `Se le asignó el entrenamiento cognitivo de ${datos.estudiante}. `
+      + 'Puede consultarlo en la lista de sus entrenamientos.',
+  },
+  [E.ENTRENADOR_DESACTIVADO]: {
+    asunto: (datos, destinatario) => (destinatario.usuarioId === datos.entrenadorId
+      ? 'Su cuenta de entrenador fue desactivada'
+      : `Entrenador desactivado: ${datos.entrenador}`),
+    cuerpo: (datos, destinatario) => (destinatario.usuarioId === datos.entrenadorId
+      ? 'Su cuenta de entrenador fue desactivada y sus sesiones abiertas se cerraron. '
+        + 'Si cree que se trata de un error, comuníquese con la coordinación de su facultad.'
+      : `El entrenador ${datos.entrenador} fue desactivado. `
+        + 'Revise si sus entrenamientos en curso necesitan un nuevo entrenador.'),
+  },
+  [E.VARIABLE_ABANDONADA]: {
+    asunto: (datos) => `Variable abandonada: ${datos.variable}`,
+    cuerpo: (datos) => `${datos.estudiante} abandonó la variable cognitiva ${datos.variable}. `
+      + 'La asignación puede reactivarse si el estudiante retoma el entrenamiento.',
+  },
+  [E.VARIABLE_FINALIZADA]: {
+    asunto: (datos) => `Variable finalizada: ${datos.variable}`,
+    cuerpo: (datos) => `${datos.estudiante} finalizó la variable cognitiva ${datos.variable}.`,
+  },
+  [E.SESION_CAMBIO_SOLICITADO]: {
+    asunto: (datos) => `Solicitud de cambio de sesión: ${datos.estudiante}`,
+    cuerpo: (datos) => `${datos.estudiante} pidió mover su sesión de ${datos.variable} del ${textoFechaHora(datos.inicioAnterior)} `
+      + `al ${textoFechaHora(datos.inicioPropuesto)}. Puede aprobarla o rechazarla en la lista de solicitudes de cambio.`,
+  },
+  [E.SESION_CAMBIO_RESUELTO]: {
+    asunto: (datos) => `Solicitud de cambio de sesión ${datos.estado}`,
+    cuerpo: (datos) => (datos.estado === 'aprobada'
+      ? `Su sesión de ${datos.variable} se movió del ${textoFechaHora(datos.inicioAnterior)} al ${textoFechaHora(datos.inicioPropuesto)}.`
+      : `Su sesión de ${datos.variable} se mantiene el ${textoFechaHora(datos.inicioAnterior)}.`)
+      + (datos.respuesta ? `\n\nRespuesta del entrenador: ${datos.respuesta}` : ''),
+  },
+};
+
+/**
+ * Arma el asunto y el cuerpo de una notificación con la plantilla del evento.
+ * @param {string} evento - Uno de `EVENTOS_NOTIFICACION`.
+ * @param {object} datos - Datos del evento que usa la plantilla.
+ * @param {{usuarioId: string, rol: string, nombre: string}} destinatario - A quién va dirigida.
+ * @returns {{asunto: string, cuerpo: string}} El mensaje, con el saludo al destinatario.
+ * @throws {Error} Si el evento no tiene plantilla.
+ */
+export const renderizarNotificacion = (evento, datos, destinatario) => {
+  const plantilla = PLANTILLAS[evento];
+  if (!plantilla) {
+    throw new Error(`No hay plantilla para el evento de notificación '${evento}'.`);
+  }
+  return {
+    asunto: plantilla.asunto(datos, destinatario),
+    cuerpo: `Hola, ${destinatario.nombre}:\n\n${plantilla.cuerpo(datos, destinatario)}`,
+  };
+};
+
+/**
+ * Calcula cuándo reintentar un correo que falló: la espera se duplica con cada intento, hasta un máximo de 6 horas.
+ * @param {number} intentos - Intentos ya realizados (1 después del primer fallo).
+ * @param {number} esperaBaseSegundos - Espera después del primer fallo.
+ * @param {Date} [ahora=new Date()] - Momento del fallo.
+ * @returns {Date} Fecha del próximo intento.
+ */
+export const calcularProximoIntento = (intentos, esperaBaseSegundos, ahora = new Date()) => {
+  const espera = Math.min(esperaBaseSegundos * 2 ** Math.max(intentos - 1, 0), ESPERA_MAXIMA_SEGUNDOS);
+  return new Date(ahora.getTime() + espera * 1000);
+};
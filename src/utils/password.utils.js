@@ -0,0 +1,109 @@
+import { scrypt, randomBytes, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+
+/**
+ * @file Funciones de utilidad para el manejo seguro de contraseñas (hash con scrypt).
+ */
+
+const scryptAsync = promisify(scrypt);
+
+// Parámetros de scrypt. Se guardan junto al hash para poder subirlos en el futuro
+// sin invalidar las contraseñas ya almacenadas.
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const LONGITUD_CLAVE = 64;
+const LONGITUD_SALT = 16;
+
+// Hash con los mismos parámetros que los reales y un salt fijo. Verificar contra él cuesta lo mismo que verificar una
+// contraseña real y nunca coincide; sirve para que un usuario inexistente no responda más rápido.
+const HASH_FICTICIO = ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, Buffer.alloc(LONGITUD_SALT, 1).toString('base64'), Buffer.alloc(LONGITUD_CLAVE).toString('base64')].join('$');
+
+const ALFABETO_TEMPORAL = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+
+/**
+ * Genera el hash de una contraseña con un salt aleatorio.
+ * El resultado tiene el formato `scrypt$N$r$p$salt$hash` (salt y hash en base64).
+ * @async
+ * @param {string} contrasena - La contraseña en texto plano.
+ * @returns {Promise<string>} El hash listo para almacenar.
+ */
+export const generarHashContrasena = async (contrasena) => {
+  const salt = randomBytes(LONGITUD_SALT);
+  const clave = await scryptAsync(contrasena, salt, LONGITUD_CLAVE, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), clave.toString('base64')].join('$');
+};
+
+/**
+ * Verifica una contraseña contra un hash almacenado, en tiempo constante.
+ * @async
+ * @param {string} contrasena - La contraseña en texto plano.
+ * @param {string} hashAlmacenado - El hash generado por `generarHashContrasena`.
+ * @returns {Promise<boolean>} `true` si la contraseña corresponde al hash.
+ */
+export const verificarContrasena = async (contrasena, hashAlmacenado) => {
+  if (typeof contrasena !== 'string' || typeof hashAlmacenado !== 'string') {
+    return false;
+  }
+
+  const partes = hashAlmacenado.split('$');
+  if (partes.length !== 6 || partes[0] !== 'scrypt') {
+    return false;
+  }
+
+  const [, n, r, p, saltBase64, claveBase64] = partes;
+  const claveEsperada = Buffer.from(claveBase64, 'base64');
+  const clave = await scryptAsync(contrasena, Buffer.from(saltBase64, 'base64'), claveEsperada.length, {
+    N: Number(n),
+    r: Number(r),
+    p: Number(p),
+  });
+
+  return clave.length === claveEsperada.length && timingSafeEqual(clave, claveEsperada);
+};
+
+/**
+ * Ejecuta la misma verificación que `verificarContrasena` contra un hash ficticio, para cuando no hay usuario o
+ * credencial: así el tiempo de respuesta no revela si existen.
+ * @async
+ * @param {string} contrasena - La contraseña en texto plano.
+ * @returns {Promise<boolean>} Siempre `false`.
+ */
+export const verificarContrasenaFicticia = async (contrasena) => {
+  await verificarContrasena(typeof contrasena === 'string' ? contrasena : '', HASH_FICTICIO);
+  return false;
+};
+
+/**
+ * Genera una contraseña temporal aleatoria para el primer inicio de sesión.
+ * Se excluyen caracteres ambiguos (0/O, 1/l/I) para facilitar su transcripción.
+ * @param {number} [longitud=12] - Longitud de la contraseña.
+ * @returns {string} La contraseña temporal.
+ */
+export const generarContrasenaTemporal = (longitud = 12) => {
+  const bytes = randomBytes(longitud);
+  let contrasena = '';
+  for (let i = 0; i < longitud; i++) {
+    contrasena += ALFABETO_TEMPORAL[bytes[i] % ALFABETO_TEMPORAL.length];
+  }
+  return contrasena;
+};
+
+/**
+ * Verifica que una contraseña cumpla la política mínima:
+ * al menos 8 caracteres, una letra y un número.
+ * @param {string} contrasena - La contraseña a evaluar.
+ * @returns {{isValid: boolean, message?: string}}
+ */
+export const cumplePoliticaContrasena = (contrasena) => {
+  if (typeof contrasena !== 'string' || contrasena.length < 8) {
+    return { isValid: false, message: 'La contraseña debe tener al menos 8 caracteres.' };
+  }
+  if (contrasena.length > 128) {
+    return { isValid: false, message: 'La contraseña no puede exceder los 128 caracteres.' };
+  }
+  if (!/[A-Za-z]/.test(contrasena) || !/[0-9]/.test(contrasena)) {
+    return { isValid: false, message: 'La contraseña debe contener al menos una letra y un número.' };
+  }
+  return { isValid: true };
+};
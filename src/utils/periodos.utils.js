@@ -0,0 +1,14 @@
+/**
+ * @file Periodos académicos: formato del código y políticas de cierre (ver migración 020).
+ */
+
+/** Código de un periodo: el año y el semestre (ej. 2026-1, 2026-2). */
+export const PATRON_CODIGO_PERIODO = /^\d{4}-[12]$/;
+
+/**
+ * Políticas de cierre de un periodo para sus entrenamientos abiertos.
+ * - cerrar: los cierra todos.
+ * - trasladar: los pasa todos al periodo de destino.
+ * - trasladarEnProgreso: pasa los que tienen alguna asignación de variable en progreso y cierra los demás.
+ */
+export const POLITICAS_CIERRE_PERIODO = Object.freeze(['cerrar', 'trasladar', 'trasladarEnProgreso']);
@@ -0,0 +1,174 @@
+/**
+ * @file Modelo declarativo de permisos: catálogo de permisos y permisos de cada rol.
+ * Las rutas declaran el permiso que necesitan con `requierePermiso(...)`; nunca el rol.
+ */
+
+/**
+ * Catálogo de permisos, con la forma `recurso:accion`.
+ */
+export const PERMISOS = Object.freeze({
+  ESTUDIANTE_CREAR: 'estudiante:crear',
+  ESTUDIANTE_LEER: 'estudiante:leer',
+  ESTUDIANTE_ACTUALIZAR: 'estudiante:actualizar',
+  // Archivar y restaurar (el archivado se propaga a los entrenamientos y sesiones del estudiante).
+  ESTUDIANTE_ARCHIVAR: 'estudiante:archivar',
+  // Habeas Data: exportar todo lo que se guarda de un estudiante y anonimizarlo (solo administradores).
+  ESTUDIANTE_DATOS_PERSONALES: 'estudiante:datos-personales',
+  ESTUDIANTE_ANONIMIZAR: 'estudiante:anonimizar',
+
+  ENTRENAMIENTO_CREAR: 'entrenamiento:crear',
+  ENTRENAMIENTO_LEER: 'entrenamiento:leer',
+  ENTRENAMIENTO_ACTUALIZAR: 'entrenamiento:actualizar',
+  ENTRENAMIENTO_ARCHIVAR: 'entrenamiento:archivar',
+
+  ASIGNACION_CREAR: 'asignacion:crear',
+  ASIGNACION_FINALIZAR: 'asignacion:finalizar',
+  ASIGNACION_ABANDONAR: 'asignacion:abandonar',
+  ASIGNACION_REACTIVAR: 'asignacion:reactivar',
+
+  SESION_CREAR: 'sesion:crear',
+  SESION_INICIAR: 'sesion:iniciar',
+  SESION_ACTUALIZAR: 'sesion:actualizar',
+  SESION_FINALIZAR: 'sesion:finalizar',
+  SESION_ARCHIVAR: 'sesion:archivar',
+  // Borrar definitivamente los registros archivados pasado el periodo de retención.
+  ARCHIVADOS_PURGAR: 'archivados:purgar',
+
+  PLAN_SESIONES_GESTIONAR: 'plan-sesiones:gestionar',
+  // Consultar la agenda propia y gestionar la disponibilidad propia (solo entrenadores).
+  AGENDA_GESTIONAR_PROPIA: 'agenda:gestionar-propia',
+  // Aprobar o rechazar las solicitudes de cambio de fecha de las sesiones planificadas.
+  SOLICITUD_CAMBIO_SESION_GESTIONAR: 'solicitud-cambio-sesion:gestionar',
+
+  // Portal del estudiante: solo sobre los registros del propio estudiante.
+  PORTAL_LEER_PROPIO: 'portal:leer-propio',
+  PORTAL_ACTUALIZAR_CONTACTO: 'portal:actualizar-contacto',
+  PORTAL_SOLICITAR_CAMBIO_SESION: 'portal:solicitar-cambio-sesion',
+
+  ENTRENADOR_CREAR: 'entrenador:crear',
+  ENTRENADOR_LEER: 'entrenador:leer',
+  ENTRENADOR_ACTUALIZAR: 'entrenador:actualizar',
+  ENTRENADOR_DESACTIVAR: 'entrenador:desactivar',
+
+  COORDINADOR_CREAR: 'coordinador:crear',
+  COORDINADOR_LEER: 'coordinador:leer',
+
+  CREDENCIAL_RESTABLECER: 'credencial:restablecer',
+
+  AUDITORIA_LEER: 'auditoria:leer',
+
+  INFORME_LEER: 'informe:leer',
+  INFORME_LEER_PROPIOS: 'informe:leer-propios',
+
+  ANALITICA_LEER: 'analitica:leer',
+
+  ALERTA_LEER: 'alerta:leer',
+  ALERTA_DESCARTAR: 'alerta:descartar',
+  // Configurar los umbrales por facultad y lanzar el escaneo de alertas.
+  ALERTA_GESTIONAR: 'alerta:gestionar',
+
+  // Consultar la bandeja de notificaciones propia y configurar sus preferencias.
+  NOTIFICACION_GESTIONAR_PROPIAS: 'notificacion:gestionar-propias',
+
+  CATALOGO_LEER: 'catalogo:leer',
+  // Crear, renombrar, desactivar, reordenar y eliminar valores de los catálogos (solo administradores).
+  CATALOGO_GESTIONAR: 'catalogo:gestionar',
+  VARIABLE_COGNITIVA_LEER: 'variable-cognitiva:leer',
+  PERIODO_LEER: 'periodo:leer',
+  // Crear, cambiar las fechas, eliminar y cerrar los periodos académicos (solo administradores).
+  PERIODO_GESTIONAR: 'periodo:gestionar',
+  ESQUEMA_METRICAS_GESTIONAR: 'esquema-metricas:gestionar',
+
+  // Acceso a registros de cualquier facultad (sin alcance por facultad).
+  ALCANCE_GLOBAL: 'alcance:global',
+  // Modificar sesiones y asignaciones de entrenamientos de otros entrenadores (queda registrado).
+  PROPIEDAD_OVERRIDE: 'propiedad:override',
+});
+
+const P = PERMISOS;
+
+// Permisos sobre los registros propios del usuario, que un administrador no tiene.
+const PERMISOS_PROPIOS = [
+  P.INFORME_LEER_PROPIOS,
+  P.AGENDA_GESTIONAR_PROPIA,
+  P.PORTAL_LEER_PROPIO,
+  P.PORTAL_ACTUALIZAR_CONTACTO,
+  P.PORTAL_SOLICITAR_CAMBIO_SESION,
+];
+
+// Permisos de solo lectura compartidos por los roles del personal (no por los estudiantes).
+const LECTURA_BASICA = [
+  P.CATALOGO_LEER,
+  P.VARIABLE_COGNITIVA_LEER,
+  P.PERIODO_LEER,
+  P.ESTUDIANTE_LEER,
+  P.ENTRENAMIENTO_LEER,
+  P.ENTRENADOR_LEER,
+  P.ALERTA_LEER,
+];
+
+/**
+ * Permisos de cada rol.
+ * - admin: gestión completa, sobre registros de cualquier facultad.
+ * - entrenador: gestión de sus estudiantes, entrenamientos, sesiones y planes de sesiones (incluido archivarlos y
+ *   restaurarlos, pero no purgarlos); ve sus propios informes,
+ *   gestiona su agenda y disponibilidad, resuelve las solicitudes de cambio de sus sesiones, descarta alertas de riesgo
+ *   y recibe notificaciones. Limitado a sus facultades y a los entrenamientos que tiene asignados.
+ * - coordinador: jefe de facultad, solo lectura y limitado a su facultad; recibe notificaciones de su facultad.
+ * - estudiante: portal del estudiante; solo sus propios entrenamientos, sesiones y progreso, sin las observaciones
+ *   de los entrenadores. Actualiza su correo de contacto, pide cambios de fecha de sus sesiones y recibe notificaciones.
+ */
+export const PERMISOS_POR_ROL = Object.freeze({
+  admin: Object.freeze(Object.values(P).filter((permiso) => !PERMISOS_PROPIOS.includes(permiso))),
+  entrenador: Object.freeze([
+    ...LECTURA_BASICA,
+    P.ESTUDIANTE_CREAR,
+    P.ESTUDIANTE_ACTUALIZAR,
+    P.ESTUDIANTE_ARCHIVAR,
+    P.ENTRENAMIENTO_CREAR,
+    P.ENTRENAMIENTO_ACTUALIZAR,
+    P.ENTRENAMIENTO_ARCHIVAR,
+    P.ASIGNACION_CREAR,
+    P.ASIGNACION_FINALIZAR,
+    P.ASIGNACION_ABANDONAR,
+    P.ASIGNACION_REACTIVAR,
+    P.SESION_CREAR,
+    P.SESION_INICIAR,
+    P.SESION_ACTUALIZAR,
+    P.SESION_FINALIZAR,
+    P.SESION_ARCHIVAR,
+    P.PLAN_SESIONES_GESTIONAR,
+    P.AGENDA_GESTIONAR_PROPIA,
+    P.SOLICITUD_CAMBIO_SESION_GESTIONAR,
+    P.INFORME_LEER_PROPIOS,
+    P.ALERTA_DESCARTAR,
+    P.NOTIFICACION_GESTIONAR_PROPIAS,
+  ]),
+  coordinador: Object.freeze([
+    ...LECTURA_BASICA,
+    P.INFORME_LEER,
+    P.ANALITICA_LEER,
+    P.NOTIFICACION_GESTIONAR_PROPIAS,
+  ]),
+  estudiante: Object.freeze([
+    P.PORTAL_LEER_PROPIO,
+    P.PORTAL_ACTUALIZAR_CONTACTO,
+    P.PORTAL_SOLICITAR_CAMBIO_SESION,
+    P.NOTIFICACION_GESTIONAR_PROPIAS,
+  ]),
+});
+
+/**
+ * Devuelve los permisos de un rol.
+ * @param {string} rol - El rol del usuario.
+ * @returns {readonly string[]} Los permisos del rol (vacío si el rol no existe).
+ */
+export const permisosDeRol = (rol) => PERMISOS_POR_ROL[rol] || [];
+
+/**
+ * Indica si un rol tiene un permiso.
+ * @param {string} rol - El rol del usuario.
+ * @param {string} permiso - El permiso requerido (ej. 'estudiante:crear').
+ * @returns {boolean} `true` si el rol tiene el permiso.
+ */
+export const tienePermiso = (rol, permiso) => permisosDeRol(rol).includes(permiso);
@@ -0,0 +1,274 @@
+/**
+ * @file Generación de reportes descargables (PDF, CSV y XLSX) en el servidor.
+ * Los servicios describen el reporte como un documento independiente del formato
+ * (título, secciones con campos y tablas) y aquí se dibuja en el formato pedido.
+ */
+
+import ExcelJS from 'exceljs';
+import PDFDocument from 'pdfkit';
+import { lineaCsv } from './archivos.utils.js';
+
+export const FORMATOS_REPORTE = ['pdf', 'csv', 'xlsx'];
+
+const TIPOS_CONTENIDO = {
+  pdf: 'application/pdf',
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/**
+ * @typedef {object} SeccionReporte
+ * @property {string} titulo - Título de la sección.
+ * @property {Array<[string, any]>} [campos] - Pares etiqueta-valor (datos de una ficha).
+ * @property {Array<{clave: string, titulo: string, ancho?: number}>} [columnas] - Columnas de la tabla;
+ * `ancho` es el peso relativo de la columna en el PDF (1 por defecto).
+ * @property {Array<object>} [filas] - Filas de la tabla.
+ */
+
+/**
+ * @typedef {object} DocumentoReporte
+ * @property {string} titulo - Título del reporte.
+ * @property {string} [subtitulo] - Línea bajo el título.
+ * @property {SeccionReporte[]} secciones - Secciones en orden.
+ */
+
+const dosDigitos = (numero) => String(numero).padStart(2, '0');
+
+/**
+ * Convierte un valor a texto para el reporte.
+ * Fechas como YYYY-MM-DD (con HH:MM si tienen hora), arreglos separados por '; ' y objetos como 'clave: valor'.
+ * @param {any} valor - Valor a mostrar.
+ * @returns {string}
+ */
+export const textoDeValor = (valor) => {
+  if (valor === null || valor === undefined) {
+    return '';
+  }
+  if (valor instanceof Date) {
+    const fecha = valor.toISOString().slice(0, 10);
+    const conHora = valor.getUTCHours() !== 0 || valor.getUTCMinutes() !== 0;
+    return conHora ? `${fecha} ${dosDigitos(valor.getUTCHours())}:${dosDigitos(valor.getUTCMinutes())}` : fecha;
+  }
+  if (Array.isArray(valor)) {
+    return valor.map(textoDeValor).join('; ');
+  }
+  if (typeof valor === 'object') {
+    return Object.entries(valor).map(([clave, dato]) => `${clave}: ${textoDeValor(dato)}`).join(', ');
+  }
+  return String(valor);
+};
+
+const esTabla = (seccion) => Array.isArray(seccion.columnas);
+
+// --- CSV ---
+
+const generarCsvReporte = (documento) => {
+  // Un reporte de una sola tabla se exporta como CSV plano; si tiene varias secciones, cada una lleva su título.
+  const conTitulos = documento.secciones.length > 1 || !esTabla(documento.secciones[0]);
+  const lineas = [];
+  if (conTitulos) {
+    lineas.push(lineaCsv([documento.titulo]));
+    if (documento.subtitulo) {
+      lineas.push(lineaCsv([documento.subtitulo]));
+    }
+  }
+  for (const seccion of documento.secciones) {
+    if (conTitulos) {
+      lineas.push('', lineaCsv([seccion.titulo]));
+    }
+    for (const [etiqueta, valor] of seccion.campos || []) {
+      lineas.push(lineaCsv([etiqueta, textoDeValor(valor)]));
+    }
+    if (esTabla(seccion)) {
+      lineas.push(lineaCsv(seccion.columnas.map((columna) => columna.titulo)));
+      for (const fila of seccion.filas) {
+        lineas.push(lineaCsv(seccion.columnas.map((columna) => textoDeValor(fila[columna.clave]))));
+      }
+    }
+  }
+  return Buffer.from(`\uFEFF${lineas.join('\r\n')}\r\n`, 'utf8');
+};
+
+// --- XLSX ---
+
+const FORMATO_FECHA_XLSX = 'yyyy-mm-dd hh:mm';
+const ANCHO_MAXIMO_COLUMNA_XLSX = 60;
+
+const valorDeCelda = (valor) => (valor instanceof Date || typeof valor === 'number' ? valor : textoDeValor(valor));
+
+// Excel limita el nombre de la hoja a 31 caracteres y no admite algunos símbolos.
+const nombreDeHoja = (titulo) => titulo.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31);
+
+const generarXlsxReporte = async (documento) => {
+  const libro = new ExcelJS.Workbook();
+  const hoja = libro.addWorksheet(nombreDeHoja(documento.titulo));
+  const anchos = [];
+
+  const agregarFila = (valores, { negrita = false, tamano, relleno = false } = {}) => {
+    const fila = hoja.addRow(valores.map(valorDeCelda));
+    fila.eachCell((celda, columna) => {
+      if (celda.value instanceof Date) {
+        celda.numFmt = FORMATO_FECHA_XLSX;
+      }
+      if (negrita || tamano) {
+        celda.font = { bold: negrita, ...(tamano ? { size: tamano } : {}) };
+      }
+      if (relleno) {
+        celda.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE8E8E8' } };
+      }
+      const largo = textoDeValor(valores[columna - 1]).length + 2;
+      anchos[columna - 1] = Math.min(Math.max(anchos[columna - 1] || 10, largo), ANCHO_MAXIMO_COLUMNA_XLSX);
+    });
+    return fila;
+  };
+
+  // Un reporte de una sola tabla ocupa la hoja desde la primera fila, con filtros y encabezado fijo.
+  const soloTabla = documento.secciones.length === 1 && esTabla(documento.secciones[0]) && !documento.secciones[0].campos;
+  if (soloTabla) {
+    const [{ columnas, filas }] = documento.secciones;
+    agregarFila(columnas.map((columna) => columna.titulo), { negrita: true, relleno: true });
+    for (const fila of filas) {
+      agregarFila(columnas.map((columna) => fila[columna.clave]));
+    }
+    hoja.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columnas.length } };
+    hoja.views = [{ state: 'frozen', ySplit: 1 }];
+  } else {
+    hoja.addRow([documento.titulo]).font = { bold: true, size: 14 };
+    if (documento.subtitulo) {
+      hoja.addRow([documento.subtitulo]);
+    }
+    for (const seccion of documento.secciones) {
+      hoja.addRow([]);
+      hoja.addRow([seccion.titulo]).font = { bold: true, size: 12 };
+      for (const [etiqueta, valor] of seccion.campos || []) {
+        agregarFila([etiqueta, valor]).getCell(1).font = { bold: true };
+      }
+      if (esTabla(seccion)) {
+        agregarFila(seccion.columnas.map((columna) => columna.titulo), { negrita: true, relleno: true });
+        for (const fila of seccion.filas) {
+          agregarFila(seccion.columnas.map((columna) => fila[columna.clave]));
+        }
+      }
+    }
+  }
+
+  anchos.forEach((ancho, indice) => {
+    hoja.getColumn(indice + 1).width = ancho;
+  });
+  return Buffer.from(await libro.xlsx.writeBuffer());
+};
+
+// --- PDF ---
+
+const MARGEN_PDF = 50;
+const RELLENO_CELDA_PDF = 3;
+
+const dibujarTablaPdf = (pdf, columnas, filas) => {
+  const izquierda = pdf.page.margins.left;
+  const anchoTotal = pdf.page.width - pdf.page.margins.left - pdf.page.margins.right;
+  const pesoTotal = columnas.reduce((suma, columna) => suma + (columna.ancho || 1), 0);
+  const anchos = columnas.map((columna) => (anchoTotal * (columna.ancho || 1)) / pesoTotal);
+  const titulos = columnas.map((columna) => columna.titulo);
+
+  const dibujarFila = (valores, encabezado = false) => {
+    const fuente = encabezado ? 'Helvetica-Bold' : 'Helvetica';
+    pdf.font(fuente).fontSize(8);
+    const alto = Math.max(...valores.map((valor, indice) => pdf.heightOfString(valor, { width: anchos[indice] - 2 * RELLENO_CELDA_PDF })))
+      + 2 * RELLENO_CELDA_PDF;
+
+    if (pdf.y + alto > pdf.page.height - pdf.page.margins.bottom) {
+      pdf.addPage();
+      // El encabezado se repite en cada página de la tabla.
+      if (!encabezado) {
+        dibujarFila(titulos, true);
+        pdf.font(fuente).fontSize(8);
+      }
+    }
+
+    const y = pdf.y;
+    if (encabezado) {
+      pdf.rect(izquierda, y, anchoTotal, alto).fill('#e8e8e8');
+    }
+    pdf.fillColor('black');
+    let x = izquierda;
+    valores.forEach((valor, indice) => {
+      pdf.text(valor, x + RELLENO_CELDA_PDF, y + RELLENO_CELDA_PDF, { width: anchos[indice] - 2 * RELLENO_CELDA_PDF });
+      x += anchos[indice];
+    });
+    pdf.moveTo(izquierda, y + alto).lineTo(izquierda + anchoTotal, y + alto).lineWidth(0.5).strokeColor('#bbbbbb').stroke();
+    pdf.x = izquierda;
+    pdf.y = y + alto;
+  };
+
+  dibujarFila(titulos, true);
+  if (filas.length === 0) {
+    pdf.font('Helvetica-Oblique').fontSize(8).text('Sin registros.', izquierda + RELLENO_CELDA_PDF, pdf.y + RELLENO_CELDA_PDF);
+    return;
+  }
+  for (const fila of filas) {
+    dibujarFila(columnas.map((columna) => textoDeValor(fila[columna.clave])));
+  }
+};
+
+const generarPdfReporte = (documento) => new Promise((resolve, reject) => {
+  const pdf = new PDFDocument({ size: 'A4', margin: MARGEN_PDF, bufferPages: true, info: { Title: documento.titulo } });
+  const partes = [];
+  pdf.on('data', (parte) => partes.push(parte));
+  pdf.on('end', () => resolve(Buffer.concat(partes)));
+  pdf.on('error', reject);
+
+  pdf.font('Helvetica-Bold').fontSize(16).text(documento.titulo);
+  if (documento.subtitulo) {
+    pdf.font('Helvetica').fontSize(10).fillColor('#555555').text(documento.subtitulo).fillColor('black');
+  }
+
+  for (const seccion of documento.secciones) {
+    pdf.moveDown();
+    pdf.font('Helvetica-Bold').fontSize(12).text(seccion.titulo, pdf.page.margins.left);
+    pdf.moveDown(0.3);
+    for (const [etiqueta, valor] of seccion.campos || []) {
+      pdf.font('Helvetica-Bold').fontSize(9).text(`${etiqueta}: `, { continued: true })
+        .font('Helvetica').text(textoDeValor(valor) || '—');
+    }
+    if (esTabla(seccion)) {
+      dibujarTablaPdf(pdf, seccion.columnas, seccion.filas);
+    }
+  }
+
+  // Pie de página con la fecha de generación y la numeración.
+  const generado = textoDeValor(new Date());
+  const { start, count } = pdf.bufferedPageRange();
+  for (let indice = start; indice < start + count; indice += 1) {
+    pdf.switchToPage(indice);
+    const margenInferior = pdf.page.margins.bottom;
+    // Sin margen inferior, para que escribir en el pie no agregue una página.
+    pdf.page.margins.bottom = 0;
+    pdf.font('Helvetica').fontSize(8).fillColor('#777777').text(
+      `Generado el ${generado} UTC · Página ${indice + 1} de ${count}`,
+      pdf.page.margins.left,
+      pdf.page.height - margenInferior / 2,
+      { width: pdf.page.width - pdf.page.margins.left - pdf.page.margins.right, align: 'center', lineBreak: false }
+    );
+    pdf.page.margins.bottom = margenInferior;
+  }
+  pdf.end();
+});
+
+const GENERADORES = {
+  pdf: generarPdfReporte,
+  csv: generarCsvReporte,
+  xlsx: generarXlsxReporte,
+};
+
+/**
+ * Genera un reporte en el formato pedido.
+ * @async
+ * @param {DocumentoReporte} documento - Contenido del reporte.
+ * @param {string} formato - 'pdf', 'csv' o 'xlsx'.
+ * @returns {Promise<{contenido: Buffer, tipoContenido: string, extension: string}>}
+ */
+export const generarReporte = async (documento, formato) => ({
+  contenido: await GENERADORES[formato](documento),
+  tipoContenido: TIPOS_CONTENIDO[formato],
+  extension: formato,
+});
@@ -30,6 +30,19 @@ export const sendSuccess = (res, statusCode, message, data = null) => {
   return res.status(statusCode).json(response);
 };
 
+/**
+ * Envía un archivo generado en memoria como descarga.
+ * @param {object} res - Objeto de respuesta Express.
+ * @param {string|Buffer} contenido - Contenido del archivo.
+ * @param {string} tipoContenido - Tipo MIME (Content-Type).
+ * @param {string} nombreArchivo - Nombre sugerido para guardar el archivo.
+ */
+export const sendArchivo = (res, contenido, tipoContenido, nombreArchivo) => {
+  res.set('Content-Type', tipoContenido);
+  res.set('Content-Disposition', `attachment; filename="${nombreArchivo}"`);
+  return res.status(200).send(contenido);
+};
+
 /**
  * Envía una respuesta de error estandarizada.
  * @param {object} res - Objeto de respuesta Express.
@@ -72,4 +85,57 @@ export const throwClientError = (message, statusCode) => {
   const error = new Error(message);
   error.statusCode = statusCode;
   throw error;
-}; 
\ No newline at end of file
+};
+
+/**
+ * Registra un error inesperado de un servicio y lo relanza, marcándolo como 500 si no trae código de estado.
+ * Los errores de negocio (lanzados con `throwClientError`) conservan el suyo.
+ * @param {string} etiqueta - Etiqueta del servicio para el log (p. ej. 'SERVICIO_PERIODO').
+ * @param {Error} error - El error capturado.
+ * @param {string} contexto - Qué se estaba haciendo, para el log (p. ej. 'crear el periodo').
+ * @throws {Error} Siempre relanza `error`.
+ */
+export const relanzar = (etiqueta, error, contexto) => {
+  logger.error(`[${etiqueta}] Error en servicio al ${contexto}:`, error);
+  if (!error.statusCode) {
+    error.statusCode = 500;
+  }
+  throw error;
+};
+
+/**
+ * Ejecuta `callback` una sola vez cuando el controlador ya respondió: al terminar de enviarse la respuesta
+ * ('finish') o, si el cliente se desconectó antes ('close', sin 'finish'), en cuanto el controlador responde con
+ * `res.json`. La operación sigue ejecutándose aunque el cliente se desconecte, así que su resultado no se pierde.
+ * El callback decide según `res.statusCode`.
+ * @param {object} res - Objeto de respuesta Express.
+ * @param {function(): void} callback - Función a ejecutar.
+ */
+export const alResponder = (res, callback) => {
+  let ejecutado = false;
+  let respondida = false;
+  let cerrada = false;
+  const ejecutar = () => {
+    if (!ejecutado) {
+      ejecutado = true;
+      callback();
+    }
+  };
+
+  const jsonOriginal = res.json.bind(res);
+  res.json = (cuerpo) => {
+    respondida = true;
+    const resultado = jsonOriginal(cuerpo);
+    if (cerrada) {
+      ejecutar();
+    }
+    return resultado;
+  };
+  res.on('finish', ejecutar);
+  res.on('close', () => {
+    cerrada = true;
+    if (respondida) {
+      ejecutar();
+    }
+  });
+};
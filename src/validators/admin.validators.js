@@ -1,4 +1,4 @@
-import { body, param } from 'express-validator'; // 'param' no se usa aquí, pero 'body' sí
+import { body, param, query } from 'express-validator';
 
 /**
  * @file Define los conjuntos de reglas de validación para las rutas de administración.
@@ -102,4 +102,86 @@ export const validacionesCompletasActualizarEntrenador = [
 // Para la ruta de desactivar, solo necesitamos validar el ID de la URL
 export const validacionesDesactivarEntrenador = [
   ...validacionParametroEntrenadorID
-];
\ No newline at end of file
+];
+// Validaciones para el endpoint de registrar un nuevo coordinador
+export const validacionesRegistroCoordinador = [
+  body('nombres')
+    .trim()
+    .notEmpty().withMessage('Los nombres del coordinador son requeridos.')
+    .isLength({ max: 100 }).withMessage('Los nombres no pueden superar 100 caracteres.'),
+  body('apellidos')
+    .trim()
+    .notEmpty().withMessage('Los apellidos del coordinador son requeridos.')
+    .isLength({ max: 100 }).withMessage('Los apellidos no pueden superar 100 caracteres.'),
+  body('numeroDocumento')
+    .trim()
+    .notEmpty().withMessage('El número de documento es requerido.')
+    .isNumeric({ no_symbols: true }).withMessage('El número de documento solo puede contener números.')
+    .isLength({ min: 5, max: 20 }).withMessage('El número de documento debe tener entre 5 y 20 caracteres.'),
+  body('correo')
+    .trim()
+    .notEmpty().withMessage('El correo electrónico es requerido.')
+    .isEmail().withMessage('Debe proporcionar un correo electrónico válido.')
+    .normalizeEmail(),
+  body('facultadId')
+    .isUUID().withMessage('El ID de la facultad debe ser un UUID válido.'),
+  body('fechaFin')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601().withMessage('La fecha de fin debe tener formato YYYY-MM-DD.')
+    .toDate(),
+];
+
+// Filtro propio del listado de entrenadores; el resto de parámetros vienen de validacionesListado.
+export const validacionNombreFacultad = [
+  query('nombreFacultad')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 }).withMessage('El nombre de la facultad debe tener entre 1 y 200 caracteres.'),
+];
+
+// Validaciones para los filtros de la consulta de auditoría (query string)
+export const validacionesConsultaAuditoria = [
+  query('actorId')
+    .optional()
+    .isUUID().withMessage('El ID del actor debe ser un UUID válido.'),
+  query('entidad')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 40 }).withMessage('La entidad debe tener entre 1 y 40 caracteres.'),
+  query('entidadId')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('El ID de la entidad debe tener entre 1 y 100 caracteres.'),
+  query('accion')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 60 }).withMessage('La acción debe tener entre 1 y 60 caracteres.'),
+  query('desde')
+    .optional()
+    .isISO8601().withMessage('La fecha "desde" debe tener formato ISO 8601 (YYYY-MM-DD o fecha y hora).')
+    .toDate(),
+  query('hasta')
+    .optional()
+    .isISO8601().withMessage('La fecha "hasta" debe tener formato ISO 8601 (YYYY-MM-DD o fecha y hora).')
+    // Una fecha sin hora incluye todo ese día.
+    .customSanitizer((valor) => (/^\d{4}-\d{2}-\d{2}$/.test(valor) ? new Date(`${valor}T23:59:59.999Z`) : new Date(valor)))
+    .custom((hasta, { req }) => {
+      if (req.query.desde && new Date(req.query.desde) > hasta) {
+        throw new Error('La fecha "hasta" no puede ser anterior a la fecha "desde".');
+      }
+      return true;
+    }),
+  query('limite')
+    .optional()
+    .isInt({ min: 1, max: 500 }).withMessage('El límite debe ser un entero entre 1 y 500.')
+    .toInt(),
+];
+
+// Validaciones para anonimizar un estudiante: el motivo (ej. la solicitud del titular) queda en la auditoría.
+export const validacionesAnonimizarEstudiante = [
+  body('motivo')
+    .isString().withMessage('El motivo es requerido.')
+    .bail()
+    .trim()
+    .isLength({ min: 5, max: 500 }).withMessage('El motivo debe tener entre 5 y 500 caracteres.'),
+];
@@ -0,0 +1,124 @@
+import { body, query } from 'express-validator';
+
+/**
+ * @file Reglas de validación de las rutas de la agenda: planes de sesiones, disponibilidad y consulta de la agenda.
+ */
+
+const HORA = /^([01]\d|2[0-3]):[0-5]\d$/;
+const OPCIONES_FECHA = { format: 'YYYY-MM-DD', strictMode: true };
+const MENSAJE_HORA = 'debe tener formato HH:MM (24 horas).';
+
+// Rango máximo, en días, de un plan y de una consulta de la agenda.
+const DIAS_MAXIMOS_RANGO = 366;
+
+const diasEntre = (desde, hasta) => (new Date(`${hasta}T00:00:00Z`) - new Date(`${desde}T00:00:00Z`)) / 86400000;
+
+const aMinutos = (hora) => Number(hora.slice(0, 2)) * 60 + Number(hora.slice(3, 5));
+
+/**
+ * Validaciones del cuerpo para crear un plan de sesiones recurrentes.
+ */
+export const validacionesCrearPlan = [
+  body('diasSemana')
+    .isArray({ min: 1, max: 7 }).withMessage('Los días de la semana deben ser un arreglo de 1 a 7 elementos (1 = lunes ... 7 = domingo).')
+    .custom((dias) => new Set(dias).size === dias.length).withMessage('Los días de la semana no pueden repetirse.'),
+  body('diasSemana.*')
+    .isInt({ min: 1, max: 7 }).withMessage('Cada día de la semana debe ser un entero de 1 (lunes) a 7 (domingo).')
+    .toInt(),
+  body('horaInicio')
+    .matches(HORA).withMessage(`La hora de inicio ${MENSAJE_HORA}`),
+  body('duracionMinutos')
+    .isInt({ min: 15, max: 480 }).withMessage('La duración debe ser un entero de 15 a 480 minutos.')
+    .toInt(),
+  body('fechaInicio')
+    .isDate(OPCIONES_FECHA).withMessage('La fecha de inicio debe tener formato YYYY-MM-DD.'),
+  body('semanas')
+    .optional()
+    .isInt({ min: 1, max: 52 }).withMessage('Las semanas deben ser un entero de 1 a 52.')
+    .toInt(),
+  body('fechaFin')
+    .optional()
+    .isDate(OPCIONES_FECHA).withMessage('La fecha de fin debe tener formato YYYY-MM-DD.')
+    .bail()
+    .custom((fechaFin, { req }) => {
+      if (req.body.semanas !== undefined) {
+        throw new Error('Indique "semanas" o "fechaFin", no ambos.');
+      }
+      const { fechaInicio } = req.body;
+      if (typeof fechaInicio === 'string' && fechaFin < fechaInicio) {
+        throw new Error('La fecha de fin no puede ser anterior a la fecha de inicio.');
+      }
+      if (typeof fechaInicio === 'string' && diasEntre(fechaInicio, fechaFin) >= DIAS_MAXIMOS_RANGO) {
+        throw new Error(`El plan no puede durar más de ${DIAS_MAXIMOS_RANGO} días.`);
+      }
+      return true;
+    }),
+  body('entrenadorId')
+    .optional()
+    .isUUID().withMessage('El ID del entrenador debe ser un UUID válido.'),
+  body(['omitirConflictos', 'simulacion'])
+    .optional()
+    .isBoolean({ strict: true }).withMessage('Debe ser true o false.'),
+];
+
+/**
+ * Validaciones del cuerpo para reemplazar la disponibilidad semanal de un entrenador.
+ */
+export const validacionesDisponibilidad = [
+  body('franjas')
+    .isArray({ max: 50 }).withMessage('Las franjas deben ser un arreglo de hasta 50 elementos (vacío para borrar la disponibilidad).'),
+  body('franjas.*.diaSemana')
+    .isInt({ min: 1, max: 7 }).withMessage('El día de la semana debe ser un entero de 1 (lunes) a 7 (domingo).')
+    .toInt(),
+  body('franjas.*.horaInicio')
+    .matches(HORA).withMessage(`La hora de inicio ${MENSAJE_HORA}`),
+  body('franjas.*.horaFin')
+    .matches(HORA).withMessage(`La hora de fin ${MENSAJE_HORA}`)
+    .bail()
+    .custom((horaFin, { req, path }) => {
+      const indice = Number(path.match(/\[(\d+)\]/)[1]);
+      const { horaInicio } = req.body.franjas[indice];
+      if (typeof horaInicio === 'string' && HORA.test(horaInicio) && horaFin <= horaInicio) {
+        throw new Error('La hora de fin debe ser posterior a la hora de inicio.');
+      }
+      return true;
+    }),
+  body('franjas')
+    .custom((franjas) => {
+      const validas = franjas.filter((f) => f && HORA.test(f.horaInicio) && HORA.test(f.horaFin) && f.horaInicio < f.horaFin);
+      for (const [indice, franja] of validas.entries()) {
+        const cruce = validas.slice(indice + 1).find((otra) => Number(otra.diaSemana) === Number(franja.diaSemana)
+          && aMinutos(otra.horaInicio) < aMinutos(franja.horaFin) && aMinutos(franja.horaInicio) < aMinutos(otra.horaFin));
+        if (cruce) {
+          throw new Error(`Las franjas ${franja.horaInicio}-${franja.horaFin} y ${cruce.horaInicio}-${cruce.horaFin} del día ${franja.diaSemana} se solapan.`);
+        }
+      }
+      return true;
+    }),
+];
+
+/**
+ * Validaciones de la consulta de la agenda: rango `desde`/`hasta` (ambos incluidos) y formato opcional.
+ */
+export const validacionesAgenda = [
+  query('desde')
+    .isDate(OPCIONES_FECHA).withMessage('La fecha "desde" es requerida y debe tener formato YYYY-MM-DD.'),
+  query('hasta')
+    .isDate(OPCIONES_FECHA).withMessage('La fecha "hasta" es requerida y debe tener formato YYYY-MM-DD.')
+    .bail()
+    .custom((hasta, { req }) => {
+      const { desde } = req.query;
+      if (typeof desde === 'string' && hasta < desde) {
+        throw new Error('La fecha "hasta" no puede ser anterior a la fecha "desde".');
+      }
+      if (typeof desde === 'string' && diasEntre(desde, hasta) >= DIAS_MAXIMOS_RANGO) {
+        throw new Error(`El rango de la agenda no puede superar ${DIAS_MAXIMOS_RANGO} días.`);
+      }
+      return true;
+    }),
+  query('formato')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .isIn(['ics']).withMessage('El único formato de exportación de la agenda es ics.'),
+];
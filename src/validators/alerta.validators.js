@@ -0,0 +1,57 @@
+import { body, param, query } from 'express-validator';
+import { validacionesListado } from './listado.validators.js';
+import { REGLAS_ALERTA, ESTADOS_ALERTA, RANGOS_UMBRALES } from '../utils/alertas.utils.js';
+
+/**
+ * @file Reglas de validación de las rutas de alertas de riesgo: listado, descarte y umbrales por facultad.
+ */
+
+const REGLAS = Object.values(REGLAS_ALERTA);
+
+/**
+ * Validaciones del listado de alertas: las comunes a los listados más regla, entrenamiento y estudiante.
+ * `estado` se limita a los estados de una alerta, o 'todas' para listarlas en cualquier estado.
+ */
+export const validacionesListadoAlertas = [
+  ...validacionesListado,
+  query('estado')
+    .optional()
+    .trim()
+    .isIn([...ESTADOS_ALERTA, 'todas']).withMessage(`El estado debe ser uno de: ${[...ESTADOS_ALERTA, 'todas'].join(', ')}.`),
+  query('regla')
+    .optional()
+    .trim()
+    .isIn(REGLAS).withMessage(`La regla debe ser una de: ${REGLAS.join(', ')}.`),
+  query('entrenamiento')
+    .optional()
+    .isUUID().withMessage('El ID del entrenamiento debe ser un UUID válido.'),
+  query('estudiante')
+    .optional()
+    .isUUID().withMessage('El ID del estudiante debe ser un UUID válido.'),
+];
+
+/**
+ * Validaciones para descartar una alerta.
+ */
+export const validacionesDescartarAlerta = [
+  param('alertaId')
+    .isUUID().withMessage('El ID de la alerta debe ser un UUID válido.'),
+  body('motivo')
+    .isString().withMessage('El motivo es requerido.')
+    .bail()
+    .trim()
+    .isLength({ min: 5, max: 500 }).withMessage('El motivo debe tener entre 5 y 500 caracteres.'),
+];
+
+/**
+ * Validaciones para configurar los umbrales de las reglas de una facultad.
+ * Cada umbral es opcional; null (o ausente) usa el valor por defecto.
+ */
+export const validacionesUmbrales = [
+  param('facultadId')
+    .isUUID().withMessage('El ID de la facultad debe ser un UUID válido.'),
+  ...Object.entries(RANGOS_UMBRALES).map(([clave, { min, max }]) => body(clave)
+    .optional({ values: 'null' })
+    .isInt({ min, max }).withMessage(`El umbral "${clave}" debe ser un entero entre ${min} y ${max}, o null para usar el valor por defecto.`)
+    .toInt()),
+];
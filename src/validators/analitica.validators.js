@@ -0,0 +1,14 @@
+import { query } from 'express-validator';
+import { validacionesRangoFechas, validacionesPeriodo } from './listado.validators.js';
+
+/**
+ * @file Reglas de validación de las rutas de analítica.
+ */
+
+export const validacionesAnalitica = [
+  query('facultad')
+    .optional()
+    .isUUID().withMessage('El ID de la facultad debe ser un UUID válido.'),
+  ...validacionesPeriodo,
+  ...validacionesRangoFechas,
+];
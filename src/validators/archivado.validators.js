@@ -0,0 +1,26 @@
+import { body } from 'express-validator';
+
+/**
+ * @file Reglas de validación del archivado, la restauración y la purga de estudiantes, entrenamientos y sesiones.
+ */
+
+/**
+ * Validaciones para archivar o restaurar un registro: el motivo es obligatorio.
+ */
+export const validacionesMotivoArchivado = [
+  body('motivo')
+    .isString().withMessage('El motivo es requerido.')
+    .bail()
+    .trim()
+    .isLength({ min: 5, max: 500 }).withMessage('El motivo debe tener entre 5 y 500 caracteres.'),
+];
+
+/**
+ * Validaciones de la purga de archivados: `simulacion` solo cuenta lo que se borraría.
+ */
+export const validacionesPurga = [
+  body('simulacion')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('El campo "simulacion" debe ser true o false.')
+    .toBoolean(),
+];
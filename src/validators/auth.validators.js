@@ -0,0 +1,97 @@
+import { body, param } from 'express-validator';
+
+/**
+ * @file Define los conjuntos de reglas de validación para las rutas de autenticación.
+ */
+
+// Validaciones para el inicio de sesión de administrador
+export const validacionesLoginAdmin = [
+  body('numeroDocumento')
+    .trim()
+    .notEmpty().withMessage('El número de documento es requerido.'),
+  body('contrasena')
+    .optional()
+    .isString().withMessage('La contraseña debe ser texto.'),
+];
+
+// Validaciones para el inicio de sesión de entrenador
+export const validacionesLoginEntrenador = [
+  body('correo')
+    .trim()
+    .notEmpty().withMessage('El correo electrónico es requerido.')
+    .isEmail().withMessage('Debe proporcionar un correo electrónico válido.'),
+  body('contrasena')
+    .optional()
+    .isString().withMessage('La contraseña debe ser texto.'),
+  body('numeroDocumento')
+    .optional()
+    .trim(),
+];
+
+// Validaciones para el inicio de sesión de coordinador
+export const validacionesLoginCoordinador = [
+  body('correo')
+    .trim()
+    .notEmpty().withMessage('El correo electrónico es requerido.')
+    .isEmail().withMessage('Debe proporcionar un correo electrónico válido.'),
+  body('contrasena')
+    .notEmpty().withMessage('La contraseña es requerida.')
+    .isString().withMessage('La contraseña debe ser texto.'),
+];
+
+// Validaciones para pedir un código de acceso del portal del estudiante
+export const validacionesSolicitarCodigoEstudiante = [
+  body('correo')
+    .trim()
+    .notEmpty().withMessage('El correo electrónico es requerido.')
+    .isEmail().withMessage('Debe proporcionar un correo electrónico válido.'),
+];
+
+// Validaciones para el inicio de sesión de estudiante: contraseña o código de acceso, no ambos
+export const validacionesLoginEstudiante = [
+  body('correo')
+    .trim()
+    .notEmpty().withMessage('El correo electrónico es requerido.')
+    .isEmail().withMessage('Debe proporcionar un correo electrónico válido.'),
+  body('contrasena')
+    .optional()
+    .isString().withMessage('La contraseña debe ser texto.'),
+  body('codigo')
+    .optional()
+    .isString().withMessage('El código debe ser texto.')
+    .bail()
+    .trim()
+    .matches(/^\d{6}$/).withMessage('El código de acceso tiene 6 dígitos.')
+    .custom((codigo, { req }) => {
+      if (req.body.contrasena !== undefined) {
+        throw new Error('Envíe la contraseña o el código de acceso, no ambos.');
+      }
+      return true;
+    }),
+];
+
+// Validaciones para establecer o cambiar la contraseña
+export const validacionesEstablecerContrasena = [
+  body('contrasenaActual')
+    .optional()
+    .isString().withMessage('La contraseña actual debe ser texto.'),
+  body('nuevaContrasena')
+    .notEmpty().withMessage('La nueva contraseña es requerida.')
+    .isString().withMessage('La nueva contraseña debe ser texto.')
+    .isLength({ min: 8, max: 128 }).withMessage('La nueva contraseña debe tener entre 8 y 128 caracteres.'),
+];
+
+// Validaciones para que un administrador restablezca la contraseña de un usuario
+export const validacionesRestablecerContrasena = [
+  param('rol')
+    .isIn(['admin', 'entrenador', 'coordinador', 'estudiante']).withMessage("El rol debe ser 'admin', 'entrenador', 'coordinador' o 'estudiante'."),
+  param('usuarioId')
+    .isUUID().withMessage('El ID del usuario en la URL debe ser un UUID válido.'),
+];
+
+// Validaciones para refrescar el token o cerrar la sesión
+export const validacionesTokenRefresco = [
+  body('refreshToken')
+    .notEmpty().withMessage('El token de refresco es requerido.')
+    .isString().withMessage('El token de refresco debe ser texto.'),
+];
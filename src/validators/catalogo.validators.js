@@ -0,0 +1,125 @@
+import { body, param } from 'express-validator';
+import { CATALOGOS, TIPOS_CATALOGO, camposDeCatalogo } from '../utils/catalogos.utils.js';
+
+/**
+ * @file Reglas de validación de la administración de los catálogos.
+ */
+
+const validacionCatalogo = param('catalogo')
+  .isIn(TIPOS_CATALOGO).withMessage(`El catálogo debe ser uno de: ${TIPOS_CATALOGO.join(', ')}.`);
+
+const campoNombre = body('nombre')
+  .optional()
+  .isString().withMessage('El nombre debe ser texto.')
+  .bail()
+  .trim()
+  .isLength({ min: 2, max: 100 }).withMessage('El nombre debe tener entre 2 y 100 caracteres.');
+
+const campoSigla = body('sigla')
+  .optional()
+  .isString().withMessage('La sigla debe ser texto.')
+  .bail()
+  .trim()
+  .toUpperCase()
+  .matches(/^[A-Z]{1,5}$/).withMessage('La sigla debe tener entre 1 y 5 letras.');
+
+const campoFacultadId = body('facultadId')
+  .optional()
+  .isUUID().withMessage('El ID de la facultad debe ser un UUID válido.');
+
+// null borra la descripción.
+const campoDescripcion = body('descripcion')
+  .optional()
+  .custom((valor) => valor === null || typeof valor === 'string').withMessage('La descripción debe ser texto.')
+  .bail()
+  .customSanitizer((valor) => (typeof valor === 'string' ? valor.trim() || null : valor))
+  .custom((valor) => valor === null || valor.length <= 500).withMessage('La descripción no puede superar los 500 caracteres.');
+
+// Rechaza los campos que el catálogo no tiene (ej. "sigla" en un género).
+const camposPermitidos = (adicionales) => (cuerpo, { req }) => {
+  if (!CATALOGOS[req.params.catalogo]) {
+    return true;
+  }
+  const permitidos = [...camposDeCatalogo(req.params.catalogo), ...adicionales];
+  const desconocidos = Object.keys(cuerpo || {}).filter((campo) => !permitidos.includes(campo));
+  if (desconocidos.length > 0) {
+    throw new Error(`Campos no admitidos en ${req.params.catalogo}: ${desconocidos.join(', ')}. Campos admitidos: ${permitidos.join(', ')}.`);
+  }
+  return true;
+};
+
+/**
+ * Validaciones del nombre del catálogo en la ruta.
+ */
+export const validacionesCatalogo = [validacionCatalogo];
+
+/**
+ * Validaciones para crear un valor: los campos requeridos del catálogo y ningún campo que no tenga.
+ */
+export const validacionesCrearValorCatalogo = [
+  validacionCatalogo,
+  body()
+    .custom(camposPermitidos([]))
+    .bail()
+    .custom((cuerpo, { req }) => {
+      const faltantes = (CATALOGOS[req.params.catalogo]?.requeridos || []).filter((campo) => cuerpo?.[campo] === undefined);
+      if (faltantes.length > 0) {
+        throw new Error(`Campos requeridos: ${faltantes.join(', ')}.`);
+      }
+      return true;
+    }),
+  campoNombre,
+  campoSigla,
+  campoFacultadId,
+  campoDescripcion,
+];
+
+/**
+ * Validaciones para modificar un valor: renombrarlo, activarlo o desactivarlo, o cambiar sus otros campos.
+ */
+export const validacionesActualizarValorCatalogo = [
+  validacionCatalogo,
+  param('id').isUUID().withMessage('El ID del valor debe ser un UUID válido.'),
+  body()
+    .custom(camposPermitidos(['activo']))
+    .bail()
+    .custom((cuerpo) => {
+      if (Object.keys(cuerpo || {}).length === 0) {
+        throw new Error('Debe enviar al menos un campo para modificar.');
+      }
+      return true;
+    }),
+  campoNombre,
+  campoSigla,
+  campoFacultadId,
+  campoDescripcion,
+  body('activo')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('El campo "activo" debe ser true o false.')
+    .toBoolean(),
+];
+
+/**
+ * Validaciones para eliminar un valor.
+ */
+export const validacionesEliminarValorCatalogo = [
+  validacionCatalogo,
+  param('id').isUUID().withMessage('El ID del valor debe ser un UUID válido.'),
+];
+
+/**
+ * Validaciones para reordenar un catálogo: la lista completa de IDs en el orden nuevo.
+ */
+export const validacionesReordenarCatalogo = [
+  validacionCatalogo,
+  body('ids')
+    .isArray({ min: 1 }).withMessage('"ids" debe ser una lista con los IDs de todos los valores del catálogo.')
+    .bail()
+    .custom((ids) => {
+      if (new Set(ids).size !== ids.length) {
+        throw new Error('"ids" no puede contener IDs repetidos.');
+      }
+      return true;
+    }),
+  body('ids.*').isUUID().withMessage('Cada ID debe ser un UUID válido.'),
+];
@@ -33,4 +33,32 @@ export const validacionesFinalizarSesion = [
       }
       return true;
     })
-];
\ No newline at end of file
+];
+
+// Máximo de sesiones que se crean en un alta completa; las siguientes se crean o planifican aparte.
+export const MAXIMO_SESIONES_ALTA = 20;
+
+/**
+ * Define las validaciones de forma para el alta completa de un entrenamiento.
+ * Los datos de cada paso (estudiante, entrenamiento) los valida el servicio del paso, como en sus endpoints propios.
+ */
+export const validacionesAltaEntrenamiento = [
+  body('estudiante')
+    .isObject().withMessage('Los datos del estudiante son requeridos y deben ser un objeto.'),
+  body('estudiante.programaNombres')
+    .isArray({ min: 1 }).withMessage('Se debe especificar al menos un programa académico.'),
+  body('entrenamiento')
+    .isObject().withMessage('Los datos del entrenamiento son requeridos y deben ser un objeto.'),
+  body('entrenadorId')
+    .isUUID().withMessage('El ID del entrenador es requerido y debe ser un UUID válido.'),
+  body('sesiones')
+    .optional()
+    .isArray({ max: MAXIMO_SESIONES_ALTA }).withMessage(`Las sesiones deben ser un arreglo de máximo ${MAXIMO_SESIONES_ALTA} elementos.`),
+  body('sesiones.*.nombreVariableCognitiva')
+    .isString().withMessage('El nombre de la variable cognitiva de la sesión debe ser texto.')
+    .trim()
+    .notEmpty().withMessage('El nombre de la variable cognitiva de la sesión es requerido.'),
+  body('sesiones.*.fechaInicio')
+    .optional()
+    .isISO8601().withMessage('La fecha de inicio de la sesión debe ser una fecha válida.'),
+];
@@ -0,0 +1,70 @@
+import { body, param } from 'express-validator';
+import { TIPOS_METRICA, esTipoNumerico } from '../utils/esquemaMetricas.utils.js';
+
+/**
+ * @file Reglas de validación de las rutas de esquemas de métricas.
+ */
+
+export const validacionVersionEsquema = [
+  param('version')
+    .isInt({ min: 1 }).withMessage('La versión debe ser un entero mayor o igual a 1.')
+    .toInt(),
+];
+
+const esLimite = (valor) => valor !== undefined && valor !== null;
+
+/**
+ * Validaciones del cuerpo para publicar una versión del esquema.
+ */
+export const validacionesCrearEsquema = [
+  body('descripcion')
+    .optional({ values: 'null' })
+    .isString().withMessage('La descripción debe ser un texto.')
+    .trim()
+    .isLength({ max: 500 }).withMessage('La descripción no puede exceder los 500 caracteres.'),
+  body('campos')
+    .isArray({ min: 1, max: 100 }).withMessage('Los campos deben ser un arreglo de 1 a 100 elementos.')
+    .custom((campos) => {
+      const claves = campos.map((campo) => campo?.clave);
+      const repetida = claves.find((clave, indice) => claves.indexOf(clave) !== indice);
+      if (repetida !== undefined) {
+        throw new Error(`La clave '${repetida}' está repetida.`);
+      }
+      return true;
+    }),
+  body('campos.*.clave')
+    .isString().withMessage('La clave del campo es requerida.')
+    .matches(/^[A-Za-z][A-Za-z0-9_]{0,59}$/).withMessage('La clave debe empezar con una letra y tener solo letras, números y guion bajo (máximo 60).'),
+  body('campos.*.tipo')
+    .isIn(TIPOS_METRICA).withMessage(`El tipo del campo debe ser uno de: ${TIPOS_METRICA.join(', ')}.`),
+  body('campos.*.requerido')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('El campo "requerido" debe ser true o false.'),
+  body(['campos.*.minimo', 'campos.*.maximo'])
+    .optional({ values: 'null' })
+    .custom((valor) => typeof valor === 'number' && Number.isFinite(valor)).withMessage('Los límites del rango deben ser números.'),
+  body('campos.*')
+    .custom((campo) => {
+      if (!campo || typeof campo !== 'object') {
+        throw new Error('Cada campo debe ser un objeto.');
+      }
+      const conRango = esLimite(campo.minimo) || esLimite(campo.maximo);
+      if (conRango && !esTipoNumerico(campo.tipo)) {
+        throw new Error(`El campo '${campo.clave}' solo puede tener rango si es entero o decimal.`);
+      }
+      if (esLimite(campo.minimo) && esLimite(campo.maximo) && campo.minimo > campo.maximo) {
+        throw new Error(`El mínimo del campo '${campo.clave}' no puede ser mayor que el máximo.`);
+      }
+      return true;
+    }),
+  body('campos.*.unidad')
+    .optional({ values: 'null' })
+    .isString().withMessage('La unidad debe ser un texto.')
+    .trim()
+    .isLength({ max: 30 }).withMessage('La unidad no puede exceder los 30 caracteres.'),
+  body('campos.*.descripcion')
+    .optional({ values: 'null' })
+    .isString().withMessage('La descripción del campo debe ser un texto.')
+    .trim()
+    .isLength({ max: 200 }).withMessage('La descripción del campo no puede exceder los 200 caracteres.'),
+];
@@ -0,0 +1,15 @@
+import { query } from 'express-validator';
+import { FORMATOS_REPORTE } from '../utils/reportes.utils.js';
+
+/**
+ * @file Reglas de validación de las rutas de informes.
+ */
+
+// Sin `formato` la ruta responde JSON; con él, el reporte como archivo descargable.
+export const validacionFormatoReporte = [
+  query('formato')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .isIn(FORMATOS_REPORTE).withMessage(`El formato debe ser uno de: ${FORMATOS_REPORTE.join(', ')}.`),
+];
@@ -0,0 +1,98 @@
+import { query } from 'express-validator';
+import { TAMANO_PAGINA_MAXIMO } from '../utils/consulta.utils.js';
+import { REGLAS_ALERTA } from '../utils/alertas.utils.js';
+import { PATRON_CODIGO_PERIODO } from '../utils/periodos.utils.js';
+
+/**
+ * @file Reglas de validación comunes a los listados: paginación, ordenamiento y filtros.
+ * Cada listado decide qué filtros admite; pedir uno que no admite responde 400 (ver `utils/consulta.utils.js`).
+ */
+
+// Una fecha sin hora incluye todo ese día.
+const finDelDia = (valor) => (/^\d{4}-\d{2}-\d{2}$/.test(valor) ? new Date(`${valor}T23:59:59.999Z`) : new Date(valor));
+
+/**
+ * Rango de fechas `fechaDesde`/`fechaHasta` (ISO 8601), común a listados y estadísticas.
+ */
+export const validacionesRangoFechas = [
+  query('fechaDesde')
+    .optional()
+    .isISO8601().withMessage('La fecha "fechaDesde" debe tener formato ISO 8601 (YYYY-MM-DD o fecha y hora).')
+    .toDate(),
+  query('fechaHasta')
+    .optional()
+    .isISO8601().withMessage('La fecha "fechaHasta" debe tener formato ISO 8601 (YYYY-MM-DD o fecha y hora).')
+    .customSanitizer(finDelDia)
+    .custom((hasta, { req }) => {
+      if (req.query.fechaDesde && new Date(req.query.fechaDesde) > hasta) {
+        throw new Error('La fecha "fechaHasta" no puede ser anterior a la fecha "fechaDesde".');
+      }
+      return true;
+    }),
+];
+
+/**
+ * `periodo`: código del periodo académico (ej. 2026-1), común a listados y estadísticas.
+ */
+export const validacionesPeriodo = [
+  query('periodo')
+    .optional()
+    .trim()
+    .matches(PATRON_CODIGO_PERIODO).withMessage('El periodo debe tener formato YYYY-1 o YYYY-2 (ej. 2026-1).'),
+];
+
+/**
+ * `incluirArchivados`: incluir en la consulta los estudiantes, entrenamientos o sesiones archivados.
+ */
+export const validacionesArchivados = [
+  query('incluirArchivados')
+    .optional()
+    .isIn(['true', 'false']).withMessage('El parámetro "incluirArchivados" debe ser true o false.')
+    .toBoolean(true),
+];
+
+export const validacionesListado = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('El número de página debe ser un entero mayor o igual a 1.')
+    .toInt()
+    .custom((page, { req }) => {
+      if (req.query.cursor) {
+        throw new Error('Use "page" o "cursor", no ambos.');
+      }
+      return true;
+    }),
+  query('pageSize')
+    .optional()
+    .isInt({ min: 1, max: TAMANO_PAGINA_MAXIMO }).withMessage(`El tamaño de página debe ser un entero entre 1 y ${TAMANO_PAGINA_MAXIMO}.`)
+    .toInt(),
+  query('cursor')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 }).withMessage('El cursor debe tener entre 1 y 200 caracteres.'),
+  query('sort')
+    .optional()
+    .trim()
+    .matches(/^-?[A-Za-z]+(,-?[A-Za-z]+)*$/).withMessage('El orden debe ser una lista de campos separados por coma; un "-" inicial ordena de forma descendente (ej. -fechaInicio,apellidos).'),
+  ...validacionesArchivados,
+  query('estado')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 }).withMessage('El estado debe tener entre 1 y 50 caracteres.'),
+  query('programa')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 }).withMessage('El programa debe tener entre 1 y 200 caracteres.'),
+  query('facultad')
+    .optional()
+    .isUUID().withMessage('El ID de la facultad debe ser un UUID válido.'),
+  query('entrenador')
+    .optional()
+    .isUUID().withMessage('El ID del entrenador debe ser un UUID válido.'),
+  query('alerta')
+    .optional()
+    .trim()
+    .isIn([...Object.values(REGLAS_ALERTA), 'todas']).withMessage(`La alerta debe ser una de: ${[...Object.values(REGLAS_ALERTA), 'todas'].join(', ')}.`),
+  ...validacionesPeriodo,
+  ...validacionesRangoFechas,
+];
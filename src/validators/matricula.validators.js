@@ -0,0 +1,75 @@
+import { body, param } from 'express-validator';
+
+/**
+ * @file Reglas de validación de las rutas del historial de matrícula de los estudiantes en los programas.
+ */
+
+const OPCIONES_FECHA = { format: 'YYYY-MM-DD', strictMode: true };
+const SEMESTRE = /^\d{4}-[12]$/;
+
+const validarParametros = (conMatricula) => [
+  param('id')
+    .isUUID().withMessage('El ID del estudiante en la URL debe ser un UUID válido.'),
+  ...(conMatricula
+    ? [param('matriculaId').isUUID().withMessage('El ID de la matrícula debe ser un UUID válido.')]
+    : []),
+];
+
+const validarPrograma = body('programa')
+  .isString().withMessage('El programa es obligatorio.')
+  .bail()
+  .trim()
+  .isLength({ min: 1, max: 200 }).withMessage('El programa debe tener entre 1 y 200 caracteres.');
+
+const validarSemestre = body('semestre')
+  .optional()
+  .isString().withMessage('El semestre debe ser texto.')
+  .bail()
+  .trim()
+  .matches(SEMESTRE).withMessage('El semestre debe tener formato YYYY-1 o YYYY-2 (ej. 2025-2).');
+
+const validarFecha = (campo, nombre) => body(campo)
+  .optional()
+  .isDate(OPCIONES_FECHA).withMessage(`${nombre} debe tener formato YYYY-MM-DD.`);
+
+const validarMotivo = body('motivo')
+  .optional({ values: 'null' })
+  .isString().withMessage('El motivo debe ser texto.')
+  .bail()
+  .trim()
+  .isLength({ max: 500 }).withMessage('El motivo no puede tener más de 500 caracteres.');
+
+/**
+ * Validaciones del historial de matrícula de un estudiante.
+ */
+export const validacionesListarMatriculas = validarParametros(false);
+
+/**
+ * Validaciones para matricular a un estudiante en un programa.
+ */
+export const validacionesMatricular = [
+  ...validarParametros(false),
+  validarPrograma,
+  validarSemestre,
+  validarFecha('fechaInicio', 'La fecha de inicio'),
+];
+
+/**
+ * Validaciones para cerrar una matrícula.
+ */
+export const validacionesCerrarMatricula = [
+  ...validarParametros(true),
+  validarFecha('fechaFin', 'La fecha de fin'),
+  validarMotivo,
+];
+
+/**
+ * Validaciones para trasladar una matrícula a otro programa.
+ */
+export const validacionesTrasladarMatricula = [
+  ...validarParametros(true),
+  validarPrograma,
+  validarSemestre,
+  validarFecha('fecha', 'La fecha del traslado'),
+  validarMotivo,
+];
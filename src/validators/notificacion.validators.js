@@ -0,0 +1,48 @@
+import { body, param, query } from 'express-validator';
+import { validacionesListado } from './listado.validators.js';
+import { EVENTOS_NOTIFICACION, CANALES_NOTIFICACION } from '../utils/notificaciones.utils.js';
+
+/**
+ * @file Reglas de validación de las rutas de notificaciones: bandeja, lectura y preferencias.
+ */
+
+const EVENTOS = Object.values(EVENTOS_NOTIFICACION);
+
+/**
+ * Validaciones del listado de notificaciones: las comunes a los listados más `leida` y `evento`.
+ */
+export const validacionesListadoNotificaciones = [
+  ...validacionesListado,
+  query('leida')
+    .optional()
+    .isIn(['true', 'false']).withMessage('El filtro "leida" debe ser true o false.')
+    .toBoolean(true),
+  query('evento')
+    .optional()
+    .trim()
+    .isIn(EVENTOS).withMessage(`El evento debe ser uno de: ${EVENTOS.join(', ')}.`),
+];
+
+/**
+ * Validaciones para marcar una notificación como leída.
+ */
+export const validacionesMarcarLeida = [
+  param('notificacionId')
+    .isUUID().withMessage('El ID de la notificación debe ser un UUID válido.'),
+];
+
+/**
+ * Validaciones para actualizar las preferencias de notificación.
+ */
+export const validacionesPreferencias = [
+  body('preferencias')
+    .isArray({ min: 1, max: EVENTOS.length * CANALES_NOTIFICACION.length })
+    .withMessage(`Las preferencias deben ser una lista de 1 a ${EVENTOS.length * CANALES_NOTIFICACION.length} elementos.`),
+  body('preferencias.*.evento')
+    .isIn(EVENTOS).withMessage(`El evento debe ser uno de: ${EVENTOS.join(', ')}.`),
+  body('preferencias.*.canal')
+    .isIn(CANALES_NOTIFICACION).withMessage(`El canal debe ser uno de: ${CANALES_NOTIFICACION.join(', ')}.`),
+  body('preferencias.*.habilitado')
+    .isBoolean({ strict: true }).withMessage('"habilitado" debe ser true o false.')
+    .toBoolean(),
+];
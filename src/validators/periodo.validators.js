@@ -0,0 +1,75 @@
+import { body, param } from 'express-validator';
+import { PATRON_CODIGO_PERIODO, POLITICAS_CIERRE_PERIODO } from '../utils/periodos.utils.js';
+
+/**
+ * @file Reglas de validación de la administración de los periodos académicos.
+ */
+
+const OPCIONES_FECHA = { format: 'YYYY-MM-DD', strictMode: true };
+
+const validarCodigo = param('codigo')
+  .matches(PATRON_CODIGO_PERIODO).withMessage('El código del periodo debe tener formato YYYY-1 o YYYY-2 (ej. 2026-1).');
+
+const validarFecha = (campo, nombre, opcional) => (opcional ? body(campo).optional() : body(campo))
+  .isDate(OPCIONES_FECHA).withMessage(`${nombre} debe tener formato YYYY-MM-DD.`);
+
+/**
+ * Validaciones del código del periodo en la ruta.
+ */
+export const validacionesCodigoPeriodo = [validarCodigo];
+
+/**
+ * Validaciones para crear un periodo.
+ */
+export const validacionesCrearPeriodo = [
+  body('codigo')
+    .isString().withMessage('El código del periodo es obligatorio.')
+    .bail()
+    .trim()
+    .matches(PATRON_CODIGO_PERIODO).withMessage('El código del periodo debe tener formato YYYY-1 o YYYY-2 (ej. 2026-1).'),
+  validarFecha('fechaInicio', 'La fecha de inicio', false),
+  validarFecha('fechaFin', 'La fecha de fin', false),
+];
+
+/**
+ * Validaciones para cambiar las fechas de un periodo.
+ */
+export const validacionesActualizarPeriodo = [
+  validarCodigo,
+  body()
+    .custom((cuerpo) => {
+      if (cuerpo?.fechaInicio === undefined && cuerpo?.fechaFin === undefined) {
+        throw new Error('Debe enviar "fechaInicio", "fechaFin" o ambas.');
+      }
+      return true;
+    }),
+  validarFecha('fechaInicio', 'La fecha de inicio', true),
+  validarFecha('fechaFin', 'La fecha de fin', true),
+];
+
+/**
+ * Validaciones para cerrar un periodo.
+ */
+export const validacionesCerrarPeriodo = [
+  validarCodigo,
+  body('politica')
+    .isIn(POLITICAS_CIERRE_PERIODO).withMessage(`La política debe ser una de: ${POLITICAS_CIERRE_PERIODO.join(', ')}.`),
+  body('periodoDestino')
+    .optional()
+    .isString().withMessage('El periodo de destino debe ser texto.')
+    .bail()
+    .trim()
+    .matches(PATRON_CODIGO_PERIODO).withMessage('El periodo de destino debe tener formato YYYY-1 o YYYY-2 (ej. 2026-2).')
+    .custom((destino, { req }) => {
+      if (req.body.politica === 'cerrar') {
+        throw new Error('La política "cerrar" no traslada entrenamientos; no envíe "periodoDestino".');
+      }
+      return true;
+    }),
+  body('motivo')
+    .optional({ values: 'null' })
+    .isString().withMessage('El motivo debe ser texto.')
+    .bail()
+    .trim()
+    .isLength({ max: 500 }).withMessage('El motivo no puede tener más de 500 caracteres.'),
+];
@@ -0,0 +1,76 @@
+import { body, param, query } from 'express-validator';
+
+/**
+ * @file Reglas de validación de las rutas del portal del estudiante y de las solicitudes de cambio de fecha de sesión.
+ */
+
+const FECHA_HORA = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])T([01]\d|2[0-3]):[0-5]\d$/;
+const ESTADOS_SOLICITUD = ['pendiente', 'aprobada', 'rechazada', 'todas'];
+
+/**
+ * Validaciones para actualizar el correo de contacto; `null` lo borra.
+ */
+export const validacionesCorreoContacto = [
+  body('correoContacto')
+    .exists().withMessage('El correo de contacto es obligatorio (null para borrarlo).')
+    .bail()
+    .if((valor) => valor !== null)
+    .isString().withMessage('El correo de contacto debe ser texto.')
+    .bail()
+    .trim()
+    .isLength({ max: 150 }).withMessage('El correo de contacto no puede tener más de 150 caracteres.')
+    .bail()
+    .isEmail().withMessage('El correo de contacto no es válido.')
+    .normalizeEmail(),
+];
+
+/**
+ * Validaciones para pedir el cambio de fecha de una sesión planificada. La hora propuesta se recibe como
+ * YYYY-MM-DDTHH:MM en hora local y se completa con segundos.
+ */
+export const validacionesSolicitarCambio = [
+  param('sesionPlanificadaId')
+    .isUUID().withMessage('El ID de la sesión planificada debe ser un UUID válido.'),
+  body('inicioPropuesto')
+    .isString().withMessage('El inicio propuesto es obligatorio.')
+    .bail()
+    .matches(FECHA_HORA).withMessage('El inicio propuesto debe tener formato YYYY-MM-DDTHH:MM (hora local).')
+    .bail()
+    .custom((valor) => !Number.isNaN(Date.parse(`${valor}:00Z`)) && new Date(`${valor}:00Z`).toISOString().startsWith(valor))
+    .withMessage('El inicio propuesto no es una fecha válida.')
+    .customSanitizer((valor) => `${valor}:00`),
+  body('motivo')
+    .isString().withMessage('El motivo es obligatorio.')
+    .bail()
+    .trim()
+    .isLength({ min: 5, max: 500 }).withMessage('El motivo debe tener entre 5 y 500 caracteres.'),
+];
+
+/**
+ * Validaciones del listado de solicitudes de cambio de los entrenadores.
+ */
+export const validacionesListadoSolicitudesCambio = [
+  query('estado')
+    .optional()
+    .isIn(ESTADOS_SOLICITUD).withMessage(`El estado debe ser uno de: ${ESTADOS_SOLICITUD.join(', ')}.`),
+  query('entrenador')
+    .optional()
+    .isUUID().withMessage('El ID del entrenador debe ser un UUID válido.'),
+];
+
+/**
+ * Validaciones para aprobar o rechazar una solicitud de cambio.
+ */
+export const validacionesResolverSolicitudCambio = [
+  param('solicitudId')
+    .isUUID().withMessage('El ID de la solicitud debe ser un UUID válido.'),
+  body('aprobar')
+    .isBoolean({ strict: true }).withMessage('"aprobar" debe ser true o false.')
+    .toBoolean(),
+  body('respuesta')
+    .optional({ values: 'null' })
+    .isString().withMessage('La respuesta debe ser texto.')
+    .bail()
+    .trim()
+    .isLength({ max: 500 }).withMessage('La respuesta no puede tener más de 500 caracteres.'),
+];